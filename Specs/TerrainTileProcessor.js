@@ -14,6 +14,8 @@ function TerrainTileProcessor(
   this.frameState = frameState;
   this.terrainProvider = terrainProvider;
   this.imageryLayerCollection = imageryLayerCollection;
+  this.terrainModifications = undefined;
+  this.vertexArraysToDestroy = [];
 }
 
 // Processes the given list of tiles until all terrain and imagery states stop changing.
@@ -76,7 +78,11 @@ TerrainTileProcessor.prototype.process = function (tiles, maxIterations) {
             tile,
             that.frameState,
             that.terrainProvider,
-            that.imageryLayerCollection
+            that.imageryLayerCollection,
+            undefined,
+            that.vertexArraysToDestroy,
+            false,
+            that.terrainModifications
           );
           const afterState = getState(tile);
           changed =
@@ -0,0 +1,559 @@
+import pako from "pako";
+import { defaultValue, defined } from "@cesium/engine";
+
+// TIFF field types
+const BYTE = 1;
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const UNDEFINED = 7;
+const DOUBLE = 12;
+const LONG8 = 16;
+
+const typeSizes = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  7: 1,
+  12: 8,
+  16: 8,
+};
+
+function getArrayType(bitsPerSample, sampleFormat) {
+  if (sampleFormat === 3) {
+    return bitsPerSample === 64 ? Float64Array : Float32Array;
+  } else if (sampleFormat === 2) {
+    return bitsPerSample === 8
+      ? Int8Array
+      : bitsPerSample === 16
+      ? Int16Array
+      : Int32Array;
+  }
+  return bitsPerSample === 8
+    ? Uint8Array
+    : bitsPerSample === 16
+    ? Uint16Array
+    : Uint32Array;
+}
+
+function writeSample(
+  dataView,
+  offset,
+  value,
+  bitsPerSample,
+  sampleFormat,
+  littleEndian
+) {
+  if (sampleFormat === 3) {
+    if (bitsPerSample === 64) {
+      dataView.setFloat64(offset, value, littleEndian);
+    } else {
+      dataView.setFloat32(offset, value, littleEndian);
+    }
+  } else if (bitsPerSample === 8) {
+    dataView.setUint8(offset, value & 0xff);
+  } else if (bitsPerSample === 16) {
+    dataView.setUint16(offset, value & 0xffff, littleEndian);
+  } else {
+    dataView.setUint32(offset, value >>> 0, littleEndian);
+  }
+}
+
+function encodeLzw(input) {
+  const codes = [];
+  const lengths = [];
+  let codeLength = 9;
+  let table = new Map();
+  let nextCode = 258;
+
+  function emit(code) {
+    codes.push(code);
+    lengths.push(codeLength);
+  }
+
+  emit(256);
+  let current = -1;
+  for (let i = 0; i < input.length; ++i) {
+    const byte = input[i];
+    if (current === -1) {
+      current = byte;
+      continue;
+    }
+    const key = current * 256 + byte;
+    const code = table.get(key);
+    if (defined(code)) {
+      current = code;
+      continue;
+    }
+
+    emit(current);
+    table.set(key, nextCode++);
+    if (nextCode >= 1 << codeLength && codeLength < 12) {
+      ++codeLength;
+    }
+    if (nextCode >= 4094) {
+      emit(256);
+      table = new Map();
+      nextCode = 258;
+      codeLength = 9;
+    }
+    current = byte;
+  }
+  if (current !== -1) {
+    emit(current);
+    ++nextCode;
+    if (nextCode >= 1 << codeLength && codeLength < 12) {
+      ++codeLength;
+    }
+  }
+  emit(257);
+
+  let bitLength = 0;
+  for (let i = 0; i < lengths.length; ++i) {
+    bitLength += lengths[i];
+  }
+  const output = new Uint8Array(Math.ceil(bitLength / 8));
+  let bitPosition = 0;
+  for (let i = 0; i < codes.length; ++i) {
+    for (let b = lengths[i] - 1; b >= 0; --b) {
+      if ((codes[i] >> b) & 1) {
+        output[bitPosition >> 3] |= 0x80 >> (bitPosition & 7);
+      }
+      ++bitPosition;
+    }
+  }
+  return output;
+}
+
+function encodeBlock(values, width, height, options) {
+  const samplesPerPixel = options.samplesPerPixel;
+  const bitsPerSample = options.bitsPerSample;
+  const sampleFormat = options.sampleFormat;
+  const littleEndian = options.littleEndian;
+  const bytesPerSample = bitsPerSample / 8;
+  const rowSamples = width * samplesPerPixel;
+
+  let bytes = new Uint8Array(values.length * bytesPerSample);
+  const dataView = new DataView(bytes.buffer);
+
+  if (options.predictor === 2) {
+    const ArrayType = getArrayType(bitsPerSample, sampleFormat);
+    const differences = new ArrayType(values.length);
+    for (let row = 0; row < height; ++row) {
+      for (let i = 0; i < rowSamples; ++i) {
+        const index = row * rowSamples + i;
+        differences[index] =
+          i < samplesPerPixel
+            ? values[index]
+            : values[index] - values[index - samplesPerPixel];
+      }
+    }
+    values = differences;
+  }
+
+  if (options.predictor === 3) {
+    // Split each row into planes of bytes, most significant first, then difference the bytes
+    const sampleBytes = new Uint8Array(bytesPerSample);
+    const sampleView = new DataView(sampleBytes.buffer);
+    for (let row = 0; row < height; ++row) {
+      const rowOffset = row * rowSamples * bytesPerSample;
+      for (let i = 0; i < rowSamples; ++i) {
+        writeSample(
+          sampleView,
+          0,
+          values[row * rowSamples + i],
+          bitsPerSample,
+          sampleFormat,
+          false
+        );
+        for (let b = 0; b < bytesPerSample; ++b) {
+          bytes[rowOffset + b * rowSamples + i] = sampleBytes[b];
+        }
+      }
+      for (let i = rowSamples * bytesPerSample - 1; i >= samplesPerPixel; --i) {
+        bytes[rowOffset + i] =
+          (bytes[rowOffset + i] - bytes[rowOffset + i - samplesPerPixel]) &
+          0xff;
+      }
+    }
+  } else {
+    for (let i = 0; i < values.length; ++i) {
+      writeSample(
+        dataView,
+        i * bytesPerSample,
+        values[i],
+        bitsPerSample,
+        sampleFormat,
+        littleEndian
+      );
+    }
+  }
+
+  switch (options.compression) {
+    case 5:
+      bytes = encodeLzw(bytes);
+      break;
+    case 8:
+      bytes = pako.deflate(bytes);
+      break;
+  }
+  return bytes;
+}
+
+function createBlocks(level, options) {
+  const width = level.width;
+  const height = level.height;
+  const samplesPerPixel = options.samplesPerPixel;
+  const tiled = !defined(options.rowsPerStrip);
+  const blockWidth = tiled ? options.tileSize : width;
+  const blockHeight = tiled ? options.tileSize : options.rowsPerStrip;
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const blocksDown = Math.ceil(height / blockHeight);
+  const blocks = [];
+
+  for (let by = 0; by < blocksDown; ++by) {
+    for (let bx = 0; bx < blocksAcross; ++bx) {
+      // Tiles are padded to their full size while the last strip may be shorter
+      const rows = tiled
+        ? blockHeight
+        : Math.min(blockHeight, height - by * blockHeight);
+      const values = new Array(blockWidth * rows * samplesPerPixel).fill(0);
+      for (let y = 0; y < rows; ++y) {
+        for (let x = 0; x < blockWidth; ++x) {
+          const column = bx * blockWidth + x;
+          const row = by * blockHeight + y;
+          if (column >= width || row >= height) {
+            continue;
+          }
+          for (let s = 0; s < samplesPerPixel; ++s) {
+            values[
+              (y * blockWidth + x) * samplesPerPixel + s
+            ] = options.getValue(column, row, s, level.index);
+          }
+        }
+      }
+      if (options.sparse && options.sparse(bx, by, level.index)) {
+        blocks.push(new Uint8Array(0));
+      } else {
+        blocks.push(encodeBlock(values, blockWidth, rows, options));
+      }
+    }
+  }
+
+  return {
+    tiled: tiled,
+    blockWidth: blockWidth,
+    blockHeight: blockHeight,
+    blocks: blocks,
+  };
+}
+
+function createEntries(level, layout, options) {
+  const entries = [];
+  const samplesPerPixel = options.samplesPerPixel;
+  const offsetType = options.bigTiff ? LONG8 : LONG;
+  const repeat = function (value) {
+    return new Array(samplesPerPixel).fill(value);
+  };
+
+  if (level.index > 0) {
+    entries.push({ tag: 254, type: LONG, values: [1] });
+  }
+  entries.push({ tag: 256, type: LONG, values: [level.width] });
+  entries.push({ tag: 257, type: LONG, values: [level.height] });
+  entries.push({
+    tag: 258,
+    type: SHORT,
+    values: repeat(options.bitsPerSample),
+  });
+  entries.push({ tag: 259, type: SHORT, values: [options.compression] });
+  entries.push({ tag: 262, type: SHORT, values: [options.photometric] });
+  if (!layout.tiled) {
+    entries.push({ tag: 273, type: offsetType, values: [], offsets: true });
+  }
+  entries.push({ tag: 277, type: SHORT, values: [samplesPerPixel] });
+  if (!layout.tiled) {
+    entries.push({ tag: 278, type: LONG, values: [options.rowsPerStrip] });
+    entries.push({
+      tag: 279,
+      type: offsetType,
+      values: layout.blocks.map(function (block) {
+        return block.length;
+      }),
+    });
+  }
+  entries.push({ tag: 284, type: SHORT, values: [1] });
+  if (options.predictor !== 1) {
+    entries.push({ tag: 317, type: SHORT, values: [options.predictor] });
+  }
+  if (defined(options.colorMap)) {
+    entries.push({ tag: 320, type: SHORT, values: options.colorMap });
+  }
+  if (layout.tiled) {
+    entries.push({ tag: 322, type: SHORT, values: [layout.blockWidth] });
+    entries.push({ tag: 323, type: SHORT, values: [layout.blockHeight] });
+    entries.push({ tag: 324, type: offsetType, values: [], offsets: true });
+    entries.push({
+      tag: 325,
+      type: offsetType,
+      values: layout.blocks.map(function (block) {
+        return block.length;
+      }),
+    });
+  }
+  if (samplesPerPixel === 4 || samplesPerPixel === 2) {
+    entries.push({ tag: 338, type: SHORT, values: [2] });
+  }
+  entries.push({ tag: 339, type: SHORT, values: repeat(options.sampleFormat) });
+
+  if (level.index === 0) {
+    const pixelSize = options.pixelSize;
+    const origin = options.origin;
+    entries.push({
+      tag: 33550,
+      type: DOUBLE,
+      values: [pixelSize[0], pixelSize[1], 0.0],
+    });
+    entries.push({
+      tag: 33922,
+      type: DOUBLE,
+      values: [0.0, 0.0, 0.0, origin[0], origin[1], 0.0],
+    });
+
+    const geographic = options.epsg === 4326;
+    const keys = geographic
+      ? [
+          [1024, 0, 1, 2],
+          [1025, 0, 1, options.pixelIsPoint ? 2 : 1],
+          [2048, 0, 1, 4326],
+        ]
+      : [
+          [1024, 0, 1, 1],
+          [1025, 0, 1, options.pixelIsPoint ? 2 : 1],
+          [3072, 0, 1, options.epsg],
+        ];
+    entries.push({
+      tag: 34735,
+      type: SHORT,
+      values: [1, 1, 0, keys.length].concat(...keys),
+    });
+
+    if (defined(options.noData)) {
+      entries.push({
+        tag: 42113,
+        type: ASCII,
+        values: `${options.noData}\0`,
+      });
+    }
+  }
+  if (defined(options.jpegTables)) {
+    entries.push({ tag: 347, type: UNDEFINED, values: options.jpegTables });
+  }
+
+  return entries;
+}
+
+/**
+ * Encodes a GeoTIFF for testing.  The layout follows Cloud Optimized GeoTIFFs: the image file
+ * directories of the full resolution image and its overviews are at the start of the file,
+ * followed by the tiles or strips.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.width The width of the full resolution image.
+ * @param {Number} options.height The height of the full resolution image.
+ * @param {Function} options.getValue A function that takes the column, row, sample index and overview level
+ *        (0 for the full resolution image) and returns the value of a sample.
+ * @param {Number} [options.overviews=0] The number of overviews, each half the size of the previous image.
+ * @param {Number} [options.tileSize=16] The size of the tiles.
+ * @param {Number} [options.rowsPerStrip] If defined, the image is stored in strips instead of tiles.
+ * @param {Number} [options.samplesPerPixel=1] The number of samples per pixel.
+ * @param {Number} [options.bitsPerSample=8] The number of bits per sample.
+ * @param {Number} [options.sampleFormat=1] The sample format: 1 for unsigned integers, 2 for signed integers and 3 for floats.
+ * @param {Number} [options.photometric] The photometric interpretation.  Defaults to RGB for three or more samples and grayscale otherwise.
+ * @param {Number[]} [options.colorMap] The color map of palette images.
+ * @param {Number} [options.compression=1] 1 for no compression, 5 for LZW and 8 for deflate.
+ * @param {Number} [options.predictor=1] The predictor.
+ * @param {Number} [options.epsg=4326] 4326 for geographic coordinates or 3857 for Web Mercator.
+ * @param {Number[]} options.origin The coordinates of the upper-left corner of the image.
+ * @param {Number[]} options.pixelSize The width and height of a pixel of the full resolution image.
+ * @param {Boolean} [options.pixelIsPoint=false] Whether the origin is the center of the upper-left pixel.
+ * @param {Number} [options.noData] The no data value.
+ * @param {Boolean} [options.littleEndian=true] The byte order.
+ * @param {Boolean} [options.bigTiff=false] Whether to write a BigTIFF.
+ * @param {Function} [options.sparse] A function that takes the block column, block row and overview level and returns
+ *        true for blocks that should be omitted from the file.
+ * @returns {ArrayBuffer} The encoded GeoTIFF.
+ */
+function createGeoTiff(options) {
+  options = Object.assign({}, options);
+  options.samplesPerPixel = defaultValue(options.samplesPerPixel, 1);
+  options.bitsPerSample = defaultValue(options.bitsPerSample, 8);
+  options.sampleFormat = defaultValue(options.sampleFormat, 1);
+  options.photometric = defaultValue(
+    options.photometric,
+    options.samplesPerPixel >= 3 ? 2 : 1
+  );
+  options.compression = defaultValue(options.compression, 1);
+  options.predictor = defaultValue(options.predictor, 1);
+  options.tileSize = defaultValue(options.tileSize, 16);
+  options.epsg = defaultValue(options.epsg, 4326);
+  options.littleEndian = defaultValue(options.littleEndian, true);
+  options.bigTiff = defaultValue(options.bigTiff, false);
+
+  const bigTiff = options.bigTiff;
+  const littleEndian = options.littleEndian;
+  const headerSize = bigTiff ? 16 : 8;
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const offsetSize = bigTiff ? 8 : 4;
+
+  const levels = [];
+  const overviews = defaultValue(options.overviews, 0);
+  for (let i = 0; i <= overviews; ++i) {
+    const level = {
+      index: i,
+      width: Math.max(Math.ceil(options.width / (1 << i)), 1),
+      height: Math.max(Math.ceil(options.height / (1 << i)), 1),
+    };
+    level.layout = createBlocks(level, options);
+    level.entries = createEntries(level, level.layout, options);
+    levels.push(level);
+  }
+
+  // Lay out the image file directories and the values that do not fit in their entries
+  let offset = headerSize;
+  for (let i = 0; i < levels.length; ++i) {
+    const level = levels[i];
+    level.offset = offset;
+    offset += countSize + level.entries.length * entrySize + offsetSize;
+    for (let j = 0; j < level.entries.length; ++j) {
+      const entry = level.entries[j];
+      if (entry.offsets) {
+        entry.values = new Array(level.layout.blocks.length).fill(0);
+      }
+      const length = entry.values.length * typeSizes[entry.type];
+      if (length > offsetSize) {
+        entry.valueOffset = offset;
+        offset += length + (length % 2);
+      }
+    }
+  }
+
+  // Lay out the blocks
+  for (let i = 0; i < levels.length; ++i) {
+    const level = levels[i];
+    const blocks = level.layout.blocks;
+    const offsets = level.entries.find(function (entry) {
+      return entry.offsets;
+    });
+    for (let j = 0; j < blocks.length; ++j) {
+      offsets.values[j] = blocks[j].length > 0 ? offset : 0;
+      offset += blocks[j].length;
+    }
+  }
+
+  const buffer = new ArrayBuffer(offset);
+  const bytes = new Uint8Array(buffer);
+  const dataView = new DataView(buffer);
+
+  function writeOffset(position, value) {
+    if (bigTiff) {
+      dataView.setUint32(
+        position + (littleEndian ? 0 : 4),
+        value,
+        littleEndian
+      );
+      dataView.setUint32(position + (littleEndian ? 4 : 0), 0, littleEndian);
+    } else {
+      dataView.setUint32(position, value, littleEndian);
+    }
+  }
+
+  function writeValues(position, entry) {
+    const size = typeSizes[entry.type];
+    const values = entry.values;
+    for (let i = 0; i < values.length; ++i) {
+      const p = position + i * size;
+      switch (entry.type) {
+        case BYTE:
+        case UNDEFINED:
+          dataView.setUint8(p, values[i]);
+          break;
+        case ASCII:
+          dataView.setUint8(p, values.charCodeAt(i));
+          break;
+        case SHORT:
+          dataView.setUint16(p, values[i], littleEndian);
+          break;
+        case LONG:
+          dataView.setUint32(p, values[i], littleEndian);
+          break;
+        case DOUBLE:
+          dataView.setFloat64(p, values[i], littleEndian);
+          break;
+        case LONG8:
+          writeOffset(p, values[i]);
+          break;
+      }
+    }
+  }
+
+  bytes[0] = bytes[1] = littleEndian ? 0x49 : 0x4d;
+  dataView.setUint16(2, bigTiff ? 43 : 42, littleEndian);
+  if (bigTiff) {
+    dataView.setUint16(4, 8, littleEndian);
+    dataView.setUint16(6, 0, littleEndian);
+    writeOffset(8, levels[0].offset);
+  } else {
+    writeOffset(4, levels[0].offset);
+  }
+
+  for (let i = 0; i < levels.length; ++i) {
+    const level = levels[i];
+    const entries = level.entries.sort(function (a, b) {
+      return a.tag - b.tag;
+    });
+    let position = level.offset;
+    if (bigTiff) {
+      writeOffset(position, entries.length);
+    } else {
+      dataView.setUint16(position, entries.length, littleEndian);
+    }
+    position += countSize;
+
+    for (let j = 0; j < entries.length; ++j) {
+      const entry = entries[j];
+      dataView.setUint16(position, entry.tag, littleEndian);
+      dataView.setUint16(position + 2, entry.type, littleEndian);
+      if (bigTiff) {
+        writeOffset(position + 4, entry.values.length);
+      } else {
+        dataView.setUint32(position + 4, entry.values.length, littleEndian);
+      }
+      const valuePosition = position + (bigTiff ? 12 : 8);
+      if (defined(entry.valueOffset)) {
+        writeOffset(valuePosition, entry.valueOffset);
+        writeValues(entry.valueOffset, entry);
+      } else {
+        writeValues(valuePosition, entry);
+      }
+      position += entrySize;
+    }
+
+    const next = i < levels.length - 1 ? levels[i + 1].offset : 0;
+    writeOffset(position, next);
+
+    const blocks = level.layout.blocks;
+    const offsets = entries.find(function (entry) {
+      return entry.offsets;
+    }).values;
+    for (let j = 0; j < blocks.length; ++j) {
+      bytes.set(blocks[j], offsets[j]);
+    }
+  }
+
+  return buffer;
+}
+
+export default createGeoTiff;
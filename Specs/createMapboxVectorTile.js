@@ -0,0 +1,142 @@
+import * as protobuf from "protobufjs/dist/minimal/protobuf.js";
+import { defaultValue, defined } from "@cesium/engine";
+
+function zigZagEncode(value) {
+  return (value << 1) ^ (value >> 31);
+}
+
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+// Encodes parts of flat [x0, y0, x1, y1, ...] coordinates as geometry commands.
+// Points are encoded as a single MoveTo, lines as MoveTo + LineTo and rings
+// as MoveTo + LineTo + ClosePath.
+function encodeGeometry(type, parts) {
+  const commands = [];
+  let x = 0;
+  let y = 0;
+
+  function pushPoint(px, py) {
+    commands.push(zigZagEncode(px - x), zigZagEncode(py - y));
+    x = px;
+    y = py;
+  }
+
+  if (type === 1) {
+    const points = parts[0];
+    commands.push(command(1, points.length / 2));
+    for (let i = 0; i < points.length; i += 2) {
+      pushPoint(points[i], points[i + 1]);
+    }
+    return commands;
+  }
+
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    commands.push(command(1, 1));
+    pushPoint(part[0], part[1]);
+    commands.push(command(2, part.length / 2 - 1));
+    for (let j = 2; j < part.length; j += 2) {
+      pushPoint(part[j], part[j + 1]);
+    }
+    if (type === 3) {
+      commands.push(command(7, 1));
+    }
+  }
+  return commands;
+}
+
+function writeValue(writer, value) {
+  writer.uint32(34).fork();
+  if (typeof value === "string") {
+    writer.uint32(10).string(value);
+  } else if (typeof value === "boolean") {
+    writer.uint32(56).bool(value);
+  } else if (Number.isInteger(value)) {
+    writer.uint32(48).sint64(value);
+  } else {
+    writer.uint32(25).double(value);
+  }
+  writer.ldelim();
+}
+
+/**
+ * Encodes a Mapbox Vector Tile for testing.
+ *
+ * @param {Object[]} layers The layers.  Each layer has a <code>name</code>, an optional <code>extent</code>
+ *        and <code>features</code>.  Each feature has an optional <code>id</code>, a <code>type</code>
+ *        (1 for points, 2 for lines, 3 for polygons), optional <code>properties</code>, and a <code>geometry</code>
+ *        array of flat coordinate arrays.  Polygon geometry is a flat list of rings.
+ * @returns {Uint8Array} The encoded tile.
+ */
+function createMapboxVectorTile(layers) {
+  const writer = protobuf.Writer.create();
+
+  for (let i = 0; i < layers.length; ++i) {
+    const layer = layers[i];
+    const keys = [];
+    const values = [];
+
+    writer.uint32(26).fork();
+    writer.uint32(120).uint32(2);
+    writer.uint32(10).string(layer.name);
+
+    const features = layer.features;
+    for (let j = 0; j < features.length; ++j) {
+      const feature = features[j];
+      writer.uint32(18).fork();
+      if (defined(feature.id)) {
+        writer.uint32(8).uint64(feature.id);
+      }
+
+      const properties = defaultValue(feature.properties, {});
+      const tags = [];
+      for (const key in properties) {
+        if (properties.hasOwnProperty(key)) {
+          let keyIndex = keys.indexOf(key);
+          if (keyIndex === -1) {
+            keyIndex = keys.push(key) - 1;
+          }
+          let valueIndex = values.indexOf(properties[key]);
+          if (valueIndex === -1) {
+            valueIndex = values.push(properties[key]) - 1;
+          }
+          tags.push(keyIndex, valueIndex);
+        }
+      }
+      if (tags.length > 0) {
+        writer.uint32(18).fork();
+        for (let k = 0; k < tags.length; ++k) {
+          writer.uint32(tags[k]);
+        }
+        writer.ldelim();
+      }
+
+      writer.uint32(24).uint32(feature.type);
+
+      const commands = encodeGeometry(feature.type, feature.geometry);
+      writer.uint32(34).fork();
+      for (let k = 0; k < commands.length; ++k) {
+        writer.uint32(commands[k]);
+      }
+      writer.ldelim();
+
+      writer.ldelim();
+    }
+
+    for (let j = 0; j < keys.length; ++j) {
+      writer.uint32(26).string(keys[j]);
+    }
+    for (let j = 0; j < values.length; ++j) {
+      writeValue(writer, values[j]);
+    }
+    writer.uint32(40).uint32(defaultValue(layer.extent, 4096));
+
+    writer.ldelim();
+  }
+
+  return writer.finish();
+}
+
+export default createMapboxVectorTile;
@@ -1,4 +1,5 @@
 import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
 import Cartographic from "./Cartographic.js";
 import Check from "./Check.js";
 import defaultValue from "./defaultValue.js";
@@ -156,6 +157,12 @@ BoundingRectangle.fromPoints = function (positions, result) {
 const defaultProjection = new GeographicProjection();
 const fromRectangleLowerLeft = new Cartographic();
 const fromRectangleUpperRight = new Cartographic();
+const fromRectangleSample = new Cartographic();
+const fromRectangleEdgeSamples = 16;
+const fromRectangleEdgePositions = new Array(fromRectangleEdgeSamples * 4);
+for (let i = 0; i < fromRectangleEdgePositions.length; ++i) {
+  fromRectangleEdgePositions[i] = new Cartesian3();
+}
 /**
  * Computes a bounding rectangle from a rectangle.
  *
@@ -179,6 +186,57 @@ BoundingRectangle.fromRectangle = function (rectangle, projection, result) {
 
   projection = defaultValue(projection, defaultProjection);
 
+  if (projection.isNormalCylindrical === false) {
+    // Meridians and parallels are curved, so the extremes are not at the corners.  The projection is
+    // conformal, so they are on the edges of the rectangle.
+    const west = rectangle.west;
+    const south = rectangle.south;
+    const width = Rectangle.computeWidth(rectangle);
+    const height = Rectangle.computeHeight(rectangle);
+    const positions = fromRectangleEdgePositions;
+    for (let i = 0; i < fromRectangleEdgeSamples; ++i) {
+      const u = i / fromRectangleEdgeSamples;
+      const v = 1.0 - u;
+      projection.project(
+        Cartographic.fromRadians(
+          west + u * width,
+          south,
+          0.0,
+          fromRectangleSample
+        ),
+        positions[i * 4]
+      );
+      projection.project(
+        Cartographic.fromRadians(
+          west + width,
+          south + u * height,
+          0.0,
+          fromRectangleSample
+        ),
+        positions[i * 4 + 1]
+      );
+      projection.project(
+        Cartographic.fromRadians(
+          west + v * width,
+          south + height,
+          0.0,
+          fromRectangleSample
+        ),
+        positions[i * 4 + 2]
+      );
+      projection.project(
+        Cartographic.fromRadians(
+          west,
+          south + v * height,
+          0.0,
+          fromRectangleSample
+        ),
+        positions[i * 4 + 3]
+      );
+    }
+    return BoundingRectangle.fromPoints(positions, result);
+  }
+
   const lowerLeft = projection.project(
     Rectangle.southwest(rectangle, fromRectangleLowerLeft)
   );
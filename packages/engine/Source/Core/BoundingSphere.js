@@ -1,3 +1,4 @@
+import BoundingRectangle from "./BoundingRectangle.js";
 import Cartesian3 from "./Cartesian3.js";
 import Cartographic from "./Cartographic.js";
 import Check from "./Check.js";
@@ -228,6 +229,7 @@ const fromRectangle2DLowerLeft = new Cartesian3();
 const fromRectangle2DUpperRight = new Cartesian3();
 const fromRectangle2DSouthwest = new Cartographic();
 const fromRectangle2DNortheast = new Cartographic();
+const fromRectangle2DBoundingRectangle = new BoundingRectangle();
 
 /**
  * Computes a bounding sphere from a rectangle projected in 2D.
@@ -277,6 +279,25 @@ BoundingSphere.fromRectangleWithHeights2D = function (
 
   projection = defaultValue(projection, defaultProjection);
 
+  if (projection.isNormalCylindrical === false) {
+    const boundingRectangle = BoundingRectangle.fromRectangle(
+      rectangle,
+      projection,
+      fromRectangle2DBoundingRectangle
+    );
+    const width = boundingRectangle.width;
+    const height = boundingRectangle.height;
+    const elevation = maximumHeight - minimumHeight;
+
+    result.radius =
+      Math.sqrt(width * width + height * height + elevation * elevation) * 0.5;
+    const center = result.center;
+    center.x = boundingRectangle.x + width * 0.5;
+    center.y = boundingRectangle.y + height * 0.5;
+    center.z = minimumHeight + elevation * 0.5;
+    return result;
+  }
+
   Rectangle.southwest(rectangle, fromRectangle2DSouthwest);
   fromRectangle2DSouthwest.height = minimumHeight;
   Rectangle.northeast(rectangle, fromRectangle2DNortheast);
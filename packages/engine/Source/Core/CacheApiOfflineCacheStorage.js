@@ -0,0 +1,169 @@
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+/**
+ * A {@link OfflineCacheStorage} that stores responses with the Cache API, which makes them available
+ * to a service worker as well.  The Cache API is only available in secure contexts and only stores
+ * responses to http and https URLs.
+ *
+ * @alias CacheApiOfflineCacheStorage
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.name="cesium-offline-cache"] The name of the cache.  The entries are stored in a second cache named with an additional "-entries" suffix.
+ *
+ * @see OfflineCache
+ * @see IndexedDBOfflineCacheStorage
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Cache|Cache}
+ */
+function CacheApiOfflineCacheStorage(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._name = defaultValue(options.name, "cesium-offline-cache");
+  this._cachesPromise = undefined;
+}
+
+Object.defineProperties(CacheApiOfflineCacheStorage.prototype, {
+  /**
+   * Gets the name of the cache.
+   * @memberof CacheApiOfflineCacheStorage.prototype
+   * @type {String}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+  },
+});
+
+function getEntriesCacheName(storage) {
+  return `${storage._name}-entries`;
+}
+
+// Resolves to the cache of responses and the cache of entries
+function openCaches(storage) {
+  if (!defined(storage._cachesPromise)) {
+    if (typeof caches === "undefined") {
+      return Promise.reject(
+        new RuntimeError("The Cache API is not supported.")
+      );
+    }
+    storage._cachesPromise = Promise.all([
+      caches.open(storage._name),
+      caches.open(getEntriesCacheName(storage)),
+    ]);
+  }
+  return storage._cachesPromise;
+}
+
+function createEntryResponse(entry) {
+  return new Response(
+    JSON.stringify({
+      url: entry.url,
+      size: entry.size,
+      lastAccessed: entry.lastAccessed,
+      contentType: entry.contentType,
+    }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+      },
+    }
+  );
+}
+
+/**
+ * Gets the entries of all stored responses.
+ *
+ * @returns {Promise<OfflineCacheStorage.Entry[]>} A promise that resolves to the entries.
+ */
+CacheApiOfflineCacheStorage.prototype.getEntries = function () {
+  return openCaches(this).then(function (openedCaches) {
+    const entriesCache = openedCaches[1];
+    return entriesCache.matchAll().then(function (responses) {
+      return Promise.all(
+        responses.map(function (response) {
+          return response.json();
+        })
+      );
+    });
+  });
+};
+
+/**
+ * Gets a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<ArrayBuffer|undefined>} A promise that resolves to the response, or undefined if it is not stored.
+ */
+CacheApiOfflineCacheStorage.prototype.get = function (url) {
+  return openCaches(this)
+    .then(function (openedCaches) {
+      return openedCaches[0].match(url);
+    })
+    .then(function (response) {
+      return defined(response) ? response.arrayBuffer() : undefined;
+    });
+};
+
+/**
+ * Stores a response, replacing any response already stored for its URL.
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @param {ArrayBuffer} data The response.
+ * @returns {Promise<void>} A promise that resolves when the response is stored.
+ */
+CacheApiOfflineCacheStorage.prototype.put = function (entry, data) {
+  return openCaches(this).then(function (openedCaches) {
+    return Promise.all([
+      openedCaches[0].put(entry.url, new Response(data)),
+      openedCaches[1].put(entry.url, createEntryResponse(entry)),
+    ]);
+  });
+};
+
+/**
+ * Updates the entry of a stored response.
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @returns {Promise<void>} A promise that resolves when the entry is updated.
+ */
+CacheApiOfflineCacheStorage.prototype.updateEntry = function (entry) {
+  return openCaches(this).then(function (openedCaches) {
+    return openedCaches[1].put(entry.url, createEntryResponse(entry));
+  });
+};
+
+/**
+ * Removes a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<void>} A promise that resolves when the response is removed.
+ */
+CacheApiOfflineCacheStorage.prototype.remove = function (url) {
+  return openCaches(this).then(function (openedCaches) {
+    return Promise.all([
+      openedCaches[0].delete(url),
+      openedCaches[1].delete(url),
+    ]);
+  });
+};
+
+/**
+ * Removes all stored responses.
+ *
+ * @returns {Promise<void>} A promise that resolves when the responses are removed.
+ */
+CacheApiOfflineCacheStorage.prototype.clear = function () {
+  if (typeof caches === "undefined") {
+    return Promise.reject(new RuntimeError("The Cache API is not supported."));
+  }
+  this._cachesPromise = undefined;
+  return Promise.all([
+    caches.delete(this._name),
+    caches.delete(getEntriesCacheName(this)),
+  ]);
+};
+export default CacheApiOfflineCacheStorage;
@@ -0,0 +1,286 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import Mgrs from "./Mgrs.js";
+import Rectangle from "./Rectangle.js";
+import UtmCoordinate from "./UtmCoordinate.js";
+
+// MGRS squares at least this size, in meters, are returned as rectangles to show the whole square
+const minimumSquareSize = 1000.0;
+
+const scratchUtmCoordinate = new UtmCoordinate();
+const scratchCorner = new UtmCoordinate();
+const scratchCorners = [
+  new Cartographic(),
+  new Cartographic(),
+  new Cartographic(),
+  new Cartographic(),
+];
+
+/**
+ * Geocodes queries containing grid references or coordinates of a position, without an external service.
+ * The following formats are recognized:
+ * <ul>
+ * <li>MGRS and USNG references, such as <code>4QFJ1234567890</code> or <code>4Q FJ 123 678</code>.</li>
+ * <li>UTM and UPS coordinates, such as <code>31U 448252 5411955</code>.</li>
+ * <li>Latitude and longitude in degrees, minutes and seconds, or in degrees and decimal minutes, with
+ *     hemisphere letters before or after the values, such as <code>40°26'46"N 79°58'56"W</code> or
+ *     <code>N 40 26.767, W 79 58.933</code>.  Without hemisphere letters, the latitude comes first and negative
+ *     values are south or west.</li>
+ * <li>The coordinates of any {@link NationalGrid} in <code>options.nationalGrids</code>.</li>
+ * </ul>
+ * <p>
+ * All interpretations of a query are returned, in the order above.  MGRS squares of 1 km or more are returned
+ * as a rectangle; other results are returned as a position on the ellipsoid, to which the {@link Geocoder}
+ * widget flies at a height above the terrain and where it shows a marker.
+ * </p>
+ *
+ * @alias CoordinateGeocoderService
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {NationalGrid[]} [options.nationalGrids=[]] The national grids whose coordinates are recognized.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid of the MGRS and UTM coordinates.
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer", {
+ *   geocoder: [
+ *     new Cesium.CoordinateGeocoderService(),
+ *     new Cesium.IonGeocoderService({ scene: scene })
+ *   ]
+ * });
+ *
+ * @see Mgrs
+ * @see UtmCoordinate
+ * @see NationalGrid
+ */
+function CoordinateGeocoderService(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  this._nationalGrids = defaultValue(options.nationalGrids, []).slice();
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+}
+
+Object.defineProperties(CoordinateGeocoderService.prototype, {
+  /**
+   * Gets the national grids whose coordinates are recognized.
+   * @memberof CoordinateGeocoderService.prototype
+   * @type {NationalGrid[]}
+   * @readonly
+   */
+  nationalGrids: {
+    get: function () {
+      return this._nationalGrids;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid of the MGRS and UTM coordinates.
+   * @memberof CoordinateGeocoderService.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * @function
+ *
+ * @param {String} query The query to be sent to the geocoder service
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+CoordinateGeocoderService.prototype.geocode = function (query) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("query", query);
+  //>>includeEnd('debug');
+
+  const displayName = query.trim();
+  const ellipsoid = this._ellipsoid;
+  const results = [];
+
+  const mgrsResult = geocodeMgrs(displayName, ellipsoid);
+  if (defined(mgrsResult)) {
+    results.push(mgrsResult);
+  }
+
+  const utm = UtmCoordinate.fromString(displayName, scratchUtmCoordinate);
+  if (defined(utm)) {
+    results.push(
+      createResult(
+        displayName,
+        UtmCoordinate.toCartographic(utm, ellipsoid),
+        ellipsoid
+      )
+    );
+  }
+
+  const cartographic = CoordinateGeocoderService._parseDegrees(displayName);
+  if (defined(cartographic)) {
+    results.push(createResult(displayName, cartographic, ellipsoid));
+  }
+
+  const nationalGrids = this._nationalGrids;
+  for (let i = 0; i < nationalGrids.length; ++i) {
+    const grid = nationalGrids[i];
+    const position = grid.parse(displayName);
+    if (defined(position)) {
+      const name = defined(grid.name)
+        ? `${displayName} (${grid.name})`
+        : displayName;
+      results.push(createResult(name, position, grid.projection.ellipsoid));
+    }
+  }
+
+  return Promise.resolve(results);
+};
+
+function createResult(displayName, cartographic, ellipsoid) {
+  const position = ellipsoid.cartographicToCartesian(
+    Cartographic.fromRadians(cartographic.longitude, cartographic.latitude)
+  );
+  return {
+    displayName: displayName,
+    destination: position,
+    position: position,
+  };
+}
+
+function geocodeMgrs(query, ellipsoid) {
+  const precision = Mgrs.getPrecision(query);
+  if (!defined(precision)) {
+    return undefined;
+  }
+  const utm = Mgrs.toUtmCoordinate(query, ellipsoid, scratchUtmCoordinate);
+  if (!defined(utm)) {
+    return undefined;
+  }
+
+  const center = Mgrs.toCartographic(query, {
+    center: true,
+    ellipsoid: ellipsoid,
+  });
+  const result = createResult(query, center, ellipsoid);
+
+  const size = Math.pow(10.0, 5 - precision);
+  if (size >= minimumSquareSize) {
+    for (let i = 0; i < 4; ++i) {
+      const corner = UtmCoordinate.clone(utm, scratchCorner);
+      corner.easting += i === 1 || i === 2 ? size : 0.0;
+      corner.northing += i >= 2 ? size : 0.0;
+      UtmCoordinate.toCartographic(corner, ellipsoid, scratchCorners[i]);
+    }
+    result.destination = Rectangle.fromCartographicArray(scratchCorners);
+  }
+  return result;
+}
+
+function parseAngle(text) {
+  let hemisphere;
+  let match = /^([NSEW])\s*(.*)$/.exec(text);
+  if (match !== null) {
+    hemisphere = match[1];
+    text = match[2];
+  } else {
+    match = /^(.*?)\s*([NSEW])$/.exec(text);
+    if (match !== null) {
+      text = match[1];
+      hemisphere = match[2];
+    }
+  }
+
+  if (!/^[+-]?\d[\d\s.°'":]*$/.test(text)) {
+    return undefined;
+  }
+  const values = text.match(/\d+(?:\.\d+)?/g);
+  const negative = text[0] === "-";
+  if (values.length > 3 || (negative && defined(hemisphere))) {
+    return undefined;
+  }
+
+  let degrees = 0.0;
+  for (let i = 0; i < values.length; ++i) {
+    const value = Number(values[i]);
+    // Only the last of the degrees, minutes and seconds may have a fraction
+    if (
+      (i > 0 && value >= 60.0) ||
+      (i < values.length - 1 && values[i].indexOf(".") !== -1)
+    ) {
+      return undefined;
+    }
+    degrees += value / Math.pow(60.0, i);
+  }
+
+  return {
+    degrees:
+      negative || hemisphere === "S" || hemisphere === "W" ? -degrees : degrees,
+    isLatitude: defined(hemisphere)
+      ? hemisphere === "N" || hemisphere === "S"
+      : undefined,
+    components: values.length,
+  };
+}
+
+/**
+ * Parses a latitude and longitude in degrees, minutes and seconds.
+ *
+ * @private
+ */
+CoordinateGeocoderService._parseDegrees = function (query) {
+  const text = query
+    .toUpperCase()
+    .replace(/[′’‘]/g, "'")
+    .replace(/[″”“]/g, '"')
+    .replace(/º/g, "°");
+
+  let parts;
+  if (text.indexOf(",") !== -1) {
+    parts = text.split(",");
+  } else {
+    const match =
+      /^\s*([NSEW][^NSEW]+)([NSEW][^NSEW]+)$/.exec(text) ||
+      /^([^NSEW]+[NSEW])([^NSEW]+[NSEW])\s*$/.exec(text);
+    parts = match !== null ? match.slice(1) : [];
+  }
+  if (parts.length !== 2) {
+    return undefined;
+  }
+
+  const first = parseAngle(parts[0].trim());
+  const second = parseAngle(parts[1].trim());
+  if (!defined(first) || !defined(second)) {
+    return undefined;
+  }
+
+  let latitude;
+  let longitude;
+  if (defined(first.isLatitude) || defined(second.isLatitude)) {
+    const firstIsLatitude = defined(first.isLatitude)
+      ? first.isLatitude
+      : !second.isLatitude;
+    if (defined(second.isLatitude) && second.isLatitude === firstIsLatitude) {
+      return undefined;
+    }
+    latitude = firstIsLatitude ? first : second;
+    longitude = firstIsLatitude ? second : first;
+  } else if (first.components > 1 || second.components > 1) {
+    latitude = first;
+    longitude = second;
+  } else {
+    // Decimal degrees without hemispheres are left to CartographicGeocoderService
+    return undefined;
+  }
+
+  if (
+    Math.abs(latitude.degrees) > 90.0 ||
+    Math.abs(longitude.degrees) > 180.0
+  ) {
+    return undefined;
+  }
+  return Cartographic.fromDegrees(longitude.degrees, latitude.degrees);
+};
+export default CoordinateGeocoderService;
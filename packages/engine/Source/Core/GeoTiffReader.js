@@ -0,0 +1,1005 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import CesiumMath from "./Math.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import loadImageFromTypedArray from "./loadImageFromTypedArray.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+import TaskProcessor from "./TaskProcessor.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+// TIFF tags
+const NEW_SUBFILE_TYPE = 254;
+const IMAGE_WIDTH = 256;
+const IMAGE_LENGTH = 257;
+const BITS_PER_SAMPLE = 258;
+const COMPRESSION = 259;
+const PHOTOMETRIC_INTERPRETATION = 262;
+const STRIP_OFFSETS = 273;
+const SAMPLES_PER_PIXEL = 277;
+const ROWS_PER_STRIP = 278;
+const STRIP_BYTE_COUNTS = 279;
+const PLANAR_CONFIGURATION = 284;
+const PREDICTOR = 317;
+const COLOR_MAP = 320;
+const TILE_WIDTH = 322;
+const TILE_LENGTH = 323;
+const TILE_OFFSETS = 324;
+const TILE_BYTE_COUNTS = 325;
+const SAMPLE_FORMAT = 339;
+const JPEG_TABLES = 347;
+const MODEL_PIXEL_SCALE = 33550;
+const MODEL_TIEPOINT = 33922;
+const MODEL_TRANSFORMATION = 34264;
+const GEO_KEY_DIRECTORY = 34735;
+const GDAL_NODATA = 42113;
+
+// GeoTIFF keys
+const GT_MODEL_TYPE = 1024;
+const GT_RASTER_TYPE = 1025;
+const PROJECTED_CS_TYPE = 3072;
+
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+const WEB_MERCATOR_CODES = [3857, 3785, 900913, 102100, 102113];
+
+// NewSubfileType flags
+const REDUCED_RESOLUTION = 1;
+const TRANSPARENCY_MASK = 4;
+
+const JPEG = 7;
+
+// Size in bytes of each TIFF field type
+const typeSizes = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8, // DOUBLE
+  16: 8, // LONG8
+  17: 8, // SLONG8
+  18: 8, // IFD8
+};
+
+const DEFAULT_HEADER_LENGTH = 65536;
+
+const decodeTaskProcessor = new TaskProcessor("decodeGeoTiffBlock");
+
+function OutOfRangeError(requiredLength) {
+  this.requiredLength = requiredLength;
+}
+
+/**
+ * Reads the header and the pixels of a GeoTIFF with HTTP range requests, so that only the parts
+ * of the file that are needed are downloaded.  The reader is intended for Cloud Optimized GeoTIFFs,
+ * whose image file directories are at the start of the file and whose full resolution image is
+ * followed by reduced resolution overviews.
+ * <p>
+ * Images in geographic coordinates and in Web Mercator are supported.  Images must be stored
+ * pixel-interleaved, with tiles or strips compressed with deflate, LZW, PackBits or JPEG, or not compressed.
+ * </p>
+ *
+ * @alias GeoTiffReader
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Resource|String} options.url The URL of the GeoTIFF.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Number} [options.maximumCachedBlocks=32] The number of decoded tiles or strips to keep in memory.
+ *
+ * @private
+ */
+function GeoTiffReader(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  this._resource = Resource.createIfNeeded(options.url);
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._maximumCachedBlocks = defaultValue(options.maximumCachedBlocks, 32);
+  this._cache = new Map();
+
+  this._littleEndian = true;
+  this._images = undefined;
+  this._isGeographic = false;
+  this._origin = undefined;
+  this._rectangle = undefined;
+  this._noDataValue = undefined;
+
+  this._ready = false;
+  const that = this;
+  this._readyPromise = loadHeader(this, DEFAULT_HEADER_LENGTH).then(
+    function () {
+      that._ready = true;
+      return that;
+    }
+  );
+}
+
+Object.defineProperties(GeoTiffReader.prototype, {
+  /**
+   * Gets the resource of the GeoTIFF.
+   * @memberof GeoTiffReader.prototype
+   * @type {Resource}
+   * @readonly
+   */
+  resource: {
+    get: function () {
+      return this._resource;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether the header has been read.
+   * @memberof GeoTiffReader.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to the reader once the header has been read.
+   * @memberof GeoTiffReader.prototype
+   * @type {Promise.<GeoTiffReader>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the images of the GeoTIFF, from the full resolution image to the coarsest overview.  Each image
+   * has <code>width</code>, <code>height</code>, <code>samplesPerPixel</code>, <code>bitsPerSample</code>,
+   * <code>sampleFormat</code>, <code>photometricInterpretation</code>, <code>compression</code>
+   * and <code>resolution</code>, the size of a pixel in radians of longitude, properties.
+   * @memberof GeoTiffReader.prototype
+   * @type {Object[]}
+   * @readonly
+   */
+  images: {
+    get: function () {
+      return this._images;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether the GeoTIFF is in geographic coordinates.  If false, it is in Web Mercator.
+   * @memberof GeoTiffReader.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  isGeographic: {
+    get: function () {
+      return this._isGeographic;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by the GeoTIFF.
+   * @memberof GeoTiffReader.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the value of pixels with no data, or undefined if all pixels have data.
+   * @memberof GeoTiffReader.prototype
+   * @type {Number|undefined}
+   * @readonly
+   */
+  noDataValue: {
+    get: function () {
+      return this._noDataValue;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid.
+   * @memberof GeoTiffReader.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+function fetchRange(resource, offset, length, request) {
+  const derivedResource = resource.getDerivedResource({
+    headers: {
+      Range: `bytes=${offset}-${offset + length - 1}`,
+    },
+    request: request,
+  });
+  const promise = derivedResource.fetchArrayBuffer();
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  return promise.then(function (buffer) {
+    // Servers that ignore the range header respond with the whole file
+    if (buffer.byteLength > length) {
+      const end = Math.min(offset + length, buffer.byteLength);
+      return new Uint8Array(buffer.slice(offset, end));
+    }
+    return new Uint8Array(buffer);
+  });
+}
+
+function loadHeader(reader, length) {
+  return fetchRange(reader._resource, 0, length).then(function (bytes) {
+    let header;
+    try {
+      header = parseHeader(bytes);
+    } catch (e) {
+      if (e instanceof OutOfRangeError) {
+        // The file is shorter than what the header refers to
+        if (bytes.length < length) {
+          throw new RuntimeError("Invalid GeoTIFF.");
+        }
+        return loadHeader(reader, Math.max(length * 2, e.requiredLength));
+      }
+      throw e;
+    }
+    initialize(reader, header);
+  });
+}
+
+function parseHeader(bytes) {
+  const dataView = new DataView(
+    bytes.buffer,
+    bytes.byteOffset,
+    bytes.byteLength
+  );
+  const byteLength = bytes.byteLength;
+
+  function check(offset, length) {
+    if (offset + length > byteLength) {
+      throw new OutOfRangeError(offset + length);
+    }
+  }
+
+  check(0, 8);
+  const byteOrder = dataView.getUint16(0, false);
+  let littleEndian;
+  if (byteOrder === 0x4949) {
+    littleEndian = true;
+  } else if (byteOrder === 0x4d4d) {
+    littleEndian = false;
+  } else {
+    throw new RuntimeError("Invalid GeoTIFF.");
+  }
+
+  function getUint64(offset) {
+    const low = dataView.getUint32(
+      offset + (littleEndian ? 0 : 4),
+      littleEndian
+    );
+    const high = dataView.getUint32(
+      offset + (littleEndian ? 4 : 0),
+      littleEndian
+    );
+    return high * 4294967296 + low;
+  }
+
+  function getInt64(offset) {
+    const low = dataView.getUint32(
+      offset + (littleEndian ? 0 : 4),
+      littleEndian
+    );
+    const high = dataView.getInt32(
+      offset + (littleEndian ? 4 : 0),
+      littleEndian
+    );
+    return high * 4294967296 + low;
+  }
+
+  function readValue(type, offset) {
+    switch (type) {
+      case 1:
+      case 2:
+      case 7:
+        return dataView.getUint8(offset);
+      case 3:
+        return dataView.getUint16(offset, littleEndian);
+      case 4:
+        return dataView.getUint32(offset, littleEndian);
+      case 5:
+        return (
+          dataView.getUint32(offset, littleEndian) /
+          dataView.getUint32(offset + 4, littleEndian)
+        );
+      case 6:
+        return dataView.getInt8(offset);
+      case 8:
+        return dataView.getInt16(offset, littleEndian);
+      case 9:
+        return dataView.getInt32(offset, littleEndian);
+      case 10:
+        return (
+          dataView.getInt32(offset, littleEndian) /
+          dataView.getInt32(offset + 4, littleEndian)
+        );
+      case 11:
+        return dataView.getFloat32(offset, littleEndian);
+      case 12:
+        return dataView.getFloat64(offset, littleEndian);
+      case 16:
+      case 18:
+        return getUint64(offset);
+      case 17:
+        return getInt64(offset);
+    }
+  }
+
+  const version = dataView.getUint16(2, littleEndian);
+  let bigTiff;
+  if (version === 42) {
+    bigTiff = false;
+  } else if (version === 43) {
+    bigTiff = true;
+  } else {
+    throw new RuntimeError("Invalid GeoTIFF.");
+  }
+
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const offsetSize = bigTiff ? 8 : 4;
+
+  function readOffset(offset) {
+    return bigTiff
+      ? getUint64(offset)
+      : dataView.getUint32(offset, littleEndian);
+  }
+
+  function readIfd(ifdOffset) {
+    check(ifdOffset, countSize);
+    const count = bigTiff
+      ? getUint64(ifdOffset)
+      : dataView.getUint16(ifdOffset, littleEndian);
+    const entriesOffset = ifdOffset + countSize;
+    check(entriesOffset, count * entrySize + offsetSize);
+
+    const tags = {};
+    for (let i = 0; i < count; ++i) {
+      const entryOffset = entriesOffset + i * entrySize;
+      const tag = dataView.getUint16(entryOffset, littleEndian);
+      const type = dataView.getUint16(entryOffset + 2, littleEndian);
+      const valueCount = bigTiff
+        ? getUint64(entryOffset + 4)
+        : dataView.getUint32(entryOffset + 4, littleEndian);
+      const typeSize = typeSizes[type];
+      if (!defined(typeSize)) {
+        continue;
+      }
+
+      const valueLength = valueCount * typeSize;
+      let valueOffset = entryOffset + (bigTiff ? 12 : 8);
+      if (valueLength > offsetSize) {
+        valueOffset = readOffset(valueOffset);
+      }
+      check(valueOffset, valueLength);
+
+      let value;
+      if (type === 2) {
+        value = "";
+        for (let j = 0; j < valueCount; ++j) {
+          const code = dataView.getUint8(valueOffset + j);
+          if (code === 0) {
+            break;
+          }
+          value += String.fromCharCode(code);
+        }
+      } else if (type === 1 || type === 7) {
+        value = bytes.slice(valueOffset, valueOffset + valueLength);
+      } else {
+        value = new Array(valueCount);
+        for (let j = 0; j < valueCount; ++j) {
+          value[j] = readValue(type, valueOffset + j * typeSize);
+        }
+      }
+      tags[tag] = value;
+    }
+
+    return {
+      tags: tags,
+      nextOffset: readOffset(entriesOffset + count * entrySize),
+    };
+  }
+
+  check(0, bigTiff ? 16 : 8);
+  let ifdOffset = readOffset(bigTiff ? 8 : 4);
+  const visited = new Set();
+  const ifds = [];
+  while (ifdOffset !== 0 && !visited.has(ifdOffset)) {
+    visited.add(ifdOffset);
+    const ifd = readIfd(ifdOffset);
+    ifds.push(ifd.tags);
+    ifdOffset = ifd.nextOffset;
+  }
+
+  if (ifds.length === 0) {
+    throw new RuntimeError("Invalid GeoTIFF.");
+  }
+
+  return {
+    littleEndian: littleEndian,
+    ifds: ifds,
+  };
+}
+
+function getTag(tags, tag, defaultTagValue) {
+  const value = tags[tag];
+  if (!defined(value)) {
+    return defaultTagValue;
+  }
+  return Array.isArray(value) || value instanceof Uint8Array ? value[0] : value;
+}
+
+function createImage(tags) {
+  const width = getTag(tags, IMAGE_WIDTH);
+  const height = getTag(tags, IMAGE_LENGTH);
+  if (!defined(width) || !defined(height)) {
+    throw new RuntimeError("Invalid GeoTIFF.");
+  }
+
+  const samplesPerPixel = getTag(tags, SAMPLES_PER_PIXEL, 1);
+  if (samplesPerPixel > 1 && getTag(tags, PLANAR_CONFIGURATION, 1) !== 1) {
+    throw new RuntimeError(
+      "Unsupported GeoTIFF planar configuration.  Samples must be interleaved."
+    );
+  }
+
+  const tiled = defined(tags[TILE_WIDTH]);
+  let blockWidth;
+  let blockHeight;
+  let offsets;
+  let byteCounts;
+  if (tiled) {
+    blockWidth = getTag(tags, TILE_WIDTH);
+    blockHeight = getTag(tags, TILE_LENGTH);
+    offsets = tags[TILE_OFFSETS];
+    byteCounts = tags[TILE_BYTE_COUNTS];
+  } else {
+    blockWidth = width;
+    blockHeight = Math.min(getTag(tags, ROWS_PER_STRIP, height), height);
+    offsets = tags[STRIP_OFFSETS];
+    byteCounts = tags[STRIP_BYTE_COUNTS];
+  }
+
+  if (!defined(offsets) || !defined(byteCounts)) {
+    throw new RuntimeError("Invalid GeoTIFF.");
+  }
+
+  return {
+    width: width,
+    height: height,
+    samplesPerPixel: samplesPerPixel,
+    bitsPerSample: getTag(tags, BITS_PER_SAMPLE, 1),
+    sampleFormat: getTag(tags, SAMPLE_FORMAT, 1),
+    photometricInterpretation: getTag(tags, PHOTOMETRIC_INTERPRETATION, 1),
+    compression: getTag(tags, COMPRESSION, 1),
+    predictor: getTag(tags, PREDICTOR, 1),
+    colorMap: tags[COLOR_MAP],
+    jpegTables: tags[JPEG_TABLES],
+    tiled: tiled,
+    blockWidth: blockWidth,
+    blockHeight: blockHeight,
+    blocksAcross: Math.ceil(width / blockWidth),
+    blocksDown: Math.ceil(height / blockHeight),
+    offsets: offsets,
+    byteCounts: byteCounts,
+    resolution: 0.0,
+  };
+}
+
+function readGeoKeys(tags) {
+  const directory = tags[GEO_KEY_DIRECTORY];
+  const geoKeys = {};
+  if (!defined(directory)) {
+    return geoKeys;
+  }
+  const count = directory[3];
+  for (let i = 0; i < count; ++i) {
+    const offset = 4 * (i + 1);
+    const location = directory[offset + 1];
+    // Only keys stored directly in the directory are needed
+    if (location === 0) {
+      geoKeys[directory[offset]] = directory[offset + 3];
+    }
+  }
+  return geoKeys;
+}
+
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+function initialize(reader, header) {
+  const ifds = header.ifds;
+  const first = ifds[0];
+
+  const images = [];
+  for (let i = 0; i < ifds.length; ++i) {
+    const subfileType = getTag(ifds[i], NEW_SUBFILE_TYPE, 0);
+    if ((subfileType & TRANSPARENCY_MASK) !== 0) {
+      continue;
+    }
+    if (i > 0 && (subfileType & REDUCED_RESOLUTION) === 0) {
+      continue;
+    }
+    images.push(createImage(ifds[i]));
+  }
+  images.sort(function (a, b) {
+    return b.width - a.width;
+  });
+
+  const geoKeys = readGeoKeys(first);
+  const projectedType = geoKeys[PROJECTED_CS_TYPE];
+  let isGeographic;
+  if (geoKeys[GT_MODEL_TYPE] === MODEL_TYPE_GEOGRAPHIC) {
+    isGeographic = true;
+  } else if (WEB_MERCATOR_CODES.indexOf(projectedType) !== -1) {
+    isGeographic = false;
+  } else if (defined(projectedType)) {
+    throw new RuntimeError(
+      `Unsupported GeoTIFF projection: EPSG:${projectedType}.`
+    );
+  } else {
+    throw new RuntimeError("The GeoTIFF is not georeferenced.");
+  }
+
+  const fullImage = images[0];
+  let originX;
+  let originY;
+  let pixelWidth;
+  let pixelHeight;
+  const transformation = first[MODEL_TRANSFORMATION];
+  const scale = first[MODEL_PIXEL_SCALE];
+  const tiepoint = first[MODEL_TIEPOINT];
+  if (defined(transformation)) {
+    if (transformation[1] !== 0.0 || transformation[4] !== 0.0) {
+      throw new RuntimeError("Rotated GeoTIFFs are not supported.");
+    }
+    pixelWidth = transformation[0];
+    pixelHeight = -transformation[5];
+    originX = transformation[3];
+    originY = transformation[7];
+  } else if (defined(scale) && defined(tiepoint)) {
+    pixelWidth = scale[0];
+    pixelHeight = scale[1];
+    originX = tiepoint[3] - tiepoint[0] * pixelWidth;
+    originY = tiepoint[4] + tiepoint[1] * pixelHeight;
+  } else {
+    throw new RuntimeError("The GeoTIFF is not georeferenced.");
+  }
+
+  if (geoKeys[GT_RASTER_TYPE] === RASTER_PIXEL_IS_POINT) {
+    originX -= pixelWidth * 0.5;
+    originY += pixelHeight * 0.5;
+  }
+
+  const west = originX;
+  const north = originY;
+  const east = originX + fullImage.width * pixelWidth;
+  const south = originY - fullImage.height * pixelHeight;
+
+  let rectangle;
+  if (isGeographic) {
+    rectangle = Rectangle.fromDegrees(
+      Math.max(west, -180.0),
+      Math.max(south, -90.0),
+      Math.min(east, 180.0),
+      Math.min(north, 90.0)
+    );
+  } else {
+    const projection = new WebMercatorProjection(reader._ellipsoid);
+    const southwest = projection.unproject(
+      Cartesian3.fromElements(west, south, 0.0, scratchCartesian),
+      scratchCartographic
+    );
+    rectangle = new Rectangle(southwest.longitude, southwest.latitude);
+    const northeast = projection.unproject(
+      Cartesian3.fromElements(east, north, 0.0, scratchCartesian),
+      scratchCartographic
+    );
+    rectangle.east = northeast.longitude;
+    rectangle.north = northeast.latitude;
+  }
+
+  const radiansPerUnit = isGeographic
+    ? CesiumMath.RADIANS_PER_DEGREE
+    : 1.0 / reader._ellipsoid.maximumRadius;
+  for (let i = 0; i < images.length; ++i) {
+    const image = images[i];
+    image.pixelWidth = (pixelWidth * fullImage.width) / image.width;
+    image.pixelHeight = (pixelHeight * fullImage.height) / image.height;
+    image.resolution = image.pixelWidth * radiansPerUnit;
+  }
+
+  let noDataValue;
+  const noData = first[GDAL_NODATA];
+  if (defined(noData) && noData.trim().length > 0) {
+    noDataValue = parseFloat(noData);
+    if (fullImage.sampleFormat === 3 && fullImage.bitsPerSample === 32) {
+      noDataValue = Math.fround(noDataValue);
+    }
+  }
+
+  reader._littleEndian = header.littleEndian;
+  reader._images = images;
+  reader._isGeographic = isGeographic;
+  reader._origin = new Cartesian3(originX, originY, 0.0);
+  reader._rectangle = rectangle;
+  reader._noDataValue = noDataValue;
+}
+
+/**
+ * Gets the index of the coarsest image whose pixels are no larger than the given resolution.
+ *
+ * @param {Number} resolution The size of a pixel, in radians of longitude.
+ * @returns {Number} The index of the image.
+ */
+GeoTiffReader.prototype.getImageIndex = function (resolution) {
+  const images = this._images;
+  const tolerance = resolution * CesiumMath.EPSILON5;
+  for (let i = images.length - 1; i > 0; --i) {
+    if (images[i].resolution <= resolution + tolerance) {
+      return i;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Computes the columns of an image that contain the given longitudes.
+ *
+ * @param {Number} imageIndex The index of the image.
+ * @param {Number[]|Float64Array} longitudes The longitudes, in radians.
+ * @param {Int32Array} [result] The array onto which to store the result.
+ * @returns {Int32Array} The columns, or -1 for longitudes outside of the image.
+ */
+GeoTiffReader.prototype.computeColumns = function (
+  imageIndex,
+  longitudes,
+  result
+) {
+  const image = this._images[imageIndex];
+  const length = longitudes.length;
+  if (!defined(result)) {
+    result = new Int32Array(length);
+  }
+
+  const projection = this._isGeographic
+    ? undefined
+    : new WebMercatorProjection(this._ellipsoid);
+  const originX = this._origin.x;
+  const cartographic = scratchCartographic;
+  for (let i = 0; i < length; ++i) {
+    let x;
+    if (this._isGeographic) {
+      x = CesiumMath.toDegrees(longitudes[i]);
+    } else {
+      cartographic.longitude = longitudes[i];
+      cartographic.latitude = 0.0;
+      cartographic.height = 0.0;
+      x = projection.project(cartographic, scratchCartesian).x;
+    }
+    const column = Math.floor((x - originX) / image.pixelWidth);
+    result[i] = column >= 0 && column < image.width ? column : -1;
+  }
+  return result;
+};
+
+/**
+ * Computes the rows of an image that contain the given latitudes.
+ *
+ * @param {Number} imageIndex The index of the image.
+ * @param {Number[]|Float64Array} latitudes The latitudes, in radians.
+ * @param {Int32Array} [result] The array onto which to store the result.
+ * @returns {Int32Array} The rows, or -1 for latitudes outside of the image.
+ */
+GeoTiffReader.prototype.computeRows = function (imageIndex, latitudes, result) {
+  const image = this._images[imageIndex];
+  const length = latitudes.length;
+  if (!defined(result)) {
+    result = new Int32Array(length);
+  }
+
+  const projection = this._isGeographic
+    ? undefined
+    : new WebMercatorProjection(this._ellipsoid);
+  const originY = this._origin.y;
+  const cartographic = scratchCartographic;
+  for (let i = 0; i < length; ++i) {
+    let y;
+    if (this._isGeographic) {
+      y = CesiumMath.toDegrees(latitudes[i]);
+    } else {
+      cartographic.longitude = 0.0;
+      cartographic.latitude = latitudes[i];
+      cartographic.height = 0.0;
+      y = projection.project(cartographic, scratchCartesian).y;
+    }
+    const row = Math.floor((originY - y) / image.pixelHeight);
+    result[i] = row >= 0 && row < image.height ? row : -1;
+  }
+  return result;
+};
+
+function getArrayType(image) {
+  const bitsPerSample = image.bitsPerSample;
+  switch (image.sampleFormat) {
+    case 2:
+      return bitsPerSample === 8
+        ? Int8Array
+        : bitsPerSample === 16
+        ? Int16Array
+        : Int32Array;
+    case 3:
+      return bitsPerSample === 64 ? Float64Array : Float32Array;
+    default:
+      return bitsPerSample <= 8
+        ? Uint8Array
+        : bitsPerSample === 16
+        ? Uint16Array
+        : Uint32Array;
+  }
+}
+
+function decodeJpeg(bytes, samplesPerPixel) {
+  return loadImageFromTypedArray({
+    uint8Array: bytes,
+    format: "image/jpeg",
+  }).then(function (image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+    const pixelCount = image.width * image.height;
+    const samples = new Uint8Array(pixelCount * samplesPerPixel);
+    for (let i = 0; i < pixelCount; ++i) {
+      for (let j = 0; j < samplesPerPixel; ++j) {
+        samples[i * samplesPerPixel + j] = pixels[i * 4 + Math.min(j, 3)];
+      }
+    }
+    return samples;
+  });
+}
+
+function decodeBlock(reader, image, index, bytes) {
+  // Strips at the bottom of the image may have fewer rows
+  let height = image.blockHeight;
+  if (!image.tiled) {
+    height = Math.min(height, image.height - index * image.blockHeight);
+  }
+
+  const parameters = {
+    buffer: bytes.buffer,
+    compression: image.compression,
+    predictor: image.predictor,
+    width: image.blockWidth,
+    height: height,
+    samplesPerPixel: image.samplesPerPixel,
+    bitsPerSample: image.bitsPerSample,
+    sampleFormat: image.sampleFormat,
+    littleEndian: reader._littleEndian,
+    jpegTables: image.jpegTables,
+  };
+
+  return decodeTaskProcessor
+    .scheduleTask(parameters, [bytes.buffer])
+    .then(function (result) {
+      if (defined(result.jpeg)) {
+        return decodeJpeg(result.jpeg, image.samplesPerPixel);
+      }
+      return result.samples;
+    });
+}
+
+function requestBlock(reader, imageIndex, index, request) {
+  const key = `${imageIndex}/${index}`;
+  const cache = reader._cache;
+  const cached = cache.get(key);
+  if (defined(cached)) {
+    // Move the block to the back of the eviction order
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  const image = reader._images[imageIndex];
+  const byteCount = image.byteCounts[index];
+  let promise;
+  if (!defined(byteCount) || byteCount === 0) {
+    // Sparse files omit blocks that have no data
+    promise = Promise.resolve(undefined);
+  } else {
+    const rangePromise = fetchRange(
+      reader._resource,
+      image.offsets[index],
+      byteCount,
+      request
+    );
+    if (!defined(rangePromise)) {
+      return undefined;
+    }
+    promise = rangePromise
+      .then(function (bytes) {
+        return decodeBlock(reader, image, index, bytes);
+      })
+      .catch(function (error) {
+        cache.delete(key);
+        return Promise.reject(error);
+      });
+  }
+
+  cache.set(key, promise);
+  if (cache.size > reader._maximumCachedBlocks) {
+    cache.delete(cache.keys().next().value);
+  }
+  return promise;
+}
+
+function uniqueBlocks(indices, blockSize) {
+  const blocks = [];
+  for (let i = 0; i < indices.length; ++i) {
+    if (indices[i] === -1) {
+      continue;
+    }
+    const block = Math.floor(indices[i] / blockSize);
+    if (blocks.indexOf(block) === -1) {
+      blocks.push(block);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Reads the pixels of an image at the intersections of the given columns and rows, typically computed
+ * with {@link GeoTiffReader#computeColumns} and {@link GeoTiffReader#computeRows}.  The tiles or strips
+ * that contain the pixels are requested, decoded in a web worker and cached.
+ *
+ * @param {Number} imageIndex The index of the image.
+ * @param {Int32Array} columns The columns to read, with -1 for columns outside of the image.
+ * @param {Int32Array} rows The rows to read, with -1 for rows outside of the image.
+ * @param {Request} [request] The request object used for the first tile or strip that is not cached.
+ * @returns {Promise.<Object>|undefined} A promise for an object with <code>width</code>, <code>height</code>,
+ *          <code>samplesPerPixel</code>, <code>samples</code> and <code>valid</code> properties, where
+ *          <code>valid</code> is 0 for pixels outside of the image or with no data.  Undefined if the request was throttled.
+ */
+GeoTiffReader.prototype.readRaster = function (
+  imageIndex,
+  columns,
+  rows,
+  request
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!this._ready) {
+    throw new DeveloperError(
+      "readRaster must not be called before the reader is ready."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const image = this._images[imageIndex];
+  const blocksX = uniqueBlocks(columns, image.blockWidth);
+  const blocksY = uniqueBlocks(rows, image.blockHeight);
+
+  const blockIndices = [];
+  const promises = [];
+  for (let j = 0; j < blocksY.length; ++j) {
+    for (let i = 0; i < blocksX.length; ++i) {
+      const index = blocksY[j] * image.blocksAcross + blocksX[i];
+      const cached = this._cache.has(`${imageIndex}/${index}`);
+      const promise = requestBlock(this, imageIndex, index, request);
+      if (!defined(promise)) {
+        return undefined;
+      }
+      if (!cached) {
+        // Only the first block that is requested is throttled
+        request = undefined;
+      }
+      blockIndices.push(index);
+      promises.push(promise);
+    }
+  }
+
+  const noDataValue = this._noDataValue;
+  const ArrayType =
+    image.compression === JPEG ? Uint8Array : getArrayType(image);
+
+  return Promise.all(promises).then(function (results) {
+    const blocks = {};
+    for (let i = 0; i < blockIndices.length; ++i) {
+      blocks[blockIndices[i]] = results[i];
+    }
+
+    const width = columns.length;
+    const height = rows.length;
+    const samplesPerPixel = image.samplesPerPixel;
+    const samples = new ArrayType(width * height * samplesPerPixel);
+    const valid = new Uint8Array(width * height);
+    const blockWidth = image.blockWidth;
+    const blockHeight = image.blockHeight;
+    const checkNoData = defined(noDataValue);
+    const noDataIsNaN = checkNoData && isNaN(noDataValue);
+
+    for (let y = 0; y < height; ++y) {
+      const row = rows[y];
+      if (row === -1) {
+        continue;
+      }
+      const blockY = Math.floor(row / blockHeight);
+      const blockRow = row - blockY * blockHeight;
+      for (let x = 0; x < width; ++x) {
+        const column = columns[x];
+        if (column === -1) {
+          continue;
+        }
+        const blockX = Math.floor(column / blockWidth);
+        const block = blocks[blockY * image.blocksAcross + blockX];
+        if (!defined(block)) {
+          continue;
+        }
+
+        const source =
+          (blockRow * blockWidth + column - blockX * blockWidth) *
+          samplesPerPixel;
+        const value = block[source];
+        if (
+          checkNoData &&
+          (value === noDataValue || (noDataIsNaN && isNaN(value)))
+        ) {
+          continue;
+        }
+
+        const pixel = y * width + x;
+        const destination = pixel * samplesPerPixel;
+        for (let s = 0; s < samplesPerPixel; ++s) {
+          samples[destination + s] = block[source + s];
+        }
+        valid[pixel] = 1;
+      }
+    }
+
+    return {
+      width: width,
+      height: height,
+      samplesPerPixel: samplesPerPixel,
+      samples: samples,
+      valid: valid,
+    };
+  });
+};
+export default GeoTiffReader;
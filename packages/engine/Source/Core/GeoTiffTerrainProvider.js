@@ -0,0 +1,536 @@
+import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Event from "./Event.js";
+import GeographicTilingScheme from "./GeographicTilingScheme.js";
+import GeoTiffReader from "./GeoTiffReader.js";
+import HeightmapTerrainData from "./HeightmapTerrainData.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import RuntimeError from "./RuntimeError.js";
+import TerrainProvider from "./TerrainProvider.js";
+import TileAvailability from "./TileAvailability.js";
+import TileProviderError from "./TileProviderError.js";
+import WebMercatorTilingScheme from "./WebMercatorTilingScheme.js";
+
+const JPEG = 7;
+
+/**
+ * A {@link TerrainProvider} that produces terrain geometry by tessellating height maps
+ * read directly from a single-band digital elevation model (DEM) stored as a Cloud Optimized
+ * GeoTIFF (COG) with HTTP range requests, without a tile server.
+ * <p>
+ * The heights of each tile are sampled from the overview whose resolution best matches the tile,
+ * so coarse tiles only read the small overviews of the GeoTIFF.  Tiles are available down to the level
+ * whose posts are as close as the pixels of the full resolution image, and only where the GeoTIFF has data.
+ * The GeoTIFF must be in geographic coordinates or in Web Mercator, with integer or floating point heights
+ * in meters above the ellipsoid.  Posts with no data, or outside of the GeoTIFF, have a height of zero.
+ * </p>
+ *
+ * @alias GeoTiffTerrainProvider
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Resource|String} options.url The URL of the GeoTIFF.  The server must support HTTP range requests.
+ * @param {Ellipsoid} [options.ellipsoid] The ellipsoid.  If not specified, the WGS84 ellipsoid is used.
+ * @param {Number} [options.width=65] The number of columns per heightmap tile.
+ * @param {Number} [options.height=65] The number of rows per heightmap tile.
+ * @param {Credit|String} [options.credit] A credit for the data source, which is displayed on the canvas.
+ * @param {Number} [options.maximumCachedBlocks=32] The number of decoded GeoTIFF tiles or strips to keep in memory.
+ *
+ * @example
+ * const terrainProvider = new Cesium.GeoTiffTerrainProvider({
+ *   url : 'https://data.example.com/elevation/dem_cog.tif',
+ *   credit : 'National elevation model'
+ * });
+ * viewer.terrainProvider = terrainProvider;
+ *
+ * @see TerrainProvider
+ * @see GeoTiffImageryProvider
+ * @see {@link https://www.cogeo.org/|Cloud Optimized GeoTIFF}
+ */
+function GeoTiffTerrainProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  this._reader = new GeoTiffReader({
+    url: options.url,
+    ellipsoid: options.ellipsoid,
+    maximumCachedBlocks: options.maximumCachedBlocks,
+  });
+
+  this._ellipsoid = options.ellipsoid;
+  this._width = defaultValue(options.width, 65);
+  this._height = defaultValue(options.height, 65);
+  this._tilingScheme = undefined;
+  this._levelZeroMaximumGeometricError = undefined;
+  this._maximumLevel = undefined;
+  this._availability = undefined;
+
+  this._errorEvent = new Event();
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._ready = false;
+
+  const that = this;
+  const resource = this._reader.resource;
+  this._readyPromise = this._reader.readyPromise
+    .then(function (reader) {
+      initialize(that, reader);
+      that._ready = true;
+      TileProviderError.reportSuccess(that._errorEvent);
+      return true;
+    })
+    .catch(function (e) {
+      const message = `An error occurred while reading the GeoTIFF ${resource.url}: ${e.message}`;
+      TileProviderError.reportError(undefined, that, that._errorEvent, message);
+      return Promise.reject(new RuntimeError(message));
+    });
+}
+
+const scratchCartographic = new Cartographic();
+const scratchTileXY = new Cartesian2();
+
+function initialize(provider, reader) {
+  const image = reader.images[0];
+  if (image.samplesPerPixel !== 1 || image.compression === JPEG) {
+    throw new RuntimeError(
+      "Only single-band elevation GeoTIFFs are supported."
+    );
+  }
+
+  const tilingScheme = (provider._tilingScheme = reader.isGeographic
+    ? new GeographicTilingScheme({ ellipsoid: provider._ellipsoid })
+    : new WebMercatorTilingScheme({ ellipsoid: provider._ellipsoid }));
+
+  const numberOfXTilesAtLevelZero = tilingScheme.getNumberOfXTilesAtLevel(0);
+  provider._levelZeroMaximumGeometricError = TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+    tilingScheme.ellipsoid,
+    Math.max(provider._width, provider._height),
+    numberOfXTilesAtLevelZero
+  );
+
+  // The first level whose posts are as close as the pixels of the full resolution image
+  const levelZeroResolution =
+    tilingScheme.rectangle.width /
+    numberOfXTilesAtLevelZero /
+    (provider._width - 1);
+  const maximumLevel = (provider._maximumLevel = Math.max(
+    Math.ceil(
+      CesiumMath.log2(levelZeroResolution / image.resolution) -
+        CesiumMath.EPSILON5
+    ),
+    0
+  ));
+
+  // The whole globe is available at level zero so that there is always a tile to render.  Below it,
+  // only the tiles that overlap the GeoTIFF are available.
+  const availability = (provider._availability = new TileAvailability(
+    tilingScheme,
+    maximumLevel
+  ));
+  availability.addAvailableTileRange(
+    0,
+    0,
+    0,
+    numberOfXTilesAtLevelZero - 1,
+    tilingScheme.getNumberOfYTilesAtLevel(0) - 1
+  );
+
+  const rectangle = Rectangle.intersection(
+    reader.rectangle,
+    tilingScheme.rectangle
+  );
+  if (!defined(rectangle)) {
+    return;
+  }
+
+  // Shrink the rectangle slightly so that tiles that only touch the GeoTIFF are not available
+  const epsilon = image.resolution * CesiumMath.EPSILON3;
+  const northwest = Rectangle.northwest(rectangle, scratchCartographic);
+  northwest.longitude += epsilon;
+  northwest.latitude -= epsilon;
+  const west = [];
+  const north = [];
+  for (let level = 1; level <= maximumLevel; ++level) {
+    const tileXY = tilingScheme.positionToTileXY(
+      northwest,
+      level,
+      scratchTileXY
+    );
+    west.push(tileXY.x);
+    north.push(tileXY.y);
+  }
+
+  const southeast = Rectangle.southeast(rectangle, scratchCartographic);
+  southeast.longitude -= epsilon;
+  southeast.latitude += epsilon;
+  for (let level = 1; level <= maximumLevel; ++level) {
+    const tileXY = tilingScheme.positionToTileXY(
+      southeast,
+      level,
+      scratchTileXY
+    );
+    availability.addAvailableTileRange(
+      level,
+      west[level - 1],
+      north[level - 1],
+      tileXY.x,
+      tileXY.y
+    );
+  }
+}
+
+Object.defineProperties(GeoTiffTerrainProvider.prototype, {
+  /**
+   * Gets an event that is raised when the terrain provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this terrain provider is active.  Typically this is used to credit
+   * the source of the terrain.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets the URL of the GeoTIFF.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {String}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._reader.resource.url;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider, a {@link GeographicTilingScheme} for GeoTIFFs
+   * in geographic coordinates and a {@link WebMercatorTilingScheme} for GeoTIFFs in Web Mercator.
+   * This function should not be called before {@link GeoTiffTerrainProvider#ready} returns true.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      //>>includeStart('debug', pragmas.debug)
+      if (!this._ready) {
+        throw new DeveloperError(
+          "tilingScheme must not be called before the terrain provider is ready."
+        );
+      }
+      //>>includeEnd('debug');
+
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider is ready for use.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to true when the provider is ready for use.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Promise.<Boolean>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider includes a water mask.
+   * Water mask is not supported by {@link GeoTiffTerrainProvider}, so the return
+   * value will always be false.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasWaterMask: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the requested tiles include vertex normals.
+   * Vertex normals are not supported by {@link GeoTiffTerrainProvider}, so the return
+   * value will always be false.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasVertexNormals: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets an object that can be used to determine availability of terrain from this provider, such as
+   * at points and in rectangles.  This function should not be called before
+   * {@link GeoTiffTerrainProvider#ready} returns true.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {TileAvailability}
+   * @readonly
+   */
+  availability: {
+    get: function () {
+      //>>includeStart('debug', pragmas.debug)
+      if (!this._ready) {
+        throw new DeveloperError(
+          "availability must not be called before the terrain provider is ready."
+        );
+      }
+      //>>includeEnd('debug');
+
+      return this._availability;
+    },
+  },
+
+  /**
+   * Gets the number of columns per heightmap tile.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  width: {
+    get: function () {
+      return this._width;
+    },
+  },
+
+  /**
+   * Gets the number of rows per heightmap tile.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  height: {
+    get: function () {
+      return this._height;
+    },
+  },
+});
+
+// Moves coordinates that are within half a pixel outside of the GeoTIFF, or on its far edge, onto
+// its edge pixels, so that the posts along the edges of the GeoTIFF get heights.
+function clampToExtent(values, minimum, maximum, resolution) {
+  const inside = resolution * CesiumMath.EPSILON2;
+  const outside = resolution * 0.5;
+  for (let i = 0; i < values.length; ++i) {
+    const value = values[i];
+    if (value > minimum - outside && value < minimum + inside) {
+      values[i] = minimum + inside;
+    } else if (value > maximum - inside && value < maximum + outside) {
+      values[i] = maximum - inside;
+    }
+  }
+  return values;
+}
+
+const scratchRectangle = new Rectangle();
+const scratchCartesian = new Cartesian3();
+const scratchNorth = new Cartesian3();
+const scratchSouth = new Cartesian3();
+
+/**
+ * Requests the geometry for a given tile.  This function should not be called before
+ * {@link GeoTiffTerrainProvider#ready} returns true.  The result includes terrain
+ * data and indicates which child tiles are available.
+ *
+ * @param {Number} x The X coordinate of the tile for which to request geometry.
+ * @param {Number} y The Y coordinate of the tile for which to request geometry.
+ * @param {Number} level The level of the tile for which to request geometry.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise.<TerrainData>|undefined} A promise for the requested geometry.  If this method
+ *          returns undefined instead of a promise, it is an indication that too many requests are already
+ *          pending and the request will be retried later.
+ */
+GeoTiffTerrainProvider.prototype.requestTileGeometry = function (
+  x,
+  y,
+  level,
+  request
+) {
+  //>>includeStart('debug', pragmas.debug)
+  if (!this._ready) {
+    throw new DeveloperError(
+      "requestTileGeometry must not be called before the terrain provider is ready."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const reader = this._reader;
+  const tilingScheme = this._tilingScheme;
+  const projection = tilingScheme.projection;
+  const width = this._width;
+  const height = this._height;
+
+  const rectangle = tilingScheme.tileXYToRectangle(
+    x,
+    y,
+    level,
+    scratchRectangle
+  );
+  const imageIndex = reader.getImageIndex(rectangle.width / (width - 1));
+  const resolution = reader.images[imageIndex].resolution;
+  const extent = reader.rectangle;
+
+  // Posts are on the edges of the tile.  Like the imagery provider, longitude only depends on the
+  // column and latitude only on the row, linearly in the projected y coordinate.
+  const longitudes = new Float64Array(width);
+  for (let i = 0; i < width; ++i) {
+    longitudes[i] = rectangle.west + (i / (width - 1)) * rectangle.width;
+  }
+
+  const north = projection.project(
+    Rectangle.northwest(rectangle, scratchCartographic),
+    scratchNorth
+  ).y;
+  const south = projection.project(
+    Rectangle.southwest(rectangle, scratchCartographic),
+    scratchSouth
+  ).y;
+  const latitudes = new Float64Array(height);
+  const cartesian = scratchCartesian;
+  cartesian.x = 0.0;
+  for (let j = 0; j < height; ++j) {
+    cartesian.y = north - (j / (height - 1)) * (north - south);
+    latitudes[j] = projection.unproject(
+      cartesian,
+      scratchCartographic
+    ).latitude;
+  }
+
+  const promise = reader.readRaster(
+    imageIndex,
+    reader.computeColumns(
+      imageIndex,
+      clampToExtent(longitudes, extent.west, extent.east, resolution)
+    ),
+    reader.computeRows(
+      imageIndex,
+      clampToExtent(latitudes, extent.south, extent.north, resolution)
+    ),
+    request
+  );
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const childTileMask = this._availability.computeChildMaskForTile(level, x, y);
+  return promise.then(function (raster) {
+    const samples = raster.samples;
+    const valid = raster.valid;
+    const length = width * height;
+    const buffer = new Float32Array(length);
+    for (let i = 0; i < length; ++i) {
+      if (valid[i] !== 0) {
+        buffer[i] = samples[i];
+      }
+    }
+
+    return new HeightmapTerrainData({
+      buffer: buffer,
+      width: width,
+      height: height,
+      childTileMask: childTileMask,
+    });
+  });
+};
+
+/**
+ * Gets the maximum geometric error allowed in a tile at a given level.
+ *
+ * @param {Number} level The tile level for which to get the maximum geometric error.
+ * @returns {Number} The maximum geometric error.
+ */
+GeoTiffTerrainProvider.prototype.getLevelMaximumGeometricError = function (
+  level
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!this._ready) {
+    throw new DeveloperError(
+      "getLevelMaximumGeometricError must not be called before ready returns true."
+    );
+  }
+  //>>includeEnd('debug');
+
+  return this._levelZeroMaximumGeometricError / (1 << level);
+};
+
+/**
+ * Determines whether data for a tile is available to be loaded.
+ *
+ * @param {Number} x The X coordinate of the tile for which to request geometry.
+ * @param {Number} y The Y coordinate of the tile for which to request geometry.
+ * @param {Number} level The level of the tile for which to request geometry.
+ * @returns {Boolean|undefined} Undefined if not supported, otherwise true or false.
+ */
+GeoTiffTerrainProvider.prototype.getTileDataAvailable = function (x, y, level) {
+  if (!this._ready) {
+    return undefined;
+  }
+  return this._availability.isTileAvailable(level, x, y);
+};
+
+/**
+ * Makes sure we load availability data for a tile
+ *
+ * @param {Number} x The X coordinate of the tile for which to request geometry.
+ * @param {Number} y The Y coordinate of the tile for which to request geometry.
+ * @param {Number} level The level of the tile for which to request geometry.
+ * @returns {undefined} Availability is known once the GeoTIFF header is read, so nothing needs to be loaded.
+ */
+GeoTiffTerrainProvider.prototype.loadTileDataAvailability = function (
+  x,
+  y,
+  level
+) {
+  return undefined;
+};
+export default GeoTiffTerrainProvider;
@@ -4,6 +4,7 @@ import DeveloperError from "./DeveloperError.js";
  * @typedef {Object} GeocoderService.Result
  * @property {String} displayName The display name for a location
  * @property {Rectangle|Cartesian3} destination The bounding box for a location
+ * @property {Cartesian3} [position] The position of a located point, at which the {@link Geocoder} widget shows a marker
  */
 
 /**
@@ -15,6 +16,7 @@ import DeveloperError from "./DeveloperError.js";
  * @see BingMapsGeocoderService
  * @see PeliasGeocoderService
  * @see OpenCageGeocoderService
+ * @see CoordinateGeocoderService
  */
 function GeocoderService() {}
 
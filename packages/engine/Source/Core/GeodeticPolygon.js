@@ -0,0 +1,161 @@
+import Cartographic from "./Cartographic.js";
+import CesiumMath from "./Math.js";
+
+const scratchCartographic = new Cartographic();
+
+/**
+ * A polygon in longitude and latitude, for testing whether positions on the ellipsoid are inside of it.
+ * The longitudes of the vertices are unwrapped around the first one, so that polygons crossing the
+ * anti-meridian can be tested without special cases.
+ *
+ * @alias GeodeticPolygon
+ * @constructor
+ *
+ * @param {Cartesian3[]} positions The vertices of the polygon, which must not be at the center of the ellipsoid.
+ * @param {Ellipsoid} ellipsoid The ellipsoid on which the polygon lies.
+ *
+ * @private
+ */
+function GeodeticPolygon(positions, ellipsoid) {
+  const length = positions.length;
+  const longitudes = new Float64Array(length);
+  const latitudes = new Float64Array(length);
+  let west = Number.POSITIVE_INFINITY;
+  let east = Number.NEGATIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+  let referenceLongitude;
+  for (let i = 0; i < length; ++i) {
+    const cartographic = ellipsoid.cartesianToCartographic(
+      positions[i],
+      scratchCartographic
+    );
+    if (i === 0) {
+      referenceLongitude = cartographic.longitude;
+    }
+    const longitude =
+      referenceLongitude +
+      CesiumMath.negativePiToPi(cartographic.longitude - referenceLongitude);
+    const latitude = cartographic.latitude;
+    longitudes[i] = longitude;
+    latitudes[i] = latitude;
+    west = Math.min(west, longitude);
+    east = Math.max(east, longitude);
+    south = Math.min(south, latitude);
+    north = Math.max(north, latitude);
+  }
+
+  this._longitudes = longitudes;
+  this._latitudes = latitudes;
+  this._referenceLongitude = referenceLongitude;
+
+  /**
+   * The westernmost unwrapped longitude of the vertices, in radians.  It may be outside of [-PI, PI].
+   * @type {Number}
+   */
+  this.west = west;
+
+  /**
+   * The easternmost unwrapped longitude of the vertices, in radians.  It may be outside of [-PI, PI].
+   * @type {Number}
+   */
+  this.east = east;
+
+  /**
+   * The southernmost latitude of the vertices, in radians.
+   * @type {Number}
+   */
+  this.south = south;
+
+  /**
+   * The northernmost latitude of the vertices, in radians.
+   * @type {Number}
+   */
+  this.north = north;
+}
+
+/**
+ * Unwraps a longitude to within PI of the first vertex of the polygon.
+ *
+ * @param {Number} longitude The longitude, in radians.
+ * @returns {Number} The unwrapped longitude, in radians.
+ */
+GeodeticPolygon.prototype.unwrapLongitude = function (longitude) {
+  const referenceLongitude = this._referenceLongitude;
+  return (
+    referenceLongitude +
+    CesiumMath.negativePiToPi(longitude - referenceLongitude)
+  );
+};
+
+/**
+ * Determines whether the polygon may overlap a rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle, which must not cross the anti-meridian.
+ * @returns {Boolean} <code>false</code> if the rectangle is entirely outside of the bounds of the polygon.
+ */
+GeodeticPolygon.prototype.intersectsRectangle = function (rectangle) {
+  if (rectangle.south > this.north || rectangle.north < this.south) {
+    return false;
+  }
+  const halfWidth = (rectangle.east - rectangle.west) * 0.5;
+  const center = this.unwrapLongitude(rectangle.west + halfWidth);
+  return center - halfWidth <= this.east && center + halfWidth >= this.west;
+};
+
+/**
+ * Computes the texture coordinates of the vertices of the polygon within a rectangle, where the west and
+ * south edges of the rectangle are at 0.0 and its east and north edges are at 1.0.
+ *
+ * @param {Rectangle} rectangle The rectangle, which must not cross the anti-meridian.
+ * @returns {Float64Array} The texture coordinates of the vertices, as pairs of x and y.
+ */
+GeodeticPolygon.prototype.computeTextureCoordinates = function (rectangle) {
+  const width = rectangle.east - rectangle.west;
+  const height = rectangle.north - rectangle.south;
+
+  // The longitudes of the vertices are unwrapped around the rectangle rather than around the first vertex
+  const center = rectangle.west + width * 0.5;
+  const west = rectangle.west + this.unwrapLongitude(center) - center;
+
+  const longitudes = this._longitudes;
+  const latitudes = this._latitudes;
+  const length = longitudes.length;
+  const result = new Float64Array(length * 2);
+  for (let i = 0; i < length; ++i) {
+    result[i * 2] = (longitudes[i] - west) / width;
+    result[i * 2 + 1] = (latitudes[i] - rectangle.south) / height;
+  }
+  return result;
+};
+
+/**
+ * Determines whether a position is inside of the polygon.
+ *
+ * @param {Number} longitude The longitude of the position, in radians.
+ * @param {Number} latitude The latitude of the position, in radians.
+ * @returns {Boolean} <code>true</code> if the position is inside of the polygon.
+ */
+GeodeticPolygon.prototype.contains = function (longitude, latitude) {
+  const x = this.unwrapLongitude(longitude);
+  const y = latitude;
+  if (x < this.west || x > this.east || y < this.south || y > this.north) {
+    return false;
+  }
+
+  const longitudes = this._longitudes;
+  const latitudes = this._latitudes;
+  const length = longitudes.length;
+  let inside = false;
+  for (let i = 0, j = length - 1; i < length; j = i++) {
+    const xi = longitudes[i];
+    const yi = latitudes[i];
+    const xj = longitudes[j];
+    const yj = latitudes[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+export default GeodeticPolygon;
@@ -393,7 +393,7 @@ HeightmapTerrainData.prototype._createMeshSync = function (options) {
     );
   }
 
-  const vertexCountWithoutSkirts = result.gridWidth * result.gridHeight;
+  const vertexCountWithoutSkirts = this._width * this._height;
 
   // No need to clone here (as we do in the async version) because the result
   // is not coming from a web worker.
@@ -0,0 +1,171 @@
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+const responsesStoreName = "responses";
+const entriesStoreName = "entries";
+
+/**
+ * A {@link OfflineCacheStorage} that stores responses in an IndexedDB database.
+ *
+ * @alias IndexedDBOfflineCacheStorage
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.name="cesium-offline-cache"] The name of the database.
+ *
+ * @see OfflineCache
+ * @see CacheApiOfflineCacheStorage
+ */
+function IndexedDBOfflineCacheStorage(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._name = defaultValue(options.name, "cesium-offline-cache");
+  this._databasePromise = undefined;
+}
+
+Object.defineProperties(IndexedDBOfflineCacheStorage.prototype, {
+  /**
+   * Gets the name of the database.
+   * @memberof IndexedDBOfflineCacheStorage.prototype
+   * @type {String}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+  },
+});
+
+function openDatabase(storage) {
+  if (!defined(storage._databasePromise)) {
+    storage._databasePromise = new Promise(function (resolve, reject) {
+      if (typeof indexedDB === "undefined") {
+        reject(new RuntimeError("IndexedDB is not supported."));
+        return;
+      }
+
+      const request = indexedDB.open(storage._name, 1);
+      request.onupgradeneeded = function () {
+        const database = request.result;
+        database.createObjectStore(responsesStoreName);
+        database.createObjectStore(entriesStoreName, { keyPath: "url" });
+      };
+      request.onsuccess = function () {
+        resolve(request.result);
+      };
+      request.onerror = function () {
+        reject(request.error);
+      };
+    });
+  }
+  return storage._databasePromise;
+}
+
+// Runs callback in a transaction and resolves to the result of the request it returns, if any,
+// once the transaction completes
+function transact(storage, mode, callback) {
+  return openDatabase(storage).then(function (database) {
+    return new Promise(function (resolve, reject) {
+      const transaction = database.transaction(
+        [responsesStoreName, entriesStoreName],
+        mode
+      );
+      const request = callback(
+        transaction.objectStore(responsesStoreName),
+        transaction.objectStore(entriesStoreName)
+      );
+      transaction.oncomplete = function () {
+        resolve(defined(request) ? request.result : undefined);
+      };
+      transaction.onerror = transaction.onabort = function () {
+        reject(transaction.error);
+      };
+    });
+  });
+}
+
+function copyEntry(entry) {
+  return {
+    url: entry.url,
+    size: entry.size,
+    lastAccessed: entry.lastAccessed,
+    contentType: entry.contentType,
+  };
+}
+
+/**
+ * Gets the entries of all stored responses.
+ *
+ * @returns {Promise<OfflineCacheStorage.Entry[]>} A promise that resolves to the entries.
+ */
+IndexedDBOfflineCacheStorage.prototype.getEntries = function () {
+  return transact(this, "readonly", function (responses, entries) {
+    return entries.getAll();
+  });
+};
+
+/**
+ * Gets a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<ArrayBuffer|undefined>} A promise that resolves to the response, or undefined if it is not stored.
+ */
+IndexedDBOfflineCacheStorage.prototype.get = function (url) {
+  return transact(this, "readonly", function (responses) {
+    return responses.get(url);
+  });
+};
+
+/**
+ * Stores a response, replacing any response already stored for its URL.
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @param {ArrayBuffer} data The response.
+ * @returns {Promise<void>} A promise that resolves when the response is stored.
+ */
+IndexedDBOfflineCacheStorage.prototype.put = function (entry, data) {
+  return transact(this, "readwrite", function (responses, entries) {
+    responses.put(data, entry.url);
+    entries.put(copyEntry(entry));
+  });
+};
+
+/**
+ * Updates the entry of a stored response.
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @returns {Promise<void>} A promise that resolves when the entry is updated.
+ */
+IndexedDBOfflineCacheStorage.prototype.updateEntry = function (entry) {
+  return transact(this, "readwrite", function (responses, entries) {
+    entries.put(copyEntry(entry));
+  });
+};
+
+/**
+ * Removes a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<void>} A promise that resolves when the response is removed.
+ */
+IndexedDBOfflineCacheStorage.prototype.remove = function (url) {
+  return transact(this, "readwrite", function (responses, entries) {
+    responses.delete(url);
+    entries.delete(url);
+  });
+};
+
+/**
+ * Removes all stored responses.
+ *
+ * @returns {Promise<void>} A promise that resolves when the responses are removed.
+ */
+IndexedDBOfflineCacheStorage.prototype.clear = function () {
+  return transact(this, "readwrite", function (responses, entries) {
+    responses.clear();
+    entries.clear();
+  });
+};
+export default IndexedDBOfflineCacheStorage;
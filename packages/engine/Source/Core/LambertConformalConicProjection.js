@@ -0,0 +1,419 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * A Lambert conformal conic projection of an ellipsoid, like the projections of many national and
+ * state plane coordinate systems in the mid-latitudes.  The projection is true to scale along one standard
+ * parallel, or along two standard parallels when they differ.
+ *
+ * @alias LambertConformalConicProjection
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Number} [options.centralMeridian=0.0] The longitude, in radians, of the central meridian.
+ * @param {Number} [options.latitudeOfOrigin=0.0] The latitude, in radians, at which the northing is the false northing.
+ * @param {Number} [options.standardParallel1=options.latitudeOfOrigin] The latitude, in radians, of the first standard parallel.
+ * @param {Number} [options.standardParallel2=options.standardParallel1] The latitude, in radians, of the second standard parallel.
+ * @param {Number} [options.scaleFactor=1.0] The scale factor along the standard parallel when there is only one.
+ * @param {Number} [options.falseEasting=0.0] The easting, in meters, of the central meridian.
+ * @param {Number} [options.falseNorthing=0.0] The northing, in meters, of the latitude of origin.
+ * @param {Rectangle} [options.rectangle] The rectangle, in radians, shown in 2D and Columbus view when this projection
+ *        is the map projection of the scene.  Defaults to 90 degrees on each side of the central meridian, between the equator
+ *        and the pole at the apex of the cone.
+ *
+ * @exception {DeveloperError} The standard parallels must not be symmetric about the equator.
+ *
+ * @example
+ * // RGF93 / Lambert-93
+ * const projection = new Cesium.LambertConformalConicProjection({
+ *   ellipsoid: new Cesium.Ellipsoid(6378137.0, 6378137.0, 6356752.314140356),
+ *   centralMeridian: Cesium.Math.toRadians(3.0),
+ *   latitudeOfOrigin: Cesium.Math.toRadians(46.5),
+ *   standardParallel1: Cesium.Math.toRadians(49.0),
+ *   standardParallel2: Cesium.Math.toRadians(44.0),
+ *   falseEasting: 700000.0,
+ *   falseNorthing: 6600000.0,
+ * });
+ *
+ * @see MapProjection.fromProj4Definition
+ * @see TransverseMercatorProjection
+ * @see PolarStereographicProjection
+ */
+function LambertConformalConicProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  const latitudeOfOrigin = defaultValue(options.latitudeOfOrigin, 0.0);
+  const standardParallel1 = defaultValue(
+    options.standardParallel1,
+    latitudeOfOrigin
+  );
+  const standardParallel2 = defaultValue(
+    options.standardParallel2,
+    standardParallel1
+  );
+
+  this._ellipsoid = ellipsoid;
+  this._centralMeridian = centralMeridian;
+  this._latitudeOfOrigin = latitudeOfOrigin;
+  this._standardParallel1 = standardParallel1;
+  this._standardParallel2 = standardParallel2;
+  this._scaleFactor = defaultValue(options.scaleFactor, 1.0);
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+
+  const a = ellipsoid.maximumRadius;
+  const flattening = (a - ellipsoid.minimumRadius) / a;
+  this._eccentricity = Math.sqrt(flattening * (2.0 - flattening));
+
+  const m1 = computeM(this, standardParallel1);
+  const t1 = computeT(this, standardParallel1);
+  let n;
+  if (CesiumMath.equalsEpsilon(standardParallel1, standardParallel2, 1e-10)) {
+    n = Math.sin(standardParallel1);
+  } else {
+    const m2 = computeM(this, standardParallel2);
+    const t2 = computeT(this, standardParallel2);
+    n = (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  if (Math.abs(n) < CesiumMath.EPSILON10) {
+    throw new DeveloperError(
+      "The standard parallels must not be symmetric about the equator."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._n = n;
+  this._scaledF = a * this._scaleFactor * (m1 / (n * Math.pow(t1, n)));
+  this._radiusOfOrigin = computeRadius(this, latitudeOfOrigin);
+
+  if (defined(options.rectangle)) {
+    this._rectangle = Rectangle.clone(options.rectangle);
+  } else {
+    const halfWidth = CesiumMath.PI_OVER_TWO;
+    this._rectangle =
+      n > 0.0
+        ? new Rectangle(
+            centralMeridian - halfWidth,
+            0.0,
+            centralMeridian + halfWidth,
+            CesiumMath.PI_OVER_TWO
+          )
+        : new Rectangle(
+            centralMeridian - halfWidth,
+            -CesiumMath.PI_OVER_TWO,
+            centralMeridian + halfWidth,
+            0.0
+          );
+  }
+}
+
+Object.defineProperties(LambertConformalConicProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether meridians and parallels are straight lines along the axes of the map.
+   * This is always false for this projection.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  isNormalCylindrical: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, shown in 2D and Columbus view when this projection is the map projection of the scene.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the longitude, in radians, of the central meridian.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the latitude, in radians, at which the northing is the false northing.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  latitudeOfOrigin: {
+    get: function () {
+      return this._latitudeOfOrigin;
+    },
+  },
+
+  /**
+   * Gets the latitude, in radians, of the first standard parallel.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  standardParallel1: {
+    get: function () {
+      return this._standardParallel1;
+    },
+  },
+
+  /**
+   * Gets the latitude, in radians, of the second standard parallel.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  standardParallel2: {
+    get: function () {
+      return this._standardParallel2;
+    },
+  },
+
+  /**
+   * Gets the scale factor along the standard parallel.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting, in meters, of the central meridian.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing, in meters, of the latitude of origin.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+
+  /**
+   * Gets the proj4 definition of this projection, which can be passed to {@link MapProjection.fromProj4Definition}.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {String}
+   * @readonly
+   */
+  proj4Definition: {
+    get: function () {
+      return `+proj=lcc +lat_0=${CesiumMath.toDegrees(
+        this._latitudeOfOrigin
+      )} +lat_1=${CesiumMath.toDegrees(
+        this._standardParallel1
+      )} +lat_2=${CesiumMath.toDegrees(
+        this._standardParallel2
+      )} +lon_0=${CesiumMath.toDegrees(this._centralMeridian)} +k_0=${
+        this._scaleFactor
+      } +x_0=${this._falseEasting} +y_0=${this._falseNorthing} +a=${
+        this._ellipsoid.maximumRadius
+      } +b=${this._ellipsoid.minimumRadius} +units=m +no_defs`;
+    },
+  },
+});
+
+function computeM(projection, latitude) {
+  const e = projection._eccentricity;
+  const sinLatitude = Math.sin(latitude);
+  return (
+    Math.cos(latitude) / Math.sqrt(1.0 - e * e * sinLatitude * sinLatitude)
+  );
+}
+
+function computeT(projection, latitude) {
+  const e = projection._eccentricity;
+  const eSinLatitude = e * Math.sin(latitude);
+  return (
+    Math.tan(CesiumMath.PI_OVER_FOUR - latitude * 0.5) /
+    Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+  );
+}
+
+// The distance from the apex of the cone to the parallel
+function computeRadius(projection, latitude) {
+  const n = projection._n;
+  if (n > 0.0 && latitude >= CesiumMath.PI_OVER_TWO) {
+    return 0.0;
+  }
+  if (n < 0.0 && latitude <= -CesiumMath.PI_OVER_TWO) {
+    return 0.0;
+  }
+  return projection._scaledF * Math.pow(computeT(projection, latitude), n);
+}
+
+/**
+ * Projects a set of {@link Cartographic} coordinates, in radians, to eastings and northings, in meters.
+ * Z is the unmodified height.
+ *
+ * @param {Cartographic} cartographic The coordinates to project.
+ * @param {Cartesian3} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartesian3} The projected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+LambertConformalConicProjection.prototype.project = function (
+  cartographic,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartographic)) {
+    throw new DeveloperError("cartographic is required");
+  }
+  //>>includeEnd('debug');
+
+  const radius = computeRadius(this, cartographic.latitude);
+  const theta =
+    this._n *
+    CesiumMath.negativePiToPi(cartographic.longitude - this._centralMeridian);
+
+  const x = this._falseEasting + radius * Math.sin(theta);
+  const y =
+    this._falseNorthing + this._radiusOfOrigin - radius * Math.cos(theta);
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects a set of projected {@link Cartesian3} coordinates, in meters, to {@link Cartographic}
+ * coordinates, in radians.  Height is the unmodified Z coordinate.
+ *
+ * @param {Cartesian3} cartesian The Cartesian position to unproject with height (z) in meters.
+ * @param {Cartographic} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartographic} The unprojected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+LambertConformalConicProjection.prototype.unproject = function (
+  cartesian,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartesian)) {
+    throw new DeveloperError("cartesian is required");
+  }
+  //>>includeEnd('debug');
+
+  const n = this._n;
+  const sign = Math.sign(n);
+  const dx = cartesian.x - this._falseEasting;
+  const dy = this._radiusOfOrigin - (cartesian.y - this._falseNorthing);
+  const radius = sign * Math.sqrt(dx * dx + dy * dy);
+  const theta = Math.atan2(sign * dx, sign * dy);
+
+  // Iterate to the latitude of the parallel at the radius
+  const e = this._eccentricity;
+  const t = Math.pow(radius / this._scaledF, 1.0 / n);
+  let latitude = CesiumMath.PI_OVER_TWO - 2.0 * Math.atan(t);
+  for (let i = 0; i < 15; ++i) {
+    const eSinLatitude = e * Math.sin(latitude);
+    const next =
+      CesiumMath.PI_OVER_TWO -
+      2.0 *
+        Math.atan(
+          t * Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+        );
+    const done = Math.abs(next - latitude) < CesiumMath.EPSILON15;
+    latitude = next;
+    if (done) {
+      break;
+    }
+  }
+
+  const longitude = CesiumMath.negativePiToPi(
+    theta / n + this._centralMeridian
+  );
+  const height = cartesian.z;
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+export default LambertConformalConicProjection;
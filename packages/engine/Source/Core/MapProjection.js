@@ -1,8 +1,28 @@
+import BoundingRectangle from "./BoundingRectangle.js";
+import Cartesian2 from "./Cartesian2.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
 import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import GeographicProjection from "./GeographicProjection.js";
+import LambertConformalConicProjection from "./LambertConformalConicProjection.js";
+import CesiumMath from "./Math.js";
+import PolarStereographicProjection from "./PolarStereographicProjection.js";
+import RuntimeError from "./RuntimeError.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
 
 /**
  * Defines how geodetic ellipsoid coordinates ({@link Cartographic}) project to a
  * flat map like Cesium's 2D and Columbus View modes.
+ * <p>
+ * Projections whose meridians and parallels are not straight lines along the axes of the map, like
+ * {@link TransverseMercatorProjection}, also have a <code>rectangle</code> property with the rectangle, in
+ * radians, shown in 2D and Columbus view, and a <code>proj4Definition</code> property used to recreate
+ * the projection in web workers.
+ * </p>
  *
  * @alias MapProjection
  * @constructor
@@ -10,6 +30,9 @@ import DeveloperError from "./DeveloperError.js";
  *
  * @see GeographicProjection
  * @see WebMercatorProjection
+ * @see TransverseMercatorProjection
+ * @see LambertConformalConicProjection
+ * @see PolarStereographicProjection
  */
 function MapProjection() {
   DeveloperError.throwInstantiationError();
@@ -27,6 +50,19 @@ Object.defineProperties(MapProjection.prototype, {
   ellipsoid: {
     get: DeveloperError.throwInstantiationError,
   },
+
+  /**
+   * Gets a value indicating whether meridians and parallels are straight lines along the axes of the map.
+   * When undefined, the projection is assumed to be cylindrical.
+   *
+   * @memberof MapProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  isNormalCylindrical: {
+    get: DeveloperError.throwInstantiationError,
+  },
 });
 
 /**
@@ -59,4 +95,322 @@ MapProjection.prototype.project = DeveloperError.throwInstantiationError;
  *          created and returned.
  */
 MapProjection.prototype.unproject = DeveloperError.throwInstantiationError;
+
+// The semimajor axis and reciprocal flattening of the ellipsoids known to proj4
+const ellipsoids = {
+  WGS84: [6378137.0, 298.257223563],
+  GRS80: [6378137.0, 298.257222101],
+  WGS72: [6378135.0, 298.26],
+  airy: [6377563.396, 299.3249646],
+  mod_airy: [6377340.189, 299.3249646],
+  bessel: [6377397.155, 299.1528128],
+  bess_nam: [6377483.865, 299.1528128],
+  clrk66: [6378206.4, 294.9786982139],
+  clrk80: [6378249.145, 293.4663],
+  clrk80ign: [6378249.2, 293.4660212936269],
+  evrst30: [6377276.345, 300.8017],
+  helmert: [6378200.0, 298.3],
+  intl: [6378388.0, 297.0],
+  krass: [6378245.0, 298.3],
+  aust_SA: [6378160.0, 298.25],
+  GRS67: [6378160.0, 298.247167427],
+  sphere: [6370997.0, 0.0],
+};
+
+const datums = {
+  WGS84: "WGS84",
+  NAD83: "GRS80",
+  NAD27: "clrk66",
+  OSGB36: "airy",
+  ire65: "mod_airy",
+  potsdam: "bessel",
+  hermannskogel: "bessel",
+  nzgd49: "intl",
+  carthage: "clrk80ign",
+  GGRS87: "GRS80",
+};
+
+// The longitudes, in degrees, of the prime meridians known to proj4
+const primeMeridians = {
+  greenwich: 0.0,
+  lisbon: -9.131906111111,
+  paris: 2.337229166667,
+  bogota: -74.080916666667,
+  madrid: -3.687938888889,
+  rome: 12.452333333333,
+  bern: 7.439583333333,
+  jakarta: 106.807719444444,
+  ferro: -17.666666666667,
+  brussels: 4.367975,
+  stockholm: 18.058277777778,
+  athens: 23.7163375,
+  oslo: 10.722916666667,
+};
+
+function parseEllipsoid(parameters) {
+  let a;
+  let reciprocalFlattening;
+
+  let name = parameters.ellps;
+  if (!defined(name) && defined(parameters.datum)) {
+    name = datums[parameters.datum];
+    if (!defined(name)) {
+      throw new RuntimeError(`Unsupported datum: ${parameters.datum}`);
+    }
+  }
+  if (defined(name)) {
+    const ellipsoid = ellipsoids[name];
+    if (!defined(ellipsoid)) {
+      throw new RuntimeError(`Unsupported ellipsoid: ${name}`);
+    }
+    a = ellipsoid[0];
+    reciprocalFlattening = ellipsoid[1];
+  }
+
+  if (defined(parameters.R)) {
+    a = parseFloat(parameters.R);
+    reciprocalFlattening = 0.0;
+  }
+  if (defined(parameters.a)) {
+    a = parseFloat(parameters.a);
+  }
+
+  if (!defined(a)) {
+    return Ellipsoid.WGS84;
+  }
+
+  let b;
+  if (defined(parameters.b)) {
+    b = parseFloat(parameters.b);
+  } else if (defined(parameters.rf)) {
+    reciprocalFlattening = parseFloat(parameters.rf);
+  } else if (defined(parameters.f)) {
+    const flattening = parseFloat(parameters.f);
+    reciprocalFlattening = flattening === 0.0 ? 0.0 : 1.0 / flattening;
+  }
+  if (!defined(b)) {
+    reciprocalFlattening = defaultValue(reciprocalFlattening, 0.0);
+    b =
+      reciprocalFlattening === 0.0 ? a : a * (1.0 - 1.0 / reciprocalFlattening);
+  }
+
+  const wgs84 = Ellipsoid.WGS84;
+  if (
+    CesiumMath.equalsEpsilon(a, wgs84.maximumRadius, 0.0, 1e-3) &&
+    CesiumMath.equalsEpsilon(b, wgs84.minimumRadius, 0.0, 1e-3)
+  ) {
+    return wgs84;
+  }
+  return new Ellipsoid(a, a, b);
+}
+
+function parseAngle(parameters, name, primeMeridian) {
+  const value = parameters[name];
+  const degrees = defined(value) ? parseFloat(value) : 0.0;
+  return CesiumMath.toRadians(degrees + defaultValue(primeMeridian, 0.0));
+}
+
+function parseNumber(parameters, name, defaultNumber) {
+  const value = parameters[name];
+  return defined(value) ? parseFloat(value) : defaultNumber;
+}
+
+/**
+ * Creates a map projection from a proj4 definition, such as those published for each EPSG code.
+ * Geographic (<code>longlat</code>), spherical Mercator (<code>merc</code>), transverse Mercator (<code>tmerc</code>
+ * and <code>utm</code>), Lambert conformal conic (<code>lcc</code>) and polar stereographic (<code>stere</code>
+ * centered on a pole and <code>ups</code>) projections are supported.  Projected coordinates are always in meters,
+ * and datum shifts are ignored.
+ *
+ * @param {String} definition The proj4 definition.
+ * @returns {MapProjection} The map projection.
+ *
+ * @exception {RuntimeError} Unsupported projection.
+ *
+ * @example
+ * // EPSG:27700, British National Grid
+ * const projection = Cesium.MapProjection.fromProj4Definition(
+ *   "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m +no_defs"
+ * );
+ *
+ * @example
+ * // EPSG:32633, WGS 84 / UTM zone 33N
+ * const projection = Cesium.MapProjection.fromProj4Definition(
+ *   "+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs"
+ * );
+ */
+MapProjection.fromProj4Definition = function (definition) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("definition", definition);
+  //>>includeEnd('debug');
+
+  const parameters = {};
+  const tokens = definition.trim().split(/\s+/);
+  for (let i = 0; i < tokens.length; ++i) {
+    const token = tokens[i].replace(/^\+/, "");
+    const separator = token.indexOf("=");
+    if (separator === -1) {
+      parameters[token] = true;
+    } else {
+      parameters[token.substring(0, separator)] = token.substring(
+        separator + 1
+      );
+    }
+  }
+
+  const ellipsoid = parseEllipsoid(parameters);
+  let primeMeridian = 0.0;
+  if (defined(parameters.pm)) {
+    primeMeridian = defaultValue(
+      primeMeridians[parameters.pm],
+      parseFloat(parameters.pm)
+    );
+  }
+
+  const falseEasting = parseNumber(parameters, "x_0", 0.0);
+  const falseNorthing = parseNumber(parameters, "y_0", 0.0);
+  const centralMeridian = parseAngle(parameters, "lon_0", primeMeridian);
+  const latitudeOfOrigin = parseAngle(parameters, "lat_0");
+  const scaleFactor = parseNumber(
+    parameters,
+    "k_0",
+    parseNumber(parameters, "k", 1.0)
+  );
+  const south = defined(parameters.south);
+
+  const name = parameters.proj;
+  switch (name) {
+    case "longlat":
+    case "latlong":
+    case "lonlat":
+    case "latlon":
+      if (primeMeridian === 0.0) {
+        return new GeographicProjection(ellipsoid);
+      }
+      break;
+    case "merc":
+      // Only the spherical Mercator projection of Web Mercator is supported
+      if (
+        ellipsoid.maximumRadius === ellipsoid.minimumRadius &&
+        centralMeridian === 0.0 &&
+        falseEasting === 0.0 &&
+        falseNorthing === 0.0 &&
+        scaleFactor === 1.0 &&
+        parseNumber(parameters, "lat_ts", 0.0) === 0.0
+      ) {
+        return new WebMercatorProjection(
+          ellipsoid.maximumRadius === Ellipsoid.WGS84.maximumRadius
+            ? Ellipsoid.WGS84
+            : ellipsoid
+        );
+      }
+      break;
+    case "tmerc":
+      return new TransverseMercatorProjection({
+        ellipsoid: ellipsoid,
+        centralMeridian: centralMeridian,
+        latitudeOfOrigin: latitudeOfOrigin,
+        scaleFactor: scaleFactor,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    case "utm": {
+      const zone = parseInt(parameters.zone);
+      if (zone >= 1 && zone <= 60) {
+        return TransverseMercatorProjection.fromUtmZone(zone, south, ellipsoid);
+      }
+      break;
+    }
+    case "lcc":
+      return new LambertConformalConicProjection({
+        ellipsoid: ellipsoid,
+        centralMeridian: centralMeridian,
+        latitudeOfOrigin: latitudeOfOrigin,
+        standardParallel1: defined(parameters.lat_1)
+          ? parseAngle(parameters, "lat_1")
+          : latitudeOfOrigin,
+        standardParallel2: defined(parameters.lat_2)
+          ? parseAngle(parameters, "lat_2")
+          : undefined,
+        scaleFactor: scaleFactor,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    case "ups":
+      return PolarStereographicProjection.fromUps(south, ellipsoid);
+    case "stere": {
+      if (
+        Math.abs(Math.abs(latitudeOfOrigin) - CesiumMath.PI_OVER_TWO) >
+        CesiumMath.EPSILON10
+      ) {
+        break;
+      }
+      // A latitude of true scale at the pole is the same as a scale factor of one
+      let latitudeOfTrueScale;
+      if (defined(parameters.lat_ts)) {
+        latitudeOfTrueScale = parseAngle(parameters, "lat_ts");
+        if (
+          Math.abs(Math.abs(latitudeOfTrueScale) - CesiumMath.PI_OVER_TWO) <
+          CesiumMath.EPSILON10
+        ) {
+          latitudeOfTrueScale = undefined;
+        }
+      }
+      return new PolarStereographicProjection({
+        ellipsoid: ellipsoid,
+        southernHemisphere: latitudeOfOrigin < 0.0,
+        centralMeridian: centralMeridian,
+        scaleFactor: scaleFactor,
+        latitudeOfTrueScale: latitudeOfTrueScale,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    }
+  }
+
+  throw new RuntimeError(`Unsupported projection: ${definition}`);
+};
+
+const maximumCoordinateCartographic = new Cartographic(
+  CesiumMath.PI,
+  CesiumMath.PI_OVER_TWO
+);
+const maximumCoordinateRectangle = new BoundingRectangle();
+
+/**
+ * Computes the largest absolute values of the projected coordinates shown in 2D and Columbus view.
+ *
+ * @param {MapProjection} projection The map projection.
+ * @param {Cartesian2} [result] The object onto which to store the result.
+ * @returns {Cartesian2} The modified result parameter or a new Cartesian2 instance if one was not provided.
+ *
+ * @private
+ */
+MapProjection.computeMaximumCoordinate = function (projection, result) {
+  if (!defined(result)) {
+    result = new Cartesian2();
+  }
+
+  if (projection.isNormalCylindrical !== false) {
+    const projected = projection.project(maximumCoordinateCartographic);
+    result.x = projected.x;
+    result.y = projected.y;
+    return result;
+  }
+
+  const boundingRectangle = BoundingRectangle.fromRectangle(
+    projection.rectangle,
+    projection,
+    maximumCoordinateRectangle
+  );
+  result.x = Math.max(
+    Math.abs(boundingRectangle.x),
+    Math.abs(boundingRectangle.x + boundingRectangle.width)
+  );
+  result.y = Math.max(
+    Math.abs(boundingRectangle.y),
+    Math.abs(boundingRectangle.y + boundingRectangle.height)
+  );
+  return result;
+};
 export default MapProjection;
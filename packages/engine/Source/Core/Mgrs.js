@@ -0,0 +1,354 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+import UtmCoordinate from "./UtmCoordinate.js";
+
+const latitudeBands = "CDEFGHJKLMNPQRSTUVWX";
+
+// The column letters of the 100 km squares repeat every three zones, and the row letters every two million meters
+const utmColumnLetters = ["ABCDEFGH", "JKLMNPQR", "STUVWXYZ"];
+const utmRowLetters = "ABCDEFGHJKLMNPQRSTUV";
+
+// The 100 km squares of the polar zones, west and east of the 0° and 180° meridians
+const upsWestColumnLetters = "JKLPQRSTUXYZ";
+const upsEastColumnLetters = "ABCFGHJKLPQR";
+const upsRowLetters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const upsWestColumnOrigin = 800000.0;
+const upsEastColumnOrigin = 2000000.0;
+const upsNorthRowOrigin = 1300000.0;
+const upsSouthRowOrigin = 800000.0;
+
+// The squares of the polar zones cover 1,300 km to 2,700 km in the north, and 800 km to 3,200 km in the south
+function isInUpsSquares(easting, northing, north) {
+  const minimum = north ? 1300000.0 : 800000.0;
+  const maximum = north ? 2700000.0 : 3200000.0;
+  return (
+    easting >= minimum &&
+    easting < maximum &&
+    northing >= minimum &&
+    northing < maximum
+  );
+}
+
+const utmPattern = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/;
+const upsPattern = /^([ABYZ])([A-HJ-NP-Z])([A-HJ-NP-Z])(\d*)$/;
+
+const scratchUtmCoordinate = new UtmCoordinate();
+const scratchCartographic = new Cartographic();
+const scratchCartesian = new Cartesian3();
+
+/**
+ * Conversions between positions and references of the Military Grid Reference System (MGRS), such as
+ * <code>"31UDQ4825211954"</code>.  A reference is made of the grid zone designator, which is the UTM zone and
+ * latitude band, the letters of a 100 km square within the zone, and an equal number of digits of the easting and
+ * northing within the square, from none for the square itself to five for a precision of one meter.  Near the
+ * poles, the grid zone designator is a UPS band letter.
+ * <p>
+ * References of the US National Grid (USNG) are MGRS references whose parts are separated by spaces, such as
+ * <code>"31U DQ 48252 11954"</code>, and are converted with a <code>separator</code> of <code>" "</code>.
+ * The 100 km squares use the lettering of the WGS84 ellipsoid.
+ * </p>
+ *
+ * @namespace Mgrs
+ *
+ * @see UtmCoordinate
+ */
+const Mgrs = {};
+
+function truncate(value, precision) {
+  const digits = Math.floor(value / Math.pow(10, 5 - precision));
+  return digits.toString().padStart(precision, "0");
+}
+
+/**
+ * Creates the MGRS reference of UTM or UPS coordinates.
+ *
+ * @param {UtmCoordinate} utmCoordinate The coordinates.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.precision=5] The number of digits of the easting and northing, from 0 for a 100 km square
+ *        to 5 for a 1 m square.  The coordinates are truncated, not rounded, so that the reference is the square
+ *        that contains them.
+ * @param {String} [options.separator=""] The separator of the parts of the reference.
+ * @returns {String|undefined} The reference, or undefined if the coordinates are outside of the 100 km squares of their zone.
+ */
+Mgrs.fromUtmCoordinate = function (utmCoordinate, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const precision = defaultValue(options.precision, 5);
+  const separator = defaultValue(options.separator, "");
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("utmCoordinate", utmCoordinate);
+  Check.typeOf.number.greaterThanOrEquals("options.precision", precision, 0);
+  Check.typeOf.number.lessThanOrEquals("options.precision", precision, 5);
+  //>>includeEnd('debug');
+
+  const zone = utmCoordinate.zone;
+  const band = utmCoordinate.band;
+  const easting = utmCoordinate.easting;
+  const northing = utmCoordinate.northing;
+  if (easting < 0.0 || northing < 0.0) {
+    return undefined;
+  }
+
+  let gridZone;
+  let columnLetter;
+  let rowLetter;
+  if (zone === 0) {
+    const west = band === "A" || band === "Y";
+    const north = band === "Y" || band === "Z";
+    const columnOrigin = west ? upsWestColumnOrigin : upsEastColumnOrigin;
+    const rowOrigin = north ? upsNorthRowOrigin : upsSouthRowOrigin;
+    const columnLetters = west ? upsWestColumnLetters : upsEastColumnLetters;
+    if (!isInUpsSquares(easting, northing, north)) {
+      return undefined;
+    }
+
+    gridZone = band;
+    columnLetter =
+      columnLetters[Math.floor((easting - columnOrigin) / 100000.0)];
+    rowLetter = upsRowLetters[Math.floor((northing - rowOrigin) / 100000.0)];
+  } else {
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    gridZone = `${zone}${band}`;
+    columnLetter =
+      utmColumnLetters[(zone - 1) % 3][Math.floor(easting / 100000.0) - 1];
+    rowLetter =
+      utmRowLetters[(Math.floor(northing / 100000.0) + rowOffset) % 20];
+  }
+
+  if (!defined(columnLetter) || !defined(rowLetter)) {
+    return undefined;
+  }
+
+  const parts = [gridZone, columnLetter + rowLetter];
+  if (precision > 0) {
+    parts.push(
+      truncate(easting % 100000.0, precision),
+      truncate(northing % 100000.0, precision)
+    );
+  }
+  return parts.join(separator);
+};
+
+/**
+ * Creates the MGRS reference of a position.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.precision=5] The number of digits of the easting and northing, from 0 for a 100 km square
+ *        to 5 for a 1 m square.  The coordinates are truncated, not rounded, so that the reference is the square
+ *        that contains the position.
+ * @param {String} [options.separator=""] The separator of the parts of the reference.  Use <code>" "</code> for USNG.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {String} The reference.
+ *
+ * @example
+ * Cesium.Mgrs.fromCartographic(Cesium.Cartographic.fromDegrees(2.2945, 48.8584)); // "31UDQ4825211954"
+ *
+ * // A USNG reference with a precision of 10 meters
+ * Cesium.Mgrs.fromCartographic(Cesium.Cartographic.fromDegrees(-77.0365, 38.8977), {
+ *   precision: 4,
+ *   separator: " "
+ * }); // "18S UJ 2339 0739"
+ */
+Mgrs.fromCartographic = function (cartographic, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const utmCoordinate = UtmCoordinate.fromCartographic(
+    cartographic,
+    options,
+    scratchUtmCoordinate
+  );
+  return Mgrs.fromUtmCoordinate(utmCoordinate, options);
+};
+
+/**
+ * Converts an MGRS reference to the UTM or UPS coordinates of the southwest corner of its square.
+ * Spaces and letter case are ignored, so USNG references are also accepted.
+ *
+ * @param {String} mgrs The reference.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid, whose projection of the latitude bands determines
+ *        which of the 100 km squares with the same letters in a zone is referenced.
+ * @param {UtmCoordinate} [result] The object onto which to store the result.
+ * @returns {UtmCoordinate|undefined} The modified result parameter or a new UtmCoordinate instance if one was not
+ *          provided, or undefined if the string is not a valid MGRS reference.
+ */
+Mgrs.toUtmCoordinate = function (mgrs, ellipsoid, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("mgrs", mgrs);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const string = mgrs.replace(/\s+/g, "").toUpperCase();
+
+  let zone;
+  let band;
+  let easting;
+  let northing;
+  let digits;
+
+  let match = utmPattern.exec(string);
+  if (match !== null) {
+    zone = parseInt(match[1], 10);
+    band = match[2];
+    digits = match[5];
+    if (zone < 1 || zone > 60) {
+      return undefined;
+    }
+    // The zones 32X, 34X and 36X do not exist
+    if (band === "X" && (zone === 32 || zone === 34 || zone === 36)) {
+      return undefined;
+    }
+
+    const column = utmColumnLetters[(zone - 1) % 3].indexOf(match[3]);
+    if (column === -1) {
+      return undefined;
+    }
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const row = (utmRowLetters.indexOf(match[4]) - rowOffset + 20) % 20;
+    easting = (column + 1) * 100000.0;
+    northing = row * 100000.0;
+  } else {
+    match = upsPattern.exec(string);
+    if (match === null) {
+      return undefined;
+    }
+
+    zone = 0;
+    band = match[1];
+    digits = match[4];
+    const west = band === "A" || band === "Y";
+    const north = band === "Y" || band === "Z";
+    const column = (west ? upsWestColumnLetters : upsEastColumnLetters).indexOf(
+      match[2]
+    );
+    const row = upsRowLetters.indexOf(match[3]);
+    if (column === -1 || row === -1) {
+      return undefined;
+    }
+    easting =
+      (west ? upsWestColumnOrigin : upsEastColumnOrigin) + column * 100000.0;
+    northing = (north ? upsNorthRowOrigin : upsSouthRowOrigin) + row * 100000.0;
+    if (!isInUpsSquares(easting, northing, north)) {
+      return undefined;
+    }
+  }
+
+  if (digits.length % 2 !== 0 || digits.length > 10) {
+    return undefined;
+  }
+  const precision = digits.length / 2;
+  if (precision > 0) {
+    const scale = Math.pow(10, 5 - precision);
+    easting += parseInt(digits.substring(0, precision), 10) * scale;
+    northing += parseInt(digits.substring(precision), 10) * scale;
+  }
+
+  if (zone !== 0) {
+    // The row letters repeat every two million meters, so the square is the one above the southern edge of the
+    // band.  The edge is lowest at the central meridian, and the southwest corner of a square containing the
+    // edge may be up to 100 km below it.
+    const bandIndex = latitudeBands.indexOf(band);
+    const projection = TransverseMercatorProjection.fromUtmZone(
+      zone,
+      band < "N",
+      ellipsoid
+    );
+    scratchCartographic.longitude = CesiumMath.toRadians(zone * 6.0 - 183.0);
+    scratchCartographic.latitude = CesiumMath.toRadians(
+      -80.0 + bandIndex * 8.0
+    );
+    scratchCartographic.height = 0.0;
+    const bandNorthing = projection.project(
+      scratchCartographic,
+      scratchCartesian
+    ).y;
+    while (northing + 100000.0 < bandNorthing) {
+      northing += 2000000.0;
+    }
+  }
+
+  if (!defined(result)) {
+    result = new UtmCoordinate();
+  }
+  result.zone = zone;
+  result.band = band;
+  result.easting = easting;
+  result.northing = northing;
+  return result;
+};
+
+/**
+ * Converts an MGRS reference to a position.  Spaces and letter case are ignored, so USNG references are also
+ * accepted.
+ *
+ * @param {String} mgrs The reference.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Boolean} [options.center=false] If true, the position is the center of the square of the reference;
+ *        otherwise, it is the southwest corner of the square.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic|undefined} The modified result parameter or a new Cartographic instance if one was not
+ *          provided, or undefined if the string is not a valid MGRS reference.
+ *
+ * @example
+ * const position = Cesium.Mgrs.toCartographic("18S UJ 23390 07390");
+ */
+Mgrs.toCartographic = function (mgrs, options, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("mgrs", mgrs);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const utmCoordinate = Mgrs.toUtmCoordinate(
+    mgrs,
+    ellipsoid,
+    scratchUtmCoordinate
+  );
+  if (!defined(utmCoordinate)) {
+    return undefined;
+  }
+
+  if (defaultValue(options.center, false)) {
+    const precision = Mgrs.getPrecision(mgrs);
+    const halfSize = Math.pow(10, 5 - precision) * 0.5;
+    utmCoordinate.easting += halfSize;
+    utmCoordinate.northing += halfSize;
+  }
+
+  return UtmCoordinate.toCartographic(utmCoordinate, ellipsoid, result);
+};
+
+/**
+ * Gets the number of digits of the easting and northing of an MGRS reference, from 0 for a 100 km square
+ * to 5 for a 1 m square.
+ *
+ * @param {String} mgrs The reference.
+ * @returns {Number|undefined} The precision, or undefined if the string is not a valid MGRS reference.
+ */
+Mgrs.getPrecision = function (mgrs) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("mgrs", mgrs);
+  //>>includeEnd('debug');
+
+  const string = mgrs.replace(/\s+/g, "").toUpperCase();
+  const match = utmPattern.exec(string) || upsPattern.exec(string);
+  if (match === null) {
+    return undefined;
+  }
+  const digits = match[match.length - 1];
+  if (digits.length % 2 !== 0 || digits.length > 10) {
+    return undefined;
+  }
+  return digits.length / 2;
+};
+export default Mgrs;
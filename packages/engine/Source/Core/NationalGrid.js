@@ -0,0 +1,234 @@
+import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Rectangle from "./Rectangle.js";
+
+const scratchCartesian = new Cartesian3();
+const scratchCartesian2 = new Cartesian2();
+const scratchCartographic = new Cartographic();
+
+const coordinatePattern = /^(-?\d+(?:\.\d*)?)\s*(?:mE|E)?[\s,]+(-?\d+(?:\.\d*)?)\s*(?:mN|N)?$/i;
+
+function defaultFormat(easting, northing, precision) {
+  return `${easting.toFixed(precision)} ${northing.toFixed(precision)}`;
+}
+
+function defaultParse(string, result) {
+  const match = coordinatePattern.exec(string.trim());
+  if (match === null) {
+    return undefined;
+  }
+  return Cartesian2.fromElements(
+    parseFloat(match[1]),
+    parseFloat(match[2]),
+    result
+  );
+}
+
+/**
+ * A national or regional grid whose coordinates are the easting and northing of a map projection, usually a
+ * {@link TransverseMercatorProjection}, such as the Irish Transverse Mercator or the grids of many countries.
+ * By default, coordinates are formatted and parsed as the easting and northing in meters, such as
+ * <code>"715827 734698"</code>.  Grids with their own notation, such as lettered squares, supply their own
+ * format and parse functions.
+ * <p>
+ * Positions are projected on the ellipsoid of the projection without a datum transformation, so the ellipsoid
+ * should be that of a datum aligned with WGS84, or the offset between the datums is included in the coordinates.
+ * </p>
+ *
+ * @alias NationalGrid
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {MapProjection} options.projection The projection whose x and y coordinates are the easting and northing of the grid.
+ * @param {String} [options.name] The name of the grid.
+ * @param {Rectangle} [options.rectangle] The rectangle, in radians, in which the grid is used.  Defaults to the
+ *        <code>rectangle</code> of the projection, if it has one, or the whole globe.
+ * @param {NationalGrid.FormatCallback} [options.format] The function that formats coordinates.
+ * @param {NationalGrid.ParseCallback} [options.parse] The function that parses coordinates.
+ *
+ * @example
+ * // Irish Transverse Mercator
+ * const grid = new Cesium.NationalGrid({
+ *   name: "ITM",
+ *   projection: new Cesium.TransverseMercatorProjection({
+ *     centralMeridian: Cesium.Math.toRadians(-8.0),
+ *     latitudeOfOrigin: Cesium.Math.toRadians(53.5),
+ *     scaleFactor: 0.99982,
+ *     falseEasting: 600000.0,
+ *     falseNorthing: 750000.0,
+ *   }),
+ *   rectangle: Cesium.Rectangle.fromDegrees(-10.6, 51.3, -5.3, 55.5),
+ * });
+ * grid.format(Cesium.Cartographic.fromDegrees(-6.2603, 53.3498)); // "715827 734698"
+ *
+ * @see UtmCoordinate
+ * @see Mgrs
+ */
+function NationalGrid(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.projection", options.projection);
+  //>>includeEnd('debug');
+
+  const projection = options.projection;
+  this._projection = projection;
+  this._name = options.name;
+  this._rectangle = Rectangle.clone(
+    defaultValue(
+      options.rectangle,
+      defaultValue(projection.rectangle, Rectangle.MAX_VALUE)
+    )
+  );
+  this._format = defaultValue(options.format, defaultFormat);
+  this._parse = defaultValue(options.parse, defaultParse);
+}
+
+Object.defineProperties(NationalGrid.prototype, {
+  /**
+   * Gets the projection whose x and y coordinates are the easting and northing of the grid.
+   *
+   * @memberof NationalGrid.prototype
+   * @type {MapProjection}
+   * @readonly
+   */
+  projection: {
+    get: function () {
+      return this._projection;
+    },
+  },
+
+  /**
+   * Gets the name of the grid.
+   *
+   * @memberof NationalGrid.prototype
+   * @type {String|undefined}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, in which the grid is used.
+   *
+   * @memberof NationalGrid.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+});
+
+/**
+ * Converts a position to the easting and northing of the grid.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {Cartesian2} [result] The object onto which to store the easting in x and the northing in y.
+ * @returns {Cartesian2|undefined} The modified result parameter or a new Cartesian2 instance if one was not provided,
+ *          or undefined if the position is outside of the rectangle of the grid.
+ */
+NationalGrid.prototype.fromCartographic = function (cartographic, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  if (!Rectangle.contains(this._rectangle, cartographic)) {
+    return undefined;
+  }
+
+  const projected = this._projection.project(cartographic, scratchCartesian);
+  return Cartesian2.fromElements(projected.x, projected.y, result);
+};
+
+/**
+ * Converts the easting and northing of the grid to a position.
+ *
+ * @param {Cartesian2} coordinates The easting in x and the northing in y.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The modified result parameter or a new Cartographic instance if one was not provided.
+ */
+NationalGrid.prototype.toCartographic = function (coordinates, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("coordinates", coordinates);
+  //>>includeEnd('debug');
+
+  scratchCartesian.x = coordinates.x;
+  scratchCartesian.y = coordinates.y;
+  scratchCartesian.z = 0.0;
+  if (!defined(result)) {
+    result = new Cartographic();
+  }
+  return this._projection.unproject(scratchCartesian, result);
+};
+
+/**
+ * Formats the grid coordinates of a position.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {Number} [precision=0] The precision of the coordinates, which is the number of decimals of the meters
+ *        unless the grid has its own format function.
+ * @returns {String|undefined} The coordinates, or undefined if the position is outside of the rectangle of the grid.
+ */
+NationalGrid.prototype.format = function (cartographic, precision) {
+  const coordinates = this.fromCartographic(cartographic, scratchCartesian2);
+  if (!defined(coordinates)) {
+    return undefined;
+  }
+  return this._format(coordinates.x, coordinates.y, defaultValue(precision, 0));
+};
+
+/**
+ * Parses grid coordinates to a position.
+ *
+ * @param {String} string The coordinates.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic|undefined} The modified result parameter or a new Cartographic instance if one was not
+ *          provided, or undefined if the string is not valid coordinates or the position is outside of the
+ *          rectangle of the grid.
+ */
+NationalGrid.prototype.parse = function (string, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("string", string);
+  //>>includeEnd('debug');
+
+  const coordinates = this._parse(string, scratchCartesian2);
+  if (!defined(coordinates)) {
+    return undefined;
+  }
+
+  const cartographic = this.toCartographic(coordinates, scratchCartographic);
+  if (!Rectangle.contains(this._rectangle, cartographic)) {
+    return undefined;
+  }
+  return Cartographic.clone(cartographic, result);
+};
+
+/**
+ * A function that formats the easting and northing of a grid.
+ * @callback NationalGrid.FormatCallback
+ *
+ * @param {Number} easting The easting, in meters.
+ * @param {Number} northing The northing, in meters.
+ * @param {Number} precision The precision requested from {@link NationalGrid#format}.
+ * @returns {String} The formatted coordinates.
+ */
+
+/**
+ * A function that parses the easting and northing of a grid.
+ * @callback NationalGrid.ParseCallback
+ *
+ * @param {String} string The string to parse.
+ * @param {Cartesian2} result The object onto which to store the easting in x and the northing in y.
+ * @returns {Cartesian2|undefined} The result, or undefined if the string is not valid coordinates.
+ */
+export default NationalGrid;
@@ -0,0 +1,672 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import IndexedDBOfflineCacheStorage from "./IndexedDBOfflineCacheStorage.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import OfflineCachePolicy from "./OfflineCachePolicy.js";
+import RuntimeError from "./RuntimeError.js";
+
+// The number of tiles requested at the same time while seeding
+const seedConcurrency = 6;
+
+const scratchCartographic = new Cartographic();
+
+/**
+ * A persistent cache of the responses to {@link Resource} requests, so that imagery, terrain, 3D Tiles and glTF
+ * can be used while disconnected.  Responses are stored in a {@link OfflineCacheStorage}, which is an IndexedDB
+ * database by default, and the least recently used responses are evicted when the size limit is exceeded.
+ * <p>
+ * A cache is used by assigning it to {@link Resource.cache}.  Each GET request is then answered according to the
+ * {@link OfflineCachePolicy} of the first policy whose pattern matches its URL, or the default policy.
+ * Errors of the storage, for example when its quota is exceeded, are ignored so that they do not fail requests.
+ * </p>
+ *
+ * @alias OfflineCache
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {OfflineCacheStorage} [options.storage=new IndexedDBOfflineCacheStorage()] The storage of the responses.
+ * @param {Number} [options.maximumSize=536870912] The maximum size of the stored responses, in bytes.
+ * @param {OfflineCachePolicy} [options.defaultPolicy=OfflineCachePolicy.NETWORK_FIRST] The policy of URLs that do not match any of the policies.
+ * @param {OfflineCache.Policy[]} [options.policies=[]] The policies of URLs matching a pattern.  The first matching policy is used.
+ *
+ * @example
+ * // Store everything, answer tile requests from the cache, and never cache requests for access tokens
+ * Cesium.Resource.cache = new Cesium.OfflineCache({
+ *   maximumSize: 1024 * 1024 * 1024,
+ *   policies: [
+ *     {
+ *       pattern: /\/tiles\//,
+ *       policy: Cesium.OfflineCachePolicy.CACHE_FIRST,
+ *     },
+ *     {
+ *       pattern: "/v1/assets/",
+ *       policy: Cesium.OfflineCachePolicy.NETWORK_ONLY,
+ *     },
+ *   ],
+ * });
+ *
+ * @see Resource.cache
+ * @see OfflineCachePolicy
+ */
+function OfflineCache(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (defined(options.maximumSize)) {
+    Check.typeOf.number.greaterThanOrEquals(
+      "options.maximumSize",
+      options.maximumSize,
+      0
+    );
+  }
+  //>>includeEnd('debug');
+
+  /**
+   * The maximum size of the stored responses, in bytes.  When the size is exceeded, the least recently
+   * used responses are evicted as new responses are stored.
+   * @type {Number}
+   * @default 536870912
+   */
+  this.maximumSize = defaultValue(options.maximumSize, 512 * 1024 * 1024);
+
+  /**
+   * The policy of URLs that do not match any of the {@link OfflineCache#policies}.
+   * @type {OfflineCachePolicy}
+   * @default OfflineCachePolicy.NETWORK_FIRST
+   */
+  this.defaultPolicy = defaultValue(
+    options.defaultPolicy,
+    OfflineCachePolicy.NETWORK_FIRST
+  );
+
+  /**
+   * The policies of URLs matching a pattern.  The first matching policy is used.
+   * @type {OfflineCache.Policy[]}
+   */
+  this.policies = defined(options.policies) ? options.policies.slice() : [];
+
+  this._storage = defined(options.storage)
+    ? options.storage
+    : new IndexedDBOfflineCacheStorage();
+  this._entries = new Map();
+  this._size = 0;
+  this._lastAccessed = 0;
+  this._pendingStores = new Set();
+
+  const that = this;
+  this._readyPromise = this._storage
+    .getEntries()
+    .catch(function () {
+      return [];
+    })
+    .then(function (entries) {
+      for (let i = 0; i < entries.length; ++i) {
+        const entry = entries[i];
+        that._entries.set(entry.url, entry);
+        that._size += entry.size;
+        that._lastAccessed = Math.max(that._lastAccessed, entry.lastAccessed);
+      }
+      return that;
+    });
+}
+
+Object.defineProperties(OfflineCache.prototype, {
+  /**
+   * Gets a promise that resolves to this cache once the entries of the storage are loaded.
+   * @memberof OfflineCache.prototype
+   * @type {Promise<OfflineCache>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the storage of the responses.
+   * @memberof OfflineCache.prototype
+   * @type {OfflineCacheStorage}
+   * @readonly
+   */
+  storage: {
+    get: function () {
+      return this._storage;
+    },
+  },
+
+  /**
+   * Gets the size of the stored responses, in bytes.
+   * @memberof OfflineCache.prototype
+   * @type {Number}
+   * @readonly
+   */
+  size: {
+    get: function () {
+      return this._size;
+    },
+  },
+
+  /**
+   * Gets the number of stored responses.
+   * @memberof OfflineCache.prototype
+   * @type {Number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._entries.size;
+    },
+  },
+});
+
+// Access times are strictly increasing so that the order of accesses within a millisecond is kept
+function getAccessTime(cache) {
+  cache._lastAccessed = Math.max(Date.now(), cache._lastAccessed + 1);
+  return cache._lastAccessed;
+}
+
+function ignoreError() {}
+
+function removeEntry(cache, url) {
+  const entry = cache._entries.get(url);
+  if (!defined(entry)) {
+    return Promise.resolve();
+  }
+  cache._entries.delete(url);
+  cache._size -= entry.size;
+  return cache._storage.remove(url).catch(ignoreError);
+}
+
+function evict(cache) {
+  if (cache._size <= cache.maximumSize) {
+    return Promise.resolve();
+  }
+
+  const entries = Array.from(cache._entries.values()).sort(function (a, b) {
+    return a.lastAccessed - b.lastAccessed;
+  });
+  const promises = [];
+  for (let i = 0; i < entries.length && cache._size > cache.maximumSize; ++i) {
+    promises.push(removeEntry(cache, entries[i].url));
+  }
+  return Promise.all(promises);
+}
+
+/**
+ * Gets the policy of a URL.
+ *
+ * @param {String} url The URL.
+ * @returns {OfflineCachePolicy} The policy of the first of the {@link OfflineCache#policies} whose pattern matches the URL, or the default policy.
+ */
+OfflineCache.prototype.getPolicy = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  const policies = this.policies;
+  for (let i = 0; i < policies.length; ++i) {
+    const pattern = policies[i].pattern;
+    const matches =
+      typeof pattern === "string"
+        ? url.indexOf(pattern) !== -1
+        : pattern.test(url);
+    if (matches) {
+      return policies[i].policy;
+    }
+  }
+  return this.defaultPolicy;
+};
+
+/**
+ * Gets a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<ArrayBuffer|undefined>} A promise that resolves to the response, or undefined if it is not stored.
+ */
+OfflineCache.prototype.get = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  const that = this;
+  return this._readyPromise.then(function () {
+    const entry = that._entries.get(url);
+    if (!defined(entry)) {
+      return undefined;
+    }
+
+    entry.lastAccessed = getAccessTime(that);
+    that._storage.updateEntry(entry).catch(ignoreError);
+    return that._storage.get(url).catch(ignoreError);
+  });
+};
+
+/**
+ * Stores a response, replacing any response already stored for the URL, and evicts the least recently
+ * used responses if the size limit is exceeded.  Responses larger than the limit are not stored.
+ *
+ * @param {String} url The URL of the response.
+ * @param {ArrayBuffer} data The response.
+ * @param {String} [contentType] The MIME type of the response.
+ * @returns {Promise<void>} A promise that resolves when the response is stored.
+ */
+OfflineCache.prototype.put = function (url, data, contentType) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  Check.defined("data", data);
+  //>>includeEnd('debug');
+
+  const that = this;
+  return this._readyPromise.then(function () {
+    const size = data.byteLength;
+    if (size > that.maximumSize) {
+      return removeEntry(that, url);
+    }
+
+    const entry = {
+      url: url,
+      size: size,
+      lastAccessed: getAccessTime(that),
+      contentType: contentType,
+    };
+
+    // The entry is only recorded once it is stored.  If storing fails, a previous response may be lost too.
+    return that._storage
+      .put(entry, data)
+      .then(function () {
+        const previous = that._entries.get(url);
+        if (defined(previous)) {
+          that._size -= previous.size;
+        }
+        that._entries.set(url, entry);
+        that._size += size;
+        return evict(that);
+      })
+      .catch(function () {
+        return removeEntry(that, url);
+      });
+  });
+};
+
+/**
+ * Removes a stored response.
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<void>} A promise that resolves when the response is removed.
+ */
+OfflineCache.prototype.remove = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  const that = this;
+  return this._readyPromise.then(function () {
+    return removeEntry(that, url);
+  });
+};
+
+/**
+ * Removes all stored responses.
+ *
+ * @returns {Promise<void>} A promise that resolves when the responses are removed.
+ */
+OfflineCache.prototype.clear = function () {
+  const that = this;
+  return this._readyPromise.then(function () {
+    that._entries.clear();
+    that._size = 0;
+    return that._storage.clear().catch(ignoreError);
+  });
+};
+
+// Gets a stored response along with its content type
+function getResponse(cache, url) {
+  return cache.get(url).then(function (data) {
+    if (!defined(data)) {
+      return undefined;
+    }
+    const entry = cache._entries.get(url);
+    return {
+      data: data,
+      contentType: defined(entry) ? entry.contentType : undefined,
+    };
+  });
+}
+
+// Stores a response without waiting for it, keeping track of the pending stores so that seeding can wait for them
+function storeResponse(cache, url, response) {
+  // The response is copied because callers may transfer its buffer, for example to a web worker
+  const promise = cache.put(url, response.data.slice(0), response.contentType);
+  cache._pendingStores.add(promise);
+  promise.then(function () {
+    cache._pendingStores.delete(promise);
+  });
+}
+
+/**
+ * Answers a request according to the policy of its URL.  Responses from the network are returned right
+ * away and stored in the background.
+ *
+ * @param {String} url The URL of the request.
+ * @param {Function} load A function that sends the request to the network and returns a promise that resolves to an object with the response as an <code>ArrayBuffer</code> in its <code>data</code> property and its MIME type in its <code>contentType</code> property.
+ * @returns {Promise<Object|undefined>} A promise that resolves to an object with the <code>data</code> and <code>contentType</code> of the response.
+ *
+ * @private
+ */
+OfflineCache.prototype.request = function (url, load) {
+  const that = this;
+  function loadAndStore() {
+    return load().then(function (response) {
+      if (defined(response) && defined(response.data)) {
+        storeResponse(that, url, response);
+      }
+      return response;
+    });
+  }
+
+  switch (this.getPolicy(url)) {
+    case OfflineCachePolicy.NETWORK_ONLY:
+      return load();
+    case OfflineCachePolicy.CACHE_ONLY:
+      return getResponse(this, url).then(function (response) {
+        if (!defined(response)) {
+          return Promise.reject(
+            new RuntimeError(`${url} is not in the offline cache.`)
+          );
+        }
+        return response;
+      });
+    case OfflineCachePolicy.CACHE_FIRST:
+      return getResponse(this, url).then(function (response) {
+        return defined(response) ? response : loadAndStore();
+      });
+    default:
+      return loadAndStore().catch(function (error) {
+        return getResponse(that, url).then(function (response) {
+          return defined(response) ? response : Promise.reject(error);
+        });
+      });
+  }
+};
+
+// Gets the ranges of the tiles of a provider that cover a rectangle, by level
+function getTileRanges(provider, rectangle, minimumLevel, maximumLevel) {
+  const tilingScheme = provider.tilingScheme;
+  const intersection = Rectangle.intersection(
+    rectangle,
+    tilingScheme.rectangle
+  );
+  const ranges = [];
+  if (!defined(intersection)) {
+    return ranges;
+  }
+
+  for (let level = minimumLevel; level <= maximumLevel; ++level) {
+    const northwest = tilingScheme.positionToTileXY(
+      Rectangle.northwest(intersection, scratchCartographic),
+      level
+    );
+    const southeast = tilingScheme.positionToTileXY(
+      Rectangle.southeast(intersection, scratchCartographic),
+      level
+    );
+    if (!defined(northwest) || !defined(southeast)) {
+      continue;
+    }
+
+    ranges.push({
+      level: level,
+      x: northwest.x,
+      y: northwest.y,
+      xCount: southeast.x - northwest.x + 1,
+      yCount: southeast.y - northwest.y + 1,
+    });
+  }
+  return ranges;
+}
+
+function createSeedTasks(
+  provider,
+  rectangle,
+  minimumLevel,
+  maximumLevel,
+  load
+) {
+  // Rectangles that cross the antimeridian are split at it
+  let ranges;
+  if (rectangle.east < rectangle.west) {
+    ranges = getTileRanges(
+      provider,
+      new Rectangle(
+        rectangle.west,
+        rectangle.south,
+        CesiumMath.PI,
+        rectangle.north
+      ),
+      minimumLevel,
+      maximumLevel
+    ).concat(
+      getTileRanges(
+        provider,
+        new Rectangle(
+          -CesiumMath.PI,
+          rectangle.south,
+          rectangle.east,
+          rectangle.north
+        ),
+        minimumLevel,
+        maximumLevel
+      )
+    );
+  } else {
+    ranges = getTileRanges(provider, rectangle, minimumLevel, maximumLevel);
+  }
+  const tasks = [];
+  for (let i = 0; i < ranges.length; ++i) {
+    const range = ranges[i];
+    tasks.push({
+      range: range,
+      count: range.xCount * range.yCount,
+      load: load,
+    });
+  }
+  return tasks;
+}
+
+function seedTasks(cache, tasks, progressCallback) {
+  let total = 0;
+  for (let i = 0; i < tasks.length; ++i) {
+    total += tasks[i].count;
+  }
+
+  const result = {
+    tileCount: 0,
+    failedTileCount: 0,
+  };
+
+  // Tiles are handed out in order from a shared cursor so that a few are requested at a time
+  let taskIndex = 0;
+  let tileIndex = 0;
+  function nextTile() {
+    while (taskIndex < tasks.length && tileIndex >= tasks[taskIndex].count) {
+      ++taskIndex;
+      tileIndex = 0;
+    }
+    if (taskIndex >= tasks.length) {
+      return undefined;
+    }
+
+    const task = tasks[taskIndex];
+    const range = task.range;
+    const index = tileIndex++;
+    return {
+      load: task.load,
+      x: range.x + (index % range.xCount),
+      y: range.y + Math.floor(index / range.xCount),
+      level: range.level,
+    };
+  }
+
+  function work() {
+    const tile = nextTile();
+    if (!defined(tile)) {
+      return Promise.resolve();
+    }
+    return Promise.resolve()
+      .then(function () {
+        return tile.load(tile.x, tile.y, tile.level);
+      })
+      .catch(function () {
+        ++result.failedTileCount;
+      })
+      .then(function () {
+        ++result.tileCount;
+        if (defined(progressCallback)) {
+          progressCallback(result.tileCount, total);
+        }
+        return work();
+      });
+  }
+
+  const workers = [];
+  for (let i = 0; i < seedConcurrency; ++i) {
+    workers.push(work());
+  }
+  return Promise.all(workers)
+    .then(function () {
+      return Promise.all(Array.from(cache._pendingStores));
+    })
+    .then(function () {
+      return result;
+    });
+}
+
+/**
+ * Pre-seeds the cache with the imagery and terrain tiles that cover a rectangle, so that the area can be
+ * viewed while disconnected.  The tiles are requested from the providers and stored according to the policies
+ * of their URLs, so this cache must be assigned to {@link Resource.cache} and tiles whose URLs use
+ * {@link OfflineCachePolicy.NETWORK_ONLY} or {@link OfflineCachePolicy.CACHE_ONLY} are not stored.  Tiles that are
+ * already stored are not requested again if their URLs use {@link OfflineCachePolicy.CACHE_FIRST}.
+ * <p>
+ * 3D Tiles and glTF content is stored as it is viewed.
+ * </p>
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Rectangle} options.rectangle The rectangle to seed.
+ * @param {Number} options.maximumLevel The maximum level of the tiles to seed.
+ * @param {Number} [options.minimumLevel=0] The minimum level of the tiles to seed.
+ * @param {ImageryProvider} [options.imageryProvider] The provider of the imagery tiles.
+ * @param {TerrainProvider} [options.terrainProvider] The provider of the terrain tiles.  Tiles that the provider reports as unavailable are skipped.
+ * @param {OfflineCache.SeedProgressCallback} [options.progressCallback] A function called as each tile is done.
+ * @returns {Promise<OfflineCache.SeedResult>} A promise that resolves when all tiles are done and stored.
+ *
+ * @exception {DeveloperError} At least one of options.imageryProvider and options.terrainProvider is required.
+ *
+ * @example
+ * Cesium.Resource.cache = new Cesium.OfflineCache();
+ * Cesium.Resource.cache
+ *   .seed({
+ *     imageryProvider: viewer.imageryLayers.get(0).imageryProvider,
+ *     terrainProvider: viewer.terrainProvider,
+ *     rectangle: Cesium.Rectangle.fromDegrees(-75.2, 39.9, -75.1, 40.0),
+ *     maximumLevel: 16,
+ *     progressCallback: function (tileCount, totalTileCount) {
+ *       console.log(`${tileCount} of ${totalTileCount} tiles`);
+ *     },
+ *   })
+ *   .then(function (result) {
+ *     console.log(`${result.failedTileCount} tiles failed`);
+ *   });
+ */
+OfflineCache.prototype.seed = function (options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const rectangle = options.rectangle;
+  const minimumLevel = defaultValue(options.minimumLevel, 0);
+  const maximumLevel = options.maximumLevel;
+  const imageryProvider = options.imageryProvider;
+  const terrainProvider = options.terrainProvider;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.rectangle", rectangle);
+  Check.typeOf.number("options.maximumLevel", maximumLevel);
+  if (!defined(imageryProvider) && !defined(terrainProvider)) {
+    throw new DeveloperError(
+      "At least one of options.imageryProvider and options.terrainProvider is required."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const that = this;
+  const readyPromises = [this._readyPromise];
+  if (defined(imageryProvider)) {
+    readyPromises.push(imageryProvider.readyPromise);
+  }
+  if (defined(terrainProvider)) {
+    readyPromises.push(terrainProvider.readyPromise);
+  }
+
+  return Promise.all(readyPromises).then(function () {
+    let tasks = [];
+    if (defined(imageryProvider)) {
+      tasks = tasks.concat(
+        createSeedTasks(
+          imageryProvider,
+          rectangle,
+          Math.max(minimumLevel, defaultValue(imageryProvider.minimumLevel, 0)),
+          Math.min(
+            maximumLevel,
+            defaultValue(imageryProvider.maximumLevel, maximumLevel)
+          ),
+          function (x, y, level) {
+            return imageryProvider.requestImage(x, y, level);
+          }
+        )
+      );
+    }
+    if (defined(terrainProvider)) {
+      tasks = tasks.concat(
+        createSeedTasks(
+          terrainProvider,
+          rectangle,
+          minimumLevel,
+          maximumLevel,
+          function (x, y, level) {
+            if (terrainProvider.getTileDataAvailable(x, y, level) === false) {
+              return;
+            }
+            return terrainProvider.requestTileGeometry(x, y, level);
+          }
+        )
+      );
+    }
+    return seedTasks(that, tasks, options.progressCallback);
+  });
+};
+
+/**
+ * The policy of URLs matching a pattern.
+ * @typedef {Object} OfflineCache.Policy
+ * @property {RegExp|String} pattern A regular expression that matches the URLs, or a string that the URLs contain.
+ * @property {OfflineCachePolicy} policy The policy of the URLs.
+ */
+
+/**
+ * The result of seeding a {@link OfflineCache}.
+ * @typedef {Object} OfflineCache.SeedResult
+ * @property {Number} tileCount The number of tiles that were seeded, including those that failed.
+ * @property {Number} failedTileCount The number of tiles that failed to load.
+ */
+
+/**
+ * A function called as each tile is done while seeding a {@link OfflineCache}.
+ * @callback OfflineCache.SeedProgressCallback
+ *
+ * @param {Number} tileCount The number of tiles that are done.
+ * @param {Number} totalTileCount The number of tiles to seed.
+ */
+export default OfflineCache;
@@ -0,0 +1,43 @@
+/**
+ * An enum describing how a {@link OfflineCache} answers requests for a URL.
+ *
+ * @enum {Number}
+ *
+ * @see OfflineCache
+ */
+const OfflineCachePolicy = {
+  /**
+   * Requests bypass the cache and are always sent to the network.
+   *
+   * @type {Number}
+   * @constant
+   */
+  NETWORK_ONLY: 0,
+
+  /**
+   * Requests are answered from the cache when possible, and are sent to the network and stored otherwise.
+   * Use this for content that does not change, like most imagery and terrain tiles.
+   *
+   * @type {Number}
+   * @constant
+   */
+  CACHE_FIRST: 1,
+
+  /**
+   * Requests are sent to the network and the responses are stored.  If the network request fails,
+   * the request is answered from the cache.
+   *
+   * @type {Number}
+   * @constant
+   */
+  NETWORK_FIRST: 2,
+
+  /**
+   * Requests are only answered from the cache, and fail if the response is not in the cache.
+   *
+   * @type {Number}
+   * @constant
+   */
+  CACHE_ONLY: 3,
+};
+export default Object.freeze(OfflineCachePolicy);
@@ -0,0 +1,81 @@
+import DeveloperError from "./DeveloperError.js";
+
+/**
+ * Persistent storage for the responses of a {@link OfflineCache}.  Responses are stored as
+ * <code>ArrayBuffer</code>s keyed by URL, along with an entry that the cache uses to enforce its size limit.
+ * This type describes an interface and is not intended to be instantiated directly.
+ *
+ * @alias OfflineCacheStorage
+ * @constructor
+ *
+ * @see IndexedDBOfflineCacheStorage
+ * @see CacheApiOfflineCacheStorage
+ */
+function OfflineCacheStorage() {
+  DeveloperError.throwInstantiationError();
+}
+
+/**
+ * Gets the entries of all stored responses.
+ * @function
+ *
+ * @returns {Promise<OfflineCacheStorage.Entry[]>} A promise that resolves to the entries.
+ */
+OfflineCacheStorage.prototype.getEntries =
+  DeveloperError.throwInstantiationError;
+
+/**
+ * Gets a stored response.
+ * @function
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<ArrayBuffer|undefined>} A promise that resolves to the response, or undefined if it is not stored.
+ */
+OfflineCacheStorage.prototype.get = DeveloperError.throwInstantiationError;
+
+/**
+ * Stores a response, replacing any response already stored for its URL.
+ * @function
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @param {ArrayBuffer} data The response.
+ * @returns {Promise<void>} A promise that resolves when the response is stored.
+ */
+OfflineCacheStorage.prototype.put = DeveloperError.throwInstantiationError;
+
+/**
+ * Updates the entry of a stored response, for example when it is accessed.
+ * @function
+ *
+ * @param {OfflineCacheStorage.Entry} entry The entry of the response.
+ * @returns {Promise<void>} A promise that resolves when the entry is updated.
+ */
+OfflineCacheStorage.prototype.updateEntry =
+  DeveloperError.throwInstantiationError;
+
+/**
+ * Removes a stored response.
+ * @function
+ *
+ * @param {String} url The URL of the response.
+ * @returns {Promise<void>} A promise that resolves when the response is removed.
+ */
+OfflineCacheStorage.prototype.remove = DeveloperError.throwInstantiationError;
+
+/**
+ * Removes all stored responses.
+ * @function
+ *
+ * @returns {Promise<void>} A promise that resolves when the responses are removed.
+ */
+OfflineCacheStorage.prototype.clear = DeveloperError.throwInstantiationError;
+
+/**
+ * The bookkeeping of a stored response.
+ * @typedef {Object} OfflineCacheStorage.Entry
+ * @property {String} url The URL of the response.
+ * @property {Number} size The size of the response, in bytes.
+ * @property {Number} lastAccessed The time the response was last stored or read, in milliseconds since the epoch.
+ * @property {String} [contentType] The MIME type of the response.
+ */
+export default OfflineCacheStorage;
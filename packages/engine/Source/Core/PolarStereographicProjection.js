@@ -0,0 +1,372 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * A polar stereographic projection of an ellipsoid, like the projections of the Universal Polar
+ * Stereographic (UPS) zones and of many maps of the Arctic and Antarctic.  The projection is centered
+ * on the north or south pole, and is true to scale at the pole scaled by the scale factor, or along a
+ * latitude of true scale when one is given.
+ *
+ * @alias PolarStereographicProjection
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Boolean} [options.southernHemisphere=false] True to center the projection on the south pole instead of the north pole.
+ * @param {Number} [options.centralMeridian=0.0] The longitude, in radians, of the meridian running straight down from the
+ *        north pole, or straight up from the south pole.
+ * @param {Number} [options.scaleFactor=1.0] The scale factor at the pole.  Ignored when a latitude of true scale is given.
+ * @param {Number} [options.latitudeOfTrueScale] The latitude, in radians, of the parallel along which the projection is true to scale.
+ * @param {Number} [options.falseEasting=0.0] The easting, in meters, of the pole.
+ * @param {Number} [options.falseNorthing=0.0] The northing, in meters, of the pole.
+ * @param {Rectangle} [options.rectangle] The rectangle, in radians, shown in 2D and Columbus view when this projection
+ *        is the map projection of the scene.  Defaults to the hemisphere of the pole.
+ *
+ * @example
+ * // WGS 84 / Antarctic Polar Stereographic
+ * const projection = new Cesium.PolarStereographicProjection({
+ *   southernHemisphere: true,
+ *   latitudeOfTrueScale: Cesium.Math.toRadians(-71.0),
+ * });
+ *
+ * @see MapProjection.fromProj4Definition
+ * @see TransverseMercatorProjection
+ * @see LambertConformalConicProjection
+ */
+function PolarStereographicProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const southernHemisphere = defaultValue(options.southernHemisphere, false);
+
+  this._ellipsoid = ellipsoid;
+  this._southernHemisphere = southernHemisphere;
+  this._centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  this._latitudeOfTrueScale = options.latitudeOfTrueScale;
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+  this._rectangle = defined(options.rectangle)
+    ? Rectangle.clone(options.rectangle)
+    : new Rectangle(
+        -CesiumMath.PI,
+        southernHemisphere ? -CesiumMath.PI_OVER_TWO : 0.0,
+        CesiumMath.PI,
+        southernHemisphere ? 0.0 : CesiumMath.PI_OVER_TWO
+      );
+
+  const a = ellipsoid.maximumRadius;
+  const flattening = (a - ellipsoid.minimumRadius) / a;
+  const e = Math.sqrt(flattening * (2.0 - flattening));
+  this._eccentricity = e;
+  this._eccentricityFactor = Math.sqrt(
+    Math.pow(1.0 + e, 1.0 + e) * Math.pow(1.0 - e, 1.0 - e)
+  );
+
+  let scaleFactor = defaultValue(options.scaleFactor, 1.0);
+  if (defined(this._latitudeOfTrueScale)) {
+    const latitude = Math.abs(this._latitudeOfTrueScale);
+    const sinLatitude = Math.sin(latitude);
+    const m =
+      Math.cos(latitude) / Math.sqrt(1.0 - e * e * sinLatitude * sinLatitude);
+    scaleFactor =
+      (m * this._eccentricityFactor) / (2.0 * computeT(this, latitude));
+  }
+  this._scaleFactor = scaleFactor;
+  this._scaledRadius = (2.0 * a * scaleFactor) / this._eccentricityFactor;
+}
+
+Object.defineProperties(PolarStereographicProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether meridians and parallels are straight lines along the axes of the map.
+   * This is always false for this projection.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  isNormalCylindrical: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, shown in 2D and Columbus view when this projection is the map projection of the scene.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether the projection is centered on the south pole.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  southernHemisphere: {
+    get: function () {
+      return this._southernHemisphere;
+    },
+  },
+
+  /**
+   * Gets the longitude, in radians, of the central meridian.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the latitude, in radians, of the parallel along which the projection is true to scale, if one was given.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Number|undefined}
+   * @readonly
+   */
+  latitudeOfTrueScale: {
+    get: function () {
+      return this._latitudeOfTrueScale;
+    },
+  },
+
+  /**
+   * Gets the scale factor at the pole.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting, in meters, of the pole.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing, in meters, of the pole.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+
+  /**
+   * Gets the proj4 definition of this projection, which can be passed to {@link MapProjection.fromProj4Definition}.
+   *
+   * @memberof PolarStereographicProjection.prototype
+   *
+   * @type {String}
+   * @readonly
+   */
+  proj4Definition: {
+    get: function () {
+      const scale = defined(this._latitudeOfTrueScale)
+        ? `+lat_ts=${CesiumMath.toDegrees(this._latitudeOfTrueScale)}`
+        : `+k=${this._scaleFactor}`;
+      return `+proj=stere +lat_0=${
+        this._southernHemisphere ? -90 : 90
+      } ${scale} +lon_0=${CesiumMath.toDegrees(this._centralMeridian)} +x_0=${
+        this._falseEasting
+      } +y_0=${this._falseNorthing} +a=${this._ellipsoid.maximumRadius} +b=${
+        this._ellipsoid.minimumRadius
+      } +units=m +no_defs`;
+    },
+  },
+});
+
+// Computed for the north pole, so the latitude is negated for the south pole
+function computeT(projection, latitude) {
+  const e = projection._eccentricity;
+  const eSinLatitude = e * Math.sin(latitude);
+  return (
+    Math.tan(CesiumMath.PI_OVER_FOUR - latitude * 0.5) /
+    Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+  );
+}
+
+/**
+ * Projects a set of {@link Cartographic} coordinates, in radians, to eastings and northings, in meters.
+ * Z is the unmodified height.
+ *
+ * @param {Cartographic} cartographic The coordinates to project.
+ * @param {Cartesian3} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartesian3} The projected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+PolarStereographicProjection.prototype.project = function (
+  cartographic,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartographic)) {
+    throw new DeveloperError("cartographic is required");
+  }
+  //>>includeEnd('debug');
+
+  const sign = this._southernHemisphere ? -1.0 : 1.0;
+  const radius =
+    this._scaledRadius * computeT(this, sign * cartographic.latitude);
+  const longitude = cartographic.longitude - this._centralMeridian;
+
+  const x = this._falseEasting + radius * Math.sin(longitude);
+  const y = this._falseNorthing - sign * radius * Math.cos(longitude);
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects a set of projected {@link Cartesian3} coordinates, in meters, to {@link Cartographic}
+ * coordinates, in radians.  Height is the unmodified Z coordinate.
+ *
+ * @param {Cartesian3} cartesian The Cartesian position to unproject with height (z) in meters.
+ * @param {Cartographic} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartographic} The unprojected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+PolarStereographicProjection.prototype.unproject = function (
+  cartesian,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartesian)) {
+    throw new DeveloperError("cartesian is required");
+  }
+  //>>includeEnd('debug');
+
+  const sign = this._southernHemisphere ? -1.0 : 1.0;
+  const dx = cartesian.x - this._falseEasting;
+  const dy = cartesian.y - this._falseNorthing;
+  const t = Math.sqrt(dx * dx + dy * dy) / this._scaledRadius;
+
+  // Iterate to the latitude of the parallel at the distance from the pole
+  const e = this._eccentricity;
+  let latitude = CesiumMath.PI_OVER_TWO - 2.0 * Math.atan(t);
+  for (let i = 0; i < 15; ++i) {
+    const eSinLatitude = e * Math.sin(latitude);
+    const next =
+      CesiumMath.PI_OVER_TWO -
+      2.0 *
+        Math.atan(
+          t * Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+        );
+    const done = Math.abs(next - latitude) < CesiumMath.EPSILON15;
+    latitude = next;
+    if (done) {
+      break;
+    }
+  }
+
+  latitude *= sign;
+  const longitude = CesiumMath.negativePiToPi(
+    this._centralMeridian + Math.atan2(dx, -sign * dy)
+  );
+  const height = cartesian.z;
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+
+/**
+ * Creates the projection of a Universal Polar Stereographic (UPS) zone.
+ *
+ * @param {Boolean} [southernHemisphere=false] True for the zone of the south pole.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {PolarStereographicProjection} The projection of the zone.
+ */
+PolarStereographicProjection.fromUps = function (
+  southernHemisphere,
+  ellipsoid
+) {
+  southernHemisphere = defaultValue(southernHemisphere, false);
+  return new PolarStereographicProjection({
+    ellipsoid: ellipsoid,
+    southernHemisphere: southernHemisphere,
+    scaleFactor: 0.994,
+    falseEasting: 2000000.0,
+    falseNorthing: 2000000.0,
+    rectangle: new Rectangle(
+      -CesiumMath.PI,
+      southernHemisphere ? -CesiumMath.PI_OVER_TWO : CesiumMath.toRadians(60.0),
+      CesiumMath.PI,
+      southernHemisphere ? CesiumMath.toRadians(-60.0) : CesiumMath.PI_OVER_TWO
+    ),
+  });
+};
+export default PolarStereographicProjection;
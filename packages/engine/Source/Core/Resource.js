@@ -11,12 +11,14 @@ import getAbsoluteUri from "./getAbsoluteUri.js";
 import getBaseUri from "./getBaseUri.js";
 import getExtensionFromUri from "./getExtensionFromUri.js";
 import getImagePixels from "./getImagePixels.js";
+import getStringFromTypedArray from "./getStringFromTypedArray.js";
 import isBlobUri from "./isBlobUri.js";
 import isCrossOriginUrl from "./isCrossOriginUrl.js";
 import isDataUri from "./isDataUri.js";
 import loadAndExecuteScript from "./loadAndExecuteScript.js";
 import CesiumMath from "./Math.js";
 import objectToQuery from "./objectToQuery.js";
+import OfflineCachePolicy from "./OfflineCachePolicy.js";
 import queryToObject from "./queryToObject.js";
 import Request from "./Request.js";
 import RequestErrorEvent from "./RequestErrorEvent.js";
@@ -921,12 +923,12 @@ Resource.prototype.fetchImage = function (options) {
   // 1. Blobs aren't supported
   // 2. It's a data URI
   // 3. It's a blob URI
-  // 4. It doesn't have request headers and we preferBlob is false
+  // 4. It doesn't have request headers, we preferBlob is false and it isn't cached
   if (
     !xhrBlobSupported ||
     this.isDataUri ||
     this.isBlobUri ||
-    (!this.hasHeaders && !preferBlob)
+    (!this.hasHeaders && !preferBlob && !usesCache(this))
   ) {
     return fetchImage({
       resource: this,
@@ -1006,6 +1008,27 @@ Resource.prototype.fetchImage = function (options) {
     });
 };
 
+function hasRangeHeader(headers) {
+  return Object.keys(headers).some(function (name) {
+    return name.toLowerCase() === "range";
+  });
+}
+
+// Whether a request for the resource is answered by Resource.cache.  Responses are stored by their URL, so
+// requests for ranges of a resource are not cached.
+function usesCache(resource, method, data, headers) {
+  const cache = Resource.cache;
+  return (
+    defined(cache) &&
+    !resource.isDataUri &&
+    !resource.isBlobUri &&
+    (!defined(method) || method === "GET") &&
+    !defined(data) &&
+    !hasRangeHeader(defaultValue(headers, resource.headers)) &&
+    cache.getPolicy(resource.url) !== OfflineCachePolicy.NETWORK_ONLY
+  );
+}
+
 /**
  * Fetches an image and returns a promise to it.
  *
@@ -1384,22 +1407,52 @@ Resource.prototype._makeRequest = function (options) {
     const overrideMimeType = options.overrideMimeType;
     const method = options.method;
     const data = options.data;
-    const deferred = defer();
-    const xhr = Resource._Implementations.loadWithXhr(
-      resource.url,
-      responseType,
-      method,
-      data,
-      headers,
-      deferred,
-      overrideMimeType
-    );
-    if (defined(xhr) && defined(xhr.abort)) {
-      request.cancelFunction = function () {
-        xhr.abort();
-      };
+
+    let xhr;
+    function load(loadResponseType) {
+      const deferred = defer();
+      xhr = Resource._Implementations.loadWithXhr(
+        resource.url,
+        loadResponseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      );
+      if (defined(xhr) && defined(xhr.abort)) {
+        request.cancelFunction = function () {
+          xhr.abort();
+        };
+      }
+      return deferred.promise;
     }
-    return deferred.promise;
+
+    if (!usesCache(resource, method, data, headers)) {
+      return load(responseType);
+    }
+
+    // Cached responses are stored as array buffers with their MIME type and decoded to the requested type
+    return Resource.cache
+      .request(resource.url, function () {
+        return load("arraybuffer").then(function (buffer) {
+          return {
+            data: buffer,
+            contentType: getContentType(xhr),
+          };
+        });
+      })
+      .then(function (response) {
+        if (!defined(response)) {
+          return undefined;
+        }
+        return decodeCachedResponse(
+          response.data,
+          response.contentType,
+          responseType,
+          overrideMimeType
+        );
+      });
   };
 
   const promise = RequestScheduler.request(request);
@@ -1487,6 +1540,44 @@ function decodeDataUri(dataUriRegexResult, responseType) {
   }
 }
 
+function getContentType(xhr) {
+  if (!defined(xhr) || typeof xhr.getResponseHeader !== "function") {
+    return undefined;
+  }
+  const contentType = xhr.getResponseHeader("Content-Type");
+  return contentType !== null ? contentType : undefined;
+}
+
+function decodeCachedResponse(
+  buffer,
+  contentType,
+  responseType,
+  overrideMimeType
+) {
+  if (!defined(buffer)) {
+    return undefined;
+  }
+
+  responseType = defaultValue(responseType, "");
+  switch (responseType) {
+    case "arraybuffer":
+      return buffer;
+    case "blob":
+      return new Blob([buffer], {
+        type: defaultValue(overrideMimeType, defaultValue(contentType, "")),
+      });
+    case "document":
+      return new DOMParser().parseFromString(
+        getStringFromTypedArray(new Uint8Array(buffer)),
+        defaultValue(overrideMimeType, "text/xml")
+      );
+    case "json":
+      return JSON.parse(getStringFromTypedArray(new Uint8Array(buffer)));
+    default:
+      return getStringFromTypedArray(new Uint8Array(buffer));
+  }
+}
+
 /**
  * Asynchronously loads the given resource.  Returns a promise that will resolve to
  * the result once loaded, or reject if the resource failed to load.  The data is loaded
@@ -1898,6 +1989,22 @@ Resource.patch = function (options) {
   });
 };
 
+/**
+ * The cache that stores the responses to requests persistently, for example so that they can be used while
+ * disconnected.  When defined, GET requests whose URLs do not use {@link OfflineCachePolicy.NETWORK_ONLY}
+ * are answered according to the policies of the cache, and images are loaded as blobs so that they can be stored.
+ * Responses are stored by their URL, so requests with a <code>Range</code> header are never cached.
+ *
+ * @type {OfflineCache|undefined}
+ * @default undefined
+ *
+ * @example
+ * Cesium.Resource.cache = new Cesium.OfflineCache({
+ *   defaultPolicy: Cesium.OfflineCachePolicy.CACHE_FIRST,
+ * });
+ */
+Resource.cache = undefined;
+
 /**
  * Contains implementations of functions that can be replaced for testing
  *
@@ -507,11 +507,13 @@ const attributesIndicesNone = {
   position3DAndHeight: 0,
   textureCoordAndEncodedNormals: 1,
   geodeticSurfaceNormal: 2,
+  position2D: 3,
 };
 const attributesIndicesBits12 = {
   compressed0: 0,
   compressed1: 1,
   geodeticSurfaceNormal: 2,
+  position2D: 3,
 };
 
 TerrainEncoding.prototype.getAttributes = function (buffer) {
@@ -152,5 +152,12 @@ function TerrainMesh(
    * @type {Number[]}
    */
   this.northIndicesWestToEast = northIndicesWestToEast;
+
+  /**
+   * The X and Y coordinates of the vertices in a map projection whose meridians and parallels are curved,
+   * relative to the projected center of the tile.  Undefined unless such a projection is used in 2D and Columbus view.
+   * @type {Float32Array|undefined}
+   */
+  this.positions2D = undefined;
 }
 export default TerrainMesh;
@@ -0,0 +1,190 @@
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import GeodeticPolygon from "./GeodeticPolygon.js";
+import TerrainModificationType from "./TerrainModificationType.js";
+
+/**
+ * A change to the heights of the terrain inside of a polygon, such as flattening the footprint of a
+ * building so that it does not poke through its model, or excavating a construction pit.  Terrain
+ * modifications are added to {@link Globe#terrainModifications}.
+ * <p>
+ * The heights of the vertices of the terrain meshes are modified, so the edges of a modification follow
+ * the triangles of the terrain that cross the polygon.  They become sharper as more detailed terrain
+ * tiles are loaded.  Excavated pits are the exception, with vertical walls along the edges of the polygon; see
+ * {@link TerrainModificationType.EXCAVATE}.
+ * </p>
+ * <p>
+ * A terrain modification is immutable.  To change it, remove it from its collection and add a new one.
+ * </p>
+ *
+ * @alias TerrainModification
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Cartesian3[]} options.positions The vertices of the polygon, in world coordinates.  The polygon does not need to be closed.  At least three positions are required.
+ * @param {TerrainModificationType} [options.type=TerrainModificationType.FLATTEN] How the heights of the terrain are modified.
+ * @param {Number} [options.height=0.0] The height of the flattened terrain or of the bottom of the pit above the ellipsoid, or the offset added to the heights of the terrain, in meters.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the polygon lies.
+ *
+ * @example
+ * // Flatten the footprint of a building to 1650 meters
+ * viewer.scene.globe.terrainModifications.add(new Cesium.TerrainModification({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0077, 40.0441,
+ *     -105.0048, 40.0441,
+ *     -105.0048, 40.0427,
+ *     -105.0077, 40.0427
+ *   ]),
+ *   type: Cesium.TerrainModificationType.FLATTEN,
+ *   height: 1650.0
+ * }));
+ *
+ * @see TerrainModificationCollection
+ */
+function TerrainModification(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const positions = options.positions;
+  const type = defaultValue(options.type, TerrainModificationType.FLATTEN);
+  const height = defaultValue(options.height, 0.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.positions.length",
+    positions.length,
+    3
+  );
+  Check.typeOf.number("options.height", height);
+  if (
+    type !== TerrainModificationType.FLATTEN &&
+    type !== TerrainModificationType.OFFSET &&
+    type !== TerrainModificationType.EXCAVATE
+  ) {
+    throw new DeveloperError("options.type must be a TerrainModificationType.");
+  }
+  //>>includeEnd('debug');
+
+  this._positions = positions.map(function (position) {
+    return Cartesian3.clone(position);
+  });
+  this._type = type;
+  this._height = height;
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  this._polygon = new GeodeticPolygon(positions, this._ellipsoid);
+}
+
+Object.defineProperties(TerrainModification.prototype, {
+  /**
+   * Gets the vertices of the polygon, in world coordinates.  The array must not be modified.
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets how the heights of the terrain are modified.
+   *
+   * @memberof TerrainModification.prototype
+   * @type {TerrainModificationType}
+   * @readonly
+   */
+  type: {
+    get: function () {
+      return this._type;
+    },
+  },
+
+  /**
+   * Gets the height of the flattened terrain or of the bottom of the pit above the ellipsoid, or the offset
+   * added to the heights of the terrain, in meters.
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Number}
+   * @readonly
+   */
+  height: {
+    get: function () {
+      return this._height;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid on which the polygon lies.
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * Determines whether the polygon of this modification may overlap a rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle, which must not cross the anti-meridian.
+ * @returns {Boolean} <code>false</code> if the rectangle is entirely outside of the bounds of the polygon.
+ *
+ * @private
+ */
+TerrainModification.prototype.intersectsRectangle = function (rectangle) {
+  return this._polygon.intersectsRectangle(rectangle);
+};
+
+/**
+ * Determines whether a position is inside of the polygon of this modification.
+ *
+ * @param {Number} longitude The longitude of the position, in radians.
+ * @param {Number} latitude The latitude of the position, in radians.
+ * @returns {Boolean} <code>true</code> if the position is inside of the polygon.
+ *
+ * @private
+ */
+TerrainModification.prototype.contains = function (longitude, latitude) {
+  return this._polygon.contains(longitude, latitude);
+};
+
+/**
+ * Computes the texture coordinates of the vertices of the polygon of this modification within a rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle, which must not cross the anti-meridian.
+ * @returns {Float64Array} The texture coordinates of the vertices, as pairs of x and y.
+ *
+ * @private
+ */
+TerrainModification.prototype.computeTextureCoordinates = function (rectangle) {
+  return this._polygon.computeTextureCoordinates(rectangle);
+};
+
+/**
+ * Computes the modified height of the terrain at a position inside of the polygon of this modification.
+ *
+ * @param {Number} height The height of the terrain, in meters.
+ * @returns {Number} The modified height, in meters.
+ *
+ * @private
+ */
+TerrainModification.prototype.modifyHeight = function (height) {
+  switch (this._type) {
+    case TerrainModificationType.OFFSET:
+      return height + this._height;
+    case TerrainModificationType.EXCAVATE:
+      return Math.min(height, this._height);
+    default:
+      return this._height;
+  }
+};
+export default TerrainModification;
@@ -0,0 +1,678 @@
+import addExcavationWalls from "./addExcavationWalls.js";
+import AttributeCompression from "./AttributeCompression.js";
+import BoundingSphere from "./BoundingSphere.js";
+import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import EllipsoidalOccluder from "./EllipsoidalOccluder.js";
+import Event from "./Event.js";
+import IndexDatatype from "./IndexDatatype.js";
+import CesiumMath from "./Math.js";
+import OrientedBoundingBox from "./OrientedBoundingBox.js";
+import Rectangle from "./Rectangle.js";
+import TerrainEncoding from "./TerrainEncoding.js";
+import TerrainMesh from "./TerrainMesh.js";
+import TerrainModificationType from "./TerrainModificationType.js";
+import TerrainProvider from "./TerrainProvider.js";
+
+/**
+ * An ordered collection of {@link TerrainModification} instances that flatten, raise or excavate the terrain.
+ * Modifications are applied in the order in which they were added, so a modification added later acts on the
+ * heights produced by the earlier ones where their polygons overlap.
+ * <p>
+ * The modifications of {@link Globe#terrainModifications} are applied to the terrain rendered by the globe and
+ * to the heights returned by {@link Globe#getHeight}.  Pass the collection to {@link sampleTerrain} or
+ * {@link sampleTerrainMostDetailed} to apply them to sampled heights as well.
+ * </p>
+ *
+ * @alias TerrainModificationCollection
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {TerrainModification[]} [options.modifications=[]] The modifications to add to the collection.
+ *
+ * @example
+ * const modifications = viewer.scene.globe.terrainModifications;
+ * // Dig a pit down to 1640 meters
+ * modifications.add(new Cesium.TerrainModification({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0077, 40.0441,
+ *     -105.0048, 40.0441,
+ *     -105.0048, 40.0427,
+ *     -105.0077, 40.0427
+ *   ]),
+ *   type: Cesium.TerrainModificationType.EXCAVATE,
+ *   height: 1640.0
+ * }));
+ * // Sample the modified terrain
+ * const positions = [Cesium.Cartographic.fromDegrees(-105.006, 40.0434)];
+ * Cesium.sampleTerrainMostDetailed(viewer.terrainProvider, positions, modifications);
+ *
+ * @see TerrainModification
+ */
+function TerrainModificationCollection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._modifications = [];
+
+  /**
+   * An event triggered when a modification is added to the collection.  Event handlers
+   * are passed the new modification and the index at which it was added.
+   * @type {Event}
+   * @default Event()
+   */
+  this.modificationAdded = new Event();
+
+  /**
+   * An event triggered when a modification is removed from the collection.  Event handlers
+   * are passed the removed modification and the index from which it was removed.
+   * @type {Event}
+   * @default Event()
+   */
+  this.modificationRemoved = new Event();
+
+  // Incremented each time the collection changes, so that modified terrain tiles can be rebuilt
+  this._version = 0;
+
+  const modifications = options.modifications;
+  if (defined(modifications)) {
+    for (let i = 0; i < modifications.length; ++i) {
+      this.add(modifications[i]);
+    }
+  }
+}
+
+Object.defineProperties(TerrainModificationCollection.prototype, {
+  /**
+   * Gets the number of modifications in this collection.
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @type {Number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._modifications.length;
+    },
+  },
+
+  /**
+   * Gets a number that changes each time a modification is added or removed.
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @type {Number}
+   * @readonly
+   * @private
+   */
+  version: {
+    get: function () {
+      return this._version;
+    },
+  },
+});
+
+/**
+ * Adds a modification to the end of the collection.
+ *
+ * @param {TerrainModification} modification The modification to add.
+ * @returns {TerrainModification} The modification that was added.
+ *
+ * @see TerrainModificationCollection#remove
+ * @see TerrainModificationCollection#removeAll
+ */
+TerrainModificationCollection.prototype.add = function (modification) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("modification", modification);
+  //>>includeEnd('debug');
+
+  const index = this._modifications.length;
+  this._modifications.push(modification);
+  ++this._version;
+  this.modificationAdded.raiseEvent(modification, index);
+  return modification;
+};
+
+/**
+ * Returns the modification in the collection at the specified index.
+ *
+ * @param {Number} index The zero-based index of the modification.
+ * @returns {TerrainModification} The modification at the specified index.
+ */
+TerrainModificationCollection.prototype.get = function (index) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  //>>includeEnd('debug');
+
+  return this._modifications[index];
+};
+
+/**
+ * Determines whether this collection contains a modification.
+ *
+ * @param {TerrainModification} [modification] The modification to check for.
+ * @returns {Boolean} <code>true</code> if the collection contains the modification, <code>false</code> otherwise.
+ */
+TerrainModificationCollection.prototype.contains = function (modification) {
+  return this._modifications.indexOf(modification) !== -1;
+};
+
+/**
+ * Removes a modification from the collection.
+ *
+ * @param {TerrainModification} modification The modification to remove.
+ * @returns {Boolean} <code>true</code> if the modification was removed; <code>false</code> if it was not found in the collection.
+ *
+ * @see TerrainModificationCollection#add
+ * @see TerrainModificationCollection#removeAll
+ */
+TerrainModificationCollection.prototype.remove = function (modification) {
+  const modifications = this._modifications;
+  const index = modifications.indexOf(modification);
+  if (index === -1) {
+    return false;
+  }
+
+  modifications.splice(index, 1);
+  ++this._version;
+  this.modificationRemoved.raiseEvent(modification, index);
+  return true;
+};
+
+/**
+ * Removes all modifications from the collection.
+ *
+ * @see TerrainModificationCollection#add
+ * @see TerrainModificationCollection#remove
+ */
+TerrainModificationCollection.prototype.removeAll = function () {
+  const modifications = this._modifications;
+  if (modifications.length === 0) {
+    return;
+  }
+
+  this._modifications = [];
+  ++this._version;
+  for (let i = 0; i < modifications.length; ++i) {
+    this.modificationRemoved.raiseEvent(modifications[i], i);
+  }
+};
+
+/**
+ * Computes the height of the terrain at a position after applying the modifications of this collection.
+ *
+ * @param {Number} longitude The longitude of the position, in radians.
+ * @param {Number} latitude The latitude of the position, in radians.
+ * @param {Number} height The unmodified height of the terrain at the position, in meters.
+ * @returns {Number} The modified height of the terrain, in meters.
+ */
+TerrainModificationCollection.prototype.computeModifiedHeight = function (
+  longitude,
+  latitude,
+  height
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("longitude", longitude);
+  Check.typeOf.number("latitude", latitude);
+  Check.typeOf.number("height", height);
+  //>>includeEnd('debug');
+
+  return modifyHeight(this._modifications, longitude, latitude, height).height;
+};
+
+/**
+ * Determines whether any of the modifications may change the terrain inside of a rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle, which must not cross the anti-meridian.
+ * @returns {Boolean} <code>true</code> if the rectangle may be modified.
+ *
+ * @private
+ */
+TerrainModificationCollection.prototype.intersectsRectangle = function (
+  rectangle
+) {
+  const modifications = this._modifications;
+  for (let i = 0; i < modifications.length; ++i) {
+    if (modifications[i].intersectsRectangle(rectangle)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const scratchModifiedHeight = {
+  height: 0.0,
+  flattened: false,
+};
+
+// Vertices on the edges of the polygons of excavations are inside or outside of them depending on which side of
+// the wall they are on, so whether they are contained is given rather than tested
+function modifyHeight(modifications, longitude, latitude, height, contained) {
+  const result = scratchModifiedHeight;
+  result.height = height;
+  result.flattened = false;
+  for (let i = 0; i < modifications.length; ++i) {
+    const modification = modifications[i];
+    const isContained =
+      defined(contained) && contained.has(modification)
+        ? contained.get(modification)
+        : modification.contains(longitude, latitude);
+    if (isContained) {
+      result.height = modification.modifyHeight(result.height);
+      result.flattened = modification.type !== TerrainModificationType.OFFSET;
+    }
+  }
+  return result;
+}
+
+const scratchTextureCoordinates = new Cartesian2();
+const scratchEncodedNormal = new Cartesian2();
+const scratchNormal = new Cartesian3();
+const scratchWallEdge = new Cartesian3();
+const scratchWallDiagonal = new Cartesian3();
+
+function getTextureCoordinatesKey(u, v) {
+  return `${u},${v}`;
+}
+
+function decodeVertex(encoding, vertices, index) {
+  const uv = encoding.decodeTextureCoordinates(
+    vertices,
+    index,
+    scratchTextureCoordinates
+  );
+
+  let normal;
+  if (encoding.hasVertexNormals) {
+    const encodedNormal = encoding.getOctEncodedNormal(
+      vertices,
+      index,
+      scratchEncodedNormal
+    );
+    normal = AttributeCompression.octDecode(
+      encodedNormal.x,
+      encodedNormal.y,
+      new Cartesian3()
+    );
+  }
+
+  return {
+    position: encoding.decodePosition(vertices, index, new Cartesian3()),
+    u: uv.x,
+    v: uv.y,
+    height: encoding.decodeHeight(vertices, index),
+    normal: normal,
+    webMercatorT: encoding.hasWebMercatorT
+      ? encoding.decodeWebMercatorT(vertices, index)
+      : undefined,
+    geodeticSurfaceNormal: encoding.hasGeodeticSurfaceNormals
+      ? encoding.decodeGeodeticSurfaceNormal(vertices, index, new Cartesian3())
+      : undefined,
+    contained: undefined,
+    flattened: false,
+  };
+}
+
+function moveVertex(vertex, heightChange, ellipsoid) {
+  const position = vertex.position;
+  const surfaceNormal = ellipsoid.geodeticSurfaceNormal(
+    position,
+    scratchNormal
+  );
+  Cartesian3.add(
+    position,
+    Cartesian3.multiplyByScalar(surfaceNormal, heightChange, surfaceNormal),
+    position
+  );
+  vertex.height += heightChange;
+}
+
+// The skirts hang below the vertices on the edges of the tile, which have the same texture coordinates
+function computeSkirtHeight(mesh, encoding, vertexCountWithoutSkirts) {
+  const vertices = mesh.vertices;
+  const vertexCount = vertices.length / encoding.stride;
+  const edgeHeights = new Map();
+  for (let i = 0; i < vertexCountWithoutSkirts; ++i) {
+    const uv = encoding.decodeTextureCoordinates(
+      vertices,
+      i,
+      scratchTextureCoordinates
+    );
+    if (uv.x === 0.0 || uv.x === 1.0 || uv.y === 0.0 || uv.y === 1.0) {
+      edgeHeights.set(
+        getTextureCoordinatesKey(uv.x, uv.y),
+        encoding.decodeHeight(vertices, i)
+      );
+    }
+  }
+
+  let skirtHeight = 0.0;
+  for (let i = vertexCountWithoutSkirts; i < vertexCount; ++i) {
+    const uv = encoding.decodeTextureCoordinates(
+      vertices,
+      i,
+      scratchTextureCoordinates
+    );
+    const edgeHeight = edgeHeights.get(getTextureCoordinatesKey(uv.x, uv.y));
+    if (defined(edgeHeight)) {
+      skirtHeight = Math.max(
+        skirtHeight,
+        edgeHeight - encoding.decodeHeight(vertices, i)
+      );
+    }
+  }
+  return skirtHeight;
+}
+
+function createSkirts(surface, skirtHeight, ellipsoid) {
+  const edgeLists = [
+    surface.westIndicesSouthToNorth,
+    surface.southIndicesEastToWest,
+    surface.eastIndicesNorthToSouth,
+    surface.northIndicesWestToEast,
+  ];
+  const vertices = surface.vertices;
+  const skirts = [];
+  for (let i = 0; i < edgeLists.length; ++i) {
+    const list = edgeLists[i];
+    for (let j = 0; j < list.length; ++j) {
+      const vertex = vertices[list[j]];
+      const skirt = {
+        position: Cartesian3.clone(vertex.position),
+        u: vertex.u,
+        v: vertex.v,
+        height: vertex.height,
+        normal: vertex.normal,
+        webMercatorT: vertex.webMercatorT,
+        geodeticSurfaceNormal: vertex.geodeticSurfaceNormal,
+        flattened: vertex.flattened,
+      };
+      moveVertex(skirt, -skirtHeight, ellipsoid);
+      skirts.push(skirt);
+    }
+  }
+  return skirts;
+}
+
+// The walls are lit as vertical faces rather than as the terrain at their top and bottom
+function computeWallNormals(surface) {
+  const vertices = surface.vertices;
+  const walls = surface.walls;
+  for (let i = 0; i < walls.length; i += 4) {
+    const top0 = vertices[walls[i]];
+    const bottom1 = vertices[walls[i + 2]];
+    const bottom0 = vertices[walls[i + 3]];
+    if (!defined(top0.normal)) {
+      return;
+    }
+
+    const normal = Cartesian3.cross(
+      Cartesian3.subtract(bottom0.position, bottom1.position, scratchWallEdge),
+      Cartesian3.subtract(top0.position, bottom1.position, scratchWallDiagonal),
+      scratchNormal
+    );
+    if (Cartesian3.magnitude(normal) < CesiumMath.EPSILON10) {
+      // The terrain is already below the bottom of the excavation, so the wall has no height
+      continue;
+    }
+    Cartesian3.normalize(normal, normal);
+    for (let j = 0; j < 4; ++j) {
+      const vertex = vertices[walls[i + j]];
+      vertex.normal = Cartesian3.clone(normal, vertex.normal);
+      vertex.flattened = false;
+    }
+  }
+}
+
+/**
+ * Applies the modifications of this collection to a terrain mesh.  The mesh is not changed, because terrain data
+ * keeps its mesh to upsample child tiles from it.
+ * <p>
+ * Excavations add vertical walls along the edges of their polygons, so the triangles of the mesh are split where
+ * the edges cross it.  The other modifications only change the heights of the vertices.
+ * </p>
+ *
+ * @param {TerrainMesh} mesh The mesh of a terrain tile.
+ * @param {Rectangle} rectangle The rectangle of the tile.
+ * @param {Ellipsoid} ellipsoid The ellipsoid of the terrain.
+ * @returns {TerrainMesh} A new mesh with the modified heights, or the given mesh if none of its vertices are modified.
+ *
+ * @private
+ */
+TerrainModificationCollection.prototype.modifyMesh = function (
+  mesh,
+  rectangle,
+  ellipsoid
+) {
+  const modifications = this._modifications.filter(function (modification) {
+    return modification.intersectsRectangle(rectangle);
+  });
+  if (modifications.length === 0) {
+    return mesh;
+  }
+
+  const encoding = mesh.encoding;
+  const vertices = mesh.vertices;
+  const vertexCount = vertices.length / encoding.stride;
+  const vertexCountWithoutSkirts = defaultValue(
+    mesh.vertexCountWithoutSkirts,
+    vertexCount
+  );
+  const indexCountWithoutSkirts = defaultValue(
+    mesh.indexCountWithoutSkirts,
+    mesh.indices.length
+  );
+  const width = Rectangle.computeWidth(rectangle);
+  const height = Rectangle.computeHeight(rectangle);
+
+  const surface = {
+    vertices: new Array(vertexCountWithoutSkirts),
+    indices: Array.prototype.slice.call(
+      mesh.indices,
+      0,
+      indexCountWithoutSkirts
+    ),
+    westIndicesSouthToNorth: Array.from(mesh.westIndicesSouthToNorth),
+    southIndicesEastToWest: Array.from(mesh.southIndicesEastToWest),
+    eastIndicesNorthToSouth: Array.from(mesh.eastIndicesNorthToSouth),
+    northIndicesWestToEast: Array.from(mesh.northIndicesWestToEast),
+    walls: [],
+  };
+  for (let i = 0; i < vertexCountWithoutSkirts; ++i) {
+    surface.vertices[i] = decodeVertex(encoding, vertices, i);
+  }
+
+  let hasWalls = false;
+  for (let i = 0; i < modifications.length; ++i) {
+    const modification = modifications[i];
+    if (modification.type === TerrainModificationType.EXCAVATE) {
+      hasWalls =
+        addExcavationWalls(surface, modification, rectangle) || hasWalls;
+    }
+  }
+
+  const surfaceVertices = surface.vertices;
+  const edgeHeightChanges = new Map();
+  let isModified = false;
+  for (let i = 0; i < surfaceVertices.length; ++i) {
+    const vertex = surfaceVertices[i];
+    const result = modifyHeight(
+      modifications,
+      rectangle.west + vertex.u * width,
+      rectangle.south + vertex.v * height,
+      vertex.height,
+      vertex.contained
+    );
+    const heightChange = result.height - vertex.height;
+    if (heightChange !== 0.0) {
+      isModified = true;
+      moveVertex(vertex, heightChange, ellipsoid);
+      vertex.flattened = result.flattened;
+      edgeHeightChanges.set(
+        getTextureCoordinatesKey(vertex.u, vertex.v),
+        heightChange
+      );
+    }
+  }
+
+  if (!isModified) {
+    return mesh;
+  }
+  computeWallNormals(surface);
+
+  // Without walls, the triangles and skirts are kept.  Skirt vertices have the texture coordinates of the edge
+  // vertex above them, and are moved with it.  With walls, the skirts are created again for the new edges.
+  let skirts;
+  let indices;
+  if (!hasWalls) {
+    skirts = [];
+    for (let i = vertexCountWithoutSkirts; i < vertexCount; ++i) {
+      const skirt = decodeVertex(encoding, vertices, i);
+      const heightChange = defaultValue(
+        edgeHeightChanges.get(getTextureCoordinatesKey(skirt.u, skirt.v)),
+        0.0
+      );
+      if (heightChange !== 0.0) {
+        moveVertex(skirt, heightChange, ellipsoid);
+      }
+      skirts.push(skirt);
+    }
+    indices = mesh.indices;
+  } else {
+    skirts =
+      vertexCount > vertexCountWithoutSkirts
+        ? createSkirts(
+            surface,
+            computeSkirtHeight(mesh, encoding, vertexCountWithoutSkirts),
+            ellipsoid
+          )
+        : [];
+
+    // Each pair of consecutive vertices on an edge of the tile has two skirt triangles
+    let skirtIndexCount = 0;
+    if (skirts.length > 0) {
+      const edgeLists = [
+        surface.westIndicesSouthToNorth,
+        surface.southIndicesEastToWest,
+        surface.eastIndicesNorthToSouth,
+        surface.northIndicesWestToEast,
+      ];
+      for (let i = 0; i < edgeLists.length; ++i) {
+        skirtIndexCount += Math.max(edgeLists[i].length - 1, 0) * 6;
+      }
+    }
+    indices = IndexDatatype.createTypedArray(
+      surfaceVertices.length + skirts.length,
+      surface.indices.length + skirtIndexCount
+    );
+    indices.set(surface.indices);
+    if (skirts.length > 0) {
+      TerrainProvider.addSkirtIndices(
+        surface.westIndicesSouthToNorth,
+        surface.southIndicesEastToWest,
+        surface.eastIndicesNorthToSouth,
+        surface.northIndicesWestToEast,
+        surfaceVertices.length,
+        indices,
+        surface.indices.length
+      );
+    }
+  }
+
+  // The modified heights may be outside of the range of the quantized heights, so the vertices are not quantized
+  const center = mesh.center;
+  const newEncoding = new TerrainEncoding(
+    center,
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    encoding.hasVertexNormals,
+    encoding.hasWebMercatorT,
+    encoding.hasGeodeticSurfaceNormals,
+    encoding.exaggeration,
+    encoding.exaggerationRelativeHeight
+  );
+  const stride = newEncoding.stride;
+  const newVertexCount = surfaceVertices.length + skirts.length;
+  const newVertices = new Float32Array(newVertexCount * stride);
+
+  let minimumHeight = Number.POSITIVE_INFINITY;
+  let maximumHeight = Number.NEGATIVE_INFINITY;
+  let skirtMinimumHeight = Number.POSITIVE_INFINITY;
+  for (let i = 0; i < newVertexCount; ++i) {
+    const isSkirt = i >= surfaceVertices.length;
+    const vertex = isSkirt
+      ? skirts[i - surfaceVertices.length]
+      : surfaceVertices[i];
+    const normal =
+      defined(vertex.normal) && vertex.flattened
+        ? ellipsoid.geodeticSurfaceNormal(vertex.position, scratchNormal)
+        : vertex.normal;
+    scratchTextureCoordinates.x = vertex.u;
+    scratchTextureCoordinates.y = vertex.v;
+
+    newEncoding.encode(
+      newVertices,
+      i * stride,
+      vertex.position,
+      scratchTextureCoordinates,
+      vertex.height,
+      normal,
+      vertex.webMercatorT,
+      vertex.geodeticSurfaceNormal
+    );
+
+    if (!isSkirt) {
+      minimumHeight = Math.min(minimumHeight, vertex.height);
+      maximumHeight = Math.max(maximumHeight, vertex.height);
+    } else {
+      skirtMinimumHeight = Math.min(skirtMinimumHeight, vertex.height);
+    }
+  }
+  newEncoding.minimumHeight = Math.min(minimumHeight, skirtMinimumHeight);
+  newEncoding.maximumHeight = maximumHeight;
+
+  const boundingSphere = BoundingSphere.fromVertices(
+    newVertices,
+    center,
+    stride
+  );
+  const occluder = new EllipsoidalOccluder(ellipsoid);
+  const occludeePointInScaledSpace = occluder.computeHorizonCullingPointFromVerticesPossiblyUnderEllipsoid(
+    boundingSphere.center,
+    newVertices,
+    stride,
+    center,
+    minimumHeight
+  );
+  const orientedBoundingBox = defined(mesh.orientedBoundingBox)
+    ? OrientedBoundingBox.fromRectangle(
+        rectangle,
+        minimumHeight,
+        maximumHeight,
+        ellipsoid
+      )
+    : undefined;
+
+  return new TerrainMesh(
+    center,
+    newVertices,
+    indices,
+    hasWalls ? surface.indices.length : mesh.indexCountWithoutSkirts,
+    hasWalls ? surfaceVertices.length : mesh.vertexCountWithoutSkirts,
+    minimumHeight,
+    maximumHeight,
+    boundingSphere,
+    occludeePointInScaledSpace,
+    stride,
+    orientedBoundingBox,
+    newEncoding,
+    hasWalls ? surface.westIndicesSouthToNorth : mesh.westIndicesSouthToNorth,
+    hasWalls ? surface.southIndicesEastToWest : mesh.southIndicesEastToWest,
+    hasWalls ? surface.eastIndicesNorthToSouth : mesh.eastIndicesNorthToSouth,
+    hasWalls ? surface.northIndicesWestToEast : mesh.northIndicesWestToEast
+  );
+};
+export default TerrainModificationCollection;
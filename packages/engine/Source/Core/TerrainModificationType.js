@@ -0,0 +1,39 @@
+/**
+ * How a {@link TerrainModification} changes the heights of the terrain inside of its polygon.
+ *
+ * @enum {Number}
+ *
+ * @see TerrainModification
+ */
+const TerrainModificationType = {
+  /**
+   * The terrain inside of the polygon is flattened to the height of the modification, so it is raised
+   * or lowered as needed.
+   *
+   * @type {Number}
+   * @constant
+   */
+  FLATTEN: 0,
+
+  /**
+   * The height of the modification is added to the heights of the terrain inside of the polygon.
+   *
+   * @type {Number}
+   * @constant
+   */
+  OFFSET: 1,
+
+  /**
+   * The terrain inside of the polygon is lowered to the height of the modification.  Terrain that is already
+   * lower than that height is left unchanged.
+   * <p>
+   * Vertices are inserted into the terrain meshes along the edges of the polygon, where vertical walls are added
+   * between the terrain and the bottom of the pit.
+   * </p>
+   *
+   * @type {Number}
+   * @constant
+   */
+  EXCAVATE: 2,
+};
+export default Object.freeze(TerrainModificationType);
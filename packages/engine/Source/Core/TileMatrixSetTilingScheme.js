@@ -0,0 +1,555 @@
+import BoundingRectangle from "./BoundingRectangle.js";
+import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import GeographicProjection from "./GeographicProjection.js";
+import MapProjection from "./MapProjection.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * The size of a pixel, in meters, of the standardized rendering pixel of OGC TileMatrixSets,
+ * used to convert scale denominators to cell sizes.
+ *
+ * @type {Number}
+ * @constant
+ * @private
+ */
+const standardizedRenderingPixelSize = 0.00028;
+
+/**
+ * A tile matrix of a {@link TileMatrixSetTilingScheme}, corresponding to one level-of-detail.
+ *
+ * @typedef {Object} TileMatrixSetTilingScheme.TileMatrix
+ *
+ * @property {String} [identifier] The identifier of the tile matrix, used in requests for its tiles.
+ * @property {Cartesian2} topLeftCorner The coordinates of the top left corner of the tile matrix in the
+ *           {@link MapProjection} of the tiling scheme.
+ * @property {Number} [cellSize] The size of a pixel in the units of the projection.  Either this or scaleDenominator is required.
+ * @property {Number} [scaleDenominator] The scale denominator of the tile matrix, assuming the 0.28mm standardized
+ *           rendering pixel of the OGC.  Either this or cellSize is required.
+ * @property {Number} [tileWidth=256] The width of each tile in pixels.
+ * @property {Number} [tileHeight=256] The height of each tile in pixels.
+ * @property {Number} matrixWidth The number of tiles in the X direction.
+ * @property {Number} matrixHeight The number of tiles in the Y direction.
+ */
+
+/**
+ * A tiling scheme defined by a TileMatrixSet, as used by WMTS and OGC API - Tiles, in any supported
+ * {@link MapProjection}.  Each tile matrix of the set is one level-of-detail of the tiling scheme and
+ * defines its own origin, resolution and number of tiles, so levels are not required to be powers of two
+ * of each other.
+ * <p>
+ * When the projection has curved meridians or parallels, such as a {@link TransverseMercatorProjection}
+ * used by UTM or many national grids, the tiles are not aligned with lines of longitude and latitude.
+ * {@link ImageryLayer} reprojects them onto the globe, and {@link TileMatrixSetTilingScheme#tileXYToRectangle}
+ * returns the smallest cartographic rectangle that contains the tile.
+ * </p>
+ *
+ * @alias TileMatrixSetTilingScheme
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {TileMatrixSetTilingScheme.TileMatrix[]} options.tileMatrices The tile matrices, ordered from the least
+ *        to the most detailed.
+ * @param {MapProjection} [options.projection] The projection of the coordinates of the tile matrices.
+ * @param {String} [options.proj4Definition] The proj4 definition of the projection of the tile matrices, used to
+ *        create the projection with {@link MapProjection.fromProj4Definition} when options.projection is undefined.
+ * @param {Ellipsoid} [options.ellipsoid] The ellipsoid whose surface is being tiled.  Defaults to the ellipsoid
+ *        of the projection, or to the WGS84 ellipsoid if there is neither a projection nor a proj4 definition.
+ * @param {Rectangle} [options.rectangle] The rectangle, in radians, covered by the tiling scheme.  Defaults to
+ *        the rectangle containing the first tile matrix.
+ *
+ * @exception {DeveloperError} options.tileMatrices must contain at least one tile matrix.
+ * @exception {DeveloperError} Each tile matrix requires either a cellSize or a scaleDenominator.
+ * @exception {RuntimeError} Unsupported projection.
+ *
+ * @example
+ * // Tiles of UTM zone 32N
+ * const tilingScheme = new Cesium.TileMatrixSetTilingScheme({
+ *   projection: Cesium.TransverseMercatorProjection.fromUtmZone(32),
+ *   tileMatrices: [
+ *     {
+ *       identifier: "0",
+ *       topLeftCorner: new Cesium.Cartesian2(-2000000.0, 10000000.0),
+ *       cellSize: 4096.0,
+ *       matrixWidth: 6,
+ *       matrixHeight: 10,
+ *     },
+ *     {
+ *       identifier: "1",
+ *       topLeftCorner: new Cesium.Cartesian2(-2000000.0, 10000000.0),
+ *       cellSize: 2048.0,
+ *       matrixWidth: 12,
+ *       matrixHeight: 20,
+ *     },
+ *   ],
+ *   rectangle: Cesium.Rectangle.fromDegrees(6.0, 0.0, 12.0, 84.0),
+ * });
+ *
+ * @see GeographicTilingScheme
+ * @see WebMercatorTilingScheme
+ */
+function TileMatrixSetTilingScheme(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.tileMatrices", options.tileMatrices);
+  if (options.tileMatrices.length === 0) {
+    throw new DeveloperError(
+      "options.tileMatrices must contain at least one tile matrix."
+    );
+  }
+  //>>includeEnd('debug');
+
+  let projection = options.projection;
+  if (!defined(projection)) {
+    projection = defined(options.proj4Definition)
+      ? MapProjection.fromProj4Definition(options.proj4Definition)
+      : new GeographicProjection(options.ellipsoid);
+  }
+
+  this._projection = projection;
+  this._ellipsoid = defaultValue(options.ellipsoid, projection.ellipsoid);
+  this._tileMatrices = options.tileMatrices.map(createTileMatrix);
+
+  this._rectangle = defined(options.rectangle)
+    ? Rectangle.clone(options.rectangle)
+    : nativeRectangleToRectangle(
+        this,
+        computeNativeExtent(this._tileMatrices[0], new Rectangle()),
+        new Rectangle()
+      );
+}
+
+function createTileMatrix(tileMatrix) {
+  let cellSize = tileMatrix.cellSize;
+  if (!defined(cellSize)) {
+    //>>includeStart('debug', pragmas.debug);
+    if (!defined(tileMatrix.scaleDenominator)) {
+      throw new DeveloperError(
+        "Each tile matrix requires either a cellSize or a scaleDenominator."
+      );
+    }
+    //>>includeEnd('debug');
+    cellSize = tileMatrix.scaleDenominator * standardizedRenderingPixelSize;
+  }
+
+  const tileWidth = defaultValue(tileMatrix.tileWidth, 256);
+  const tileHeight = defaultValue(tileMatrix.tileHeight, 256);
+
+  return {
+    identifier: tileMatrix.identifier,
+    topLeftCorner: Cartesian2.clone(tileMatrix.topLeftCorner),
+    cellSize: cellSize,
+    tileWidth: tileWidth,
+    tileHeight: tileHeight,
+    matrixWidth: tileMatrix.matrixWidth,
+    matrixHeight: tileMatrix.matrixHeight,
+    tileSpanX: cellSize * tileWidth,
+    tileSpanY: cellSize * tileHeight,
+  };
+}
+
+function computeNativeExtent(tileMatrix, result) {
+  const topLeftCorner = tileMatrix.topLeftCorner;
+  result.west = topLeftCorner.x;
+  result.north = topLeftCorner.y;
+  result.east = topLeftCorner.x + tileMatrix.matrixWidth * tileMatrix.tileSpanX;
+  result.south =
+    topLeftCorner.y - tileMatrix.matrixHeight * tileMatrix.tileSpanY;
+  return result;
+}
+
+Object.defineProperties(TileMatrixSetTilingScheme.prototype, {
+  /**
+   * Gets the ellipsoid that is tiled by this tiling scheme.
+   * @memberof TileMatrixSetTilingScheme.prototype
+   * @type {Ellipsoid}
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by this tiling scheme.
+   * @memberof TileMatrixSetTilingScheme.prototype
+   * @type {Rectangle}
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the map projection used by this tiling scheme.
+   * @memberof TileMatrixSetTilingScheme.prototype
+   * @type {MapProjection}
+   */
+  projection: {
+    get: function () {
+      return this._projection;
+    },
+  },
+
+  /**
+   * Gets the number of levels of this tiling scheme, which is the number of tile matrices.
+   * @memberof TileMatrixSetTilingScheme.prototype
+   * @type {Number}
+   */
+  numberOfLevels: {
+    get: function () {
+      return this._tileMatrices.length;
+    },
+  },
+
+  /**
+   * Gets the identifiers of the tile matrices, one per level, or undefined if the tile matrices have no identifiers.
+   * @memberof TileMatrixSetTilingScheme.prototype
+   * @type {String[]|undefined}
+   */
+  tileMatrixLabels: {
+    get: function () {
+      const tileMatrices = this._tileMatrices;
+      if (!defined(tileMatrices[0].identifier)) {
+        return undefined;
+      }
+      return tileMatrices.map(function (tileMatrix) {
+        return tileMatrix.identifier;
+      });
+    },
+  },
+});
+
+/**
+ * Gets the size of a pixel, in the units of the projection, at a specified level-of-detail.
+ *
+ * @param {Number} level The level-of-detail.
+ * @returns {Number} The size of a pixel at the given level, or undefined if there is no such level.
+ */
+TileMatrixSetTilingScheme.prototype.getCellSize = function (level) {
+  const tileMatrix = this._tileMatrices[level];
+  return defined(tileMatrix) ? tileMatrix.cellSize : undefined;
+};
+
+/**
+ * Gets the total number of tiles in the X direction at a specified level-of-detail.
+ *
+ * @param {Number} level The level-of-detail.
+ * @returns {Number} The number of tiles in the X direction at the given level.
+ */
+TileMatrixSetTilingScheme.prototype.getNumberOfXTilesAtLevel = function (
+  level
+) {
+  const tileMatrix = this._tileMatrices[level];
+  return defined(tileMatrix) ? tileMatrix.matrixWidth : 0;
+};
+
+/**
+ * Gets the total number of tiles in the Y direction at a specified level-of-detail.
+ *
+ * @param {Number} level The level-of-detail.
+ * @returns {Number} The number of tiles in the Y direction at the given level.
+ */
+TileMatrixSetTilingScheme.prototype.getNumberOfYTilesAtLevel = function (
+  level
+) {
+  const tileMatrix = this._tileMatrices[level];
+  return defined(tileMatrix) ? tileMatrix.matrixHeight : 0;
+};
+
+const boundingRectangleScratch = new BoundingRectangle();
+
+/**
+ * Transforms a rectangle specified in geodetic radians to the native coordinate system
+ * of this tiling scheme.  When the projection has curved meridians or parallels, the result
+ * is the smallest native rectangle containing the projected rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle to transform.
+ * @param {Rectangle} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the native rectangle if 'result'
+ *          is undefined.
+ */
+TileMatrixSetTilingScheme.prototype.rectangleToNativeRectangle = function (
+  rectangle,
+  result
+) {
+  const boundingRectangle = BoundingRectangle.fromRectangle(
+    rectangle,
+    this._projection,
+    boundingRectangleScratch
+  );
+
+  if (!defined(result)) {
+    result = new Rectangle();
+  }
+
+  result.west = boundingRectangle.x;
+  result.south = boundingRectangle.y;
+  result.east = boundingRectangle.x + boundingRectangle.width;
+  result.north = boundingRectangle.y + boundingRectangle.height;
+  return result;
+};
+
+/**
+ * Converts tile x, y coordinates and level to a rectangle expressed in the native coordinates
+ * of the tiling scheme.
+ *
+ * @param {Number} x The integer x coordinate of the tile.
+ * @param {Number} y The integer y coordinate of the tile.
+ * @param {Number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {Object} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the rectangle
+ *          if 'result' is undefined.
+ */
+TileMatrixSetTilingScheme.prototype.tileXYToNativeRectangle = function (
+  x,
+  y,
+  level,
+  result
+) {
+  const tileMatrix = this._tileMatrices[level];
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(tileMatrix)) {
+    throw new DeveloperError(
+      `The tiling scheme does not have a level ${level}.`
+    );
+  }
+  //>>includeEnd('debug');
+
+  const topLeftCorner = tileMatrix.topLeftCorner;
+  const west = topLeftCorner.x + x * tileMatrix.tileSpanX;
+  const east = topLeftCorner.x + (x + 1) * tileMatrix.tileSpanX;
+  const north = topLeftCorner.y - y * tileMatrix.tileSpanY;
+  const south = topLeftCorner.y - (y + 1) * tileMatrix.tileSpanY;
+
+  if (!defined(result)) {
+    return new Rectangle(west, south, east, north);
+  }
+
+  result.west = west;
+  result.south = south;
+  result.east = east;
+  result.north = north;
+  return result;
+};
+
+const nativeRectangleScratch = new Rectangle();
+
+/**
+ * Converts tile x, y coordinates and level to a cartographic rectangle in radians.  When the
+ * projection has curved meridians or parallels, the result is the smallest cartographic
+ * rectangle containing the tile.
+ *
+ * @param {Number} x The integer x coordinate of the tile.
+ * @param {Number} y The integer y coordinate of the tile.
+ * @param {Number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {Object} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the rectangle
+ *          if 'result' is undefined.
+ */
+TileMatrixSetTilingScheme.prototype.tileXYToRectangle = function (
+  x,
+  y,
+  level,
+  result
+) {
+  const nativeRectangle = this.tileXYToNativeRectangle(
+    x,
+    y,
+    level,
+    nativeRectangleScratch
+  );
+  if (!defined(result)) {
+    result = new Rectangle();
+  }
+  return nativeRectangleToRectangle(this, nativeRectangle, result);
+};
+
+const projectedScratch = new Cartesian3();
+
+/**
+ * Calculates the tile x, y coordinates of the tile containing
+ * a given cartographic position.
+ *
+ * @param {Cartographic} position The position.
+ * @param {Number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {Cartesian2} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Cartesian2} The specified 'result', or a new object containing the tile x, y coordinates
+ *          if 'result' is undefined, or undefined if the position is outside of the tiling scheme.
+ */
+TileMatrixSetTilingScheme.prototype.positionToTileXY = function (
+  position,
+  level,
+  result
+) {
+  const tileMatrix = this._tileMatrices[level];
+  if (!defined(tileMatrix) || !Rectangle.contains(this._rectangle, position)) {
+    // outside the bounds of the tiling scheme
+    return undefined;
+  }
+
+  const projected = this._projection.project(position, projectedScratch);
+  const topLeftCorner = tileMatrix.topLeftCorner;
+  const xTileCoordinate = Math.floor(
+    (projected.x - topLeftCorner.x) / tileMatrix.tileSpanX
+  );
+  const yTileCoordinate = Math.floor(
+    (topLeftCorner.y - projected.y) / tileMatrix.tileSpanY
+  );
+
+  if (
+    xTileCoordinate < 0 ||
+    xTileCoordinate >= tileMatrix.matrixWidth ||
+    yTileCoordinate < 0 ||
+    yTileCoordinate >= tileMatrix.matrixHeight
+  ) {
+    return undefined;
+  }
+
+  if (!defined(result)) {
+    return new Cartesian2(xTileCoordinate, yTileCoordinate);
+  }
+
+  result.x = xTileCoordinate;
+  result.y = yTileCoordinate;
+  return result;
+};
+
+const edgeSamples = 16;
+const nativeSampleScratch = new Cartesian3();
+const cartographicSampleScratch = new Cartographic();
+const poleScratch = new Cartographic();
+
+function containsPole(projection, nativeRectangle, latitude) {
+  const pole = projection.project(
+    Cartographic.fromRadians(0.0, latitude, 0.0, poleScratch),
+    nativeSampleScratch
+  );
+  return (
+    pole.x >= nativeRectangle.west &&
+    pole.x <= nativeRectangle.east &&
+    pole.y >= nativeRectangle.south &&
+    pole.y <= nativeRectangle.north
+  );
+}
+
+function nativeRectangleToRectangle(tilingScheme, nativeRectangle, result) {
+  const projection = tilingScheme._projection;
+  const native = nativeSampleScratch;
+  const cartographic = cartographicSampleScratch;
+
+  if (projection.isNormalCylindrical !== false) {
+    native.x = nativeRectangle.west;
+    native.y = nativeRectangle.south;
+    projection.unproject(native, cartographic);
+    result.west = cartographic.longitude;
+    result.south = cartographic.latitude;
+
+    native.x = nativeRectangle.east;
+    native.y = nativeRectangle.north;
+    projection.unproject(native, cartographic);
+    result.east = cartographic.longitude;
+    result.north = cartographic.latitude;
+    return result;
+  }
+
+  // The extremes of the tile are on its edges, except at the poles.  Longitudes are unwrapped
+  // relative to the first sample so that tiles crossing the antimeridian stay contiguous.
+  const width = nativeRectangle.east - nativeRectangle.west;
+  const height = nativeRectangle.north - nativeRectangle.south;
+  let firstLongitude;
+  let west = Number.POSITIVE_INFINITY;
+  let east = Number.NEGATIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+
+  for (let i = 0; i < edgeSamples; ++i) {
+    const u = i / edgeSamples;
+    for (let edge = 0; edge < 4; ++edge) {
+      if (edge === 0) {
+        native.x = nativeRectangle.west + u * width;
+        native.y = nativeRectangle.south;
+      } else if (edge === 1) {
+        native.x = nativeRectangle.east;
+        native.y = nativeRectangle.south + u * height;
+      } else if (edge === 2) {
+        native.x = nativeRectangle.east - u * width;
+        native.y = nativeRectangle.north;
+      } else {
+        native.x = nativeRectangle.west;
+        native.y = nativeRectangle.north - u * height;
+      }
+      native.z = 0.0;
+      projection.unproject(native, cartographic);
+
+      let longitude = cartographic.longitude;
+      if (!defined(firstLongitude)) {
+        firstLongitude = longitude;
+      } else {
+        longitude =
+          firstLongitude +
+          CesiumMath.negativePiToPi(longitude - firstLongitude);
+      }
+      west = Math.min(west, longitude);
+      east = Math.max(east, longitude);
+      south = Math.min(south, cartographic.latitude);
+      north = Math.max(north, cartographic.latitude);
+    }
+  }
+
+  let containsNorthPole = false;
+  let containsSouthPole = false;
+  if (north > 0.0) {
+    containsNorthPole = containsPole(
+      projection,
+      nativeRectangle,
+      CesiumMath.PI_OVER_TWO
+    );
+  }
+  if (south < 0.0) {
+    containsSouthPole = containsPole(
+      projection,
+      nativeRectangle,
+      -CesiumMath.PI_OVER_TWO
+    );
+  }
+
+  if (containsNorthPole) {
+    north = CesiumMath.PI_OVER_TWO;
+  }
+  if (containsSouthPole) {
+    south = -CesiumMath.PI_OVER_TWO;
+  }
+
+  if (
+    containsNorthPole ||
+    containsSouthPole ||
+    east - west >= CesiumMath.TWO_PI
+  ) {
+    west = -CesiumMath.PI;
+    east = CesiumMath.PI;
+  } else {
+    west = CesiumMath.negativePiToPi(west);
+    east = CesiumMath.negativePiToPi(east);
+  }
+
+  result.west = west;
+  result.south = south;
+  result.east = east;
+  result.north = north;
+  return result;
+}
+export default TileMatrixSetTilingScheme;
@@ -0,0 +1,411 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * A transverse Mercator projection of an ellipsoid, like the projections of the Universal Transverse
+ * Mercator (UTM) zones and of many national grids.  The projection is conformal, and accurate to a millimeter
+ * within several thousand kilometers of the central meridian.  The formulas are the series of Krüger in
+ * the form given by the EPSG Guidance Note 7-2.
+ *
+ * @alias TransverseMercatorProjection
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Number} [options.centralMeridian=0.0] The longitude, in radians, of the central meridian.
+ * @param {Number} [options.latitudeOfOrigin=0.0] The latitude, in radians, at which the northing is the false northing.
+ * @param {Number} [options.scaleFactor=1.0] The scale factor along the central meridian.
+ * @param {Number} [options.falseEasting=0.0] The easting, in meters, of the central meridian.
+ * @param {Number} [options.falseNorthing=0.0] The northing, in meters, of the latitude of origin.
+ * @param {Rectangle} [options.rectangle] The rectangle, in radians, shown in 2D and Columbus view when this projection
+ *        is the map projection of the scene.  Defaults to 30 degrees on each side of the central meridian.
+ *
+ * @example
+ * // Israeli Transverse Mercator
+ * const projection = new Cesium.TransverseMercatorProjection({
+ *   ellipsoid: new Cesium.Ellipsoid(6378137.0, 6378137.0, 6356752.314140356),
+ *   centralMeridian: Cesium.Math.toRadians(35.20451694444445),
+ *   latitudeOfOrigin: Cesium.Math.toRadians(31.73439361111111),
+ *   scaleFactor: 1.0000067,
+ *   falseEasting: 219529.584,
+ *   falseNorthing: 626907.39,
+ * });
+ *
+ * @see MapProjection.fromProj4Definition
+ * @see LambertConformalConicProjection
+ * @see PolarStereographicProjection
+ */
+function TransverseMercatorProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  const latitudeOfOrigin = defaultValue(options.latitudeOfOrigin, 0.0);
+  const scaleFactor = defaultValue(options.scaleFactor, 1.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan("options.scaleFactor", scaleFactor, 0.0);
+  //>>includeEnd('debug');
+
+  this._ellipsoid = ellipsoid;
+  this._centralMeridian = centralMeridian;
+  this._latitudeOfOrigin = latitudeOfOrigin;
+  this._scaleFactor = scaleFactor;
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+  this._rectangle = defined(options.rectangle)
+    ? Rectangle.clone(options.rectangle)
+    : new Rectangle(
+        centralMeridian - CesiumMath.toRadians(30.0),
+        -CesiumMath.PI_OVER_TWO,
+        centralMeridian + CesiumMath.toRadians(30.0),
+        CesiumMath.PI_OVER_TWO
+      );
+
+  const a = ellipsoid.maximumRadius;
+  const flattening = (a - ellipsoid.minimumRadius) / a;
+  const n = flattening / (2.0 - flattening);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+
+  this._eccentricity = Math.sqrt(flattening * (2.0 - flattening));
+  this._radius = (a / (1.0 + n)) * (1.0 + n2 / 4.0 + n4 / 64.0);
+  this._forwardCoefficients = [
+    n / 2.0 - (2.0 / 3.0) * n2 + (5.0 / 16.0) * n3 + (41.0 / 180.0) * n4,
+    (13.0 / 48.0) * n2 - (3.0 / 5.0) * n3 + (557.0 / 1440.0) * n4,
+    (61.0 / 240.0) * n3 - (103.0 / 140.0) * n4,
+    (49561.0 / 161280.0) * n4,
+  ];
+  this._inverseCoefficients = [
+    n / 2.0 - (2.0 / 3.0) * n2 + (37.0 / 96.0) * n3 - (1.0 / 360.0) * n4,
+    (1.0 / 48.0) * n2 + (1.0 / 15.0) * n3 - (437.0 / 1440.0) * n4,
+    (17.0 / 480.0) * n3 - (37.0 / 840.0) * n4,
+    (4397.0 / 161280.0) * n4,
+  ];
+
+  // The distance along the central meridian from the equator to the latitude of origin
+  this._meridionalArcOfOrigin =
+    this._radius *
+    rectifyingLatitude(this, conformalLatitude(this, latitudeOfOrigin), 0.0);
+}
+
+Object.defineProperties(TransverseMercatorProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether meridians and parallels are straight lines along the axes of the map.
+   * This is always false for this projection.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  isNormalCylindrical: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, shown in 2D and Columbus view when this projection is the map projection of the scene.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the longitude, in radians, of the central meridian.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the latitude, in radians, at which the northing is the false northing.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  latitudeOfOrigin: {
+    get: function () {
+      return this._latitudeOfOrigin;
+    },
+  },
+
+  /**
+   * Gets the scale factor along the central meridian.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting, in meters, of the central meridian.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing, in meters, of the latitude of origin.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+
+  /**
+   * Gets the proj4 definition of this projection, which can be passed to {@link MapProjection.fromProj4Definition}.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {String}
+   * @readonly
+   */
+  proj4Definition: {
+    get: function () {
+      return `+proj=tmerc +lat_0=${CesiumMath.toDegrees(
+        this._latitudeOfOrigin
+      )} +lon_0=${CesiumMath.toDegrees(this._centralMeridian)} +k=${
+        this._scaleFactor
+      } +x_0=${this._falseEasting} +y_0=${this._falseNorthing} +a=${
+        this._ellipsoid.maximumRadius
+      } +b=${this._ellipsoid.minimumRadius} +units=m +no_defs`;
+    },
+  },
+});
+
+// The conformal latitude, which makes the ellipsoid conformal to a sphere
+function conformalLatitude(projection, latitude) {
+  const e = projection._eccentricity;
+  const q =
+    Math.asinh(Math.tan(latitude)) - e * Math.atanh(e * Math.sin(latitude));
+  return Math.atan(Math.sinh(q));
+}
+
+// The rectifying latitude, in radians, of a point of the conformal sphere given in transverse Mercator
+// coordinates.  Multiplied by the radius, it is the distance along the central meridian.
+function rectifyingLatitude(projection, conformalLatitude, longitude) {
+  const coefficients = projection._forwardCoefficients;
+  const eta0 = Math.atanh(Math.cos(conformalLatitude) * Math.sin(longitude));
+  const xi0 = Math.asin(Math.sin(conformalLatitude) * Math.cosh(eta0));
+  let xi = xi0;
+  for (let i = 0; i < 4; ++i) {
+    const k = 2.0 * (i + 1);
+    xi += coefficients[i] * Math.sin(k * xi0) * Math.cosh(k * eta0);
+  }
+  return xi;
+}
+
+/**
+ * Projects a set of {@link Cartographic} coordinates, in radians, to eastings and northings, in meters.
+ * Z is the unmodified height.
+ *
+ * @param {Cartographic} cartographic The coordinates to project.
+ * @param {Cartesian3} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartesian3} The projected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+TransverseMercatorProjection.prototype.project = function (
+  cartographic,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartographic)) {
+    throw new DeveloperError("cartographic is required");
+  }
+  //>>includeEnd('debug');
+
+  const coefficients = this._forwardCoefficients;
+  const beta = conformalLatitude(this, cartographic.latitude);
+  const longitude = CesiumMath.negativePiToPi(
+    cartographic.longitude - this._centralMeridian
+  );
+  const eta0 = Math.atanh(Math.cos(beta) * Math.sin(longitude));
+  const xi0 = Math.asin(Math.sin(beta) * Math.cosh(eta0));
+
+  let xi = xi0;
+  let eta = eta0;
+  for (let i = 0; i < 4; ++i) {
+    const k = 2.0 * (i + 1);
+    xi += coefficients[i] * Math.sin(k * xi0) * Math.cosh(k * eta0);
+    eta += coefficients[i] * Math.cos(k * xi0) * Math.sinh(k * eta0);
+  }
+
+  const scale = this._scaleFactor;
+  const radius = this._radius;
+  const x = this._falseEasting + scale * radius * eta;
+  const y =
+    this._falseNorthing + scale * (radius * xi - this._meridionalArcOfOrigin);
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects a set of projected {@link Cartesian3} coordinates, in meters, to {@link Cartographic}
+ * coordinates, in radians.  Height is the unmodified Z coordinate.
+ *
+ * @param {Cartesian3} cartesian The Cartesian position to unproject with height (z) in meters.
+ * @param {Cartographic} [result] An instance into which to copy the result.  If this parameter is
+ *        undefined, a new instance is created and returned.
+ * @returns {Cartographic} The unprojected coordinates.  If the result parameter is not undefined, the
+ *          coordinates are copied there and that instance is returned.  Otherwise, a new instance is
+ *          created and returned.
+ */
+TransverseMercatorProjection.prototype.unproject = function (
+  cartesian,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(cartesian)) {
+    throw new DeveloperError("cartesian is required");
+  }
+  //>>includeEnd('debug');
+
+  const coefficients = this._inverseCoefficients;
+  const scaledRadius = this._scaleFactor * this._radius;
+  const eta = (cartesian.x - this._falseEasting) / scaledRadius;
+  const xi =
+    (cartesian.y -
+      this._falseNorthing +
+      this._scaleFactor * this._meridionalArcOfOrigin) /
+    scaledRadius;
+
+  let xi0 = xi;
+  let eta0 = eta;
+  for (let i = 0; i < 4; ++i) {
+    const k = 2.0 * (i + 1);
+    xi0 -= coefficients[i] * Math.sin(k * xi) * Math.cosh(k * eta);
+    eta0 -= coefficients[i] * Math.cos(k * xi) * Math.sinh(k * eta);
+  }
+
+  const beta = Math.asin(Math.sin(xi0) / Math.cosh(eta0));
+
+  // Iterate to the geodetic latitude from the conformal latitude
+  const e = this._eccentricity;
+  const q = Math.asinh(Math.tan(beta));
+  let qGeodetic = q;
+  for (let i = 0; i < 10; ++i) {
+    const next = q + e * Math.atanh(e * Math.tanh(qGeodetic));
+    const done = Math.abs(next - qGeodetic) < CesiumMath.EPSILON15;
+    qGeodetic = next;
+    if (done) {
+      break;
+    }
+  }
+
+  const latitude = Math.atan(Math.sinh(qGeodetic));
+  const longitude = CesiumMath.negativePiToPi(
+    this._centralMeridian + Math.atan2(Math.sinh(eta0), Math.cos(xi0))
+  );
+  const height = cartesian.z;
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+
+/**
+ * Creates the projection of a Universal Transverse Mercator (UTM) zone.
+ *
+ * @param {Number} zone The zone number, from 1 to 60.
+ * @param {Boolean} [southernHemisphere=false] True for the southern hemisphere, whose false northing is 10,000 km.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {TransverseMercatorProjection} The projection of the zone.
+ *
+ * @example
+ * // WGS 84 / UTM zone 36N
+ * const projection = Cesium.TransverseMercatorProjection.fromUtmZone(36);
+ */
+TransverseMercatorProjection.fromUtmZone = function (
+  zone,
+  southernHemisphere,
+  ellipsoid
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("zone", zone, 1);
+  Check.typeOf.number.lessThanOrEquals("zone", zone, 60);
+  //>>includeEnd('debug');
+
+  const centralMeridian = CesiumMath.toRadians(zone * 6.0 - 183.0);
+  return new TransverseMercatorProjection({
+    ellipsoid: ellipsoid,
+    centralMeridian: centralMeridian,
+    scaleFactor: 0.9996,
+    falseEasting: 500000.0,
+    falseNorthing: defaultValue(southernHemisphere, false) ? 10000000.0 : 0.0,
+  });
+};
+export default TransverseMercatorProjection;
@@ -0,0 +1,393 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import PolarStereographicProjection from "./PolarStereographicProjection.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+
+const latitudeBands = "CDEFGHJKLMNPQRSTUVWX";
+
+const scratchCartesian = new Cartesian3();
+
+const utmProjections = {};
+const upsProjections = {};
+
+function getProjection(zone, band, ellipsoid) {
+  const southernHemisphere = band < "N";
+  const key = `${zone}${southernHemisphere ? "S" : "N"}`;
+  const cache = zone === 0 ? upsProjections : utmProjections;
+
+  // Only the projections of the WGS84 ellipsoid are cached
+  let projection = cache[key];
+  if (!Ellipsoid.WGS84.equals(ellipsoid)) {
+    projection = undefined;
+  }
+  if (!defined(projection)) {
+    projection =
+      zone === 0
+        ? PolarStereographicProjection.fromUps(southernHemisphere, ellipsoid)
+        : TransverseMercatorProjection.fromUtmZone(
+            zone,
+            southernHemisphere,
+            ellipsoid
+          );
+    if (Ellipsoid.WGS84.equals(ellipsoid)) {
+      cache[key] = projection;
+    }
+  }
+  return projection;
+}
+
+/**
+ * A position in the Universal Transverse Mercator (UTM) coordinate system, or, near the poles, in the
+ * Universal Polar Stereographic (UPS) coordinate system.  The position is given by the zone, the latitude band,
+ * and the easting and northing in meters within the zone.
+ * <p>
+ * Between 80°S and 84°N, the zones are 6° wide and numbered from 1 to 60 eastward from 180°, with the
+ * exceptions around Norway and Svalbard.  The latitude bands are 8° high and lettered from C to X northward,
+ * skipping I and O, except for band X, which is 12° high.  Bands C to M are in the southern hemisphere, whose
+ * northings are offset by 10,000 km.  North of 84°N and south of 80°S, the zone is 0 and the band is A or B in the
+ * south and Y or Z in the north, for the western and eastern hemispheres.
+ * </p>
+ *
+ * @alias UtmCoordinate
+ * @constructor
+ *
+ * @param {Number} [zone=31] The zone number, from 1 to 60, or 0 for the polar zones.
+ * @param {String} [band="N"] The letter of the latitude band.
+ * @param {Number} [easting=500000.0] The easting, in meters.
+ * @param {Number} [northing=0.0] The northing, in meters.
+ *
+ * @see Mgrs
+ * @see TransverseMercatorProjection.fromUtmZone
+ * @see PolarStereographicProjection.fromUps
+ */
+function UtmCoordinate(zone, band, easting, northing) {
+  /**
+   * The zone number, from 1 to 60, or 0 for the polar zones.
+   * @type {Number}
+   * @default 31
+   */
+  this.zone = defaultValue(zone, 31);
+
+  /**
+   * The letter of the latitude band.
+   * @type {String}
+   * @default "N"
+   */
+  this.band = defaultValue(band, "N");
+
+  /**
+   * The easting, in meters.
+   * @type {Number}
+   * @default 500000.0
+   */
+  this.easting = defaultValue(easting, 500000.0);
+
+  /**
+   * The northing, in meters.
+   * @type {Number}
+   * @default 0.0
+   */
+  this.northing = defaultValue(northing, 0.0);
+}
+
+/**
+ * Gets the UTM zone of a position, including the exceptions of the zones around Norway and Svalbard.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @returns {Number} The zone number, from 1 to 60, or 0 if the position is north of 84°N or south of 80°S.
+ */
+UtmCoordinate.getZone = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const latitude = CesiumMath.toDegrees(cartographic.latitude);
+  if (latitude < -80.0 || latitude >= 84.0) {
+    return 0;
+  }
+
+  const longitude = CesiumMath.toDegrees(
+    CesiumMath.negativePiToPi(cartographic.longitude)
+  );
+  let zone = (Math.floor((longitude + 180.0) / 6.0) % 60) + 1;
+
+  // Zone 32V is widened to cover the west coast of Norway
+  if (
+    latitude >= 56.0 &&
+    latitude < 64.0 &&
+    longitude >= 3.0 &&
+    longitude < 12.0
+  ) {
+    zone = 32;
+  }
+
+  // Around Svalbard, zones 32X, 34X and 36X are omitted and the odd zones are widened
+  if (latitude >= 72.0 && longitude >= 0.0 && longitude < 42.0) {
+    if (longitude < 9.0) {
+      zone = 31;
+    } else if (longitude < 21.0) {
+      zone = 33;
+    } else if (longitude < 33.0) {
+      zone = 35;
+    } else {
+      zone = 37;
+    }
+  }
+
+  return zone;
+};
+
+function getPolarBand(cartographic) {
+  const eastern = CesiumMath.negativePiToPi(cartographic.longitude) >= 0.0;
+  if (cartographic.latitude < 0.0) {
+    return eastern ? "B" : "A";
+  }
+  return eastern ? "Z" : "Y";
+}
+
+/**
+ * Gets the letter of the latitude band of a position.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @returns {String} The letter of the latitude band, from C to X, or A, B, Y or Z north of 84°N and south of 80°S.
+ */
+UtmCoordinate.getBand = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const latitude = CesiumMath.toDegrees(cartographic.latitude);
+  if (latitude < -80.0 || latitude >= 84.0) {
+    return getPolarBand(cartographic);
+  }
+
+  const index = Math.min(Math.floor((latitude + 80.0) / 8.0), 19);
+  return latitudeBands[index];
+};
+
+/**
+ * Converts a position to UTM coordinates, or to UPS coordinates north of 84°N and south of 80°S.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.zone] The UTM zone, from 1 to 60, in which to compute the coordinates, for example to
+ *        continue the grid of a zone across its edge.  By default, the zone that contains the position is used.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {UtmCoordinate} [result] The object onto which to store the result.
+ * @returns {UtmCoordinate} The modified result parameter or a new UtmCoordinate instance if one was not provided.
+ *
+ * @example
+ * const utm = Cesium.UtmCoordinate.fromCartographic(Cesium.Cartographic.fromDegrees(2.2945, 48.8584));
+ * utm.toString(); // "31U 448252 5411955"
+ */
+UtmCoordinate.fromCartographic = function (cartographic, options, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const zone = defaultValue(options.zone, UtmCoordinate.getZone(cartographic));
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("options.zone", zone, 0);
+  Check.typeOf.number.lessThanOrEquals("options.zone", zone, 60);
+  //>>includeEnd('debug');
+
+  // Positions beyond the latitude limits of a zone given explicitly get the nearest band of the zone
+  let band = UtmCoordinate.getBand(cartographic);
+  if (zone === 0) {
+    band = getPolarBand(cartographic);
+  } else if (latitudeBands.indexOf(band) === -1) {
+    band = band < "N" ? "C" : "X";
+  }
+
+  const projection = getProjection(zone, band, ellipsoid);
+  const projected = projection.project(cartographic, scratchCartesian);
+
+  if (!defined(result)) {
+    result = new UtmCoordinate();
+  }
+  result.zone = zone;
+  result.band = band;
+  result.easting = projected.x;
+  result.northing = projected.y;
+  return result;
+};
+
+/**
+ * Converts UTM or UPS coordinates to a position.
+ *
+ * @param {UtmCoordinate} utmCoordinate The coordinates.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The modified result parameter or a new Cartographic instance if one was not provided.
+ */
+UtmCoordinate.toCartographic = function (utmCoordinate, ellipsoid, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("utmCoordinate", utmCoordinate);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const projection = getProjection(
+    utmCoordinate.zone,
+    utmCoordinate.band,
+    ellipsoid
+  );
+  scratchCartesian.x = utmCoordinate.easting;
+  scratchCartesian.y = utmCoordinate.northing;
+  scratchCartesian.z = 0.0;
+
+  if (!defined(result)) {
+    result = new Cartographic();
+  }
+  return projection.unproject(scratchCartesian, result);
+};
+
+/**
+ * Gets a value indicating whether the coordinates are in the southern hemisphere, whose northings are offset by
+ * 10,000 km in UTM.
+ *
+ * @param {UtmCoordinate} utmCoordinate The coordinates.
+ * @returns {Boolean} <code>true</code> if the latitude band is in the southern hemisphere; otherwise, <code>false</code>.
+ */
+UtmCoordinate.isSouthernHemisphere = function (utmCoordinate) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("utmCoordinate", utmCoordinate);
+  //>>includeEnd('debug');
+
+  return utmCoordinate.band < "N";
+};
+
+const utmPattern = /^(\d{1,2})?\s*([A-Z])\s+(\d+(?:\.\d*)?)\s*(?:ME)?\s+(\d+(?:\.\d*)?)\s*(?:MN)?$/;
+
+/**
+ * Parses UTM or UPS coordinates from a string with the zone number, the letter of the latitude band, and the
+ * easting and northing in meters, such as <code>"31U 448252 5411955"</code>, or without a zone number in the
+ * polar zones, such as <code>"Z 2000000 2000000"</code>.  The letter is always interpreted as a latitude band,
+ * not as a hemisphere.
+ *
+ * @param {String} string The string to parse.
+ * @param {UtmCoordinate} [result] The object onto which to store the result.
+ * @returns {UtmCoordinate|undefined} The modified result parameter or a new UtmCoordinate instance if one was not
+ *          provided, or undefined if the string is not valid UTM or UPS coordinates.
+ */
+UtmCoordinate.fromString = function (string, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("string", string);
+  //>>includeEnd('debug');
+
+  const match = utmPattern.exec(string.trim().toUpperCase());
+  if (match === null) {
+    return undefined;
+  }
+
+  const zone = defined(match[1]) ? parseInt(match[1], 10) : 0;
+  const band = match[2];
+  if (zone > 60) {
+    return undefined;
+  }
+  if (
+    (zone === 0 && "ABYZ".indexOf(band) === -1) ||
+    (zone !== 0 && latitudeBands.indexOf(band) === -1)
+  ) {
+    return undefined;
+  }
+
+  if (!defined(result)) {
+    result = new UtmCoordinate();
+  }
+  result.zone = zone;
+  result.band = band;
+  result.easting = parseFloat(match[3]);
+  result.northing = parseFloat(match[4]);
+  return result;
+};
+
+/**
+ * Duplicates a UtmCoordinate instance.
+ *
+ * @param {UtmCoordinate} utmCoordinate The coordinates to duplicate.
+ * @param {UtmCoordinate} [result] The object onto which to store the result.
+ * @returns {UtmCoordinate} The modified result parameter or a new UtmCoordinate instance if one was not provided. (Returns undefined if utmCoordinate is undefined)
+ */
+UtmCoordinate.clone = function (utmCoordinate, result) {
+  if (!defined(utmCoordinate)) {
+    return undefined;
+  }
+  if (!defined(result)) {
+    return new UtmCoordinate(
+      utmCoordinate.zone,
+      utmCoordinate.band,
+      utmCoordinate.easting,
+      utmCoordinate.northing
+    );
+  }
+  result.zone = utmCoordinate.zone;
+  result.band = utmCoordinate.band;
+  result.easting = utmCoordinate.easting;
+  result.northing = utmCoordinate.northing;
+  return result;
+};
+
+/**
+ * Compares the provided coordinates componentwise and returns
+ * <code>true</code> if they are equal, <code>false</code> otherwise.
+ *
+ * @param {UtmCoordinate} [left] The first coordinates.
+ * @param {UtmCoordinate} [right] The second coordinates.
+ * @returns {Boolean} <code>true</code> if left and right are equal, <code>false</code> otherwise.
+ */
+UtmCoordinate.equals = function (left, right) {
+  return (
+    left === right ||
+    (defined(left) &&
+      defined(right) &&
+      left.zone === right.zone &&
+      left.band === right.band &&
+      left.easting === right.easting &&
+      left.northing === right.northing)
+  );
+};
+
+/**
+ * Duplicates this UtmCoordinate instance.
+ *
+ * @param {UtmCoordinate} [result] The object onto which to store the result.
+ * @returns {UtmCoordinate} The modified result parameter or a new UtmCoordinate instance if one was not provided.
+ */
+UtmCoordinate.prototype.clone = function (result) {
+  return UtmCoordinate.clone(this, result);
+};
+
+/**
+ * Compares these coordinates against the provided coordinates componentwise and returns
+ * <code>true</code> if they are equal, <code>false</code> otherwise.
+ *
+ * @param {UtmCoordinate} [right] The other coordinates.
+ * @returns {Boolean} <code>true</code> if they are equal, <code>false</code> otherwise.
+ */
+UtmCoordinate.prototype.equals = function (right) {
+  return UtmCoordinate.equals(this, right);
+};
+
+/**
+ * Creates a string representing these coordinates in the format <code>"31U 448252 5411955"</code>, or
+ * <code>"Z 2000000 2000000"</code> in the polar zones.
+ *
+ * @param {Number} [decimals=0] The number of decimals of the easting and northing.
+ * @returns {String} A string representing these coordinates.
+ */
+UtmCoordinate.prototype.toString = function (decimals) {
+  decimals = defaultValue(decimals, 0);
+  const zone = this.zone === 0 ? "" : this.zone.toString();
+  return `${zone}${this.band} ${this.easting.toFixed(
+    decimals
+  )} ${this.northing.toFixed(decimals)}`;
+};
+export default UtmCoordinate;
@@ -38,6 +38,21 @@ Object.defineProperties(WebMercatorProjection.prototype, {
       return this._ellipsoid;
     },
   },
+
+  /**
+   * Gets a value indicating whether meridians and parallels are straight lines along the axes of the map.
+   * This is always true for this projection.
+   *
+   * @memberof WebMercatorProjection.prototype
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  isNormalCylindrical: {
+    get: function () {
+      return true;
+    },
+  },
 });
 
 /**
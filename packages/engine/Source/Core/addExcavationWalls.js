@@ -0,0 +1,424 @@
+import Cartesian3 from "./Cartesian3.js";
+import defined from "./defined.js";
+import CesiumMath from "./Math.js";
+
+// Tolerance of the texture coordinates and of the parameters along edges, below which
+// positions are considered to be at a vertex rather than inside of a triangle or an edge
+const epsilon = CesiumMath.EPSILON7;
+
+function interpolateDirection(a, b, t) {
+  if (!defined(a)) {
+    return undefined;
+  }
+  const result = Cartesian3.lerp(a, b, t, new Cartesian3());
+  if (Cartesian3.magnitudeSquared(result) === 0.0) {
+    return Cartesian3.clone(a);
+  }
+  return Cartesian3.normalize(result, result);
+}
+
+// The modifications that contain a vertex on the edge of their polygons are only known where both vertices agree
+function interpolateContained(a, b) {
+  if (!defined(a) || !defined(b)) {
+    return undefined;
+  }
+  const result = new Map();
+  a.forEach(function (contained, modification) {
+    if (b.get(modification) === contained) {
+      result.set(modification, contained);
+    }
+  });
+  return result;
+}
+
+// The vertex at a fraction of the edge from a to b, on the flat triangles of the rendered mesh
+function interpolateVertex(a, b, t) {
+  return {
+    position: Cartesian3.lerp(a.position, b.position, t, new Cartesian3()),
+    u: CesiumMath.lerp(a.u, b.u, t),
+    v: CesiumMath.lerp(a.v, b.v, t),
+    height: CesiumMath.lerp(a.height, b.height, t),
+    normal: interpolateDirection(a.normal, b.normal, t),
+    webMercatorT: defined(a.webMercatorT)
+      ? CesiumMath.lerp(a.webMercatorT, b.webMercatorT, t)
+      : undefined,
+    geodeticSurfaceNormal: interpolateDirection(
+      a.geodeticSurfaceNormal,
+      b.geodeticSurfaceNormal,
+      t
+    ),
+    contained: interpolateContained(a.contained, b.contained),
+    flattened: false,
+  };
+}
+
+function cloneVertex(vertex) {
+  return {
+    position: Cartesian3.clone(vertex.position),
+    u: vertex.u,
+    v: vertex.v,
+    height: vertex.height,
+    normal: Cartesian3.clone(vertex.normal),
+    webMercatorT: vertex.webMercatorT,
+    geodeticSurfaceNormal: Cartesian3.clone(vertex.geodeticSurfaceNormal),
+    contained: defined(vertex.contained)
+      ? new Map(vertex.contained)
+      : undefined,
+    flattened: false,
+  };
+}
+
+function getEdgeKey(a, b) {
+  return a < b ? `${a},${b}` : `${b},${a}`;
+}
+
+function getEdgeLists(surface) {
+  return [
+    surface.westIndicesSouthToNorth,
+    surface.southIndicesEastToWest,
+    surface.eastIndicesNorthToSouth,
+    surface.northIndicesWestToEast,
+  ];
+}
+
+// Splits the edge from a to b at a fraction t of its length, along with the triangles that share it
+function splitEdge(surface, a, b, t) {
+  const vertices = surface.vertices;
+  const c = vertices.length;
+  vertices.push(interpolateVertex(vertices[a], vertices[b], t));
+
+  const indices = surface.indices;
+  const length = indices.length;
+  for (let i = 0; i < length; i += 3) {
+    for (let j = 0; j < 3; ++j) {
+      const x = indices[i + j];
+      const y = indices[i + ((j + 1) % 3)];
+      if ((x === a && y === b) || (x === b && y === a)) {
+        // Replace the triangle x, y, z with x, c, z and c, y, z, keeping the winding order
+        const z = indices[i + ((j + 2) % 3)];
+        indices[i] = x;
+        indices[i + 1] = c;
+        indices[i + 2] = z;
+        indices.push(c, y, z);
+        break;
+      }
+    }
+  }
+
+  // Edges on the edges of the tile are also split in the lists of the vertices of the tile edges
+  const edgeLists = getEdgeLists(surface);
+  for (let i = 0; i < edgeLists.length; ++i) {
+    const list = edgeLists[i];
+    for (let j = 0; j < list.length - 1; ++j) {
+      if (
+        (list[j] === a && list[j + 1] === b) ||
+        (list[j] === b && list[j + 1] === a)
+      ) {
+        list.splice(j + 1, 0, c);
+        break;
+      }
+    }
+  }
+
+  return c;
+}
+
+// Adds a vertex to the mesh at texture coordinates that are inside of a triangle
+function insertVertex(surface, u, v) {
+  const vertices = surface.vertices;
+  const indices = surface.indices;
+  const length = indices.length;
+  for (let i = 0; i < length; i += 3) {
+    const i0 = indices[i];
+    const i1 = indices[i + 1];
+    const i2 = indices[i + 2];
+    const v0 = vertices[i0];
+    const v1 = vertices[i1];
+    const v2 = vertices[i2];
+
+    const denominator =
+      (v1.v - v2.v) * (v0.u - v2.u) + (v2.u - v1.u) * (v0.v - v2.v);
+    if (Math.abs(denominator) < epsilon * epsilon) {
+      // The walls have no area in texture coordinates
+      continue;
+    }
+    const w0 =
+      ((v1.v - v2.v) * (u - v2.u) + (v2.u - v1.u) * (v - v2.v)) / denominator;
+    const w1 =
+      ((v2.v - v0.v) * (u - v2.u) + (v0.u - v2.u) * (v - v2.v)) / denominator;
+    const w2 = 1.0 - w0 - w1;
+    if (w0 < -epsilon || w1 < -epsilon || w2 < -epsilon) {
+      continue;
+    }
+
+    if (w0 > 1.0 - epsilon || w1 > 1.0 - epsilon || w2 > 1.0 - epsilon) {
+      // The position is already a vertex
+      return;
+    }
+    if (w0 < epsilon) {
+      splitEdge(surface, i1, i2, w2 / (w1 + w2));
+    } else if (w1 < epsilon) {
+      splitEdge(surface, i2, i0, w0 / (w2 + w0));
+    } else if (w2 < epsilon) {
+      splitEdge(surface, i0, i1, w1 / (w0 + w1));
+    } else {
+      const c = vertices.length;
+      vertices.push(
+        interpolateVertex(interpolateVertex(v0, v1, w1 / (w0 + w1)), v2, w2)
+      );
+      indices[i + 2] = c;
+      indices.push(i1, i2, c, i2, i0, c);
+    }
+    return;
+  }
+}
+
+// Splits the edges of the mesh that cross the segment from a to b in texture coordinates
+function splitCrossedEdges(surface, au, av, bu, bv) {
+  const vertices = surface.vertices;
+  const indices = surface.indices;
+  const segmentU = bu - au;
+  const segmentV = bv - av;
+
+  const visited = new Set();
+  const crossings = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    for (let j = 0; j < 3; ++j) {
+      const c = indices[i + j];
+      const d = indices[i + ((j + 1) % 3)];
+      const key = getEdgeKey(c, d);
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+
+      const vc = vertices[c];
+      const vd = vertices[d];
+      const edgeU = vd.u - vc.u;
+      const edgeV = vd.v - vc.v;
+      const denominator = segmentU * edgeV - segmentV * edgeU;
+      if (Math.abs(denominator) < epsilon * epsilon) {
+        // The edge is parallel to the segment or has no length
+        continue;
+      }
+      const offsetU = vc.u - au;
+      const offsetV = vc.v - av;
+      const s = (offsetU * edgeV - offsetV * edgeU) / denominator;
+      const t = (offsetU * segmentV - offsetV * segmentU) / denominator;
+      if (
+        s >= -epsilon &&
+        s <= 1.0 + epsilon &&
+        t > epsilon &&
+        t < 1.0 - epsilon
+      ) {
+        crossings.push(c, d, t);
+      }
+    }
+  }
+
+  for (let i = 0; i < crossings.length; i += 3) {
+    splitEdge(surface, crossings[i], crossings[i + 1], crossings[i + 2]);
+  }
+}
+
+/**
+ * Adds vertical walls to a terrain mesh along the edges of the polygon of an excavation.  The triangles that cross
+ * the polygon are split at its edges, and the vertices on its edges are duplicated, so that the vertices inside of
+ * the polygon can be lowered without moving those outside of it.  The walls connect the duplicated vertices.
+ * <p>
+ * The surface is modified in place.  Its vertices have the texture coordinates <code>u</code> and <code>v</code>, a
+ * <code>position</code> and a <code>height</code>, the optional <code>normal</code>, <code>webMercatorT</code> and
+ * <code>geodeticSurfaceNormal</code> of the encoding, and <code>contained</code>, a map from the modifications to
+ * whether the vertex is inside of them, for the vertices that are on the edges of the polygons.  The indices of the
+ * triangles and of the vertices on the edges of the tile do not include the skirts.  The four vertices of each
+ * wall are added to <code>walls</code> so that their normals can be computed once the heights are modified.
+ * </p>
+ *
+ * @param {Object} surface The vertices and triangles of the mesh, without skirts.
+ * @param {TerrainModification} modification The excavation.
+ * @param {Rectangle} rectangle The rectangle of the tile.
+ * @returns {Boolean} <code>true</code> if the triangles of the mesh were changed.
+ *
+ * @private
+ */
+function addExcavationWalls(surface, modification, rectangle) {
+  const vertices = surface.vertices;
+  const indices = surface.indices;
+  const initialVertexCount = vertices.length;
+
+  const polygon = modification.computeTextureCoordinates(rectangle);
+  const polygonLength = polygon.length / 2;
+  for (let i = 0; i < polygonLength; ++i) {
+    const u = polygon[i * 2];
+    const v = polygon[i * 2 + 1];
+    if (u >= 0.0 && u <= 1.0 && v >= 0.0 && v <= 1.0) {
+      insertVertex(surface, u, v);
+    }
+  }
+  for (let i = 0; i < polygonLength; ++i) {
+    const j = (i + 1) % polygonLength;
+    splitCrossedEdges(
+      surface,
+      polygon[i * 2],
+      polygon[i * 2 + 1],
+      polygon[j * 2],
+      polygon[j * 2 + 1]
+    );
+  }
+
+  // Every triangle is now entirely inside or outside of the polygon, so its center tells which
+  const width = rectangle.east - rectangle.west;
+  const height = rectangle.north - rectangle.south;
+  const triangleCount = indices.length / 3;
+  const insideTriangles = new Uint8Array(triangleCount);
+  const surfaceTriangles = new Uint8Array(triangleCount);
+  const usedInside = new Uint8Array(vertices.length);
+  const usedOutside = new Uint8Array(vertices.length);
+  for (let i = 0; i < triangleCount; ++i) {
+    const v0 = vertices[indices[i * 3]];
+    const v1 = vertices[indices[i * 3 + 1]];
+    const v2 = vertices[indices[i * 3 + 2]];
+    const area = (v1.u - v0.u) * (v2.v - v0.v) - (v2.u - v0.u) * (v1.v - v0.v);
+    if (Math.abs(area) < epsilon * epsilon) {
+      continue;
+    }
+    surfaceTriangles[i] = 1;
+
+    const u = (v0.u + v1.u + v2.u) / 3.0;
+    const v = (v0.v + v1.v + v2.v) / 3.0;
+    const inside = modification.contains(
+      rectangle.west + u * width,
+      rectangle.south + v * height
+    );
+    insideTriangles[i] = inside ? 1 : 0;
+    const used = inside ? usedInside : usedOutside;
+    used[indices[i * 3]] = 1;
+    used[indices[i * 3 + 1]] = 1;
+    used[indices[i * 3 + 2]] = 1;
+  }
+
+  // The vertices on the edge of the polygon are duplicated for the triangles inside of it
+  const vertexCount = vertices.length;
+  const duplicates = new Map();
+  const originals = new Map();
+  for (let i = 0; i < vertexCount; ++i) {
+    if (!usedInside[i] && !usedOutside[i]) {
+      continue;
+    }
+    const vertex = vertices[i];
+    if (!defined(vertex.contained)) {
+      vertex.contained = new Map();
+    }
+    if (usedInside[i] && usedOutside[i]) {
+      const duplicate = cloneVertex(vertex);
+      duplicate.contained.set(modification, true);
+      duplicates.set(i, vertices.length);
+      originals.set(vertices.length, i);
+      vertices.push(duplicate);
+    }
+    vertex.contained.set(modification, usedInside[i] === 1 && !usedOutside[i]);
+  }
+
+  if (duplicates.size === 0) {
+    return vertices.length !== initialVertexCount;
+  }
+
+  const outsideEdges = new Set();
+  for (let i = 0; i < triangleCount; ++i) {
+    if (!surfaceTriangles[i]) {
+      continue;
+    }
+    for (let j = 0; j < 3; ++j) {
+      const index = i * 3 + j;
+      if (insideTriangles[i]) {
+        const duplicate = duplicates.get(indices[index]);
+        if (defined(duplicate)) {
+          indices[index] = duplicate;
+        }
+      } else {
+        outsideEdges.add(`${indices[index]},${indices[i * 3 + ((j + 1) % 3)]}`);
+      }
+    }
+  }
+
+  // An edge of a triangle inside of the polygon whose vertices are both duplicated is on the edge of the polygon
+  // if the triangle outside of it shares the edge.  The walls continue the winding order of both triangles.
+  const walls = surface.walls;
+  for (let i = 0; i < triangleCount; ++i) {
+    if (!insideTriangles[i] || !surfaceTriangles[i]) {
+      continue;
+    }
+    for (let j = 0; j < 3; ++j) {
+      const bottom0 = indices[i * 3 + j];
+      const bottom1 = indices[i * 3 + ((j + 1) % 3)];
+      const top0 = originals.get(bottom0);
+      const top1 = originals.get(bottom1);
+      if (
+        !defined(top0) ||
+        !defined(top1) ||
+        !outsideEdges.has(`${top1},${top0}`)
+      ) {
+        continue;
+      }
+
+      // The walls have their own vertices so that they can have horizontal normals
+      const wall = vertices.length;
+      vertices.push(
+        cloneVertex(vertices[top0]),
+        cloneVertex(vertices[top1]),
+        cloneVertex(vertices[bottom1]),
+        cloneVertex(vertices[bottom0])
+      );
+      indices.push(wall + 2, wall + 3, wall, wall + 2, wall, wall + 1);
+      walls.push(wall, wall + 1, wall + 2, wall + 3);
+    }
+  }
+
+  // Both of the duplicated vertices on the edges of the tile are in the lists of its edges, in the order in which
+  // the triangles use them along the edge
+  const edges = new Set();
+  for (let i = 0; i < indices.length; i += 3) {
+    edges.add(getEdgeKey(indices[i], indices[i + 1]));
+    edges.add(getEdgeKey(indices[i + 1], indices[i + 2]));
+    edges.add(getEdgeKey(indices[i + 2], indices[i]));
+  }
+  const edgeLists = getEdgeLists(surface);
+  for (let i = 0; i < edgeLists.length; ++i) {
+    const list = edgeLists[i];
+    const result = [];
+    for (let j = 0; j < list.length; ++j) {
+      const index = list[j];
+      const duplicate = duplicates.get(index);
+      if (!defined(duplicate)) {
+        result.push(index);
+        continue;
+      }
+
+      let duplicateFirst;
+      if (result.length > 0) {
+        duplicateFirst = edges.has(
+          getEdgeKey(result[result.length - 1], duplicate)
+        );
+      } else {
+        const next = list[j + 1];
+        duplicateFirst =
+          !defined(next) ||
+          !(
+            edges.has(getEdgeKey(duplicate, next)) ||
+            edges.has(getEdgeKey(duplicate, duplicates.get(next)))
+          );
+      }
+      if (duplicateFirst) {
+        result.push(duplicate, index);
+      } else {
+        result.push(index, duplicate);
+      }
+    }
+    list.length = 0;
+    Array.prototype.push.apply(list, result);
+  }
+
+  return true;
+}
+
+export default addExcavationWalls;
@@ -0,0 +1,283 @@
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+
+// Marching squares cases, indexed by a bit for each corner of a cell that is at or above the contour
+// height: 8 for the top left corner, 4 for the top right, 2 for the bottom right and 1 for the bottom
+// left.  Each pair of numbers is a segment between two edges of the cell: 0 for the top edge, 1 for
+// the right, 2 for the bottom and 3 for the left.  Cases 5 and 10 are saddles, which are resolved
+// separately.
+const segmentTable = [
+  [],
+  [3, 2],
+  [2, 1],
+  [3, 1],
+  [0, 1],
+  [],
+  [0, 2],
+  [3, 0],
+  [3, 0],
+  [0, 2],
+  [],
+  [0, 1],
+  [3, 1],
+  [2, 1],
+  [3, 2],
+  [],
+];
+
+function isValid(height) {
+  return !isNaN(height);
+}
+
+// Identifies an edge of the grid, so that the segments of neighboring cells, which share the point
+// on their common edge, can be joined.  Horizontal edges are even and vertical edges are odd.
+function getEdgeId(width, column, row, edge) {
+  switch (edge) {
+    case 0:
+      return 2 * (row * width + column);
+    case 1:
+      return 2 * (row * width + column + 1) + 1;
+    case 2:
+      return 2 * ((row + 1) * width + column);
+    default:
+      return 2 * (row * width + column) + 1;
+  }
+}
+
+function interpolate(level, h0, h1) {
+  return (level - h0) / (h1 - h0);
+}
+
+function getEdgePoint(points, edgeId, width, heights, level) {
+  let point = points.get(edgeId);
+  if (point !== undefined) {
+    return point;
+  }
+
+  const index = edgeId >> 1;
+  const column = index % width;
+  const row = (index - column) / width;
+  const h0 = heights[index];
+  if ((edgeId & 1) === 0) {
+    point = [column + interpolate(level, h0, heights[index + 1]), row];
+  } else {
+    point = [column, row + interpolate(level, h0, heights[index + width])];
+  }
+  points.set(edgeId, point);
+  return point;
+}
+
+function addSegment(adjacency, from, to) {
+  let neighbors = adjacency.get(from);
+  if (neighbors === undefined) {
+    neighbors = [];
+    adjacency.set(from, neighbors);
+  }
+  neighbors.push(to);
+
+  neighbors = adjacency.get(to);
+  if (neighbors === undefined) {
+    neighbors = [];
+    adjacency.set(to, neighbors);
+  }
+  neighbors.push(from);
+}
+
+function computeSegments(heights, width, height, level) {
+  const adjacency = new Map();
+  for (let row = 0; row < height - 1; ++row) {
+    for (let column = 0; column < width - 1; ++column) {
+      const index = row * width + column;
+      const topLeft = heights[index];
+      const topRight = heights[index + 1];
+      const bottomRight = heights[index + width + 1];
+      const bottomLeft = heights[index + width];
+      if (
+        !isValid(topLeft) ||
+        !isValid(topRight) ||
+        !isValid(bottomRight) ||
+        !isValid(bottomLeft)
+      ) {
+        continue;
+      }
+
+      const caseIndex =
+        (topLeft >= level ? 8 : 0) |
+        (topRight >= level ? 4 : 0) |
+        (bottomRight >= level ? 2 : 0) |
+        (bottomLeft >= level ? 1 : 0);
+
+      let segments = segmentTable[caseIndex];
+      if (caseIndex === 5 || caseIndex === 10) {
+        // The average of the corners decides whether the center of a saddle is above the contour
+        const centerAbove =
+          (topLeft + topRight + bottomRight + bottomLeft) * 0.25 >= level;
+        if ((caseIndex === 5) === centerAbove) {
+          segments = [3, 0, 2, 1];
+        } else {
+          segments = [3, 2, 0, 1];
+        }
+      }
+
+      for (let i = 0; i < segments.length; i += 2) {
+        addSegment(
+          adjacency,
+          getEdgeId(width, column, row, segments[i]),
+          getEdgeId(width, column, row, segments[i + 1])
+        );
+      }
+    }
+  }
+  return adjacency;
+}
+
+function followLine(adjacency, start) {
+  const line = [start];
+  let previous;
+  let current = start;
+  for (;;) {
+    const neighbors = adjacency.get(current);
+    adjacency.delete(current);
+    let next;
+    for (let i = 0; i < neighbors.length; ++i) {
+      if (neighbors[i] !== previous && adjacency.has(neighbors[i])) {
+        next = neighbors[i];
+        break;
+      }
+    }
+    if (next === undefined) {
+      // Closed lines end where they started
+      if (neighbors.length === 2 && neighbors.indexOf(start) !== -1) {
+        if (current !== start && line.length > 2) {
+          line.push(start);
+        }
+      }
+      return line;
+    }
+    line.push(next);
+    previous = current;
+    current = next;
+  }
+}
+
+function createLine(edgeIds, points, width, heights, level) {
+  const positions = [];
+  let previousX;
+  let previousY;
+  for (let i = 0; i < edgeIds.length; ++i) {
+    const point = getEdgePoint(points, edgeIds[i], width, heights, level);
+    // Lines through the corners of cells visit the same point twice
+    if (point[0] === previousX && point[1] === previousY) {
+      continue;
+    }
+    positions.push(point[0], point[1]);
+    previousX = point[0];
+    previousY = point[1];
+  }
+  return positions;
+}
+
+function addLine(lines, edgeIds, points, width, heights, level) {
+  const positions = createLine(edgeIds, points, width, heights, level);
+  // Lines around a single sample at the height of the contour collapse to a point
+  if (positions.length < 4) {
+    return;
+  }
+  lines.push({
+    height: level,
+    positions: new Float64Array(positions),
+  });
+}
+
+function computeLevels(heights, interval, base) {
+  let minimum = Number.POSITIVE_INFINITY;
+  let maximum = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < heights.length; ++i) {
+    const height = heights[i];
+    if (isValid(height)) {
+      minimum = Math.min(minimum, height);
+      maximum = Math.max(maximum, height);
+    }
+  }
+
+  const levels = [];
+  if (minimum > maximum) {
+    return levels;
+  }
+
+  const first = Math.ceil((minimum - base) / interval);
+  const last = Math.floor((maximum - base) / interval);
+  for (let i = first; i <= last; ++i) {
+    levels.push(base + i * interval);
+  }
+  return levels;
+}
+
+/**
+ * Computes contour lines from a grid of heights with marching squares.
+ * <p>
+ * The positions of the lines are in grid coordinates: the column and the row of the grid, which may be
+ * fractional.  Lines that are closed end with their first position.  Cells with a corner whose height is
+ * <code>NaN</code> have no contour lines.
+ * </p>
+ *
+ * @function computeContourLines
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Float32Array|Float64Array|Number[]} options.heights The heights of the grid, row by row.
+ * @param {Number} options.width The number of columns of the grid.
+ * @param {Number} options.height The number of rows of the grid.
+ * @param {Number} options.interval The difference between the heights of adjacent contour lines.
+ * @param {Number} [options.base=0.0] A height that has a contour line.
+ * @returns {Object[]} The contour lines, each with a <code>height</code> and a Float64Array of interleaved <code>positions</code>.
+ *
+ * @private
+ */
+function computeContourLines(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.defined("options.heights", options.heights);
+  Check.typeOf.number.greaterThanOrEquals("options.width", options.width, 2);
+  Check.typeOf.number.greaterThanOrEquals("options.height", options.height, 2);
+  Check.typeOf.number.greaterThan("options.interval", options.interval, 0.0);
+  //>>includeEnd('debug');
+
+  const heights = options.heights;
+  const width = options.width;
+  const height = options.height;
+  const levels = computeLevels(
+    heights,
+    options.interval,
+    defaultValue(options.base, 0.0)
+  );
+
+  const lines = [];
+  for (let i = 0; i < levels.length; ++i) {
+    const level = levels[i];
+    const adjacency = computeSegments(heights, width, height, level);
+    const points = new Map();
+
+    // Lines that end at the border of the grid start from one of their ends
+    adjacency.forEach(function (neighbors, edgeId) {
+      if (neighbors.length === 1 && adjacency.has(edgeId)) {
+        addLine(
+          lines,
+          followLine(adjacency, edgeId),
+          points,
+          width,
+          heights,
+          level
+        );
+      }
+    });
+
+    // The remaining lines are closed
+    while (adjacency.size > 0) {
+      const edgeIds = followLine(adjacency, adjacency.keys().next().value);
+      addLine(lines, edgeIds, points, width, heights, level);
+    }
+  }
+
+  return lines;
+}
+export default computeContourLines;
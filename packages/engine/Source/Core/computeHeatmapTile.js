@@ -0,0 +1,131 @@
+import Check from "./Check.js";
+import CesiumMath from "./Math.js";
+
+// The index of the first value of an ascending array that is greater than or equal to a value
+function findAscending(values, value) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (values[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// The index of the first value of a descending array that is less than or equal to a value
+function findDescending(values, value) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (values[middle] > value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Computes the pixels of a heatmap tile with kernel density estimation.  The intensity of a pixel is the
+ * sum of the weights of the points within the radius of it, each multiplied by the quartic kernel
+ * <code>(1 - (d / r)²)²</code> of its distance.  Intensities are divided by the maximum intensity and
+ * mapped to colors with the gradient.  Pixels without intensity are transparent.
+ *
+ * @function computeHeatmapTile
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Float64Array} options.points The longitude and latitude in radians and the weight of each point, interleaved.  Longitudes are wrapped to within PI of the center of the tile.
+ * @param {Float64Array} options.longitudes The longitude of each column of pixels, in radians, from west to east.
+ * @param {Float64Array} options.latitudes The latitude of each row of pixels, in radians, from north to south.
+ * @param {Number} options.radius The radius of the kernel, in meters.
+ * @param {Number} options.surfaceRadius The radius of the sphere on which distances are measured, in meters.
+ * @param {Number} options.maximumIntensity The intensity that is mapped to the end of the gradient.
+ * @param {Uint8Array} options.gradient The 256 RGBA colors of the gradient, from no intensity to the maximum intensity.
+ * @returns {Uint8Array} The RGBA pixels of the tile, row by row from the north.
+ *
+ * @private
+ */
+function computeHeatmapTile(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.defined("options.points", options.points);
+  Check.defined("options.longitudes", options.longitudes);
+  Check.defined("options.latitudes", options.latitudes);
+  Check.typeOf.number.greaterThan("options.radius", options.radius, 0.0);
+  Check.typeOf.number.greaterThan(
+    "options.maximumIntensity",
+    options.maximumIntensity,
+    0.0
+  );
+  Check.defined("options.gradient", options.gradient);
+  //>>includeEnd('debug');
+
+  const points = options.points;
+  const longitudes = options.longitudes;
+  const latitudes = options.latitudes;
+  const radius = options.radius;
+  const surfaceRadius = options.surfaceRadius;
+  const gradient = options.gradient;
+  const width = longitudes.length;
+  const height = latitudes.length;
+
+  const radiusSquared = radius * radius;
+  const latitudeRadius = radius / surfaceRadius;
+  const intensities = new Float32Array(width * height);
+  const centerLongitude = (longitudes[0] + longitudes[width - 1]) * 0.5;
+
+  for (let i = 0; i < points.length; i += 3) {
+    // Wrap the longitude so that points across the antimeridian from the tile are found
+    const longitude =
+      centerLongitude + CesiumMath.negativePiToPi(points[i] - centerLongitude);
+    const latitude = points[i + 1];
+    const weight = points[i + 2];
+    const cosLatitude = Math.cos(latitude);
+    const longitudeRadius = latitudeRadius / Math.max(cosLatitude, 1.0e-6);
+
+    const firstRow = findDescending(latitudes, latitude + latitudeRadius);
+    const lastRow = findDescending(latitudes, latitude - latitudeRadius);
+    const firstColumn = findAscending(longitudes, longitude - longitudeRadius);
+    const lastColumn = findAscending(longitudes, longitude + longitudeRadius);
+
+    for (let row = firstRow; row < lastRow; ++row) {
+      const dy = (latitudes[row] - latitude) * surfaceRadius;
+      const offset = row * width;
+      for (let column = firstColumn; column < lastColumn; ++column) {
+        const dx =
+          (longitudes[column] - longitude) * surfaceRadius * cosLatitude;
+        const distanceSquared = dx * dx + dy * dy;
+        if (distanceSquared < radiusSquared) {
+          const k = 1.0 - distanceSquared / radiusSquared;
+          intensities[offset + column] += weight * k * k;
+        }
+      }
+    }
+  }
+
+  const oneOverMaximumIntensity = 1.0 / options.maximumIntensity;
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < intensities.length; ++i) {
+    const intensity = intensities[i];
+    if (intensity <= 0.0) {
+      continue;
+    }
+    const index =
+      Math.round(Math.min(intensity * oneOverMaximumIntensity, 1.0) * 255.0) *
+      4;
+    const destination = i * 4;
+    pixels[destination] = gradient[index];
+    pixels[destination + 1] = gradient[index + 1];
+    pixels[destination + 2] = gradient[index + 2];
+    pixels[destination + 3] = gradient[index + 3];
+  }
+
+  return pixels;
+}
+export default computeHeatmapTile;
@@ -0,0 +1,373 @@
+import pako from "pako/lib/inflate.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+// Compression schemes from the TIFF 6.0 specification
+const NONE = 1;
+const LZW = 5;
+const JPEG = 7;
+const DEFLATE = 8;
+const PACKBITS = 32773;
+const ADOBE_DEFLATE = 32946;
+
+// Predictors
+const HORIZONTAL_DIFFERENCING = 2;
+const FLOATING_POINT = 3;
+
+// Sample formats
+const UNSIGNED_INTEGER = 1;
+const SIGNED_INTEGER = 2;
+const IEEE_FLOATING_POINT = 3;
+
+// LZW codes
+const LZW_CLEAR = 256;
+const LZW_END_OF_INFORMATION = 257;
+const LZW_FIRST_CODE = 258;
+const LZW_MINIMUM_CODE_LENGTH = 9;
+const LZW_MAXIMUM_CODE_LENGTH = 12;
+const LZW_TABLE_SIZE = 4096;
+
+function decodeLzw(input) {
+  const prefixes = new Int32Array(LZW_TABLE_SIZE);
+  const suffixes = new Uint8Array(LZW_TABLE_SIZE);
+  const lengths = new Int32Array(LZW_TABLE_SIZE);
+  for (let i = 0; i < 256; ++i) {
+    prefixes[i] = -1;
+    suffixes[i] = i;
+    lengths[i] = 1;
+  }
+
+  let output = new Uint8Array(Math.max(input.length * 4, 1024));
+  let outputLength = 0;
+
+  function ensureCapacity(length) {
+    if (outputLength + length > output.length) {
+      const grown = new Uint8Array(
+        Math.max(output.length * 2, outputLength + length)
+      );
+      grown.set(output.subarray(0, outputLength));
+      output = grown;
+    }
+  }
+
+  // Writes the string of a code to the output and returns its first byte
+  function writeCode(code) {
+    const length = lengths[code];
+    ensureCapacity(length);
+    let index = outputLength + length - 1;
+    let current = code;
+    while (current !== -1) {
+      output[index--] = suffixes[current];
+      current = prefixes[current];
+    }
+    outputLength += length;
+    return output[outputLength - length];
+  }
+
+  const bitLength = input.length * 8;
+  let bitPosition = 0;
+  let codeLength = LZW_MINIMUM_CODE_LENGTH;
+
+  function readCode() {
+    if (bitPosition + codeLength > bitLength) {
+      return LZW_END_OF_INFORMATION;
+    }
+    let code = 0;
+    for (let i = 0; i < codeLength; ++i) {
+      const byte = input[(bitPosition + i) >>> 3];
+      const bit = (byte >>> (7 - ((bitPosition + i) & 7))) & 1;
+      code = (code << 1) | bit;
+    }
+    bitPosition += codeLength;
+    return code;
+  }
+
+  let nextCode = LZW_FIRST_CODE;
+  let previousCode = -1;
+  let code = readCode();
+  while (code !== LZW_END_OF_INFORMATION) {
+    if (code === LZW_CLEAR) {
+      nextCode = LZW_FIRST_CODE;
+      codeLength = LZW_MINIMUM_CODE_LENGTH;
+      code = readCode();
+      while (code === LZW_CLEAR) {
+        code = readCode();
+      }
+      if (code === LZW_END_OF_INFORMATION) {
+        break;
+      }
+      if (code > LZW_CLEAR) {
+        throw new RuntimeError("Invalid LZW data.");
+      }
+      writeCode(code);
+      previousCode = code;
+    } else {
+      if (previousCode === -1 || code > nextCode) {
+        throw new RuntimeError("Invalid LZW data.");
+      }
+
+      let firstByte;
+      if (code < nextCode) {
+        firstByte = writeCode(code);
+      } else {
+        // The code is the one about to be added: the previous string followed by its own first byte
+        firstByte = writeCode(previousCode);
+        ensureCapacity(1);
+        output[outputLength++] = firstByte;
+      }
+
+      if (nextCode < LZW_TABLE_SIZE) {
+        prefixes[nextCode] = previousCode;
+        suffixes[nextCode] = firstByte;
+        lengths[nextCode] = lengths[previousCode] + 1;
+        ++nextCode;
+      }
+      previousCode = code;
+    }
+
+    // TIFF LZW switches to longer codes one code early
+    if (
+      nextCode + 1 >= 1 << codeLength &&
+      codeLength < LZW_MAXIMUM_CODE_LENGTH
+    ) {
+      ++codeLength;
+    }
+    code = readCode();
+  }
+
+  return output.slice(0, outputLength);
+}
+
+function decodePackBits(input) {
+  const output = [];
+  let i = 0;
+  while (i < input.length) {
+    let header = input[i++];
+    if (header > 127) {
+      header -= 256;
+    }
+    if (header >= 0) {
+      for (let j = 0; j <= header && i < input.length; ++j) {
+        output.push(input[i++]);
+      }
+    } else if (header !== -128) {
+      const value = input[i++];
+      for (let j = 0; j < 1 - header; ++j) {
+        output.push(value);
+      }
+    }
+  }
+  return new Uint8Array(output);
+}
+
+// JPEG compressed TIFFs may store the quantization and Huffman tables once in the
+// JPEGTables tag, in which case each block is an abbreviated JPEG stream.
+function mergeJpegTables(bytes, jpegTables) {
+  if (!defined(jpegTables) || jpegTables.length < 4) {
+    return bytes;
+  }
+  // Drop the end of image marker of the tables and the start of image marker of the block
+  const tablesLength = jpegTables.length - 2;
+  const merged = new Uint8Array(tablesLength + bytes.length - 2);
+  merged.set(jpegTables.subarray(0, tablesLength));
+  merged.set(bytes.subarray(2), tablesLength);
+  return merged;
+}
+
+function createSamples(bytes, bitsPerSample, sampleFormat, littleEndian) {
+  const byteLength = bitsPerSample / 8;
+  const length = Math.floor(bytes.length / byteLength);
+  const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let samples;
+  let i;
+
+  if (sampleFormat === IEEE_FLOATING_POINT) {
+    if (bitsPerSample === 32) {
+      samples = new Float32Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getFloat32(i * 4, littleEndian);
+      }
+      return samples;
+    } else if (bitsPerSample === 64) {
+      samples = new Float64Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getFloat64(i * 8, littleEndian);
+      }
+      return samples;
+    }
+  } else if (sampleFormat === SIGNED_INTEGER) {
+    if (bitsPerSample === 8) {
+      return new Int8Array(bytes.buffer, bytes.byteOffset, length).slice();
+    } else if (bitsPerSample === 16) {
+      samples = new Int16Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getInt16(i * 2, littleEndian);
+      }
+      return samples;
+    } else if (bitsPerSample === 32) {
+      samples = new Int32Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getInt32(i * 4, littleEndian);
+      }
+      return samples;
+    }
+  } else if (sampleFormat === UNSIGNED_INTEGER) {
+    if (bitsPerSample === 8) {
+      return bytes.slice(0, length);
+    } else if (bitsPerSample === 16) {
+      samples = new Uint16Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getUint16(i * 2, littleEndian);
+      }
+      return samples;
+    } else if (bitsPerSample === 32) {
+      samples = new Uint32Array(length);
+      for (i = 0; i < length; ++i) {
+        samples[i] = dataView.getUint32(i * 4, littleEndian);
+      }
+      return samples;
+    }
+  }
+
+  throw new RuntimeError(
+    `Unsupported GeoTIFF sample format ${sampleFormat} with ${bitsPerSample} bits per sample.`
+  );
+}
+
+function undoHorizontalDifferencing(samples, width, height, samplesPerPixel) {
+  const rowLength = width * samplesPerPixel;
+  for (let row = 0; row < height; ++row) {
+    const offset = row * rowLength;
+    for (let i = samplesPerPixel; i < rowLength; ++i) {
+      samples[offset + i] += samples[offset + i - samplesPerPixel];
+    }
+  }
+}
+
+// The floating point predictor differences the bytes of each row after splitting
+// the samples into planes of bytes, from the most to the least significant.
+function undoFloatingPointDifferencing(
+  bytes,
+  width,
+  height,
+  samplesPerPixel,
+  bytesPerSample
+) {
+  const rowSamples = width * samplesPerPixel;
+  const rowLength = rowSamples * bytesPerSample;
+  const copy = new Uint8Array(rowLength);
+  for (let row = 0; row < height; ++row) {
+    const rowBytes = bytes.subarray(row * rowLength, (row + 1) * rowLength);
+    for (let i = samplesPerPixel; i < rowLength; ++i) {
+      rowBytes[i] = (rowBytes[i] + rowBytes[i - samplesPerPixel]) & 0xff;
+    }
+    copy.set(rowBytes);
+    for (let i = 0; i < rowSamples; ++i) {
+      for (let b = 0; b < bytesPerSample; ++b) {
+        // Reassemble the sample in little endian order
+        rowBytes[i * bytesPerSample + b] =
+          copy[(bytesPerSample - b - 1) * rowSamples + i];
+      }
+    }
+  }
+}
+
+/**
+ * Decompresses a tile or strip of a TIFF image and converts it to samples.
+ * <p>
+ * Blocks compressed with deflate, LZW or PackBits, or not compressed at all, are decoded to a typed
+ * array of pixel-interleaved samples whose type matches the sample format of the image.  JPEG compressed
+ * blocks are left to the browser's image decoder; they are returned as a complete JPEG stream.
+ * </p>
+ *
+ * @function decodeGeoTiffBlock
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {ArrayBuffer|Uint8Array} options.buffer The compressed block.
+ * @param {Number} options.compression The value of the Compression tag.
+ * @param {Number} [options.predictor=1] The value of the Predictor tag.
+ * @param {Number} options.width The width of the block, in pixels.
+ * @param {Number} options.height The height of the block, in pixels.
+ * @param {Number} options.samplesPerPixel The number of samples per pixel.
+ * @param {Number} options.bitsPerSample The number of bits per sample.
+ * @param {Number} [options.sampleFormat=1] The value of the SampleFormat tag.
+ * @param {Boolean} [options.littleEndian=true] Whether the samples are stored in little endian byte order.
+ * @param {Uint8Array} [options.jpegTables] The value of the JPEGTables tag.
+ * @returns {Object} An object with a <code>samples</code> typed array, or a <code>jpeg</code> Uint8Array for JPEG compressed blocks.
+ *
+ * @exception {RuntimeError} Unsupported GeoTIFF compression.
+ * @exception {RuntimeError} Unsupported GeoTIFF sample format.
+ * @exception {RuntimeError} Invalid LZW data.
+ *
+ * @private
+ */
+function decodeGeoTiffBlock(options) {
+  let bytes =
+    options.buffer instanceof ArrayBuffer
+      ? new Uint8Array(options.buffer)
+      : options.buffer;
+  const compression = options.compression;
+
+  switch (compression) {
+    case NONE:
+      bytes = bytes.slice();
+      break;
+    case LZW:
+      bytes = decodeLzw(bytes);
+      break;
+    case DEFLATE:
+    case ADOBE_DEFLATE:
+      bytes = pako.inflate(bytes);
+      break;
+    case PACKBITS:
+      bytes = decodePackBits(bytes);
+      break;
+    case JPEG:
+      return {
+        jpeg: mergeJpegTables(bytes, options.jpegTables),
+      };
+    default:
+      throw new RuntimeError(
+        `Unsupported GeoTIFF compression: ${compression}.`
+      );
+  }
+
+  const width = options.width;
+  const height = options.height;
+  const samplesPerPixel = options.samplesPerPixel;
+  const bitsPerSample = options.bitsPerSample;
+  const sampleFormat = defined(options.sampleFormat)
+    ? options.sampleFormat
+    : UNSIGNED_INTEGER;
+  let littleEndian = defined(options.littleEndian)
+    ? options.littleEndian
+    : true;
+  const predictor = options.predictor;
+
+  if (predictor === FLOATING_POINT) {
+    undoFloatingPointDifferencing(
+      bytes,
+      width,
+      height,
+      samplesPerPixel,
+      bitsPerSample / 8
+    );
+    littleEndian = true;
+  }
+
+  const samples = createSamples(
+    bytes,
+    bitsPerSample,
+    sampleFormat,
+    littleEndian
+  );
+
+  if (predictor === HORIZONTAL_DIFFERENCING) {
+    undoHorizontalDifferencing(samples, width, height, samplesPerPixel);
+  }
+
+  return {
+    samples: samples,
+  };
+}
+export default decodeGeoTiffBlock;
@@ -0,0 +1,295 @@
+import * as protobuf from "protobufjs/dist/minimal/protobuf.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+// Geometry types from the Mapbox Vector Tile specification
+const POINT = 1;
+const LINESTRING = 2;
+const POLYGON = 3;
+
+// Geometry commands
+const MOVE_TO = 1;
+const LINE_TO = 2;
+const CLOSE_PATH = 7;
+
+const DEFAULT_EXTENT = 4096;
+
+/**
+ * Decodes a Mapbox Vector Tile (MVT) encoded as a protocol buffer.
+ * <p>
+ * The decoded geometry of each feature is expressed in tile coordinates, from 0 to the layer's
+ * <code>extent</code>, with the origin at the upper-left corner of the tile and y increasing downward.
+ * The layout of the <code>geometry</code> array depends on the feature type:
+ * <ul>
+ *   <li>Point: a single flat array of coordinates, <code>[[x0, y0, x1, y1, ...]]</code></li>
+ *   <li>LineString: one flat array of coordinates per line, <code>[[x0, y0, x1, y1, ...], ...]</code></li>
+ *   <li>Polygon: one array of rings per polygon, where the first ring is the exterior ring and the remaining
+ *   rings are holes, <code>[[exterior, hole0, ...], ...]</code>.  Rings are not explicitly closed.</li>
+ * </ul>
+ * </p>
+ *
+ * @function parseMapboxVectorTile
+ *
+ * @param {ArrayBuffer|Uint8Array} data The encoded tile.
+ * @returns {Object} An object with a <code>layers</code> array.  Each layer has a <code>name</code>, <code>version</code>,
+ *          <code>extent</code> and a <code>features</code> array whose elements have an <code>id</code>, <code>type</code>,
+ *          <code>properties</code> and <code>geometry</code>.
+ *
+ * @exception {RuntimeError} Invalid geometry command.
+ *
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ *
+ * @private
+ */
+function parseMapboxVectorTile(data) {
+  if (data instanceof ArrayBuffer) {
+    data = new Uint8Array(data);
+  }
+
+  const reader = protobuf.Reader.create(data);
+  const end = reader.len;
+  const layers = [];
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    if (tag >>> 3 === 3) {
+      layers.push(decodeLayer(reader, reader.uint32() + reader.pos));
+    } else {
+      reader.skipType(tag & 7);
+    }
+  }
+
+  return {
+    layers: layers,
+  };
+}
+
+function toNumber(value) {
+  // protobuf.js returns Long instances for 64-bit integers when the long library is available
+  return typeof value === "number" ? value : value.toNumber();
+}
+
+function decodeLayer(reader, end) {
+  const layer = {
+    name: undefined,
+    version: 1,
+    extent: DEFAULT_EXTENT,
+    features: [],
+  };
+  const keys = [];
+  const values = [];
+  const encodedFeatures = [];
+
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 1:
+        layer.name = reader.string();
+        break;
+      case 2:
+        encodedFeatures.push(
+          decodeFeature(reader, reader.uint32() + reader.pos)
+        );
+        break;
+      case 3:
+        keys.push(reader.string());
+        break;
+      case 4:
+        values.push(decodeValue(reader, reader.uint32() + reader.pos));
+        break;
+      case 5:
+        layer.extent = reader.uint32();
+        break;
+      case 15:
+        layer.version = reader.uint32();
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+
+  // Keys and values may be encoded after the features, so tags are resolved once the whole layer is read
+  const length = encodedFeatures.length;
+  for (let i = 0; i < length; ++i) {
+    const encoded = encodedFeatures[i];
+    const properties = {};
+    const tags = encoded.tags;
+    for (let j = 0; j + 1 < tags.length; j += 2) {
+      const key = keys[tags[j]];
+      if (defined(key)) {
+        properties[key] = values[tags[j + 1]];
+      }
+    }
+
+    layer.features.push({
+      id: encoded.id,
+      type: encoded.type,
+      properties: properties,
+      geometry: decodeGeometry(encoded.type, encoded.geometry),
+    });
+  }
+
+  return layer;
+}
+
+function readPacked(reader, tag, result) {
+  if ((tag & 7) === 2) {
+    const end = reader.uint32() + reader.pos;
+    while (reader.pos < end) {
+      result.push(reader.uint32());
+    }
+  } else {
+    result.push(reader.uint32());
+  }
+}
+
+function decodeFeature(reader, end) {
+  const feature = {
+    id: undefined,
+    type: 0,
+    tags: [],
+    geometry: [],
+  };
+
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 1:
+        feature.id = toNumber(reader.uint64());
+        break;
+      case 2:
+        readPacked(reader, tag, feature.tags);
+        break;
+      case 3:
+        feature.type = reader.uint32();
+        break;
+      case 4:
+        readPacked(reader, tag, feature.geometry);
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+
+  return feature;
+}
+
+function decodeValue(reader, end) {
+  let value;
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 1:
+        value = reader.string();
+        break;
+      case 2:
+        value = reader.float();
+        break;
+      case 3:
+        value = reader.double();
+        break;
+      case 4:
+        value = toNumber(reader.int64());
+        break;
+      case 5:
+        value = toNumber(reader.uint64());
+        break;
+      case 6:
+        value = toNumber(reader.sint64());
+        break;
+      case 7:
+        value = reader.bool();
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+  return value;
+}
+
+function zigZagDecode(value) {
+  return (value >>> 1) ^ -(value & 1);
+}
+
+function decodeCommands(commands) {
+  const parts = [];
+  let part;
+  let x = 0;
+  let y = 0;
+
+  const length = commands.length;
+  let i = 0;
+  while (i < length) {
+    const commandInteger = commands[i++];
+    const command = commandInteger & 0x7;
+    const count = commandInteger >>> 3;
+
+    if (command === MOVE_TO || command === LINE_TO) {
+      for (let j = 0; j < count; ++j) {
+        if (i + 1 >= length) {
+          throw new RuntimeError("Invalid geometry command.");
+        }
+        x += zigZagDecode(commands[i++]);
+        y += zigZagDecode(commands[i++]);
+        if (command === MOVE_TO) {
+          part = [];
+          parts.push(part);
+        }
+        part.push(x, y);
+      }
+    } else if (command !== CLOSE_PATH) {
+      throw new RuntimeError("Invalid geometry command.");
+    }
+  }
+
+  return parts;
+}
+
+function computeSignedArea(ring) {
+  let area = 0.0;
+  const length = ring.length;
+  for (let i = 0, j = length - 2; i < length; j = i, i += 2) {
+    area += (ring[j] - ring[i]) * (ring[i + 1] + ring[j + 1]);
+  }
+  return area * 0.5;
+}
+
+function decodeGeometry(type, commands) {
+  const parts = decodeCommands(commands);
+
+  if (type === POINT) {
+    const points = [];
+    for (let i = 0; i < parts.length; ++i) {
+      points.push.apply(points, parts[i]);
+    }
+    return [points];
+  }
+
+  if (type === LINESTRING) {
+    return parts;
+  }
+
+  if (type === POLYGON) {
+    // An exterior ring has a positive area in tile coordinates and is followed by its holes
+    const polygons = [];
+    let polygon;
+    for (let i = 0; i < parts.length; ++i) {
+      const ring = parts[i];
+      const area = computeSignedArea(ring);
+      if (area === 0.0) {
+        continue;
+      }
+      if (area > 0.0 || !defined(polygon)) {
+        polygon = [];
+        polygons.push(polygon);
+      }
+      polygon.push(ring);
+    }
+    return polygons;
+  }
+
+  return [];
+}
+export default parseMapboxVectorTile;
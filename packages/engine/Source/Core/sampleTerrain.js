@@ -1,4 +1,5 @@
 import Check from "./Check.js";
+import defined from "./defined.js";
 
 /**
  * Initiates a terrain height query for an array of {@link Cartographic} positions by
@@ -19,6 +20,7 @@ import Check from "./Check.js";
  * @param {TerrainProvider} terrainProvider The terrain provider from which to query heights.
  * @param {Number} level The terrain level-of-detail from which to query terrain heights.
  * @param {Cartographic[]} positions The positions to update with terrain heights.
+ * @param {TerrainModificationCollection} [terrainModifications] Modifications to apply to the sampled heights, such as {@link Globe#terrainModifications}.
  * @returns {Promise.<Cartographic[]>} A promise that resolves to the provided list of positions when terrain the query has completed.
  *
  * @see sampleTerrainMostDetailed
@@ -36,16 +38,41 @@ import Check from "./Check.js";
  *     // updatedPositions is just a reference to positions.
  * });
  */
-function sampleTerrain(terrainProvider, level, positions) {
+function sampleTerrain(
+  terrainProvider,
+  level,
+  positions,
+  terrainModifications
+) {
   //>>includeStart('debug', pragmas.debug);
   Check.typeOf.object("terrainProvider", terrainProvider);
   Check.typeOf.number("level", level);
   Check.defined("positions", positions);
   //>>includeEnd('debug');
 
-  return terrainProvider.readyPromise.then(function () {
-    return doSampling(terrainProvider, level, positions);
-  });
+  return terrainProvider.readyPromise
+    .then(function () {
+      return doSampling(terrainProvider, level, positions);
+    })
+    .then(function (positions) {
+      if (defined(terrainModifications)) {
+        modifyHeights(terrainModifications, positions);
+      }
+      return positions;
+    });
+}
+
+function modifyHeights(terrainModifications, positions) {
+  for (let i = 0; i < positions.length; ++i) {
+    const position = positions[i];
+    if (defined(position.height)) {
+      position.height = terrainModifications.computeModifiedHeight(
+        position.longitude,
+        position.latitude,
+        position.height
+      );
+    }
+  }
 }
 
 /**
@@ -0,0 +1,46 @@
+import defined from "./defined.js";
+import EllipsoidTerrainProvider from "./EllipsoidTerrainProvider.js";
+import RuntimeError from "./RuntimeError.js";
+import sampleTerrain from "./sampleTerrain.js";
+import sampleTerrainMostDetailed from "./sampleTerrainMostDetailed.js";
+
+/**
+ * Samples terrain heights at a level, or at the most detailed available level if no level is given.  Terrain
+ * providers that do not report the availability of their tiles can only be sampled at a given level, except
+ * for the {@link EllipsoidTerrainProvider}, whose heights are the same at every level.
+ *
+ * @function sampleTerrainAtLevelOrMostDetailed
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider from which to query heights.
+ * @param {Number|undefined} level The terrain level-of-detail from which to query heights, or undefined for the most detailed level.
+ * @param {Cartographic[]} positions The positions to update with terrain heights.
+ * @returns {Promise.<Cartographic[]>} A promise that resolves to the provided list of positions.  The promise rejects
+ *                                     if level is undefined and the terrain provider does not report the availability of its tiles.
+ *
+ * @private
+ */
+function sampleTerrainAtLevelOrMostDetailed(terrainProvider, level, positions) {
+  return terrainProvider.readyPromise.then(function () {
+    if (defined(level)) {
+      return sampleTerrain(terrainProvider, level, positions);
+    }
+    if (terrainProvider instanceof EllipsoidTerrainProvider) {
+      return sampleTerrain(terrainProvider, 0, positions);
+    }
+    if (!defined(terrainProvider.availability)) {
+      return Promise.reject(
+        new RuntimeError(
+          "The terrain provider does not report the availability of its tiles, so options.level is required."
+        )
+      );
+    }
+    return sampleTerrainAtLevelOrMostDetailed._sampleTerrainMostDetailed(
+      terrainProvider,
+      positions
+    );
+  });
+}
+
+//Exposed for testing.
+sampleTerrainAtLevelOrMostDetailed._sampleTerrainMostDetailed = sampleTerrainMostDetailed;
+export default sampleTerrainAtLevelOrMostDetailed;
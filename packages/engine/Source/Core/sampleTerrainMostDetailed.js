@@ -12,6 +12,7 @@ const scratchCartesian2 = new Cartesian2();
  *
  * @param {TerrainProvider} terrainProvider The terrain provider from which to query heights.
  * @param {Cartographic[]} positions The positions to update with terrain heights.
+ * @param {TerrainModificationCollection} [terrainModifications] Modifications to apply to the sampled heights, such as {@link Globe#terrainModifications}.
  * @returns {Promise.<Cartographic[]>} A promise that resolves to the provided list of positions when terrain the query has completed.  This
  *                                     promise will reject if the terrain provider's `availability` property is undefined.
  *
@@ -28,7 +29,11 @@ const scratchCartesian2 = new Cartesian2();
  *     // updatedPositions is just a reference to positions.
  * });
  */
-function sampleTerrainMostDetailed(terrainProvider, positions) {
+function sampleTerrainMostDetailed(
+  terrainProvider,
+  positions,
+  terrainModifications
+) {
   //>>includeStart('debug', pragmas.debug);
   if (!defined(terrainProvider)) {
     throw new DeveloperError("terrainProvider is required.");
@@ -88,7 +93,12 @@ function sampleTerrainMostDetailed(terrainProvider, positions) {
         return Promise.all(
           byLevel.map(function (positionsAtLevel, index) {
             if (defined(positionsAtLevel)) {
-              return sampleTerrain(terrainProvider, index, positionsAtLevel);
+              return sampleTerrain(
+                terrainProvider,
+                index,
+                positionsAtLevel,
+                terrainModifications
+              );
             }
           })
         );
@@ -106,7 +116,11 @@ function sampleTerrainMostDetailed(terrainProvider, positions) {
         }
 
         if (changedPositions.length > 0) {
-          return sampleTerrainMostDetailed(terrainProvider, changedPositions);
+          return sampleTerrainMostDetailed(
+            terrainProvider,
+            changedPositions,
+            terrainModifications
+          );
         }
       })
       .then(function () {
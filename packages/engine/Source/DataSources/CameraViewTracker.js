@@ -0,0 +1,76 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import defined from "../Core/defined.js";
+import Iso8601 from "../Core/Iso8601.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+
+/**
+ * Tracks the view of a camera to determine when data depending on the view, such as the features in
+ * the view rectangle of a feature service, should be requested again.  The view is refreshed once the
+ * camera has not moved for a delay.
+ *
+ * @alias CameraViewTracker
+ * @constructor
+ *
+ * @private
+ */
+function CameraViewTracker() {
+  this._position = new Cartesian3();
+  this._direction = new Cartesian3();
+  this._up = new Cartesian3();
+  this._changedTime = JulianDate.clone(Iso8601.MINIMUM_VALUE);
+  this._needsRefresh = true;
+}
+
+/**
+ * Checks whether the view must be refreshed.  Without a camera, the view is refreshed once.
+ *
+ * @param {Camera} [camera] The camera.
+ * @param {Number} delay The number of seconds the camera must remain still before the view is refreshed.
+ * @returns {Boolean} <code>true</code> if the view must be refreshed now.
+ */
+CameraViewTracker.prototype.update = function (camera, delay) {
+  const now = JulianDate.now();
+
+  if (
+    defined(camera) &&
+    !(
+      Cartesian3.equalsEpsilon(
+        camera.positionWC,
+        this._position,
+        CesiumMath.EPSILON7
+      ) &&
+      Cartesian3.equalsEpsilon(
+        camera.directionWC,
+        this._direction,
+        CesiumMath.EPSILON7
+      ) &&
+      Cartesian3.equalsEpsilon(camera.upWC, this._up, CesiumMath.EPSILON7)
+    )
+  ) {
+    Cartesian3.clone(camera.positionWC, this._position);
+    Cartesian3.clone(camera.directionWC, this._direction);
+    Cartesian3.clone(camera.upWC, this._up);
+    JulianDate.clone(now, this._changedTime);
+    this._needsRefresh = true;
+  }
+
+  if (
+    this._needsRefresh &&
+    JulianDate.secondsDifference(now, this._changedTime) >= delay
+  ) {
+    this._needsRefresh = false;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Requests a refresh of the view, without waiting for the camera to remain still.
+ */
+CameraViewTracker.prototype.reset = function () {
+  JulianDate.clone(Iso8601.MINIMUM_VALUE, this._changedTime);
+  this._needsRefresh = true;
+};
+
+export default CameraViewTracker;
@@ -0,0 +1,471 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import ColorGeometryInstanceAttribute from "../Core/ColorGeometryInstanceAttribute.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import GroundPolylineGeometry from "../Core/GroundPolylineGeometry.js";
+import CesiumMath from "../Core/Math.js";
+import sampleTerrain from "../Core/sampleTerrain.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+import TaskProcessor from "../Core/TaskProcessor.js";
+import GroundPolylinePrimitive from "../Scene/GroundPolylinePrimitive.js";
+import LabelCollection from "../Scene/LabelCollection.js";
+import LabelStyle from "../Scene/LabelStyle.js";
+import PolylineColorAppearance from "../Scene/PolylineColorAppearance.js";
+import PrimitiveCollection from "../Scene/PrimitiveCollection.js";
+import Entity from "./Entity.js";
+
+const contourTaskProcessor = new TaskProcessor("createContourLines");
+
+const scratchCartographic = new Cartographic();
+const scratchDirection = new Cartesian3();
+
+function defaultFormatLabel(height) {
+  return `${Math.round(height * 1000.0) / 1000.0} m`;
+}
+
+function getStyle(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const color = defaultValue(options.color, Color.SADDLEBROWN);
+  return {
+    color: color,
+    majorColor: defaultValue(options.majorColor, color),
+    width: defaultValue(options.width, 1.0),
+    majorWidth: defaultValue(options.majorWidth, 2.0),
+    labels: defaultValue(options.labels, true),
+    labelSpacing: defaultValue(options.labelSpacing, 2000.0),
+    formatLabel: defaultValue(options.formatLabel, defaultFormatLabel),
+    font: defaultValue(options.font, "14px sans-serif"),
+    labelFillColor: defaultValue(options.labelFillColor, Color.WHITE),
+    labelOutlineColor: defaultValue(options.labelOutlineColor, Color.BLACK),
+  };
+}
+
+// Positions along the line at half of the spacing from its start and then at every spacing
+function computeLabelPositions(positions, spacing) {
+  const result = [];
+  let distance = 0.0;
+  let nextDistance = spacing * 0.5;
+  for (let i = 1; i < positions.length; ++i) {
+    const start = positions[i - 1];
+    const end = positions[i];
+    const length = Cartesian3.distance(start, end);
+    while (nextDistance <= distance + length) {
+      const direction = Cartesian3.subtract(end, start, scratchDirection);
+      result.push(
+        Cartesian3.add(
+          start,
+          Cartesian3.multiplyByScalar(
+            direction,
+            (nextDistance - distance) / length,
+            direction
+          ),
+          new Cartesian3()
+        )
+      );
+      nextDistance += spacing;
+    }
+    distance += length;
+  }
+  return result;
+}
+
+/**
+ * Lines of equal height of the terrain, which are computed with {@link ContourLines.fromTerrain}.
+ * <p>
+ * Unlike the ElevationContour material, the lines are vector data.  They can be drawn as
+ * entities or primitives with labels of their heights and different widths for major and minor
+ * lines, picked, or exported as GeoJSON.
+ * </p>
+ *
+ * @alias ContourLines
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {ContourLines.Line[]} options.lines The contour lines.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid of the positions of the lines.
+ *
+ * @see ContourLines.fromTerrain
+ */
+function ContourLines(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.lines", options.lines);
+  //>>includeEnd('debug');
+
+  this._lines = options.lines;
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+}
+
+Object.defineProperties(ContourLines.prototype, {
+  /**
+   * Gets the contour lines.
+   *
+   * @memberof ContourLines.prototype
+   * @type {ContourLines.Line[]}
+   * @readonly
+   */
+  lines: {
+    get: function () {
+      return this._lines;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid of the positions of the lines.
+   *
+   * @memberof ContourLines.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * Computes the contour lines of the terrain in a rectangle.  The heights of the terrain are sampled on a
+ * grid, and the lines are traced through the grid with marching squares in a web worker.
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider from which to sample heights.
+ * @param {Rectangle} rectangle The rectangle in which to compute contour lines.
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.interval The difference between the heights of adjacent lines, in meters.
+ * @param {Number} [options.majorInterval=5.0 * options.interval] The difference between the heights of adjacent major lines, in meters.  It should be a multiple of the interval.
+ * @param {Number} [options.gridWidth=129] The number of samples of the grid from west to east.
+ * @param {Number} [options.gridHeight=129] The number of samples of the grid from south to north.
+ * @param {Number} [options.level] The level of the terrain tiles from which to sample heights.  If undefined, the most detailed available tiles are sampled.
+ * @param {TerrainModificationCollection} [options.terrainModifications] Modifications to apply to the sampled heights, such as {@link Globe#terrainModifications}.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid of the positions of the lines.
+ * @returns {Promise<ContourLines>} A promise that resolves to the contour lines.
+ *
+ * @example
+ * const rectangle = Cesium.Rectangle.fromDegrees(-105.3, 39.9, -105.1, 40.1);
+ * Cesium.ContourLines.fromTerrain(viewer.terrainProvider, rectangle, {
+ *   interval: 20.0,
+ *   majorInterval: 100.0
+ * }).then(function (contourLines) {
+ *   contourLines.createEntities(viewer.entities);
+ * });
+ */
+ContourLines.fromTerrain = function (terrainProvider, rectangle, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const interval = options.interval;
+  const majorInterval = defaultValue(options.majorInterval, 5.0 * interval);
+  const gridWidth = defaultValue(options.gridWidth, 129);
+  const gridHeight = defaultValue(options.gridHeight, 129);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("terrainProvider", terrainProvider);
+  Check.typeOf.object("rectangle", rectangle);
+  Check.typeOf.number.greaterThan("options.interval", interval, 0.0);
+  Check.typeOf.number.greaterThan("options.majorInterval", majorInterval, 0.0);
+  Check.typeOf.number.greaterThanOrEquals("options.gridWidth", gridWidth, 2);
+  Check.typeOf.number.greaterThanOrEquals("options.gridHeight", gridHeight, 2);
+  //>>includeEnd('debug');
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const west = rectangle.west;
+  const north = rectangle.north;
+  const width = rectangle.width;
+  const height = rectangle.height;
+
+  const cartographics = new Array(gridWidth * gridHeight);
+  for (let row = 0; row < gridHeight; ++row) {
+    const latitude = north - (row / (gridHeight - 1)) * height;
+    for (let column = 0; column < gridWidth; ++column) {
+      const longitude = CesiumMath.negativePiToPi(
+        west + (column / (gridWidth - 1)) * width
+      );
+      cartographics[row * gridWidth + column] = new Cartographic(
+        longitude,
+        latitude
+      );
+    }
+  }
+
+  const samplePromise = defined(options.level)
+    ? sampleTerrain(
+        terrainProvider,
+        options.level,
+        cartographics,
+        options.terrainModifications
+      )
+    : sampleTerrainMostDetailed(
+        terrainProvider,
+        cartographics,
+        options.terrainModifications
+      );
+
+  return samplePromise
+    .then(function () {
+      const heights = new Float64Array(cartographics.length);
+      for (let i = 0; i < cartographics.length; ++i) {
+        const sampledHeight = cartographics[i].height;
+        heights[i] = defined(sampledHeight) ? sampledHeight : NaN;
+      }
+
+      const parameters = {
+        heights: heights,
+        width: gridWidth,
+        height: gridHeight,
+        interval: interval,
+      };
+      return contourTaskProcessor.scheduleTask(parameters, [heights.buffer]);
+    })
+    .then(function (results) {
+      const lines = results.map(function (result) {
+        const gridPositions = result.positions;
+        const positions = new Array(gridPositions.length / 2);
+        for (let i = 0; i < positions.length; ++i) {
+          positions[i] = Cartesian3.fromRadians(
+            west + (gridPositions[2 * i] / (gridWidth - 1)) * width,
+            north - (gridPositions[2 * i + 1] / (gridHeight - 1)) * height,
+            result.height,
+            ellipsoid
+          );
+        }
+
+        const majorIndex = result.height / majorInterval;
+        return {
+          height: result.height,
+          major: CesiumMath.equalsEpsilon(
+            majorIndex,
+            Math.round(majorIndex),
+            CesiumMath.EPSILON7
+          ),
+          positions: positions,
+        };
+      });
+
+      return new ContourLines({
+        lines: lines,
+        ellipsoid: ellipsoid,
+      });
+    });
+};
+
+/**
+ * Creates entities for the contour lines, which are clamped to the ground, and for labels of the heights
+ * of the major lines.  Each entity has <code>elevation</code> and <code>major</code> properties.
+ *
+ * @param {EntityCollection} entities The collection to which the entities are added.
+ * @param {ContourLines.StyleOptions} [options] The style of the lines and labels.
+ * @returns {Entity[]} The created entities.
+ */
+ContourLines.prototype.createEntities = function (entities, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entities", entities);
+  //>>includeEnd('debug');
+
+  const style = getStyle(options);
+  const result = [];
+
+  entities.suspendEvents();
+  const lines = this._lines;
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i];
+    const major = defaultValue(line.major, false);
+    const properties = {
+      elevation: line.height,
+      major: major,
+    };
+
+    result.push(
+      entities.add(
+        new Entity({
+          polyline: {
+            positions: line.positions,
+            width: major ? style.majorWidth : style.width,
+            material: major ? style.majorColor : style.color,
+            clampToGround: true,
+          },
+          properties: properties,
+        })
+      )
+    );
+
+    if (!style.labels || !major) {
+      continue;
+    }
+
+    const text = style.formatLabel(line.height);
+    const labelPositions = computeLabelPositions(
+      line.positions,
+      style.labelSpacing
+    );
+    for (let j = 0; j < labelPositions.length; ++j) {
+      result.push(
+        entities.add(
+          new Entity({
+            position: labelPositions[j],
+            label: {
+              text: text,
+              font: style.font,
+              fillColor: style.labelFillColor,
+              outlineColor: style.labelOutlineColor,
+              outlineWidth: 2.0,
+              style: LabelStyle.FILL_AND_OUTLINE,
+            },
+            properties: properties,
+          })
+        )
+      );
+    }
+  }
+  entities.resumeEvents();
+
+  return result;
+};
+
+/**
+ * Creates primitives for the contour lines, which are clamped to the ground, and for labels of the
+ * heights of the major lines.  The id of the primitives of each line, which is returned when it is
+ * picked, is the {@link ContourLines.Line}.
+ *
+ * @param {ContourLines.StyleOptions} [options] The style of the lines and labels.
+ * @returns {PrimitiveCollection} A collection with a {@link GroundPolylinePrimitive} and a {@link LabelCollection}, which can be added to {@link Scene#primitives}.
+ */
+ContourLines.prototype.createPrimitives = function (options) {
+  const style = getStyle(options);
+  const primitives = new PrimitiveCollection();
+  const labels = new LabelCollection();
+
+  const instances = [];
+  const lines = this._lines;
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i];
+    const major = defaultValue(line.major, false);
+    instances.push(
+      new GeometryInstance({
+        geometry: new GroundPolylineGeometry({
+          positions: line.positions,
+          width: major ? style.majorWidth : style.width,
+        }),
+        attributes: {
+          color: ColorGeometryInstanceAttribute.fromColor(
+            major ? style.majorColor : style.color
+          ),
+        },
+        id: line,
+      })
+    );
+
+    if (!style.labels || !major) {
+      continue;
+    }
+
+    const text = style.formatLabel(line.height);
+    const labelPositions = computeLabelPositions(
+      line.positions,
+      style.labelSpacing
+    );
+    for (let j = 0; j < labelPositions.length; ++j) {
+      labels.add({
+        position: labelPositions[j],
+        text: text,
+        font: style.font,
+        fillColor: style.labelFillColor,
+        outlineColor: style.labelOutlineColor,
+        outlineWidth: 2.0,
+        style: LabelStyle.FILL_AND_OUTLINE,
+        id: line,
+      });
+    }
+  }
+
+  if (instances.length > 0) {
+    primitives.add(
+      new GroundPolylinePrimitive({
+        geometryInstances: instances,
+        appearance: new PolylineColorAppearance(),
+      })
+    );
+  }
+  primitives.add(labels);
+
+  return primitives;
+};
+
+/**
+ * Exports the contour lines as a GeoJSON FeatureCollection of LineStrings with <code>elevation</code> and
+ * <code>major</code> properties.  Coordinates are longitude, latitude and height in degrees and meters.
+ *
+ * @returns {Object} The GeoJSON object.
+ */
+ContourLines.prototype.toGeoJson = function () {
+  const ellipsoid = this._ellipsoid;
+  const features = this._lines.map(function (line) {
+    const coordinates = line.positions.map(function (position) {
+      const cartographic = ellipsoid.cartesianToCartographic(
+        position,
+        scratchCartographic
+      );
+      return [
+        CesiumMath.toDegrees(cartographic.longitude),
+        CesiumMath.toDegrees(cartographic.latitude),
+        line.height,
+      ];
+    });
+    return {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: coordinates,
+      },
+      properties: {
+        elevation: line.height,
+        major: defaultValue(line.major, false),
+      },
+    };
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+};
+
+/**
+ * A contour line.
+ *
+ * @typedef {Object} ContourLines.Line
+ *
+ * @property {Number} height The height of the line, in meters.
+ * @property {Boolean} [major=false] Whether the line is a major line, which is wider and labeled.
+ * @property {Cartesian3[]} positions The positions of the line.  The positions of closed lines end with their first position.
+ */
+
+/**
+ * The style of contour lines and their labels.
+ *
+ * @typedef {Object} ContourLines.StyleOptions
+ *
+ * @property {Color} [color=Color.SADDLEBROWN] The color of minor lines.
+ * @property {Color} [majorColor=color] The color of major lines.
+ * @property {Number} [width=1.0] The width of minor lines, in pixels.
+ * @property {Number} [majorWidth=2.0] The width of major lines, in pixels.
+ * @property {Boolean} [labels=true] Whether major lines are labeled with their heights.
+ * @property {Number} [labelSpacing=2000.0] The distance between the labels along a line, in meters.  The first label is placed at half of the distance from the start of the line.
+ * @property {ContourLines.FormatLabelCallback} [formatLabel] Formats the text of the labels.  By default, the height is followed by " m".
+ * @property {String} [font="14px sans-serif"] The font of the labels.
+ * @property {Color} [labelFillColor=Color.WHITE] The fill color of the labels.
+ * @property {Color} [labelOutlineColor=Color.BLACK] The outline color of the labels.
+ */
+
+/**
+ * A function that formats the text of the label of a contour line.
+ *
+ * @callback ContourLines.FormatLabelCallback
+ *
+ * @param {Number} height The height of the line, in meters.
+ * @returns {String} The text of the label.
+ */
+export default ContourLines;
@@ -0,0 +1,1163 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import JulianDate from "../Core/JulianDate.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Rectangle from "../Core/Rectangle.js";
+import ScreenSpaceEventHandler from "../Core/ScreenSpaceEventHandler.js";
+import ScreenSpaceEventType from "../Core/ScreenSpaceEventType.js";
+import Transforms from "../Core/Transforms.js";
+import PointPrimitiveCollection from "../Scene/PointPrimitiveCollection.js";
+import CallbackProperty from "./CallbackProperty.js";
+import ConstantPositionProperty from "./ConstantPositionProperty.js";
+import ConstantProperty from "./ConstantProperty.js";
+import DrawingMode from "./DrawingMode.js";
+import Entity from "./Entity.js";
+
+const scratchCartographic = new Cartographic();
+const scratchEastNorthUp = new Matrix4();
+const scratchEast = new Cartesian3();
+const scratchOffset = new Cartesian3();
+
+// Clicks closer than this many pixels to the previous one, such as the second click of a double click, are ignored
+const clickPixelTolerance = 2.0;
+
+// The smallest radius of circles, so that circles that are being drawn always have a valid geometry
+const minimumRadius = 0.01;
+
+function getValue(property, time) {
+  return defined(property) ? property.getValue(time) : undefined;
+}
+
+function getMidpoint(ellipsoid, left, right) {
+  const leftCartographic = ellipsoid.cartesianToCartographic(left);
+  const rightCartographic = ellipsoid.cartesianToCartographic(right);
+  if (!defined(leftCartographic) || !defined(rightCartographic)) {
+    return Cartesian3.midpoint(left, right, new Cartesian3());
+  }
+
+  // Place the midpoint on the surface instead of under it, at the average height of the vertices
+  const midpoint = Cartesian3.midpoint(left, right, new Cartesian3());
+  const cartographic = ellipsoid.cartesianToCartographic(
+    midpoint,
+    scratchCartographic
+  );
+  if (!defined(cartographic)) {
+    return midpoint;
+  }
+  cartographic.height =
+    (leftCartographic.height + rightCartographic.height) * 0.5;
+  return ellipsoid.cartographicToCartesian(cartographic, midpoint);
+}
+
+function getCircleEdge(center, radius, ellipsoid) {
+  const eastNorthUp = Transforms.eastNorthUpToFixedFrame(
+    center,
+    ellipsoid,
+    scratchEastNorthUp
+  );
+  const east = Cartesian3.fromCartesian4(
+    Matrix4.getColumn(eastNorthUp, 0, scratchEast),
+    scratchEast
+  );
+  return Cartesian3.add(
+    center,
+    Cartesian3.multiplyByScalar(east, radius, scratchOffset),
+    new Cartesian3()
+  );
+}
+
+function getRadius(positions) {
+  if (positions.length < 2) {
+    return minimumRadius;
+  }
+  return Math.max(
+    Cartesian3.distance(positions[0], positions[1]),
+    minimumRadius
+  );
+}
+
+function getRectangle(positions, ellipsoid) {
+  if (positions.length < 2) {
+    return undefined;
+  }
+  const rectangle = Rectangle.fromCartesianArray(positions, ellipsoid);
+  if (
+    rectangle.west === rectangle.east ||
+    rectangle.south === rectangle.north
+  ) {
+    return undefined;
+  }
+  return rectangle;
+}
+
+function createPositionsProperty(positions, isDynamic, toValue) {
+  if (isDynamic) {
+    return new CallbackProperty(function () {
+      return toValue(positions());
+    }, false);
+  }
+  return new ConstantProperty(toValue(positions));
+}
+
+function identity(positions) {
+  return positions;
+}
+
+// The shapes describe how the graphics of an entity are created from control positions, and how they are read
+// back from an entity.  While they are drawn or dragged, the graphics are updated with callback properties of a
+// function that returns the current control positions, and they are set to constant properties afterwards.
+const shapes = {};
+
+shapes[DrawingMode.POINT] = {
+  graphics: "point",
+  minimumLength: 1,
+  maximumLength: 1,
+  hasMidpoints: false,
+  isClosed: false,
+  supports: function (entity) {
+    return (
+      defined(entity.position) &&
+      (defined(entity.point) || defined(entity.billboard))
+    );
+  },
+  getPositions: function (entity, time) {
+    const position = getValue(entity.position, time);
+    return defined(position) ? [Cartesian3.clone(position)] : [];
+  },
+  setPositions: function (entity, positions, isDynamic) {
+    entity.position = isDynamic
+      ? new CallbackProperty(function () {
+          return positions()[0];
+        }, false)
+      : new ConstantPositionProperty(Cartesian3.clone(positions[0]));
+  },
+};
+
+shapes[DrawingMode.POLYLINE] = {
+  graphics: "polyline",
+  minimumLength: 2,
+  maximumLength: Number.POSITIVE_INFINITY,
+  hasMidpoints: true,
+  isClosed: false,
+  supports: function (entity) {
+    return defined(entity.polyline) && defined(entity.polyline.positions);
+  },
+  getPositions: function (entity, time) {
+    return defaultValue(getValue(entity.polyline.positions, time), []).map(
+      function (position) {
+        return Cartesian3.clone(position);
+      }
+    );
+  },
+  setPositions: function (entity, positions, isDynamic) {
+    entity.polyline.positions = createPositionsProperty(
+      positions,
+      isDynamic,
+      identity
+    );
+  },
+};
+
+shapes[DrawingMode.POLYGON] = {
+  graphics: "polygon",
+  minimumLength: 3,
+  maximumLength: Number.POSITIVE_INFINITY,
+  hasMidpoints: true,
+  isClosed: true,
+  supports: function (entity) {
+    return defined(entity.polygon) && defined(entity.polygon.hierarchy);
+  },
+  getPositions: function (entity, time) {
+    const hierarchy = getValue(entity.polygon.hierarchy, time);
+    if (!defined(hierarchy)) {
+      return [];
+    }
+    // Hierarchies may also be given as an array of positions
+    const positions = Array.isArray(hierarchy)
+      ? hierarchy
+      : hierarchy.positions;
+    return positions.map(function (position) {
+      return Cartesian3.clone(position);
+    });
+  },
+  setPositions: function (entity, positions, isDynamic) {
+    // Holes are kept while the outer ring is edited
+    const hierarchy = getValue(entity.polygon.hierarchy);
+    const holes =
+      defined(hierarchy) && !Array.isArray(hierarchy)
+        ? hierarchy.holes
+        : undefined;
+    entity.polygon.hierarchy = createPositionsProperty(
+      positions,
+      isDynamic,
+      function (positions) {
+        return new PolygonHierarchy(positions.slice(), holes);
+      }
+    );
+  },
+};
+
+shapes[DrawingMode.RECTANGLE] = {
+  graphics: "rectangle",
+  minimumLength: 2,
+  maximumLength: 2,
+  hasMidpoints: false,
+  isClosed: false,
+  supports: function (entity) {
+    return defined(entity.rectangle) && defined(entity.rectangle.coordinates);
+  },
+  getPositions: function (entity, time, ellipsoid) {
+    const rectangle = getValue(entity.rectangle.coordinates, time);
+    if (!defined(rectangle)) {
+      return [];
+    }
+    const height = defaultValue(getValue(entity.rectangle.height, time), 0.0);
+    return [
+      Cartesian3.fromRadians(
+        rectangle.west,
+        rectangle.south,
+        height,
+        ellipsoid
+      ),
+      Cartesian3.fromRadians(
+        rectangle.east,
+        rectangle.north,
+        height,
+        ellipsoid
+      ),
+    ];
+  },
+  setPositions: function (entity, positions, isDynamic, ellipsoid) {
+    entity.rectangle.coordinates = createPositionsProperty(
+      positions,
+      isDynamic,
+      function (positions) {
+        return getRectangle(positions, ellipsoid);
+      }
+    );
+  },
+};
+
+shapes[DrawingMode.CIRCLE] = {
+  graphics: "ellipse",
+  minimumLength: 2,
+  maximumLength: 2,
+  hasMidpoints: false,
+  isClosed: false,
+  supports: function (entity) {
+    return defined(entity.position) && defined(entity.ellipse);
+  },
+  getPositions: function (entity, time, ellipsoid) {
+    const center = getValue(entity.position, time);
+    const radius = getValue(entity.ellipse.semiMajorAxis, time);
+    if (!defined(center) || !defined(radius)) {
+      return [];
+    }
+    return [Cartesian3.clone(center), getCircleEdge(center, radius, ellipsoid)];
+  },
+  setPositions: function (entity, positions, isDynamic) {
+    shapes[DrawingMode.POINT].setPositions(entity, positions, isDynamic);
+    const radius = isDynamic
+      ? new CallbackProperty(function () {
+          return getRadius(positions());
+        }, false)
+      : new ConstantProperty(getRadius(positions));
+    entity.ellipse.semiMajorAxis = radius;
+    entity.ellipse.semiMinorAxis = radius;
+  },
+};
+
+function getShape(entity) {
+  // Entities with several graphics are edited as their main shape
+  const modes = [
+    DrawingMode.POLYGON,
+    DrawingMode.POLYLINE,
+    DrawingMode.RECTANGLE,
+    DrawingMode.CIRCLE,
+    DrawingMode.POINT,
+  ];
+  for (let i = 0; i < modes.length; i++) {
+    if (shapes[modes[i]].supports(entity)) {
+      return shapes[modes[i]];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Draws points, polylines, polygons, rectangles and circles on the globe with the mouse, and edits the shapes of
+ * entities with handles at their vertices.
+ * <p>
+ * Shapes are drawn by clicking at their vertices after calling {@link DrawingManager#startDrawing}.  Polylines and
+ * polygons are finished with a double click or a right click.  While an entity is edited, its vertices can be dragged,
+ * vertices can be inserted by dragging the handles at the middle of the edges of polylines and polygons, and vertices
+ * can be deleted with a right click.  Positions are picked on terrain and 3D Tiles when
+ * {@link DrawingManager#snapToScene} is true, and on the ellipsoid otherwise.
+ * </p>
+ * <p>
+ * Every creation, modification and deletion can be undone and redone.
+ * </p>
+ *
+ * @alias DrawingManager
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Scene} options.scene The scene in which shapes are drawn.
+ * @param {EntityCollection} options.entities The collection to which drawn entities are added, such as the entities of a {@link Viewer}.
+ * @param {Boolean} [options.snapToScene=true] Whether positions are picked on terrain and 3D Tiles instead of the ellipsoid.
+ * @param {Boolean} [options.editOnClick=true] Whether clicking an entity of the collection starts editing it.
+ * @param {PointGraphics.ConstructorOptions} [options.point] The options of the point graphics of drawn points.
+ * @param {PolylineGraphics.ConstructorOptions} [options.polyline] The options of the polyline graphics of drawn polylines.
+ * @param {PolygonGraphics.ConstructorOptions} [options.polygon] The options of the polygon graphics of drawn polygons.
+ * @param {RectangleGraphics.ConstructorOptions} [options.rectangle] The options of the rectangle graphics of drawn rectangles.
+ * @param {EllipseGraphics.ConstructorOptions} [options.ellipse] The options of the ellipse graphics of drawn circles.
+ *
+ * @example
+ * const drawingManager = new Cesium.DrawingManager({
+ *   scene: viewer.scene,
+ *   entities: viewer.entities,
+ * });
+ * drawingManager.createdEvent.addEventListener(function (entity) {
+ *   console.log(`Created ${entity.id}`);
+ * });
+ * drawingManager.startDrawing(Cesium.DrawingMode.POLYGON);
+ *
+ * @see DrawingMode
+ */
+function DrawingManager(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.scene", options.scene);
+  Check.defined("options.entities", options.entities);
+  //>>includeEnd('debug');
+
+  const scene = options.scene;
+  this._scene = scene;
+  this._entities = options.entities;
+  this._ellipsoid = scene.mapProjection.ellipsoid;
+
+  /**
+   * Whether positions are picked on terrain and 3D Tiles instead of the ellipsoid.
+   *
+   * @type {Boolean}
+   * @default true
+   */
+  this.snapToScene = defaultValue(options.snapToScene, true);
+
+  /**
+   * Whether clicking an entity of the collection starts editing it.
+   *
+   * @type {Boolean}
+   * @default true
+   */
+  this.editOnClick = defaultValue(options.editOnClick, true);
+
+  this._graphicsOptions = {};
+  this._graphicsOptions[DrawingMode.POINT] = combine(options.point, {
+    pixelSize: 10.0,
+    color: Color.YELLOW,
+    outlineColor: Color.BLACK,
+    outlineWidth: 1.0,
+  });
+  this._graphicsOptions[DrawingMode.POLYLINE] = combine(options.polyline, {
+    width: 3.0,
+    material: Color.YELLOW,
+    clampToGround: true,
+  });
+  this._graphicsOptions[DrawingMode.POLYGON] = combine(options.polygon, {
+    material: Color.YELLOW.withAlpha(0.5),
+  });
+  this._graphicsOptions[DrawingMode.RECTANGLE] = combine(options.rectangle, {
+    material: Color.YELLOW.withAlpha(0.5),
+  });
+  this._graphicsOptions[DrawingMode.CIRCLE] = combine(options.ellipse, {
+    material: Color.YELLOW.withAlpha(0.5),
+  });
+
+  this._createdEvent = new Event();
+  this._modifiedEvent = new Event();
+  this._deletedEvent = new Event();
+  this._stateChangedEvent = new Event();
+
+  this._undoStack = [];
+  this._redoStack = [];
+
+  // The state of the shape being drawn
+  this._mode = undefined;
+  this._drawnEntity = undefined;
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._lastClickPosition = undefined;
+
+  // The state of the entity being edited
+  this._editedEntity = undefined;
+  this._editedShape = undefined;
+  this._drag = undefined;
+
+  this._handles = scene.primitives.add(new PointPrimitiveCollection());
+
+  const that = this;
+  const getPositions = function () {
+    return that._getCurrentPositions();
+  };
+  this._getPositions = getPositions;
+
+  const handler = new ScreenSpaceEventHandler(scene.canvas);
+  handler.setInputAction(function (movement) {
+    that._onLeftClick(movement.position);
+  }, ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(function () {
+    that._onDoubleClick();
+  }, ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  handler.setInputAction(function (movement) {
+    that._onRightClick(movement.position);
+  }, ScreenSpaceEventType.RIGHT_CLICK);
+  handler.setInputAction(function (movement) {
+    that._onLeftDown(movement.position);
+  }, ScreenSpaceEventType.LEFT_DOWN);
+  handler.setInputAction(function () {
+    that._onLeftUp();
+  }, ScreenSpaceEventType.LEFT_UP);
+  handler.setInputAction(function (movement) {
+    that._onMouseMove(movement.endPosition);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  this._handler = handler;
+}
+
+Object.defineProperties(DrawingManager.prototype, {
+  /**
+   * Gets the scene in which shapes are drawn.
+   * @memberof DrawingManager.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the collection to which drawn entities are added.
+   * @memberof DrawingManager.prototype
+   * @type {EntityCollection}
+   * @readonly
+   */
+  entities: {
+    get: function () {
+      return this._entities;
+    },
+  },
+
+  /**
+   * Gets the mode of the shape being drawn, or undefined if no shape is being drawn.
+   * @memberof DrawingManager.prototype
+   * @type {DrawingMode|undefined}
+   * @readonly
+   */
+  mode: {
+    get: function () {
+      return this._mode;
+    },
+  },
+
+  /**
+   * Gets the entity being edited, or undefined if no entity is being edited.
+   * @memberof DrawingManager.prototype
+   * @type {Entity|undefined}
+   * @readonly
+   */
+  editedEntity: {
+    get: function () {
+      return this._editedEntity;
+    },
+  },
+
+  /**
+   * Gets whether there is an operation to undo.
+   * @memberof DrawingManager.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  canUndo: {
+    get: function () {
+      return defined(this._mode)
+        ? this._positions.length > 0
+        : this._undoStack.length > 0;
+    },
+  },
+
+  /**
+   * Gets whether there is an undone operation to redo.
+   * @memberof DrawingManager.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  canRedo: {
+    get: function () {
+      return !defined(this._mode) && this._redoStack.length > 0;
+    },
+  },
+
+  /**
+   * Gets the event raised with the entity when a shape is drawn, or when the deletion of an entity is undone.
+   * @memberof DrawingManager.prototype
+   * @type {Event}
+   * @readonly
+   */
+  createdEvent: {
+    get: function () {
+      return this._createdEvent;
+    },
+  },
+
+  /**
+   * Gets the event raised with the entity when its shape is modified.
+   * @memberof DrawingManager.prototype
+   * @type {Event}
+   * @readonly
+   */
+  modifiedEvent: {
+    get: function () {
+      return this._modifiedEvent;
+    },
+  },
+
+  /**
+   * Gets the event raised with the entity when it is deleted, or when its creation is undone.
+   * @memberof DrawingManager.prototype
+   * @type {Event}
+   * @readonly
+   */
+  deletedEvent: {
+    get: function () {
+      return this._deletedEvent;
+    },
+  },
+
+  /**
+   * Gets the event raised when the mode, the edited entity, or the operations that can be undone or redone change.
+   * @memberof DrawingManager.prototype
+   * @type {Event}
+   * @readonly
+   */
+  stateChangedEvent: {
+    get: function () {
+      return this._stateChangedEvent;
+    },
+  },
+});
+
+/**
+ * Returns whether the shape of an entity can be edited: it has a position and point or billboard graphics,
+ * polyline, polygon or rectangle graphics, or a position and ellipse graphics.
+ *
+ * @param {Entity} entity The entity.
+ * @returns {Boolean} true if the entity can be edited.
+ */
+DrawingManager.canEdit = function (entity) {
+  return defined(entity) && defined(getShape(entity));
+};
+
+/**
+ * Starts drawing a shape.  Drawing a shape stops editing the edited entity, and cancels the shape being drawn.
+ *
+ * @param {DrawingMode} mode The kind of shape to draw.
+ */
+DrawingManager.prototype.startDrawing = function (mode) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(shapes[mode])) {
+    throw new DeveloperError("mode must be a DrawingMode.");
+  }
+  //>>includeEnd('debug');
+
+  this.stopEditing();
+  this._resetDrawing();
+  this._mode = mode;
+  this._raiseStateChanged();
+};
+
+/**
+ * Cancels the shape being drawn, and removes it.
+ */
+DrawingManager.prototype.cancel = function () {
+  if (!defined(this._mode)) {
+    return;
+  }
+  this._resetDrawing();
+  this._raiseStateChanged();
+};
+
+/**
+ * Finishes the shape being drawn.  The shape is canceled if it doesn't have enough vertices.
+ *
+ * @returns {Entity|undefined} The created entity, or undefined if the shape was canceled.
+ */
+DrawingManager.prototype.finish = function () {
+  const mode = this._mode;
+  if (!defined(mode)) {
+    return undefined;
+  }
+
+  const shape = shapes[mode];
+  const positions = this._positions;
+  const entity = this._drawnEntity;
+  if (!defined(entity) || positions.length < shape.minimumLength) {
+    this.cancel();
+    return undefined;
+  }
+
+  shape.setPositions(entity, positions.slice(), false, this._ellipsoid);
+  this._drawnEntity = undefined;
+  this._resetDrawing();
+
+  const entities = this._entities;
+  const createdEvent = this._createdEvent;
+  const deletedEvent = this._deletedEvent;
+  this._pushOperation({
+    undo: function () {
+      entities.remove(entity);
+      deletedEvent.raiseEvent(entity);
+    },
+    redo: function () {
+      entities.add(entity);
+      createdEvent.raiseEvent(entity);
+    },
+  });
+  createdEvent.raiseEvent(entity);
+  this._raiseStateChanged();
+  return entity;
+};
+
+/**
+ * Starts editing the shape of an entity, showing handles at its vertices.
+ *
+ * @param {Entity} entity The entity to edit.
+ *
+ * @exception {DeveloperError} The shape of the entity cannot be edited.
+ *
+ * @see DrawingManager.canEdit
+ */
+DrawingManager.prototype.edit = function (entity) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!DrawingManager.canEdit(entity)) {
+    throw new DeveloperError("The shape of the entity cannot be edited.");
+  }
+  //>>includeEnd('debug');
+
+  if (this._editedEntity === entity) {
+    return;
+  }
+
+  this.cancel();
+  this.stopEditing();
+  this._editedEntity = entity;
+  this._editedShape = getShape(entity);
+  this._updateHandles();
+  this._raiseStateChanged();
+};
+
+/**
+ * Stops editing the edited entity, and removes its handles.
+ */
+DrawingManager.prototype.stopEditing = function () {
+  if (!defined(this._editedEntity)) {
+    return;
+  }
+  this._endDrag();
+  this._editedEntity = undefined;
+  this._editedShape = undefined;
+  this._handles.removeAll();
+  this._requestRender();
+  this._raiseStateChanged();
+};
+
+/**
+ * Deletes an entity from the collection.
+ *
+ * @param {Entity} [entity=this.editedEntity] The entity to delete.
+ */
+DrawingManager.prototype.deleteEntity = function (entity) {
+  entity = defaultValue(entity, this._editedEntity);
+  if (!defined(entity) || !this._entities.contains(entity)) {
+    return;
+  }
+
+  if (entity === this._editedEntity) {
+    this.stopEditing();
+  }
+
+  const entities = this._entities;
+  const createdEvent = this._createdEvent;
+  const deletedEvent = this._deletedEvent;
+  entities.remove(entity);
+  this._pushOperation({
+    undo: function () {
+      entities.add(entity);
+      createdEvent.raiseEvent(entity);
+    },
+    redo: function () {
+      entities.remove(entity);
+      deletedEvent.raiseEvent(entity);
+    },
+  });
+  deletedEvent.raiseEvent(entity);
+  this._raiseStateChanged();
+};
+
+/**
+ * Undoes the last operation.  While a shape is being drawn, its last vertex is removed.
+ */
+DrawingManager.prototype.undo = function () {
+  if (defined(this._mode)) {
+    const positions = this._positions;
+    if (positions.length > 0) {
+      positions.pop();
+      this._lastClickPosition = undefined;
+      if (positions.length === 0) {
+        this._removeDrawnEntity();
+      }
+      this._requestRender();
+      this._raiseStateChanged();
+    }
+    return;
+  }
+
+  const operation = this._undoStack.pop();
+  if (!defined(operation)) {
+    return;
+  }
+  this._endDrag();
+  operation.undo();
+  this._redoStack.push(operation);
+  this._refreshEditing();
+  this._raiseStateChanged();
+};
+
+/**
+ * Redoes the last undone operation.
+ */
+DrawingManager.prototype.redo = function () {
+  if (!this.canRedo) {
+    return;
+  }
+  const operation = this._redoStack.pop();
+  this._endDrag();
+  operation.redo();
+  this._undoStack.push(operation);
+  this._refreshEditing();
+  this._raiseStateChanged();
+};
+
+/**
+ * Picks the position on the globe, terrain or 3D Tiles at a window position.
+ *
+ * @param {Cartesian2} windowPosition The window position.
+ * @param {Cartesian3} [result] The object onto which to store the result.
+ * @returns {Cartesian3|undefined} The picked position, or undefined if nothing was picked.
+ */
+DrawingManager.prototype.pickPosition = function (windowPosition, result) {
+  const scene = this._scene;
+  if (this.snapToScene) {
+    if (scene.pickPositionSupported) {
+      const position = scene.pickPosition(windowPosition, result);
+      if (defined(position)) {
+        return position;
+      }
+    }
+    const globe = scene.globe;
+    if (defined(globe)) {
+      const ray = scene.camera.getPickRay(windowPosition);
+      const position = defined(ray)
+        ? globe.pick(ray, scene, result)
+        : undefined;
+      if (defined(position)) {
+        return position;
+      }
+    }
+  }
+  return scene.camera.pickEllipsoid(windowPosition, this._ellipsoid, result);
+};
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+DrawingManager.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the manager, canceling the shape being drawn and removing the handles.  Drawn entities are kept.
+ */
+DrawingManager.prototype.destroy = function () {
+  this._resetDrawing();
+  this._endDrag();
+  this._handler.destroy();
+  this._scene.primitives.remove(this._handles);
+  return destroyObject(this);
+};
+
+DrawingManager.prototype._getTime = function () {
+  return defaultValue(this._scene.lastRenderTime, JulianDate.now());
+};
+
+DrawingManager.prototype._raiseStateChanged = function () {
+  this._stateChangedEvent.raiseEvent(this);
+};
+
+DrawingManager.prototype._requestRender = function () {
+  this._scene.requestRender();
+};
+
+DrawingManager.prototype._pushOperation = function (operation) {
+  this._undoStack.push(operation);
+  this._redoStack.length = 0;
+};
+
+DrawingManager.prototype._getCurrentPositions = function () {
+  const positions = this._positions;
+  const floatingPosition = this._floatingPosition;
+  if (
+    defined(floatingPosition) &&
+    positions.length < shapes[this._mode].maximumLength
+  ) {
+    return positions.concat([floatingPosition]);
+  }
+  return positions;
+};
+
+DrawingManager.prototype._removeDrawnEntity = function () {
+  if (defined(this._drawnEntity)) {
+    this._entities.remove(this._drawnEntity);
+    this._drawnEntity = undefined;
+  }
+};
+
+DrawingManager.prototype._resetDrawing = function () {
+  this._removeDrawnEntity();
+  this._mode = undefined;
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._lastClickPosition = undefined;
+  this._requestRender();
+};
+
+DrawingManager.prototype._createDrawnEntity = function () {
+  const mode = this._mode;
+  const shape = shapes[mode];
+  const entity = new Entity();
+  entity[shape.graphics] = this._graphicsOptions[mode];
+  shape.setPositions(entity, this._getPositions, true, this._ellipsoid);
+  this._drawnEntity = this._entities.add(entity);
+};
+
+DrawingManager.prototype._addPosition = function (windowPosition) {
+  const lastClickPosition = this._lastClickPosition;
+  if (
+    defined(lastClickPosition) &&
+    Cartesian2.distance(lastClickPosition, windowPosition) <=
+      clickPixelTolerance
+  ) {
+    return;
+  }
+
+  const position = this.pickPosition(windowPosition);
+  if (!defined(position)) {
+    return;
+  }
+
+  this._lastClickPosition = windowPosition.clone();
+  this._positions.push(position);
+  this._floatingPosition = undefined;
+  if (!defined(this._drawnEntity)) {
+    this._createDrawnEntity();
+  }
+  this._requestRender();
+
+  if (this._positions.length === shapes[this._mode].maximumLength) {
+    this.finish();
+  } else {
+    this._raiseStateChanged();
+  }
+};
+
+DrawingManager.prototype._onLeftClick = function (windowPosition) {
+  if (defined(this._mode)) {
+    this._addPosition(windowPosition);
+    return;
+  }
+
+  if (!this.editOnClick) {
+    return;
+  }
+
+  const picked = this._scene.pick(windowPosition);
+  if (defined(picked) && picked.collection === this._handles) {
+    return;
+  }
+
+  const entity = defined(picked) ? picked.id : undefined;
+  if (
+    entity instanceof Entity &&
+    this._entities.contains(entity) &&
+    DrawingManager.canEdit(entity)
+  ) {
+    this.edit(entity);
+  } else {
+    this.stopEditing();
+  }
+};
+
+DrawingManager.prototype._onDoubleClick = function () {
+  if (defined(this._mode)) {
+    this.finish();
+  }
+};
+
+DrawingManager.prototype._onRightClick = function (windowPosition) {
+  if (defined(this._mode)) {
+    this.finish();
+    return;
+  }
+
+  if (!defined(this._editedEntity)) {
+    return;
+  }
+
+  const handle = this._pickHandle(windowPosition);
+  if (defined(handle) && !handle.isMidpoint) {
+    this._deleteVertex(handle.index);
+  }
+};
+
+DrawingManager.prototype._onLeftDown = function (windowPosition) {
+  if (defined(this._mode) || !defined(this._editedEntity)) {
+    return;
+  }
+
+  const handle = this._pickHandle(windowPosition);
+  if (!defined(handle)) {
+    return;
+  }
+
+  const entity = this._editedEntity;
+  const shape = this._editedShape;
+  const before = shape.getPositions(entity, this._getTime(), this._ellipsoid);
+  const positions = before.slice();
+  let index = handle.index;
+  if (handle.isMidpoint) {
+    // Dragging the middle of an edge inserts a vertex
+    index = index + 1;
+    positions.splice(index, 0, Cartesian3.clone(handle.position));
+  }
+
+  this._drag = {
+    index: index,
+    before: before,
+    positions: positions,
+    hasMoved: handle.isMidpoint,
+  };
+
+  // Handles are hidden while dragging so that positions are not picked on them
+  const handles = this._handles;
+  for (let i = 0; i < handles.length; i++) {
+    handles.get(i).show = false;
+  }
+
+  this._scene.screenSpaceCameraController.enableInputs = false;
+  const drag = this._drag;
+  shape.setPositions(
+    entity,
+    function () {
+      return drag.positions;
+    },
+    true,
+    this._ellipsoid
+  );
+  this._requestRender();
+};
+
+DrawingManager.prototype._onMouseMove = function (windowPosition) {
+  if (defined(this._mode)) {
+    if (this._positions.length > 0) {
+      const position = this.pickPosition(windowPosition);
+      if (defined(position)) {
+        this._floatingPosition = position;
+        this._requestRender();
+      }
+    }
+    return;
+  }
+
+  const drag = this._drag;
+  if (!defined(drag)) {
+    return;
+  }
+
+  const position = this.pickPosition(windowPosition);
+  if (!defined(position)) {
+    return;
+  }
+
+  const positions = drag.positions;
+  if (this._editedShape === shapes[DrawingMode.CIRCLE] && drag.index === 0) {
+    // Moving the center of a circle moves its edge too
+    const offset = Cartesian3.subtract(position, positions[0], scratchOffset);
+    Cartesian3.add(positions[1], offset, positions[1]);
+  }
+  positions[drag.index] = position;
+  drag.hasMoved = true;
+  this._requestRender();
+};
+
+DrawingManager.prototype._onLeftUp = function () {
+  const drag = this._drag;
+  if (!defined(drag)) {
+    return;
+  }
+
+  this._endDrag();
+  if (drag.hasMoved) {
+    this._modify(this._editedEntity, drag.before, drag.positions);
+  }
+};
+
+DrawingManager.prototype._endDrag = function () {
+  const drag = this._drag;
+  if (!defined(drag)) {
+    return;
+  }
+  this._drag = undefined;
+  this._scene.screenSpaceCameraController.enableInputs = true;
+  this._editedShape.setPositions(
+    this._editedEntity,
+    drag.positions.slice(),
+    false,
+    this._ellipsoid
+  );
+  this._updateHandles();
+};
+
+DrawingManager.prototype._deleteVertex = function (index) {
+  const entity = this._editedEntity;
+  const shape = this._editedShape;
+  const ellipsoid = this._ellipsoid;
+  const before = shape.getPositions(entity, this._getTime(), ellipsoid);
+  if (!shape.hasMidpoints || before.length <= shape.minimumLength) {
+    return;
+  }
+
+  const after = before.slice();
+  after.splice(index, 1);
+  this._modify(entity, before, after);
+};
+
+DrawingManager.prototype._modify = function (entity, before, after) {
+  const shape = getShape(entity);
+  const ellipsoid = this._ellipsoid;
+  const modifiedEvent = this._modifiedEvent;
+  shape.setPositions(entity, after.slice(), false, ellipsoid);
+  this._pushOperation({
+    undo: function () {
+      shape.setPositions(entity, before.slice(), false, ellipsoid);
+      modifiedEvent.raiseEvent(entity);
+    },
+    redo: function () {
+      shape.setPositions(entity, after.slice(), false, ellipsoid);
+      modifiedEvent.raiseEvent(entity);
+    },
+  });
+  this._updateHandles();
+  modifiedEvent.raiseEvent(entity);
+  this._raiseStateChanged();
+};
+
+DrawingManager.prototype._refreshEditing = function () {
+  const entity = this._editedEntity;
+  if (!defined(entity)) {
+    return;
+  }
+  if (!this._entities.contains(entity)) {
+    this.stopEditing();
+    return;
+  }
+  this._updateHandles();
+};
+
+DrawingManager.prototype._pickHandle = function (windowPosition) {
+  const picked = this._scene.pick(windowPosition);
+  if (defined(picked) && picked.collection === this._handles) {
+    return picked.id;
+  }
+  return undefined;
+};
+
+DrawingManager.prototype._updateHandles = function () {
+  const handles = this._handles;
+  handles.removeAll();
+  this._requestRender();
+
+  const entity = this._editedEntity;
+  if (!defined(entity)) {
+    return;
+  }
+
+  const shape = this._editedShape;
+  const ellipsoid = this._ellipsoid;
+  const positions = shape.getPositions(entity, this._getTime(), ellipsoid);
+  const length = positions.length;
+  for (let i = 0; i < length; i++) {
+    handles.add({
+      position: positions[i],
+      pixelSize: 10.0,
+      color: Color.WHITE,
+      outlineColor: Color.BLACK,
+      outlineWidth: 2.0,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      id: {
+        index: i,
+        isMidpoint: false,
+        position: positions[i],
+      },
+    });
+  }
+
+  if (!shape.hasMidpoints) {
+    return;
+  }
+
+  const edgeCount = shape.isClosed ? length : length - 1;
+  for (let i = 0; i < edgeCount; i++) {
+    const midpoint = getMidpoint(
+      ellipsoid,
+      positions[i],
+      positions[(i + 1) % length]
+    );
+    handles.add({
+      position: midpoint,
+      pixelSize: 7.0,
+      color: Color.WHITE.withAlpha(0.6),
+      outlineColor: Color.BLACK,
+      outlineWidth: 1.0,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      id: {
+        index: i,
+        isMidpoint: true,
+        position: midpoint,
+      },
+    });
+  }
+};
+
+export default DrawingManager;
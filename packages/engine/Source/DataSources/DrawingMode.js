@@ -0,0 +1,42 @@
+/**
+ * The kinds of shapes drawn by a {@link DrawingManager}.
+ *
+ * @enum {Number}
+ */
+const DrawingMode = {
+  /**
+   * A point, drawn with a single click.
+   * @type {Number}
+   * @constant
+   */
+  POINT: 0,
+
+  /**
+   * A polyline, drawn with a click for each vertex and finished with a double or right click.
+   * @type {Number}
+   * @constant
+   */
+  POLYLINE: 1,
+
+  /**
+   * A polygon, drawn with a click for each vertex and finished with a double or right click.
+   * @type {Number}
+   * @constant
+   */
+  POLYGON: 2,
+
+  /**
+   * A rectangle, drawn with a click at two opposite corners.
+   * @type {Number}
+   * @constant
+   */
+  RECTANGLE: 3,
+
+  /**
+   * A circle, drawn with a click at its center and a click on its edge.
+   * @type {Number}
+   * @constant
+   */
+  CIRCLE: 4,
+};
+export default Object.freeze(DrawingMode);
@@ -0,0 +1,122 @@
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Iso8601 from "../Core/Iso8601.js";
+import JulianDate from "../Core/JulianDate.js";
+import TimeInterval from "../Core/TimeInterval.js";
+import SampledPositionProperty from "./SampledPositionProperty.js";
+import SampledProperty from "./SampledProperty.js";
+
+/**
+ * Determines the times at which the time-dynamic properties of the entities of an {@link EntityCollection}
+ * are sampled when exporting them, following the conventions of {@link exportKml}.
+ *
+ * @alias ExportSampler
+ * @constructor
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {EntityCollection} options.entities The exported entities.
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] The time of the values of properties that are not sampled.
+ * @param {TimeInterval} [options.defaultAvailability=entities.computeAvailability()] The interval that is sampled if an entity doesn't have an availability.
+ * @param {Number} [options.sampleDuration=60] The number of seconds between samples of properties that are not {@link SampledProperty} instances.
+ *
+ * @private
+ */
+function ExportSampler(options) {
+  const entityAvailability = options.entities.computeAvailability();
+
+  // Use the start time as the default because just in case they define
+  //  properties with an interval even if they don't change.
+  this.time = defined(options.time) ? options.time : entityAvailability.start;
+  this.sampleDuration = defaultValue(options.sampleDuration, 60);
+  this.defaultAvailability = getFiniteInterval(
+    defaultValue(options.defaultAvailability, entityAvailability),
+    this.sampleDuration
+  );
+}
+
+function getFiniteInterval(interval, sampleDuration) {
+  const start = interval.start;
+  const stop = interval.stop;
+  const isStartInfinite = JulianDate.equals(start, Iso8601.MINIMUM_VALUE);
+  const isStopInfinite = JulianDate.equals(stop, Iso8601.MAXIMUM_VALUE);
+  if (isStartInfinite && isStopInfinite) {
+    return new TimeInterval();
+  }
+
+  // Sample 10 times before the stop or after the start of half infinite intervals
+  return new TimeInterval({
+    start: isStartInfinite
+      ? JulianDate.addSeconds(stop, -10 * sampleDuration, new JulianDate())
+      : JulianDate.clone(start),
+    stop: isStopInfinite
+      ? JulianDate.addSeconds(start, 10 * sampleDuration, new JulianDate())
+      : JulianDate.clone(stop),
+  });
+}
+
+/**
+ * Gets the interval over which the properties of an entity are sampled.
+ *
+ * @param {Entity} entity The entity.
+ * @returns {TimeInterval|undefined} The availability of the entity, or undefined if it is always available.
+ */
+ExportSampler.prototype.getInterval = function (entity) {
+  const availability = entity.availability;
+  if (!defined(availability) || availability.length === 0) {
+    return undefined;
+  }
+  return getFiniteInterval(
+    new TimeInterval({
+      start: availability.start,
+      stop: availability.stop,
+    }),
+    this.sampleDuration
+  );
+};
+
+/**
+ * Gets the times at which a property is sampled in an interval: the times of the samples of
+ * {@link SampledProperty} and {@link SampledPositionProperty} instances, and times separated
+ * by the sample duration for other properties.  Without an interval, all samples are used and other
+ * properties are sampled over the default availability.
+ *
+ * @param {Property} property The property.
+ * @param {TimeInterval} [interval] The interval.
+ * @returns {JulianDate[]} The times.
+ */
+ExportSampler.prototype.getTimes = function (property, interval) {
+  let sampleTimes;
+  if (property instanceof SampledPositionProperty) {
+    sampleTimes = property._property._times;
+  } else if (property instanceof SampledProperty) {
+    sampleTimes = property._times;
+  }
+
+  if (defined(sampleTimes)) {
+    return !defined(interval)
+      ? sampleTimes.slice()
+      : sampleTimes.filter(function (time) {
+          return TimeInterval.contains(interval, time);
+        });
+  }
+
+  interval = defaultValue(interval, this.defaultAvailability);
+
+  const times = [];
+  const duration = this.sampleDuration;
+  const stop = interval.stop;
+  let time = JulianDate.clone(interval.start);
+  if (!interval.isStartIncluded) {
+    JulianDate.addSeconds(time, duration, time);
+  }
+  while (JulianDate.lessThan(time, stop)) {
+    times.push(time);
+    time = JulianDate.addSeconds(time, duration, new JulianDate());
+  }
+  if (interval.isStopIncluded) {
+    times.push(JulianDate.clone(stop));
+  }
+  return times;
+};
+
+export default ExportSampler;
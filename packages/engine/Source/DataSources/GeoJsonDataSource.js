@@ -1,4 +1,6 @@
 import ArcType from "../Core/ArcType.js";
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian2 from "../Core/Cartesian2.js";
 import Cartesian3 from "../Core/Cartesian3.js";
 import Color from "../Core/Color.js";
 import createGuid from "../Core/createGuid.js";
@@ -6,12 +8,16 @@ import Credit from "../Core/Credit.js";
 import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
 import Event from "../Core/Event.js";
 import getFilenameFromUri from "../Core/getFilenameFromUri.js";
 import PinBuilder from "../Core/PinBuilder.js";
 import PolygonHierarchy from "../Core/PolygonHierarchy.js";
 import Resource from "../Core/Resource.js";
 import RuntimeError from "../Core/RuntimeError.js";
+import Cesium3DTileStyle from "../Scene/Cesium3DTileStyle.js";
+import ConditionsExpression from "../Scene/ConditionsExpression.js";
+import Expression from "../Scene/Expression.js";
 import HeightReference from "../Scene/HeightReference.js";
 import VerticalOrigin from "../Scene/VerticalOrigin.js";
 import * as topojson from "topojson-client";
@@ -23,6 +29,7 @@ import ConstantProperty from "./ConstantProperty.js";
 import DataSource from "./DataSource.js";
 import EntityCluster from "./EntityCluster.js";
 import EntityCollection from "./EntityCollection.js";
+import LabelGraphics from "./LabelGraphics.js";
 import PolygonGraphics from "./PolygonGraphics.js";
 import PolylineGraphics from "./PolylineGraphics.js";
 
@@ -107,6 +114,121 @@ function defaultDescribeProperty(properties, nameProperty) {
   );
 }
 
+// Adapts the properties of a feature to the interface used by style expressions
+function StyleFeature(properties) {
+  this._properties = properties;
+}
+
+StyleFeature.prototype.hasProperty = function (name) {
+  return defined(this._properties[name]);
+};
+
+StyleFeature.prototype.getProperty = function (name) {
+  return this._properties[name];
+};
+
+StyleFeature.prototype.getPropertyInherited =
+  StyleFeature.prototype.getProperty;
+
+const styleNames = ["color", "show", "size", "labelText", "extrudedHeight"];
+
+function getStyleExpression(value, defines) {
+  if (!defined(value)) {
+    return undefined;
+  } else if (typeof value === "boolean" || typeof value === "number") {
+    return new Expression(String(value));
+  } else if (typeof value === "string") {
+    return new Expression(value, defines);
+  } else if (defined(value.conditions)) {
+    return new ConditionsExpression(value, defines);
+  }
+  return value;
+}
+
+function createStyleFunction(style) {
+  if (!defined(style) || typeof style === "function") {
+    return style;
+  }
+
+  let expressions;
+  if (style instanceof Cesium3DTileStyle) {
+    expressions = {
+      color: style.color,
+      show: style.show,
+      size: style.pointSize,
+      labelText: style.labelText,
+    };
+  } else {
+    expressions = {};
+    for (let i = 0; i < styleNames.length; i++) {
+      const name = styleNames[i];
+      expressions[name] = getStyleExpression(style[name], style.defines);
+    }
+  }
+
+  // The expressions are evaluated when the values are read, so that only those used by a geometry are evaluated
+  return function (properties) {
+    const feature = new StyleFeature(properties);
+    const result = {};
+    styleNames.forEach(function (name) {
+      const expression = expressions[name];
+      if (defined(expression)) {
+        Object.defineProperty(result, name, {
+          get: function () {
+            return name === "color"
+              ? expression.evaluateColor(feature, new Color())
+              : expression.evaluate(feature);
+          },
+        });
+      }
+    });
+    return result;
+  };
+}
+
+function getFeatureStyle(geoJson, options) {
+  const style = options.style;
+  if (!defined(style)) {
+    return defaultValue.EMPTY_OBJECT;
+  }
+  return defaultValue(
+    style(defaultValue(geoJson.properties, defaultValue.EMPTY_OBJECT), geoJson),
+    defaultValue.EMPTY_OBJECT
+  );
+}
+
+function applyFeatureStyle(entity, featureStyle, positions, options) {
+  const show = featureStyle.show;
+  if (defined(show)) {
+    entity.show = show;
+  }
+
+  const text = featureStyle.labelText;
+  if (!defined(text) || text === "") {
+    return;
+  }
+
+  const label = new LabelGraphics();
+  label.text = new ConstantProperty(String(text));
+  if (options.clampToGround) {
+    label.heightReference = HeightReference.CLAMP_TO_GROUND;
+  }
+  entity.label = label;
+  if (!defined(entity.position)) {
+    entity.position = new ConstantPositionProperty(getLabelPosition(positions));
+  }
+  return label;
+}
+
+// Labels of lines and polygons are placed on the surface under the center of their positions
+function getLabelPosition(positions) {
+  const center = BoundingSphere.fromPoints(positions).center;
+  return defaultValue(
+    Ellipsoid.WGS84.scaleToGeodeticSurface(center, center),
+    center
+  );
+}
+
 //GeoJSON specifies only the Feature object has a usable id property
 //But since "multi" geometries create multiple entity,
 //we can't use it for them either.
@@ -282,6 +404,10 @@ function createPoint(dataSource, geoJson, crsFunction, coordinates, options) {
     }
   }
 
+  const featureStyle = getFeatureStyle(geoJson, options);
+  color = defaultValue(featureStyle.color, color);
+  size = defaultValue(featureStyle.size, size);
+
   let canvasOrPromise;
   if (defined(symbol)) {
     if (symbol.length === 1) {
@@ -317,6 +443,13 @@ function createPoint(dataSource, geoJson, crsFunction, coordinates, options) {
   entity.billboard = billboard;
   entity.position = new ConstantPositionProperty(crsFunction(coordinates));
 
+  const label = applyFeatureStyle(entity, featureStyle, undefined, options);
+  if (defined(label)) {
+    label.verticalOrigin = new ConstantProperty(VerticalOrigin.BOTTOM);
+    label.pixelOffset = new ConstantProperty(new Cartesian2(0.0, -size));
+    label.heightReference = billboard.heightReference;
+  }
+
   const promise = Promise.resolve(canvasOrPromise)
     .then(function (image) {
       billboard.image = new ConstantProperty(image);
@@ -381,6 +514,17 @@ function createLineString(
     }
   }
 
+  const featureStyle = getFeatureStyle(geoJson, options);
+  const styleColor = featureStyle.color;
+  if (defined(styleColor)) {
+    material = new ColorMaterialProperty(styleColor);
+  }
+  const styleSize = featureStyle.size;
+  if (defined(styleSize)) {
+    widthProperty = new ConstantProperty(styleSize);
+  }
+
+  const positions = coordinatesArrayToCartesianArray(coordinates, crsFunction);
   const entity = createObject(
     geoJson,
     dataSource._entityCollection,
@@ -392,10 +536,10 @@ function createLineString(
   polylineGraphics.clampToGround = options.clampToGround;
   polylineGraphics.material = material;
   polylineGraphics.width = widthProperty;
-  polylineGraphics.positions = new ConstantProperty(
-    coordinatesArrayToCartesianArray(coordinates, crsFunction)
-  );
+  polylineGraphics.positions = new ConstantProperty(positions);
   polylineGraphics.arcType = ArcType.RHUMB;
+
+  applyFeatureStyle(entity, featureStyle, positions, options);
 }
 
 function processLineString(
@@ -479,6 +623,16 @@ function createPolygon(dataSource, geoJson, crsFunction, coordinates, options) {
     }
   }
 
+  const featureStyle = getFeatureStyle(geoJson, options);
+  const styleColor = featureStyle.color;
+  if (defined(styleColor)) {
+    material = new ColorMaterialProperty(styleColor);
+  }
+  const styleSize = featureStyle.size;
+  if (defined(styleSize)) {
+    widthProperty = new ConstantProperty(styleSize);
+  }
+
   const polygon = new PolygonGraphics();
   polygon.outline = new ConstantProperty(true);
   polygon.outlineColor = outlineColorProperty;
@@ -495,18 +649,22 @@ function createPolygon(dataSource, geoJson, crsFunction, coordinates, options) {
     );
   }
 
-  const positions = coordinates[0];
+  const positions = coordinatesArrayToCartesianArray(
+    coordinates[0],
+    crsFunction
+  );
   polygon.hierarchy = new ConstantProperty(
-    new PolygonHierarchy(
-      coordinatesArrayToCartesianArray(positions, crsFunction),
-      holes
-    )
+    new PolygonHierarchy(positions, holes)
   );
-  if (positions[0].length > 2) {
+  if (coordinates[0][0].length > 2) {
     polygon.perPositionHeight = new ConstantProperty(true);
   } else if (!options.clampToGround) {
     polygon.height = 0;
   }
+  const extrudedHeight = featureStyle.extrudedHeight;
+  if (defined(extrudedHeight)) {
+    polygon.extrudedHeight = new ConstantProperty(extrudedHeight);
+  }
 
   const entity = createObject(
     geoJson,
@@ -514,6 +672,8 @@ function createPolygon(dataSource, geoJson, crsFunction, coordinates, options) {
     options.describe
   );
   entity.polygon = polygon;
+
+  applyFeatureStyle(entity, featureStyle, positions, options);
 }
 
 function processPolygon(dataSource, geoJson, geometry, crsFunction, options) {
@@ -564,6 +724,49 @@ function processTopology(dataSource, geoJson, geometry, crsFunction, options) {
  * @property {Color} [fill=GeoJsonDataSource.fill] The default color for polygon interiors.
  * @property {Boolean} [clampToGround=GeoJsonDataSource.clampToGround] true if we want the geometry features (polygons or linestrings) clamped to the ground.
  * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {GeoJsonDataSource.StyleFunction|GeoJsonDataSource.StyleExpressions|Cesium3DTileStyle} [style] A style evaluated for each feature against its properties.  The values of the style take precedence over the other options and the simplestyle properties of the feature.
+ */
+
+/**
+ * The style of a feature.  Undefined values leave the corresponding graphics unchanged.
+ *
+ * @typedef {Object} GeoJsonDataSource.FeatureStyle
+ *
+ * @property {Color} [color] The color of the map pin of points, of polylines and of polygon interiors.
+ * @property {Boolean} [show] Whether the feature is shown.
+ * @property {Number} [size] The size of the map pin of points in pixels, and the width of polylines and polygon outlines.
+ * @property {String} [labelText] The text of a label shown above points and at the center of lines and polygons.
+ * @property {Number} [extrudedHeight] The height to which polygons are extruded, in meters.
+ */
+
+/**
+ * The expressions of a style, written in the
+ * {@link https://github.com/CesiumGS/3d-tiles/tree/main/specification/Styling|3D Tiles Styling language} like
+ * those of a {@link Cesium3DTileStyle}, where <code>${name}</code> is the value of the property <code>name</code> of the feature.
+ *
+ * @typedef {Object} GeoJsonDataSource.StyleExpressions
+ *
+ * @property {String|Object} [color] An expression or conditions that evaluate to the color of the feature.
+ * @property {String|Boolean|Object} [show] An expression or conditions that evaluate to whether the feature is shown.
+ * @property {String|Number|Object} [size] An expression or conditions that evaluate to the size of the feature.
+ * @property {String|Object} [labelText] An expression or conditions that evaluate to the text of the label of the feature.
+ * @property {String|Number|Object} [extrudedHeight] An expression or conditions that evaluate to the extruded height of polygons.
+ * @property {Object} [defines] Variables that can be used in the expressions.
+ *
+ * @example
+ * const dataSource = await Cesium.GeoJsonDataSource.load("buildings.geojson", {
+ *   style: {
+ *     color: {
+ *       conditions: [
+ *         ["${type} === 'residential'", "color('orange')"],
+ *         ["true", "color('white', 0.8)"],
+ *       ],
+ *     },
+ *     extrudedHeight: "${levels} * 3.0",
+ *     labelText: "${name}",
+ *     show: "${levels} > 0",
+ *   },
+ * });
  */
 
 /**
@@ -956,6 +1159,7 @@ function preload(that, data, options, clear) {
       defaultValue(options.fill, defaultFill)
     ),
     clampToGround: defaultValue(options.clampToGround, defaultClampToGround),
+    style: createStyleFunction(options.style),
   };
 
   return Promise.resolve(promise)
@@ -1061,4 +1265,23 @@ function load(that, geoJson, options, sourceUri, clear) {
  * @param {Object} properties The properties of the feature.
  * @param {String} nameProperty The property key that Cesium estimates to have the name of the feature.
  */
+
+/**
+ * A function that returns the style of a feature.
+ * @callback GeoJsonDataSource.StyleFunction
+ * @param {Object} properties The properties of the feature.
+ * @param {Object} geoJson The GeoJSON feature.
+ * @returns {GeoJsonDataSource.FeatureStyle|undefined} The style of the feature.
+ *
+ * @example
+ * const dataSource = await Cesium.GeoJsonDataSource.load("cities.geojson", {
+ *   style: function (properties) {
+ *     return {
+ *       color: properties.capital ? Cesium.Color.RED : Cesium.Color.WHITE,
+ *       size: properties.population > 1000000 ? 64 : 32,
+ *       labelText: properties.name,
+ *     };
+ *   },
+ * });
+ */
 export default GeoJsonDataSource;
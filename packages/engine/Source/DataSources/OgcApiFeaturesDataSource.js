@@ -0,0 +1,266 @@
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import CesiumMath from "../Core/Math.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import OgcCapabilitiesUtil from "../Scene/OgcCapabilitiesUtil.js";
+import CameraViewTracker from "./CameraViewTracker.js";
+import DataSource from "./DataSource.js";
+import GeoJsonDataSource from "./GeoJsonDataSource.js";
+
+/**
+ * @typedef {Object} OgcApiFeaturesDataSource.ConstructorOptions
+ *
+ * Initialization options for the OgcApiFeaturesDataSource constructor.  The styling options of
+ * {@link GeoJsonDataSource.LoadOptions}, such as <code>stroke</code>, <code>fill</code>,
+ * <code>markerColor</code>, <code>clampToGround</code> and <code>describe</code>, are also supported.
+ *
+ * @property {Resource|String} url The URL of the collection, such as <code>https://example.com/ogcapi/collections/buildings</code>,
+ *           or of its items.
+ * @property {Camera} [camera] The camera whose view determines the features to request.  If undefined, the features of the whole
+ *           collection are requested once.
+ * @property {String} [name] The name of this data source.
+ * @property {Number} [limit=100] The number of features requested per page.
+ * @property {Number} [maximumFeatures=10000] The maximum number of features requested for each view, after which no more pages are requested.
+ * @property {Number} [refreshDelay=1.0] The number of seconds the camera must remain still before the features in its view are requested.
+ * @property {Object} [parameters] Additional query parameters of the requests for items, such as a CQL filter.
+ */
+
+/**
+ * A {@link DataSource} for the features of a collection of an {@link https://ogcapi.ogc.org/features/|OGC API - Features}
+ * server.  When the camera stops moving, the features in its view are requested with a <code>bbox</code> query, one page at a
+ * time by following the <code>next</code> links of the responses, and added to the entities of the data source.  Features
+ * already loaded for a previous view are not added again.  The entities are created as by {@link GeoJsonDataSource}.
+ *
+ * @alias OgcApiFeaturesDataSource
+ * @constructor
+ * @extends GeoJsonDataSource
+ *
+ * @param {OgcApiFeaturesDataSource.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const dataSource = new Cesium.OgcApiFeaturesDataSource({
+ *   url: "https://features.example.com/ogcapi/collections/buildings",
+ *   camera: viewer.scene.camera,
+ *   fill: Cesium.Color.ORANGE.withAlpha(0.5),
+ *   clampToGround: true,
+ * });
+ * viewer.dataSources.add(dataSource);
+ *
+ * @see GeoJsonDataSource
+ * @see OgcApiMapTilesImageryProvider
+ */
+function OgcApiFeaturesDataSource(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  GeoJsonDataSource.call(this, options.name);
+
+  let itemsResource = Resource.createIfNeeded(options.url).clone();
+  if (!/\/items\/?$/.test(itemsResource.getUrlComponent())) {
+    itemsResource.appendForwardSlash();
+    itemsResource = itemsResource.getDerivedResource({
+      url: "items",
+    });
+  }
+  if (defined(options.parameters)) {
+    itemsResource.setQueryParameters(options.parameters);
+  }
+  this._itemsResource = itemsResource;
+
+  this._limit = defaultValue(options.limit, 100);
+  this._maximumFeatures = defaultValue(options.maximumFeatures, 10000);
+  this._loadOptions = options;
+  this._featureKeys = new Set();
+  this._requestCount = 0;
+
+  /**
+   * The camera whose view determines the features to request.  If undefined, the features of the
+   * whole collection are requested once.
+   *
+   * @type {Camera|undefined}
+   */
+  this.camera = options.camera;
+
+  /**
+   * The number of seconds the camera must remain still before the features in its view are requested.
+   *
+   * @type {Number}
+   * @default 1.0
+   */
+  this.refreshDelay = defaultValue(options.refreshDelay, 1.0);
+
+  this._viewTracker = new CameraViewTracker();
+}
+
+if (defined(Object.create)) {
+  OgcApiFeaturesDataSource.prototype = Object.create(
+    GeoJsonDataSource.prototype
+  );
+  OgcApiFeaturesDataSource.prototype.constructor = OgcApiFeaturesDataSource;
+}
+
+Object.defineProperties(OgcApiFeaturesDataSource.prototype, {
+  /**
+   * Gets the resource of the items of the collection.
+   * @memberof OgcApiFeaturesDataSource.prototype
+   * @type {Resource}
+   * @readonly
+   */
+  itemsResource: {
+    get: function () {
+      return this._itemsResource;
+    },
+  },
+});
+
+function getFeatureKey(feature) {
+  // Features should have an id, but the whole feature identifies those that do not
+  return defined(feature.id) ? `id:${feature.id}` : JSON.stringify(feature);
+}
+
+/**
+ * Requests the features of the collection in a rectangle, one page after the other, and adds the features
+ * that are not loaded yet to the entities of the data source.  Pages of a previous call that are still being
+ * requested are ignored.
+ *
+ * @param {Rectangle} [rectangle] The rectangle, in radians, of the features to request.  If undefined, the features
+ *        of the whole collection are requested.
+ * @returns {Promise.<OgcApiFeaturesDataSource>} A promise that resolves when the features are loaded.
+ */
+OgcApiFeaturesDataSource.prototype.loadFeatures = function (rectangle) {
+  const requestNumber = ++this._requestCount;
+  const queryParameters = {
+    limit: this._limit,
+  };
+  if (defined(rectangle)) {
+    queryParameters.bbox = [
+      rectangle.west,
+      rectangle.south,
+      rectangle.east,
+      rectangle.north,
+    ]
+      .map(CesiumMath.toDegrees)
+      .join(",");
+  }
+
+  const that = this;
+  const featureKeys = this._featureKeys;
+  let featureCount = 0;
+
+  function loadPage(resource) {
+    return resource
+      .fetchJson()
+      .catch(function (error) {
+        DataSource.setLoading(that, false);
+        that._error.raiseEvent(that, error);
+        return Promise.reject(error);
+      })
+      .then(function (json) {
+        if (requestNumber !== that._requestCount) {
+          // A newer view is being loaded
+          return that;
+        }
+        if (!defined(json) || json.type !== "FeatureCollection") {
+          const error = new RuntimeError(
+            `The items of ${resource.url} are not a GeoJSON feature collection.`
+          );
+          DataSource.setLoading(that, false);
+          that._error.raiseEvent(that, error);
+          return Promise.reject(error);
+        }
+
+        const features = json.features.filter(function (feature) {
+          const key = getFeatureKey(feature);
+          if (featureKeys.has(key)) {
+            return false;
+          }
+          featureKeys.add(key);
+          return true;
+        });
+        featureCount += json.features.length;
+
+        const promise =
+          features.length > 0
+            ? that.process(
+                {
+                  type: "FeatureCollection",
+                  features: features,
+                },
+                that._loadOptions
+              )
+            : Promise.resolve();
+
+        return promise.then(function () {
+          const next = OgcCapabilitiesUtil.findLink(json.links, "next");
+          if (
+            !defined(next) ||
+            json.features.length === 0 ||
+            featureCount >= that._maximumFeatures ||
+            requestNumber !== that._requestCount
+          ) {
+            return that;
+          }
+          return loadPage(
+            OgcCapabilitiesUtil.getLinkResource(resource, next.href)
+          );
+        });
+      });
+  }
+
+  DataSource.setLoading(this, true);
+  return loadPage(
+    this._itemsResource.getDerivedResource({
+      queryParameters: queryParameters,
+    })
+  ).then(function (dataSource) {
+    if (requestNumber === that._requestCount) {
+      DataSource.setLoading(that, false);
+    }
+    return dataSource;
+  });
+};
+
+/**
+ * Removes all entities of the data source, so that the features in the current view are requested again.
+ */
+OgcApiFeaturesDataSource.prototype.reload = function () {
+  ++this._requestCount;
+  this._featureKeys.clear();
+  this.entities.removeAll();
+  this._viewTracker.reset();
+};
+
+/**
+ * Requests the features in the view of the camera after it stopped moving.  This function is called by
+ * {@link DataSourceDisplay} once a frame.
+ *
+ * @param {JulianDate} time The simulation time.
+ * @returns {Boolean} True if this data source is ready to be displayed at the provided time, false otherwise.
+ */
+OgcApiFeaturesDataSource.prototype.update = function (time) {
+  const camera = this.camera;
+  if (!this._viewTracker.update(camera, this.refreshDelay)) {
+    return true;
+  }
+
+  let rectangle;
+  if (defined(camera)) {
+    rectangle = camera.computeViewRectangle();
+    if (!defined(rectangle)) {
+      // The camera does not look at the globe
+      return true;
+    }
+  }
+  // Errors are raised by the error event
+  this.loadFeatures(rectangle).catch(function () {});
+  return true;
+};
+
+export default OgcApiFeaturesDataSource;
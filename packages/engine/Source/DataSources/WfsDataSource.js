@@ -0,0 +1,364 @@
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import CesiumMath from "../Core/Math.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import CameraViewTracker from "./CameraViewTracker.js";
+import DataSource from "./DataSource.js";
+import GeoJsonDataSource from "./GeoJsonDataSource.js";
+import parseGmlFeatureCollection from "./parseGmlFeatureCollection.js";
+
+const geoJsonFormat = "application/json";
+const bboxSrsName = "urn:ogc:def:crs:EPSG::4326";
+
+/**
+ * @typedef {Object} WfsDataSource.ConstructorOptions
+ *
+ * Initialization options for the WfsDataSource constructor.  The styling options of
+ * {@link GeoJsonDataSource.LoadOptions}, such as <code>stroke</code>, <code>fill</code>,
+ * <code>markerColor</code>, <code>clampToGround</code> and <code>describe</code>, are also supported.
+ *
+ * @property {Resource|String} url The URL of the WFS service.
+ * @property {String} typeNames The comma-separated names of the feature types to request.
+ * @property {String} [outputFormat="application/json"] The format of the features, either <code>application/json</code>
+ *           for GeoJSON or <code>application/gml+xml; version=3.2</code> for GML 3.2.
+ * @property {Camera} [camera] The camera whose view determines the features to request.  If undefined, the features of the
+ *           whole feature types are requested once.
+ * @property {String} [name] The name of this data source.
+ * @property {Number} [maximumFeatures=1000] The maximum number of features requested for each view.
+ * @property {String} [filter] A Filter Encoding 2.0 predicate the features must match, such as
+ *           <code>&lt;fes:PropertyIsGreaterThan&gt;&lt;fes:ValueReference&gt;lanes&lt;/fes:ValueReference&gt;&lt;fes:Literal&gt;2&lt;/fes:Literal&gt;&lt;/fes:PropertyIsGreaterThan&gt;</code>,
+ *           with the <code>fes</code> prefix for the <code>http://www.opengis.net/fes/2.0</code> namespace.
+ * @property {Number} [refreshDelay=1.0] The number of seconds the camera must remain still before the features in its view are requested.
+ * @property {Object} [parameters] Additional query parameters of the GetFeature requests.
+ */
+
+/**
+ * A {@link DataSource} for the features of an OGC Web Feature Service (WFS) 2.0.  When the camera stops moving,
+ * the features in its view are requested with a <code>GetFeature</code> request, as GeoJSON or GML 3.2, and added
+ * to the entities of the data source.  Features already loaded for a previous view, identified by their ids, are
+ * not added again.  The entities are created as by {@link GeoJsonDataSource}.
+ *
+ * @alias WfsDataSource
+ * @constructor
+ * @extends GeoJsonDataSource
+ *
+ * @param {WfsDataSource.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const dataSource = new Cesium.WfsDataSource({
+ *   url: "https://example.com/geoserver/wfs",
+ *   typeNames: "topp:states",
+ *   camera: viewer.scene.camera,
+ *   maximumFeatures: 500,
+ *   filter:
+ *     "<fes:PropertyIsGreaterThan><fes:ValueReference>PERSONS</fes:ValueReference>" +
+ *     "<fes:Literal>1000000</fes:Literal></fes:PropertyIsGreaterThan>",
+ *   fill: Cesium.Color.ORANGE.withAlpha(0.5),
+ * });
+ * viewer.dataSources.add(dataSource);
+ *
+ * @see GeoJsonDataSource
+ * @see OgcApiFeaturesDataSource
+ * @see {@link https://www.ogc.org/standards/wfs|OGC Web Feature Service}
+ */
+function WfsDataSource(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  if (!defined(options.typeNames)) {
+    throw new DeveloperError("options.typeNames is required.");
+  }
+  //>>includeEnd('debug');
+
+  GeoJsonDataSource.call(this, options.name);
+
+  const resource = Resource.createIfNeeded(options.url).clone();
+  if (defined(options.parameters)) {
+    resource.setQueryParameters(options.parameters);
+  }
+  this._resource = resource;
+
+  this._typeNames = options.typeNames;
+  this._outputFormat = defaultValue(options.outputFormat, geoJsonFormat);
+  this._maximumFeatures = defaultValue(options.maximumFeatures, 1000);
+  this._filter = options.filter;
+  this._loadOptions = options;
+  this._featureIds = new Set();
+  this._requestCount = 0;
+
+  /**
+   * The camera whose view determines the features to request.  If undefined, the features of the
+   * whole feature types are requested once.
+   *
+   * @type {Camera|undefined}
+   */
+  this.camera = options.camera;
+
+  /**
+   * The number of seconds the camera must remain still before the features in its view are requested.
+   *
+   * @type {Number}
+   * @default 1.0
+   */
+  this.refreshDelay = defaultValue(options.refreshDelay, 1.0);
+
+  this._viewTracker = new CameraViewTracker();
+}
+
+if (defined(Object.create)) {
+  WfsDataSource.prototype = Object.create(GeoJsonDataSource.prototype);
+  WfsDataSource.prototype.constructor = WfsDataSource;
+}
+
+Object.defineProperties(WfsDataSource.prototype, {
+  /**
+   * Gets the resource of the WFS service.
+   * @memberof WfsDataSource.prototype
+   * @type {Resource}
+   * @readonly
+   */
+  resource: {
+    get: function () {
+      return this._resource;
+    },
+  },
+
+  /**
+   * Gets the comma-separated names of the requested feature types.
+   * @memberof WfsDataSource.prototype
+   * @type {String}
+   * @readonly
+   */
+  typeNames: {
+    get: function () {
+      return this._typeNames;
+    },
+  },
+
+  /**
+   * Gets the format of the requested features.
+   * @memberof WfsDataSource.prototype
+   * @type {String}
+   * @readonly
+   */
+  outputFormat: {
+    get: function () {
+      return this._outputFormat;
+    },
+  },
+
+  /**
+   * Gets the maximum number of features requested for each view.
+   * @memberof WfsDataSource.prototype
+   * @type {Number}
+   * @readonly
+   */
+  maximumFeatures: {
+    get: function () {
+      return this._maximumFeatures;
+    },
+  },
+
+  /**
+   * Gets the Filter Encoding 2.0 predicate the features must match.
+   * @memberof WfsDataSource.prototype
+   * @type {String|undefined}
+   * @readonly
+   */
+  filter: {
+    get: function () {
+      return this._filter;
+    },
+  },
+});
+
+function getBoundsInDegrees(rectangle) {
+  // The bounding boxes of WFS cannot cross the antimeridian
+  const crossesAntimeridian = rectangle.west > rectangle.east;
+  return {
+    west: crossesAntimeridian ? -180.0 : CesiumMath.toDegrees(rectangle.west),
+    south: CesiumMath.toDegrees(rectangle.south),
+    east: crossesAntimeridian ? 180.0 : CesiumMath.toDegrees(rectangle.east),
+    north: CesiumMath.toDegrees(rectangle.north),
+  };
+}
+
+function createFilter(bounds, filter) {
+  let predicate = filter;
+  if (defined(bounds)) {
+    const bbox =
+      `<fes:BBOX><gml:Envelope srsName="${bboxSrsName}">` +
+      `<gml:lowerCorner>${bounds.south} ${bounds.west}</gml:lowerCorner>` +
+      `<gml:upperCorner>${bounds.north} ${bounds.east}</gml:upperCorner>` +
+      `</gml:Envelope></fes:BBOX>`;
+    predicate = defined(filter) ? `<fes:And>${bbox}${filter}</fes:And>` : bbox;
+  }
+  return `<fes:Filter xmlns:fes="http://www.opengis.net/fes/2.0" xmlns:gml="http://www.opengis.net/gml/3.2">${predicate}</fes:Filter>`;
+}
+
+function parseFeatures(text, srsName) {
+  if (/^\s*</.test(text)) {
+    const xml = new DOMParser().parseFromString(text, "text/xml");
+    return parseGmlFeatureCollection(xml, srsName);
+  }
+
+  const json = JSON.parse(text);
+  if (!defined(json) || json.type !== "FeatureCollection") {
+    throw new RuntimeError(
+      "The response of the WFS service is not a feature collection."
+    );
+  }
+  return json;
+}
+
+/**
+ * Creates the query parameters of a GetFeature request for the features in a rectangle.
+ *
+ * @param {Rectangle} [rectangle] The rectangle, in radians, of the features to request.
+ * @returns {Object} The query parameters.
+ *
+ * @private
+ */
+WfsDataSource.prototype._createQueryParameters = function (rectangle) {
+  const outputFormat = this._outputFormat;
+  const queryParameters = {
+    service: "WFS",
+    version: "2.0.0",
+    request: "GetFeature",
+    typeNames: this._typeNames,
+    outputFormat: outputFormat,
+    // GeoJsonDataSource reads EPSG:4326 as longitude first, as servers write GeoJSON, while GML follows the axis order of the CRS
+    srsName: outputFormat === geoJsonFormat ? "EPSG:4326" : bboxSrsName,
+    count: this._maximumFeatures,
+  };
+
+  const bounds = defined(rectangle) ? getBoundsInDegrees(rectangle) : undefined;
+  if (defined(this._filter)) {
+    // The BBOX and FILTER parameters are mutually exclusive
+    queryParameters.filter = createFilter(bounds, this._filter);
+  } else if (defined(bounds)) {
+    queryParameters.bbox = [
+      bounds.south,
+      bounds.west,
+      bounds.north,
+      bounds.east,
+      bboxSrsName,
+    ].join(",");
+  }
+  return queryParameters;
+};
+
+/**
+ * Requests the features in a rectangle and adds those that are not loaded yet to the entities of the data
+ * source.  The response of a previous call that is still being requested is ignored.
+ *
+ * @param {Rectangle} [rectangle] The rectangle, in radians, of the features to request.  If undefined, the features
+ *        of the whole feature types are requested.
+ * @returns {Promise.<WfsDataSource>} A promise that resolves when the features are loaded.
+ */
+WfsDataSource.prototype.loadFeatures = function (rectangle) {
+  const requestNumber = ++this._requestCount;
+  const queryParameters = this._createQueryParameters(rectangle);
+  const resource = this._resource.getDerivedResource({
+    queryParameters: combine(this._resource.queryParameters, queryParameters),
+  });
+
+  const that = this;
+  function raiseError(error) {
+    DataSource.setLoading(that, false);
+    that._error.raiseEvent(that, error);
+    return Promise.reject(error);
+  }
+
+  DataSource.setLoading(this, true);
+  return resource
+    .fetchText()
+    .catch(raiseError)
+    .then(function (text) {
+      if (requestNumber !== that._requestCount) {
+        // A newer view is being loaded
+        return that;
+      }
+
+      let collection;
+      try {
+        collection = parseFeatures(text, queryParameters.srsName);
+      } catch (error) {
+        return raiseError(error);
+      }
+
+      const featureIds = that._featureIds;
+      const features = collection.features.filter(function (feature) {
+        // Features of WFS services have ids, but the whole feature identifies those that do not
+        const id = defined(feature.id)
+          ? `id:${feature.id}`
+          : JSON.stringify(feature);
+        if (featureIds.has(id)) {
+          return false;
+        }
+        featureIds.add(id);
+        return true;
+      });
+
+      const promise =
+        features.length > 0
+          ? that.process(
+              {
+                type: "FeatureCollection",
+                features: features,
+              },
+              that._loadOptions
+            )
+          : Promise.resolve();
+      return promise.then(function () {
+        if (requestNumber === that._requestCount) {
+          DataSource.setLoading(that, false);
+        }
+        return that;
+      });
+    });
+};
+
+/**
+ * Removes all entities of the data source, so that the features in the current view are requested again.
+ */
+WfsDataSource.prototype.reload = function () {
+  ++this._requestCount;
+  this._featureIds.clear();
+  this.entities.removeAll();
+  this._viewTracker.reset();
+};
+
+/**
+ * Requests the features in the view of the camera after it stopped moving.  This function is called by
+ * {@link DataSourceDisplay} once a frame.
+ *
+ * @param {JulianDate} time The simulation time.
+ * @returns {Boolean} True if this data source is ready to be displayed at the provided time, false otherwise.
+ */
+WfsDataSource.prototype.update = function (time) {
+  const camera = this.camera;
+  if (!this._viewTracker.update(camera, this.refreshDelay)) {
+    return true;
+  }
+
+  let rectangle;
+  if (defined(camera)) {
+    rectangle = camera.computeViewRectangle();
+    if (!defined(rectangle)) {
+      // The camera does not look at the globe
+      return true;
+    }
+  }
+  // Errors are raised by the error event
+  this.loadFeatures(rectangle).catch(function () {});
+  return true;
+};
+
+export default WfsDataSource;
@@ -0,0 +1,939 @@
+import ArcType from "../Core/ArcType.js";
+import BoundingRectangle from "../Core/BoundingRectangle.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Color from "../Core/Color.js";
+import CornerType from "../Core/CornerType.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import DistanceDisplayCondition from "../Core/DistanceDisplayCondition.js";
+import HermitePolynomialApproximation from "../Core/HermitePolynomialApproximation.js";
+import JulianDate from "../Core/JulianDate.js";
+import LagrangePolynomialApproximation from "../Core/LagrangePolynomialApproximation.js";
+import LinearApproximation from "../Core/LinearApproximation.js";
+import NearFarScalar from "../Core/NearFarScalar.js";
+import Quaternion from "../Core/Quaternion.js";
+import Rectangle from "../Core/Rectangle.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import Resource from "../Core/Resource.js";
+import ClassificationType from "../Scene/ClassificationType.js";
+import ColorBlendMode from "../Scene/ColorBlendMode.js";
+import HeightReference from "../Scene/HeightReference.js";
+import HorizontalOrigin from "../Scene/HorizontalOrigin.js";
+import LabelStyle from "../Scene/LabelStyle.js";
+import ShadowMode from "../Scene/ShadowMode.js";
+import VerticalOrigin from "../Scene/VerticalOrigin.js";
+import CompositeMaterialProperty from "./CompositeMaterialProperty.js";
+import ExportSampler from "./ExportSampler.js";
+import SampledPositionProperty from "./SampledPositionProperty.js";
+import SampledProperty from "./SampledProperty.js";
+import StripeOrientation from "./StripeOrientation.js";
+import TimeIntervalCollectionProperty from "./TimeIntervalCollectionProperty.js";
+
+function packIdentity(value) {
+  return value;
+}
+
+function createPackFunction(type) {
+  return function (value) {
+    return type.pack(value, []);
+  };
+}
+
+function packCartesianArray(positions) {
+  return Cartesian3.packArray(positions);
+}
+
+function packUri(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (value instanceof Resource) {
+    return value.url;
+  }
+  if (
+    typeof HTMLCanvasElement !== "undefined" &&
+    value instanceof HTMLCanvasElement
+  ) {
+    return value.toDataURL();
+  }
+  return undefined;
+}
+
+function createEnumType(key, enumeration) {
+  return {
+    key: key,
+    pack: function (value) {
+      for (const name in enumeration) {
+        if (enumeration.hasOwnProperty(name) && enumeration[name] === value) {
+          return name;
+        }
+      }
+      return undefined;
+    },
+  };
+}
+
+// The types of CZML values: the name of the value in CZML packets, how to pack a value and whether
+// the values of the type can be sampled and interpolated.
+const types = {
+  boolean: {
+    key: "boolean",
+    pack: packIdentity,
+    isRaw: true,
+  },
+  number: {
+    key: "number",
+    pack: packIdentity,
+    isRaw: true,
+    interpolatable: true,
+  },
+  string: {
+    key: "string",
+    pack: packIdentity,
+    isRaw: true,
+  },
+  object: {
+    key: "object",
+    pack: packIdentity,
+  },
+  array: {
+    key: "array",
+    pack: packIdentity,
+  },
+  date: {
+    key: "date",
+    pack: JulianDate.toIso8601,
+  },
+  uri: {
+    key: "uri",
+    pack: packUri,
+  },
+  color: {
+    key: "rgbaf",
+    pack: createPackFunction(Color),
+    interpolatable: true,
+  },
+  cartesian2: {
+    key: "cartesian2",
+    pack: createPackFunction(Cartesian2),
+    interpolatable: true,
+  },
+  cartesian3: {
+    key: "cartesian",
+    pack: createPackFunction(Cartesian3),
+    interpolatable: true,
+  },
+  position: {
+    key: "cartesian",
+    pack: createPackFunction(Cartesian3),
+    interpolatable: true,
+    getValue: function (property, time) {
+      return defined(property.getValueInReferenceFrame)
+        ? property.getValueInReferenceFrame(time, ReferenceFrame.FIXED)
+        : property.getValue(time);
+    },
+  },
+  positions: {
+    key: "cartesian",
+    pack: packCartesianArray,
+  },
+  shape: {
+    key: "cartesian2",
+    pack: Cartesian2.packArray,
+  },
+  quaternion: {
+    key: "unitQuaternion",
+    pack: createPackFunction(Quaternion),
+    interpolatable: true,
+  },
+  nearFarScalar: {
+    key: "nearFarScalar",
+    pack: createPackFunction(NearFarScalar),
+    interpolatable: true,
+  },
+  distanceDisplayCondition: {
+    key: "distanceDisplayCondition",
+    pack: createPackFunction(DistanceDisplayCondition),
+    interpolatable: true,
+  },
+  boundingRectangle: {
+    key: "boundingRectangle",
+    pack: createPackFunction(BoundingRectangle),
+    interpolatable: true,
+  },
+  rectangle: {
+    key: "wsen",
+    pack: createPackFunction(Rectangle),
+    interpolatable: true,
+  },
+  arcType: createEnumType("arcType", ArcType),
+  classificationType: createEnumType("classificationType", ClassificationType),
+  colorBlendMode: createEnumType("colorBlendMode", ColorBlendMode),
+  cornerType: createEnumType("cornerType", CornerType),
+  heightReference: createEnumType("heightReference", HeightReference),
+  horizontalOrigin: createEnumType("horizontalOrigin", HorizontalOrigin),
+  labelStyle: createEnumType("labelStyle", LabelStyle),
+  shadowMode: createEnumType("shadowMode", ShadowMode),
+  stripeOrientation: createEnumType("stripeOrientation", StripeOrientation),
+  verticalOrigin: createEnumType("verticalOrigin", VerticalOrigin),
+};
+
+const fillProperties = {
+  fill: "boolean",
+  material: "material",
+  outline: "boolean",
+  outlineColor: "color",
+  outlineWidth: "number",
+  shadows: "shadowMode",
+  distanceDisplayCondition: "distanceDisplayCondition",
+};
+
+// The properties of the graphics, with the CZML name of the graphics and their properties
+const graphicsTypes = {
+  billboard: {
+    show: "boolean",
+    image: "uri",
+    scale: "number",
+    pixelOffset: "cartesian2",
+    eyeOffset: "cartesian3",
+    horizontalOrigin: "horizontalOrigin",
+    verticalOrigin: "verticalOrigin",
+    heightReference: "heightReference",
+    color: "color",
+    rotation: "number",
+    sizeInMeters: "boolean",
+    width: "number",
+    height: "number",
+    scaleByDistance: "nearFarScalar",
+    translucencyByDistance: "nearFarScalar",
+    pixelOffsetScaleByDistance: "nearFarScalar",
+    imageSubRegion: "boundingRectangle",
+    distanceDisplayCondition: "distanceDisplayCondition",
+    disableDepthTestDistance: "number",
+  },
+  box: Object.assign(
+    {
+      show: "boolean",
+      dimensions: "cartesian3",
+      heightReference: "heightReference",
+    },
+    fillProperties
+  ),
+  corridor: Object.assign(
+    {
+      show: "boolean",
+      positions: "positions",
+      width: "number",
+      height: "number",
+      heightReference: "heightReference",
+      extrudedHeight: "number",
+      extrudedHeightReference: "heightReference",
+      cornerType: "cornerType",
+      granularity: "number",
+      classificationType: "classificationType",
+      zIndex: "number",
+    },
+    fillProperties
+  ),
+  cylinder: Object.assign(
+    {
+      show: "boolean",
+      length: "number",
+      topRadius: "number",
+      bottomRadius: "number",
+      heightReference: "heightReference",
+      numberOfVerticalLines: "number",
+      slices: "number",
+    },
+    fillProperties
+  ),
+  ellipse: Object.assign(
+    {
+      show: "boolean",
+      semiMajorAxis: "number",
+      semiMinorAxis: "number",
+      height: "number",
+      heightReference: "heightReference",
+      extrudedHeight: "number",
+      extrudedHeightReference: "heightReference",
+      rotation: "number",
+      stRotation: "number",
+      granularity: "number",
+      numberOfVerticalLines: "number",
+      classificationType: "classificationType",
+      zIndex: "number",
+    },
+    fillProperties
+  ),
+  ellipsoid: Object.assign(
+    {
+      show: "boolean",
+      radii: "cartesian3",
+      innerRadii: "cartesian3",
+      minimumClock: "number",
+      maximumClock: "number",
+      minimumCone: "number",
+      maximumCone: "number",
+      heightReference: "heightReference",
+      stackPartitions: "number",
+      slicePartitions: "number",
+      subdivisions: "number",
+    },
+    fillProperties
+  ),
+  label: {
+    show: "boolean",
+    text: "string",
+    font: "string",
+    style: "labelStyle",
+    scale: "number",
+    showBackground: "boolean",
+    backgroundColor: "color",
+    backgroundPadding: "cartesian2",
+    pixelOffset: "cartesian2",
+    eyeOffset: "cartesian3",
+    horizontalOrigin: "horizontalOrigin",
+    verticalOrigin: "verticalOrigin",
+    heightReference: "heightReference",
+    fillColor: "color",
+    outlineColor: "color",
+    outlineWidth: "number",
+    translucencyByDistance: "nearFarScalar",
+    pixelOffsetScaleByDistance: "nearFarScalar",
+    scaleByDistance: "nearFarScalar",
+    distanceDisplayCondition: "distanceDisplayCondition",
+    disableDepthTestDistance: "number",
+  },
+  model: {
+    show: "boolean",
+    uri: "uri",
+    scale: "number",
+    minimumPixelSize: "number",
+    maximumScale: "number",
+    incrementallyLoadTextures: "boolean",
+    runAnimations: "boolean",
+    clampAnimations: "boolean",
+    shadows: "shadowMode",
+    heightReference: "heightReference",
+    silhouetteColor: "color",
+    silhouetteSize: "number",
+    color: "color",
+    colorBlendMode: "colorBlendMode",
+    colorBlendAmount: "number",
+    distanceDisplayCondition: "distanceDisplayCondition",
+  },
+  path: {
+    show: "boolean",
+    leadTime: "number",
+    trailTime: "number",
+    width: "number",
+    resolution: "number",
+    material: "material",
+    distanceDisplayCondition: "distanceDisplayCondition",
+  },
+  point: {
+    show: "boolean",
+    pixelSize: "number",
+    heightReference: "heightReference",
+    color: "color",
+    outlineColor: "color",
+    outlineWidth: "number",
+    scaleByDistance: "nearFarScalar",
+    translucencyByDistance: "nearFarScalar",
+    distanceDisplayCondition: "distanceDisplayCondition",
+    disableDepthTestDistance: "number",
+  },
+  polygon: Object.assign(
+    {
+      show: "boolean",
+      hierarchy: "hierarchy",
+      height: "number",
+      heightReference: "heightReference",
+      extrudedHeight: "number",
+      extrudedHeightReference: "heightReference",
+      stRotation: "number",
+      granularity: "number",
+      perPositionHeight: "boolean",
+      closeTop: "boolean",
+      closeBottom: "boolean",
+      arcType: "arcType",
+      classificationType: "classificationType",
+      zIndex: "number",
+    },
+    fillProperties
+  ),
+  polyline: {
+    show: "boolean",
+    positions: "positions",
+    width: "number",
+    granularity: "number",
+    material: "material",
+    depthFailMaterial: "material",
+    arcType: "arcType",
+    clampToGround: "boolean",
+    shadows: "shadowMode",
+    distanceDisplayCondition: "distanceDisplayCondition",
+    classificationType: "classificationType",
+    zIndex: "number",
+  },
+  polylineVolume: Object.assign(
+    {
+      show: "boolean",
+      positions: "positions",
+      shape: "shape",
+      cornerType: "cornerType",
+      granularity: "number",
+    },
+    fillProperties
+  ),
+  rectangle: Object.assign(
+    {
+      show: "boolean",
+      coordinates: "rectangle",
+      height: "number",
+      heightReference: "heightReference",
+      extrudedHeight: "number",
+      extrudedHeightReference: "heightReference",
+      rotation: "number",
+      stRotation: "number",
+      granularity: "number",
+      classificationType: "classificationType",
+      zIndex: "number",
+    },
+    fillProperties
+  ),
+  tileset: {
+    show: "boolean",
+    uri: "uri",
+    maximumScreenSpaceError: "number",
+  },
+  wall: Object.assign(
+    {
+      show: "boolean",
+      positions: "positions",
+      minimumHeights: "array",
+      maximumHeights: "array",
+      granularity: "number",
+    },
+    fillProperties
+  ),
+};
+
+// The properties of the materials by type, with the CZML name of the materials
+const materialTypes = {
+  Color: {
+    name: "solidColor",
+    properties: {
+      color: "color",
+    },
+  },
+  Image: {
+    name: "image",
+    properties: {
+      image: "uri",
+      repeat: "cartesian2",
+      color: "color",
+      transparent: "boolean",
+    },
+  },
+  Grid: {
+    name: "grid",
+    properties: {
+      color: "color",
+      cellAlpha: "number",
+      lineCount: "cartesian2",
+      lineThickness: "cartesian2",
+      lineOffset: "cartesian2",
+    },
+  },
+  Stripe: {
+    name: "stripe",
+    properties: {
+      orientation: "stripeOrientation",
+      evenColor: "color",
+      oddColor: "color",
+      offset: "number",
+      repeat: "number",
+    },
+  },
+  Checkerboard: {
+    name: "checkerboard",
+    properties: {
+      evenColor: "color",
+      oddColor: "color",
+      repeat: "cartesian2",
+    },
+  },
+  PolylineOutline: {
+    name: "polylineOutline",
+    properties: {
+      color: "color",
+      outlineColor: "color",
+      outlineWidth: "number",
+    },
+  },
+  PolylineArrow: {
+    name: "polylineArrow",
+    properties: {
+      color: "color",
+    },
+  },
+  PolylineDash: {
+    name: "polylineDash",
+    properties: {
+      color: "color",
+      gapColor: "color",
+      dashLength: "number",
+      dashPattern: "number",
+    },
+  },
+  PolylineGlow: {
+    name: "polylineGlow",
+    properties: {
+      color: "color",
+      glowPower: "number",
+      taperPower: "number",
+    },
+  },
+};
+
+const interpolationAlgorithms = [
+  [HermitePolynomialApproximation, "HERMITE"],
+  [LagrangePolynomialApproximation, "LAGRANGE"],
+  [LinearApproximation, "LINEAR"],
+];
+
+function intervalToString(start, stop) {
+  return `${JulianDate.toIso8601(start)}/${JulianDate.toIso8601(stop)}`;
+}
+
+function getPropertyValue(type, property, time) {
+  return defined(type.getValue)
+    ? type.getValue(property, time)
+    : property.getValue(time);
+}
+
+function packValue(type, value) {
+  const packed = type.pack(value);
+  if (!defined(packed)) {
+    return undefined;
+  }
+  if (type.isRaw) {
+    return packed;
+  }
+  const result = {};
+  result[type.key] = packed;
+  return result;
+}
+
+function writeSamples(state, type, property, interval) {
+  const times = state.sampler.getTimes(property, interval);
+  if (times.length === 0) {
+    return undefined;
+  }
+
+  const epoch = times[0];
+  const values = [];
+  for (let i = 0; i < times.length; ++i) {
+    const value = getPropertyValue(type, property, times[i]);
+    if (defined(value)) {
+      values.push(JulianDate.secondsDifference(times[i], epoch));
+      values.push.apply(values, [].concat(type.pack(value)));
+    }
+  }
+
+  const result = {
+    epoch: JulianDate.toIso8601(epoch),
+  };
+  result[type.key] = values;
+
+  const sampledProperty =
+    property instanceof SampledPositionProperty ? property._property : property;
+  if (sampledProperty instanceof SampledProperty) {
+    const algorithm = interpolationAlgorithms.find(function (entry) {
+      return entry[0] === sampledProperty.interpolationAlgorithm;
+    });
+    if (defined(algorithm)) {
+      result.interpolationAlgorithm = algorithm[1];
+    }
+    result.interpolationDegree = sampledProperty.interpolationDegree;
+  }
+  return result;
+}
+
+function writeIntervals(state, type, property, interval) {
+  // Values that cannot be interpolated are written for the intervals in which they are the same
+  const times = state.sampler.getTimes(property, interval);
+  const intervals = [];
+  let current;
+  for (let i = 0; i < times.length; ++i) {
+    const value = getPropertyValue(type, property, times[i]);
+    const packed = defined(value) ? type.pack(value) : undefined;
+    const key = JSON.stringify(packed);
+    if (defined(current) && current.key === key) {
+      continue;
+    }
+    if (defined(current)) {
+      current.stop = times[i];
+    }
+    current = {
+      key: key,
+      packed: packed,
+      start: times[i],
+      stop: defaultValue(interval, state.sampler.defaultAvailability).stop,
+    };
+    intervals.push(current);
+  }
+
+  const result = [];
+  intervals.forEach(function (valueInterval) {
+    if (!defined(valueInterval.packed)) {
+      return;
+    }
+    const packet = {
+      interval: intervalToString(valueInterval.start, valueInterval.stop),
+    };
+    packet[type.key] = valueInterval.packed;
+    result.push(packet);
+  });
+  return result.length > 0 ? result : undefined;
+}
+
+function writeProperty(state, typeName, property, interval) {
+  if (!defined(property)) {
+    return undefined;
+  }
+  if (typeName === "material") {
+    return writeMaterial(state, property, interval);
+  }
+  const type = types[typeName];
+  if (property.isConstant) {
+    const value = getPropertyValue(type, property, state.sampler.time);
+    return defined(value) ? packValue(type, value) : undefined;
+  }
+
+  if (property instanceof TimeIntervalCollectionProperty) {
+    const result = [];
+    const intervals = property.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const valueInterval = intervals.get(i);
+      const packed = defined(valueInterval.data)
+        ? type.pack(valueInterval.data)
+        : undefined;
+      if (defined(packed)) {
+        const packet = {
+          interval: intervalToString(valueInterval.start, valueInterval.stop),
+        };
+        packet[type.key] = packed;
+        result.push(packet);
+      }
+    }
+    return result.length > 0 ? result : undefined;
+  }
+
+  return type.interpolatable
+    ? writeSamples(state, type, property, interval)
+    : writeIntervals(state, type, property, interval);
+}
+
+function writeMaterialProperties(state, materialProperty, time, interval) {
+  const materialType = materialTypes[materialProperty.getType(time)];
+  if (!defined(materialType)) {
+    return undefined;
+  }
+
+  const material = {};
+  const properties = materialType.properties;
+  for (const name in properties) {
+    if (properties.hasOwnProperty(name)) {
+      const value = writeProperty(
+        state,
+        properties[name],
+        materialProperty[name],
+        interval
+      );
+      if (defined(value)) {
+        material[name] = value;
+      }
+    }
+  }
+
+  const result = {};
+  result[materialType.name] = material;
+  return result;
+}
+
+function writeMaterial(state, materialProperty, interval) {
+  if (!(materialProperty instanceof CompositeMaterialProperty)) {
+    return writeMaterialProperties(
+      state,
+      materialProperty,
+      state.sampler.time,
+      interval
+    );
+  }
+
+  const result = [];
+  const intervals = materialProperty.intervals;
+  for (let i = 0; i < intervals.length; ++i) {
+    const materialInterval = intervals.get(i);
+    const material = writeMaterialProperties(
+      state,
+      materialInterval.data,
+      materialInterval.start,
+      materialInterval
+    );
+    if (defined(material)) {
+      material.interval = intervalToString(
+        materialInterval.start,
+        materialInterval.stop
+      );
+      result.push(material);
+    }
+  }
+  return result.length > 0 ? result : undefined;
+}
+
+function writeHierarchy(state, property, packet) {
+  const hierarchy = property.getValue(state.sampler.time);
+  if (!defined(hierarchy)) {
+    return;
+  }
+
+  // CZML polygons have a single level of holes
+  const positions = Array.isArray(hierarchy) ? hierarchy : hierarchy.positions;
+  packet.positions = {
+    cartesian: packCartesianArray(positions),
+  };
+  const holes = defaultValue(hierarchy.holes, []);
+  if (holes.length > 0) {
+    packet.holes = {
+      cartesian: holes.map(function (hole) {
+        return packCartesianArray(hole.positions);
+      }),
+    };
+  }
+}
+
+function writeGraphics(state, graphics, properties, interval) {
+  const packet = {};
+  for (const name in properties) {
+    if (properties.hasOwnProperty(name)) {
+      const typeName = properties[name];
+      if (typeName === "hierarchy") {
+        if (defined(graphics[name])) {
+          writeHierarchy(state, graphics[name], packet);
+        }
+        continue;
+      }
+
+      const value = writeProperty(state, typeName, graphics[name], interval);
+      if (defined(value)) {
+        packet[name] = value;
+      }
+    }
+  }
+  return packet;
+}
+
+function getCustomPropertyType(value) {
+  if (typeof value === "boolean") {
+    return "boolean";
+  } else if (typeof value === "number") {
+    return "number";
+  } else if (typeof value === "string") {
+    return "string";
+  } else if (value instanceof Color) {
+    return "color";
+  } else if (value instanceof Cartesian2) {
+    return "cartesian2";
+  } else if (value instanceof Cartesian3) {
+    return "cartesian3";
+  } else if (value instanceof Quaternion) {
+    return "quaternion";
+  } else if (value instanceof JulianDate) {
+    return "date";
+  } else if (Array.isArray(value)) {
+    return "array";
+  }
+  return "object";
+}
+
+function writeCustomProperties(state, propertyBag, interval) {
+  const result = {};
+  const propertyNames = propertyBag.propertyNames;
+  for (let i = 0; i < propertyNames.length; ++i) {
+    const name = propertyNames[i];
+    const property = propertyBag[name];
+    if (!defined(property)) {
+      continue;
+    }
+
+    let value = property.getValue(state.sampler.time);
+    if (!defined(value)) {
+      value = property.getValue(
+        defaultValue(interval, state.sampler.defaultAvailability).start
+      );
+    }
+    if (!defined(value)) {
+      continue;
+    }
+
+    const packet = writeProperty(
+      state,
+      getCustomPropertyType(value),
+      property,
+      interval
+    );
+    if (defined(packet)) {
+      result[name] = packet;
+    }
+  }
+  return result;
+}
+
+function createPacket(state, entity) {
+  const interval = state.sampler.getInterval(entity);
+  const packet = {
+    id: entity.id,
+  };
+
+  if (defined(entity.name)) {
+    packet.name = entity.name;
+  }
+  if (defined(entity.parent)) {
+    packet.parent = entity.parent.id;
+  }
+
+  const availability = entity.availability;
+  if (defined(availability) && availability.length > 0) {
+    const intervals = [];
+    for (let i = 0; i < availability.length; ++i) {
+      const availabilityInterval = availability.get(i);
+      intervals.push(
+        intervalToString(availabilityInterval.start, availabilityInterval.stop)
+      );
+    }
+    packet.availability = intervals.length === 1 ? intervals[0] : intervals;
+  }
+
+  const description = writeProperty(
+    state,
+    "string",
+    entity.description,
+    interval
+  );
+  if (defined(description)) {
+    packet.description = description;
+  }
+
+  const entityProperties = {
+    position: "position",
+    orientation: "quaternion",
+    viewFrom: "cartesian3",
+  };
+  for (const name in entityProperties) {
+    if (entityProperties.hasOwnProperty(name)) {
+      const value = writeProperty(
+        state,
+        entityProperties[name],
+        entity[name],
+        interval
+      );
+      if (defined(value)) {
+        packet[name] = value;
+      }
+    }
+  }
+
+  if (defined(entity.properties)) {
+    packet.properties = writeCustomProperties(
+      state,
+      entity.properties,
+      interval
+    );
+  }
+
+  for (const graphicsName in graphicsTypes) {
+    if (
+      graphicsTypes.hasOwnProperty(graphicsName) &&
+      defined(entity[graphicsName])
+    ) {
+      packet[graphicsName] = writeGraphics(
+        state,
+        entity[graphicsName],
+        graphicsTypes[graphicsName],
+        interval
+      );
+    }
+  }
+
+  return packet;
+}
+
+/**
+ * Exports the entities of an EntityCollection as a CZML document, which can be loaded again with
+ * {@link CzmlDataSource}.  The position, orientation, description and custom properties of the entities,
+ * and the properties of their graphics and materials are exported.
+ * <p>
+ * Constant properties are exported with their value.  Time-dynamic properties are sampled over the availability
+ * of their entity: {@link SampledProperty} and {@link SampledPositionProperty} instances at the times of their
+ * samples, and other properties every <code>options.sampleDuration</code> seconds.  The samples of numbers,
+ * positions, colors and other values that can be interpolated are exported as sampled CZML properties, while
+ * other values, such as strings, are exported for the intervals in which they are the same.  Polygon hierarchies
+ * are exported with their values at <code>options.time</code>.
+ * </p>
+ *
+ * @function exportCzml
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {EntityCollection} options.entities The EntityCollection to export as CZML.
+ * @param {String} [options.name] The name of the CZML document.
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] The time of the exported values of properties that are not sampled.
+ * @param {TimeInterval} [options.defaultAvailability=entities.computeAvailability()] The interval that will be sampled if an entity doesn't have an availability.
+ * @param {Number} [options.sampleDuration=60] The number of seconds between samples of time-dynamic properties that are not {@link SampledProperty} instances.
+ * @returns {Object[]} The packets of the CZML document.
+ *
+ * @example
+ * const czml = Cesium.exportCzml({
+ *   entities: viewer.entities,
+ *   name: "Drawings",
+ * });
+ * viewer.dataSources.add(Cesium.CzmlDataSource.load(czml));
+ *
+ * @see exportGeoJson
+ * @see exportKml
+ * @see CzmlDataSource
+ */
+function exportCzml(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const state = {
+    sampler: new ExportSampler(options),
+  };
+
+  const documentPacket = {
+    id: "document",
+    version: "1.0",
+  };
+  if (defined(options.name)) {
+    documentPacket.name = options.name;
+  }
+
+  return [documentPacket].concat(
+    entities.values.map(function (entity) {
+      return createPacket(state, entity);
+    })
+  );
+}
+
+export default exportCzml;
@@ -0,0 +1,386 @@
+import Cartographic from "../Core/Cartographic.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import ExportSampler from "./ExportSampler.js";
+
+const scratchCartographic = new Cartographic();
+const scratchColor = new Color();
+
+function getValue(property, time) {
+  if (!defined(property)) {
+    return undefined;
+  }
+  return defined(property.getValue) ? property.getValue(time) : property;
+}
+
+function getPositionValue(property, time) {
+  return defined(property.getValueInReferenceFrame)
+    ? property.getValueInReferenceFrame(time, ReferenceFrame.FIXED)
+    : property.getValue(time);
+}
+
+function getCoordinates(state, position) {
+  const cartographic = state.ellipsoid.cartesianToCartographic(
+    position,
+    scratchCartographic
+  );
+  if (!defined(cartographic)) {
+    return undefined;
+  }
+  return [
+    CesiumMath.toDegrees(cartographic.longitude),
+    CesiumMath.toDegrees(cartographic.latitude),
+    cartographic.height,
+  ];
+}
+
+function getCoordinatesArray(state, positions) {
+  const coordinates = [];
+  for (let i = 0; i < positions.length; ++i) {
+    const position = getCoordinates(state, positions[i]);
+    if (defined(position)) {
+      coordinates.push(position);
+    }
+  }
+  return coordinates;
+}
+
+function closeRing(coordinates) {
+  const length = coordinates.length;
+  if (length > 0) {
+    const first = coordinates[0];
+    const last = coordinates[length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1] || first[2] !== last[2]) {
+      coordinates.push(first.slice());
+    }
+  }
+  return coordinates;
+}
+
+function addPolygons(state, hierarchy, polygons) {
+  if (!defined(hierarchy)) {
+    return;
+  }
+
+  const rings = [closeRing(getCoordinatesArray(state, hierarchy.positions))];
+  const holes = defaultValue(hierarchy.holes, []);
+  for (let i = 0; i < holes.length; ++i) {
+    rings.push(closeRing(getCoordinatesArray(state, holes[i].positions)));
+
+    // Polygons in holes are islands
+    const islands = defaultValue(holes[i].holes, []);
+    for (let j = 0; j < islands.length; ++j) {
+      addPolygons(state, islands[j], polygons);
+    }
+  }
+  polygons.push(rings);
+}
+
+function createPositionGeometry(state, entity, properties) {
+  const time = state.sampler.time;
+  const positionProperty = entity.position;
+  if (positionProperty.isConstant) {
+    const position = getPositionValue(positionProperty, time);
+    const coordinates = defined(position)
+      ? getCoordinates(state, position)
+      : undefined;
+    return defined(coordinates)
+      ? {
+          type: "Point",
+          coordinates: coordinates,
+        }
+      : undefined;
+  }
+
+  // Time-dynamic positions are sampled into a line, with the times of its coordinates as a property
+  const sampler = state.sampler;
+  const times = sampler.getTimes(positionProperty, sampler.getInterval(entity));
+  const coordinates = [];
+  const coordTimes = [];
+  for (let i = 0; i < times.length; ++i) {
+    const position = getPositionValue(positionProperty, times[i]);
+    const positionCoordinates = defined(position)
+      ? getCoordinates(state, position)
+      : undefined;
+    if (defined(positionCoordinates)) {
+      coordinates.push(positionCoordinates);
+      coordTimes.push(JulianDate.toIso8601(times[i]));
+    }
+  }
+  if (coordinates.length === 0) {
+    return undefined;
+  }
+
+  properties.coordTimes = coordTimes;
+  return coordinates.length === 1
+    ? {
+        type: "Point",
+        coordinates: coordinates[0],
+      }
+    : {
+        type: "LineString",
+        coordinates: coordinates,
+      };
+}
+
+function createGeometries(state, entity, properties) {
+  const time = state.sampler.time;
+  const geometries = [];
+
+  const hasShape =
+    defined(entity.polyline) ||
+    defined(entity.polygon) ||
+    defined(entity.rectangle) ||
+    defined(entity.corridor) ||
+    defined(entity.wall) ||
+    defined(entity.polylineVolume);
+  const hasMarker =
+    defined(entity.billboard) ||
+    defined(entity.point) ||
+    defined(entity.label) ||
+    defined(entity.model);
+  if (defined(entity.position) && (hasMarker || !hasShape)) {
+    const geometry = createPositionGeometry(state, entity, properties);
+    if (defined(geometry)) {
+      geometries.push(geometry);
+    }
+  }
+
+  [entity.polyline, entity.corridor, entity.wall, entity.polylineVolume]
+    .filter(defined)
+    .forEach(function (graphics) {
+      const positions = getValue(graphics.positions, time);
+      if (defined(positions) && positions.length > 0) {
+        geometries.push({
+          type: "LineString",
+          coordinates: getCoordinatesArray(state, positions),
+        });
+      }
+    });
+
+  if (defined(entity.polygon)) {
+    const polygons = [];
+    addPolygons(state, getValue(entity.polygon.hierarchy, time), polygons);
+    if (polygons.length === 1) {
+      geometries.push({
+        type: "Polygon",
+        coordinates: polygons[0],
+      });
+    } else if (polygons.length > 1) {
+      geometries.push({
+        type: "MultiPolygon",
+        coordinates: polygons,
+      });
+    }
+  }
+
+  if (defined(entity.rectangle)) {
+    const rectangle = getValue(entity.rectangle.coordinates, time);
+    if (defined(rectangle)) {
+      const height = defaultValue(getValue(entity.rectangle.height, time), 0.0);
+      const west = CesiumMath.toDegrees(rectangle.west);
+      const south = CesiumMath.toDegrees(rectangle.south);
+      const east = CesiumMath.toDegrees(rectangle.east);
+      const north = CesiumMath.toDegrees(rectangle.north);
+      geometries.push({
+        type: "Polygon",
+        coordinates: [
+          [
+            [west, south, height],
+            [east, south, height],
+            [east, north, height],
+            [west, north, height],
+            [west, south, height],
+          ],
+        ],
+      });
+    }
+  }
+
+  if (geometries.length === 0) {
+    return null;
+  }
+  if (geometries.length === 1) {
+    return geometries[0];
+  }
+  return {
+    type: "GeometryCollection",
+    geometries: geometries,
+  };
+}
+
+function getMaterialColor(materialProperty, time) {
+  const material = getValue(materialProperty, time);
+  if (!defined(material)) {
+    return undefined;
+  }
+  return defaultValue(material.color, material.evenColor);
+}
+
+function setColorStyle(properties, colorName, opacityName, color) {
+  if (!defined(color)) {
+    return;
+  }
+  // Colors of the simplestyle-spec are opaque with a separate opacity
+  const opaqueColor = Color.clone(color, scratchColor);
+  opaqueColor.alpha = 1.0;
+  properties[colorName] = opaqueColor.toCssHexString();
+  if (defined(opacityName)) {
+    properties[opacityName] = color.alpha;
+  }
+}
+
+function addStyleProperties(entity, time, properties) {
+  const pointGraphics = defaultValue(entity.point, entity.billboard);
+  if (defined(pointGraphics)) {
+    setColorStyle(
+      properties,
+      "marker-color",
+      undefined,
+      getValue(pointGraphics.color, time)
+    );
+  }
+
+  const polyline = entity.polyline;
+  if (defined(polyline)) {
+    setColorStyle(
+      properties,
+      "stroke",
+      "stroke-opacity",
+      getMaterialColor(polyline.material, time)
+    );
+    const width = getValue(polyline.width, time);
+    if (defined(width)) {
+      properties["stroke-width"] = width;
+    }
+  }
+
+  const area = defaultValue(entity.polygon, entity.rectangle);
+  if (defined(area)) {
+    setColorStyle(
+      properties,
+      "fill",
+      "fill-opacity",
+      getMaterialColor(area.material, time)
+    );
+    if (!defined(polyline) && getValue(area.outline, time)) {
+      setColorStyle(
+        properties,
+        "stroke",
+        "stroke-opacity",
+        getValue(area.outlineColor, time)
+      );
+      const outlineWidth = getValue(area.outlineWidth, time);
+      if (defined(outlineWidth)) {
+        properties["stroke-width"] = outlineWidth;
+      }
+    }
+  }
+}
+
+function toJsonValue(value) {
+  if (value instanceof JulianDate) {
+    return JulianDate.toIso8601(value);
+  }
+  if (value instanceof Color) {
+    return value.toCssColorString();
+  }
+  return value;
+}
+
+function createFeature(state, entity) {
+  const time = state.sampler.time;
+  const properties = {};
+
+  const propertyBag = entity.properties;
+  if (defined(propertyBag)) {
+    const propertyNames = propertyBag.propertyNames;
+    for (let i = 0; i < propertyNames.length; ++i) {
+      const name = propertyNames[i];
+      properties[name] = toJsonValue(getValue(propertyBag[name], time));
+    }
+  }
+
+  if (defined(entity.name)) {
+    properties.title = entity.name;
+  }
+  // Descriptions generated from the other properties, such as those of GeoJsonDataSource, are not constant
+  const description = entity.description;
+  if (defined(description) && description.isConstant) {
+    properties.description = description.getValue(time);
+  }
+  addStyleProperties(entity, time, properties);
+
+  return {
+    type: "Feature",
+    id: entity.id,
+    properties: properties,
+    geometry: createGeometries(state, entity, properties),
+  };
+}
+
+/**
+ * Exports the entities of an EntityCollection as a GeoJSON feature collection, with a feature for each entity.
+ * The positions of points, billboards, labels and models, and the positions of polylines, polygons, rectangles,
+ * corridors, walls and polyline volumes are exported as geometries, in longitudes and latitudes in degrees and
+ * heights in meters.  The name and description of the entities, the colors and widths of their graphics, following
+ * the {@link https://github.com/mapbox/simplestyle-spec|simplestyle-spec} like {@link GeoJsonDataSource}, and the
+ * values of their custom properties are exported as the properties of the features.
+ * <p>
+ * Since GeoJSON has no notion of time, properties are exported with their values at <code>options.time</code>,
+ * except for time-dynamic positions of points, which are sampled over the availability of the entity and
+ * exported as a line with the ISO 8601 times of its coordinates in a <code>coordTimes</code> property.
+ * </p>
+ *
+ * @function exportGeoJson
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {EntityCollection} options.entities The EntityCollection to export as GeoJSON.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid of the coordinates.
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] The time of the exported values of properties.
+ * @param {TimeInterval} [options.defaultAvailability=entities.computeAvailability()] The interval that will be sampled if an entity doesn't have an availability.
+ * @param {Number} [options.sampleDuration=60] The number of seconds between samples of time-dynamic positions.
+ * @returns {Object} The GeoJSON feature collection.
+ *
+ * @example
+ * const geoJson = Cesium.exportGeoJson({
+ *   entities: dataSource.entities,
+ * });
+ * const blob = new Blob([JSON.stringify(geoJson)], {
+ *   type: "application/geo+json",
+ * });
+ *
+ * @see exportCzml
+ * @see exportKml
+ * @see GeoJsonDataSource
+ */
+function exportGeoJson(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const state = {
+    ellipsoid: defaultValue(options.ellipsoid, Ellipsoid.WGS84),
+    sampler: new ExportSampler(options),
+  };
+
+  return {
+    type: "FeatureCollection",
+    features: entities.values.map(function (entity) {
+      return createFeature(state, entity);
+    }),
+  };
+}
+
+export default exportGeoJson;
@@ -0,0 +1,416 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import defined from "../Core/defined.js";
+import GeographicProjection from "../Core/GeographicProjection.js";
+import CesiumMath from "../Core/Math.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import OgcCapabilitiesUtil from "../Scene/OgcCapabilitiesUtil.js";
+
+const gmlNamespaces = [
+  "http://www.opengis.net/gml/3.2",
+  "http://www.opengis.net/gml",
+];
+
+const getChildElement = OgcCapabilitiesUtil.getChildElement;
+const getChildElements = OgcCapabilitiesUtil.getChildElements;
+
+function isGmlElement(element) {
+  return gmlNamespaces.includes(element.namespaceURI);
+}
+
+function getElementChildren(element) {
+  const result = [];
+  const childNodes = element.childNodes;
+  const length = childNodes.length;
+  for (let i = 0; i < length; ++i) {
+    if (childNodes[i].nodeType === 1) {
+      result.push(childNodes[i]);
+    }
+  }
+  return result;
+}
+
+function getGmlAttribute(element, name) {
+  for (let i = 0; i < gmlNamespaces.length; ++i) {
+    const value = element.getAttributeNS(gmlNamespaces[i], name);
+    if (defined(value) && value !== "") {
+      return value;
+    }
+  }
+  return OgcCapabilitiesUtil.getAttribute(element, `gml:${name}`);
+}
+
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+/**
+ * Creates the function transforming the coordinates of a CRS to longitudes and latitudes in degrees.
+ *
+ * @private
+ */
+function createCoordinateTransform(srsName) {
+  if (OgcCapabilitiesUtil.isCrs84(srsName)) {
+    return function (x, y) {
+      return [x, y];
+    };
+  }
+
+  const projection = OgcCapabilitiesUtil.createProjection(srsName);
+  if (!defined(projection)) {
+    throw new RuntimeError(`Unsupported CRS: ${srsName}`);
+  }
+
+  if (projection instanceof GeographicProjection) {
+    // The EPSG:4326 and http://www.opengis.net/gml/srs/epsg.xml#4326 forms of GML 2 are longitude first
+    const latitudeFirst =
+      OgcCapabilitiesUtil.isNorthingFirst(srsName) &&
+      !/^EPSG:\d+$/i.test(srsName) &&
+      !/epsg\.xml#/i.test(srsName);
+    return function (x, y) {
+      return latitudeFirst ? [y, x] : [x, y];
+    };
+  }
+
+  return function (x, y) {
+    const cartographic = projection.unproject(
+      Cartesian3.fromElements(x, y, 0.0, scratchCartesian),
+      scratchCartographic
+    );
+    return [
+      CesiumMath.toDegrees(cartographic.longitude),
+      CesiumMath.toDegrees(cartographic.latitude),
+    ];
+  };
+}
+
+/**
+ * The CRS and the number of coordinates of each position of the geometries of a feature, inherited by
+ * nested geometries that do not specify them.
+ *
+ * @private
+ */
+function getContext(element, parentContext) {
+  const srsName = OgcCapabilitiesUtil.getAttribute(element, "srsName");
+  const srsDimension = OgcCapabilitiesUtil.getAttribute(
+    element,
+    "srsDimension"
+  );
+  if (!defined(srsName) && !defined(srsDimension)) {
+    return parentContext;
+  }
+  return {
+    srsName: defined(srsName) ? srsName : parentContext.srsName,
+    transform: defined(srsName)
+      ? createCoordinateTransform(srsName)
+      : parentContext.transform,
+    dimension: defined(srsDimension)
+      ? Number(srsDimension)
+      : parentContext.dimension,
+  };
+}
+
+function parsePositions(element, context) {
+  const posList = getChildElement(element, "posList");
+  let values;
+  let dimension = context.dimension;
+  if (defined(posList)) {
+    values = OgcCapabilitiesUtil.parseNumbers(posList.textContent);
+    dimension = getContext(posList, context).dimension;
+  } else {
+    values = [];
+    const positions = getChildElements(element, "pos");
+    if (positions.length > 0) {
+      dimension = OgcCapabilitiesUtil.parseNumbers(positions[0].textContent)
+        .length;
+    }
+    positions.forEach(function (pos) {
+      values.push.apply(
+        values,
+        OgcCapabilitiesUtil.parseNumbers(pos.textContent)
+      );
+    });
+  }
+
+  const transform = context.transform;
+  const result = [];
+  for (let i = 0; i + dimension <= values.length; i += dimension) {
+    const position = transform(values[i], values[i + 1]);
+    if (dimension > 2) {
+      position.push(values[i + 2]);
+    }
+    result.push(position);
+  }
+  return result;
+}
+
+function parseRing(element, context) {
+  const ring = getChildElement(element, "LinearRing");
+  return defined(ring) ? parsePositions(ring, getContext(ring, context)) : [];
+}
+
+function parsePolygonRings(element, context) {
+  const rings = [];
+  const exterior = getChildElement(element, "exterior");
+  if (defined(exterior)) {
+    rings.push(parseRing(exterior, context));
+  }
+  getChildElements(element, "interior").forEach(function (interior) {
+    rings.push(parseRing(interior, context));
+  });
+  return rings;
+}
+
+function getMemberGeometries(element, memberNames, context) {
+  const geometries = [];
+  getElementChildren(element).forEach(function (member) {
+    if (!memberNames.includes(member.localName)) {
+      return;
+    }
+    getElementChildren(member).forEach(function (child) {
+      const geometry = parseGeometry(child, context);
+      if (defined(geometry)) {
+        geometries.push(geometry);
+      }
+    });
+  });
+  return geometries;
+}
+
+function collectCoordinates(geometries, type) {
+  const coordinates = [];
+  geometries.forEach(function (geometry) {
+    if (geometry.type === type) {
+      coordinates.push(geometry.coordinates);
+    } else if (geometry.type === `Multi${type}`) {
+      coordinates.push.apply(coordinates, geometry.coordinates);
+    }
+  });
+  return coordinates;
+}
+
+function parseGeometry(element, parentContext) {
+  if (!isGmlElement(element)) {
+    return undefined;
+  }
+  const context = getContext(element, parentContext);
+
+  switch (element.localName) {
+    case "Point":
+      return {
+        type: "Point",
+        coordinates: parsePositions(element, context)[0],
+      };
+    case "LineString":
+      return {
+        type: "LineString",
+        coordinates: parsePositions(element, context),
+      };
+    case "Curve": {
+      // The segments of curves share their end points
+      const coordinates = [];
+      const segments = getChildElement(element, "segments");
+      if (defined(segments)) {
+        getChildElements(segments, "LineStringSegment").forEach(function (
+          segment
+        ) {
+          const positions = parsePositions(segment, context);
+          coordinates.push.apply(
+            coordinates,
+            coordinates.length > 0 ? positions.slice(1) : positions
+          );
+        });
+      }
+      return {
+        type: "LineString",
+        coordinates: coordinates,
+      };
+    }
+    case "Polygon":
+      return {
+        type: "Polygon",
+        coordinates: parsePolygonRings(element, context),
+      };
+    case "Surface": {
+      const patches = getChildElement(element, "patches");
+      const polygons = defined(patches)
+        ? getChildElements(patches, "PolygonPatch").map(function (patch) {
+            return parsePolygonRings(patch, context);
+          })
+        : [];
+      return polygons.length === 1
+        ? {
+            type: "Polygon",
+            coordinates: polygons[0],
+          }
+        : {
+            type: "MultiPolygon",
+            coordinates: polygons,
+          };
+    }
+    case "MultiPoint":
+      return {
+        type: "MultiPoint",
+        coordinates: collectCoordinates(
+          getMemberGeometries(
+            element,
+            ["pointMember", "pointMembers"],
+            context
+          ),
+          "Point"
+        ),
+      };
+    case "MultiCurve":
+    case "MultiLineString":
+      return {
+        type: "MultiLineString",
+        coordinates: collectCoordinates(
+          getMemberGeometries(
+            element,
+            ["curveMember", "curveMembers", "lineStringMember"],
+            context
+          ),
+          "LineString"
+        ),
+      };
+    case "MultiSurface":
+    case "MultiPolygon":
+      return {
+        type: "MultiPolygon",
+        coordinates: collectCoordinates(
+          getMemberGeometries(
+            element,
+            ["surfaceMember", "surfaceMembers", "polygonMember"],
+            context
+          ),
+          "Polygon"
+        ),
+      };
+    case "MultiGeometry":
+      return {
+        type: "GeometryCollection",
+        geometries: getMemberGeometries(
+          element,
+          ["geometryMember", "geometryMembers"],
+          context
+        ),
+      };
+    default:
+      return undefined;
+  }
+}
+
+function parseFeature(element, context) {
+  const properties = {};
+  let geometry = null;
+
+  getElementChildren(element).forEach(function (child) {
+    // Properties of the GML namespace, such as gml:boundedBy, are not attributes of the feature
+    if (isGmlElement(child)) {
+      return;
+    }
+
+    const children = getElementChildren(child);
+    if (children.length > 0 && isGmlElement(children[0])) {
+      if (geometry === null) {
+        const childGeometry = parseGeometry(children[0], context);
+        if (defined(childGeometry)) {
+          geometry = childGeometry;
+        }
+      }
+      return;
+    }
+
+    const isNil =
+      child.getAttributeNS(
+        "http://www.w3.org/2001/XMLSchema-instance",
+        "nil"
+      ) === "true";
+    properties[child.localName] = isNil ? null : child.textContent.trim();
+  });
+
+  const feature = {
+    type: "Feature",
+    properties: properties,
+    geometry: geometry,
+  };
+  const id = getGmlAttribute(element, "id");
+  if (defined(id)) {
+    feature.id = id;
+  } else {
+    const fid = OgcCapabilitiesUtil.getAttribute(element, "fid");
+    if (defined(fid)) {
+      feature.id = fid;
+    }
+  }
+  return feature;
+}
+
+function collectFeatures(collection, context, features) {
+  getElementChildren(collection).forEach(function (child) {
+    const localName = child.localName;
+    if (
+      localName !== "member" &&
+      localName !== "featureMember" &&
+      localName !== "featureMembers"
+    ) {
+      return;
+    }
+
+    getElementChildren(child).forEach(function (element) {
+      if (element.localName === "FeatureCollection") {
+        // Features of joins and additional objects are in nested collections
+        collectFeatures(element, context, features);
+      } else {
+        features.push(parseFeature(element, context));
+      }
+    });
+  });
+}
+
+/**
+ * Parses the features of a GML 3.2 feature collection, such as the response of a WFS 2.0 GetFeature
+ * request, into a GeoJSON feature collection.  The simple properties of the features become the properties
+ * of the GeoJSON features, and their first geometry property their geometry, in longitudes and latitudes.
+ * Geometries in projected CRSs that {@link MapProjection}s exist for, such as UTM zones, are unprojected.
+ *
+ * @function parseGmlFeatureCollection
+ *
+ * @param {Document} xml The GML document.
+ * @param {String} [defaultSrsName="urn:ogc:def:crs:EPSG::4326"] The CRS of geometries that do not specify one.
+ * @returns {Object} The GeoJSON feature collection.
+ *
+ * @exception {RuntimeError} The document is an exception report.
+ * @exception {RuntimeError} The document is not a feature collection.
+ * @exception {RuntimeError} Unsupported CRS.
+ *
+ * @private
+ */
+function parseGmlFeatureCollection(xml, defaultSrsName) {
+  const root = xml.documentElement;
+  if (root.localName === "ExceptionReport") {
+    throw new RuntimeError(
+      `The server returned an exception: ${root.textContent.trim()}`
+    );
+  }
+  if (root.localName !== "FeatureCollection") {
+    throw new RuntimeError("The document is not a GML feature collection.");
+  }
+
+  const srsName = defined(defaultSrsName)
+    ? defaultSrsName
+    : "urn:ogc:def:crs:EPSG::4326";
+  const context = {
+    srsName: srsName,
+    transform: createCoordinateTransform(srsName),
+    dimension: 2,
+  };
+
+  const features = [];
+  collectFeatures(root, context, features);
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+}
+
+export default parseGmlFeatureCollection;
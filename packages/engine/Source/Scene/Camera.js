@@ -15,6 +15,7 @@ import HeadingPitchRange from "../Core/HeadingPitchRange.js";
 import HeadingPitchRoll from "../Core/HeadingPitchRoll.js";
 import Intersect from "../Core/Intersect.js";
 import IntersectionTests from "../Core/IntersectionTests.js";
+import MapProjection from "../Core/MapProjection.js";
 import CesiumMath from "../Core/Math.js";
 import Matrix3 from "../Core/Matrix3.js";
 import Matrix4 from "../Core/Matrix4.js";
@@ -233,9 +234,7 @@ function Camera(scene) {
   this._modeChanged = true;
   const projection = scene.mapProjection;
   this._projection = projection;
-  this._maxCoord = projection.project(
-    new Cartographic(Math.PI, CesiumMath.PI_OVER_TWO)
-  );
+  this._maxCoord = MapProjection.computeMaximumCoordinate(projection);
   this._max2Dfrustum = undefined;
 
   // set default view
@@ -0,0 +1,138 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+
+/**
+ * A polygon on the globe, such as a building footprint or the outline of an excavation, used by a
+ * {@link ClippingPolygonCollection} to selectively disable rendering of the globe, 3D Tiles and models inside
+ * or outside of it.  The polygon is extruded vertically, so everything above and below it is clipped.
+ * <p>
+ * A clipping polygon is immutable.  To change its shape, remove it from its collection and add a new one.
+ * </p>
+ *
+ * @alias ClippingPolygon
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Cartesian3[]} options.positions The vertices of the polygon, in world coordinates.  The polygon does not need to be closed.  At least three positions are required.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the polygon lies.
+ *
+ * @example
+ * const polygon = new Cesium.ClippingPolygon({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0077, 40.0441,
+ *     -105.0048, 40.0441,
+ *     -105.0048, 40.0427,
+ *     -105.0077, 40.0427
+ *   ])
+ * });
+ *
+ * @see ClippingPolygonCollection
+ */
+function ClippingPolygon(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const positions = options.positions;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.positions.length",
+    positions.length,
+    3
+  );
+  //>>includeEnd('debug');
+
+  this._positions = positions.map(function (position) {
+    return Cartesian3.clone(position);
+  });
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+}
+
+Object.defineProperties(ClippingPolygon.prototype, {
+  /**
+   * Gets the number of vertices of the polygon.
+   *
+   * @memberof ClippingPolygon.prototype
+   * @type {Number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._positions.length;
+    },
+  },
+
+  /**
+   * Gets the vertices of the polygon, in world coordinates.  The array must not be modified.
+   *
+   * @memberof ClippingPolygon.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid on which the polygon lies.
+   *
+   * @memberof ClippingPolygon.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * Duplicates a ClippingPolygon instance.
+ *
+ * @param {ClippingPolygon} polygon The polygon to duplicate.
+ * @returns {ClippingPolygon} A new ClippingPolygon instance.
+ */
+ClippingPolygon.clone = function (polygon) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("polygon", polygon);
+  //>>includeEnd('debug');
+
+  return new ClippingPolygon({
+    positions: polygon.positions,
+    ellipsoid: polygon.ellipsoid,
+  });
+};
+
+/**
+ * Compares the provided ClippingPolygons and returns <code>true</code> if they have the same vertices and
+ * ellipsoid, <code>false</code> otherwise.
+ *
+ * @param {ClippingPolygon} [left] The first polygon.
+ * @param {ClippingPolygon} [right] The second polygon.
+ * @returns {Boolean} <code>true</code> if left and right are equal, <code>false</code> otherwise.
+ */
+ClippingPolygon.equals = function (left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (
+    !defined(left) ||
+    !defined(right) ||
+    left.length !== right.length ||
+    !left.ellipsoid.equals(right.ellipsoid)
+  ) {
+    return false;
+  }
+  for (let i = 0; i < left.length; ++i) {
+    if (!Cartesian3.equals(left.positions[i], right.positions[i])) {
+      return false;
+    }
+  }
+  return true;
+};
+export default ClippingPolygon;
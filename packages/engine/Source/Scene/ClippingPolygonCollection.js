@@ -0,0 +1,671 @@
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import Intersect from "../Core/Intersect.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PixelFormat from "../Core/PixelFormat.js";
+import Rectangle from "../Core/Rectangle.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import Transforms from "../Core/Transforms.js";
+import ContextLimits from "../Renderer/ContextLimits.js";
+import PixelDatatype from "../Renderer/PixelDatatype.js";
+import Sampler from "../Renderer/Sampler.js";
+import Texture from "../Renderer/Texture.js";
+import ClippingPolygon from "./ClippingPolygon.js";
+
+// The margin in radians added around the polygons when testing which globe tiles they touch.  Polygons are extruded
+// from the center of the Earth rather than along the surface normal, so at high altitudes they reach slightly beyond
+// their cartographic extent.
+const rectanglePadding = 1.0e-5;
+
+/**
+ * Specifies a set of clipping polygons. Clipping polygons selectively disable rendering of the globe, a
+ * {@link Cesium3DTileset} or a {@link Model} inside or outside of the specified list of {@link ClippingPolygon}
+ * objects, for example to cut an excavation out of terrain or to show a single building of a photogrammetry tileset.
+ * Unlike a {@link ClippingPlaneCollection}, the polygons do not need to be convex.
+ * <p>
+ * The polygons are extruded vertically, so everything above and below them is clipped.  All the polygons of a
+ * collection must lie within a region smaller than a hemisphere.  Clipping polygons are only applied in 3D, and
+ * require floating point textures; see {@link ClippingPolygonCollection.isSupported}.
+ * </p>
+ *
+ * @alias ClippingPolygonCollection
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {ClippingPolygon[]} [options.polygons=[]] An array of {@link ClippingPolygon} objects used to selectively disable rendering inside or outside of each polygon.
+ * @param {Boolean} [options.enabled=true] Determines whether the clipping polygons are active.
+ * @param {Boolean} [options.inverse=false] If true, a region will be clipped if it is outside of every polygon in the collection. Otherwise, a region will be clipped if it is inside of any polygon.
+ *
+ * @example
+ * const polygon = new Cesium.ClippingPolygon({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0077, 40.0441,
+ *     -105.0048, 40.0441,
+ *     -105.0048, 40.0427,
+ *     -105.0077, 40.0427
+ *   ])
+ * });
+ * // Cut a hole in the terrain
+ * viewer.scene.globe.clippingPolygons = new Cesium.ClippingPolygonCollection({
+ *   polygons: [polygon]
+ * });
+ * // Only show the part of a tileset inside the polygon
+ * tileset.clippingPolygons = new Cesium.ClippingPolygonCollection({
+ *   polygons: [Cesium.ClippingPolygon.clone(polygon)],
+ *   inverse: true
+ * });
+ *
+ * @see ClippingPolygon
+ */
+function ClippingPolygonCollection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._polygons = [];
+
+  /**
+   * If true, clipping will be enabled.
+   *
+   * @type {Boolean}
+   * @default true
+   */
+  this.enabled = defaultValue(options.enabled, true);
+
+  /**
+   * If true, a region will be clipped if it is outside of every polygon in the collection. Otherwise, a region
+   * will be clipped if it is inside of any polygon.
+   *
+   * @type {Boolean}
+   * @default false
+   */
+  this.inverse = defaultValue(options.inverse, false);
+
+  /**
+   * An event triggered when a new clipping polygon is added to the collection.  Event handlers
+   * are passed the new polygon and the index at which it was added.
+   * @type {Event}
+   * @default Event()
+   */
+  this.polygonAdded = new Event();
+
+  /**
+   * An event triggered when a clipping polygon is removed from the collection.  Event handlers
+   * are passed the removed polygon and the index from which it was removed.
+   * @type {Event}
+   * @default Event()
+   */
+  this.polygonRemoved = new Event();
+
+  // If this ClippingPolygonCollection has an owner, only its owner should update or destroy it.
+  // This is because in a Cesium3DTileset multiple models may reference the tileset's ClippingPolygonCollection.
+  this._owner = undefined;
+
+  // The edges of the polygons, projected onto the plane tangent to the ellipsoid at their center
+  this._dirty = true;
+  this._edges = new Float32Array(0);
+  this._edgeCount = 0;
+  this._worldToLocal = Matrix4.clone(Matrix4.IDENTITY);
+  this._earthCenter = new Cartesian3();
+  this._rectangle = undefined;
+
+  this._texture = undefined;
+  this._textureDirty = true;
+
+  const polygons = options.polygons;
+  if (defined(polygons)) {
+    for (let i = 0; i < polygons.length; ++i) {
+      this.add(polygons[i]);
+    }
+  }
+}
+
+Object.defineProperties(ClippingPolygonCollection.prototype, {
+  /**
+   * Returns the number of polygons in this collection.  This is commonly used with
+   * {@link ClippingPolygonCollection#get} to iterate over all the polygons
+   * in the collection.
+   *
+   * @memberof ClippingPolygonCollection.prototype
+   * @type {Number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._polygons.length;
+    },
+  },
+
+  /**
+   * Returns a texture containing the projected edges of the polygons.
+   *
+   * @memberof ClippingPolygonCollection.prototype
+   * @type {Texture}
+   * @readonly
+   * @private
+   */
+  texture: {
+    get: function () {
+      return this._texture;
+    },
+  },
+
+  /**
+   * A reference to the ClippingPolygonCollection's owner, if any.
+   *
+   * @memberof ClippingPolygonCollection.prototype
+   * @readonly
+   * @private
+   */
+  owner: {
+    get: function () {
+      return this._owner;
+    },
+  },
+
+  /**
+   * Returns a Number encapsulating the state for this ClippingPolygonCollection.
+   *
+   * Clipping mode is encoded in the sign of the number, which is just the edge count.
+   * If this value changes, then shader regeneration is necessary.
+   *
+   * @memberof ClippingPolygonCollection.prototype
+   * @returns {Number} A Number that describes the ClippingPolygonCollection's state.
+   * @readonly
+   * @private
+   */
+  clippingPolygonsState: {
+    get: function () {
+      updateEdges(this);
+      return this.inverse ? -this._edgeCount : this._edgeCount;
+    },
+  },
+});
+
+function setDirty(collection) {
+  collection._dirty = true;
+  collection._textureDirty = true;
+}
+
+/**
+ * Adds the specified {@link ClippingPolygon} to the collection.
+ *
+ * @param {ClippingPolygon} polygon The ClippingPolygon to add to the collection.
+ *
+ * @see ClippingPolygonCollection#remove
+ * @see ClippingPolygonCollection#removeAll
+ */
+ClippingPolygonCollection.prototype.add = function (polygon) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("polygon", polygon);
+  //>>includeEnd('debug');
+
+  const index = this._polygons.length;
+  this._polygons.push(polygon);
+  setDirty(this);
+  this.polygonAdded.raiseEvent(polygon, index);
+};
+
+/**
+ * Returns the polygon in the collection at the specified index.  Indices are zero-based
+ * and increase as polygons are added.  Removing a polygon shifts all polygons after
+ * it to the left, changing their indices.
+ *
+ * @param {Number} index The zero-based index of the polygon.
+ * @returns {ClippingPolygon} The ClippingPolygon at the specified index.
+ *
+ * @see ClippingPolygonCollection#length
+ */
+ClippingPolygonCollection.prototype.get = function (index) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  //>>includeEnd('debug');
+
+  return this._polygons[index];
+};
+
+function indexOf(polygons, polygon) {
+  for (let i = 0; i < polygons.length; ++i) {
+    if (ClippingPolygon.equals(polygons[i], polygon)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Checks whether this collection contains a ClippingPolygon equal to the given ClippingPolygon.
+ *
+ * @param {ClippingPolygon} [polygon] The ClippingPolygon to check for.
+ * @returns {Boolean} true if this collection contains the ClippingPolygon, false otherwise.
+ */
+ClippingPolygonCollection.prototype.contains = function (polygon) {
+  return indexOf(this._polygons, polygon) !== -1;
+};
+
+/**
+ * Removes the first occurrence of the given ClippingPolygon from the collection.
+ *
+ * @param {ClippingPolygon} polygon
+ * @returns {Boolean} <code>true</code> if the polygon was removed; <code>false</code> if the polygon was not found in the collection.
+ *
+ * @see ClippingPolygonCollection#add
+ * @see ClippingPolygonCollection#removeAll
+ */
+ClippingPolygonCollection.prototype.remove = function (polygon) {
+  const polygons = this._polygons;
+  const index = indexOf(polygons, polygon);
+  if (index === -1) {
+    return false;
+  }
+
+  polygons.splice(index, 1);
+  setDirty(this);
+  this.polygonRemoved.raiseEvent(polygon, index);
+  return true;
+};
+
+/**
+ * Removes all polygons from the collection.
+ *
+ * @see ClippingPolygonCollection#add
+ * @see ClippingPolygonCollection#remove
+ */
+ClippingPolygonCollection.prototype.removeAll = function () {
+  const polygons = this._polygons;
+  this._polygons = [];
+  setDirty(this);
+  for (let i = 0; i < polygons.length; ++i) {
+    this.polygonRemoved.raiseEvent(polygons[i], i);
+  }
+};
+
+const scratchCenter = new Cartesian3();
+const scratchLocal = new Cartesian3();
+const scratchLocalToWorld = new Matrix4();
+
+function projectPosition(collection, position, result) {
+  // Project the position from the center of the Earth onto the tangent plane, so that the polygons are extruded
+  // along lines through the center of the Earth.  Fragments are projected the same way in the shader.
+  const local = Matrix4.multiplyByPoint(
+    collection._worldToLocal,
+    position,
+    scratchLocal
+  );
+  const earthCenter = collection._earthCenter;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (local.z <= earthCenter.z) {
+    throw new DeveloperError(
+      "The clipping polygons must lie within a region smaller than a hemisphere."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const t = earthCenter.z / (earthCenter.z - local.z);
+  result.x = earthCenter.x + t * (local.x - earthCenter.x);
+  result.y = earthCenter.y + t * (local.y - earthCenter.y);
+  return result;
+}
+
+function getVertices(collection, polygon) {
+  const positions = polygon.positions;
+  let length = positions.length;
+  // Ignore the last position of a closed polygon
+  if (
+    length > 3 &&
+    Cartesian3.equalsEpsilon(positions[0], positions[length - 1], 0.0, 1.0e-7)
+  ) {
+    --length;
+  }
+
+  const vertices = new Array(length);
+  let area = 0.0;
+  for (let i = 0; i < length; ++i) {
+    vertices[i] = projectPosition(collection, positions[i], new Cartesian2());
+    if (i > 0) {
+      area += Cartesian2.cross(vertices[i - 1], vertices[i]);
+    }
+  }
+  area += Cartesian2.cross(vertices[length - 1], vertices[0]);
+
+  // Wind the polygons counter-clockwise, so that the winding number of a point is the number of polygons containing it
+  if (area < 0.0) {
+    vertices.reverse();
+  }
+  return vertices;
+}
+
+function updateEdges(collection) {
+  if (!collection._dirty) {
+    return;
+  }
+  collection._dirty = false;
+
+  const polygons = collection._polygons;
+  let positions = [];
+  for (let i = 0; i < polygons.length; ++i) {
+    positions = positions.concat(polygons[i].positions);
+  }
+
+  if (positions.length === 0) {
+    collection._edges = new Float32Array(0);
+    collection._edgeCount = 0;
+    collection._rectangle = undefined;
+    return;
+  }
+
+  const ellipsoid = polygons[0].ellipsoid;
+  const boundingSphere = BoundingSphere.fromPoints(positions);
+  const center = defaultValue(
+    ellipsoid.scaleToGeodeticSurface(boundingSphere.center, scratchCenter),
+    boundingSphere.center
+  );
+  const localToWorld = Transforms.eastNorthUpToFixedFrame(
+    center,
+    ellipsoid,
+    scratchLocalToWorld
+  );
+  Matrix4.inverseTransformation(localToWorld, collection._worldToLocal);
+  Matrix4.multiplyByPoint(
+    collection._worldToLocal,
+    Cartesian3.ZERO,
+    collection._earthCenter
+  );
+
+  const edges = [];
+  for (let i = 0; i < polygons.length; ++i) {
+    const vertices = getVertices(collection, polygons[i]);
+    for (let j = 0; j < vertices.length; ++j) {
+      const start = vertices[j];
+      const end = vertices[(j + 1) % vertices.length];
+      edges.push(start.x, start.y, end.x, end.y);
+    }
+  }
+  collection._edges = new Float32Array(edges);
+  collection._edgeCount = edges.length / 4;
+
+  const rectangle = Rectangle.fromCartesianArray(
+    positions,
+    ellipsoid,
+    collection._rectangle
+  );
+  if (
+    Rectangle.computeWidth(rectangle) <
+    CesiumMath.TWO_PI - 2.0 * rectanglePadding
+  ) {
+    rectangle.west = CesiumMath.negativePiToPi(
+      rectangle.west - rectanglePadding
+    );
+    rectangle.east = CesiumMath.negativePiToPi(
+      rectangle.east + rectanglePadding
+    );
+  }
+  rectangle.south = Math.max(
+    rectangle.south - rectanglePadding,
+    -CesiumMath.PI_OVER_TWO
+  );
+  rectangle.north = Math.min(
+    rectangle.north + rectanglePadding,
+    CesiumMath.PI_OVER_TWO
+  );
+  collection._rectangle = rectangle;
+}
+
+function computeTextureResolution(pixelsNeeded, result) {
+  const maxSize = ContextLimits.maximumTextureSize;
+  result.x = Math.min(pixelsNeeded, maxSize);
+  result.y = Math.ceil(pixelsNeeded / result.x);
+  return result;
+}
+
+const textureResolutionScratch = new Cartesian2();
+/**
+ * Called when {@link Viewer} or {@link CesiumWidget} render the scene to
+ * build the resources for clipping polygons.
+ * <p>
+ * Do not call this function directly.
+ * </p>
+ *
+ * @exception {RuntimeError} Clipping polygons require floating point textures.
+ */
+ClippingPolygonCollection.prototype.update = function (frameState) {
+  const context = frameState.context;
+  if (!context.floatingPointTexture) {
+    throw new RuntimeError(
+      "Clipping polygons require floating point textures."
+    );
+  }
+
+  updateEdges(this);
+
+  let texture = this._texture;
+  const edgeCount = this._edgeCount;
+  const resolution = computeTextureResolution(
+    edgeCount,
+    textureResolutionScratch
+  );
+  if (
+    defined(texture) &&
+    (texture.width !== resolution.x || texture.height !== resolution.y)
+  ) {
+    texture = this._texture = this._texture.destroy();
+  }
+
+  // If there are no clipping polygons, there's nothing to update.
+  if (edgeCount === 0) {
+    return;
+  }
+
+  if (!defined(texture)) {
+    texture = this._texture = new Texture({
+      context: context,
+      width: resolution.x,
+      height: resolution.y,
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: PixelDatatype.FLOAT,
+      sampler: Sampler.NEAREST,
+      flipY: false,
+    });
+    this._textureDirty = true;
+  }
+
+  if (!this._textureDirty) {
+    return;
+  }
+
+  // Each pixel holds the start and end of an edge
+  const float32View = new Float32Array(texture.width * texture.height * 4);
+  float32View.set(this._edges);
+  texture.copyFrom({
+    source: {
+      width: texture.width,
+      height: texture.height,
+      arrayBufferView: float32View,
+    },
+  });
+  this._textureDirty = false;
+};
+
+const scratchRectangle = new Rectangle();
+const scratchRectangleHalf = new Rectangle();
+
+function intersectsRectangle(rectangle, bounds) {
+  if (bounds.east >= bounds.west) {
+    return defined(Rectangle.intersection(rectangle, bounds, scratchRectangle));
+  }
+
+  // Rectangle.intersection does not handle every case where only one of the rectangles crosses the
+  // anti-meridian, so test each side of the bounds separately.
+  const half = Rectangle.clone(bounds, scratchRectangleHalf);
+  half.east = CesiumMath.PI;
+  if (defined(Rectangle.intersection(rectangle, half, scratchRectangle))) {
+    return true;
+  }
+  half.west = -CesiumMath.PI;
+  half.east = bounds.east;
+  return defined(Rectangle.intersection(rectangle, half, scratchRectangle));
+}
+
+/**
+ * Determines whether the polygons of this ClippingPolygonCollection may affect a rectangle on the globe.
+ * @private
+ *
+ * @param {Rectangle} rectangle The rectangle, in radians.
+ * @returns {Intersect} {@link Intersect.OUTSIDE} if the rectangle is entirely outside of the polygons, or
+ *                      {@link Intersect.INTERSECTING} if it may touch any of them.
+ */
+ClippingPolygonCollection.prototype.computeIntersectionWithRectangle = function (
+  rectangle
+) {
+  updateEdges(this);
+  if (
+    !defined(this._rectangle) ||
+    !intersectsRectangle(rectangle, this._rectangle)
+  ) {
+    return Intersect.OUTSIDE;
+  }
+  return Intersect.INTERSECTING;
+};
+
+/**
+ * Computes the matrix that transforms eye coordinates to the coordinate system in which the edges of the polygons
+ * are projected, for the <code>clipPolygons</code> shader function.
+ * @private
+ *
+ * @param {Matrix4} inverseView The matrix that transforms eye coordinates to world coordinates.
+ * @param {Matrix4} result The object onto which to store the result.
+ * @returns {Matrix4} The modified result parameter.
+ */
+ClippingPolygonCollection.prototype.computeClippingPolygonsMatrix = function (
+  inverseView,
+  result
+) {
+  updateEdges(this);
+  return Matrix4.multiply(this._worldToLocal, inverseView, result);
+};
+
+/**
+ * Gets the position of the center of the Earth in the coordinate system in which the edges of the polygons are
+ * projected, for the <code>clipPolygons</code> shader function.
+ * @private
+ *
+ * @returns {Cartesian3} The position of the center of the Earth.
+ */
+ClippingPolygonCollection.prototype.getEarthCenter = function () {
+  updateEdges(this);
+  return this._earthCenter;
+};
+
+/**
+ * Sets the owner for the input ClippingPolygonCollection if there wasn't another owner.
+ * Destroys the owner's previous ClippingPolygonCollection if setting is successful.
+ *
+ * @param {ClippingPolygonCollection} [clippingPolygonCollection] A ClippingPolygonCollection (or undefined) being attached to an object
+ * @param {Object} owner An Object that should receive the new ClippingPolygonCollection
+ * @param {String} key The Key for the Object to reference the ClippingPolygonCollection
+ * @private
+ */
+ClippingPolygonCollection.setOwner = function (
+  clippingPolygonCollection,
+  owner,
+  key
+) {
+  // Don't destroy the ClippingPolygonCollection if it is already owned by newOwner
+  if (clippingPolygonCollection === owner[key]) {
+    return;
+  }
+  // Destroy the existing ClippingPolygonCollection, if any
+  owner[key] = owner[key] && owner[key].destroy();
+  if (defined(clippingPolygonCollection)) {
+    //>>includeStart('debug', pragmas.debug);
+    if (defined(clippingPolygonCollection._owner)) {
+      throw new DeveloperError(
+        "ClippingPolygonCollection should only be assigned to one object"
+      );
+    }
+    //>>includeEnd('debug');
+    clippingPolygonCollection._owner = owner;
+    owner[key] = clippingPolygonCollection;
+  }
+};
+
+/**
+ * Function for getting the clipping polygon collection's texture resolution.
+ * If the ClippingPolygonCollection hasn't been updated, returns the resolution that will be
+ * allocated based on the current polygons.
+ *
+ * @param {ClippingPolygonCollection} clippingPolygonCollection The clipping polygon collection
+ * @param {Cartesian2} result A Cartesian2 for the result.
+ * @returns {Cartesian2} The required resolution.
+ * @private
+ */
+ClippingPolygonCollection.getTextureResolution = function (
+  clippingPolygonCollection,
+  result
+) {
+  const texture = clippingPolygonCollection.texture;
+  if (defined(texture)) {
+    result.x = texture.width;
+    result.y = texture.height;
+    return result;
+  }
+
+  updateEdges(clippingPolygonCollection);
+  return computeTextureResolution(clippingPolygonCollection._edgeCount, result);
+};
+
+/**
+ * Determines if clipping polygons are supported in a scene, which requires floating point textures.
+ *
+ * @param {Scene} scene The scene.
+ * @returns {Boolean} <code>true</code> if clipping polygons are supported; otherwise, <code>false</code>.
+ */
+ClippingPolygonCollection.isSupported = function (scene) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  //>>includeEnd('debug');
+
+  return scene.context.floatingPointTexture;
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {Boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see ClippingPolygonCollection#destroy
+ */
+ClippingPolygonCollection.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * clippingPolygons = clippingPolygons && clippingPolygons.destroy();
+ *
+ * @see ClippingPolygonCollection#isDestroyed
+ */
+ClippingPolygonCollection.prototype.destroy = function () {
+  this._texture = this._texture && this._texture.destroy();
+  return destroyObject(this);
+};
+export default ClippingPolygonCollection;
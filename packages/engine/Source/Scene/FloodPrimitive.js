@@ -0,0 +1,308 @@
+import buildModuleUrl from "../Core/buildModuleUrl.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PolygonGeometry from "../Core/PolygonGeometry.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Rectangle from "../Core/Rectangle.js";
+import RectangleGeometry from "../Core/RectangleGeometry.js";
+import FloodPrimitiveFS from "../Shaders/FloodPrimitiveFS.js";
+import EllipsoidSurfaceAppearance from "./EllipsoidSurfaceAppearance.js";
+import Material from "./Material.js";
+import Primitive from "./Primitive.js";
+import SceneMode from "./SceneMode.js";
+
+// The largest distances in meters by which the surface is moved from the level of its geometry before the
+// geometry is recreated.  In 3D the surface is moved by its model matrix, which is not supported in other modes.
+const maximumOffset3D = 100.0;
+const maximumOffset2D = 1.0;
+
+function createWaterMaterial() {
+  return Material.fromType(Material.WaterType, {
+    baseWaterColor: new Color(0.2, 0.3, 0.6, 0.8),
+    blendColor: new Color(0.0, 0.5, 0.7, 0.8),
+    normalMap: buildModuleUrl("Assets/Textures/waterNormals.jpg"),
+    frequency: 1000.0,
+    animationSpeed: 0.02,
+    amplitude: 5.0,
+  });
+}
+
+/**
+ * A water surface at a given level over an area, for example to simulate the inundation of a flood.  The water is
+ * drawn as a surface at the water level, so it is hidden by the terrain, 3D Tiles and other primitives that are
+ * above the level and only visible where they are below it.  The water is hidden where the globe is in front of
+ * it even if {@link Globe#depthTestAgainstTerrain} is false, as long as the WebGL context supports depth textures.
+ * <p>
+ * The water level may be a number or a {@link Property}, such as a {@link SampledProperty}, whose value is evaluated
+ * at the time of the scene in each frame, so the water rises and falls as the {@link Clock} is animated or scrubbed.
+ * In 3D the surface is moved along the normal of the ellipsoid at the center of the area while the level changes,
+ * and is only recreated when it moves by more than 100 meters.  In 2D and Columbus view, the surface is recreated
+ * when the level changes by more than a meter.
+ * </p>
+ *
+ * @alias FloodPrimitive
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Cartesian3[]} [options.positions] The vertices of the polygon that bounds the water.  Either positions or a rectangle is required.
+ * @param {Rectangle} [options.rectangle] The rectangle that bounds the water.
+ * @param {Number|Property} options.waterLevel The height of the water surface above the ellipsoid, in meters.
+ * @param {Material} [options.material] The material of the water surface.  Defaults to an animated {@link Material.WaterType} material.
+ * @param {Boolean} [options.show=true] Determines if the water is shown.
+ * @param {Object} [options.id] The object returned when the water is picked.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid above which the water level is measured.
+ *
+ * @exception {DeveloperError} positions or rectangle is required.
+ *
+ * @example
+ * // A flood rising from 10 to 25 meters over six hours
+ * const start = Cesium.JulianDate.fromIso8601("2022-11-01T00:00:00Z");
+ * const waterLevel = new Cesium.SampledProperty(Number);
+ * waterLevel.addSample(start, 10.0);
+ * waterLevel.addSample(Cesium.JulianDate.addHours(start, 6.0, new Cesium.JulianDate()), 25.0);
+ *
+ * viewer.scene.primitives.add(new Cesium.FloodPrimitive({
+ *   rectangle: Cesium.Rectangle.fromDegrees(6.9, 50.9, 7.0, 51.0),
+ *   waterLevel: waterLevel
+ * }));
+ */
+function FloodPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.positions) && !defined(options.rectangle)) {
+    throw new DeveloperError("positions or rectangle is required.");
+  }
+  if (defined(options.positions)) {
+    Check.typeOf.number.greaterThanOrEquals(
+      "options.positions.length",
+      options.positions.length,
+      3
+    );
+  }
+  Check.defined("options.waterLevel", options.waterLevel);
+  //>>includeEnd('debug');
+
+  this._positions = defined(options.positions)
+    ? options.positions.map(function (position) {
+        return Cartesian3.clone(position);
+      })
+    : undefined;
+  this._rectangle = Rectangle.clone(options.rectangle);
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  const bounds = defined(this._rectangle)
+    ? this._rectangle
+    : Rectangle.fromCartesianArray(this._positions, this._ellipsoid);
+  this._normal = this._ellipsoid.geodeticSurfaceNormalCartographic(
+    Rectangle.center(bounds)
+  );
+
+  /**
+   * The height of the water surface above the ellipsoid, in meters.  If it is a {@link Property}, its value is
+   * evaluated at the time of the scene.  Nothing is drawn while the level is undefined.
+   * @type {Number|Property}
+   */
+  this.waterLevel = options.waterLevel;
+
+  /**
+   * The material of the water surface.
+   * @type {Material}
+   */
+  this.material = defined(options.material)
+    ? options.material
+    : createWaterMaterial();
+
+  /**
+   * Determines if the water is shown.
+   * @type {Boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * The object returned when the water is picked.  Changes take effect when the surface is next recreated.
+   * @type {Object}
+   */
+  this.id = options.id;
+
+  this._appearance = undefined;
+  this._primitive = undefined;
+  this._level = undefined;
+}
+
+Object.defineProperties(FloodPrimitive.prototype, {
+  /**
+   * Gets the vertices of the polygon that bounds the water, if the water is bounded by a polygon.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {Cartesian3[]|undefined}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets the rectangle that bounds the water, if the water is bounded by a rectangle.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {Rectangle|undefined}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid above which the water level is measured.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * Gets the water level at a time.
+ *
+ * @param {JulianDate} time The time at which to evaluate the water level, if it is a {@link Property}.
+ * @returns {Number|undefined} The height of the water surface above the ellipsoid, in meters.
+ */
+FloodPrimitive.prototype.getWaterLevel = function (time) {
+  const waterLevel = this.waterLevel;
+  if (!defined(waterLevel) || typeof waterLevel === "number") {
+    return waterLevel;
+  }
+  return waterLevel.getValue(time);
+};
+
+function createGeometry(flood, level) {
+  if (defined(flood._positions)) {
+    return new PolygonGeometry({
+      polygonHierarchy: new PolygonHierarchy(flood._positions),
+      height: level,
+      ellipsoid: flood._ellipsoid,
+      vertexFormat: EllipsoidSurfaceAppearance.VERTEX_FORMAT,
+    });
+  }
+  return new RectangleGeometry({
+    rectangle: flood._rectangle,
+    height: level,
+    ellipsoid: flood._ellipsoid,
+    vertexFormat: EllipsoidSurfaceAppearance.VERTEX_FORMAT,
+  });
+}
+
+const scratchTranslation = new Cartesian3();
+
+/**
+ * Called when {@link Viewer} or {@link CesiumWidget} render the scene to
+ * get the draw commands needed to render this primitive.
+ * <p>
+ * Do not call this function directly.  This is documented just to
+ * list the exceptions that may be propagated when the scene is rendered:
+ * </p>
+ */
+FloodPrimitive.prototype.update = function (frameState) {
+  if (!this.show) {
+    return;
+  }
+
+  const level = this.getWaterLevel(frameState.time);
+  if (!defined(level)) {
+    return;
+  }
+
+  if (!defined(this._appearance)) {
+    // The globe depth texture is only available if the context supports depth textures
+    this._appearance = new EllipsoidSurfaceAppearance({
+      material: this.material,
+      aboveGround: false,
+      fragmentShaderSource: frameState.context.depthTexture
+        ? FloodPrimitiveFS
+        : undefined,
+    });
+  }
+
+  const use3D = frameState.mode === SceneMode.SCENE3D;
+  const maximumOffset = use3D ? maximumOffset3D : maximumOffset2D;
+
+  // The geometry is created synchronously so that the surface follows the level in the same frame
+  if (
+    !defined(this._primitive) ||
+    Math.abs(level - this._level) > maximumOffset
+  ) {
+    this._primitive = this._primitive && this._primitive.destroy();
+    this._primitive = new Primitive({
+      geometryInstances: new GeometryInstance({
+        geometry: createGeometry(this, level),
+        id: this.id,
+      }),
+      appearance: this._appearance,
+      asynchronous: false,
+    });
+    this._level = level;
+  }
+
+  const offset = use3D ? level - this._level : 0.0;
+  Matrix4.fromTranslation(
+    Cartesian3.multiplyByScalar(this._normal, offset, scratchTranslation),
+    this._primitive.modelMatrix
+  );
+
+  this._appearance.material = this.material;
+  this._primitive.update(frameState);
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {Boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see FloodPrimitive#destroy
+ */
+FloodPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * flood = flood && flood.destroy();
+ *
+ * @see FloodPrimitive#isDestroyed
+ */
+FloodPrimitive.prototype.destroy = function () {
+  this._primitive = this._primitive && this._primitive.destroy();
+  return destroyObject(this);
+};
+export default FloodPrimitive;
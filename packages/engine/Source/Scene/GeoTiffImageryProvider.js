@@ -0,0 +1,649 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import GeoTiffReader from "../Core/GeoTiffReader.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import TileProviderError from "../Core/TileProviderError.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+
+// Photometric interpretations
+const WHITE_IS_ZERO = 0;
+const BLACK_IS_ZERO = 1;
+const RGB = 2;
+const PALETTE = 3;
+const YCBCR = 6;
+
+const JPEG = 7;
+
+/**
+ * @typedef {Object} GeoTiffImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the GeoTiffImageryProvider constructor
+ *
+ * @property {Resource|String} url The URL of the GeoTIFF.  The server must support HTTP range requests.
+ * @property {TilingScheme} [tilingScheme] The tiling scheme of the provided tiles.  Defaults to a {@link GeographicTilingScheme}
+ *           for GeoTIFFs in geographic coordinates and to a {@link WebMercatorTilingScheme} for GeoTIFFs in Web Mercator.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {Number} [tileWidth=256] The width of each tile, in pixels.
+ * @property {Number} [tileHeight=256] The height of each tile, in pixels.
+ * @property {Number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.  Take care when specifying
+ *                 this that the number of tiles at the minimum level is small, such as four or less.  A larger number is likely
+ *                 to result in rendering problems.
+ * @property {Number} [maximumLevel] The maximum level-of-detail supported by the imagery provider.  If undefined, it is the
+ *           level whose resolution matches the full resolution image of the GeoTIFF.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the imagery.  If undefined, it is the extent of the GeoTIFF.
+ * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {Number} [maximumCachedBlocks=32] The number of decoded GeoTIFF tiles or strips to keep in memory.
+ */
+
+/**
+ * Provides tiled imagery read directly from a Cloud Optimized GeoTIFF (COG) with HTTP range requests,
+ * without a tile server.  The header of the GeoTIFF is read first, then the overview whose resolution
+ * best matches each requested tile is read, one GeoTIFF tile or strip at a time.  Tiles and strips are
+ * decompressed in a web worker and cached.
+ * <p>
+ * The GeoTIFF must be in geographic coordinates or in Web Mercator, with 8-bit RGB, RGBA, grayscale or
+ * palette pixels.  Tiles and strips may be compressed with deflate, LZW, PackBits or JPEG.  Pixels that are
+ * outside of the GeoTIFF or equal to its no data value are transparent.
+ * </p>
+ *
+ * @alias GeoTiffImageryProvider
+ * @constructor
+ *
+ * @param {GeoTiffImageryProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const provider = new Cesium.GeoTiffImageryProvider({
+ *     url : 'https://data.example.com/orthophoto/2022/cog.tif'
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see SingleTileImageryProvider
+ * @see UrlTemplateImageryProvider
+ * @see {@link https://www.cogeo.org/|Cloud Optimized GeoTIFF}
+ */
+function GeoTiffImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  /**
+   * The default alpha blending value of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the night side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultNightAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the day side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultDayAlpha = undefined;
+
+  /**
+   * The default brightness of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0
+   * makes the imagery darker while greater than 1.0 makes it brighter.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultBrightness = undefined;
+
+  /**
+   * The default contrast of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0 reduces
+   * the contrast while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultContrast = undefined;
+
+  /**
+   * The default hue of this provider in radians. 0.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultHue = undefined;
+
+  /**
+   * The default saturation of this provider. 1.0 uses the unmodified imagery color. Less than 1.0 reduces the
+   * saturation while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultSaturation = undefined;
+
+  /**
+   * The default gamma correction to apply to this provider.  1.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultGamma = undefined;
+
+  /**
+   * The default texture minification filter to apply to this provider.
+   *
+   * @type {TextureMinificationFilter}
+   * @default undefined
+   */
+  this.defaultMinificationFilter = undefined;
+
+  /**
+   * The default texture magnification filter to apply to this provider.
+   *
+   * @type {TextureMagnificationFilter}
+   * @default undefined
+   */
+  this.defaultMagnificationFilter = undefined;
+
+  const ellipsoid = defined(options.tilingScheme)
+    ? options.tilingScheme.ellipsoid
+    : options.ellipsoid;
+  this._reader = new GeoTiffReader({
+    url: options.url,
+    ellipsoid: ellipsoid,
+    maximumCachedBlocks: options.maximumCachedBlocks,
+  });
+
+  this._tilingScheme = options.tilingScheme;
+  this._ellipsoid = ellipsoid;
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._rectangle = options.rectangle;
+
+  this._errorEvent = new Event();
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._ready = false;
+
+  const that = this;
+  const resource = this._reader.resource;
+  this._readyPromise = this._reader.readyPromise
+    .then(function (reader) {
+      initialize(that, reader);
+      that._ready = true;
+      TileProviderError.reportSuccess(that._errorEvent);
+      return true;
+    })
+    .catch(function (e) {
+      const message = `An error occurred while reading the GeoTIFF ${resource.url}: ${e.message}`;
+      TileProviderError.reportError(undefined, that, that._errorEvent, message);
+      return Promise.reject(new RuntimeError(message));
+    });
+}
+
+function initialize(provider, reader) {
+  const image = reader.images[0];
+  const photometricInterpretation = image.photometricInterpretation;
+  const jpeg = image.compression === JPEG;
+  if (
+    image.bitsPerSample !== 8 ||
+    (photometricInterpretation === YCBCR && !jpeg) ||
+    (photometricInterpretation === PALETTE && !defined(image.colorMap)) ||
+    [WHITE_IS_ZERO, BLACK_IS_ZERO, RGB, PALETTE, YCBCR].indexOf(
+      photometricInterpretation
+    ) === -1
+  ) {
+    throw new RuntimeError(
+      "Only 8-bit RGB, grayscale and palette GeoTIFFs are supported."
+    );
+  }
+
+  if (!defined(provider._tilingScheme)) {
+    provider._tilingScheme = reader.isGeographic
+      ? new GeographicTilingScheme({ ellipsoid: provider._ellipsoid })
+      : new WebMercatorTilingScheme({ ellipsoid: provider._ellipsoid });
+  }
+  const tilingScheme = provider._tilingScheme;
+
+  if (!defined(provider._rectangle)) {
+    provider._rectangle = reader.rectangle;
+  }
+  provider._rectangle = defaultValue(
+    Rectangle.intersection(provider._rectangle, tilingScheme.rectangle),
+    tilingScheme.rectangle
+  );
+
+  if (!defined(provider._maximumLevel)) {
+    // The first level whose pixels are as small as the pixels of the full resolution image
+    const levelZeroResolution =
+      tilingScheme.rectangle.width /
+      tilingScheme.getNumberOfXTilesAtLevel(0) /
+      provider._tileWidth;
+    provider._maximumLevel = Math.max(
+      Math.ceil(
+        CesiumMath.log2(levelZeroResolution / image.resolution) -
+          CesiumMath.EPSILON5
+      ),
+      provider._minimumLevel
+    );
+  }
+}
+
+Object.defineProperties(GeoTiffImageryProvider.prototype, {
+  /**
+   * Gets the URL of the GeoTIFF.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {String}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._reader.resource.url;
+    },
+  },
+
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return this._reader.resource.proxy;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels. This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      //>>includeStart('debug', pragmas.debug);
+      if (!this._ready) {
+        throw new DeveloperError(
+          "maximumLevel must not be called before the imagery provider is ready."
+        );
+      }
+      //>>includeEnd('debug');
+
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      //>>includeStart('debug', pragmas.debug);
+      if (!this._ready) {
+        throw new DeveloperError(
+          "tilingScheme must not be called before the imagery provider is ready."
+        );
+      }
+      //>>includeEnd('debug');
+
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      //>>includeStart('debug', pragmas.debug);
+      if (!this._ready) {
+        throw new DeveloperError(
+          "rectangle must not be called before the imagery provider is ready."
+        );
+      }
+      //>>includeEnd('debug');
+
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+   * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+   * returns undefined, no tiles are filtered.  This function should
+   * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider is ready for use.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to true when the provider is ready for use.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Promise.<Boolean>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.  This function should not be called before {@link GeoTiffImageryProvider#ready} returns true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  Pixels outside of the GeoTIFF and pixels with no data are transparent,
+   * so this property is always true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+});
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ *
+ * @exception {DeveloperError} <code>getTileCredits</code> must not be called before the imagery provider is ready.
+ */
+GeoTiffImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+function createImage(provider, raster) {
+  const image = provider._reader.images[0];
+  const photometricInterpretation = image.photometricInterpretation;
+  const colorMap = image.colorMap;
+  const samplesPerPixel = raster.samplesPerPixel;
+  const samples = raster.samples;
+  const valid = raster.valid;
+  const width = raster.width;
+  const height = raster.height;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(width, height);
+  const pixels = imageData.data;
+
+  const pixelCount = width * height;
+  const hasAlpha =
+    samplesPerPixel === 2 ||
+    (samplesPerPixel >= 4 && photometricInterpretation !== PALETTE);
+  const alphaIndex = samplesPerPixel === 2 ? 1 : 3;
+  const colorMapOffset = defined(colorMap) ? colorMap.length / 3 : 0;
+
+  for (let i = 0; i < pixelCount; ++i) {
+    if (valid[i] === 0) {
+      continue;
+    }
+
+    const source = i * samplesPerPixel;
+    const destination = i * 4;
+    const value = samples[source];
+    switch (photometricInterpretation) {
+      case WHITE_IS_ZERO:
+        pixels[destination] = pixels[destination + 1] = pixels[
+          destination + 2
+        ] = 255 - value;
+        break;
+      case BLACK_IS_ZERO:
+        pixels[destination] = pixels[destination + 1] = pixels[
+          destination + 2
+        ] = value;
+        break;
+      case PALETTE:
+        // Color map entries are 16-bit
+        pixels[destination] = colorMap[value] >> 8;
+        pixels[destination + 1] = colorMap[colorMapOffset + value] >> 8;
+        pixels[destination + 2] = colorMap[2 * colorMapOffset + value] >> 8;
+        break;
+      default:
+        // RGB, or YCbCr converted to RGB by the JPEG decoder
+        pixels[destination] = value;
+        pixels[destination + 1] = samples[source + 1];
+        pixels[destination + 2] = samples[source + 2];
+        break;
+    }
+    pixels[destination + 3] = hasAlpha ? samples[source + alphaIndex] : 255;
+  }
+
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+const scratchNorth = new Cartesian3();
+const scratchSouth = new Cartesian3();
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+/**
+ * Requests the image for a given tile.  This function should
+ * not be called before {@link GeoTiffImageryProvider#ready} returns true.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise.<HTMLCanvasElement>|undefined} A promise for the image that will resolve when the GeoTIFF tiles or strips
+ *          covering the tile are loaded and decoded, or undefined if there are too many active requests to the server,
+ *          and the request should be retried later.
+ *
+ * @exception {DeveloperError} <code>requestImage</code> must not be called before the imagery provider is ready.
+ */
+GeoTiffImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!this._ready) {
+    throw new DeveloperError(
+      "requestImage must not be called before the imagery provider is ready."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const reader = this._reader;
+  const tilingScheme = this._tilingScheme;
+  const projection = tilingScheme.projection;
+  const width = this._tileWidth;
+  const height = this._tileHeight;
+
+  const rectangle = tilingScheme.tileXYToRectangle(x, y, level);
+
+  // Both supported projections are separable: the longitude of a pixel only depends on its column
+  // and its latitude only depends on its row.  Longitude is linear in the projected x coordinate.
+  const longitudes = new Float64Array(width);
+  for (let i = 0; i < width; ++i) {
+    longitudes[i] = rectangle.west + ((i + 0.5) / width) * rectangle.width;
+  }
+
+  const north = projection.project(
+    Rectangle.northwest(rectangle, scratchCartographic),
+    scratchNorth
+  ).y;
+  const south = projection.project(
+    Rectangle.southwest(rectangle, scratchCartographic),
+    scratchSouth
+  ).y;
+  const latitudes = new Float64Array(height);
+  const cartesian = scratchCartesian;
+  cartesian.x = 0.0;
+  for (let j = 0; j < height; ++j) {
+    cartesian.y = north - ((j + 0.5) / height) * (north - south);
+    latitudes[j] = projection.unproject(
+      cartesian,
+      scratchCartographic
+    ).latitude;
+  }
+
+  const imageIndex = reader.getImageIndex(rectangle.width / width);
+  const promise = reader.readRaster(
+    imageIndex,
+    reader.computeColumns(imageIndex, longitudes),
+    reader.computeRows(imageIndex, latitudes),
+    request
+  );
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (raster) {
+    return createImage(that, raster);
+  });
+};
+
+/**
+ * Picking features is not currently supported by this imagery provider, so this function simply returns
+ * undefined.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Number} longitude The longitude at which to pick features.
+ * @param {Number} latitude  The latitude at which to pick features.
+ * @return {undefined} Undefined since picking is not supported.
+ */
+GeoTiffImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  return undefined;
+};
+export default GeoTiffImageryProvider;
@@ -15,6 +15,7 @@ import NearFarScalar from "../Core/NearFarScalar.js";
 import Ray from "../Core/Ray.js";
 import Rectangle from "../Core/Rectangle.js";
 import Resource from "../Core/Resource.js";
+import TerrainModificationCollection from "../Core/TerrainModificationCollection.js";
 import ShaderSource from "../Renderer/ShaderSource.js";
 import Texture from "../Renderer/Texture.js";
 import GlobeFS from "../Shaders/GlobeFS.js";
@@ -45,9 +46,11 @@ function Globe(ellipsoid) {
     ellipsoid: ellipsoid,
   });
   const imageryLayerCollection = new ImageryLayerCollection();
+  const terrainModifications = new TerrainModificationCollection();
 
   this._ellipsoid = ellipsoid;
   this._imageryLayerCollection = imageryLayerCollection;
+  this._terrainModifications = terrainModifications;
 
   this._surfaceShaderSet = new GlobeSurfaceShaderSet();
   this._material = undefined;
@@ -57,6 +60,7 @@ function Globe(ellipsoid) {
       terrainProvider: terrainProvider,
       imageryLayers: imageryLayerCollection,
       surfaceShaderSet: this._surfaceShaderSet,
+      terrainModifications: terrainModifications,
     }),
   });
 
@@ -461,6 +465,47 @@ Object.defineProperties(Globe.prototype, {
       this._surface.tileProvider.clippingPlanes = value;
     },
   },
+  /**
+   * A property specifying a {@link ClippingPolygonCollection} used to selectively disable rendering inside or
+   * outside of a list of polygons.
+   *
+   * @memberof Globe.prototype
+   * @type {ClippingPolygonCollection}
+   */
+  clippingPolygons: {
+    get: function () {
+      return this._surface.tileProvider.clippingPolygons;
+    },
+    set: function (value) {
+      this._surface.tileProvider.clippingPolygons = value;
+    },
+  },
+  /**
+   * Gets the collection of {@link TerrainModification} instances that flatten, raise or excavate areas of the
+   * terrain, for example so that the ground does not poke through a design model.  The modifications also
+   * apply to {@link Globe#getHeight}.
+   *
+   * @memberof Globe.prototype
+   * @type {TerrainModificationCollection}
+   * @readonly
+   *
+   * @example
+   * globe.terrainModifications.add(new Cesium.TerrainModification({
+   *   positions: Cesium.Cartesian3.fromDegreesArray([
+   *     -105.0077, 40.0441,
+   *     -105.0048, 40.0441,
+   *     -105.0048, 40.0427,
+   *     -105.0077, 40.0427
+   *   ]),
+   *   type: Cesium.TerrainModificationType.FLATTEN,
+   *   height: 1650.0
+   * }));
+   */
+  terrainModifications: {
+    get: function () {
+      return this._terrainModifications;
+    },
+  },
   /**
    * A property specifying a {@link Rectangle} used to limit globe rendering to a cartographic area.
    * Defaults to the maximum extent of cartographic coordinates.
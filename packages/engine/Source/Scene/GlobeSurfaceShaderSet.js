@@ -3,20 +3,25 @@ import destroyObject from "../Core/destroyObject.js";
 import TerrainQuantization from "../Core/TerrainQuantization.js";
 import ShaderProgram from "../Renderer/ShaderProgram.js";
 import getClippingFunction from "./getClippingFunction.js";
+import getClippingPolygonFunction from "./getClippingPolygonFunction.js";
 import SceneMode from "./SceneMode.js";
 
 function GlobeSurfaceShader(
   numberOfDayTextures,
   flags,
+  variantFlags,
   material,
   shaderProgram,
-  clippingShaderState
+  clippingShaderState,
+  clippingPolygonShaderState
 ) {
   this.numberOfDayTextures = numberOfDayTextures;
   this.flags = flags;
+  this.variantFlags = variantFlags;
   this.material = material;
   this.shaderProgram = shaderProgram;
   this.clippingShaderState = clippingShaderState;
+  this.clippingPolygonShaderState = clippingPolygonShaderState;
 }
 
 /**
@@ -95,6 +100,8 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
   const enableFog = options.enableFog;
   const enableClippingPlanes = options.enableClippingPlanes;
   const clippingPlanes = options.clippingPlanes;
+  const enableClippingPolygons = options.enableClippingPolygons;
+  const clippingPolygons = options.clippingPolygons;
   const clippedByBoundaries = options.clippedByBoundaries;
   const hasImageryLayerCutout = options.hasImageryLayerCutout;
   const colorCorrect = options.colorCorrect;
@@ -116,6 +123,9 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
     quantizationDefine = "QUANTIZATION_BITS12";
   }
 
+  // Vertices have positions in map projections whose meridians and parallels are curved
+  const useProjectedPositions = defined(mesh.positions2D) ? 1 : 0;
+
   let cartographicLimitRectangleFlag = 0;
   let cartographicLimitRectangleDefine = "";
   if (clippedByBoundaries) {
@@ -169,28 +179,48 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       ? clippingPlanes.clippingPlanesState
       : 0;
   }
+  const currentClippingPolygonShaderState = enableClippingPolygons
+    ? clippingPolygons.clippingPolygonsState
+    : 0;
+
+  // The flags use every bit below the sign bit, so further options are keyed separately
+  const variantFlags =
+    useProjectedPositions |
+    ((currentClippingPolygonShaderState !== 0 ? 1 : 0) << 1);
+
   let surfaceShader = surfaceTile.surfaceShader;
   if (
     defined(surfaceShader) &&
     surfaceShader.numberOfDayTextures === numberOfDayTextures &&
     surfaceShader.flags === flags &&
+    surfaceShader.variantFlags === variantFlags &&
     surfaceShader.material === this.material &&
-    surfaceShader.clippingShaderState === currentClippingShaderState
+    surfaceShader.clippingShaderState === currentClippingShaderState &&
+    surfaceShader.clippingPolygonShaderState ===
+      currentClippingPolygonShaderState
   ) {
     return surfaceShader.shaderProgram;
   }
 
-  // New tile, or tile changed number of textures, flags, or clipping planes
-  let shadersByFlags = this._shadersByTexturesFlags[numberOfDayTextures];
+  // New tile, or tile changed number of textures, flags, clipping planes or clipping polygons
+  let shadersByVariantFlags = this._shadersByTexturesFlags[numberOfDayTextures];
+  if (!defined(shadersByVariantFlags)) {
+    shadersByVariantFlags = this._shadersByTexturesFlags[
+      numberOfDayTextures
+    ] = [];
+  }
+  let shadersByFlags = shadersByVariantFlags[variantFlags];
   if (!defined(shadersByFlags)) {
-    shadersByFlags = this._shadersByTexturesFlags[numberOfDayTextures] = [];
+    shadersByFlags = shadersByVariantFlags[variantFlags] = [];
   }
 
   surfaceShader = shadersByFlags[flags];
   if (
     !defined(surfaceShader) ||
     surfaceShader.material !== this.material ||
-    surfaceShader.clippingShaderState !== currentClippingShaderState
+    surfaceShader.clippingShaderState !== currentClippingShaderState ||
+    surfaceShader.clippingPolygonShaderState !==
+      currentClippingPolygonShaderState
   ) {
     // Cache miss - we've never seen this combination of numberOfDayTextures and flags before.
     const vs = this.baseVertexShaderSource.clone();
@@ -202,7 +232,14 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       ); // Need to go before GlobeFS
     }
 
+    if (currentClippingPolygonShaderState !== 0) {
+      fs.sources.unshift(getClippingPolygonFunction(clippingPolygons)); // Need to go before GlobeFS
+    }
+
     vs.defines.push(quantizationDefine);
+    if (useProjectedPositions) {
+      vs.defines.push("PROJECTED_POSITIONS");
+    }
     fs.defines.push(
       `TEXTURE_UNITS ${numberOfDayTextures}`,
       cartographicLimitRectangleDefine,
@@ -292,6 +329,10 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       fs.defines.push("ENABLE_CLIPPING_PLANES");
     }
 
+    if (currentClippingPolygonShaderState !== 0) {
+      fs.defines.push("ENABLE_CLIPPING_POLYGONS");
+    }
+
     if (colorCorrect) {
       fs.defines.push("COLOR_CORRECT");
     }
@@ -375,9 +416,11 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
     surfaceShader = shadersByFlags[flags] = new GlobeSurfaceShader(
       numberOfDayTextures,
       flags,
+      variantFlags,
       this.material,
       shader,
-      currentClippingShaderState
+      currentClippingShaderState,
+      currentClippingPolygonShaderState
     );
   }
 
@@ -385,28 +428,40 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
   return surfaceShader.shaderProgram;
 };
 
-GlobeSurfaceShaderSet.prototype.destroy = function () {
+function destroyShaders(shadersByTexturesFlags) {
   let flags;
   let shader;
 
-  const shadersByTexturesFlags = this._shadersByTexturesFlags;
   for (const textureCount in shadersByTexturesFlags) {
     if (shadersByTexturesFlags.hasOwnProperty(textureCount)) {
-      const shadersByFlags = shadersByTexturesFlags[textureCount];
-      if (!defined(shadersByFlags)) {
+      const shadersByVariantFlags = shadersByTexturesFlags[textureCount];
+      if (!defined(shadersByVariantFlags)) {
         continue;
       }
 
-      for (flags in shadersByFlags) {
-        if (shadersByFlags.hasOwnProperty(flags)) {
-          shader = shadersByFlags[flags];
-          if (defined(shader)) {
-            shader.shaderProgram.destroy();
+      for (const variantFlags in shadersByVariantFlags) {
+        if (shadersByVariantFlags.hasOwnProperty(variantFlags)) {
+          const shadersByFlags = shadersByVariantFlags[variantFlags];
+          if (!defined(shadersByFlags)) {
+            continue;
+          }
+
+          for (flags in shadersByFlags) {
+            if (shadersByFlags.hasOwnProperty(flags)) {
+              shader = shadersByFlags[flags];
+              if (defined(shader)) {
+                shader.shaderProgram.destroy();
+              }
+            }
           }
         }
       }
     }
   }
+}
+
+GlobeSurfaceShaderSet.prototype.destroy = function () {
+  destroyShaders(this._shadersByTexturesFlags);
 
   return destroyObject(this);
 };
@@ -1,12 +1,16 @@
 import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian2 from "../Core/Cartesian2.js";
 import Cartesian3 from "../Core/Cartesian3.js";
 import Cartesian4 from "../Core/Cartesian4.js";
 import Cartographic from "../Core/Cartographic.js";
+import ComponentDatatype from "../Core/ComponentDatatype.js";
 import defined from "../Core/defined.js";
 import IndexDatatype from "../Core/IndexDatatype.js";
 import IntersectionTests from "../Core/IntersectionTests.js";
+import CesiumMath from "../Core/Math.js";
 import PixelFormat from "../Core/PixelFormat.js";
 import Ray from "../Core/Ray.js";
+import Rectangle from "../Core/Rectangle.js";
 import Request from "../Core/Request.js";
 import RequestState from "../Core/RequestState.js";
 import RequestType from "../Core/RequestType.js";
@@ -61,7 +65,9 @@ function GlobeSurfaceTile() {
 
   this.terrainState = TerrainState.UNLOADED;
   this.mesh = undefined;
+  this.unmodifiedMesh = undefined;
   this.fill = undefined;
+  this.isTerrainModified = false;
 
   this.pickBoundingSphere = new BoundingSphere();
 
@@ -211,7 +217,9 @@ GlobeSurfaceTile.prototype.freeResources = function () {
 
   this.terrainState = TerrainState.UNLOADED;
   this.mesh = undefined;
+  this.unmodifiedMesh = undefined;
   this.fill = this.fill && this.fill.destroy();
+  this.isTerrainModified = false;
 
   const imageryList = this.imagery;
   for (let i = 0, len = imageryList.length; i < len; ++i) {
@@ -252,7 +260,8 @@ GlobeSurfaceTile.processStateMachine = function (
   imageryLayerCollection,
   quadtree,
   vertexArraysToDestroy,
-  terrainOnly
+  terrainOnly,
+  terrainModifications
 ) {
   GlobeSurfaceTile.initialize(tile, terrainProvider, imageryLayerCollection);
 
@@ -265,7 +274,8 @@ GlobeSurfaceTile.processStateMachine = function (
       terrainProvider,
       imageryLayerCollection,
       quadtree,
-      vertexArraysToDestroy
+      vertexArraysToDestroy,
+      terrainModifications
     );
   }
 
@@ -489,20 +499,52 @@ GlobeSurfaceTile.prototype.updateExaggeration = function (
     encoding.exaggeration = exaggeration;
     encoding.exaggerationRelativeHeight = exaggerationRelativeHeight;
 
-    // Notify the quadtree that this tile's height has changed
-    if (quadtree !== undefined) {
-      quadtree._tileToUpdateHeights.push(tile);
-      const customData = tile.customData;
-      const customDataLength = customData.length;
-      for (let i = 0; i < customDataLength; i++) {
-        // Restart the level so that a height update is triggered
-        const data = customData[i];
-        data.level = -1;
-      }
-    }
+    updateHeights(tile, quadtree);
   }
 };
 
+/**
+ * Prepares the tile to apply the terrain modifications to its unmodified mesh again when they changed, if
+ * they may affect it.  Tiles whose mesh has not been created yet apply the modifications when it is.
+ *
+ * @param {QuadtreeTile} tile The tile.
+ * @param {TerrainModificationCollection} terrainModifications The terrain modifications.
+ */
+GlobeSurfaceTile.prototype.updateTerrainModifications = function (
+  tile,
+  terrainModifications
+) {
+  if (
+    this.terrainState !== TerrainState.READY ||
+    (!this.isTerrainModified &&
+      !terrainModifications.intersectsRectangle(tile.rectangle))
+  ) {
+    return;
+  }
+
+  // The mesh is not created from the terrain data again, because terrain data such as heightmaps frees its
+  // buffer once the mesh is created.  Keep rendering the current mesh until the new one is created.
+  if (defined(this.unmodifiedMesh)) {
+    this.mesh = this.unmodifiedMesh;
+  }
+  this.terrainState = TerrainState.TRANSFORMED;
+  tile.state = QuadtreeTileLoadState.LOADING;
+};
+
+function updateHeights(tile, quadtree) {
+  // Notify the quadtree that this tile's height has changed
+  if (quadtree !== undefined) {
+    quadtree._tileToUpdateHeights.push(tile);
+    const customData = tile.customData;
+    const customDataLength = customData.length;
+    for (let i = 0; i < customDataLength; i++) {
+      // Restart the level so that a height update is triggered
+      const data = customData[i];
+      data.level = -1;
+    }
+  }
+}
+
 function prepareNewTile(tile, terrainProvider, imageryLayerCollection) {
   let available = terrainProvider.getTileDataAvailable(
     tile.x,
@@ -544,7 +586,8 @@ function processTerrainStateMachine(
   terrainProvider,
   imageryLayerCollection,
   quadtree,
-  vertexArraysToDestroy
+  vertexArraysToDestroy,
+  terrainModifications
 ) {
   const surfaceTile = tile.data;
 
@@ -567,7 +610,8 @@ function processTerrainStateMachine(
         imageryLayerCollection,
         quadtree,
         vertexArraysToDestroy,
-        true
+        true,
+        terrainModifications
       );
     }
   }
@@ -606,16 +650,23 @@ function processTerrainStateMachine(
   }
 
   if (surfaceTile.terrainState === TerrainState.TRANSFORMED) {
+    const wasTerrainReady = defined(surfaceTile.vertexArray);
     createResources(
       surfaceTile,
-      frameState.context,
+      frameState,
       terrainProvider,
       tile.x,
       tile.y,
       tile.level,
-      vertexArraysToDestroy
+      vertexArraysToDestroy,
+      terrainModifications
     );
 
+    // The mesh of a tile that was already rendered is rebuilt when the terrain modifications change
+    if (wasTerrainReady) {
+      updateHeights(tile, quadtree);
+    }
+
     // Update the tile's exaggeration in case the globe's exaggeration changed while the tile was being processed
     surfaceTile.updateExaggeration(tile, frameState, quadtree);
   }
@@ -812,6 +863,19 @@ GlobeSurfaceTile._createVertexArrayForMesh = function (context, mesh) {
   });
   const attributes = mesh.encoding.getAttributes(buffer);
 
+  if (defined(mesh.positions2D)) {
+    attributes.push({
+      index: mesh.encoding.getAttributeLocations().position2D,
+      vertexBuffer: Buffer.createVertexBuffer({
+        context: context,
+        typedArray: mesh.positions2D,
+        usage: BufferUsage.STATIC_DRAW,
+      }),
+      componentDatatype: ComponentDatatype.FLOAT,
+      componentsPerAttribute: 2,
+    });
+  }
+
   const indexBuffers = mesh.indices.indexBuffers || {};
   let indexBuffer = indexBuffers[context.id];
   if (!defined(indexBuffer) || indexBuffer.isDestroyed()) {
@@ -837,6 +901,93 @@ GlobeSurfaceTile._createVertexArrayForMesh = function (context, mesh) {
   });
 };
 
+const scratchCenterCartographic = new Cartographic();
+const scratchProjectedCenter = new Cartesian3();
+const scratchVertexTextureCoordinates = new Cartesian2();
+const scratchVertexCartographic = new Cartographic();
+const scratchVertexProjected = new Cartesian3();
+
+function clampToProjectionRectangle(projection, cartographic) {
+  const rectangle = projection.rectangle;
+  const halfWidth = Rectangle.computeWidth(rectangle) * 0.5;
+  const centerLongitude = rectangle.west + halfWidth;
+  const longitude = CesiumMath.negativePiToPi(
+    cartographic.longitude - centerLongitude
+  );
+  cartographic.longitude =
+    centerLongitude + CesiumMath.clamp(longitude, -halfWidth, halfWidth);
+  cartographic.latitude = CesiumMath.clamp(
+    cartographic.latitude,
+    rectangle.south,
+    rectangle.north
+  );
+  return cartographic;
+}
+
+/**
+ * Projects the center of a tile, clamped to the rectangle of a map projection whose meridians and parallels
+ * are curved.  The projected positions of the vertices of the tile are relative to it.
+ *
+ * @private
+ */
+GlobeSurfaceTile._computeProjectedCenter = function (
+  rectangle,
+  projection,
+  result
+) {
+  const center = clampToProjectionRectangle(
+    projection,
+    Rectangle.center(rectangle, scratchCenterCartographic)
+  );
+  return projection.project(center, result);
+};
+
+/**
+ * Projects the vertices of a mesh in a map projection whose meridians and parallels are curved, so
+ * that the edges of the tile follow the meridians and parallels in 2D and Columbus view.  Vertices outside
+ * of the rectangle of the projection are clamped to its edges.  Returns undefined for other projections,
+ * whose positions are interpolated over the projected tile rectangle in the vertex shader instead.
+ *
+ * @private
+ */
+GlobeSurfaceTile._computePositions2D = function (mesh, rectangle, projection) {
+  if (!defined(projection) || projection.isNormalCylindrical !== false) {
+    return undefined;
+  }
+
+  const encoding = mesh.encoding;
+  const vertices = mesh.vertices;
+  const vertexCount = vertices.length / mesh.stride;
+  const positions2D = new Float32Array(vertexCount * 2);
+
+  const center = GlobeSurfaceTile._computeProjectedCenter(
+    rectangle,
+    projection,
+    scratchProjectedCenter
+  );
+  const width = Rectangle.computeWidth(rectangle);
+  const height = rectangle.north - rectangle.south;
+
+  for (let i = 0; i < vertexCount; ++i) {
+    const uv = encoding.decodeTextureCoordinates(
+      vertices,
+      i,
+      scratchVertexTextureCoordinates
+    );
+    const cartographic = scratchVertexCartographic;
+    cartographic.longitude = rectangle.west + uv.x * width;
+    cartographic.latitude = rectangle.south + uv.y * height;
+    cartographic.height = 0.0;
+    clampToProjectionRectangle(projection, cartographic);
+
+    const projected = projection.project(cartographic, scratchVertexProjected);
+    positions2D[i * 2] = projected.x - center.x;
+    positions2D[i * 2 + 1] = projected.y - center.y;
+  }
+
+  return positions2D;
+};
+
 GlobeSurfaceTile._freeVertexArray = function (vertexArray) {
   if (defined(vertexArray)) {
     const indexBuffer = vertexArray.indexBuffer;
@@ -858,18 +1009,57 @@ GlobeSurfaceTile._freeVertexArray = function (vertexArray) {
   }
 };
 
+const scratchTileRectangle = new Rectangle();
+
 function createResources(
   surfaceTile,
-  context,
+  frameState,
   terrainProvider,
   x,
   y,
   level,
-  vertexArraysToDestroy
+  vertexArraysToDestroy,
+  terrainModifications
 ) {
+  const tilingScheme = terrainProvider.tilingScheme;
+  const rectangle = tilingScheme.tileXYToRectangle(
+    x,
+    y,
+    level,
+    scratchTileRectangle
+  );
+
+  let mesh = surfaceTile.mesh;
+  surfaceTile.unmodifiedMesh = undefined;
+  surfaceTile.isTerrainModified = false;
+  if (defined(terrainModifications) && terrainModifications.length > 0) {
+    mesh = terrainModifications.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+    // The unmodified mesh is kept so that the modifications can be applied to it again when they change
+    surfaceTile.isTerrainModified = mesh !== surfaceTile.mesh;
+    if (surfaceTile.isTerrainModified) {
+      surfaceTile.unmodifiedMesh = surfaceTile.mesh;
+    }
+    surfaceTile.mesh = mesh;
+  }
+
+  mesh.positions2D = GlobeSurfaceTile._computePositions2D(
+    mesh,
+    rectangle,
+    frameState.mapProjection
+  );
+
+  // Free the vertex array of the mesh that is rebuilt when the terrain modifications change
+  if (defined(surfaceTile.vertexArray)) {
+    vertexArraysToDestroy.push(surfaceTile.vertexArray);
+  }
+
   surfaceTile.vertexArray = GlobeSurfaceTile._createVertexArrayForMesh(
-    context,
-    surfaceTile.mesh
+    frameState.context,
+    mesh
   );
   surfaceTile.terrainState = TerrainState.READY;
   surfaceTile.fill =
@@ -26,6 +26,7 @@ import PrimitiveType from "../Core/PrimitiveType.js";
 import Rectangle from "../Core/Rectangle.js";
 import SphereOutlineGeometry from "../Core/SphereOutlineGeometry.js";
 import TerrainExaggeration from "../Core/TerrainExaggeration.js";
+import TerrainModificationCollection from "../Core/TerrainModificationCollection.js";
 import TerrainQuantization from "../Core/TerrainQuantization.js";
 import Visibility from "../Core/Visibility.js";
 import WebMercatorProjection from "../Core/WebMercatorProjection.js";
@@ -38,6 +39,7 @@ import RenderState from "../Renderer/RenderState.js";
 import VertexArray from "../Renderer/VertexArray.js";
 import BlendingState from "./BlendingState.js";
 import ClippingPlaneCollection from "./ClippingPlaneCollection.js";
+import ClippingPolygonCollection from "./ClippingPolygonCollection.js";
 import DepthFunction from "./DepthFunction.js";
 import GlobeSurfaceTile from "./GlobeSurfaceTile.js";
 import ImageryLayer from "./ImageryLayer.js";
@@ -118,6 +120,11 @@ function GlobeSurfaceTileProvider(options) {
   this._terrainProvider = options.terrainProvider;
   this._imageryLayers = options.imageryLayers;
   this._surfaceShaderSet = options.surfaceShaderSet;
+  this._terrainModifications = defaultValue(
+    options.terrainModifications,
+    new TerrainModificationCollection()
+  );
+  this._terrainModificationsVersion = this._terrainModifications.version;
 
   this._renderState = undefined;
   this._blendRenderState = undefined;
@@ -169,6 +176,13 @@ function GlobeSurfaceTileProvider(options) {
    */
   this._clippingPlanes = undefined;
 
+  /**
+   * A property specifying a {@link ClippingPolygonCollection} used to selectively disable rendering inside or outside of a list of polygons.
+   * @type {ClippingPolygonCollection}
+   * @private
+   */
+  this._clippingPolygons = undefined;
+
   /**
    * A property specifying a {@link Rectangle} used to selectively limit terrain and imagery rendering.
    * @type {Rectangle}
@@ -321,6 +335,33 @@ Object.defineProperties(GlobeSurfaceTileProvider.prototype, {
       ClippingPlaneCollection.setOwner(value, this, "_clippingPlanes");
     },
   },
+  /**
+   * The {@link ClippingPolygonCollection} used to selectively disable rendering the globe.
+   *
+   * @type {ClippingPolygonCollection}
+   *
+   * @private
+   */
+  clippingPolygons: {
+    get: function () {
+      return this._clippingPolygons;
+    },
+    set: function (value) {
+      ClippingPolygonCollection.setOwner(value, this, "_clippingPolygons");
+    },
+  },
+
+  /**
+   * Gets the modifications applied to the heights of the terrain.
+   * @memberof GlobeSurfaceTileProvider.prototype
+   * @type {TerrainModificationCollection}
+   * @readonly
+   */
+  terrainModifications: {
+    get: function () {
+      return this._terrainModifications;
+    },
+  },
 });
 
 function sortTileImageryByLayerIndex(a, b) {
@@ -410,6 +451,18 @@ GlobeSurfaceTileProvider.prototype.beginUpdate = function (frameState) {
   if (defined(clippingPlanes) && clippingPlanes.enabled) {
     clippingPlanes.update(frameState);
   }
+  // update clipping polygons
+  if (isClippingPolygonsEnabled(this, frameState)) {
+    this._clippingPolygons.update(frameState);
+  }
+  // rebuild the meshes of the tiles affected by changes to the terrain modifications
+  const terrainModifications = this._terrainModifications;
+  if (terrainModifications.version !== this._terrainModificationsVersion) {
+    this._terrainModificationsVersion = terrainModifications.version;
+    this._quadtree.forEachLoadedTile(function (tile) {
+      tile.data.updateTerrainModifications(tile, terrainModifications);
+    });
+  }
   this._usedDrawCommands = 0;
 
   this._hasLoadedTilesThisFrame = false;
@@ -607,7 +660,8 @@ GlobeSurfaceTileProvider.prototype.loadTile = function (frameState, tile) {
     this._imageryLayers,
     this.quadtree,
     this._vertexArraysToDestroy,
-    terrainOnly
+    terrainOnly,
+    this._terrainModifications
   );
 
   surfaceTile = tile.data;
@@ -629,7 +683,8 @@ GlobeSurfaceTileProvider.prototype.loadTile = function (frameState, tile) {
         this._imageryLayers,
         this.quadtree,
         this._vertexArraysToDestroy,
-        terrainOnly
+        terrainOnly,
+        this._terrainModifications
       );
     }
   }
@@ -658,6 +713,44 @@ function clipRectangleAntimeridian(tileRectangle, cartographicLimitRectangle) {
   return splitRectangle;
 }
 
+const limitRectangleScratch = new Rectangle();
+const projectionLimitRectangleScratch = new Rectangle();
+
+// In 2D and Columbus view, the map of a projection whose meridians and parallels are curved
+// only shows the rectangle of the projection, so the tiles are also limited to it.
+function getCartographicLimitRectangle(tileProvider, tile, frameState) {
+  const limitRectangle = clipRectangleAntimeridian(
+    tile.rectangle,
+    tileProvider.cartographicLimitRectangle
+  );
+  const projection = frameState.mapProjection;
+  const mode = frameState.mode;
+  if (
+    (mode !== SceneMode.SCENE2D && mode !== SceneMode.COLUMBUS_VIEW) ||
+    projection.isNormalCylindrical !== false
+  ) {
+    return limitRectangle;
+  }
+
+  Rectangle.clone(limitRectangle, limitRectangleScratch);
+  return Rectangle.simpleIntersection(
+    limitRectangleScratch,
+    clipRectangleAntimeridian(tile.rectangle, projection.rectangle),
+    projectionLimitRectangleScratch
+  );
+}
+
+function isClippingPolygonsEnabled(tileProvider, frameState) {
+  // Clipping polygons are defined in world coordinates, so they are only applied in 3D
+  const clippingPolygons = tileProvider._clippingPolygons;
+  return (
+    defined(clippingPolygons) &&
+    clippingPolygons.enabled &&
+    clippingPolygons.length > 0 &&
+    frameState.mode === SceneMode.SCENE3D
+  );
+}
+
 function isUndergroundVisible(tileProvider, frameState) {
   if (frameState.cameraUnderground) {
     return true;
@@ -676,6 +769,10 @@ function isUndergroundVisible(tileProvider, frameState) {
     return true;
   }
 
+  if (isClippingPolygonsEnabled(tileProvider, frameState)) {
+    return true;
+  }
+
   if (
     !Rectangle.equals(
       tileProvider.cartographicLimitRectangle,
@@ -735,10 +832,14 @@ GlobeSurfaceTileProvider.prototype.computeTileVisibility = function (
 
   // Check if the tile is outside the limit area in cartographic space
   surfaceTile.clippedByBoundaries = false;
-  const clippedCartographicLimitRectangle = clipRectangleAntimeridian(
-    tile.rectangle,
-    this.cartographicLimitRectangle
+  const clippedCartographicLimitRectangle = getCartographicLimitRectangle(
+    this,
+    tile,
+    frameState
   );
+  if (!defined(clippedCartographicLimitRectangle)) {
+    return Visibility.NONE;
+  }
   const areaLimitIntersection = Rectangle.simpleIntersection(
     clippedCartographicLimitRectangle,
     tile.rectangle,
@@ -794,6 +895,19 @@ GlobeSurfaceTileProvider.prototype.computeTileVisibility = function (
     }
   }
 
+  tile.isClippedByPolygons = false;
+  if (isClippingPolygonsEnabled(this, frameState)) {
+    const clippingPolygons = this._clippingPolygons;
+    const polygonIntersection = clippingPolygons.computeIntersectionWithRectangle(
+      tile.rectangle
+    );
+    tile.isClippedByPolygons = polygonIntersection !== Intersect.OUTSIDE;
+    // Tiles outside of all polygons are entirely clipped when the polygons are inverted
+    if (polygonIntersection === Intersect.OUTSIDE && clippingPolygons.inverse) {
+      return Visibility.NONE;
+    }
+  }
+
   let visibility;
   const intersection = cullingVolume.computeVisibility(boundingVolume);
 
@@ -1383,6 +1497,8 @@ GlobeSurfaceTileProvider.prototype.isDestroyed = function () {
 GlobeSurfaceTileProvider.prototype.destroy = function () {
   this._tileProvider = this._tileProvider && this._tileProvider.destroy();
   this._clippingPlanes = this._clippingPlanes && this._clippingPlanes.destroy();
+  this._clippingPolygons =
+    this._clippingPolygons && this._clippingPolygons.destroy();
 
   return destroyObject(this);
 };
@@ -1587,6 +1703,7 @@ GlobeSurfaceTileProvider.prototype._onLayerShownOrHidden = function (
 
 const scratchClippingPlanesMatrix = new Matrix4();
 const scratchInverseTransposeClippingPlanesMatrix = new Matrix4();
+const scratchClippingPolygonsMatrix = new Matrix4();
 function createTileUniformMap(frameState, globeSurfaceTileProvider) {
   const uniformMap = {
     u_initialColor: function () {
@@ -1753,6 +1870,30 @@ function createTileUniformMap(frameState, globeSurfaceTileProvider) {
         scratchInverseTransposeClippingPlanesMatrix
       );
     },
+    u_clippingPolygons: function () {
+      const clippingPolygons = globeSurfaceTileProvider._clippingPolygons;
+      if (defined(clippingPolygons) && defined(clippingPolygons.texture)) {
+        // Check in case clippingPolygons hasn't been updated yet.
+        return clippingPolygons.texture;
+      }
+      return frameState.context.defaultTexture;
+    },
+    u_clippingPolygonsMatrix: function () {
+      const clippingPolygons = globeSurfaceTileProvider._clippingPolygons;
+      if (!defined(clippingPolygons)) {
+        return Matrix4.IDENTITY;
+      }
+      return clippingPolygons.computeClippingPolygonsMatrix(
+        frameState.context.uniformState.inverseView,
+        scratchClippingPolygonsMatrix
+      );
+    },
+    u_clippingPolygonsEarthCenter: function () {
+      const clippingPolygons = globeSurfaceTileProvider._clippingPolygons;
+      return defined(clippingPolygons)
+        ? clippingPolygons.getEarthCenter()
+        : Cartesian3.ZERO;
+    },
     u_clippingPlanesEdgeStyle: function () {
       const style = this.properties.clippingPlanesEdgeColor;
       style.alpha = this.properties.clippingPlanesEdgeWidth;
@@ -2038,6 +2179,8 @@ const surfaceShaderSetOptionsScratch = {
   enableFog: undefined,
   enableClippingPlanes: undefined,
   clippingPlanes: undefined,
+  enableClippingPolygons: undefined,
+  clippingPolygons: undefined,
   clippedByBoundaries: undefined,
   hasImageryLayerCutout: undefined,
   colorCorrect: undefined,
@@ -2164,6 +2307,9 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
   ) {
     --maxTextures;
   }
+  if (isClippingPolygonsEnabled(tileProvider, frameState)) {
+    --maxTextures;
+  }
 
   maxTextures -= globeTranslucencyState.numberOfTextureUniforms;
 
@@ -2191,19 +2337,32 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
 
   if (frameState.mode !== SceneMode.SCENE3D) {
     const projection = frameState.mapProjection;
-    const southwest = projection.project(
-      Rectangle.southwest(tile.rectangle),
-      southwestScratch
-    );
-    const northeast = projection.project(
-      Rectangle.northeast(tile.rectangle),
-      northeastScratch
-    );
+    if (defined(mesh.positions2D)) {
+      // The projected positions of the vertices are relative to the projected center of the tile.
+      const center = GlobeSurfaceTile._computeProjectedCenter(
+        tile.rectangle,
+        projection,
+        southwestScratch
+      );
+      tileRectangle.x = center.x;
+      tileRectangle.y = center.y;
+      tileRectangle.z = center.x;
+      tileRectangle.w = center.y;
+    } else {
+      const southwest = projection.project(
+        Rectangle.southwest(tile.rectangle),
+        southwestScratch
+      );
+      const northeast = projection.project(
+        Rectangle.northeast(tile.rectangle),
+        northeastScratch
+      );
 
-    tileRectangle.x = southwest.x;
-    tileRectangle.y = southwest.y;
-    tileRectangle.z = northeast.x;
-    tileRectangle.w = northeast.y;
+      tileRectangle.x = southwest.x;
+      tileRectangle.y = southwest.y;
+      tileRectangle.z = northeast.x;
+      tileRectangle.w = northeast.y;
+    }
 
     // In 2D and Columbus View, use the center of the tile for RTC rendering.
     if (frameState.mode !== SceneMode.MORPHING) {
@@ -2442,9 +2601,9 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
 
     // Convert tile limiter rectangle from cartographic to texture space using the tileRectangle.
     const localizedCartographicLimitRectangle = localizedCartographicLimitRectangleScratch;
-    const cartographicLimitRectangle = clipRectangleAntimeridian(
-      tile.rectangle,
-      tileProvider.cartographicLimitRectangle
+    const cartographicLimitRectangle = defaultValue(
+      getCartographicLimitRectangle(tileProvider, tile, frameState),
+      tile.rectangle
     );
 
     const localizedTranslucencyRectangle = localizedTranslucencyRectangleScratch;
@@ -2721,6 +2880,12 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
       uniformMapProperties.clippingPlanesEdgeWidth = clippingPlanes.edgeWidth;
     }
 
+    // update clipping polygons
+    const clippingPolygons = tileProvider._clippingPolygons;
+    const clippingPolygonsEnabled =
+      isClippingPolygonsEnabled(tileProvider, frameState) &&
+      tile.isClippedByPolygons;
+
     surfaceShaderSetOptions.numberOfDayTextures = numberOfDayTextures;
     surfaceShaderSetOptions.applyBrightness = applyBrightness;
     surfaceShaderSetOptions.applyContrast = applyContrast;
@@ -2733,6 +2898,8 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
     surfaceShaderSetOptions.enableFog = applyFog;
     surfaceShaderSetOptions.enableClippingPlanes = clippingPlanesEnabled;
     surfaceShaderSetOptions.clippingPlanes = clippingPlanes;
+    surfaceShaderSetOptions.enableClippingPolygons = clippingPolygonsEnabled;
+    surfaceShaderSetOptions.clippingPolygons = clippingPolygons;
     surfaceShaderSetOptions.hasImageryLayerCutout = applyCutout;
     surfaceShaderSetOptions.colorCorrect = colorCorrect;
     surfaceShaderSetOptions.highlightFillTile = highlightFillTile;
@@ -0,0 +1,983 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import CesiumMath from "../Core/Math.js";
+import Mgrs from "../Core/Mgrs.js";
+import Rectangle from "../Core/Rectangle.js";
+import UtmCoordinate from "../Core/UtmCoordinate.js";
+import GraticuleType from "./GraticuleType.js";
+
+const defaultColor = new Color(1.0, 1.0, 1.0, 0.7);
+
+// The intervals, in degrees, from which the spacing of meridians and parallels is chosen
+const geographicIntervals = [
+  90.0,
+  45.0,
+  30.0,
+  15.0,
+  10.0,
+  5.0,
+  2.0,
+  1.0,
+  0.5,
+  0.2,
+  0.1,
+  0.05,
+  0.02,
+  0.01,
+  0.005,
+  0.002,
+  0.001,
+  0.0005,
+  0.0002,
+  0.0001,
+];
+
+// The spacings, in meters, of the lines of the UTM grid
+const utmIntervals = [100000.0, 10000.0, 1000.0];
+
+const latitudeBands = "CDEFGHJKLMNPQRSTUVWX";
+
+const polarCells = [
+  { band: "A", west: -180.0, east: 0.0, south: -90.0, north: -80.0 },
+  { band: "B", west: 0.0, east: 180.0, south: -90.0, north: -80.0 },
+  { band: "Y", west: -180.0, east: 0.0, south: 84.0, north: 90.0 },
+  { band: "Z", west: 0.0, east: 180.0, south: 84.0, north: 90.0 },
+];
+
+// The number of segments of each line of constant easting or northing in a tile
+const lineSegments = 16;
+
+const scratchCartographic = new Cartographic();
+const scratchCartesian = new Cartesian3();
+const scratchUtmCoordinate = new UtmCoordinate();
+
+/**
+ * @typedef {Object} GraticuleImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the GraticuleImageryProvider constructor
+ *
+ * @property {GraticuleType} [type=GraticuleType.GEOGRAPHIC] The lines to draw.
+ * @property {TilingScheme} [tilingScheme=new GeographicTilingScheme()] The tiling scheme for which to draw tiles.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {Color} [color=Color(1.0, 1.0, 1.0, 0.7)] The color of the lines.
+ * @property {Number} [lineWidth=1.0] The width of the finest lines, in pixels.  Coarser lines and the boundaries of
+ *                    the MGRS grid zones are drawn wider.
+ * @property {Number} [minimumLineSpacing=64.0] The minimum spacing of the lines, in pixels of a tile.  The spacing of
+ *                    the lines is the smallest interval that is at least this far apart at the level of the tile.
+ * @property {Boolean} [showLabels=true] Determines if the lines are labeled.
+ * @property {String} [font="12px sans-serif"] The CSS font of the labels.
+ * @property {Color} [labelColor=Color.WHITE] The fill color of the labels.
+ * @property {Color} [labelOutlineColor=Color.BLACK] The outline color of the labels.
+ * @property {Number} [tileWidth=256] The width of the tiles, in pixels.
+ * @property {Number} [tileHeight=256] The height of the tiles, in pixels.
+ */
+
+/**
+ * An {@link ImageryProvider} that draws a graticule of labeled lines, either meridians and parallels at an interval
+ * that adapts to the zoom level, or the grid of the Military Grid Reference System (MGRS).  In the MGRS mode, the
+ * grid zones are always drawn, and the 100 km squares and the 10 km and 1 km lines of the UTM grid are added as
+ * they become far enough apart.  The squares and lines are drawn in the UTM zones between 80°S and 84°N; the polar
+ * zones are only outlined.
+ *
+ * @alias GraticuleImageryProvider
+ * @constructor
+ *
+ * @param {GraticuleImageryProvider.ConstructorOptions} [options] Object describing initialization options
+ *
+ * @example
+ * // Meridians and parallels
+ * viewer.imageryLayers.addImageryProvider(new Cesium.GraticuleImageryProvider());
+ *
+ * @example
+ * // The MGRS grid in yellow
+ * viewer.imageryLayers.addImageryProvider(new Cesium.GraticuleImageryProvider({
+ *   type: Cesium.GraticuleType.MGRS,
+ *   color: Cesium.Color.YELLOW
+ * }));
+ *
+ * @see GridImageryProvider
+ * @see Mgrs
+ */
+function GraticuleImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  /**
+   * The default alpha blending value of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the night side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultNightAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the day side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultDayAlpha = undefined;
+
+  /**
+   * The default brightness of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0
+   * makes the imagery darker while greater than 1.0 makes it brighter.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultBrightness = undefined;
+
+  /**
+   * The default contrast of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0 reduces
+   * the contrast while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultContrast = undefined;
+
+  /**
+   * The default hue of this provider in radians. 0.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultHue = undefined;
+
+  /**
+   * The default saturation of this provider. 1.0 uses the unmodified imagery color. Less than 1.0 reduces the
+   * saturation while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultSaturation = undefined;
+
+  /**
+   * The default gamma correction to apply to this provider.  1.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultGamma = undefined;
+
+  /**
+   * The default texture minification filter to apply to this provider.
+   *
+   * @type {TextureMinificationFilter}
+   * @default undefined
+   */
+  this.defaultMinificationFilter = undefined;
+
+  /**
+   * The default texture magnification filter to apply to this provider.
+   *
+   * @type {TextureMagnificationFilter}
+   * @default undefined
+   */
+  this.defaultMagnificationFilter = undefined;
+
+  this._type = defaultValue(options.type, GraticuleType.GEOGRAPHIC);
+  this._tilingScheme = defined(options.tilingScheme)
+    ? options.tilingScheme
+    : new GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+
+  this._color = Color.clone(defaultValue(options.color, defaultColor));
+  this._lineWidth = defaultValue(options.lineWidth, 1.0);
+  this._minimumLineSpacing = defaultValue(options.minimumLineSpacing, 64.0);
+  this._showLabels = defaultValue(options.showLabels, true);
+  this._font = defaultValue(options.font, "12px sans-serif");
+  this._labelColor = Color.clone(defaultValue(options.labelColor, Color.WHITE));
+  this._labelOutlineColor = Color.clone(
+    defaultValue(options.labelOutlineColor, Color.BLACK)
+  );
+
+  this._errorEvent = new Event();
+  this._readyPromise = Promise.resolve(true);
+}
+
+Object.defineProperties(GraticuleImageryProvider.prototype, {
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._tilingScheme.rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+   * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+   * returns undefined, no tiles are filtered.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider is ready for use.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to true when the provider is ready for use.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Promise.<Boolean>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  The graticule is drawn on a transparent background, so this property is always true.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * Gets the lines drawn by this provider.
+   * @memberof GraticuleImageryProvider.prototype
+   * @type {GraticuleType}
+   * @readonly
+   */
+  type: {
+    get: function () {
+      return this._type;
+    },
+  },
+});
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+GraticuleImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * Requests the image for a given tile.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise.<HTMLCanvasElement>} The resolved image as a Canvas DOM object.
+ */
+GraticuleImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const canvas = document.createElement("canvas");
+  canvas.width = this._tileWidth;
+  canvas.height = this._tileHeight;
+  this._drawTile(canvas.getContext("2d"), x, y, level);
+  return Promise.resolve(canvas);
+};
+
+/**
+ * Picking features is not currently supported by this imagery provider, so this function simply returns
+ * undefined.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Number} longitude The longitude at which to pick features.
+ * @param {Number} latitude  The latitude at which to pick features.
+ * @return {undefined} Undefined since picking is not supported.
+ */
+GraticuleImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  return undefined;
+};
+
+/**
+ * Draws the graticule of a tile into a 2D canvas context.
+ *
+ * @private
+ */
+GraticuleImageryProvider.prototype._drawTile = function (context, x, y, level) {
+  const tilingScheme = this._tilingScheme;
+  const rectangle = tilingScheme.tileXYToRectangle(x, y, level);
+  const tile = {
+    west: CesiumMath.toDegrees(rectangle.west),
+    south: CesiumMath.toDegrees(rectangle.south),
+    east: CesiumMath.toDegrees(rectangle.east),
+    north: CesiumMath.toDegrees(rectangle.north),
+    nativeRectangle: projectRectangle(tilingScheme.projection, rectangle),
+    projection: tilingScheme.projection,
+    width: this._tileWidth,
+    height: this._tileHeight,
+    // The spacing is chosen with the size of the pixels at the equator, so that it is the same in all tiles of a level
+    metersPerPixel:
+      (rectangle.width * tilingScheme.ellipsoid.maximumRadius) /
+      this._tileWidth,
+    labels: [],
+  };
+
+  context.strokeStyle = this._color.toCssColorString();
+  context.lineWidth = this._lineWidth;
+  context.lineJoin = "round";
+
+  if (this._type === GraticuleType.MGRS) {
+    drawMgrs(this, context, tile);
+  } else {
+    drawGeographic(this, context, tile);
+  }
+
+  if (this._showLabels) {
+    drawLabels(this, context, tile.labels);
+  }
+};
+
+// The native rectangle of a geographic tiling scheme is in degrees rather than in the units of its projection
+function projectRectangle(projection, rectangle) {
+  const southwest = projection.project(
+    Rectangle.southwest(rectangle, scratchCartographic),
+    scratchCartesian
+  );
+  const west = southwest.x;
+  const south = southwest.y;
+  const northeast = projection.project(
+    Rectangle.northeast(rectangle, scratchCartographic),
+    scratchCartesian
+  );
+  return new Rectangle(west, south, northeast.x, northeast.y);
+}
+
+function toPixelX(tile, longitude, latitude) {
+  scratchCartographic.longitude = CesiumMath.toRadians(longitude);
+  scratchCartographic.latitude = CesiumMath.toRadians(latitude);
+  scratchCartographic.height = 0.0;
+  const projected = tile.projection.project(
+    scratchCartographic,
+    scratchCartesian
+  );
+  const nativeRectangle = tile.nativeRectangle;
+  return (
+    ((projected.x - nativeRectangle.west) / nativeRectangle.width) * tile.width
+  );
+}
+
+function toPixelY(tile, longitude, latitude) {
+  scratchCartographic.longitude = CesiumMath.toRadians(longitude);
+  scratchCartographic.latitude = CesiumMath.toRadians(latitude);
+  scratchCartographic.height = 0.0;
+  const projected = tile.projection.project(
+    scratchCartographic,
+    scratchCartesian
+  );
+  const nativeRectangle = tile.nativeRectangle;
+  return (
+    ((nativeRectangle.north - projected.y) / nativeRectangle.height) *
+    tile.height
+  );
+}
+
+function addLabel(tile, text, x, y, textAlign, textBaseline) {
+  tile.labels.push({
+    text: text,
+    x: x,
+    y: y,
+    textAlign: textAlign,
+    textBaseline: textBaseline,
+  });
+}
+
+function drawLabels(provider, context, labels) {
+  context.font = provider._font;
+  context.fillStyle = provider._labelColor.toCssColorString();
+  context.strokeStyle = provider._labelOutlineColor.toCssColorString();
+  context.lineWidth = 3.0;
+  for (let i = 0; i < labels.length; ++i) {
+    const label = labels[i];
+    context.textAlign = label.textAlign;
+    context.textBaseline = label.textBaseline;
+    context.strokeText(label.text, label.x, label.y);
+    context.fillText(label.text, label.x, label.y);
+  }
+}
+
+/**
+ * Gets the spacing, in degrees, of the meridians and parallels of a tile.
+ *
+ * @private
+ */
+GraticuleImageryProvider.prototype._getGeographicInterval = function (
+  metersPerPixel
+) {
+  const metersPerDegree = CesiumMath.toRadians(
+    this._tilingScheme.ellipsoid.maximumRadius
+  );
+  let interval = geographicIntervals[0];
+  for (let i = 1; i < geographicIntervals.length; ++i) {
+    const spacing = (geographicIntervals[i] * metersPerDegree) / metersPerPixel;
+    if (spacing < this._minimumLineSpacing) {
+      break;
+    }
+    interval = geographicIntervals[i];
+  }
+  return interval;
+};
+
+function formatAngle(degrees, decimals, positive, negative) {
+  const text = Math.abs(degrees).toFixed(decimals);
+  if (Number(text) === 0.0 || Number(text) === 180.0) {
+    return `${text}°`;
+  }
+  return `${text}°${degrees > 0.0 ? positive : negative}`;
+}
+
+function drawGeographic(provider, context, tile) {
+  const interval = provider._getGeographicInterval(tile.metersPerPixel);
+  const decimals = Math.max(0, Math.ceil(-Math.log10(interval) - 1.0e-9));
+
+  context.beginPath();
+
+  // Multiples of the interval are counted with integers to avoid accumulating rounding errors
+  const firstMeridian = Math.ceil(tile.west / interval - CesiumMath.EPSILON10);
+  const lastMeridian = Math.floor(tile.east / interval + CesiumMath.EPSILON10);
+  for (let i = firstMeridian; i <= lastMeridian; ++i) {
+    const longitude = i * interval;
+    const x = toPixelX(tile, longitude, 0.0);
+    context.moveTo(x, 0.0);
+    context.lineTo(x, tile.height);
+    addLabel(
+      tile,
+      formatAngle(longitude, decimals, "E", "W"),
+      x + 3.0,
+      3.0,
+      "left",
+      "top"
+    );
+  }
+
+  const firstParallel = Math.ceil(tile.south / interval - CesiumMath.EPSILON10);
+  const lastParallel = Math.floor(tile.north / interval + CesiumMath.EPSILON10);
+  for (let i = firstParallel; i <= lastParallel; ++i) {
+    const latitude = i * interval;
+    const y = toPixelY(tile, tile.west, latitude);
+    context.moveTo(0.0, y);
+    context.lineTo(tile.width, y);
+    addLabel(
+      tile,
+      formatAngle(latitude, decimals, "N", "S"),
+      3.0,
+      y - 3.0,
+      "left",
+      "bottom"
+    );
+  }
+
+  context.stroke();
+}
+
+/**
+ * Gets the UTM grid zones of a latitude band, with the widened zones around Norway and Svalbard.
+ *
+ * @private
+ */
+GraticuleImageryProvider._getGridZones = function (bandIndex) {
+  const band = latitudeBands[bandIndex];
+  const south = -80.0 + bandIndex * 8.0;
+  const north = bandIndex === 19 ? 84.0 : south + 8.0;
+
+  const cells = [];
+  for (let zone = 1; zone <= 60; ++zone) {
+    let west = -180.0 + (zone - 1) * 6.0;
+    let east = west + 6.0;
+    if (band === "V" && zone === 31) {
+      east = 3.0;
+    } else if (band === "V" && zone === 32) {
+      west = 3.0;
+    } else if (band === "X" && zone >= 31 && zone <= 37) {
+      if (zone % 2 === 0) {
+        continue;
+      }
+      west = zone === 31 ? 0.0 : (zone - 33) * 6.0 + 9.0;
+      east = zone === 31 ? 9.0 : zone === 37 ? 42.0 : west + 12.0;
+    }
+    cells.push({
+      zone: zone,
+      band: band,
+      west: west,
+      east: east,
+      south: south,
+      north: north,
+    });
+  }
+  return cells;
+};
+
+function intersects(cell, tile) {
+  return (
+    cell.west < tile.east &&
+    cell.east > tile.west &&
+    cell.south < tile.north &&
+    cell.north > tile.south
+  );
+}
+
+function toUtm(cell, longitude, latitude, ellipsoid) {
+  scratchCartographic.longitude = CesiumMath.toRadians(longitude);
+  scratchCartographic.latitude = CesiumMath.toRadians(latitude);
+  scratchCartographic.height = 0.0;
+  const utm = UtmCoordinate.fromCartographic(
+    scratchCartographic,
+    {
+      zone: cell.zone,
+      ellipsoid: ellipsoid,
+    },
+    scratchUtmCoordinate
+  );
+  // The northern edge of the southern bands at the equator is in the northern hemisphere
+  if (cell.band < "N" && !UtmCoordinate.isSouthernHemisphere(utm)) {
+    utm.northing += 10000000.0;
+  }
+  return utm;
+}
+
+function fromUtm(cell, easting, northing, ellipsoid) {
+  scratchUtmCoordinate.zone = cell.zone;
+  scratchUtmCoordinate.band = cell.band;
+  scratchUtmCoordinate.easting = easting;
+  scratchUtmCoordinate.northing = northing;
+  const cartographic = UtmCoordinate.toCartographic(
+    scratchUtmCoordinate,
+    ellipsoid,
+    scratchCartographic
+  );
+
+  // Keep the longitude continuous across the antimeridian in zones 1 and 60
+  const centralMeridian = CesiumMath.toRadians(cell.zone * 6.0 - 183.0);
+  cartographic.longitude =
+    centralMeridian +
+    CesiumMath.negativePiToPi(cartographic.longitude - centralMeridian);
+  return cartographic;
+}
+
+function getLinePixels(tile, cell, ellipsoid, eastings, northings) {
+  const pixels = new Array(eastings.length * 2);
+  for (let i = 0; i < eastings.length; ++i) {
+    const cartographic = fromUtm(cell, eastings[i], northings[i], ellipsoid);
+    const longitude = CesiumMath.toDegrees(cartographic.longitude);
+    const latitude = CesiumMath.toDegrees(cartographic.latitude);
+    pixels[i * 2] = toPixelX(tile, longitude, latitude);
+    pixels[i * 2 + 1] = toPixelY(tile, longitude, latitude);
+  }
+  return pixels;
+}
+
+function strokeLine(context, pixels) {
+  context.moveTo(pixels[0], pixels[1]);
+  for (let i = 2; i < pixels.length; i += 2) {
+    context.lineTo(pixels[i], pixels[i + 1]);
+  }
+}
+
+// Finds where a line crosses a vertical (axis 0) or horizontal (axis 1) line of pixels
+function findCrossing(pixels, axis, value) {
+  for (let i = 0; i < pixels.length - 2; i += 2) {
+    const a = pixels[i + axis] - value;
+    const b = pixels[i + 2 + axis] - value;
+    if (a === b || a * b > 0.0) {
+      continue;
+    }
+    const t = a / (a - b);
+    const other = 1 - axis;
+    return pixels[i + other] + t * (pixels[i + 2 + other] - pixels[i + other]);
+  }
+  return undefined;
+}
+
+function drawUtmLines(provider, context, tile, cell, intervals, clip) {
+  const ellipsoid = provider._tilingScheme.ellipsoid;
+
+  // The range of eastings and northings of the part of the cell in the tile
+  const west = Math.max(cell.west, tile.west);
+  const east = Math.min(cell.east, tile.east);
+  const south = Math.max(cell.south, tile.south);
+  const north = Math.min(cell.north, tile.north);
+  let minimumEasting = Number.POSITIVE_INFINITY;
+  let maximumEasting = Number.NEGATIVE_INFINITY;
+  let minimumNorthing = Number.POSITIVE_INFINITY;
+  let maximumNorthing = Number.NEGATIVE_INFINITY;
+  for (let j = 0; j <= 4; ++j) {
+    for (let i = 0; i <= 4; ++i) {
+      const utm = toUtm(
+        cell,
+        west + ((east - west) * i) / 4.0,
+        south + ((north - south) * j) / 4.0,
+        ellipsoid
+      );
+      minimumEasting = Math.min(minimumEasting, utm.easting);
+      maximumEasting = Math.max(maximumEasting, utm.easting);
+      minimumNorthing = Math.min(minimumNorthing, utm.northing);
+      maximumNorthing = Math.max(maximumNorthing, utm.northing);
+    }
+  }
+
+  const finest = intervals[intervals.length - 1];
+  const eastings = new Array(lineSegments + 1);
+  const northings = new Array(lineSegments + 1);
+
+  for (let k = intervals.length - 1; k >= 0; --k) {
+    const interval = intervals[k];
+    const isFinest = interval === finest;
+    // The lines extend one interval beyond the range so that they reach the edges of the curved cell
+    const firstEasting = Math.floor(minimumEasting / interval) * interval;
+    const lastEasting = Math.ceil(maximumEasting / interval) * interval;
+    const firstNorthing = Math.floor(minimumNorthing / interval) * interval;
+    const lastNorthing = Math.ceil(maximumNorthing / interval) * interval;
+
+    context.beginPath();
+    context.lineWidth = provider._lineWidth * (isFinest ? 1.0 : 1.5);
+
+    for (
+      let easting = firstEasting;
+      easting <= lastEasting;
+      easting += interval
+    ) {
+      for (let i = 0; i <= lineSegments; ++i) {
+        eastings[i] = easting;
+        northings[i] =
+          firstNorthing -
+          interval +
+          ((lastNorthing - firstNorthing + 2.0 * interval) * i) / lineSegments;
+      }
+      const pixels = getLinePixels(tile, cell, ellipsoid, eastings, northings);
+      strokeLine(context, pixels);
+
+      if (isFinest && interval < 100000.0) {
+        const x = findCrossing(pixels, 1, clip.top + 3.0);
+        if (defined(x) && x > clip.left && x < clip.right) {
+          addLabel(
+            tile,
+            formatKilometers(easting),
+            x + 3.0,
+            clip.top + 3.0,
+            "left",
+            "top"
+          );
+        }
+      }
+    }
+
+    for (
+      let northing = firstNorthing;
+      northing <= lastNorthing;
+      northing += interval
+    ) {
+      for (let i = 0; i <= lineSegments; ++i) {
+        northings[i] = northing;
+        eastings[i] =
+          firstEasting -
+          interval +
+          ((lastEasting - firstEasting + 2.0 * interval) * i) / lineSegments;
+      }
+      const pixels = getLinePixels(tile, cell, ellipsoid, eastings, northings);
+      strokeLine(context, pixels);
+
+      if (isFinest && interval < 100000.0) {
+        const y = findCrossing(pixels, 0, clip.left + 3.0);
+        if (defined(y) && y > clip.top && y < clip.bottom) {
+          addLabel(
+            tile,
+            formatKilometers(northing),
+            clip.left + 3.0,
+            y - 3.0,
+            "left",
+            "bottom"
+          );
+        }
+      }
+    }
+
+    context.stroke();
+  }
+
+  // The letters of the 100 km squares at their centers
+  if (intervals[0] === 100000.0) {
+    const firstColumn = Math.floor(minimumEasting / 100000.0);
+    const lastColumn = Math.floor(maximumEasting / 100000.0);
+    const firstRow = Math.floor(minimumNorthing / 100000.0);
+    const lastRow = Math.floor(maximumNorthing / 100000.0);
+    for (let row = firstRow; row <= lastRow; ++row) {
+      for (let column = firstColumn; column <= lastColumn; ++column) {
+        const easting = column * 100000.0 + 50000.0;
+        const northing = row * 100000.0 + 50000.0;
+        const cartographic = fromUtm(cell, easting, northing, ellipsoid);
+        const longitude = CesiumMath.toDegrees(cartographic.longitude);
+        const latitude = CesiumMath.toDegrees(cartographic.latitude);
+        if (
+          longitude < cell.west ||
+          longitude > cell.east ||
+          latitude < cell.south ||
+          latitude > cell.north
+        ) {
+          continue;
+        }
+
+        const x = toPixelX(tile, longitude, latitude);
+        const y = toPixelY(tile, longitude, latitude);
+        if (x < 0.0 || x > tile.width || y < 0.0 || y > tile.height) {
+          continue;
+        }
+
+        const mgrs = Mgrs.fromUtmCoordinate(
+          new UtmCoordinate(cell.zone, cell.band, easting, northing),
+          {
+            precision: 0,
+          }
+        );
+        if (defined(mgrs)) {
+          addLabel(tile, mgrs.slice(-2), x, y, "center", "middle");
+        }
+      }
+    }
+  }
+}
+
+function formatKilometers(meters) {
+  const kilometers = Math.round((meters % 100000.0) / 1000.0) % 100;
+  return kilometers.toString().padStart(2, "0");
+}
+
+function getClip(tile, cell) {
+  return {
+    left: Math.max(toPixelX(tile, cell.west, 0.0), 0.0),
+    right: Math.min(toPixelX(tile, cell.east, 0.0), tile.width),
+    top: Math.max(toPixelY(tile, 0.0, cell.north), 0.0),
+    bottom: Math.min(toPixelY(tile, 0.0, cell.south), tile.height),
+  };
+}
+
+function drawCell(provider, context, tile, cell, intervals) {
+  const clip = getClip(tile, cell);
+  if (clip.right <= clip.left || clip.bottom <= clip.top) {
+    return;
+  }
+
+  if (intervals.length > 0 && defined(cell.zone)) {
+    context.save();
+    context.beginPath();
+    context.rect(
+      clip.left,
+      clip.top,
+      clip.right - clip.left,
+      clip.bottom - clip.top
+    );
+    context.clip();
+    drawUtmLines(provider, context, tile, cell, intervals, clip);
+    context.restore();
+  }
+
+  // The boundary of the grid zone
+  const left = toPixelX(tile, cell.west, 0.0);
+  const right = toPixelX(tile, cell.east, 0.0);
+  const top = toPixelY(tile, 0.0, cell.north);
+  const bottom = toPixelY(tile, 0.0, cell.south);
+  context.lineWidth = provider._lineWidth * 2.0;
+  context.strokeRect(left, top, right - left, bottom - top);
+
+  // The grid zone designator at the center of the zone, until the 100 km squares are labeled
+  if (intervals.length === 0) {
+    const longitude = (cell.west + cell.east) * 0.5;
+    let latitude = (cell.south + cell.north) * 0.5;
+    if (!defined(cell.zone)) {
+      latitude = cell.north > 0.0 ? 87.0 : -85.0;
+    }
+    const x = toPixelX(tile, longitude, latitude);
+    const y = toPixelY(tile, longitude, latitude);
+    if (x >= 0.0 && x <= tile.width && y >= 0.0 && y <= tile.height) {
+      const zone = defined(cell.zone) ? cell.zone.toString() : "";
+      addLabel(tile, `${zone}${cell.band}`, x, y, "center", "middle");
+    }
+  }
+}
+
+function drawMgrs(provider, context, tile) {
+  const intervals = [];
+  for (let i = 0; i < utmIntervals.length; ++i) {
+    if (utmIntervals[i] / tile.metersPerPixel >= provider._minimumLineSpacing) {
+      intervals.push(utmIntervals[i]);
+    }
+  }
+
+  for (let bandIndex = 0; bandIndex < latitudeBands.length; ++bandIndex) {
+    const south = -80.0 + bandIndex * 8.0;
+    const north = bandIndex === 19 ? 84.0 : south + 8.0;
+    if (south >= tile.north || north <= tile.south) {
+      continue;
+    }
+
+    const cells = GraticuleImageryProvider._getGridZones(bandIndex);
+    for (let i = 0; i < cells.length; ++i) {
+      if (intersects(cells[i], tile)) {
+        drawCell(provider, context, tile, cells[i], intervals);
+      }
+    }
+  }
+
+  for (let i = 0; i < polarCells.length; ++i) {
+    if (intersects(polarCells[i], tile)) {
+      drawCell(provider, context, tile, polarCells[i], intervals);
+    }
+  }
+}
+export default GraticuleImageryProvider;
@@ -0,0 +1,23 @@
+/**
+ * The lines drawn by a {@link GraticuleImageryProvider}.
+ *
+ * @enum {Number}
+ */
+const GraticuleType = {
+  /**
+   * Meridians and parallels, labeled with their longitude and latitude.
+   *
+   * @type {Number}
+   * @constant
+   */
+  GEOGRAPHIC: 0,
+  /**
+   * The grid zones of the Military Grid Reference System (MGRS) and, when zoomed in, the 100 km squares
+   * and the 10 km and 1 km lines of the UTM grid within them, labeled with their MGRS letters and digits.
+   *
+   * @type {Number}
+   * @constant
+   */
+  MGRS: 1,
+};
+export default Object.freeze(GraticuleType);
@@ -0,0 +1,769 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import TaskProcessor from "../Core/TaskProcessor.js";
+
+const heatmapTaskProcessor = new TaskProcessor("createHeatmapTile", 5);
+
+const defaultGradient = {
+  0.0: new Color(0.0, 0.0, 1.0, 0.0),
+  0.25: new Color(0.0, 0.0, 1.0, 0.6),
+  0.55: new Color(0.0, 1.0, 0.0, 0.75),
+  0.85: new Color(1.0, 1.0, 0.0, 0.9),
+  1.0: new Color(1.0, 0.0, 0.0, 1.0),
+};
+
+const scratchCartographic = new Cartographic();
+const scratchCartesian = new Cartesian3();
+const scratchNorth = new Cartesian3();
+const scratchSouth = new Cartesian3();
+const scratchColor = new Color();
+
+/**
+ * @typedef {Object} HeatmapImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the HeatmapImageryProvider constructor
+ *
+ * @property {HeatmapImageryProvider.Point[]} [points] The weighted points.  Either points or entities are required.
+ * @property {EntityCollection} [entities] The entities whose positions are used as points.
+ * @property {String} [weightProperty] The name of the property of the entities that is used as the weight of their points.  If undefined, or if an entity does not have the property, the weight is 1.0.
+ * @property {JulianDate} [time=JulianDate.now()] The time at which the positions and weights of the entities are evaluated.
+ * @property {Number} [radius=1000.0] The radius in meters within which a point contributes to the heatmap.
+ * @property {Number} [maximumIntensity] The intensity that is mapped to the end of the gradient.  Intensity is the sum of the weights of the points around a position, each multiplied by a kernel that falls off from 1.0 at the point to 0.0 at the radius.  If undefined, it is the highest intensity at any of the points.
+ * @property {Object.<Number, Color>} [gradient] The colors of the heatmap, keyed by the intensity divided by the maximum intensity, from 0.0 to 1.0.  Colors between the keys are interpolated.  Defaults to transparent blue through blue, green and yellow to red.
+ * @property {TilingScheme} [tilingScheme=new GeographicTilingScheme()] The tiling scheme of the tiles.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {Number} [tileWidth=256] The width of each tile, in pixels.
+ * @property {Number} [tileHeight=256] The height of each tile, in pixels.
+ * @property {Number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.
+ * @property {Number} [maximumLevel] The maximum level-of-detail supported by the imagery provider, or undefined if there is no limit.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the imagery.  If undefined, it is the extent of the points, expanded by the radius.
+ * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.
+ */
+
+/**
+ * Provides tiled imagery of a heatmap of weighted points, for example to visualize the density of dense point
+ * events.  The intensity of each pixel is computed with kernel density estimation in a web worker, and mapped to
+ * a color with a gradient.
+ * <p>
+ * The points are read when the provider is constructed.  To show different points, create a new provider.
+ * </p>
+ *
+ * @alias HeatmapImageryProvider
+ * @constructor
+ *
+ * @param {HeatmapImageryProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @exception {DeveloperError} points or entities is required.
+ *
+ * @example
+ * const provider = new Cesium.HeatmapImageryProvider({
+ *   points: [
+ *     { position: Cesium.Cartesian3.fromDegrees(-75.16, 39.95), weight: 3.0 },
+ *     { position: Cesium.Cartesian3.fromDegrees(-75.17, 39.96) }
+ *   ],
+ *   radius: 500.0
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @example
+ * // A heatmap of the entities of a data source, weighted by their "magnitude" property
+ * const provider = new Cesium.HeatmapImageryProvider({
+ *   entities: dataSource.entities,
+ *   weightProperty: "magnitude",
+ *   radius: 50000.0
+ * });
+ */
+function HeatmapImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const radius = defaultValue(options.radius, 1000.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.points) && !defined(options.entities)) {
+    throw new DeveloperError("points or entities is required.");
+  }
+  Check.typeOf.number.greaterThan("options.radius", radius, 0.0);
+  //>>includeEnd('debug');
+
+  /**
+   * The default alpha blending value of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the night side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultNightAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the day side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultDayAlpha = undefined;
+
+  /**
+   * The default brightness of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0
+   * makes the imagery darker while greater than 1.0 makes it brighter.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultBrightness = undefined;
+
+  /**
+   * The default contrast of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0 reduces
+   * the contrast while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultContrast = undefined;
+
+  /**
+   * The default hue of this provider in radians. 0.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultHue = undefined;
+
+  /**
+   * The default saturation of this provider. 1.0 uses the unmodified imagery color. Less than 1.0 reduces the
+   * saturation while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultSaturation = undefined;
+
+  /**
+   * The default gamma correction to apply to this provider.  1.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultGamma = undefined;
+
+  /**
+   * The default texture minification filter to apply to this provider.
+   *
+   * @type {TextureMinificationFilter}
+   * @default undefined
+   */
+  this.defaultMinificationFilter = undefined;
+
+  /**
+   * The default texture magnification filter to apply to this provider.
+   *
+   * @type {TextureMagnificationFilter}
+   * @default undefined
+   */
+  this.defaultMagnificationFilter = undefined;
+
+  this._tilingScheme = defined(options.tilingScheme)
+    ? options.tilingScheme
+    : new GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+  const ellipsoid = this._tilingScheme.ellipsoid;
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._radius = radius;
+  this._surfaceRadius = ellipsoid.maximumRadius;
+
+  this._points = defined(options.points)
+    ? getPoints(options.points, ellipsoid)
+    : getEntityPoints(
+        options.entities,
+        options.weightProperty,
+        defaultValue(options.time, JulianDate.now()),
+        ellipsoid
+      );
+  this._maximumIntensity = defaultValue(
+    options.maximumIntensity,
+    computeMaximumIntensity(this._points, radius, this._surfaceRadius)
+  );
+  this._gradient = createGradient(
+    defaultValue(options.gradient, defaultGradient)
+  );
+
+  this._rectangle = defined(options.rectangle)
+    ? Rectangle.clone(options.rectangle)
+    : computeRectangle(this);
+
+  this._errorEvent = new Event();
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._readyPromise = Promise.resolve(true);
+}
+
+function getPoints(points, ellipsoid) {
+  const result = [];
+  for (let i = 0; i < points.length; ++i) {
+    const point = points[i];
+    const cartographic = ellipsoid.cartesianToCartographic(
+      point.position,
+      scratchCartographic
+    );
+    if (!defined(cartographic)) {
+      continue;
+    }
+    result.push(
+      cartographic.longitude,
+      cartographic.latitude,
+      defaultValue(point.weight, 1.0)
+    );
+  }
+  return new Float64Array(result);
+}
+
+function getEntityPoints(entities, weightProperty, time, ellipsoid) {
+  const result = [];
+  const values = entities.values;
+  for (let i = 0; i < values.length; ++i) {
+    const entity = values[i];
+    if (!defined(entity.position)) {
+      continue;
+    }
+    const position = entity.position.getValue(time, scratchCartesian);
+    if (!defined(position)) {
+      continue;
+    }
+
+    let weight;
+    const properties = entity.properties;
+    if (
+      defined(weightProperty) &&
+      defined(properties) &&
+      properties.hasProperty(weightProperty)
+    ) {
+      weight = properties[weightProperty].getValue(time);
+    }
+
+    const cartographic = ellipsoid.cartesianToCartographic(
+      position,
+      scratchCartographic
+    );
+    if (!defined(cartographic)) {
+      continue;
+    }
+    result.push(
+      cartographic.longitude,
+      cartographic.latitude,
+      typeof weight === "number" ? weight : 1.0
+    );
+  }
+  return new Float64Array(result);
+}
+
+// The intensity at each point, with the points sorted by latitude so that only the points within
+// the radius in latitude are compared.
+function computeMaximumIntensity(points, radius, surfaceRadius) {
+  const count = points.length / 3;
+  if (count === 0) {
+    return 1.0;
+  }
+
+  const indices = new Array(count);
+  for (let i = 0; i < count; ++i) {
+    indices[i] = i * 3;
+  }
+  indices.sort(function (a, b) {
+    return points[a + 1] - points[b + 1];
+  });
+
+  const radiusSquared = radius * radius;
+  const latitudeRadius = radius / surfaceRadius;
+  const intensities = new Float64Array(count);
+  for (let i = 0; i < count; ++i) {
+    const a = indices[i];
+    const longitude = points[a];
+    const latitude = points[a + 1];
+    const cosLatitude = Math.cos(latitude);
+    intensities[i] += points[a + 2];
+
+    for (let j = i + 1; j < count; ++j) {
+      const b = indices[j];
+      if (points[b + 1] - latitude >= latitudeRadius) {
+        break;
+      }
+      const dy = (points[b + 1] - latitude) * surfaceRadius;
+      const dx =
+        CesiumMath.negativePiToPi(points[b] - longitude) *
+        surfaceRadius *
+        cosLatitude;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < radiusSquared) {
+        const k = 1.0 - distanceSquared / radiusSquared;
+        intensities[i] += points[b + 2] * k * k;
+        intensities[j] += points[a + 2] * k * k;
+      }
+    }
+  }
+
+  let maximumIntensity = 0.0;
+  for (let i = 0; i < count; ++i) {
+    maximumIntensity = Math.max(maximumIntensity, intensities[i]);
+  }
+  return maximumIntensity > 0.0 ? maximumIntensity : 1.0;
+}
+
+function createGradient(stops) {
+  const keys = Object.keys(stops)
+    .map(Number)
+    .sort(function (a, b) {
+      return a - b;
+    });
+
+  const gradient = new Uint8Array(256 * 4);
+  let stop = 0;
+  for (let i = 0; i < 256; ++i) {
+    const t = i / 255.0;
+    while (stop < keys.length - 1 && keys[stop + 1] < t) {
+      ++stop;
+    }
+
+    let color;
+    const start = keys[stop];
+    const end = keys[Math.min(stop + 1, keys.length - 1)];
+    if (t <= start || start === end) {
+      color = Color.clone(stops[start], scratchColor);
+    } else if (t >= end) {
+      color = Color.clone(stops[end], scratchColor);
+    } else {
+      color = Color.lerp(
+        stops[start],
+        stops[end],
+        (t - start) / (end - start),
+        scratchColor
+      );
+    }
+    gradient[i * 4] = Color.floatToByte(color.red);
+    gradient[i * 4 + 1] = Color.floatToByte(color.green);
+    gradient[i * 4 + 2] = Color.floatToByte(color.blue);
+    gradient[i * 4 + 3] = Color.floatToByte(color.alpha);
+  }
+  return gradient;
+}
+
+function computeRectangle(provider) {
+  const points = provider._points;
+  const tilingSchemeRectangle = provider._tilingScheme.rectangle;
+  if (points.length === 0) {
+    return Rectangle.clone(tilingSchemeRectangle);
+  }
+
+  let west = Number.POSITIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let east = Number.NEGATIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < points.length; i += 3) {
+    west = Math.min(west, points[i]);
+    east = Math.max(east, points[i]);
+    south = Math.min(south, points[i + 1]);
+    north = Math.max(north, points[i + 1]);
+  }
+
+  const latitudeRadius = provider._radius / provider._surfaceRadius;
+  const cosLatitude = Math.cos(
+    Math.min(
+      Math.max(Math.abs(south), Math.abs(north)),
+      CesiumMath.toRadians(89.0)
+    )
+  );
+  const longitudeRadius = latitudeRadius / cosLatitude;
+  const rectangle = new Rectangle(
+    Math.max(west - longitudeRadius, -CesiumMath.PI),
+    Math.max(south - latitudeRadius, -CesiumMath.PI_OVER_TWO),
+    Math.min(east + longitudeRadius, CesiumMath.PI),
+    Math.min(north + latitudeRadius, CesiumMath.PI_OVER_TWO)
+  );
+  return defaultValue(
+    Rectangle.intersection(rectangle, tilingSchemeRectangle),
+    rectangle
+  );
+}
+
+Object.defineProperties(HeatmapImageryProvider.prototype, {
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+   * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+   * returns undefined, no tiles are filtered.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider is ready for use.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to true when the provider is ready for use.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Promise.<Boolean>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  Pixels without intensity are transparent, so this property is always true.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * Gets the radius in meters within which a point contributes to the heatmap.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  radius: {
+    get: function () {
+      return this._radius;
+    },
+  },
+
+  /**
+   * Gets the intensity that is mapped to the end of the gradient.
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  maximumIntensity: {
+    get: function () {
+      return this._maximumIntensity;
+    },
+  },
+});
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+HeatmapImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+function createImage(pixels, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  if (defined(pixels)) {
+    const context = canvas.getContext("2d");
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+  }
+  return canvas;
+}
+
+// The points within the radius of a tile
+function getTilePoints(provider, rectangle) {
+  const points = provider._points;
+  const latitudeRadius = provider._radius / provider._surfaceRadius;
+  const cosLatitude = Math.cos(
+    Math.min(
+      Math.max(Math.abs(rectangle.south), Math.abs(rectangle.north)) +
+        latitudeRadius,
+      CesiumMath.toRadians(89.0)
+    )
+  );
+  const longitudeRadius = latitudeRadius / cosLatitude;
+  const west = rectangle.west - longitudeRadius;
+  const east = rectangle.east + longitudeRadius;
+  const south = rectangle.south - latitudeRadius;
+  const north = rectangle.north + latitudeRadius;
+  const centerLongitude = (rectangle.west + rectangle.east) * 0.5;
+
+  const result = [];
+  for (let i = 0; i < points.length; i += 3) {
+    // Wrap the longitude so that points across the antimeridian from the tile are found
+    const longitude =
+      centerLongitude + CesiumMath.negativePiToPi(points[i] - centerLongitude);
+    const latitude = points[i + 1];
+    if (
+      longitude >= west &&
+      longitude <= east &&
+      latitude >= south &&
+      latitude <= north
+    ) {
+      result.push(longitude, latitude, points[i + 2]);
+    }
+  }
+  return new Float64Array(result);
+}
+
+/**
+ * Requests the image for a given tile.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise.<HTMLCanvasElement>|undefined} A promise for the image that will resolve when the heatmap of the
+ *          tile is computed, or undefined if the web worker is busy and the request should be retried later.
+ */
+HeatmapImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const tilingScheme = this._tilingScheme;
+  const projection = tilingScheme.projection;
+  const width = this._tileWidth;
+  const height = this._tileHeight;
+  const rectangle = tilingScheme.tileXYToRectangle(x, y, level);
+
+  const points = getTilePoints(this, rectangle);
+  if (points.length === 0) {
+    return Promise.resolve(createImage(undefined, width, height));
+  }
+
+  // Longitude is linear in the projected x coordinate of both tiling schemes, while latitude
+  // is computed for each row.
+  const longitudes = new Float64Array(width);
+  for (let i = 0; i < width; ++i) {
+    longitudes[i] = rectangle.west + ((i + 0.5) / width) * rectangle.width;
+  }
+
+  const north = projection.project(
+    Rectangle.northwest(rectangle, scratchCartographic),
+    scratchNorth
+  ).y;
+  const south = projection.project(
+    Rectangle.southwest(rectangle, scratchCartographic),
+    scratchSouth
+  ).y;
+  const latitudes = new Float64Array(height);
+  const cartesian = scratchCartesian;
+  cartesian.x = 0.0;
+  for (let j = 0; j < height; ++j) {
+    cartesian.y = north - ((j + 0.5) / height) * (north - south);
+    latitudes[j] = projection.unproject(
+      cartesian,
+      scratchCartographic
+    ).latitude;
+  }
+
+  const parameters = {
+    points: points,
+    longitudes: longitudes,
+    latitudes: latitudes,
+    radius: this._radius,
+    surfaceRadius: this._surfaceRadius,
+    maximumIntensity: this._maximumIntensity,
+    gradient: this._gradient,
+  };
+  const promise = heatmapTaskProcessor.scheduleTask(parameters, [
+    points.buffer,
+    longitudes.buffer,
+    latitudes.buffer,
+  ]);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  return promise.then(function (pixels) {
+    return createImage(pixels, width, height);
+  });
+};
+
+/**
+ * Picking features is not currently supported by this imagery provider, so this function simply returns
+ * undefined.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Number} longitude The longitude at which to pick features.
+ * @param {Number} latitude  The latitude at which to pick features.
+ * @return {undefined} Undefined since picking is not supported.
+ */
+HeatmapImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  return undefined;
+};
+
+/**
+ * A weighted point of a heatmap.
+ *
+ * @typedef {Object} HeatmapImageryProvider.Point
+ *
+ * @property {Cartesian3} position The position of the point.
+ * @property {Number} [weight=1.0] The weight of the point.
+ */
+export default HeatmapImageryProvider;
@@ -1,5 +1,10 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
 import defined from "../Core/defined.js";
 import destroyObject from "../Core/destroyObject.js";
+import Rectangle from "../Core/Rectangle.js";
+import TileMatrixSetTilingScheme from "../Core/TileMatrixSetTilingScheme.js";
 import ImageryState from "./ImageryState.js";
 
 /**
@@ -16,14 +21,14 @@ function Imagery(imageryLayer, x, y, level, rectangle) {
   this.request = undefined;
 
   if (level !== 0) {
-    const parentX = (x / 2) | 0;
-    const parentY = (y / 2) | 0;
-    const parentLevel = level - 1;
-    this.parent = imageryLayer.getImageryFromCache(
-      parentX,
-      parentY,
-      parentLevel
-    );
+    const parentTileXY = computeParentTileXY(imageryLayer, x, y, level);
+    if (defined(parentTileXY)) {
+      this.parent = imageryLayer.getImageryFromCache(
+        parentTileXY.x,
+        parentTileXY.y,
+        level - 1
+      );
+    }
   }
 
   this.state = ImageryState.UNLOADED;
@@ -41,6 +46,40 @@ function Imagery(imageryLayer, x, y, level, rectangle) {
 
   this.rectangle = rectangle;
 }
+const parentTileXYScratch = new Cartesian2();
+const nativeRectangleScratch = new Rectangle();
+const nativeCenterScratch = new Cartesian3();
+const centerScratch = new Cartographic();
+
+function computeParentTileXY(imageryLayer, x, y, level) {
+  const imageryProvider = imageryLayer.imageryProvider;
+  if (
+    !imageryProvider.ready ||
+    !(imageryProvider.tilingScheme instanceof TileMatrixSetTilingScheme)
+  ) {
+    parentTileXYScratch.x = (x / 2) | 0;
+    parentTileXYScratch.y = (y / 2) | 0;
+    return parentTileXYScratch;
+  }
+
+  // The levels of a TileMatrixSet are not required to be powers of two of each other,
+  // so the parent is the tile containing the center of this one.
+  const tilingScheme = imageryProvider.tilingScheme;
+  const nativeRectangle = tilingScheme.tileXYToNativeRectangle(
+    x,
+    y,
+    level,
+    nativeRectangleScratch
+  );
+  nativeCenterScratch.x = (nativeRectangle.west + nativeRectangle.east) * 0.5;
+  nativeCenterScratch.y = (nativeRectangle.south + nativeRectangle.north) * 0.5;
+  const center = tilingScheme.projection.unproject(
+    nativeCenterScratch,
+    centerScratch
+  );
+  return tilingScheme.positionToTileXY(center, level - 1, parentTileXYScratch);
+}
+
 Imagery.createPlaceholder = function (imageryLayer) {
   const result = new Imagery(imageryLayer, 0, 0, 0);
   result.addReference();
@@ -1,5 +1,7 @@
 import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
 import Cartesian4 from "../Core/Cartesian4.js";
+import Cartographic from "../Core/Cartographic.js";
 import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import destroyObject from "../Core/destroyObject.js";
@@ -14,6 +16,7 @@ import Request from "../Core/Request.js";
 import RequestState from "../Core/RequestState.js";
 import RequestType from "../Core/RequestType.js";
 import TerrainProvider from "../Core/TerrainProvider.js";
+import TileMatrixSetTilingScheme from "../Core/TileMatrixSetTilingScheme.js";
 import TileProviderError from "../Core/TileProviderError.js";
 import WebMercatorProjection from "../Core/WebMercatorProjection.js";
 import Buffer from "../Renderer/Buffer.js";
@@ -29,6 +32,8 @@ import TextureMagnificationFilter from "../Renderer/TextureMagnificationFilter.j
 import TextureMinificationFilter from "../Renderer/TextureMinificationFilter.js";
 import TextureWrap from "../Renderer/TextureWrap.js";
 import VertexArray from "../Renderer/VertexArray.js";
+import ReprojectTextureFS from "../Shaders/ReprojectTextureFS.js";
+import ReprojectTextureVS from "../Shaders/ReprojectTextureVS.js";
 import ReprojectWebMercatorFS from "../Shaders/ReprojectWebMercatorFS.js";
 import ReprojectWebMercatorVS from "../Shaders/ReprojectWebMercatorVS.js";
 import Imagery from "./Imagery.js";
@@ -481,6 +486,8 @@ const imageryBoundsScratch = new Rectangle();
 const tileImageryBoundsScratch = new Rectangle();
 const clippedRectangleScratch = new Rectangle();
 const terrainRectangleScratch = new Rectangle();
+const nativeRectangleScratch = new Rectangle();
+const levelRectangleScratch = new Rectangle();
 
 /**
  * Computes the intersection of this layer's rectangle with the imagery provider's availability rectangle,
@@ -573,11 +580,17 @@ ImageryLayer.prototype._createTileImagerySkeletons = function (
     tileImageryBoundsScratch
   );
 
+  // Imagery in projections with curved meridians or parallels is reprojected to
+  // geographic, and transparent outside of the tiles of the tiling scheme.
+  const reprojectsImagery = isReprojectedProjection(
+    imageryProvider.tilingScheme.projection
+  );
+
   if (!defined(rectangle)) {
     // There is no overlap between this terrain tile and this imagery
     // provider.  Unless this is the base layer, no skeletons need to be created.
     // We stretch texels at the edge of the base layer over the entire globe.
-    if (!this.isBaseLayer()) {
+    if (!this.isBaseLayer() || reprojectsImagery) {
       return false;
     }
 
@@ -648,6 +661,16 @@ ImageryLayer.prototype._createTileImagerySkeletons = function (
     }
   }
 
+  if (reprojectsImagery) {
+    return createReprojectedTileImagerySkeletons(
+      this,
+      tile,
+      rectangle,
+      imageryLevel,
+      insertionPoint
+    );
+  }
+
   const imageryTilingScheme = imageryProvider.tilingScheme;
   const northwestTileCoordinates = imageryTilingScheme.positionToTileXY(
     Rectangle.northwest(rectangle),
@@ -881,6 +904,127 @@ ImageryLayer.prototype._createTileImagerySkeletons = function (
   return true;
 };
 
+function isReprojectedProjection(projection) {
+  return projection.isNormalCylindrical === false;
+}
+
+/**
+ * Create skeletons for the imagery tiles of a tiling scheme in a projection with curved meridians
+ * or parallels that overlap a given terrain tile.  The tiles are not aligned with lines of longitude
+ * and latitude, so they are selected from the native rectangle containing the terrain tile, and
+ * each covers the cartographic rectangle containing it.
+ *
+ * @param {ImageryLayer} imageryLayer The imagery layer.
+ * @param {Tile} tile The terrain tile.
+ * @param {Rectangle} rectangle The part of the terrain tile covered by the imagery layer.
+ * @param {Number} imageryLevel The level of the imagery tiles.
+ * @param {Number} insertionPoint The position to insert new skeletons before in the tile's imagery list.
+ * @returns {Boolean} true if any imagery tile overlaps the terrain tile; otherwise, false.
+ *
+ * @private
+ */
+function createReprojectedTileImagerySkeletons(
+  imageryLayer,
+  tile,
+  rectangle,
+  imageryLevel,
+  insertionPoint
+) {
+  const surfaceTile = tile.data;
+  const tilingScheme = imageryLayer._imageryProvider.tilingScheme;
+
+  const nativeRectangle = tilingScheme.rectangleToNativeRectangle(
+    rectangle,
+    nativeRectangleScratch
+  );
+  // All of the tiles of a level have the same size
+  const levelRectangle = tilingScheme.tileXYToNativeRectangle(
+    0,
+    0,
+    imageryLevel,
+    levelRectangleScratch
+  );
+  const tileSpanX = levelRectangle.east - levelRectangle.west;
+  const tileSpanY = levelRectangle.north - levelRectangle.south;
+
+  const minX = Math.max(
+    0,
+    Math.floor((nativeRectangle.west - levelRectangle.west) / tileSpanX)
+  );
+  const maxX = Math.min(
+    tilingScheme.getNumberOfXTilesAtLevel(imageryLevel) - 1,
+    Math.floor((nativeRectangle.east - levelRectangle.west) / tileSpanX)
+  );
+  const minY = Math.max(
+    0,
+    Math.floor((levelRectangle.north - nativeRectangle.north) / tileSpanY)
+  );
+  const maxY = Math.min(
+    tilingScheme.getNumberOfYTilesAtLevel(imageryLevel) - 1,
+    Math.floor((levelRectangle.north - nativeRectangle.south) / tileSpanY)
+  );
+
+  const terrainRectangle = tile.rectangle;
+  const terrainWidth = terrainRectangle.width;
+  const terrainHeight = terrainRectangle.height;
+
+  let overlaps = false;
+  for (let i = minX; i <= maxX; i++) {
+    for (let j = minY; j <= maxY; j++) {
+      const imageryRectangle = tilingScheme.tileXYToRectangle(
+        i,
+        j,
+        imageryLevel,
+        imageryBoundsScratch
+      );
+      const clippedImageryRectangle = Rectangle.intersection(
+        imageryRectangle,
+        rectangle,
+        clippedRectangleScratch
+      );
+
+      if (!defined(clippedImageryRectangle)) {
+        continue;
+      }
+
+      const texCoordsRectangle = new Cartesian4(
+        CesiumMath.clamp(
+          (clippedImageryRectangle.west - terrainRectangle.west) / terrainWidth,
+          0.0,
+          1.0
+        ),
+        CesiumMath.clamp(
+          (clippedImageryRectangle.south - terrainRectangle.south) /
+            terrainHeight,
+          0.0,
+          1.0
+        ),
+        CesiumMath.clamp(
+          (clippedImageryRectangle.east - terrainRectangle.west) / terrainWidth,
+          0.0,
+          1.0
+        ),
+        CesiumMath.clamp(
+          (clippedImageryRectangle.north - terrainRectangle.south) /
+            terrainHeight,
+          0.0,
+          1.0
+        )
+      );
+      const imagery = imageryLayer.getImageryFromCache(i, j, imageryLevel);
+      surfaceTile.imagery.splice(
+        insertionPoint,
+        0,
+        new TileImagery(imagery, texCoordsRectangle, false)
+      );
+      ++insertionPoint;
+      overlaps = true;
+    }
+  }
+
+  return overlaps;
+}
+
 /**
  * Calculate the translation and scale for a particular {@link TileImagery} attached to a
  * particular terrain tile.
@@ -1205,17 +1349,19 @@ ImageryLayer.prototype._reprojectTexture = function (
 
   needGeographicProjection = defaultValue(needGeographicProjection, true);
 
+  const projection = this._imageryProvider.tilingScheme.projection;
+  const reprojectsImagery = isReprojectedProjection(projection);
+
   // Reproject this texture if it is not already in a geographic projection and
   // the pixels are more than 1e-5 radians apart.  The pixel spacing cutoff
   // avoids precision problems in the reprojection transformation while making
-  // no noticeable difference in the georeferencing of the image.
+  // no noticeable difference in the georeferencing of the image.  Textures in
+  // projections with curved meridians or parallels are always reprojected.
   if (
     needGeographicProjection &&
-    !(
-      this._imageryProvider.tilingScheme.projection instanceof
-      GeographicProjection
-    ) &&
-    rectangle.width / texture.width > 1e-5
+    (reprojectsImagery ||
+      (!(projection instanceof GeographicProjection) &&
+        rectangle.width / texture.width > 1e-5))
   ) {
     const that = this;
     imagery.addReference();
@@ -1225,9 +1371,22 @@ ImageryLayer.prototype._reprojectTexture = function (
       // Update render resources right before execution instead of now.
       // This allows different ImageryLayers to share the same vao and buffers.
       preExecute: function (command) {
-        reprojectToGeographic(command, context, texture, imagery.rectangle);
+        if (reprojectsImagery) {
+          reprojectToGeographicFromProjection(
+            command,
+            context,
+            texture,
+            imagery
+          );
+        } else {
+          reprojectToGeographic(command, context, texture, imagery.rectangle);
+        }
       },
       postExecute: function (outputTexture) {
+        if (reprojectsImagery) {
+          // The texture in the projection of the tiling scheme is not used for rendering
+          texture.destroy();
+        }
         imagery.texture = outputTexture;
         that._finalizeReprojectTexture(context, outputTexture);
         imagery.state = ImageryState.READY;
@@ -1504,6 +1663,181 @@ function reprojectToGeographic(command, context, texture, rectangle) {
   command.vertexArray = reproject.vertexArray;
 }
 
+const reprojectGridSize = 64;
+const textureCoordinatesScratch = FeatureDetection.supportsTypedArrays()
+  ? new Float32Array(2 * reprojectGridSize * reprojectGridSize)
+  : undefined;
+const reprojectNativeRectangleScratch = new Rectangle();
+const reprojectCartographicScratch = new Cartographic();
+const reprojectProjectedScratch = new Cartesian3();
+
+function reprojectToGeographicFromProjection(
+  command,
+  context,
+  texture,
+  imagery
+) {
+  // Unlike Web Mercator, the texture coordinates of a projection with curved meridians or
+  // parallels depend on both the longitude and latitude, so they are computed on the CPU for
+  // each vertex of a grid covering the geographic rectangle of the imagery.  Parts of the
+  // rectangle outside of the tile in the projection are transparent.
+
+  let reproject = context.cache.imageryLayer_reprojectFromProjection;
+
+  if (!defined(reproject)) {
+    reproject = context.cache.imageryLayer_reprojectFromProjection = {
+      vertexArray: undefined,
+      shaderProgram: undefined,
+      sampler: undefined,
+      destroy: function () {
+        if (defined(this.vertexArray)) {
+          this.vertexArray.destroy();
+        }
+        if (defined(this.shaderProgram)) {
+          this.shaderProgram.destroy();
+        }
+      },
+    };
+
+    const positions = new Float32Array(
+      2 * reprojectGridSize * reprojectGridSize
+    );
+    let index = 0;
+    for (let j = 0; j < reprojectGridSize; ++j) {
+      const y = j / (reprojectGridSize - 1);
+      for (let i = 0; i < reprojectGridSize; ++i) {
+        positions[index++] = i / (reprojectGridSize - 1);
+        positions[index++] = y;
+      }
+    }
+
+    const reprojectAttributeIndices = {
+      position: 0,
+      textureCoordinates: 1,
+    };
+
+    const indices = TerrainProvider.getRegularGridIndices(
+      reprojectGridSize,
+      reprojectGridSize
+    );
+    const indexBuffer = Buffer.createIndexBuffer({
+      context: context,
+      typedArray: indices,
+      usage: BufferUsage.STATIC_DRAW,
+      indexDatatype: IndexDatatype.UNSIGNED_SHORT,
+    });
+
+    reproject.vertexArray = new VertexArray({
+      context: context,
+      attributes: [
+        {
+          index: reprojectAttributeIndices.position,
+          vertexBuffer: Buffer.createVertexBuffer({
+            context: context,
+            typedArray: positions,
+            usage: BufferUsage.STATIC_DRAW,
+          }),
+          componentsPerAttribute: 2,
+        },
+        {
+          index: reprojectAttributeIndices.textureCoordinates,
+          vertexBuffer: Buffer.createVertexBuffer({
+            context: context,
+            sizeInBytes: positions.byteLength,
+            usage: BufferUsage.STREAM_DRAW,
+          }),
+          componentsPerAttribute: 2,
+        },
+      ],
+      indexBuffer: indexBuffer,
+    });
+
+    reproject.shaderProgram = ShaderProgram.fromCache({
+      context: context,
+      vertexShaderSource: ReprojectTextureVS,
+      fragmentShaderSource: ReprojectTextureFS,
+      attributeLocations: reprojectAttributeIndices,
+    });
+
+    reproject.sampler = new Sampler({
+      wrapS: TextureWrap.CLAMP_TO_EDGE,
+      wrapT: TextureWrap.CLAMP_TO_EDGE,
+      minificationFilter: TextureMinificationFilter.LINEAR,
+      magnificationFilter: TextureMagnificationFilter.LINEAR,
+    });
+  }
+
+  texture.sampler = reproject.sampler;
+
+  const width = texture.width;
+  const height = texture.height;
+
+  uniformMap.textureDimensions.x = width;
+  uniformMap.textureDimensions.y = height;
+  uniformMap.texture = texture;
+
+  const outputTexture = new Texture({
+    context: context,
+    width: width,
+    height: height,
+    pixelFormat: texture.pixelFormat,
+    pixelDatatype: texture.pixelDatatype,
+    preMultiplyAlpha: texture.preMultiplyAlpha,
+  });
+
+  // Allocate memory for the mipmaps, as in reprojectToGeographic.
+  if (CesiumMath.isPowerOfTwo(width) && CesiumMath.isPowerOfTwo(height)) {
+    outputTexture.generateMipmap(MipmapHint.NICEST);
+  }
+
+  const tilingScheme = imagery.imageryLayer.imageryProvider.tilingScheme;
+  const projection = tilingScheme.projection;
+  const nativeRectangle = tilingScheme.tileXYToNativeRectangle(
+    imagery.x,
+    imagery.y,
+    imagery.level,
+    reprojectNativeRectangleScratch
+  );
+  const oneOverNativeWidth =
+    1.0 / (nativeRectangle.east - nativeRectangle.west);
+  const oneOverNativeHeight =
+    1.0 / (nativeRectangle.north - nativeRectangle.south);
+
+  const rectangle = imagery.rectangle;
+  const rectangleWidth = Rectangle.computeWidth(rectangle);
+  const rectangleHeight = Rectangle.computeHeight(rectangle);
+  const cartographic = reprojectCartographicScratch;
+  const textureCoordinates = textureCoordinatesScratch;
+
+  let outputIndex = 0;
+  for (let j = 0; j < reprojectGridSize; ++j) {
+    cartographic.latitude =
+      rectangle.south + (j / (reprojectGridSize - 1)) * rectangleHeight;
+    for (let i = 0; i < reprojectGridSize; ++i) {
+      cartographic.longitude = CesiumMath.negativePiToPi(
+        rectangle.west + (i / (reprojectGridSize - 1)) * rectangleWidth
+      );
+      const projected = projection.project(
+        cartographic,
+        reprojectProjectedScratch
+      );
+      textureCoordinates[outputIndex++] =
+        (projected.x - nativeRectangle.west) * oneOverNativeWidth;
+      textureCoordinates[outputIndex++] =
+        (projected.y - nativeRectangle.south) * oneOverNativeHeight;
+    }
+  }
+
+  reproject.vertexArray
+    .getAttribute(1)
+    .vertexBuffer.copyFromArrayView(textureCoordinates);
+
+  command.shaderProgram = reproject.shaderProgram;
+  command.outputTexture = outputTexture;
+  command.uniformMap = uniformMap;
+  command.vertexArray = reproject.vertexArray;
+}
+
 /**
  * Gets the level with the specified world coordinate spacing between texels, or less.
  *
@@ -1528,6 +1862,30 @@ function getLevelWithMaximumTexelSpacing(
   )
     ? Math.cos(latitudeClosestToEquator)
     : 1.0;
+
+  if (tilingScheme instanceof TileMatrixSetTilingScheme) {
+    // The resolutions of the levels are not required to be powers of two of each other,
+    // so find the level with the closest texel spacing.  Only Web Mercator cells shrink
+    // away from the equator, the scale of conformal projections of smaller areas is close to 1.
+    const cellSizeFactor =
+      tilingScheme.projection instanceof WebMercatorProjection
+        ? latitudeFactor
+        : 1.0;
+    let closestLevel = 0;
+    let closestDifference = Number.POSITIVE_INFINITY;
+    const numberOfLevels = tilingScheme.numberOfLevels;
+    for (let level = 0; level < numberOfLevels; ++level) {
+      const levelTexelSpacing =
+        tilingScheme.getCellSize(level) * cellSizeFactor;
+      const difference = Math.abs(Math.log(levelTexelSpacing / texelSpacing));
+      if (difference < closestDifference) {
+        closestLevel = level;
+        closestDifference = difference;
+      }
+    }
+    return closestLevel;
+  }
+
   const tilingSchemeRectangle = tilingScheme.rectangle;
   const levelZeroMaximumTexelSpacing =
     (ellipsoid.maximumRadius * tilingSchemeRectangle.width * latitudeFactor) /
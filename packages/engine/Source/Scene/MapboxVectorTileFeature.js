@@ -0,0 +1,319 @@
+import defined from "../Core/defined.js";
+import MapboxVectorTileGeometryType from "./MapboxVectorTileGeometryType.js";
+
+/**
+ * The style of a single {@link MapboxVectorTileFeature}.  Properties that are not
+ * specified fall back to the default style of the provider or primitive that renders the feature.
+ *
+ * @typedef {Object} MapboxVectorTileFeature.Style
+ *
+ * @property {Boolean} [show=true] Whether the feature is rendered.
+ * @property {Color} [fillColor] The fill color of polygons.
+ * @property {Color} [strokeColor] The color of lines and polygon outlines.
+ * @property {Number} [strokeWidth] The width of lines and polygon outlines, in pixels.  Outlines are not drawn when this is zero.
+ * @property {Color} [pointColor] The color of points.
+ * @property {Number} [pointSize] The diameter of points, in pixels.
+ */
+
+/**
+ * A function that computes the style of a feature.  Return <code>undefined</code> to use the default style, or
+ * a style with <code>show</code> set to <code>false</code> to hide the feature.
+ *
+ * @callback MapboxVectorTileFeature.StyleCallback
+ *
+ * @param {MapboxVectorTileFeature} feature The feature to style.
+ * @param {Number} level The level of the tile containing the feature.
+ * @returns {MapboxVectorTileFeature.Style|undefined} The style of the feature.
+ */
+
+/**
+ * A feature of a Mapbox Vector Tile, rendered by a {@link MapboxVectorTileImageryProvider} or a
+ * {@link MapboxVectorTilePrimitive}.
+ * <p>
+ * Do not construct this directly.  Access it through {@link ImageryLayerFeatureInfo#data} when picking
+ * imagery with {@link ImageryLayerCollection#pickImageryLayerFeatures}, through the <code>id</code>
+ * of the object returned by {@link Scene#pick}, or as the argument of a {@link MapboxVectorTileFeature.StyleCallback}.
+ * </p>
+ *
+ * @alias MapboxVectorTileFeature
+ * @constructor
+ *
+ * @param {String} layerName The name of the layer containing the feature.
+ * @param {Object} decoded The decoded feature.
+ * @param {Number} extent The extent of the layer, in tile coordinates.
+ * @param {Number} x The X coordinate of the tile containing the feature.
+ * @param {Number} y The Y coordinate of the tile containing the feature.
+ * @param {Number} level The level of the tile containing the feature.
+ */
+function MapboxVectorTileFeature(layerName, decoded, extent, x, y, level) {
+  this._layerName = layerName;
+  this._id = decoded.id;
+  this._type = decoded.type;
+  this._properties = decoded.properties;
+  this._geometry = decoded.geometry;
+  this._extent = extent;
+  this._x = x;
+  this._y = y;
+  this._level = level;
+}
+
+Object.defineProperties(MapboxVectorTileFeature.prototype, {
+  /**
+   * Gets the name of the layer containing this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {String}
+   * @readonly
+   */
+  layerName: {
+    get: function () {
+      return this._layerName;
+    },
+  },
+
+  /**
+   * Gets the identifier of this feature, or undefined if the tile does not define one.
+   * Identifiers are only unique within a layer.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Number|undefined}
+   * @readonly
+   */
+  id: {
+    get: function () {
+      return this._id;
+    },
+  },
+
+  /**
+   * Gets the geometry type of this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {MapboxVectorTileGeometryType}
+   * @readonly
+   */
+  type: {
+    get: function () {
+      return this._type;
+    },
+  },
+
+  /**
+   * Gets the properties of this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Object}
+   * @readonly
+   */
+  properties: {
+    get: function () {
+      return this._properties;
+    },
+  },
+
+  /**
+   * Gets the geometry of this feature in tile coordinates, from 0 to {@link MapboxVectorTileFeature#extent},
+   * with y increasing downward.  Points are stored as a single flat array of coordinates, lines as one
+   * flat array per line, and polygons as one array of rings per polygon with the exterior ring first.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Array}
+   * @readonly
+   */
+  geometry: {
+    get: function () {
+      return this._geometry;
+    },
+  },
+
+  /**
+   * Gets the extent of the tile, in tile coordinates.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Number}
+   * @readonly
+   */
+  extent: {
+    get: function () {
+      return this._extent;
+    },
+  },
+
+  /**
+   * Gets the X coordinate of the tile containing this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Number}
+   * @readonly
+   */
+  x: {
+    get: function () {
+      return this._x;
+    },
+  },
+
+  /**
+   * Gets the Y coordinate of the tile containing this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Number}
+   * @readonly
+   */
+  y: {
+    get: function () {
+      return this._y;
+    },
+  },
+
+  /**
+   * Gets the level of the tile containing this feature.
+   *
+   * @memberof MapboxVectorTileFeature.prototype
+   * @type {Number}
+   * @readonly
+   */
+  level: {
+    get: function () {
+      return this._level;
+    },
+  },
+});
+
+/**
+ * Returns whether the feature contains this property.
+ *
+ * @param {String} name The case-sensitive name of the property.
+ * @returns {Boolean} Whether the feature contains this property.
+ */
+MapboxVectorTileFeature.prototype.hasProperty = function (name) {
+  return this._properties.hasOwnProperty(name);
+};
+
+/**
+ * Returns the value of the feature's property with the given name.
+ *
+ * @param {String} name The case-sensitive name of the property.
+ * @returns {*} The value of the property or <code>undefined</code> if the feature does not have this property.
+ */
+MapboxVectorTileFeature.prototype.getProperty = function (name) {
+  return this._properties[name];
+};
+
+function distanceSquaredToSegment(x, y, x0, y0, x1, y1) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSquared = dx * dx + dy * dy;
+  let t = 0.0;
+  if (lengthSquared > 0.0) {
+    t = ((x - x0) * dx + (y - y0) * dy) / lengthSquared;
+    t = Math.min(Math.max(t, 0.0), 1.0);
+  }
+  const px = x0 + t * dx - x;
+  const py = y0 + t * dy - y;
+  return px * px + py * py;
+}
+
+function isNearLine(line, closed, x, y, toleranceSquared) {
+  const length = line.length;
+  for (let i = 0; i + 3 < length; i += 2) {
+    const d = distanceSquaredToSegment(
+      x,
+      y,
+      line[i],
+      line[i + 1],
+      line[i + 2],
+      line[i + 3]
+    );
+    if (d <= toleranceSquared) {
+      return true;
+    }
+  }
+  return (
+    closed &&
+    length >= 4 &&
+    distanceSquaredToSegment(
+      x,
+      y,
+      line[length - 2],
+      line[length - 1],
+      line[0],
+      line[1]
+    ) <= toleranceSquared
+  );
+}
+
+function ringContains(ring, x, y) {
+  let inside = false;
+  const length = ring.length;
+  for (let i = 0, j = length - 2; i < length; j = i, i += 2) {
+    const xi = ring[i];
+    const yi = ring[i + 1];
+    const xj = ring[j];
+    const yj = ring[j + 1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Determines if the given tile coordinates hit this feature.
+ *
+ * @param {Number} x The x tile coordinate.
+ * @param {Number} y The y tile coordinate.
+ * @param {Number} tolerance The distance, in tile coordinates, within which points and lines are hit.
+ * @returns {Boolean} <code>true</code> if the feature is hit.
+ *
+ * @private
+ */
+MapboxVectorTileFeature.prototype.contains = function (x, y, tolerance) {
+  const geometry = this._geometry;
+  const toleranceSquared = tolerance * tolerance;
+  let i;
+  let j;
+
+  switch (this._type) {
+    case MapboxVectorTileGeometryType.POINT: {
+      const points = geometry[0];
+      if (!defined(points)) {
+        return false;
+      }
+      for (i = 0; i < points.length; i += 2) {
+        const dx = points[i] - x;
+        const dy = points[i + 1] - y;
+        if (dx * dx + dy * dy <= toleranceSquared) {
+          return true;
+        }
+      }
+      return false;
+    }
+    case MapboxVectorTileGeometryType.LINESTRING:
+      for (i = 0; i < geometry.length; ++i) {
+        if (isNearLine(geometry[i], false, x, y, toleranceSquared)) {
+          return true;
+        }
+      }
+      return false;
+    case MapboxVectorTileGeometryType.POLYGON:
+      for (i = 0; i < geometry.length; ++i) {
+        const rings = geometry[i];
+        let inside = false;
+        for (j = 0; j < rings.length; ++j) {
+          if (ringContains(rings[j], x, y)) {
+            inside = !inside;
+          }
+          if (isNearLine(rings[j], true, x, y, toleranceSquared)) {
+            return true;
+          }
+        }
+        if (inside) {
+          return true;
+        }
+      }
+      return false;
+    default:
+      return false;
+  }
+};
+export default MapboxVectorTileFeature;
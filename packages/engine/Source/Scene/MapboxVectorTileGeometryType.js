@@ -0,0 +1,37 @@
+/**
+ * The geometry type of a {@link MapboxVectorTileFeature}, as defined by the Mapbox Vector Tile specification.
+ *
+ * @enum {Number}
+ */
+const MapboxVectorTileGeometryType = {
+  /**
+   * The geometry type is unknown.  Features of this type are not rendered.
+   *
+   * @type {Number}
+   * @constant
+   */
+  UNKNOWN: 0,
+  /**
+   * One or more points.
+   *
+   * @type {Number}
+   * @constant
+   */
+  POINT: 1,
+  /**
+   * One or more lines.
+   *
+   * @type {Number}
+   * @constant
+   */
+  LINESTRING: 2,
+  /**
+   * One or more polygons, optionally with holes.
+   *
+   * @type {Number}
+   * @constant
+   */
+  POLYGON: 3,
+};
+
+export default Object.freeze(MapboxVectorTileGeometryType);
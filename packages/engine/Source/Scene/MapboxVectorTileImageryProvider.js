@@ -0,0 +1,622 @@
+import Cartographic from "../Core/Cartographic.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import Rectangle from "../Core/Rectangle.js";
+import ImageryLayerFeatureInfo from "./ImageryLayerFeatureInfo.js";
+import MapboxVectorTileGeometryType from "./MapboxVectorTileGeometryType.js";
+import MapboxVectorTileLoader from "./MapboxVectorTileLoader.js";
+
+/**
+ * @typedef {Object} MapboxVectorTileImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the MapboxVectorTileImageryProvider constructor
+ *
+ * @property {Resource|String} url The URL template of the vector tiles.  It has the following keywords:
+ * <ul>
+ *     <li><code>{z}</code>: The level of the tile in the tiling scheme.  Level zero is the root of the quadtree pyramid.</li>
+ *     <li><code>{x}</code>: The tile X coordinate in the tiling scheme, where 0 is the Westernmost tile.</li>
+ *     <li><code>{y}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Northernmost tile.</li>
+ *     <li><code>{reverseY}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Southernmost tile.</li>
+ *     <li><code>{s}</code>: One of the available subdomains, used to overcome browser limits on the number of simultaneous requests per host.</li>
+ * </ul>
+ * @property {String|String[]} [subdomains='abc'] The subdomains to use for the <code>{s}</code> placeholder in the URL template.
+ * @property {String[]} [layers] The names of the layers to render.  If undefined, all layers in the tiles are rendered.
+ * @property {MapboxVectorTileFeature.StyleCallback|Object.<String, MapboxVectorTileFeature.StyleCallback>} [style] A function that
+ *           styles each feature, or an object that maps layer names to such functions.  Features of layers without a style
+ *           function use the default style.
+ * @property {MapboxVectorTileFeature.Style} [defaultStyle] The style of features that are not styled by the <code>style</code> option.
+ * @property {TilingScheme} [tilingScheme=new WebMercatorTilingScheme()] The tiling scheme of the vector tiles.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {Number} [tileWidth=256] The width, in pixels, of the images the tiles are rasterized into.
+ * @property {Number} [tileHeight=256] The height, in pixels, of the images the tiles are rasterized into.
+ * @property {Number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.  Take care when specifying
+ *                 this that the number of tiles at the minimum level is small, such as four or less.  A larger number is likely
+ *                 to result in rendering problems.
+ * @property {Number} [maximumLevel] The maximum level-of-detail supported by the imagery provider, or undefined if there is no limit.
+ * @property {Rectangle} [rectangle=Rectangle.MAX_VALUE] The rectangle, in radians, covered by the tiles.
+ * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {Boolean} [enablePickFeatures=true] If true, {@link MapboxVectorTileImageryProvider#pickFeatures} returns the
+ *           features under the picked position.  If false, it returns undefined.
+ * @property {Number} [pickTolerance=3] The distance, in pixels, within which points and lines are picked.
+ * @property {Number} [maximumCachedTiles=64] The number of decoded tiles to keep in memory for picking.
+ */
+
+/**
+ * Provides imagery by rasterizing Mapbox Vector Tiles (MVT).  Tiles are decoded in a web worker and each
+ * feature is drawn with a style computed by a per-layer style function.
+ *
+ * @alias MapboxVectorTileImageryProvider
+ * @constructor
+ *
+ * @param {MapboxVectorTileImageryProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const provider = new Cesium.MapboxVectorTileImageryProvider({
+ *     url : 'https://tiles.example.com/basemap/{z}/{x}/{y}.pbf',
+ *     maximumLevel : 14,
+ *     style : {
+ *         water : function(feature, level) {
+ *             return {
+ *                 fillColor : Cesium.Color.CORNFLOWERBLUE,
+ *                 strokeWidth : 0.0
+ *             };
+ *         },
+ *         roads : function(feature, level) {
+ *             return {
+ *                 show : level >= 10 || feature.getProperty('class') === 'motorway',
+ *                 strokeColor : Cesium.Color.ORANGE,
+ *                 strokeWidth : 2.0
+ *             };
+ *         }
+ *     }
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see MapboxVectorTilePrimitive
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ */
+function MapboxVectorTileImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  /**
+   * The default alpha blending value of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the night side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultNightAlpha = undefined;
+
+  /**
+   * The default alpha blending value on the day side of the globe of this provider, with 0.0 representing fully transparent and
+   * 1.0 representing fully opaque.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultDayAlpha = undefined;
+
+  /**
+   * The default brightness of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0
+   * makes the imagery darker while greater than 1.0 makes it brighter.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultBrightness = undefined;
+
+  /**
+   * The default contrast of this provider.  1.0 uses the unmodified imagery color.  Less than 1.0 reduces
+   * the contrast while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultContrast = undefined;
+
+  /**
+   * The default hue of this provider in radians. 0.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultHue = undefined;
+
+  /**
+   * The default saturation of this provider. 1.0 uses the unmodified imagery color. Less than 1.0 reduces the
+   * saturation while greater than 1.0 increases it.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultSaturation = undefined;
+
+  /**
+   * The default gamma correction to apply to this provider.  1.0 uses the unmodified imagery color.
+   *
+   * @type {Number|undefined}
+   * @default undefined
+   */
+  this.defaultGamma = undefined;
+
+  /**
+   * The default texture minification filter to apply to this provider.
+   *
+   * @type {TextureMinificationFilter}
+   * @default undefined
+   */
+  this.defaultMinificationFilter = undefined;
+
+  /**
+   * The default texture magnification filter to apply to this provider.
+   *
+   * @type {TextureMagnificationFilter}
+   * @default undefined
+   */
+  this.defaultMagnificationFilter = undefined;
+
+  /**
+   * Gets or sets a value indicating whether feature picking is enabled.  If true, {@link MapboxVectorTileImageryProvider#pickFeatures}
+   * returns the features of the tile under the picked position.  If false, {@link MapboxVectorTileImageryProvider#pickFeatures}
+   * immediately returns undefined.
+   *
+   * @type {Boolean}
+   * @default true
+   */
+  this.enablePickFeatures = defaultValue(options.enablePickFeatures, true);
+
+  this._loader = new MapboxVectorTileLoader(options);
+  this._resource = this._loader._resource;
+  this._tilingScheme = this._loader.tilingScheme;
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._rectangle = Rectangle.intersection(
+    defaultValue(options.rectangle, this._tilingScheme.rectangle),
+    this._tilingScheme.rectangle
+  );
+  this._pickTolerance = defaultValue(options.pickTolerance, 3.0);
+  this._errorEvent = new Event();
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._readyPromise = Promise.resolve(true);
+}
+
+Object.defineProperties(MapboxVectorTileImageryProvider.prototype, {
+  /**
+   * Gets the URL template of the vector tiles.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {String}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return this._resource.proxy;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels. This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+   * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+   * returns undefined, no tiles are filtered.  This function should
+   * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider is ready for use.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to true when the provider is ready for use.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Promise.<Boolean>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.  This function should not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  Rasterized vector tiles are transparent where there are no features,
+   * so this property is always true.
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+});
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+MapboxVectorTileImageryProvider.prototype.getTileCredits = function (
+  x,
+  y,
+  level
+) {
+  return undefined;
+};
+
+function drawPath(context, coordinates, scaleX, scaleY) {
+  context.moveTo(coordinates[0] * scaleX, coordinates[1] * scaleY);
+  for (let i = 2; i < coordinates.length; i += 2) {
+    context.lineTo(coordinates[i] * scaleX, coordinates[i + 1] * scaleY);
+  }
+}
+
+function drawFeature(context, feature, style, scaleX, scaleY) {
+  const geometry = feature.geometry;
+  let i;
+  let j;
+
+  switch (feature.type) {
+    case MapboxVectorTileGeometryType.POLYGON:
+      context.beginPath();
+      for (i = 0; i < geometry.length; ++i) {
+        const rings = geometry[i];
+        for (j = 0; j < rings.length; ++j) {
+          drawPath(context, rings[j], scaleX, scaleY);
+          context.closePath();
+        }
+      }
+      context.fillStyle = style.fillColor.toCssColorString();
+      context.fill();
+      if (style.strokeWidth > 0.0) {
+        context.lineWidth = style.strokeWidth;
+        context.strokeStyle = style.strokeColor.toCssColorString();
+        context.stroke();
+      }
+      break;
+    case MapboxVectorTileGeometryType.LINESTRING:
+      if (style.strokeWidth <= 0.0) {
+        break;
+      }
+      context.beginPath();
+      for (i = 0; i < geometry.length; ++i) {
+        drawPath(context, geometry[i], scaleX, scaleY);
+      }
+      context.lineWidth = style.strokeWidth;
+      context.strokeStyle = style.strokeColor.toCssColorString();
+      context.stroke();
+      break;
+    case MapboxVectorTileGeometryType.POINT: {
+      const points = geometry[0];
+      const radius = style.pointSize * 0.5;
+      context.beginPath();
+      for (i = 0; i < points.length; i += 2) {
+        const x = points[i] * scaleX;
+        const y = points[i + 1] * scaleY;
+        context.moveTo(x + radius, y);
+        context.arc(x, y, radius, 0.0, 2.0 * Math.PI);
+      }
+      context.fillStyle = style.pointColor.toCssColorString();
+      context.fill();
+      break;
+    }
+  }
+}
+
+function rasterize(provider, features, level) {
+  const canvas = document.createElement("canvas");
+  canvas.width = provider._tileWidth;
+  canvas.height = provider._tileHeight;
+
+  const context = canvas.getContext("2d");
+  context.lineCap = "round";
+  context.lineJoin = "round";
+
+  const loader = provider._loader;
+  const length = features.length;
+  for (let i = 0; i < length; ++i) {
+    const feature = features[i];
+    const style = loader.getStyle(feature, level);
+    if (!defined(style)) {
+      continue;
+    }
+    const extent = feature.extent;
+    drawFeature(
+      context,
+      feature,
+      style,
+      canvas.width / extent,
+      canvas.height / extent
+    );
+  }
+
+  return canvas;
+}
+
+/**
+ * Requests the image for a given tile.  This function should
+ * not be called before {@link MapboxVectorTileImageryProvider#ready} returns true.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise.<HTMLCanvasElement>|undefined} A promise for the rasterized tile that will resolve when the tile
+ *          is loaded and decoded, or undefined if there are too many active requests to the server, and the request
+ *          should be retried later.
+ */
+MapboxVectorTileImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const promise = this._loader.requestTile(x, y, level, request);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (features) {
+    return rasterize(that, features, level);
+  });
+};
+
+const scratchProjectedRectangle = new Rectangle();
+const scratchCartographic = new Cartographic();
+
+/**
+ * Asynchronously determines what features, if any, are located at a given longitude and latitude within
+ * a tile.  Only features that are shown by the style are picked.  This function should not be called before
+ * {@link MapboxVectorTileImageryProvider#ready} returns true.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Number} longitude The longitude at which to pick features.
+ * @param {Number} latitude  The latitude at which to pick features.
+ * @return {Promise.<ImageryLayerFeatureInfo[]>|undefined} A promise for the picked features that will resolve when the asynchronous
+ *                   picking completes.  The resolved value is an array of {@link ImageryLayerFeatureInfo}
+ *                   instances whose <code>data</code> is the picked {@link MapboxVectorTileFeature}.  The array may be
+ *                   empty if no features are found at the given location.  It is undefined if picking is disabled.
+ */
+MapboxVectorTileImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  if (!this.enablePickFeatures) {
+    return undefined;
+  }
+
+  const promise = this._loader.requestTile(x, y, level);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (features) {
+    const loader = that._loader;
+    const projectedRectangle = loader.computeProjectedRectangle(
+      x,
+      y,
+      level,
+      scratchProjectedRectangle
+    );
+    const position = Cartographic.fromRadians(
+      longitude,
+      latitude,
+      0.0,
+      scratchCartographic
+    );
+
+    const result = [];
+    for (let i = features.length - 1; i >= 0; --i) {
+      const feature = features[i];
+      const style = loader.getStyle(feature, level);
+      if (!defined(style)) {
+        continue;
+      }
+
+      const extent = feature.extent;
+      const tileCoordinates = loader.cartographicToTileCoordinates(
+        projectedRectangle,
+        extent,
+        position
+      );
+      const pixelSize = extent / that._tileWidth;
+      let tolerance = that._pickTolerance;
+      if (feature.type === MapboxVectorTileGeometryType.POINT) {
+        tolerance = Math.max(tolerance, style.pointSize * 0.5);
+      } else if (feature.type === MapboxVectorTileGeometryType.LINESTRING) {
+        tolerance = Math.max(tolerance, style.strokeWidth * 0.5);
+      }
+
+      if (
+        !feature.contains(
+          tileCoordinates.x,
+          tileCoordinates.y,
+          tolerance * pixelSize
+        )
+      ) {
+        continue;
+      }
+
+      const featureInfo = new ImageryLayerFeatureInfo();
+      featureInfo.data = feature;
+      featureInfo.position = Cartographic.fromRadians(longitude, latitude);
+      featureInfo.configureNameFromProperties(feature.properties);
+      featureInfo.configureDescriptionFromProperties(feature.properties);
+      result.push(featureInfo);
+    }
+
+    return result;
+  });
+};
+export default MapboxVectorTileImageryProvider;
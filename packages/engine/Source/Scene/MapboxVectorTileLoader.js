@@ -0,0 +1,317 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import TaskProcessor from "../Core/TaskProcessor.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import MapboxVectorTileFeature from "./MapboxVectorTileFeature.js";
+
+const defaultStyle = Object.freeze({
+  show: true,
+  fillColor: Color.WHITE.withAlpha(0.5),
+  strokeColor: Color.WHITE,
+  strokeWidth: 1.0,
+  pointColor: Color.WHITE,
+  pointSize: 6.0,
+});
+
+const decodeTaskProcessor = new TaskProcessor("decodeMapboxVectorTile");
+
+/**
+ * Requests, decodes, caches and styles Mapbox Vector Tiles.  Shared by {@link MapboxVectorTileImageryProvider}
+ * and {@link MapboxVectorTilePrimitive}.
+ *
+ * @alias MapboxVectorTileLoader
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Resource|String} options.url The URL template of the tiles.  It may contain the <code>{x}</code>, <code>{y}</code>,
+ *        <code>{z}</code>, <code>{reverseY}</code> and <code>{s}</code> keywords.
+ * @param {String|String[]} [options.subdomains='abc'] The subdomains used for the <code>{s}</code> keyword.
+ * @param {TilingScheme} [options.tilingScheme=new WebMercatorTilingScheme()] The tiling scheme of the tiles.
+ * @param {Ellipsoid} [options.ellipsoid] The ellipsoid.  If the tilingScheme is specified, this parameter is ignored.
+ * @param {String[]} [options.layers] The names of the layers to load.  If undefined, all layers are loaded.
+ * @param {MapboxVectorTileFeature.StyleCallback|Object.<String, MapboxVectorTileFeature.StyleCallback>} [options.style] A function
+ *        that styles each feature, or an object mapping layer names to such functions.
+ * @param {MapboxVectorTileFeature.Style} [options.defaultStyle] The style of features that the style function does not style.
+ * @param {Number} [options.maximumCachedTiles=64] The number of decoded tiles to keep in memory.
+ *
+ * @private
+ */
+function MapboxVectorTileLoader(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  this._resource = Resource.createIfNeeded(options.url);
+
+  let subdomains = options.subdomains;
+  if (Array.isArray(subdomains)) {
+    subdomains = subdomains.slice();
+  } else if (defined(subdomains) && subdomains.length > 0) {
+    subdomains = subdomains.split("");
+  } else {
+    subdomains = ["a", "b", "c"];
+  }
+  this._subdomains = subdomains;
+
+  this._tilingScheme = defined(options.tilingScheme)
+    ? options.tilingScheme
+    : new WebMercatorTilingScheme({ ellipsoid: options.ellipsoid });
+  this._layers = defined(options.layers) ? options.layers.slice() : undefined;
+  this._style = options.style;
+  this._defaultStyle = Object.assign(
+    {},
+    defaultStyle,
+    defaultValue(options.defaultStyle, defaultValue.EMPTY_OBJECT)
+  );
+  this._maximumCachedTiles = defaultValue(options.maximumCachedTiles, 64);
+  this._cache = new Map();
+}
+
+Object.defineProperties(MapboxVectorTileLoader.prototype, {
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+});
+
+MapboxVectorTileLoader.DEFAULT_STYLE = defaultStyle;
+
+function decode(buffer) {
+  return decodeTaskProcessor.scheduleTask(
+    {
+      buffer: buffer,
+    },
+    [buffer]
+  );
+}
+
+function createFeatures(loader, decoded, x, y, level) {
+  const layerNames = loader._layers;
+  const features = [];
+  const layers = decoded.layers;
+  for (let i = 0; i < layers.length; ++i) {
+    const layer = layers[i];
+    if (defined(layerNames) && layerNames.indexOf(layer.name) === -1) {
+      continue;
+    }
+    const decodedFeatures = layer.features;
+    for (let j = 0; j < decodedFeatures.length; ++j) {
+      features.push(
+        new MapboxVectorTileFeature(
+          layer.name,
+          decodedFeatures[j],
+          layer.extent,
+          x,
+          y,
+          level
+        )
+      );
+    }
+  }
+  return features;
+}
+
+/**
+ * Requests and decodes a tile.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Request} [request] The request object.
+ * @returns {Promise.<MapboxVectorTileFeature[]>|undefined} A promise for the features of the tile, or undefined
+ *          if the request was throttled.
+ */
+MapboxVectorTileLoader.prototype.requestTile = function (x, y, level, request) {
+  const key = `${level}/${x}/${y}`;
+  const cache = this._cache;
+  const cached = cache.get(key);
+  if (defined(cached)) {
+    // Move the tile to the back of the eviction order
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  const subdomains = this._subdomains;
+  const resource = this._resource.getDerivedResource({
+    request: request,
+  });
+  resource.setTemplateValues({
+    x: x,
+    y: y,
+    z: level,
+    reverseY: this._tilingScheme.getNumberOfYTilesAtLevel(level) - y - 1,
+    s: subdomains[(x + y + level) % subdomains.length],
+  });
+
+  const bufferPromise = resource.fetchArrayBuffer();
+  if (!defined(bufferPromise)) {
+    return undefined;
+  }
+
+  const that = this;
+  const promise = bufferPromise
+    .then(function (buffer) {
+      return decode(buffer);
+    })
+    .then(function (decoded) {
+      return createFeatures(that, decoded, x, y, level);
+    })
+    .catch(function (error) {
+      cache.delete(key);
+      return Promise.reject(error);
+    });
+
+  cache.set(key, promise);
+  if (cache.size > this._maximumCachedTiles) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return promise;
+};
+
+/**
+ * Computes the style of a feature.
+ *
+ * @param {MapboxVectorTileFeature} feature The feature.
+ * @param {Number} level The level at which the feature is rendered.
+ * @returns {MapboxVectorTileFeature.Style|undefined} The complete style of the feature, or undefined if it is hidden.
+ */
+MapboxVectorTileLoader.prototype.getStyle = function (feature, level) {
+  let style = this._style;
+  if (defined(style) && typeof style !== "function") {
+    style = style[feature.layerName];
+  }
+
+  const defaults = this._defaultStyle;
+  const featureStyle = defined(style) ? style(feature, level) : undefined;
+  if (!defined(featureStyle)) {
+    return defaults.show ? defaults : undefined;
+  }
+
+  const result = Object.assign({}, defaults, featureStyle);
+  return result.show ? result : undefined;
+};
+
+const scratchSouthwest = new Cartesian3();
+const scratchNortheast = new Cartesian3();
+const scratchCartographic = new Cartographic();
+const scratchRectangle = new Rectangle();
+
+/**
+ * Computes the native rectangle of a tile in the projection of the tiling scheme.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Rectangle} [result] The object onto which to store the result.
+ * @returns {Rectangle} The projected rectangle of the tile.
+ */
+MapboxVectorTileLoader.prototype.computeProjectedRectangle = function (
+  x,
+  y,
+  level,
+  result
+) {
+  const tilingScheme = this._tilingScheme;
+  const projection = tilingScheme.projection;
+  const rectangle = tilingScheme.tileXYToRectangle(
+    x,
+    y,
+    level,
+    scratchRectangle
+  );
+  const southwest = projection.project(
+    Rectangle.southwest(rectangle, scratchCartographic),
+    scratchSouthwest
+  );
+  const northeast = projection.project(
+    Rectangle.northeast(rectangle, scratchCartographic),
+    scratchNortheast
+  );
+
+  if (!defined(result)) {
+    result = new Rectangle();
+  }
+  result.west = southwest.x;
+  result.south = southwest.y;
+  result.east = northeast.x;
+  result.north = northeast.y;
+  return result;
+};
+
+const scratchProjected = new Cartesian3();
+
+/**
+ * Converts tile coordinates to a cartographic position.
+ *
+ * @param {Rectangle} projectedRectangle The projected rectangle of the tile.
+ * @param {Number} extent The extent of the tile, in tile coordinates.
+ * @param {Number} tileX The x tile coordinate.
+ * @param {Number} tileY The y tile coordinate.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The cartographic position.
+ */
+MapboxVectorTileLoader.prototype.tileCoordinatesToCartographic = function (
+  projectedRectangle,
+  extent,
+  tileX,
+  tileY,
+  result
+) {
+  const projected = scratchProjected;
+  projected.x =
+    projectedRectangle.west +
+    (tileX / extent) * (projectedRectangle.east - projectedRectangle.west);
+  projected.y =
+    projectedRectangle.north -
+    (tileY / extent) * (projectedRectangle.north - projectedRectangle.south);
+  projected.z = 0.0;
+  return this._tilingScheme.projection.unproject(projected, result);
+};
+
+/**
+ * Converts a cartographic position to tile coordinates.
+ *
+ * @param {Rectangle} projectedRectangle The projected rectangle of the tile.
+ * @param {Number} extent The extent of the tile, in tile coordinates.
+ * @param {Cartographic} cartographic The cartographic position.
+ * @param {Cartesian3} [result] The object onto which to store the result.
+ * @returns {Cartesian3} The tile coordinates in the x and y components.
+ */
+MapboxVectorTileLoader.prototype.cartographicToTileCoordinates = function (
+  projectedRectangle,
+  extent,
+  cartographic,
+  result
+) {
+  const projected = this._tilingScheme.projection.project(
+    cartographic,
+    scratchProjected
+  );
+  if (!defined(result)) {
+    result = new Cartesian3();
+  }
+  result.x =
+    ((projected.x - projectedRectangle.west) /
+      (projectedRectangle.east - projectedRectangle.west)) *
+    extent;
+  result.y =
+    ((projectedRectangle.north - projected.y) /
+      (projectedRectangle.north - projectedRectangle.south)) *
+    extent;
+  result.z = 0.0;
+  return result;
+};
+export default MapboxVectorTileLoader;
@@ -0,0 +1,603 @@
+import Cartographic from "../Core/Cartographic.js";
+import ColorGeometryInstanceAttribute from "../Core/ColorGeometryInstanceAttribute.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import GroundPolylineGeometry from "../Core/GroundPolylineGeometry.js";
+import PolygonGeometry from "../Core/PolygonGeometry.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Rectangle from "../Core/Rectangle.js";
+import BillboardCollection from "./BillboardCollection.js";
+import ClassificationType from "./ClassificationType.js";
+import GroundPolylinePrimitive from "./GroundPolylinePrimitive.js";
+import GroundPrimitive from "./GroundPrimitive.js";
+import HeightReference from "./HeightReference.js";
+import MapboxVectorTileGeometryType from "./MapboxVectorTileGeometryType.js";
+import MapboxVectorTileLoader from "./MapboxVectorTileLoader.js";
+import PerInstanceColorAppearance from "./PerInstanceColorAppearance.js";
+import PolylineColorAppearance from "./PolylineColorAppearance.js";
+import PrimitiveCollection from "./PrimitiveCollection.js";
+
+/**
+ * A primitive that renders the features of Mapbox Vector Tiles (MVT) as geometry clamped to terrain and
+ * 3D Tiles.  All tiles at a single level that cover a rectangle are loaded and decoded in a web worker.
+ * Polygons are rendered with a {@link GroundPrimitive}, lines and polygon outlines with a
+ * {@link GroundPolylinePrimitive} and points with a {@link BillboardCollection}.
+ * <p>
+ * Picking the primitive with {@link Scene#pick} returns an object whose <code>id</code> is the picked
+ * {@link MapboxVectorTileFeature}.
+ * </p>
+ *
+ * @alias MapboxVectorTilePrimitive
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Resource|String} options.url The URL template of the vector tiles.  It may contain the <code>{x}</code>,
+ *        <code>{y}</code>, <code>{z}</code>, <code>{reverseY}</code> and <code>{s}</code> keywords.
+ * @param {Rectangle} options.rectangle The rectangle, in radians, for which to load features.
+ * @param {Number} options.level The level of the tiles to load.
+ * @param {String|String[]} [options.subdomains='abc'] The subdomains to use for the <code>{s}</code> placeholder in the URL template.
+ * @param {String[]} [options.layers] The names of the layers to render.  If undefined, all layers are rendered.
+ * @param {MapboxVectorTileFeature.StyleCallback|Object.<String, MapboxVectorTileFeature.StyleCallback>} [options.style] A function
+ *        that styles each feature, or an object that maps layer names to such functions.
+ * @param {MapboxVectorTileFeature.Style} [options.defaultStyle] The style of features that are not styled by the <code>style</code> option.
+ * @param {TilingScheme} [options.tilingScheme=new WebMercatorTilingScheme()] The tiling scheme of the vector tiles.
+ * @param {Ellipsoid} [options.ellipsoid] The ellipsoid.  If the tilingScheme is specified, this parameter is ignored.
+ * @param {ClassificationType} [options.classificationType=ClassificationType.BOTH] Determines whether terrain, 3D Tiles or both are classified.
+ * @param {Scene} [options.scene] The scene used to clamp points to the ground.  If undefined, points are placed on the ellipsoid.
+ * @param {Boolean} [options.show=true] Determines if the primitive will be shown.
+ *
+ * @exception {DeveloperError} options.url is required.
+ * @exception {DeveloperError} options.rectangle is required.
+ * @exception {DeveloperError} options.level is required.
+ *
+ * @example
+ * const primitive = scene.primitives.add(new Cesium.MapboxVectorTilePrimitive({
+ *     url : 'https://tiles.example.com/parcels/{z}/{x}/{y}.pbf',
+ *     rectangle : Cesium.Rectangle.fromDegrees(34.76, 32.05, 34.82, 32.10),
+ *     level : 14,
+ *     layers : ['parcels'],
+ *     style : function(feature, level) {
+ *         return {
+ *             fillColor : Cesium.Color.YELLOW.withAlpha(0.4),
+ *             strokeColor : Cesium.Color.BLACK,
+ *             strokeWidth : 2.0
+ *         };
+ *     },
+ *     scene : scene
+ * }));
+ *
+ * @see MapboxVectorTileImageryProvider
+ */
+function MapboxVectorTilePrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  if (!defined(options.rectangle)) {
+    throw new DeveloperError("options.rectangle is required.");
+  }
+  if (!defined(options.level)) {
+    throw new DeveloperError("options.level is required.");
+  }
+  //>>includeEnd('debug');
+
+  /**
+   * Determines if the primitive will be shown.
+   *
+   * @type {Boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  this._loader = new MapboxVectorTileLoader(options);
+  this._rectangle = Rectangle.clone(options.rectangle);
+  this._level = options.level;
+  this._classificationType = defaultValue(
+    options.classificationType,
+    ClassificationType.BOTH
+  );
+  this._scene = options.scene;
+
+  this._features = [];
+  this._primitives = undefined;
+  this._ready = false;
+
+  const that = this;
+  this._readyPromise = loadTiles(this).then(function () {
+    if (that.isDestroyed()) {
+      return that;
+    }
+    return createPrimitives(that);
+  });
+}
+
+Object.defineProperties(MapboxVectorTilePrimitive.prototype, {
+  /**
+   * Gets the rectangle, in radians, for which features are loaded.
+   *
+   * @memberof MapboxVectorTilePrimitive.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the level of the loaded tiles.
+   *
+   * @memberof MapboxVectorTilePrimitive.prototype
+   * @type {Number}
+   * @readonly
+   */
+  level: {
+    get: function () {
+      return this._level;
+    },
+  },
+
+  /**
+   * Gets the loaded features.  This is empty until the tiles are loaded.
+   *
+   * @memberof MapboxVectorTilePrimitive.prototype
+   * @type {MapboxVectorTileFeature[]}
+   * @readonly
+   */
+  features: {
+    get: function () {
+      return this._features;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the tiles are loaded and the primitive is ready to render.
+   *
+   * @memberof MapboxVectorTilePrimitive.prototype
+   * @type {Boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  /**
+   * Gets a promise that resolves to this primitive when the tiles are loaded and the primitive is ready to render.
+   *
+   * @memberof MapboxVectorTilePrimitive.prototype
+   * @type {Promise.<MapboxVectorTilePrimitive>}
+   * @readonly
+   */
+  readyPromise: {
+    get: function () {
+      return this._readyPromise;
+    },
+  },
+});
+
+function loadTiles(primitive) {
+  const loader = primitive._loader;
+  const tilingScheme = loader.tilingScheme;
+  const level = primitive._level;
+  const rectangle = Rectangle.intersection(
+    primitive._rectangle,
+    tilingScheme.rectangle
+  );
+  if (!defined(rectangle)) {
+    return Promise.resolve([]);
+  }
+
+  const northwest = tilingScheme.positionToTileXY(
+    Rectangle.northwest(rectangle),
+    level
+  );
+  const southeast = tilingScheme.positionToTileXY(
+    Rectangle.southeast(rectangle),
+    level
+  );
+  if (!defined(northwest) || !defined(southeast)) {
+    return Promise.resolve([]);
+  }
+
+  const numberOfXTiles = tilingScheme.getNumberOfXTilesAtLevel(level);
+  let columns = southeast.x - northwest.x + 1;
+  if (columns <= 0) {
+    // The rectangle crosses the anti-meridian
+    columns += numberOfXTiles;
+  }
+
+  const promises = [];
+  for (let j = northwest.y; j <= southeast.y; ++j) {
+    for (let i = 0; i < columns; ++i) {
+      const x = (northwest.x + i) % numberOfXTiles;
+      promises.push(loader.requestTile(x, j, level));
+    }
+  }
+
+  return Promise.all(promises).then(function (tiles) {
+    const features = primitive._features;
+    for (let i = 0; i < tiles.length; ++i) {
+      features.push.apply(features, tiles[i]);
+    }
+    return features;
+  });
+}
+
+function clipAxis(ring, axis, value, keepGreater) {
+  const result = [];
+  const length = ring.length;
+  if (length === 0) {
+    return result;
+  }
+
+  let previousX = ring[length - 2];
+  let previousY = ring[length - 1];
+  let previousInside = keepGreater
+    ? ring[length - 2 + axis] >= value
+    : ring[length - 2 + axis] <= value;
+
+  for (let i = 0; i < length; i += 2) {
+    const x = ring[i];
+    const y = ring[i + 1];
+    const inside = keepGreater
+      ? ring[i + axis] >= value
+      : ring[i + axis] <= value;
+    if (inside !== previousInside) {
+      const current = axis === 0 ? x : y;
+      const previous = axis === 0 ? previousX : previousY;
+      const t = (value - previous) / (current - previous);
+      result.push(
+        previousX + t * (x - previousX),
+        previousY + t * (y - previousY)
+      );
+    }
+    if (inside) {
+      result.push(x, y);
+    }
+    previousX = x;
+    previousY = y;
+    previousInside = inside;
+  }
+
+  return result;
+}
+
+// Tiles contain a buffer of geometry beyond their edges. Clip it so that features
+// crossing tile boundaries do not overlap where adjacent tiles meet.
+function clipRing(ring, extent) {
+  ring = clipAxis(ring, 0, 0, true);
+  ring = clipAxis(ring, 0, extent, false);
+  ring = clipAxis(ring, 1, 0, true);
+  return clipAxis(ring, 1, extent, false);
+}
+
+function clipLine(line, extent) {
+  const lines = [];
+  let current;
+  for (let i = 0; i + 3 < line.length; i += 2) {
+    let x0 = line[i];
+    let y0 = line[i + 1];
+    const dx = line[i + 2] - x0;
+    const dy = line[i + 3] - y0;
+
+    // Liang-Barsky clipping of the segment against the tile
+    let t0 = 0.0;
+    let t1 = 1.0;
+    const p = [-dx, dx, -dy, dy];
+    const q = [x0, extent - x0, y0, extent - y0];
+    let visible = true;
+    for (let k = 0; k < 4 && visible; ++k) {
+      if (p[k] === 0.0) {
+        visible = q[k] >= 0.0;
+      } else {
+        const t = q[k] / p[k];
+        if (p[k] < 0.0) {
+          t0 = Math.max(t0, t);
+        } else {
+          t1 = Math.min(t1, t);
+        }
+        visible = t0 <= t1;
+      }
+    }
+
+    if (!visible) {
+      current = undefined;
+      continue;
+    }
+
+    const x1 = x0 + t1 * dx;
+    const y1 = y0 + t1 * dy;
+    x0 = x0 + t0 * dx;
+    y0 = y0 + t0 * dy;
+    if (!defined(current) || t0 > 0.0) {
+      current = [x0, y0];
+      lines.push(current);
+    }
+    current.push(x1, y1);
+    if (t1 < 1.0) {
+      current = undefined;
+    }
+  }
+  return lines;
+}
+
+const scratchProjectedRectangle = new Rectangle();
+const scratchCartographic = new Cartographic();
+
+function toPositions(primitive, feature, projectedRectangle, coordinates) {
+  const loader = primitive._loader;
+  const ellipsoid = loader.tilingScheme.ellipsoid;
+  const positions = [];
+  for (let i = 0; i < coordinates.length; i += 2) {
+    const cartographic = loader.tileCoordinatesToCartographic(
+      projectedRectangle,
+      feature.extent,
+      coordinates[i],
+      coordinates[i + 1],
+      scratchCartographic
+    );
+    positions.push(ellipsoid.cartographicToCartesian(cartographic));
+  }
+  return positions;
+}
+
+const pointImages = {};
+
+function getPointImage(color, size) {
+  const key = `${color.toCssColorString()}-${size}`;
+  let canvas = pointImages[key];
+  if (!defined(canvas)) {
+    canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(size);
+    canvas.height = Math.ceil(size);
+    const context = canvas.getContext("2d");
+    context.beginPath();
+    context.arc(size * 0.5, size * 0.5, size * 0.5, 0.0, 2.0 * Math.PI);
+    context.fillStyle = color.toCssColorString();
+    context.fill();
+    pointImages[key] = canvas;
+  }
+  return {
+    id: `MapboxVectorTilePoint-${key}`,
+    image: canvas,
+  };
+}
+
+function addOutline(instances, positions, closed, style, feature) {
+  if (positions.length < 2 || style.strokeWidth <= 0.0) {
+    return;
+  }
+  instances.push(
+    new GeometryInstance({
+      geometry: new GroundPolylineGeometry({
+        positions: positions,
+        width: style.strokeWidth,
+        loop: closed,
+      }),
+      attributes: {
+        color: ColorGeometryInstanceAttribute.fromColor(style.strokeColor),
+      },
+      id: feature,
+    })
+  );
+}
+
+function createPrimitives(primitive) {
+  const loader = primitive._loader;
+  const level = primitive._level;
+  const features = primitive._features;
+  const ellipsoid = loader.tilingScheme.ellipsoid;
+
+  const polygonInstances = [];
+  const polylineInstances = [];
+  let billboards;
+
+  for (let i = 0; i < features.length; ++i) {
+    const feature = features[i];
+    const style = loader.getStyle(feature, level);
+    if (!defined(style)) {
+      continue;
+    }
+
+    const extent = feature.extent;
+    const geometry = feature.geometry;
+    const projectedRectangle = loader.computeProjectedRectangle(
+      feature.x,
+      feature.y,
+      feature.level,
+      scratchProjectedRectangle
+    );
+    let j;
+    let k;
+
+    switch (feature.type) {
+      case MapboxVectorTileGeometryType.POLYGON:
+        for (j = 0; j < geometry.length; ++j) {
+          const rings = [];
+          for (k = 0; k < geometry[j].length; ++k) {
+            const ring = clipRing(geometry[j][k], extent);
+            if (ring.length >= 6) {
+              rings.push(
+                toPositions(primitive, feature, projectedRectangle, ring)
+              );
+            } else if (k === 0) {
+              break;
+            }
+          }
+          if (rings.length === 0) {
+            continue;
+          }
+
+          const holes = [];
+          for (k = 1; k < rings.length; ++k) {
+            holes.push(new PolygonHierarchy(rings[k]));
+          }
+          polygonInstances.push(
+            new GeometryInstance({
+              geometry: new PolygonGeometry({
+                polygonHierarchy: new PolygonHierarchy(rings[0], holes),
+                ellipsoid: ellipsoid,
+                vertexFormat: PerInstanceColorAppearance.FLAT_VERTEX_FORMAT,
+              }),
+              attributes: {
+                color: ColorGeometryInstanceAttribute.fromColor(
+                  style.fillColor
+                ),
+              },
+              id: feature,
+            })
+          );
+          for (k = 0; k < rings.length; ++k) {
+            addOutline(polylineInstances, rings[k], true, style, feature);
+          }
+        }
+        break;
+      case MapboxVectorTileGeometryType.LINESTRING:
+        for (j = 0; j < geometry.length; ++j) {
+          const lines = clipLine(geometry[j], extent);
+          for (k = 0; k < lines.length; ++k) {
+            addOutline(
+              polylineInstances,
+              toPositions(primitive, feature, projectedRectangle, lines[k]),
+              false,
+              style,
+              feature
+            );
+          }
+        }
+        break;
+      case MapboxVectorTileGeometryType.POINT: {
+        const points = geometry[0];
+        const image = getPointImage(style.pointColor, style.pointSize);
+        for (j = 0; j < points.length; j += 2) {
+          const x = points[j];
+          const y = points[j + 1];
+          if (x < 0 || y < 0 || x >= extent || y >= extent) {
+            continue;
+          }
+          if (!defined(billboards)) {
+            billboards = new BillboardCollection({
+              scene: primitive._scene,
+            });
+          }
+          const cartographic = loader.tileCoordinatesToCartographic(
+            projectedRectangle,
+            extent,
+            x,
+            y,
+            scratchCartographic
+          );
+          const billboard = billboards.add({
+            position: ellipsoid.cartographicToCartesian(cartographic),
+            heightReference: defined(primitive._scene)
+              ? HeightReference.CLAMP_TO_GROUND
+              : HeightReference.NONE,
+            id: feature,
+          });
+          billboard.setImage(image.id, image.image);
+        }
+        break;
+      }
+    }
+  }
+
+  const primitives = new PrimitiveCollection();
+  const readyPromises = [];
+  if (polygonInstances.length > 0) {
+    const groundPrimitive = primitives.add(
+      new GroundPrimitive({
+        geometryInstances: polygonInstances,
+        appearance: new PerInstanceColorAppearance({
+          flat: true,
+        }),
+        classificationType: primitive._classificationType,
+      })
+    );
+    readyPromises.push(groundPrimitive.readyPromise);
+  }
+  if (polylineInstances.length > 0) {
+    const groundPolylinePrimitive = primitives.add(
+      new GroundPolylinePrimitive({
+        geometryInstances: polylineInstances,
+        appearance: new PolylineColorAppearance(),
+        classificationType: primitive._classificationType,
+      })
+    );
+    readyPromises.push(groundPolylinePrimitive.readyPromise);
+  }
+  if (defined(billboards)) {
+    primitives.add(billboards);
+  }
+  primitive._primitives = primitives;
+
+  return Promise.all(readyPromises).then(function () {
+    primitive._ready = true;
+    return primitive;
+  });
+}
+
+/**
+ * Called when {@link Viewer} or {@link CesiumWidget} render the scene to
+ * get the draw commands needed to render this primitive.
+ * <p>
+ * Do not call this function directly.  This is documented just to
+ * list the exceptions that may be propagated when the scene is rendered:
+ * </p>
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ */
+MapboxVectorTilePrimitive.prototype.update = function (frameState) {
+  if (!this.show || !defined(this._primitives)) {
+    return;
+  }
+  this._primitives.update(frameState);
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <p>
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ * </p>
+ *
+ * @returns {Boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see MapboxVectorTilePrimitive#destroy
+ */
+MapboxVectorTilePrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <p>
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ * </p>
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * primitive = primitive && primitive.destroy();
+ *
+ * @see MapboxVectorTilePrimitive#isDestroyed
+ */
+MapboxVectorTilePrimitive.prototype.destroy = function () {
+  this._primitives = this._primitives && this._primitives.destroy();
+  return destroyObject(this);
+};
+
+// Exposed for testing
+MapboxVectorTilePrimitive._clipRing = clipRing;
+MapboxVectorTilePrimitive._clipLine = clipLine;
+export default MapboxVectorTilePrimitive;
@@ -243,6 +243,15 @@ Model3DTileContent.prototype.update = function (tileset, frameState) {
     model._clippingPlanesState = 0;
   }
 
+  // If the model references a different ClippingPolygonCollection from the tileset,
+  // update the model to use the new ClippingPolygonCollection.
+  const tilesetClippingPolygons = tileset.clippingPolygons;
+  if (model._clippingPolygons !== tilesetClippingPolygons) {
+    model._clippingPolygons = tilesetClippingPolygons;
+    model._clippingPolygonsState = 0;
+    model.resetDrawCommands();
+  }
+
   model.update(frameState);
 };
 
@@ -433,6 +442,7 @@ function makeModelOptions(tileset, tile, content, additionalOptions) {
     instanceFeatureIdLabel: tileset.instanceFeatureIdLabel,
     pointCloudShading: tileset.pointCloudShading,
     clippingPlanes: tileset.clippingPlanes,
+    clippingPolygons: tileset.clippingPolygons,
     backFaceCulling: tileset.backFaceCulling,
     shadows: tileset.shadows,
     showCreditsOnScreen: tileset.showCreditsOnScreen,
@@ -0,0 +1,93 @@
+import combine from "../../Core/combine.js";
+import defined from "../../Core/defined.js";
+import Matrix4 from "../../Core/Matrix4.js";
+import ShaderDestination from "../../Renderer/ShaderDestination.js";
+import getClippingPolygonFunction from "../getClippingPolygonFunction.js";
+
+/**
+ * The model clipping polygons stage is responsible for applying clipping polygons to the model.
+ *
+ * @namespace ModelClippingPolygonsPipelineStage
+ *
+ * @private
+ */
+const ModelClippingPolygonsPipelineStage = {
+  name: "ModelClippingPolygonsPipelineStage", // Helps with debugging
+};
+
+const scratchClippingPolygonsMatrix = new Matrix4();
+/**
+ * Process a model. This modifies the following parts of the render resources:
+ *
+ * <ul>
+ *  <li>adds a define to the fragment shader to indicate that the model has clipping polygons</li>
+ *  <li>adds a function to the fragment shader to discard the fragments clipped by the polygons</li>
+ *  <li>adds the uniforms for the fragment shader for the clipping polygon texture, matrix and the center of the Earth</li>
+ *</ul>
+ *
+ * @param {ModelRenderResources} renderResources The render resources for this model.
+ * @param {Model} model The model.
+ * @param {FrameState} frameState The frameState.
+ *
+ * @private
+ */
+ModelClippingPolygonsPipelineStage.process = function (
+  renderResources,
+  model,
+  frameState
+) {
+  const clippingPolygons = model.clippingPolygons;
+  const shaderBuilder = renderResources.shaderBuilder;
+
+  shaderBuilder.addDefine(
+    "HAS_CLIPPING_POLYGONS",
+    undefined,
+    ShaderDestination.FRAGMENT
+  );
+
+  shaderBuilder.addUniform(
+    "sampler2D",
+    "model_clippingPolygons",
+    ShaderDestination.FRAGMENT
+  );
+  shaderBuilder.addUniform(
+    "mat4",
+    "model_clippingPolygonsMatrix",
+    ShaderDestination.FRAGMENT
+  );
+  shaderBuilder.addUniform(
+    "vec3",
+    "model_clippingPolygonsEarthCenter",
+    ShaderDestination.FRAGMENT
+  );
+
+  shaderBuilder.addFragmentLines([
+    getClippingPolygonFunction(clippingPolygons),
+    "void modelClippingPolygonsStage()",
+    "{",
+    "    clipPolygons(gl_FragCoord, model_clippingPolygons, model_clippingPolygonsMatrix, model_clippingPolygonsEarthCenter);",
+    "}",
+  ]);
+
+  const context = frameState.context;
+  const uniformMap = {
+    model_clippingPolygons: function () {
+      const texture = clippingPolygons.texture;
+      // Check in case the clipping polygons haven't been updated yet.
+      return defined(texture) ? texture : context.defaultTexture;
+    },
+    model_clippingPolygonsMatrix: function () {
+      return clippingPolygons.computeClippingPolygonsMatrix(
+        context.uniformState.inverseView,
+        scratchClippingPolygonsMatrix
+      );
+    },
+    model_clippingPolygonsEarthCenter: function () {
+      return clippingPolygons.getEarthCenter();
+    },
+  };
+
+  renderResources.uniformMap = combine(uniformMap, renderResources.uniformMap);
+};
+
+export default ModelClippingPolygonsPipelineStage;
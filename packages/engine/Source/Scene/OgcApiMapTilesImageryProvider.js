@@ -0,0 +1,411 @@
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import TileProviderError from "../Core/TileProviderError.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import OgcCapabilitiesUtil from "./OgcCapabilitiesUtil.js";
+import UrlTemplateImageryProvider from "./UrlTemplateImageryProvider.js";
+
+const tilingSchemeRelations = [
+  "http://www.opengis.net/def/rel/ogc/1.0/tiling-scheme",
+  "tiling-scheme",
+];
+
+const jsonType = "application/json";
+
+/**
+ * @typedef {Object} OgcApiMapTilesImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the OgcApiMapTilesImageryProvider constructor
+ *
+ * @property {Resource|String|Promise<Resource>|Promise<String>} url The URL of the metadata of a tileset, such as
+ *           <code>https://example.com/ogcapi/collections/roads/map/tiles/WebMercatorQuad</code>, or of the list of
+ *           tilesets of a map, such as <code>https://example.com/ogcapi/collections/roads/map/tiles</code>.
+ * @property {String} [tileMatrixSetId] The identifier of the tile matrix set of the tileset to use when the url is
+ *           a list of tilesets.  Defaults to <code>WebMercatorQuad</code> if the map is available in that tile matrix
+ *           set, and to the first tileset otherwise.
+ * @property {String} [format] The media type of the tiles, such as <code>image/jpeg</code>.  Defaults to
+ *           <code>image/png</code> if the tiles are available in that format, and to the first image format otherwise.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the imagery.  Defaults to the extent of the
+ *           tile matrix set limits of the tileset, or to its bounding box.
+ * @property {TileDiscardPolicy} [tileDiscardPolicy] The policy that determines if a tile
+ *        is invalid and should be discarded.
+ * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.  Defaults to the
+ *           attribution of the tileset.
+ */
+
+/**
+ * Provides map tiles served by an {@link https://ogcapi.ogc.org/tiles/|OGC API - Tiles} server.  The metadata
+ * of the tileset is requested first, then the definition of its tile matrix set, which is followed through the
+ * tiling scheme link of the tileset.  Tile matrix sets of Web Mercator or geographic quadtrees covering the
+ * whole world use a {@link WebMercatorTilingScheme} or a {@link GeographicTilingScheme}, and other tile matrix
+ * sets in a supported CRS, such as UTM zones, use a {@link TileMatrixSetTilingScheme}.
+ * <p>
+ * The levels of detail of the provider are the tile matrices of the set.  When the tileset lists tile matrix set
+ * limits, only the tile matrices it lists are requested.
+ * </p>
+ *
+ * @alias OgcApiMapTilesImageryProvider
+ * @constructor
+ * @extends UrlTemplateImageryProvider
+ *
+ * @param {OgcApiMapTilesImageryProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const provider = new Cesium.OgcApiMapTilesImageryProvider({
+ *   url: "https://maps.example.com/ogcapi/collections/orthophoto/map/tiles",
+ *   tileMatrixSetId: "UTM32WGS84Quad",
+ *   format: "image/jpeg",
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see OgcApiFeaturesDataSource
+ * @see WebMapTileServiceImageryProvider
+ * @see UrlTemplateImageryProvider
+ */
+function OgcApiMapTilesImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options.url)) {
+    throw new DeveloperError("options.url is required.");
+  }
+  //>>includeEnd('debug');
+
+  this._tileMatrixLabels = undefined;
+
+  const that = this;
+  const promise = Promise.resolve(options.url)
+    .then(function (url) {
+      const resource = Resource.createIfNeeded(url);
+      return resource.fetchJson().then(function (json) {
+        if (!Array.isArray(json.tilesets)) {
+          return {
+            resource: resource,
+            tileset: json,
+          };
+        }
+        return requestTileset(resource, json.tilesets, options.tileMatrixSetId);
+      });
+    })
+    .then(function (result) {
+      return requestTilingScheme(result.resource, result.tileset).then(
+        function (tilingSchemeResult) {
+          return createProviderOptions(
+            that,
+            options,
+            result.resource,
+            result.tileset,
+            tilingSchemeResult
+          );
+        }
+      );
+    })
+    .catch(function (error) {
+      const message = defined(error.message)
+        ? error.message
+        : `An error occurred while accessing the tileset at ${options.url}.`;
+      TileProviderError.reportError(undefined, that, that._errorEvent, message);
+      return Promise.reject(error);
+    });
+
+  UrlTemplateImageryProvider.call(this, promise);
+}
+
+if (defined(Object.create)) {
+  OgcApiMapTilesImageryProvider.prototype = Object.create(
+    UrlTemplateImageryProvider.prototype
+  );
+  OgcApiMapTilesImageryProvider.prototype.constructor = OgcApiMapTilesImageryProvider;
+}
+
+Object.defineProperties(OgcApiMapTilesImageryProvider.prototype, {
+  /**
+   * Gets the identifiers of the tile matrices of each level of detail.  This function should
+   * not be called before {@link OgcApiMapTilesImageryProvider#ready} returns true.
+   * @memberof OgcApiMapTilesImageryProvider.prototype
+   * @type {String[]}
+   * @readonly
+   */
+  tileMatrixLabels: {
+    get: function () {
+      return this._tileMatrixLabels;
+    },
+  },
+});
+
+function getTileMatrixSetId(tileset) {
+  let uri = tileset.tileMatrixSetURI;
+  if (!defined(uri)) {
+    const link = OgcCapabilitiesUtil.findLink(
+      tileset.links,
+      tilingSchemeRelations
+    );
+    uri = defined(link) ? link.href.split("?")[0] : undefined;
+  }
+  return defined(uri) ? uri.replace(/\/+$/, "").split("/").pop() : undefined;
+}
+
+function requestTileset(resource, tilesets, tileMatrixSetId) {
+  let tileset;
+  if (defined(tileMatrixSetId)) {
+    tileset = tilesets.find(function (summary) {
+      return getTileMatrixSetId(summary) === tileMatrixSetId;
+    });
+    if (!defined(tileset)) {
+      throw new RuntimeError(
+        `The map has no tileset in the tile matrix set ${tileMatrixSetId}.`
+      );
+    }
+  } else {
+    tileset = defaultValue(
+      tilesets.find(function (summary) {
+        return getTileMatrixSetId(summary) === "WebMercatorQuad";
+      }),
+      tilesets[0]
+    );
+    if (!defined(tileset)) {
+      throw new RuntimeError("The map has no tilesets.");
+    }
+  }
+
+  const link = OgcCapabilitiesUtil.findLink(tileset.links, "self", jsonType);
+  if (!defined(link)) {
+    throw new RuntimeError("The tileset has no link to its metadata.");
+  }
+  const tilesetResource = OgcCapabilitiesUtil.getLinkResource(
+    resource,
+    link.href
+  );
+  return tilesetResource.fetchJson().then(function (json) {
+    return {
+      resource: tilesetResource,
+      tileset: json,
+    };
+  });
+}
+
+function getBoundingRectangle(tileset) {
+  const boundingBox = tileset.boundingBox;
+  if (
+    !defined(boundingBox) ||
+    (defined(boundingBox.crs) &&
+      !OgcCapabilitiesUtil.isCrs84(getCrsUri(boundingBox.crs)))
+  ) {
+    return undefined;
+  }
+  const lowerLeft = boundingBox.lowerLeft;
+  const upperRight = boundingBox.upperRight;
+  return Rectangle.fromDegrees(
+    lowerLeft[0],
+    lowerLeft[1],
+    upperRight[0],
+    upperRight[1]
+  );
+}
+
+function getCrsUri(crs) {
+  return typeof crs === "string" ? crs : crs.uri;
+}
+
+function requestTilingScheme(resource, tileset) {
+  const boundingRectangle = getBoundingRectangle(tileset);
+  const link = OgcCapabilitiesUtil.findLink(
+    tileset.links,
+    tilingSchemeRelations,
+    jsonType
+  );
+
+  if (!defined(link)) {
+    // Without a definition, only the common quadtrees can be used
+    const tileMatrixSetId = getTileMatrixSetId(tileset);
+    if (tileMatrixSetId === "WebMercatorQuad") {
+      return Promise.resolve({
+        tilingScheme: new WebMercatorTilingScheme(),
+      });
+    }
+    if (tileMatrixSetId === "WorldCRS84Quad") {
+      return Promise.resolve({
+        tilingScheme: new GeographicTilingScheme(),
+      });
+    }
+    return Promise.reject(
+      new RuntimeError("The tileset has no link to its tile matrix set.")
+    );
+  }
+
+  return OgcCapabilitiesUtil.getLinkResource(resource, link.href)
+    .fetchJson()
+    .then(function (tileMatrixSet) {
+      return createTilingScheme(tileMatrixSet, boundingRectangle);
+    });
+}
+
+function createTilingScheme(tileMatrixSet, rectangle) {
+  // Both the 2.0 encoding of tile matrix sets and the earlier one of the drafts of OGC API - Tiles are supported
+  const identifier = defaultValue(tileMatrixSet.id, tileMatrixSet.identifier);
+  const crs = getCrsUri(
+    defaultValue(tileMatrixSet.crs, tileMatrixSet.supportedCRS)
+  );
+  const tileMatrices = defaultValue(
+    tileMatrixSet.tileMatrices,
+    tileMatrixSet.tileMatrix
+  ).map(function (tileMatrix) {
+    if (tileMatrix.cornerOfOrigin === "bottomLeft") {
+      throw new RuntimeError(
+        `The tile matrices of tile matrix set ${identifier} must have their origin at the top left corner.`
+      );
+    }
+    return {
+      identifier: defaultValue(tileMatrix.id, tileMatrix.identifier),
+      scaleDenominator: tileMatrix.scaleDenominator,
+      topLeftCorner: defaultValue(
+        tileMatrix.pointOfOrigin,
+        tileMatrix.topLeftCorner
+      ),
+      tileWidth: tileMatrix.tileWidth,
+      tileHeight: tileMatrix.tileHeight,
+      matrixWidth: tileMatrix.matrixWidth,
+      matrixHeight: tileMatrix.matrixHeight,
+    };
+  });
+
+  const orderedAxes = tileMatrixSet.orderedAxes;
+  const northingFirst = defined(orderedAxes)
+    ? /^(n|lat)/i.test(orderedAxes[0])
+    : undefined;
+
+  const tilingScheme = OgcCapabilitiesUtil.createTilingScheme(
+    crs,
+    tileMatrices,
+    rectangle,
+    northingFirst
+  );
+  if (!defined(tilingScheme)) {
+    throw new RuntimeError(
+      `The CRS of tile matrix set ${identifier} is not supported: ${crs}`
+    );
+  }
+
+  return {
+    tilingScheme: tilingScheme,
+    tileMatrices: tileMatrices,
+  };
+}
+
+function findTileLink(tileset, format) {
+  const links = defaultValue(tileset.links, []).filter(function (link) {
+    return (
+      link.rel === "item" &&
+      (!defined(link.type) || link.type.indexOf("image/") === 0)
+    );
+  });
+  if (defined(format)) {
+    return links.find(function (link) {
+      return link.type === format;
+    });
+  }
+  return defaultValue(
+    links.find(function (link) {
+      return link.type === "image/png";
+    }),
+    links[0]
+  );
+}
+
+const scratchRectangle = new Rectangle();
+
+function createProviderOptions(
+  provider,
+  options,
+  resource,
+  tileset,
+  tilingSchemeResult
+) {
+  const link = findTileLink(tileset, options.format);
+  if (!defined(link)) {
+    throw new RuntimeError(
+      defined(options.format)
+        ? `The tileset has no tiles in the format ${options.format}.`
+        : "The tileset has no map tiles."
+    );
+  }
+
+  const tilingScheme = tilingSchemeResult.tilingScheme;
+  const tileMatrices = tilingSchemeResult.tileMatrices;
+  const labels = defined(tileMatrices)
+    ? tileMatrices.map(function (tileMatrix) {
+        return tileMatrix.identifier;
+      })
+    : undefined;
+  provider._tileMatrixLabels = labels;
+
+  let minimumLevel = 0;
+  let maximumLevel = defined(labels) ? labels.length - 1 : undefined;
+  let rectangle = getBoundingRectangle(tileset);
+
+  const limits = tileset.tileMatrixSetLimits;
+  if (defined(limits) && limits.length > 0) {
+    const levels = limits.map(function (limit) {
+      return defined(labels)
+        ? labels.indexOf(limit.tileMatrix)
+        : Number(limit.tileMatrix);
+    });
+    minimumLevel = Math.min.apply(null, levels);
+    maximumLevel = Math.max.apply(null, levels);
+
+    // The tiles at the least detailed level contain all of the tiles of the tileset
+    const limit = limits[levels.indexOf(minimumLevel)];
+    rectangle = tilingScheme.tileXYToRectangle(
+      limit.minTileCol,
+      limit.minTileRow,
+      minimumLevel
+    );
+    Rectangle.union(
+      rectangle,
+      tilingScheme.tileXYToRectangle(
+        limit.maxTileCol,
+        limit.maxTileRow,
+        minimumLevel,
+        scratchRectangle
+      ),
+      rectangle
+    );
+  }
+
+  let credit = options.credit;
+  if (!defined(credit) && defined(tileset.attribution)) {
+    credit = new Credit(tileset.attribution);
+  }
+
+  return {
+    url: OgcCapabilitiesUtil.getLinkResource(resource, link.href),
+    customTags: {
+      tileMatrix: function (imageryProvider, x, y, level) {
+        return defined(labels) ? labels[level] : level.toString();
+      },
+      tileRow: function (imageryProvider, x, y, level) {
+        return y.toString();
+      },
+      tileCol: function (imageryProvider, x, y, level) {
+        return x.toString();
+      },
+    },
+    tilingScheme: tilingScheme,
+    tileWidth: defined(tileMatrices) ? tileMatrices[0].tileWidth : undefined,
+    tileHeight: defined(tileMatrices) ? tileMatrices[0].tileHeight : undefined,
+    minimumLevel: minimumLevel,
+    maximumLevel: maximumLevel,
+    rectangle: defaultValue(options.rectangle, rectangle),
+    tileDiscardPolicy: options.tileDiscardPolicy,
+    hasAlphaChannel: link.type !== "image/jpeg",
+    credit: credit,
+  };
+}
+
+export default OgcApiMapTilesImageryProvider;
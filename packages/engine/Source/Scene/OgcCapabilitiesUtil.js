@@ -0,0 +1,518 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import GeographicProjection from "../Core/GeographicProjection.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import JulianDate from "../Core/JulianDate.js";
+import MapProjection from "../Core/MapProjection.js";
+import CesiumMath from "../Core/Math.js";
+import PolarStereographicProjection from "../Core/PolarStereographicProjection.js";
+import TileMatrixSetTilingScheme from "../Core/TileMatrixSetTilingScheme.js";
+import TimeIntervalCollection from "../Core/TimeIntervalCollection.js";
+import TransverseMercatorProjection from "../Core/TransverseMercatorProjection.js";
+import WebMercatorProjection from "../Core/WebMercatorProjection.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+
+const xlinkNamespace = "http://www.w3.org/1999/xlink";
+
+/**
+ * EPSG codes of Web Mercator, including the deprecated and ESRI codes still advertised by many servers.
+ *
+ * @type {Number[]}
+ */
+const webMercatorCodes = [3857, 3785, 900913, 102100, 102113];
+
+/**
+ * EPSG codes of geographic CRSs on ellipsoids close enough to WGS84, whose axis order is latitude first.
+ *
+ * @type {Number[]}
+ */
+const geographicCodes = [4326, 4258, 4269];
+
+/**
+ * The size of a pixel, in meters, of the standardized rendering pixel of OGC TileMatrixSets.
+ *
+ * @type {Number}
+ * @constant
+ */
+const standardizedRenderingPixelSize = 0.00028;
+
+/**
+ * Utilities for parsing the capabilities documents of OGC web services.
+ *
+ * @namespace OgcCapabilitiesUtil
+ *
+ * @private
+ */
+const OgcCapabilitiesUtil = {};
+
+/**
+ * Gets the child elements of an element with a local name, ignoring their namespace.
+ *
+ * @param {Element} element The parent element.
+ * @param {String} localName The local name of the children.
+ * @returns {Element[]} The child elements.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getChildElements = function (element, localName) {
+  const result = [];
+  const childNodes = element.childNodes;
+  const length = childNodes.length;
+  for (let i = 0; i < length; ++i) {
+    const child = childNodes[i];
+    if (child.nodeType === 1 && child.localName === localName) {
+      result.push(child);
+    }
+  }
+  return result;
+};
+
+/**
+ * Gets the first child element of an element with a local name, ignoring its namespace.
+ *
+ * @param {Element} element The parent element.
+ * @param {String} localName The local name of the child.
+ * @returns {Element|undefined} The child element, or undefined if there is none.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getChildElement = function (element, localName) {
+  const childNodes = element.childNodes;
+  const length = childNodes.length;
+  for (let i = 0; i < length; ++i) {
+    const child = childNodes[i];
+    if (child.nodeType === 1 && child.localName === localName) {
+      return child;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Gets the trimmed text of the first child element of an element with a local name.
+ *
+ * @param {Element} element The parent element.
+ * @param {String} localName The local name of the child.
+ * @returns {String|undefined} The text of the child, or undefined if there is no such child.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getChildText = function (element, localName) {
+  const child = OgcCapabilitiesUtil.getChildElement(element, localName);
+  return defined(child) ? child.textContent.trim() : undefined;
+};
+
+/**
+ * Gets the texts of all child elements of an element with a local name.
+ *
+ * @param {Element} element The parent element.
+ * @param {String} localName The local name of the children.
+ * @returns {String[]} The trimmed texts of the children.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getChildTexts = function (element, localName) {
+  return OgcCapabilitiesUtil.getChildElements(element, localName).map(function (
+    child
+  ) {
+    return child.textContent.trim();
+  });
+};
+
+/**
+ * Gets the value of an attribute.
+ *
+ * @param {Element} element The element with the attribute.
+ * @param {String} name The name of the attribute.
+ * @returns {String|undefined} The value of the attribute, or undefined if it is missing or empty.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getAttribute = function (element, name) {
+  const value = element.getAttribute(name);
+  return defined(value) && value !== "" ? value : undefined;
+};
+
+/**
+ * Gets the URL of an xlink:href attribute.
+ *
+ * @param {Element} element The element with the attribute.
+ * @returns {String|undefined} The URL, or undefined if the element has no such attribute.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getHref = function (element) {
+  if (!defined(element)) {
+    return undefined;
+  }
+  let href = element.getAttributeNS(xlinkNamespace, "href");
+  if (!defined(href) || href === "") {
+    href = OgcCapabilitiesUtil.getAttribute(element, "xlink:href");
+  }
+  return defined(href) && href !== "" ? href.trim() : undefined;
+};
+
+/**
+ * Parses a list of numbers separated by whitespace, such as the corners of OWS bounding boxes.
+ *
+ * @param {String} text The text to parse.
+ * @returns {Number[]} The numbers.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.parseNumbers = function (text) {
+  return text.trim().split(/\s+/).map(Number);
+};
+
+/**
+ * Finds a link of a JSON document of an OGC API with a relation type and, optionally, a media type.
+ *
+ * @param {Object[]} [links] The links of the document.
+ * @param {String|String[]} rel The relation type of the link, or a list of equivalent relation types.
+ * @param {String} [type] The media type of the linked resource.  Links without a type match any media type.
+ * @returns {Object|undefined} The link, or undefined if the document has no such link.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.findLink = function (links, rel, type) {
+  if (!defined(links)) {
+    return undefined;
+  }
+  const rels = Array.isArray(rel) ? rel : [rel];
+  return links.find(function (link) {
+    return (
+      rels.includes(link.rel) &&
+      (!defined(type) || !defined(link.type) || link.type === type)
+    );
+  });
+};
+
+/**
+ * Creates the resource of a link of a JSON document of an OGC API.  Relative links are resolved against the
+ * document, and the format query parameter of the document, <code>f</code>, is not forwarded to the linked
+ * resource, since it usually has a different format.
+ *
+ * @param {Resource} resource The resource of the document.
+ * @param {String} href The URL of the link.
+ * @returns {Resource} The resource of the link.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getLinkResource = function (resource, href) {
+  const linkResource = resource.getDerivedResource({
+    url: href,
+  });
+  if (!/[?&]f=/.test(href)) {
+    delete linkResource.queryParameters.f;
+  }
+  return linkResource;
+};
+
+/**
+ * Returns whether a CRS identifier denotes the longitude-first WGS84 geographic CRS,
+ * such as <code>CRS:84</code> or <code>urn:ogc:def:crs:OGC:1.3:CRS84</code>.
+ *
+ * @param {String} crs The CRS identifier.
+ * @returns {Boolean} <code>true</code> if the CRS is CRS84.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.isCrs84 = function (crs) {
+  return /CRS:?84$/i.test(crs.trim());
+};
+
+/**
+ * Gets the EPSG code of a CRS identifier, such as <code>EPSG:3857</code>, <code>urn:ogc:def:crs:EPSG::3857</code>
+ * or <code>http://www.opengis.net/def/crs/EPSG/0/3857</code>.
+ *
+ * @param {String} crs The CRS identifier.
+ * @returns {Number|undefined} The EPSG code, or undefined if the CRS is not identified by an EPSG code.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.getEpsgCode = function (crs) {
+  if (!/EPSG/i.test(crs)) {
+    return undefined;
+  }
+  const match = /(\d+)\s*$/.exec(crs);
+  return defined(match) ? Number(match[1]) : undefined;
+};
+
+/**
+ * Returns whether the first axis of a CRS is the northing or latitude, as is the case of EPSG:4326.
+ *
+ * @param {String} crs The CRS identifier.
+ * @returns {Boolean} <code>true</code> if the first coordinate is the northing or latitude.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.isNorthingFirst = function (crs) {
+  return geographicCodes.includes(OgcCapabilitiesUtil.getEpsgCode(crs));
+};
+
+/**
+ * Creates the map projection of a CRS identifier.  Web Mercator, WGS84 geographic, UTM and UPS
+ * coordinates are supported.
+ *
+ * @param {String} crs The CRS identifier.
+ * @returns {MapProjection|undefined} The projection, or undefined if the CRS is not supported.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.createProjection = function (crs) {
+  if (OgcCapabilitiesUtil.isCrs84(crs)) {
+    return new GeographicProjection();
+  }
+
+  const code = OgcCapabilitiesUtil.getEpsgCode(crs);
+  if (!defined(code)) {
+    return undefined;
+  }
+  if (geographicCodes.includes(code)) {
+    return new GeographicProjection();
+  }
+  if (webMercatorCodes.includes(code)) {
+    return new WebMercatorProjection();
+  }
+  // WGS 84 and ETRS89 / UTM zones
+  if (code > 32600 && code <= 32660) {
+    return TransverseMercatorProjection.fromUtmZone(code - 32600);
+  }
+  if (code > 32700 && code <= 32760) {
+    return TransverseMercatorProjection.fromUtmZone(code - 32700, true);
+  }
+  if (code >= 25828 && code <= 25838) {
+    return TransverseMercatorProjection.fromUtmZone(code - 25800);
+  }
+  // WGS 84 / UPS North (E,N) and UPS South (E,N)
+  if (code === 5041 || code === 5042) {
+    return PolarStereographicProjection.fromUps(code === 5042);
+  }
+  return undefined;
+};
+
+/**
+ * A tile matrix of an OGC TileMatrixSet, in the coordinates and axis order of its CRS.
+ *
+ * @typedef {Object} OgcCapabilitiesUtil.TileMatrix
+ *
+ * @property {String} identifier The identifier of the tile matrix.
+ * @property {Number} scaleDenominator The scale denominator of the tile matrix.
+ * @property {Number[]} topLeftCorner The coordinates of the top left corner of the tile matrix.
+ * @property {Number} tileWidth The width of each tile in pixels.
+ * @property {Number} tileHeight The height of each tile in pixels.
+ * @property {Number} matrixWidth The number of tiles in the X direction.
+ * @property {Number} matrixHeight The number of tiles in the Y direction.
+ *
+ * @private
+ */
+
+/**
+ * Creates the tiling scheme of an OGC TileMatrixSet.  Sets of Web Mercator or geographic quadtrees covering the
+ * whole world result in a {@link WebMercatorTilingScheme} or a {@link GeographicTilingScheme}, and any other set
+ * in a supported CRS in a {@link TileMatrixSetTilingScheme}.
+ *
+ * @param {String} crs The CRS identifier of the tile matrix set.
+ * @param {OgcCapabilitiesUtil.TileMatrix[]} tileMatrices The tile matrices of the set.
+ * @param {Rectangle} [rectangle] The rectangle covered by a {@link TileMatrixSetTilingScheme}.
+ * @param {Boolean} [northingFirst] Whether the top left corners are northing first.  Defaults to the axis order of the CRS.
+ * @returns {TilingScheme|undefined} The tiling scheme, or undefined if the CRS is not supported.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.createTilingScheme = function (
+  crs,
+  tileMatrices,
+  rectangle,
+  northingFirst
+) {
+  const projection = OgcCapabilitiesUtil.createProjection(crs);
+  if (!defined(projection)) {
+    return undefined;
+  }
+
+  // The coordinates of geographic CRSs are in degrees, but the ones of the projection are in meters
+  const unitsToMeters =
+    projection instanceof GeographicProjection
+      ? CesiumMath.RADIANS_PER_DEGREE * projection.ellipsoid.maximumRadius
+      : 1.0;
+  northingFirst = defaultValue(
+    northingFirst,
+    OgcCapabilitiesUtil.isNorthingFirst(crs)
+  );
+
+  tileMatrices = tileMatrices.map(function (tileMatrix) {
+    const corner = tileMatrix.topLeftCorner;
+    return {
+      identifier: tileMatrix.identifier,
+      topLeftCorner: new Cartesian2(
+        (northingFirst ? corner[1] : corner[0]) * unitsToMeters,
+        (northingFirst ? corner[0] : corner[1]) * unitsToMeters
+      ),
+      scaleDenominator: tileMatrix.scaleDenominator,
+      tileWidth: tileMatrix.tileWidth,
+      tileHeight: tileMatrix.tileHeight,
+      matrixWidth: tileMatrix.matrixWidth,
+      matrixHeight: tileMatrix.matrixHeight,
+    };
+  });
+
+  const quadtreeTilingScheme = createQuadtreeTilingScheme(
+    projection,
+    tileMatrices
+  );
+  if (defined(quadtreeTilingScheme)) {
+    return quadtreeTilingScheme;
+  }
+
+  return new TileMatrixSetTilingScheme({
+    projection: projection,
+    tileMatrices: tileMatrices,
+    rectangle: rectangle,
+  });
+};
+
+const maximumCoordinateScratch = new Cartesian2();
+
+function createQuadtreeTilingScheme(projection, tileMatrices) {
+  const isWebMercator = projection instanceof WebMercatorProjection;
+  if (!isWebMercator && !(projection instanceof GeographicProjection)) {
+    return undefined;
+  }
+
+  // The tile matrices must cover the whole world, each with twice as many tiles as the previous one
+  const maximumCoordinate = MapProjection.computeMaximumCoordinate(
+    projection,
+    maximumCoordinateScratch
+  );
+  const first = tileMatrices[0];
+  const length = tileMatrices.length;
+  for (let i = 0; i < length; ++i) {
+    const tileMatrix = tileMatrices[i];
+    const cellSize =
+      tileMatrix.scaleDenominator * standardizedRenderingPixelSize;
+    const factor = Math.pow(2, i);
+    if (
+      tileMatrix.tileWidth !== first.tileWidth ||
+      tileMatrix.tileHeight !== first.tileHeight ||
+      tileMatrix.matrixWidth !== first.matrixWidth * factor ||
+      tileMatrix.matrixHeight !== first.matrixHeight * factor ||
+      !CesiumMath.equalsEpsilon(
+        tileMatrix.topLeftCorner.x,
+        -maximumCoordinate.x,
+        CesiumMath.EPSILON5
+      ) ||
+      !CesiumMath.equalsEpsilon(
+        tileMatrix.topLeftCorner.y,
+        maximumCoordinate.y,
+        CesiumMath.EPSILON5
+      ) ||
+      !CesiumMath.equalsEpsilon(
+        tileMatrix.matrixWidth * tileMatrix.tileWidth * cellSize,
+        2.0 * maximumCoordinate.x,
+        CesiumMath.EPSILON5
+      ) ||
+      !CesiumMath.equalsEpsilon(
+        tileMatrix.matrixHeight * tileMatrix.tileHeight * cellSize,
+        2.0 * maximumCoordinate.y,
+        CesiumMath.EPSILON5
+      )
+    ) {
+      return undefined;
+    }
+  }
+
+  const options = {
+    ellipsoid: projection.ellipsoid,
+    numberOfLevelZeroTilesX: first.matrixWidth,
+    numberOfLevelZeroTilesY: first.matrixHeight,
+  };
+  return isWebMercator
+    ? new WebMercatorTilingScheme(options)
+    : new GeographicTilingScheme(options);
+}
+
+function isPresent(value) {
+  return /^(current|present|now)$/i.test(value);
+}
+
+/**
+ * Creates a collection of the intervals between the values of a time dimension.  Each value is either
+ * an instant or an ISO 8601 <code>start/stop/period</code> range, which is expanded to the instants it contains.
+ * The data of each interval is an object whose only property, named after the dimension, is the value
+ * to request during the interval.
+ *
+ * @param {String[]} values The values of the dimension.
+ * @param {String} dimensionName The name of the dimension, used as the property name of the data of the intervals.
+ * @returns {TimeIntervalCollection|undefined} The intervals, or undefined if the dimension has no values.
+ *
+ * @private
+ */
+OgcCapabilitiesUtil.createTimeIntervalCollection = function (
+  values,
+  dimensionName
+) {
+  const instants = [];
+  values.forEach(function (value) {
+    value = value.trim();
+    if (value === "" || isPresent(value)) {
+      return;
+    }
+
+    const parts = value.split("/");
+    if (parts.length === 1) {
+      instants.push({
+        date: JulianDate.fromIso8601(value),
+        value: value,
+      });
+      return;
+    }
+
+    const stop = isPresent(parts[1])
+      ? JulianDate.toIso8601(JulianDate.now())
+      : parts[1];
+    const dateOnly = parts[0].indexOf("T") === -1;
+    const intervals = TimeIntervalCollection.fromIso8601({
+      iso8601: `${parts[0]}/${stop}/${defined(parts[2]) ? parts[2] : ""}`,
+    });
+    const length = intervals.length;
+    for (let i = 0; i <= length; ++i) {
+      const date =
+        i < length ? intervals.get(i).start : intervals.get(length - 1).stop;
+      const iso8601 = JulianDate.toIso8601(date);
+      instants.push({
+        date: date,
+        value: dateOnly ? iso8601.substring(0, 10) : iso8601,
+      });
+    }
+  });
+
+  if (instants.length === 0) {
+    return undefined;
+  }
+
+  instants.sort(function (left, right) {
+    return JulianDate.compare(left.date, right.date);
+  });
+  const unique = instants.filter(function (instant, index) {
+    return (
+      index === 0 || !JulianDate.equals(instant.date, instants[index - 1].date)
+    );
+  });
+
+  return TimeIntervalCollection.fromJulianDateArray({
+    julianDates: unique.map(function (instant) {
+      return instant.date;
+    }),
+    isStopIncluded: false,
+    trailingInterval: true,
+    dataCallback: function (interval, index) {
+      const data = {};
+      data[dimensionName] = unique[index].value;
+      return data;
+    },
+  });
+};
+
+export default OgcCapabilitiesUtil;
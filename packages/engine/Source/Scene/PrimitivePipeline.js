@@ -10,6 +10,7 @@ import GeometryAttribute from "../Core/GeometryAttribute.js";
 import GeometryAttributes from "../Core/GeometryAttributes.js";
 import GeometryPipeline from "../Core/GeometryPipeline.js";
 import IndexDatatype from "../Core/IndexDatatype.js";
+import MapProjection from "../Core/MapProjection.js";
 import Matrix4 from "../Core/Matrix4.js";
 import OffsetGeometryInstanceAttribute from "../Core/OffsetGeometryInstanceAttribute.js";
 import WebMercatorProjection from "../Core/WebMercatorProjection.js";
@@ -714,6 +715,7 @@ PrimitivePipeline.packCombineGeometryParameters = function (
     ),
     ellipsoid: parameters.ellipsoid,
     isGeographic: parameters.projection instanceof GeographicProjection,
+    projectionDefinition: parameters.projection.proj4Definition,
     elementIndexUintSupported: parameters.elementIndexUintSupported,
     scene3DOnly: parameters.scene3DOnly,
     vertexCacheOptimize: parameters.vertexCacheOptimize,
@@ -752,9 +754,16 @@ PrimitivePipeline.unpackCombineGeometryParameters = function (
   }
 
   const ellipsoid = Ellipsoid.clone(packedParameters.ellipsoid);
-  const projection = packedParameters.isGeographic
-    ? new GeographicProjection(ellipsoid)
-    : new WebMercatorProjection(ellipsoid);
+  let projection;
+  if (defined(packedParameters.projectionDefinition)) {
+    projection = MapProjection.fromProj4Definition(
+      packedParameters.projectionDefinition
+    );
+  } else if (packedParameters.isGeographic) {
+    projection = new GeographicProjection(ellipsoid);
+  } else {
+    projection = new WebMercatorProjection(ellipsoid);
+  }
 
   return {
     instances: instances,
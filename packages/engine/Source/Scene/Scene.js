@@ -94,7 +94,7 @@ const requestRenderAfterFrame = function (scene) {
  * @param {Boolean} [options.orderIndependentTranslucency=true] If true and the configuration supports it, use order independent translucency.
  * @param {Boolean} [options.scene3DOnly=false] If true, optimizes memory use and performance for 3D mode but disables the ability to use 2D or Columbus View.
  * @param {Boolean} [options.shadows=false] Determines if shadows are cast by light sources.
- * @param {MapMode2D} [options.mapMode2D=MapMode2D.INFINITE_SCROLL] Determines if the 2D map is rotatable or can be scrolled infinitely in the horizontal direction.
+ * @param {MapMode2D} [options.mapMode2D=MapMode2D.INFINITE_SCROLL] Determines if the 2D map is rotatable or can be scrolled infinitely in the horizontal direction.  Maps of projections whose meridians are curved are always rotatable.
  * @param {Boolean} [options.requestRenderMode=false] If true, rendering a frame will only occur when needed as determined by changes within the scene. Enabling improves performance of the application, but requires using {@link Scene#requestRender} to render a new frame explicitly in this mode. This will be necessary in many cases after making changes to the scene in other parts of the API. See {@link https://cesium.com/blog/2018/01/24/cesium-scene-rendering-performance/|Improving Performance with Explicit Rendering}.
  * @param {Number} [options.maximumRenderTimeChange=0.0] If requestRenderMode is true, this value defines the maximum change in simulation time allowed before a render is requested. See {@link https://cesium.com/blog/2018/01/24/cesium-scene-rendering-performance/|Improving Performance with Explicit Rendering}.
  * @param {Number} [options.depthPlaneEllipsoidOffset=0.0] Adjust the DepthPlane to address rendering artefacts below ellipsoid zero elevation.
@@ -126,6 +126,15 @@ function Scene(options) {
   if (!defined(canvas)) {
     throw new DeveloperError("options and options.canvas are required.");
   }
+  if (
+    defined(options.mapProjection) &&
+    options.mapProjection.isNormalCylindrical === false &&
+    options.mapMode2D === MapMode2D.INFINITE_SCROLL
+  ) {
+    throw new DeveloperError(
+      "options.mapMode2D can not be MapMode2D.INFINITE_SCROLL with a map projection whose meridians are curved."
+    );
+  }
   //>>includeEnd('debug');
   const hasCreditContainer = defined(creditContainer);
   const context = new Context(canvas, contextOptions);
@@ -559,7 +568,11 @@ function Scene(options) {
 
   this._screenSpaceCameraController = new ScreenSpaceCameraController(this);
   this._cameraUnderground = false;
-  this._mapMode2D = defaultValue(options.mapMode2D, MapMode2D.INFINITE_SCROLL);
+  // Maps of projections with curved meridians can not scroll infinitely
+  const curvedMeridians = this._mapProjection.isNormalCylindrical === false;
+  this._mapMode2D = curvedMeridians
+    ? MapMode2D.ROTATE
+    : defaultValue(options.mapMode2D, MapMode2D.INFINITE_SCROLL);
 
   // Keeps track of the state of a frame. FrameState is the state across
   // the primitives of the scene. This state is for internally keeping track
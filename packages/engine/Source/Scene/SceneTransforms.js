@@ -134,10 +134,12 @@ SceneTransforms.wgs84WithEyeOffsetToWindowCoordinates = function (
   viewport.height = canvas.clientHeight;
 
   const camera = scene.camera;
-  let cameraCentered = false;
+  const projection = scene.mapProjection;
+  // Maps of projections with curved meridians do not wrap around horizontally
+  const wraps = projection.isNormalCylindrical !== false;
+  let cameraCentered = !wraps;
 
-  if (frameState.mode === SceneMode.SCENE2D) {
-    const projection = scene.mapProjection;
+  if (frameState.mode === SceneMode.SCENE2D && wraps) {
     const maxCartographic = scratchMaxCartographic;
     const maxCoord = projection.project(
       maxCartographic,
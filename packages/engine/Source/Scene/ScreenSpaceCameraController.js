@@ -10,6 +10,7 @@ import Ellipsoid from "../Core/Ellipsoid.js";
 import HeadingPitchRoll from "../Core/HeadingPitchRoll.js";
 import IntersectionTests from "../Core/IntersectionTests.js";
 import KeyboardEventModifier from "../Core/KeyboardEventModifier.js";
+import MapProjection from "../Core/MapProjection.js";
 import CesiumMath from "../Core/Math.js";
 import Matrix3 from "../Core/Matrix3.js";
 import Matrix4 from "../Core/Matrix4.js";
@@ -296,9 +297,7 @@ function ScreenSpaceCameraController(scene) {
   this._cameraUnderground = false;
 
   const projection = scene.mapProjection;
-  this._maxCoord = projection.project(
-    new Cartographic(Math.PI, CesiumMath.PI_OVER_TWO)
-  );
+  this._maxCoord = MapProjection.computeMaximumCoordinate(projection);
 
   // Constants, Make any of these public?
   this._zoomFactor = 5.0;
@@ -1296,6 +1296,12 @@ function createFillMesh(tileProvider, frameState, tile, vertexArraysToDestroy) {
 
   fill._destroyVertexArray(vertexArraysToDestroy);
 
+  fill.mesh.positions2D = GlobeSurfaceTile._computePositions2D(
+    fill.mesh,
+    rectangle,
+    frameState.mapProjection
+  );
+
   fill.vertexArray = GlobeSurfaceTile._createVertexArrayForMesh(
     context,
     fill.mesh
@@ -1,3 +1,4 @@
+import BoundingRectangle from "../Core/BoundingRectangle.js";
 import BoundingSphere from "../Core/BoundingSphere.js";
 import Cartesian3 from "../Core/Cartesian3.js";
 import Cartographic from "../Core/Cartographic.js";
@@ -304,6 +305,7 @@ function computeBox(tileBB, rectangle, ellipsoid) {
   Cartesian3.normalize(northNormal, tileBB.northNormal);
 }
 
+const boundingRectangleScratch = new BoundingRectangle();
 const southwestCornerScratch = new Cartesian3();
 const northeastCornerScratch = new Cartesian3();
 const negativeUnitY = new Cartesian3(0.0, -1.0, 0.0);
@@ -325,17 +327,39 @@ function distanceToCameraRegion(tileBB, frameState) {
     let northNormal = tileBB.northNormal;
 
     if (frameState.mode !== SceneMode.SCENE3D) {
-      southwestCornerCartesian = frameState.mapProjection.project(
-        Rectangle.southwest(tileBB.rectangle),
-        southwestCornerScratch
-      );
+      const projection = frameState.mapProjection;
+      if (projection.isNormalCylindrical === false) {
+        // The corners of the tile are not the extremes of its projection
+        const boundingRectangle = BoundingRectangle.fromRectangle(
+          tileBB.rectangle,
+          projection,
+          boundingRectangleScratch
+        );
+        southwestCornerCartesian = Cartesian3.fromElements(
+          boundingRectangle.x,
+          boundingRectangle.y,
+          0.0,
+          southwestCornerScratch
+        );
+        northeastCornerCartesian = Cartesian3.fromElements(
+          boundingRectangle.x + boundingRectangle.width,
+          boundingRectangle.y + boundingRectangle.height,
+          0.0,
+          northeastCornerScratch
+        );
+      } else {
+        southwestCornerCartesian = projection.project(
+          Rectangle.southwest(tileBB.rectangle),
+          southwestCornerScratch
+        );
+        northeastCornerCartesian = projection.project(
+          Rectangle.northeast(tileBB.rectangle),
+          northeastCornerScratch
+        );
+      }
       southwestCornerCartesian.z = southwestCornerCartesian.y;
       southwestCornerCartesian.y = southwestCornerCartesian.x;
       southwestCornerCartesian.x = 0.0;
-      northeastCornerCartesian = frameState.mapProjection.project(
-        Rectangle.northeast(tileBB.rectangle),
-        northeastCornerScratch
-      );
       northeastCornerCartesian.z = northeastCornerCartesian.y;
       northeastCornerCartesian.y = northeastCornerCartesian.x;
       northeastCornerCartesian.x = 0.0;
@@ -0,0 +1,354 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import CesiumMath from "../Core/Math.js";
+import PerspectiveFrustum from "../Core/PerspectiveFrustum.js";
+import ViewshedFS from "../Shaders/PostProcessStages/Viewshed.js";
+import Camera from "./Camera.js";
+import DebugCameraPrimitive from "./DebugCameraPrimitive.js";
+import PostProcessStage from "./PostProcessStage.js";
+import SceneMode from "./SceneMode.js";
+import ShadowMap from "./ShadowMap.js";
+
+/**
+ * Adds the viewshed to the shadow maps of each frame.  It is added to the primitives of the scene because
+ * shadow maps are collected while the primitives are updated.
+ *
+ * @private
+ */
+function ViewshedPrimitive(viewshed) {
+  this._viewshed = viewshed;
+}
+
+ViewshedPrimitive.prototype.update = function (frameState) {
+  this._viewshed._update(frameState);
+};
+
+ViewshedPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+ViewshedPrimitive.prototype.destroy = function () {
+  return destroyObject(this);
+};
+
+/**
+ * A viewshed analysis, which colors the terrain, 3D Tiles and other primitives that are visible from an observer
+ * differently from the ones that are occluded.  The observer looks in the direction given by a heading and a pitch,
+ * with a horizontal and vertical field of view, up to a range.  Visibility is computed with a {@link ShadowMap}
+ * rendered from the point of view of the observer, and the colors are blended into the scene with a
+ * {@link PostProcessStage}.
+ * <p>
+ * Only primitives that cast shadows occlude the view.  3D Tiles cast shadows by default, while terrain only
+ * occludes the view when {@link Globe#shadows} is {@link ShadowMode.ENABLED} or {@link ShadowMode.CAST_ONLY}.
+ * The analysis is only shown in 3D.
+ * </p>
+ *
+ * @alias Viewshed
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Scene} options.scene The scene in which to analyze the viewshed.
+ * @param {Cartesian3} options.position The position of the observer.
+ * @param {Number} [options.heading=0.0] The heading of the direction in which the observer looks, in radians clockwise from north.
+ * @param {Number} [options.pitch=0.0] The pitch of the direction in which the observer looks, in radians above the horizontal plane.
+ * @param {Number} [options.horizontalFieldOfView=CesiumMath.PI_OVER_TWO] The horizontal field of view of the observer in radians, in the range (0, π).
+ * @param {Number} [options.verticalFieldOfView=CesiumMath.PI_OVER_THREE] The vertical field of view of the observer in radians, in the range (0, π).
+ * @param {Number} [options.range=1000.0] The distance in meters up to which the observer sees.
+ * @param {Color} [options.visibleColor=Color.LIME.withAlpha(0.5)] The color blended into the visible parts of the scene.
+ * @param {Color} [options.occludedColor=Color.RED.withAlpha(0.5)] The color blended into the occluded parts of the scene.
+ * @param {Number} [options.shadowMapSize=2048] The width and height of the shadow map, in pixels.  Larger sizes give more detailed results.
+ * @param {Boolean} [options.show=true] Determines if the analysis is shown.
+ * @param {Boolean} [options.debugShowFrustum=false] For debugging only.  Determines if the frustum of the observer is shown.
+ *
+ * @example
+ * viewer.scene.globe.shadows = Cesium.ShadowMode.ENABLED;
+ * const viewshed = new Cesium.Viewshed({
+ *   scene: viewer.scene,
+ *   position: Cesium.Cartesian3.fromDegrees(7.65, 45.97, 4500.0),
+ *   heading: Cesium.Math.toRadians(90.0),
+ *   pitch: Cesium.Math.toRadians(-10.0),
+ *   range: 5000.0
+ * });
+ *
+ * // Later, remove the analysis from the scene
+ * viewshed.destroy();
+ *
+ * @see computeLineOfSight
+ */
+function Viewshed(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", options.scene);
+  Check.typeOf.object("options.position", options.position);
+  //>>includeEnd('debug');
+
+  const scene = options.scene;
+  this._scene = scene;
+
+  /**
+   * The position of the observer.
+   * @type {Cartesian3}
+   */
+  this.position = Cartesian3.clone(options.position);
+
+  /**
+   * The heading of the direction in which the observer looks, in radians clockwise from north.
+   * @type {Number}
+   * @default 0.0
+   */
+  this.heading = defaultValue(options.heading, 0.0);
+
+  /**
+   * The pitch of the direction in which the observer looks, in radians above the horizontal plane.
+   * @type {Number}
+   * @default 0.0
+   */
+  this.pitch = defaultValue(options.pitch, 0.0);
+
+  /**
+   * The horizontal field of view of the observer in radians, in the range (0, π).
+   * @type {Number}
+   * @default CesiumMath.PI_OVER_TWO
+   */
+  this.horizontalFieldOfView = defaultValue(
+    options.horizontalFieldOfView,
+    CesiumMath.PI_OVER_TWO
+  );
+
+  /**
+   * The vertical field of view of the observer in radians, in the range (0, π).
+   * @type {Number}
+   * @default CesiumMath.PI_OVER_THREE
+   */
+  this.verticalFieldOfView = defaultValue(
+    options.verticalFieldOfView,
+    CesiumMath.PI_OVER_THREE
+  );
+
+  /**
+   * The distance in meters up to which the observer sees.
+   * @type {Number}
+   * @default 1000.0
+   */
+  this.range = defaultValue(options.range, 1000.0);
+
+  /**
+   * The color blended into the visible parts of the scene.
+   * @type {Color}
+   * @default Color.LIME.withAlpha(0.5)
+   */
+  this.visibleColor = Color.clone(
+    defaultValue(options.visibleColor, Color.LIME.withAlpha(0.5))
+  );
+
+  /**
+   * The color blended into the occluded parts of the scene.
+   * @type {Color}
+   * @default Color.RED.withAlpha(0.5)
+   */
+  this.occludedColor = Color.clone(
+    defaultValue(options.occludedColor, Color.RED.withAlpha(0.5))
+  );
+
+  /**
+   * Determines if the analysis is shown.
+   * @type {Boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * This property is for debugging only; it is not for production use nor is it optimized.
+   * <p>
+   * Determines if the frustum of the observer is shown.
+   * </p>
+   * @type {Boolean}
+   * @default false
+   */
+  this.debugShowFrustum = defaultValue(options.debugShowFrustum, false);
+
+  const camera = new Camera(scene);
+  camera.frustum = new PerspectiveFrustum();
+  this._camera = camera;
+
+  const shadowMap = new ShadowMap({
+    context: scene.context,
+    lightCamera: camera,
+    isPointLight: false,
+    cascadesEnabled: false,
+    fromLightSource: false,
+    softShadows: false,
+    // The occluded parts are colored by the post-process stage rather than darkened by the shadow map
+    darkness: 1.0,
+    fadingEnabled: false,
+    size: defaultValue(options.shadowMapSize, 2048),
+  });
+  this._shadowMap = shadowMap;
+
+  const that = this;
+  const defines = shadowMap._usesDepthTexture
+    ? "#define USE_SHADOW_DEPTH_TEXTURE\n"
+    : "";
+  this._stage = scene.postProcessStages.add(
+    new PostProcessStage({
+      fragmentShader: defines + ViewshedFS,
+      uniforms: {
+        shadowMapTexture: function () {
+          return shadowMap._shadowMapTexture;
+        },
+        shadowMapMatrix: function () {
+          return shadowMap._shadowMapMatrix;
+        },
+        observerPositionEC: function () {
+          return shadowMap._lightPositionEC;
+        },
+        range: function () {
+          return that.range;
+        },
+        depthBias: function () {
+          return shadowMap._terrainBias.depthBias;
+        },
+        visibleColor: function () {
+          return that.visibleColor;
+        },
+        occludedColor: function () {
+          return that.occludedColor;
+        },
+      },
+    })
+  );
+  this._stage.enabled = false;
+
+  this._primitive = scene.primitives.add(new ViewshedPrimitive(this));
+  this._debugFrustum = undefined;
+}
+
+Object.defineProperties(Viewshed.prototype, {
+  /**
+   * Gets the scene in which the viewshed is analyzed.
+   * @memberof Viewshed.prototype
+   *
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+});
+
+function updateCamera(viewshed) {
+  const camera = viewshed._camera;
+  const frustum = camera.frustum;
+  const tanHorizontal = Math.tan(viewshed.horizontalFieldOfView * 0.5);
+  const tanVertical = Math.tan(viewshed.verticalFieldOfView * 0.5);
+
+  // The field of view of a perspective frustum is the one of its larger dimension
+  frustum.aspectRatio = tanHorizontal / tanVertical;
+  frustum.fov =
+    frustum.aspectRatio >= 1.0
+      ? viewshed.horizontalFieldOfView
+      : viewshed.verticalFieldOfView;
+  frustum.far = viewshed.range;
+  frustum.near = Math.max(viewshed.range * 0.001, 0.1);
+
+  camera.setView({
+    destination: viewshed.position,
+    orientation: {
+      heading: viewshed.heading,
+      pitch: viewshed.pitch,
+      roll: 0.0,
+    },
+  });
+}
+
+Viewshed.prototype._update = function (frameState) {
+  const show = this.show && frameState.mode === SceneMode.SCENE3D;
+  this._stage.enabled = show;
+
+  if (!this.debugShowFrustum || !show) {
+    this._debugFrustum = this._debugFrustum && this._debugFrustum.destroy();
+  }
+
+  if (!show) {
+    return;
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  if (
+    this.horizontalFieldOfView <= 0.0 ||
+    this.horizontalFieldOfView >= CesiumMath.PI ||
+    this.verticalFieldOfView <= 0.0 ||
+    this.verticalFieldOfView >= CesiumMath.PI
+  ) {
+    throw new DeveloperError(
+      "horizontalFieldOfView and verticalFieldOfView must be in the range (0, π)."
+    );
+  }
+  if (this.range <= 0.0) {
+    throw new DeveloperError("range must be greater than zero.");
+  }
+  //>>includeEnd('debug');
+
+  updateCamera(this);
+  frameState.shadowMaps.push(this._shadowMap);
+
+  if (this.debugShowFrustum) {
+    if (!defined(this._debugFrustum)) {
+      this._debugFrustum = new DebugCameraPrimitive({
+        camera: this._camera,
+        color: this.visibleColor.withAlpha(1.0),
+      });
+    }
+    this._debugFrustum.update(frameState);
+  }
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {Boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see Viewshed#destroy
+ */
+Viewshed.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object and removes the analysis from the scene.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * viewshed = viewshed && viewshed.destroy();
+ *
+ * @see Viewshed#isDestroyed
+ */
+Viewshed.prototype.destroy = function () {
+  const scene = this._scene;
+  if (scene.primitives.contains(this._primitive)) {
+    scene.primitives.remove(this._primitive);
+  }
+  if (scene.postProcessStages.contains(this._stage)) {
+    scene.postProcessStages.remove(this._stage);
+  }
+  this._debugFrustum = this._debugFrustum && this._debugFrustum.destroy();
+  this._shadowMap = this._shadowMap && this._shadowMap.destroy();
+  return destroyObject(this);
+};
+export default Viewshed;
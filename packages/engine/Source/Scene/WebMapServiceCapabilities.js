@@ -0,0 +1,501 @@
+import Check from "../Core/Check.js";
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import OgcCapabilitiesUtil from "./OgcCapabilitiesUtil.js";
+import WebMapServiceImageryProvider from "./WebMapServiceImageryProvider.js";
+
+const getChildElement = OgcCapabilitiesUtil.getChildElement;
+const getChildElements = OgcCapabilitiesUtil.getChildElements;
+const getChildText = OgcCapabilitiesUtil.getChildText;
+const getChildTexts = OgcCapabilitiesUtil.getChildTexts;
+const getAttribute = OgcCapabilitiesUtil.getAttribute;
+
+const defaultParameters = Object.freeze({
+  service: "WMS",
+  version: "1.3.0",
+  request: "GetCapabilities",
+});
+
+const webMercatorCrs = ["EPSG:3857", "EPSG:900913"];
+
+/**
+ * A named layer advertised by a WMS server, including the properties it inherits from its parent layers.
+ *
+ * @typedef {Object} WebMapServiceCapabilities.Layer
+ *
+ * @property {String} name The name of the layer, used in GetMap requests.
+ * @property {String} [title] The human-readable title of the layer.
+ * @property {String} [abstract] The description of the layer.
+ * @property {Rectangle} [rectangle] The extent of the layer, in radians, from its geographic bounding box.
+ * @property {String[]} crs The identifiers of the coordinate reference systems in which the layer can be requested.
+ * @property {Object[]} styles The styles in which the layer can be rendered, each with a <code>name</code> and a <code>title</code>.
+ * @property {WebMapServiceCapabilities.Dimension[]} dimensions The dimensions of the layer, such as its time or elevation.
+ * @property {Boolean} queryable Whether features of the layer can be requested with GetFeatureInfo.
+ */
+
+/**
+ * A dimension of a WMS layer.
+ *
+ * @typedef {Object} WebMapServiceCapabilities.Dimension
+ *
+ * @property {String} name The name of the dimension, such as <code>time</code> or <code>elevation</code>.
+ * @property {String} [units] The units of the values of the dimension, such as <code>ISO8601</code>.
+ * @property {String} [defaultValue] The value used when none is requested.
+ * @property {String[]} values The values of the dimension.  Values of time dimensions may be ISO 8601
+ *           <code>start/stop/period</code> ranges.
+ */
+
+/**
+ * The capabilities of a {@link http://www.opengeospatial.org/standards/wms|WMS} 1.1.1 or 1.3.0 server, which list the
+ * layers it serves with their extents, coordinate reference systems, styles and dimensions.  Use
+ * {@link WebMapServiceCapabilities.fromUrl} to request them, and {@link WebMapServiceCapabilities#createImageryProvider}
+ * to create an imagery provider of one of the layers.
+ *
+ * @alias WebMapServiceCapabilities
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Document} options.xml The capabilities document.
+ * @param {Resource|String} options.url The base URL of the service, used when the document advertises no URL for GetMap requests.
+ *
+ * @exception {RuntimeError} The document is not a WMS capabilities document.
+ *
+ * @example
+ * Cesium.WebMapServiceCapabilities.fromUrl(
+ *   "https://nowcoast.noaa.gov/arcgis/services/nowcoast/radar_meteo_imagery_nexrad_time/MapServer/WMSServer"
+ * ).then(function (capabilities) {
+ *   const provider = capabilities.createImageryProvider({
+ *     layer: "1",
+ *     clock: viewer.clock,
+ *   });
+ *   viewer.imageryLayers.addImageryProvider(provider);
+ * });
+ *
+ * @see WebMapServiceImageryProvider
+ * @see WebMapTileServiceCapabilities
+ */
+function WebMapServiceCapabilities(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.xml", options.xml);
+  Check.defined("options.url", options.url);
+  //>>includeEnd('debug');
+
+  const root = options.xml.documentElement;
+  if (root.localName === "ServiceExceptionReport") {
+    throw new RuntimeError(
+      `The WMS server returned an exception: ${root.textContent.trim()}`
+    );
+  }
+  if (
+    root.localName !== "WMS_Capabilities" &&
+    root.localName !== "WMT_MS_Capabilities"
+  ) {
+    throw new RuntimeError("The document is not a WMS capabilities document.");
+  }
+
+  this._resource = Resource.createIfNeeded(options.url);
+  this._version = defaultValue(
+    getAttribute(root, "version"),
+    root.localName === "WMS_Capabilities" ? "1.3.0" : "1.1.1"
+  );
+
+  const service = getChildElement(root, "Service");
+  this._title = defined(service) ? getChildText(service, "Title") : undefined;
+
+  const capability = getChildElement(root, "Capability");
+  const request = defined(capability)
+    ? getChildElement(capability, "Request")
+    : undefined;
+  this._getMap = parseOperation(request, "GetMap");
+  this._getFeatureInfo = parseOperation(request, "GetFeatureInfo");
+
+  const layers = [];
+  if (defined(capability)) {
+    const useCrs = parseFloat(this._version) >= 1.3;
+    getChildElements(capability, "Layer").forEach(function (layer) {
+      parseLayer(layer, undefined, useCrs, layers);
+    });
+  }
+  this._layers = layers;
+}
+
+Object.defineProperties(WebMapServiceCapabilities.prototype, {
+  /**
+   * Gets the base URL of the service.
+   * @memberof WebMapServiceCapabilities.prototype
+   * @type {String}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * Gets the WMS version of the capabilities, which is used in requests of the imagery providers.
+   * @memberof WebMapServiceCapabilities.prototype
+   * @type {String}
+   * @readonly
+   */
+  version: {
+    get: function () {
+      return this._version;
+    },
+  },
+
+  /**
+   * Gets the title of the service.
+   * @memberof WebMapServiceCapabilities.prototype
+   * @type {String|undefined}
+   * @readonly
+   */
+  title: {
+    get: function () {
+      return this._title;
+    },
+  },
+
+  /**
+   * Gets the MIME types of the images returned by GetMap requests.
+   * @memberof WebMapServiceCapabilities.prototype
+   * @type {String[]}
+   * @readonly
+   */
+  formats: {
+    get: function () {
+      return defined(this._getMap) ? this._getMap.formats : [];
+    },
+  },
+
+  /**
+   * Gets the named layers of the service, in the order of the document.
+   * @memberof WebMapServiceCapabilities.prototype
+   * @type {WebMapServiceCapabilities.Layer[]}
+   * @readonly
+   */
+  layers: {
+    get: function () {
+      return this._layers;
+    },
+  },
+});
+
+/**
+ * Requests the capabilities of a WMS server.
+ *
+ * @param {Resource|String} url The base URL of the service.  The <code>service</code>, <code>request</code>
+ *        and <code>version</code> parameters of the GetCapabilities operation are added to it unless it includes them.
+ * @returns {Promise<WebMapServiceCapabilities>} A promise that resolves to the capabilities of the server.
+ */
+WebMapServiceCapabilities.fromUrl = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const resource = Resource.createIfNeeded(url);
+  const capabilitiesResource = resource.getDerivedResource({});
+  capabilitiesResource.setQueryParameters(defaultParameters, true);
+
+  return capabilitiesResource.fetchXML().then(function (xml) {
+    return new WebMapServiceCapabilities({
+      xml: xml,
+      url: resource,
+    });
+  });
+};
+
+/**
+ * Gets a named layer of the service.
+ *
+ * @param {String} name The name of the layer.
+ * @returns {WebMapServiceCapabilities.Layer|undefined} The layer, or undefined if the service has no such layer.
+ */
+WebMapServiceCapabilities.prototype.getLayer = function (name) {
+  return this._layers.find(function (layer) {
+    return layer.name === name;
+  });
+};
+
+/**
+ * Creates an imagery provider of a layer of the service.  Images are requested in a geographic CRS if the layer
+ * supports one, and in Web Mercator otherwise.  When a clock is specified, the values of the time dimension of the
+ * layer are requested as the time of the clock changes.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.layer The name of the layer.
+ * @param {String} [options.style=''] The name of the style, or the empty string for the default style.
+ * @param {String} [options.format] The MIME type of the images.  Defaults to <code>image/png</code> when the
+ *        server supports it, and to its first format otherwise.
+ * @param {Object} [options.parameters] Additional parameters to pass to the WMS server in the GetMap URL.
+ * @param {TilingScheme} [options.tilingScheme] The tiling scheme to use.  Defaults to a geographic or Web Mercator
+ *        tiling scheme depending on the CRSs of the layer.
+ * @param {Clock} [options.clock] A clock used to request the values of the time dimension of the layer.
+ * @param {Credit|String} [options.credit] A credit for the layer, which is displayed on the canvas.
+ * @returns {WebMapServiceImageryProvider} The imagery provider.
+ *
+ * @exception {DeveloperError} The service has no layer with the name.
+ * @exception {RuntimeError} The layer supports neither a geographic CRS nor Web Mercator.
+ */
+WebMapServiceCapabilities.prototype.createImageryProvider = function (options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("options.layer", options.layer);
+  //>>includeEnd('debug');
+
+  const layer = this.getLayer(options.layer);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(layer)) {
+    throw new DeveloperError(`Unknown layer: ${options.layer}`);
+  }
+  //>>includeEnd('debug');
+
+  const useCrs = parseFloat(this._version) >= 1.3;
+  let crs;
+  let tilingScheme = options.tilingScheme;
+  if (!defined(tilingScheme)) {
+    crs = layer.crs.find(function (value) {
+      return (useCrs && value === "CRS:84") || value === "EPSG:4326";
+    });
+    if (defined(crs)) {
+      tilingScheme = new GeographicTilingScheme();
+    } else {
+      crs = layer.crs.find(function (value) {
+        return webMercatorCrs.includes(value);
+      });
+      if (!defined(crs)) {
+        throw new RuntimeError(
+          `Layer ${layer.name} supports neither a geographic CRS nor Web Mercator.`
+        );
+      }
+      tilingScheme = new WebMercatorTilingScheme();
+    }
+  }
+
+  const formats = this.formats;
+  const format = defaultValue(
+    options.format,
+    formats.includes("image/png") || formats.length === 0
+      ? "image/png"
+      : formats[0]
+  );
+
+  const url = defined(this._getMap)
+    ? this._resource.getDerivedResource({ url: this._getMap.url })
+    : this._resource;
+  const getFeatureInfo = this._getFeatureInfo;
+  const getFeatureInfoUrl = defined(getFeatureInfo)
+    ? this._resource.getDerivedResource({ url: getFeatureInfo.url })
+    : undefined;
+
+  const clock = options.clock;
+  let times;
+  if (defined(clock)) {
+    const timeDimension = layer.dimensions.find(function (dimension) {
+      return dimension.name.toLowerCase() === "time";
+    });
+    if (defined(timeDimension)) {
+      times = OgcCapabilitiesUtil.createTimeIntervalCollection(
+        timeDimension.values,
+        "time"
+      );
+    }
+  }
+
+  return new WebMapServiceImageryProvider({
+    url: url,
+    layers: layer.name,
+    parameters: combine(options.parameters, {
+      version: this._version,
+      format: format,
+      styles: defaultValue(options.style, ""),
+      transparent: format !== "image/jpeg",
+    }),
+    getFeatureInfoParameters: {
+      version: this._version,
+    },
+    getFeatureInfoUrl: getFeatureInfoUrl,
+    enablePickFeatures: layer.queryable && defined(getFeatureInfo),
+    tilingScheme: tilingScheme,
+    rectangle: layer.rectangle,
+    crs: useCrs ? crs : undefined,
+    srs: useCrs ? undefined : crs,
+    clock: defined(times) ? clock : undefined,
+    times: times,
+    credit: options.credit,
+  });
+};
+
+function parseOperation(request, name) {
+  const operation = defined(request)
+    ? getChildElement(request, name)
+    : undefined;
+  if (!defined(operation)) {
+    return undefined;
+  }
+
+  let url;
+  const dcpType = getChildElement(operation, "DCPType");
+  const http = defined(dcpType) ? getChildElement(dcpType, "HTTP") : undefined;
+  const get = defined(http) ? getChildElement(http, "Get") : undefined;
+  if (defined(get)) {
+    url = OgcCapabilitiesUtil.getHref(getChildElement(get, "OnlineResource"));
+  }
+
+  return {
+    formats: getChildTexts(operation, "Format"),
+    url: url,
+  };
+}
+
+function parseRectangle(element, useCrs) {
+  if (useCrs) {
+    const boundingBox = getChildElement(element, "EX_GeographicBoundingBox");
+    if (defined(boundingBox)) {
+      return Rectangle.fromDegrees(
+        Number(getChildText(boundingBox, "westBoundLongitude")),
+        Number(getChildText(boundingBox, "southBoundLatitude")),
+        Number(getChildText(boundingBox, "eastBoundLongitude")),
+        Number(getChildText(boundingBox, "northBoundLatitude"))
+      );
+    }
+    return undefined;
+  }
+
+  const boundingBox = getChildElement(element, "LatLonBoundingBox");
+  if (defined(boundingBox)) {
+    return Rectangle.fromDegrees(
+      Number(boundingBox.getAttribute("minx")),
+      Number(boundingBox.getAttribute("miny")),
+      Number(boundingBox.getAttribute("maxx")),
+      Number(boundingBox.getAttribute("maxy"))
+    );
+  }
+  return undefined;
+}
+
+function parseDimensions(element, useCrs, inheritedDimensions) {
+  const dimensions = inheritedDimensions.slice();
+
+  function addDimension(dimension) {
+    const index = dimensions.findIndex(function (inherited) {
+      return inherited.name === dimension.name;
+    });
+    if (index === -1) {
+      dimensions.push(dimension);
+    } else {
+      dimensions[index] = dimension;
+    }
+  }
+
+  function parseValues(text) {
+    return text
+      .split(",")
+      .map(function (value) {
+        return value.trim();
+      })
+      .filter(function (value) {
+        return value !== "";
+      });
+  }
+
+  const dimensionElements = getChildElements(element, "Dimension");
+  if (useCrs) {
+    dimensionElements.forEach(function (dimension) {
+      addDimension({
+        name: dimension.getAttribute("name"),
+        units: getAttribute(dimension, "units"),
+        defaultValue: getAttribute(dimension, "default"),
+        values: parseValues(dimension.textContent),
+      });
+    });
+    return dimensions;
+  }
+
+  // WMS 1.1.1 declares dimensions and their values in separate Dimension and Extent elements,
+  // and the declarations may be inherited from parent layers
+  dimensionElements.forEach(function (dimension) {
+    addDimension({
+      name: dimension.getAttribute("name"),
+      units: getAttribute(dimension, "units"),
+      defaultValue: undefined,
+      values: [],
+    });
+  });
+  getChildElements(element, "Extent").forEach(function (extent) {
+    const name = extent.getAttribute("name");
+    const declaration = dimensions.find(function (dimension) {
+      return dimension.name === name;
+    });
+    addDimension({
+      name: name,
+      units: defined(declaration) ? declaration.units : undefined,
+      defaultValue: getAttribute(extent, "default"),
+      values: parseValues(extent.textContent),
+    });
+  });
+  return dimensions;
+}
+
+function parseLayer(element, parent, useCrs, result) {
+  let crs = [];
+  getChildTexts(element, useCrs ? "CRS" : "SRS").forEach(function (text) {
+    // WMS 1.1.1 allows several SRS separated by whitespace in one element
+    crs = crs.concat(text.split(/\s+/));
+  });
+
+  const styles = getChildElements(element, "Style").map(function (style) {
+    return {
+      name: getChildText(style, "Name"),
+      title: getChildText(style, "Title"),
+    };
+  });
+
+  const queryable = getAttribute(element, "queryable");
+  const layer = {
+    name: getChildText(element, "Name"),
+    title: getChildText(element, "Title"),
+    abstract: getChildText(element, "Abstract"),
+    rectangle: defaultValue(
+      parseRectangle(element, useCrs),
+      defined(parent) ? parent.rectangle : undefined
+    ),
+    crs: defined(parent)
+      ? parent.crs.concat(
+          crs.filter(function (value) {
+            return !parent.crs.includes(value);
+          })
+        )
+      : crs,
+    styles: defined(parent) ? parent.styles.concat(styles) : styles,
+    dimensions: parseDimensions(
+      element,
+      useCrs,
+      defined(parent) ? parent.dimensions : []
+    ),
+    queryable: defined(queryable)
+      ? queryable === "1" || queryable === "true"
+      : defined(parent) && parent.queryable,
+  };
+
+  if (defined(layer.name)) {
+    result.push(layer);
+  }
+
+  getChildElements(element, "Layer").forEach(function (child) {
+    parseLayer(child, layer, useCrs, result);
+  });
+}
+
+export default WebMapServiceCapabilities;
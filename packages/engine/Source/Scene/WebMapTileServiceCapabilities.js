@@ -0,0 +1,521 @@
+import Check from "../Core/Check.js";
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import OgcCapabilitiesUtil from "./OgcCapabilitiesUtil.js";
+import WebMapTileServiceImageryProvider from "./WebMapTileServiceImageryProvider.js";
+
+const getChildElement = OgcCapabilitiesUtil.getChildElement;
+const getChildElements = OgcCapabilitiesUtil.getChildElements;
+const getChildText = OgcCapabilitiesUtil.getChildText;
+const getChildTexts = OgcCapabilitiesUtil.getChildTexts;
+const getAttribute = OgcCapabilitiesUtil.getAttribute;
+
+const defaultParameters = Object.freeze({
+  service: "WMTS",
+  version: "1.0.0",
+  request: "GetCapabilities",
+});
+
+/**
+ * A layer advertised by a WMTS server.
+ *
+ * @typedef {Object} WebMapTileServiceCapabilities.Layer
+ *
+ * @property {String} identifier The identifier of the layer, used in requests for its tiles.
+ * @property {String} [title] The human-readable title of the layer.
+ * @property {String} [abstract] The description of the layer.
+ * @property {Rectangle} [rectangle] The extent of the layer, in radians, from its WGS84 bounding box.
+ * @property {WebMapTileServiceCapabilities.Style[]} styles The styles in which the layer can be rendered.
+ * @property {String[]} formats The MIME types of the tiles of the layer.
+ * @property {String[]} tileMatrixSetIdentifiers The identifiers of the tile matrix sets in which tiles of the layer are available.
+ * @property {WebMapTileServiceCapabilities.Dimension[]} dimensions The dimensions of the layer, such as its time.
+ * @property {Object[]} resourceUrls The URL templates of the RESTful encoding, each with a <code>format</code>,
+ *           a <code>resourceType</code> and a <code>template</code>.
+ */
+
+/**
+ * A style of a WMTS layer.
+ *
+ * @typedef {Object} WebMapTileServiceCapabilities.Style
+ *
+ * @property {String} identifier The identifier of the style.
+ * @property {String} [title] The human-readable title of the style.
+ * @property {Boolean} isDefault Whether this is the default style of the layer.
+ */
+
+/**
+ * A dimension of a WMTS layer.
+ *
+ * @typedef {Object} WebMapTileServiceCapabilities.Dimension
+ *
+ * @property {String} identifier The identifier of the dimension, such as <code>Time</code>.
+ * @property {String} [unitOfMeasure] The units of the values of the dimension, such as <code>ISO8601</code>.
+ * @property {String} defaultValue The value used when none is requested.
+ * @property {String[]} values The values of the dimension.  Values of time dimensions may be ISO 8601
+ *           <code>start/stop/period</code> ranges.
+ */
+
+/**
+ * A tile matrix set advertised by a WMTS server.
+ *
+ * @typedef {Object} WebMapTileServiceCapabilities.TileMatrixSet
+ *
+ * @property {String} identifier The identifier of the tile matrix set.
+ * @property {String} supportedCRS The identifier of the coordinate reference system of the tile matrices.
+ * @property {String} [wellKnownScaleSet] The URN of the well-known scale set the tile matrix set conforms to.
+ * @property {Object[]} tileMatrices The tile matrices, each with an <code>identifier</code>, a <code>scaleDenominator</code>,
+ *           a <code>topLeftCorner</code> in the axis order of the CRS, a <code>tileWidth</code>, a <code>tileHeight</code>,
+ *           a <code>matrixWidth</code> and a <code>matrixHeight</code>.
+ */
+
+/**
+ * The capabilities of a {@link http://www.opengeospatial.org/standards/wmts|WMTS 1.0.0} server, which list the layers
+ * it serves with their extents, styles, formats, dimensions and tile matrix sets.  Use
+ * {@link WebMapTileServiceCapabilities.fromUrl} to request them, and
+ * {@link WebMapTileServiceCapabilities#createImageryProvider} to create an imagery provider of one of the layers
+ * without typing its parameters by hand.
+ *
+ * @alias WebMapTileServiceCapabilities
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Document} options.xml The capabilities document.
+ * @param {Resource|String} options.url The base URL of the service, used to resolve relative URLs of the document.
+ *
+ * @exception {RuntimeError} The document is not a WMTS capabilities document.
+ *
+ * @example
+ * Cesium.WebMapTileServiceCapabilities.fromUrl(
+ *   "https://gibs.earthdata.nasa.gov/wmts/epsg4326/best/wmts.cgi"
+ * ).then(function (capabilities) {
+ *   const provider = capabilities.createImageryProvider({
+ *     layer: "MODIS_Terra_CorrectedReflectance_TrueColor",
+ *     clock: viewer.clock,
+ *   });
+ *   viewer.imageryLayers.addImageryProvider(provider);
+ * });
+ *
+ * @see WebMapTileServiceImageryProvider
+ * @see WebMapServiceCapabilities
+ */
+function WebMapTileServiceCapabilities(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.xml", options.xml);
+  Check.defined("options.url", options.url);
+  //>>includeEnd('debug');
+
+  const root = options.xml.documentElement;
+  if (root.localName === "ExceptionReport") {
+    throw new RuntimeError(
+      `The WMTS server returned an exception: ${root.textContent.trim()}`
+    );
+  }
+  if (root.localName !== "Capabilities") {
+    throw new RuntimeError("The document is not a WMTS capabilities document.");
+  }
+
+  this._resource = Resource.createIfNeeded(options.url);
+
+  const serviceIdentification = getChildElement(root, "ServiceIdentification");
+  this._title = defined(serviceIdentification)
+    ? getChildText(serviceIdentification, "Title")
+    : undefined;
+
+  this._getTileUrl = getOperationUrl(root, "GetTile");
+
+  const contents = getChildElement(root, "Contents");
+  this._layers = defined(contents)
+    ? getChildElements(contents, "Layer").map(parseLayer)
+    : [];
+  this._tileMatrixSets = defined(contents)
+    ? getChildElements(contents, "TileMatrixSet").map(parseTileMatrixSet)
+    : [];
+}
+
+Object.defineProperties(WebMapTileServiceCapabilities.prototype, {
+  /**
+   * Gets the base URL of the service.
+   * @memberof WebMapTileServiceCapabilities.prototype
+   * @type {String}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * Gets the title of the service.
+   * @memberof WebMapTileServiceCapabilities.prototype
+   * @type {String|undefined}
+   * @readonly
+   */
+  title: {
+    get: function () {
+      return this._title;
+    },
+  },
+
+  /**
+   * Gets the layers served by the service.
+   * @memberof WebMapTileServiceCapabilities.prototype
+   * @type {WebMapTileServiceCapabilities.Layer[]}
+   * @readonly
+   */
+  layers: {
+    get: function () {
+      return this._layers;
+    },
+  },
+
+  /**
+   * Gets the tile matrix sets of the service.
+   * @memberof WebMapTileServiceCapabilities.prototype
+   * @type {WebMapTileServiceCapabilities.TileMatrixSet[]}
+   * @readonly
+   */
+  tileMatrixSets: {
+    get: function () {
+      return this._tileMatrixSets;
+    },
+  },
+});
+
+/**
+ * Requests the capabilities of a WMTS server.
+ *
+ * @param {Resource|String} url The base URL of the service.  The <code>service</code>, <code>request</code>
+ *        and <code>version</code> parameters of the GetCapabilities operation are added to it unless it includes them.
+ * @returns {Promise<WebMapTileServiceCapabilities>} A promise that resolves to the capabilities of the server.
+ */
+WebMapTileServiceCapabilities.fromUrl = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const resource = Resource.createIfNeeded(url);
+  const capabilitiesResource = resource.getDerivedResource({});
+  capabilitiesResource.setQueryParameters(defaultParameters, true);
+
+  return capabilitiesResource.fetchXML().then(function (xml) {
+    return new WebMapTileServiceCapabilities({
+      xml: xml,
+      url: resource,
+    });
+  });
+};
+
+/**
+ * Gets a layer of the service.
+ *
+ * @param {String} identifier The identifier of the layer.
+ * @returns {WebMapTileServiceCapabilities.Layer|undefined} The layer, or undefined if the service has no such layer.
+ */
+WebMapTileServiceCapabilities.prototype.getLayer = function (identifier) {
+  return this._layers.find(function (layer) {
+    return layer.identifier === identifier;
+  });
+};
+
+/**
+ * Gets a tile matrix set of the service.
+ *
+ * @param {String} identifier The identifier of the tile matrix set.
+ * @returns {WebMapTileServiceCapabilities.TileMatrixSet|undefined} The tile matrix set, or undefined if the service has no such set.
+ */
+WebMapTileServiceCapabilities.prototype.getTileMatrixSet = function (
+  identifier
+) {
+  return this._tileMatrixSets.find(function (tileMatrixSet) {
+    return tileMatrixSet.identifier === identifier;
+  });
+};
+
+/**
+ * Creates the tiling scheme of a tile matrix set.  Sets of Web Mercator or geographic quadtrees covering the
+ * whole world result in a {@link WebMercatorTilingScheme} or a {@link GeographicTilingScheme}, and any other set
+ * in a supported CRS in a {@link TileMatrixSetTilingScheme}.
+ *
+ * @param {String} identifier The identifier of the tile matrix set.
+ * @param {Rectangle} [rectangle] The rectangle covered by a {@link TileMatrixSetTilingScheme}, such as the extent
+ *        of a layer.  Defaults to the rectangle containing the first tile matrix.
+ * @returns {TilingScheme} The tiling scheme.
+ *
+ * @exception {DeveloperError} The service has no tile matrix set with the identifier.
+ * @exception {RuntimeError} The CRS of the tile matrix set is not supported.
+ */
+WebMapTileServiceCapabilities.prototype.createTilingScheme = function (
+  identifier,
+  rectangle
+) {
+  const tileMatrixSet = this.getTileMatrixSet(identifier);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(tileMatrixSet)) {
+    throw new DeveloperError(`Unknown tile matrix set: ${identifier}`);
+  }
+  //>>includeEnd('debug');
+
+  const tilingScheme = OgcCapabilitiesUtil.createTilingScheme(
+    tileMatrixSet.supportedCRS,
+    tileMatrixSet.tileMatrices,
+    rectangle
+  );
+  if (!defined(tilingScheme)) {
+    throw new RuntimeError(
+      `The CRS of tile matrix set ${identifier} is not supported: ${tileMatrixSet.supportedCRS}`
+    );
+  }
+  return tilingScheme;
+};
+
+/**
+ * Creates an imagery provider of a layer of the service.  Parameters that are not specified default to the
+ * ones advertised by the capabilities: the default style, the first format, the first tile matrix set in a
+ * supported CRS and the default values of the dimensions.  When a clock is specified, the values of the time
+ * dimension of the layer are requested as the time of the clock changes.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.layer The identifier of the layer.
+ * @param {String} [options.style] The identifier of the style.
+ * @param {String} [options.format] The MIME type of the tiles.
+ * @param {String} [options.tileMatrixSetID] The identifier of the tile matrix set.
+ * @param {Object} [options.dimensions] The values of the dimensions of the layer, overriding their default values.
+ * @param {Clock} [options.clock] A clock used to request the values of the time dimension of the layer.
+ * @param {Credit|String} [options.credit] A credit for the layer, which is displayed on the canvas.
+ * @returns {WebMapTileServiceImageryProvider} The imagery provider.
+ *
+ * @exception {DeveloperError} The service has no layer with the identifier.
+ * @exception {RuntimeError} The layer has no tile matrix set in a supported CRS.
+ */
+WebMapTileServiceCapabilities.prototype.createImageryProvider = function (
+  options
+) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("options.layer", options.layer);
+  //>>includeEnd('debug');
+
+  const layer = this.getLayer(options.layer);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(layer)) {
+    throw new DeveloperError(`Unknown layer: ${options.layer}`);
+  }
+  //>>includeEnd('debug');
+
+  const that = this;
+  let tileMatrixSetID = options.tileMatrixSetID;
+  if (!defined(tileMatrixSetID)) {
+    tileMatrixSetID = layer.tileMatrixSetIdentifiers.find(function (
+      identifier
+    ) {
+      const tileMatrixSet = that.getTileMatrixSet(identifier);
+      return (
+        defined(tileMatrixSet) &&
+        defined(
+          OgcCapabilitiesUtil.createProjection(tileMatrixSet.supportedCRS)
+        )
+      );
+    });
+    if (!defined(tileMatrixSetID)) {
+      throw new RuntimeError(
+        `Layer ${layer.identifier} has no tile matrix set in a supported CRS.`
+      );
+    }
+  }
+
+  const tileMatrixSet = this.getTileMatrixSet(tileMatrixSetID);
+  const tilingScheme = this.createTilingScheme(
+    tileMatrixSetID,
+    layer.rectangle
+  );
+  const firstTileMatrix = tileMatrixSet.tileMatrices[0];
+
+  let style = options.style;
+  if (!defined(style)) {
+    const defaultStyle = layer.styles.find(function (layerStyle) {
+      return layerStyle.isDefault;
+    });
+    style = defined(defaultStyle)
+      ? defaultStyle.identifier
+      : layer.styles.length > 0
+      ? layer.styles[0].identifier
+      : "default";
+  }
+  const format = defaultValue(options.format, layer.formats[0]);
+
+  const resourceUrl = layer.resourceUrls.find(function (resourceUrl) {
+    return (
+      resourceUrl.resourceType === "tile" &&
+      (!defined(format) || resourceUrl.format === format)
+    );
+  });
+  let url = this._resource;
+  if (defined(resourceUrl)) {
+    url = this._resource.getDerivedResource({
+      url: resourceUrl.template,
+    });
+  } else if (defined(this._getTileUrl)) {
+    url = this._resource.getDerivedResource({
+      url: this._getTileUrl,
+    });
+  }
+
+  const clock = options.clock;
+  let times;
+  let dimensions = {};
+  layer.dimensions.forEach(function (dimension) {
+    if (defined(clock) && isTimeDimension(dimension)) {
+      times = OgcCapabilitiesUtil.createTimeIntervalCollection(
+        dimension.values,
+        dimension.identifier
+      );
+      if (defined(times)) {
+        return;
+      }
+    }
+    dimensions[dimension.identifier] = dimension.defaultValue;
+  });
+  dimensions = combine(options.dimensions, dimensions);
+
+  return new WebMapTileServiceImageryProvider({
+    url: url,
+    layer: layer.identifier,
+    style: style,
+    format: format,
+    tileMatrixSetID: tileMatrixSetID,
+    tileMatrixLabels: tileMatrixSet.tileMatrices.map(function (tileMatrix) {
+      return tileMatrix.identifier;
+    }),
+    tilingScheme: tilingScheme,
+    tileWidth: firstTileMatrix.tileWidth,
+    tileHeight: firstTileMatrix.tileHeight,
+    maximumLevel: tileMatrixSet.tileMatrices.length - 1,
+    rectangle: layer.rectangle,
+    dimensions: Object.keys(dimensions).length > 0 ? dimensions : undefined,
+    clock: defined(times) ? clock : undefined,
+    times: times,
+    credit: options.credit,
+  });
+};
+
+function isTimeDimension(dimension) {
+  return (
+    /^time$/i.test(dimension.identifier) ||
+    /^ISO8601$/i.test(dimension.unitOfMeasure)
+  );
+}
+
+function getOperationUrl(root, name) {
+  const operationsMetadata = getChildElement(root, "OperationsMetadata");
+  if (!defined(operationsMetadata)) {
+    return undefined;
+  }
+  const operation = getChildElements(operationsMetadata, "Operation").find(
+    function (operation) {
+      return getAttribute(operation, "name") === name;
+    }
+  );
+  if (!defined(operation)) {
+    return undefined;
+  }
+  const dcp = getChildElement(operation, "DCP");
+  const http = defined(dcp) ? getChildElement(dcp, "HTTP") : undefined;
+  return defined(http)
+    ? OgcCapabilitiesUtil.getHref(getChildElement(http, "Get"))
+    : undefined;
+}
+
+function parseLayer(element) {
+  let rectangle;
+  const boundingBox = getChildElement(element, "WGS84BoundingBox");
+  if (defined(boundingBox)) {
+    const lowerCorner = OgcCapabilitiesUtil.parseNumbers(
+      getChildText(boundingBox, "LowerCorner")
+    );
+    const upperCorner = OgcCapabilitiesUtil.parseNumbers(
+      getChildText(boundingBox, "UpperCorner")
+    );
+    rectangle = Rectangle.fromDegrees(
+      lowerCorner[0],
+      lowerCorner[1],
+      upperCorner[0],
+      upperCorner[1]
+    );
+  }
+
+  return {
+    identifier: getChildText(element, "Identifier"),
+    title: getChildText(element, "Title"),
+    abstract: getChildText(element, "Abstract"),
+    rectangle: rectangle,
+    styles: getChildElements(element, "Style").map(function (style) {
+      return {
+        identifier: getChildText(style, "Identifier"),
+        title: getChildText(style, "Title"),
+        isDefault: getAttribute(style, "isDefault") === "true",
+      };
+    }),
+    formats: getChildTexts(element, "Format"),
+    tileMatrixSetIdentifiers: getChildElements(
+      element,
+      "TileMatrixSetLink"
+    ).map(function (link) {
+      return getChildText(link, "TileMatrixSet");
+    }),
+    dimensions: getChildElements(element, "Dimension").map(function (
+      dimension
+    ) {
+      return {
+        identifier: getChildText(dimension, "Identifier"),
+        unitOfMeasure: getChildText(dimension, "UOM"),
+        defaultValue: getChildText(dimension, "Default"),
+        values: getChildTexts(dimension, "Value"),
+      };
+    }),
+    resourceUrls: getChildElements(element, "ResourceURL").map(function (
+      resourceUrl
+    ) {
+      return {
+        format: getAttribute(resourceUrl, "format"),
+        resourceType: getAttribute(resourceUrl, "resourceType"),
+        template: getAttribute(resourceUrl, "template"),
+      };
+    }),
+  };
+}
+
+function parseTileMatrixSet(element) {
+  return {
+    identifier: getChildText(element, "Identifier"),
+    supportedCRS: getChildText(element, "SupportedCRS"),
+    wellKnownScaleSet: getChildText(element, "WellKnownScaleSet"),
+    tileMatrices: getChildElements(element, "TileMatrix").map(function (
+      tileMatrix
+    ) {
+      return {
+        identifier: getChildText(tileMatrix, "Identifier"),
+        scaleDenominator: Number(getChildText(tileMatrix, "ScaleDenominator")),
+        topLeftCorner: OgcCapabilitiesUtil.parseNumbers(
+          getChildText(tileMatrix, "TopLeftCorner")
+        ),
+        tileWidth: Number(getChildText(tileMatrix, "TileWidth")),
+        tileHeight: Number(getChildText(tileMatrix, "TileHeight")),
+        matrixWidth: Number(getChildText(tileMatrix, "MatrixWidth")),
+        matrixHeight: Number(getChildText(tileMatrix, "MatrixHeight")),
+      };
+    }),
+  };
+}
+
+export default WebMapTileServiceCapabilities;
@@ -6,6 +6,7 @@ import DeveloperError from "../Core/DeveloperError.js";
 import Event from "../Core/Event.js";
 import Rectangle from "../Core/Rectangle.js";
 import Resource from "../Core/Resource.js";
+import TileMatrixSetTilingScheme from "../Core/TileMatrixSetTilingScheme.js";
 import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
 import ImageryProvider from "./ImageryProvider.js";
 import TimeDynamicImagery from "./TimeDynamicImagery.js";
@@ -26,16 +27,16 @@ const defaultParameters = Object.freeze({
  * @property {String} layer The layer name for WMTS requests.
  * @property {String} style The style name for WMTS requests.
  * @property {String} tileMatrixSetID The identifier of the TileMatrixSet to use for WMTS requests.
- * @property {Array} [tileMatrixLabels] A list of identifiers in the TileMatrix to use for WMTS requests, one per TileMatrix level.
+ * @property {Array} [tileMatrixLabels] A list of identifiers in the TileMatrix to use for WMTS requests, one per TileMatrix level.  Defaults to the identifiers of the tile matrices of a {@link TileMatrixSetTilingScheme}.
  * @property {Clock} [clock] A Clock instance that is used when determining the value for the time dimension. Required when `times` is specified.
  * @property {TimeIntervalCollection} [times] TimeIntervalCollection with its <code>data</code> property being an object containing time dynamic dimension and their values.
  * @property {Object} [dimensions] A object containing static dimensions and their values.
  * @property {Number} [tileWidth=256] The tile width in pixels.
  * @property {Number} [tileHeight=256] The tile height in pixels.
- * @property {TilingScheme} [tilingScheme] The tiling scheme corresponding to the organization of the tiles in the TileMatrixSet.
+ * @property {TilingScheme} [tilingScheme] The tiling scheme corresponding to the organization of the tiles in the TileMatrixSet.  Use a {@link TileMatrixSetTilingScheme} for TileMatrixSets in other projections than Web Mercator and geographic.
  * @property {Rectangle} [rectangle=Rectangle.MAX_VALUE] The rectangle covered by the layer.
  * @property {Number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.
- * @property {Number} [maximumLevel] The maximum level-of-detail supported by the imagery provider, or undefined if there is no limit.
+ * @property {Number} [maximumLevel] The maximum level-of-detail supported by the imagery provider, or undefined if there is no limit.  Defaults to the last tile matrix of a {@link TileMatrixSetTilingScheme}.
  * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If not specified, the WGS84 ellipsoid is used.
  * @property {Credit|String} [credit] A credit for the data source, which is displayed on the canvas.
  * @property {String|String[]} [subdomains='abc'] The subdomains to use for the <code>{s}</code> placeholder in the URL template.
@@ -250,7 +251,6 @@ function WebMapTileServiceImageryProvider(options) {
   this._layer = options.layer;
   this._style = style;
   this._tileMatrixSetID = tileMatrixSetID;
-  this._tileMatrixLabels = options.tileMatrixLabels;
   this._format = defaultValue(options.format, "image/jpeg");
   this._tileDiscardPolicy = options.tileDiscardPolicy;
 
@@ -260,8 +260,19 @@ function WebMapTileServiceImageryProvider(options) {
   this._tileWidth = defaultValue(options.tileWidth, 256);
   this._tileHeight = defaultValue(options.tileHeight, 256);
 
+  this._tileMatrixLabels = options.tileMatrixLabels;
   this._minimumLevel = defaultValue(options.minimumLevel, 0);
   this._maximumLevel = options.maximumLevel;
+  if (this._tilingScheme instanceof TileMatrixSetTilingScheme) {
+    this._tileMatrixLabels = defaultValue(
+      this._tileMatrixLabels,
+      this._tilingScheme.tileMatrixLabels
+    );
+    this._maximumLevel = defaultValue(
+      this._maximumLevel,
+      this._tilingScheme.numberOfLevels - 1
+    );
+  }
 
   this._rectangle = defaultValue(
     options.rectangle,
@@ -299,8 +310,12 @@ function WebMapTileServiceImageryProvider(options) {
     Rectangle.northeast(this._rectangle),
     this._minimumLevel
   );
+  // The corners of the rectangle may be outside of the tile matrices of a TileMatrixSetTilingScheme.
   const tileCount =
-    (Math.abs(neTile.x - swTile.x) + 1) * (Math.abs(neTile.y - swTile.y) + 1);
+    defined(swTile) && defined(neTile)
+      ? (Math.abs(neTile.x - swTile.x) + 1) *
+        (Math.abs(neTile.y - swTile.y) + 1)
+      : 0;
   //>>includeStart('debug', pragmas.debug);
   if (tileCount > 4) {
     throw new DeveloperError(
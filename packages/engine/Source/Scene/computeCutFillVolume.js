@@ -0,0 +1,324 @@
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import ColorGeometryInstanceAttribute from "../Core/ColorGeometryInstanceAttribute.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeodeticPolygon from "../Core/GeodeticPolygon.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import RectangleGeometry from "../Core/RectangleGeometry.js";
+import sampleTerrainAtLevelOrMostDetailed from "../Core/sampleTerrainAtLevelOrMostDetailed.js";
+import GroundPrimitive from "./GroundPrimitive.js";
+import PerInstanceColorAppearance from "./PerInstanceColorAppearance.js";
+
+// The radii of curvature of the ellipsoid along the meridian and the prime vertical at a latitude
+function getMeridianRadius(ellipsoid, latitude) {
+  const a = ellipsoid.radii.x;
+  const eccentricitySquared = 1.0 - ellipsoid.radiiSquared.z / (a * a);
+  const sinLatitude = Math.sin(latitude);
+  const w = 1.0 - eccentricitySquared * sinLatitude * sinLatitude;
+  return (a * (1.0 - eccentricitySquared)) / Math.pow(w, 1.5);
+}
+
+function getPrimeVerticalRadius(ellipsoid, latitude) {
+  const a = ellipsoid.radii.x;
+  const eccentricitySquared = 1.0 - ellipsoid.radiiSquared.z / (a * a);
+  const sinLatitude = Math.sin(latitude);
+  return a / Math.sqrt(1.0 - eccentricitySquared * sinLatitude * sinLatitude);
+}
+
+function createCells(polygon, spacing, maximumCells, ellipsoid) {
+  const west = polygon.west;
+  const east = polygon.east;
+  const south = polygon.south;
+  const north = polygon.north;
+
+  // The cells are spaced in meters at the center of the polygon, so they are nearly square
+  const centerLatitude = (south + north) * 0.5;
+  const meridianRadius = getMeridianRadius(ellipsoid, centerLatitude);
+  const parallelRadius =
+    getPrimeVerticalRadius(ellipsoid, centerLatitude) *
+    Math.cos(centerLatitude);
+
+  let latitudeSpacing;
+  let longitudeSpacing;
+  let columns;
+  let rows;
+  for (;;) {
+    latitudeSpacing = spacing / meridianRadius;
+    longitudeSpacing = spacing / parallelRadius;
+    columns = Math.max(Math.ceil((east - west) / longitudeSpacing), 1);
+    rows = Math.max(Math.ceil((north - south) / latitudeSpacing), 1);
+    if (columns * rows <= maximumCells) {
+      break;
+    }
+    // Grow the cells so that the grid fits, rounding up the number of cells in each direction
+    spacing *= Math.max(Math.sqrt((columns * rows) / maximumCells), 1.01);
+  }
+
+  const cells = [];
+  for (let row = 0; row < rows; ++row) {
+    const latitude = south + (row + 0.5) * latitudeSpacing;
+    const area =
+      getMeridianRadius(ellipsoid, latitude) *
+      latitudeSpacing *
+      getPrimeVerticalRadius(ellipsoid, latitude) *
+      Math.cos(latitude) *
+      longitudeSpacing;
+    for (let column = 0; column < columns; ++column) {
+      const longitude = west + (column + 0.5) * longitudeSpacing;
+      if (!polygon.contains(longitude, latitude)) {
+        continue;
+      }
+      cells.push({
+        cartographic: new Cartographic(
+          CesiumMath.negativePiToPi(longitude),
+          latitude
+        ),
+        rectangle: new Rectangle(
+          CesiumMath.negativePiToPi(longitude - longitudeSpacing * 0.5),
+          latitude - latitudeSpacing * 0.5,
+          CesiumMath.negativePiToPi(longitude + longitudeSpacing * 0.5),
+          latitude + latitudeSpacing * 0.5
+        ),
+        area: area,
+      });
+    }
+  }
+  return {
+    cells: cells,
+    spacing: spacing,
+  };
+}
+
+function sampleHeights(terrainProvider, level, cartographics) {
+  const positions = cartographics.map(function (cartographic) {
+    return Cartographic.clone(cartographic);
+  });
+
+  return sampleTerrainAtLevelOrMostDetailed(
+    terrainProvider,
+    level,
+    positions
+  ).then(function (positions) {
+    return positions.map(function (position) {
+      return position.height;
+    });
+  });
+}
+
+function createPrimitive(cells, maximumDifference, options) {
+  const cutColor = defaultValue(options.cutColor, Color.RED);
+  const fillColor = defaultValue(options.fillColor, Color.BLUE);
+
+  const instances = [];
+  for (let i = 0; i < cells.length; ++i) {
+    const cell = cells[i];
+    const difference = cell.difference;
+    if (!defined(difference) || difference === 0.0) {
+      continue;
+    }
+
+    // The more the terrain differs from the reference surface, the more opaque the cell
+    const color = difference > 0.0 ? cutColor : fillColor;
+    const ratio =
+      maximumDifference > 0.0 ? Math.abs(difference) / maximumDifference : 1.0;
+    instances.push(
+      new GeometryInstance({
+        geometry: new RectangleGeometry({
+          rectangle: cell.rectangle,
+          ellipsoid: options.ellipsoid,
+        }),
+        attributes: {
+          color: ColorGeometryInstanceAttribute.fromColor(
+            Color.fromAlpha(color, color.alpha * Math.max(ratio, 0.1))
+          ),
+        },
+        id: cell,
+      })
+    );
+  }
+
+  if (instances.length === 0) {
+    return undefined;
+  }
+
+  return new GroundPrimitive({
+    geometryInstances: instances,
+    appearance: new PerInstanceColorAppearance({
+      flat: true,
+      translucent: true,
+    }),
+  });
+}
+
+/**
+ * Computes the volumes of earth that must be cut and filled to bring the terrain inside of a polygon to a
+ * reference surface, for example to plan the earthworks of a construction site.  The reference surface is either
+ * a constant height or a second terrain provider, such as a design surface.
+ * <p>
+ * The polygon is divided into a grid of cells, which are approximately square with sides of the given spacing.
+ * The terrain and the reference surface are sampled at the center of each cell inside of the polygon, and the
+ * difference of their heights is multiplied by the area of the cell.  Cells where either surface could not be
+ * sampled are skipped.  If the grid over the bounding rectangle of the polygon would have more than
+ * <code>maximumCells</code> cells at the given spacing, the spacing is increased until it does not.
+ * </p>
+ *
+ * @function computeCutFillVolume
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Cartesian3[]} options.positions The vertices of the polygon.
+ * @param {TerrainProvider} options.terrainProvider The terrain provider from which to sample the heights of the terrain.
+ * @param {Number} [options.referenceHeight] The height of the reference surface above the ellipsoid, in meters.
+ * @param {TerrainProvider} [options.referenceTerrainProvider] The terrain provider from which to sample the heights of the reference surface, instead of a constant height.
+ * @param {Number} [options.spacing=10.0] The size of the cells of the grid, in meters.
+ * @param {Number} [options.maximumCells=250000] The largest number of cells of the grid over the bounding rectangle of the polygon.
+ * @param {Number} [options.level] The level of the terrain tiles from which to sample heights.  If undefined, the most detailed available tiles are sampled, which requires terrain providers that report the availability of their tiles.
+ * @param {Boolean} [options.createPrimitive=false] Whether to create a {@link GroundPrimitive} that draws the cells colored by the difference of the heights.
+ * @param {Color} [options.cutColor=Color.RED] The color of cells where the terrain is above the reference surface.
+ * @param {Color} [options.fillColor=Color.BLUE] The color of cells where the terrain is below the reference surface.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which areas are measured.
+ * @returns {Promise.<computeCutFillVolume.Result>} A promise that resolves to the volumes.  The promise rejects if options.level is undefined
+ *                                                  and a terrain provider does not report the availability of its tiles.
+ *
+ * @exception {DeveloperError} referenceHeight or referenceTerrainProvider is required.
+ *
+ * @example
+ * Cesium.computeCutFillVolume({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0077, 40.0441,
+ *     -105.0048, 40.0441,
+ *     -105.0048, 40.0427,
+ *     -105.0077, 40.0427
+ *   ]),
+ *   terrainProvider: viewer.terrainProvider,
+ *   referenceHeight: 1650.0,
+ *   spacing: 5.0,
+ *   createPrimitive: true
+ * }).then(function(result) {
+ *   console.log(`Cut: ${result.cutVolume} m³, fill: ${result.fillVolume} m³`);
+ *   viewer.scene.primitives.add(result.primitive);
+ * });
+ */
+function computeCutFillVolume(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const positions = options.positions;
+  const terrainProvider = options.terrainProvider;
+  const referenceHeight = options.referenceHeight;
+  const referenceTerrainProvider = options.referenceTerrainProvider;
+  const spacing = defaultValue(options.spacing, 10.0);
+  const maximumCells = defaultValue(options.maximumCells, 250000);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.positions.length",
+    positions.length,
+    3
+  );
+  Check.defined("options.terrainProvider", terrainProvider);
+  Check.typeOf.number.greaterThan("options.spacing", spacing, 0.0);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.maximumCells",
+    maximumCells,
+    1
+  );
+  if (!defined(referenceHeight) && !defined(referenceTerrainProvider)) {
+    throw new DeveloperError(
+      "referenceHeight or referenceTerrainProvider is required."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const grid = createCells(
+    new GeodeticPolygon(positions, ellipsoid),
+    spacing,
+    maximumCells,
+    ellipsoid
+  );
+  const cells = grid.cells;
+  const cartographics = cells.map(function (cell) {
+    return cell.cartographic;
+  });
+
+  const referencePromise = defined(referenceTerrainProvider)
+    ? sampleHeights(referenceTerrainProvider, options.level, cartographics)
+    : Promise.resolve(undefined);
+
+  return Promise.all([
+    sampleHeights(terrainProvider, options.level, cartographics),
+    referencePromise,
+  ]).then(function (heights) {
+    const terrainHeights = heights[0];
+    const referenceHeights = heights[1];
+
+    let cutVolume = 0.0;
+    let fillVolume = 0.0;
+    let area = 0.0;
+    let maximumDifference = 0.0;
+    for (let i = 0; i < cells.length; ++i) {
+      const cell = cells[i];
+      cell.terrainHeight = terrainHeights[i];
+      cell.referenceHeight = defined(referenceHeights)
+        ? referenceHeights[i]
+        : referenceHeight;
+      if (!defined(cell.terrainHeight) || !defined(cell.referenceHeight)) {
+        cell.difference = undefined;
+        continue;
+      }
+
+      const difference = cell.terrainHeight - cell.referenceHeight;
+      cell.difference = difference;
+      if (difference > 0.0) {
+        cutVolume += difference * cell.area;
+      } else {
+        fillVolume -= difference * cell.area;
+      }
+      area += cell.area;
+      maximumDifference = Math.max(maximumDifference, Math.abs(difference));
+    }
+
+    return {
+      cutVolume: cutVolume,
+      fillVolume: fillVolume,
+      area: area,
+      spacing: grid.spacing,
+      cells: cells,
+      primitive: defaultValue(options.createPrimitive, false)
+        ? createPrimitive(cells, maximumDifference, {
+            cutColor: options.cutColor,
+            fillColor: options.fillColor,
+            ellipsoid: ellipsoid,
+          })
+        : undefined,
+    };
+  });
+}
+
+/**
+ * The result of a cut and fill computation.
+ * @typedef {Object} computeCutFillVolume.Result
+ * @property {Number} cutVolume The volume of the terrain above the reference surface, in cubic meters.
+ * @property {Number} fillVolume The volume between the terrain and the reference surface where the terrain is below it, in cubic meters.
+ * @property {Number} area The area of the cells where both surfaces were sampled, in square meters.
+ * @property {Number} spacing The size of the cells of the grid, in meters, which is larger than the requested spacing if the grid would have had too many cells.
+ * @property {computeCutFillVolume.Cell[]} cells The cells of the grid inside of the polygon.
+ * @property {GroundPrimitive|undefined} primitive The primitive that draws the cells, if <code>createPrimitive</code> is true and any cell differs from the reference surface.  The id of each of its instances is the cell.
+ */
+
+/**
+ * A cell of the grid of a cut and fill computation.
+ * @typedef {Object} computeCutFillVolume.Cell
+ * @property {Cartographic} cartographic The center of the cell, where the surfaces are sampled.
+ * @property {Rectangle} rectangle The extent of the cell.
+ * @property {Number} area The area of the cell, in square meters.
+ * @property {Number|undefined} terrainHeight The sampled height of the terrain, in meters.
+ * @property {Number|undefined} referenceHeight The height of the reference surface, in meters.
+ * @property {Number|undefined} difference The height of the terrain above the reference surface, in meters, or undefined if either could not be sampled.
+ */
+export default computeCutFillVolume;
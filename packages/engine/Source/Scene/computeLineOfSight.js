@@ -0,0 +1,99 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Ray from "../Core/Ray.js";
+
+const scratchDirection = new Cartesian3();
+
+/**
+ * Computes whether there is a line of sight between two positions, and if not, the first obstruction along it.
+ * A ray is cast from the start position toward the end position with {@link Scene#pickFromRay}; the line of sight
+ * is obstructed if the ray intersects the globe, 3D Tiles or other primitives before it reaches the end position.
+ * <p>
+ * Like {@link Scene#pickFromRay}, only the globe tiles and 3D Tiles that are rendered in the current view are
+ * intersected, so terrain that is out of view does not obstruct the line of sight.
+ * </p>
+ *
+ * @function computeLineOfSight
+ *
+ * @param {Scene} scene The scene.
+ * @param {Cartesian3} start The position of the observer.
+ * @param {Cartesian3} end The position of the target.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Object[]} [options.objectsToExclude] A list of primitives, entities, or 3D Tiles features that do not obstruct the line of sight, such as the observer and the target themselves.
+ * @param {Number} [options.width=0.1] Width of the intersection volume in meters.
+ * @param {Number} [options.tolerance=1.0] The distance in meters before the end position within which intersections are ignored, so that the surface on which the target stands does not obstruct it.
+ * @returns {computeLineOfSight.Result} The result of the line of sight query.
+ *
+ * @exception {DeveloperError} Ray intersections are only supported in 3D mode.
+ *
+ * @example
+ * const result = Cesium.computeLineOfSight(
+ *   viewer.scene,
+ *   Cesium.Cartesian3.fromDegrees(-75.59, 40.03, 300.0),
+ *   Cesium.Cartesian3.fromDegrees(-75.6, 40.04, 2.0)
+ * );
+ * if (!result.isVisible) {
+ *   console.log(`Obstructed after ${result.distance} meters`);
+ * }
+ *
+ * @see Viewshed
+ */
+function computeLineOfSight(scene, start, end, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  Check.typeOf.object("start", start);
+  Check.typeOf.object("end", end);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const tolerance = defaultValue(options.tolerance, 1.0);
+
+  const direction = Cartesian3.subtract(end, start, scratchDirection);
+  const length = Cartesian3.magnitude(direction);
+  if (length === 0.0) {
+    return {
+      isVisible: true,
+      position: undefined,
+      object: undefined,
+      distance: undefined,
+    };
+  }
+  Cartesian3.divideByScalar(direction, length, direction);
+
+  const ray = new Ray(start, direction);
+  const picked = scene.pickFromRay(
+    ray,
+    options.objectsToExclude,
+    options.width
+  );
+  if (defined(picked) && defined(picked.position)) {
+    const distance = Cartesian3.distance(start, picked.position);
+    if (distance < length - tolerance) {
+      return {
+        isVisible: false,
+        position: Cartesian3.clone(picked.position),
+        object: picked.object,
+        distance: distance,
+      };
+    }
+  }
+
+  return {
+    isVisible: true,
+    position: undefined,
+    object: undefined,
+    distance: undefined,
+  };
+}
+
+/**
+ * The result of a line of sight query.
+ * @typedef {Object} computeLineOfSight.Result
+ * @property {Boolean} isVisible Whether the end position is visible from the start position.
+ * @property {Cartesian3|undefined} position The position of the first obstruction, or undefined if the end position is visible.
+ * @property {Object|undefined} object The first obstructing object, or undefined if the end position is visible or the obstruction is the globe.
+ * @property {Number|undefined} distance The distance in meters from the start position to the first obstruction, or undefined if the end position is visible.
+ */
+export default computeLineOfSight;
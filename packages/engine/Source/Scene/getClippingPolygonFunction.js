@@ -0,0 +1,80 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Check from "../Core/Check.js";
+import ClippingPolygonCollection from "./ClippingPolygonCollection.js";
+
+const textureResolutionScratch = new Cartesian2();
+/**
+ * Gets the GLSL function that discards the fragments clipped by the polygons of a ClippingPolygonCollection.
+ * <p>
+ * The function has the signature
+ * <code>void clipPolygons(vec4 fragCoord, sampler2D clippingPolygons, mat4 clippingPolygonsMatrix, vec3 clippingPolygonsEarthCenter)</code>,
+ * where <code>clippingPolygons</code> is the texture of the collection, <code>clippingPolygonsMatrix</code> is computed with
+ * {@link ClippingPolygonCollection#computeClippingPolygonsMatrix} and <code>clippingPolygonsEarthCenter</code> is
+ * {@link ClippingPolygonCollection#getEarthCenter}.
+ * </p>
+ *
+ * @param {ClippingPolygonCollection} clippingPolygonCollection ClippingPolygonCollection with at least one polygon.
+ * @returns {String} A string containing the GLSL function.
+ * @private
+ */
+function getClippingPolygonFunction(clippingPolygonCollection) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("clippingPolygonCollection", clippingPolygonCollection);
+  //>>includeEnd('debug');
+
+  const edgeCount = Math.abs(clippingPolygonCollection.clippingPolygonsState);
+  const textureResolution = ClippingPolygonCollection.getTextureResolution(
+    clippingPolygonCollection,
+    textureResolutionScratch
+  );
+  const width = textureResolution.x;
+  const height = textureResolution.y;
+
+  // Points inside any polygon have a non-zero winding number, since the polygons are wound counter-clockwise
+  const discardCondition = clippingPolygonCollection.inverse
+    ? "winding == 0"
+    : "winding != 0";
+
+  return (
+    `${
+      "void clipPolygons(vec4 fragCoord, highp sampler2D clippingPolygons, mat4 clippingPolygonsMatrix, vec3 clippingPolygonsEarthCenter)\n" +
+      "{\n" +
+      "    vec4 positionEC = czm_windowToEyeCoordinates(fragCoord);\n" +
+      "    vec3 position = (clippingPolygonsMatrix * positionEC).xyz;\n" +
+      "    vec3 center = clippingPolygonsEarthCenter;\n" +
+      // Project the position from the center of the Earth onto the plane of the edges
+      "    float t = center.z / (center.z - position.z);\n" +
+      "    vec2 point = center.xy + t * (position.xy - center.xy);\n" +
+      "    float pixelWidth = 1.0 / "
+    }${width}.0;\n` +
+    `    float pixelHeight = 1.0 / ${height}.0;\n` +
+    `    int winding = 0;\n` +
+    `    for (int i = 0; i < ${edgeCount}; ++i)\n` +
+    `    {\n` +
+    `        int pixY = i / ${width};\n` +
+    `        int pixX = i - (pixY * ${width});\n` +
+    `        vec2 uv = vec2((float(pixX) + 0.5) * pixelWidth, (float(pixY) + 0.5) * pixelHeight);\n` +
+    `        vec4 edge = texture2D(clippingPolygons, uv);\n` +
+    `        vec2 start = edge.xy;\n` +
+    `        vec2 end = edge.zw;\n` +
+    `        float side = (end.x - start.x) * (point.y - start.y) - (point.x - start.x) * (end.y - start.y);\n` +
+    `        if (start.y <= point.y)\n` +
+    `        {\n` +
+    `            if (end.y > point.y && side > 0.0)\n` +
+    `            {\n` +
+    `                ++winding;\n` +
+    `            }\n` +
+    `        }\n` +
+    `        else if (end.y <= point.y && side < 0.0)\n` +
+    `        {\n` +
+    `            --winding;\n` +
+    `        }\n` +
+    `    }\n` +
+    `    if (${discardCondition})\n` +
+    `    {\n` +
+    `        discard;\n` +
+    `    }\n` +
+    `}\n`
+  );
+}
+export default getClippingPolygonFunction;
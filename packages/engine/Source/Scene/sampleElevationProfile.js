@@ -0,0 +1,220 @@
+import ArcType from "../Core/ArcType.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import EllipsoidGeodesic from "../Core/EllipsoidGeodesic.js";
+import EllipsoidRhumbLine from "../Core/EllipsoidRhumbLine.js";
+import CesiumMath from "../Core/Math.js";
+import sampleTerrainAtLevelOrMostDetailed from "../Core/sampleTerrainAtLevelOrMostDetailed.js";
+import SceneMode from "./SceneMode.js";
+
+function getCartographics(positions, spacing, arcType, ellipsoid) {
+  const cartographics = [];
+  const distances = [];
+
+  let distance = 0.0;
+  let nextDistance = 0.0;
+  let previous = ellipsoid.cartesianToCartographic(positions[0]);
+  for (let i = 1; i < positions.length; ++i) {
+    const current = ellipsoid.cartesianToCartographic(positions[i]);
+    if (
+      !defined(previous) ||
+      !defined(current) ||
+      Cartographic.equalsEpsilon(previous, current, CesiumMath.EPSILON12)
+    ) {
+      previous = defaultValue(current, previous);
+      continue;
+    }
+
+    const line =
+      arcType === ArcType.RHUMB
+        ? new EllipsoidRhumbLine(previous, current, ellipsoid)
+        : new EllipsoidGeodesic(previous, current, ellipsoid);
+    const length = line.surfaceDistance;
+    while (nextDistance <= distance + length) {
+      cartographics.push(
+        line.interpolateUsingSurfaceDistance(nextDistance - distance)
+      );
+      distances.push(nextDistance);
+      nextDistance += spacing;
+    }
+    distance += length;
+    previous = current;
+  }
+
+  // Always end with the last position of the polyline
+  if (
+    defined(previous) &&
+    (distances.length === 0 ||
+      distance - distances[distances.length - 1] > CesiumMath.EPSILON7)
+  ) {
+    cartographics.push(Cartographic.clone(previous));
+    distances.push(distance);
+  }
+
+  for (let i = 0; i < cartographics.length; ++i) {
+    cartographics[i].height = 0.0;
+  }
+
+  return {
+    cartographics: cartographics,
+    distances: distances,
+  };
+}
+
+function sampleTerrainHeights(terrainProvider, level, cartographics) {
+  if (!defined(terrainProvider)) {
+    return Promise.resolve(undefined);
+  }
+
+  const positions = cartographics.map(function (cartographic) {
+    return Cartographic.clone(cartographic);
+  });
+  return sampleTerrainAtLevelOrMostDetailed(
+    terrainProvider,
+    level,
+    positions
+  ).then(function (positions) {
+    return positions.map(function (position) {
+      return position.height;
+    });
+  });
+}
+
+function sampleSceneHeights(scene, cartographics, objectsToExclude) {
+  if (
+    !defined(scene) ||
+    !scene.sampleHeightSupported ||
+    scene.mode !== SceneMode.SCENE3D
+  ) {
+    return Promise.resolve(undefined);
+  }
+
+  const positions = cartographics.map(function (cartographic) {
+    return Cartographic.clone(cartographic);
+  });
+  return scene
+    .sampleHeightMostDetailed(positions, objectsToExclude)
+    .then(function (positions) {
+      return positions.map(function (position) {
+        return position.height;
+      });
+    });
+}
+
+function getHeight(terrainHeights, sceneHeights, index) {
+  const terrainHeight = defined(terrainHeights)
+    ? terrainHeights[index]
+    : undefined;
+  const sceneHeight = defined(sceneHeights) ? sceneHeights[index] : undefined;
+  if (!defined(terrainHeight)) {
+    return sceneHeight;
+  }
+  if (!defined(sceneHeight)) {
+    return terrainHeight;
+  }
+  // 3D Tiles such as buildings stand on the terrain, so the highest surface is the one that is seen
+  return Math.max(terrainHeight, sceneHeight);
+}
+
+/**
+ * Samples the heights of terrain, and optionally of 3D Tiles and other primitives in a scene, at a fixed spacing
+ * along a polyline, for example to draw the elevation profile of a route.  Terrain is sampled with
+ * {@link sampleTerrainMostDetailed}, or with {@link sampleTerrain} at a given level, and the scene with
+ * {@link Scene#sampleHeightMostDetailed}.  Where both are sampled, the highest of the heights is used.
+ *
+ * @function sampleElevationProfile
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Cartesian3[]} options.positions The vertices of the polyline.
+ * @param {TerrainProvider} [options.terrainProvider] The terrain provider from which to sample heights.  Defaults to the terrain provider of the scene, if given.
+ * @param {Scene} [options.scene] The scene from which to sample the heights of 3D Tiles and other primitives.  The scene is only sampled when {@link Scene#sampleHeightSupported} is true and it is in 3D mode.
+ * @param {Number} [options.level] The level of the terrain tiles from which to sample heights.  If undefined, the most detailed available tiles are sampled, which requires a terrain provider that reports the availability of its tiles.
+ * @param {Number} [options.spacing=10.0] The distance in meters between the samples along the polyline.
+ * @param {ArcType} [options.arcType=ArcType.GEODESIC] The type of line between the vertices of the polyline, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Object[]} [options.objectsToExclude] A list of primitives, entities, or 3D Tiles features to not sample heights from.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which distances are measured.
+ * @returns {Promise.<sampleElevationProfile.Sample[]>} A promise that resolves to the samples, ordered by their distance along the polyline.
+ *                                                    The promise rejects if options.level is undefined and the terrain provider does not report the availability of its tiles.
+ *
+ * @exception {DeveloperError} terrainProvider or scene is required.
+ * @exception {DeveloperError} arcType must be ArcType.GEODESIC or ArcType.RHUMB.
+ *
+ * @example
+ * const positions = Cesium.Cartesian3.fromDegreesArray([
+ *   86.9, 27.9,
+ *   87.0, 28.0
+ * ]);
+ * Cesium.sampleElevationProfile({
+ *   positions: positions,
+ *   scene: viewer.scene,
+ *   spacing: 50.0
+ * }).then(function(samples) {
+ *   samples.forEach(function(sample) {
+ *     console.log(`${sample.distance}: ${sample.height}`);
+ *   });
+ * });
+ */
+function sampleElevationProfile(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const positions = options.positions;
+  const scene = options.scene;
+  const terrainProvider = defaultValue(
+    options.terrainProvider,
+    defined(scene) ? scene.terrainProvider : undefined
+  );
+  const spacing = defaultValue(options.spacing, 10.0);
+  const arcType = defaultValue(options.arcType, ArcType.GEODESIC);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.positions", positions);
+  Check.typeOf.number.greaterThan("options.spacing", spacing, 0.0);
+  if (!defined(terrainProvider) && !defined(scene)) {
+    throw new DeveloperError("terrainProvider or scene is required.");
+  }
+  if (arcType !== ArcType.GEODESIC && arcType !== ArcType.RHUMB) {
+    throw new DeveloperError(
+      "arcType must be ArcType.GEODESIC or ArcType.RHUMB."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const profile = getCartographics(positions, spacing, arcType, ellipsoid);
+  const cartographics = profile.cartographics;
+  const distances = profile.distances;
+
+  return Promise.all([
+    sampleTerrainHeights(terrainProvider, options.level, cartographics),
+    sampleSceneHeights(scene, cartographics, options.objectsToExclude),
+  ]).then(function (heights) {
+    return cartographics.map(function (cartographic, index) {
+      const height = getHeight(heights[0], heights[1], index);
+      cartographic.height = defaultValue(height, 0.0);
+      return {
+        distance: distances[index],
+        height: height,
+        cartographic: cartographic,
+        position: Cartographic.toCartesian(
+          cartographic,
+          ellipsoid,
+          new Cartesian3()
+        ),
+      };
+    });
+  });
+}
+
+/**
+ * A sample of an elevation profile.
+ * @typedef {Object} sampleElevationProfile.Sample
+ * @property {Number} distance The distance in meters along the polyline.
+ * @property {Number|undefined} height The sampled height in meters, or undefined if neither terrain nor the scene could be sampled.
+ * @property {Cartographic} cartographic The sampled position, at the sampled height.
+ * @property {Cartesian3} position The sampled position in Cartesian coordinates, at the sampled height.
+ */
+export default sampleElevationProfile;
@@ -10,6 +10,10 @@ attribute vec4 textureCoordAndEncodedNormals;
 attribute vec3 geodeticSurfaceNormal;
 #endif
 
+#ifdef PROJECTED_POSITIONS
+attribute vec2 position2D;
+#endif
+
 #ifdef EXAGGERATION
 uniform vec2 u_terrainExaggerationAndRelativeHeight;
 #endif
@@ -83,10 +87,20 @@ float get2DGeographicYPositionFraction(vec2 textureCoordinates)
     return textureCoordinates.y;
 }
 
-vec4 getPositionPlanarEarth(vec3 position, float height, vec2 textureCoordinates)
+vec2 getPlanarPosition(vec2 textureCoordinates)
 {
+#ifdef PROJECTED_POSITIONS
+    // The position is projected on the CPU, relative to the projected center of the tile
+    return u_tileRectangle.st + position2D;
+#else
     float yPositionFraction = get2DYPositionFraction(textureCoordinates);
-    vec4 rtcPosition2D = vec4(height, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordinates.x, yPositionFraction)), 1.0);
+    return mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordinates.x, yPositionFraction));
+#endif
+}
+
+vec4 getPositionPlanarEarth(vec3 position, float height, vec2 textureCoordinates)
+{
+    vec4 rtcPosition2D = vec4(height, getPlanarPosition(textureCoordinates), 1.0);
     return u_modifiedModelViewProjection * rtcPosition2D;
 }
 
@@ -105,8 +119,7 @@ vec4 getPositionMorphingMode(vec3 position, float height, vec2 textureCoordinate
     // We do not do RTC while morphing, so there is potential for jitter.
     // This is unlikely to be noticeable, though.
     vec3 position3DWC = position + u_center3D;
-    float yPositionFraction = get2DYPositionFraction(textureCoordinates);
-    vec4 position2DWC = vec4(height, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordinates.x, yPositionFraction)), 1.0);
+    vec4 position2DWC = vec4(height, getPlanarPosition(textureCoordinates), 1.0);
     vec4 morphPosition = czm_columbusViewMorph(position2DWC, vec4(position3DWC, 1.0), czm_morphTime);
     return czm_modelViewProjection * morphPosition;
 }
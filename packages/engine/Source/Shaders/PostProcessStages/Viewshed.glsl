@@ -0,0 +1,42 @@
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+uniform sampler2D shadowMapTexture;
+uniform mat4 shadowMapMatrix;
+uniform vec4 observerPositionEC;
+uniform float range;
+uniform float depthBias;
+uniform vec4 visibleColor;
+uniform vec4 occludedColor;
+
+varying vec2 v_textureCoordinates;
+
+void main(void)
+{
+    vec4 color = texture2D(colorTexture, v_textureCoordinates);
+    gl_FragColor = color;
+
+    float depthOrLogDepth = texture2D(depthTexture, v_textureCoordinates).r;
+    if (depthOrLogDepth >= 1.0)
+    {
+        return;
+    }
+
+    vec4 positionEC = czm_windowToEyeCoordinates(gl_FragCoord.xy, depthOrLogDepth);
+    positionEC /= positionEC.w;
+    if (distance(positionEC.xyz, observerPositionEC.xyz) > range)
+    {
+        return;
+    }
+
+    // Positions outside of the frustum of the observer are not analyzed
+    vec4 shadowPosition = shadowMapMatrix * positionEC;
+    shadowPosition /= shadowPosition.w;
+    if (any(lessThan(shadowPosition.xyz, vec3(0.0))) || any(greaterThan(shadowPosition.xyz, vec3(1.0))))
+    {
+        return;
+    }
+
+    float visibility = czm_shadowDepthCompare(shadowMapTexture, shadowPosition.xy, shadowPosition.z - depthBias);
+    vec4 analysisColor = mix(occludedColor, visibleColor, visibility);
+    gl_FragColor = vec4(mix(color.rgb, analysisColor.rgb, analysisColor.a), color.a);
+}
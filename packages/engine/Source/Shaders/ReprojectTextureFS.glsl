@@ -0,0 +1,16 @@
+uniform sampler2D u_texture;
+
+varying vec2 v_textureCoordinates;
+
+void main()
+{
+    // Pixels outside of the source texture are transparent so that the neighboring tiles show through.
+    if (any(lessThan(v_textureCoordinates, vec2(0.0))) || any(greaterThan(v_textureCoordinates, vec2(1.0))))
+    {
+        gl_FragColor = vec4(0.0);
+    }
+    else
+    {
+        gl_FragColor = texture2D(u_texture, v_textureCoordinates);
+    }
+}
@@ -0,0 +1,11 @@
+import computeContourLines from "../Core/computeContourLines.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function createContourLines(parameters, transferableObjects) {
+  const lines = computeContourLines(parameters);
+  for (let i = 0; i < lines.length; ++i) {
+    transferableObjects.push(lines[i].positions.buffer);
+  }
+  return lines;
+}
+export default createTaskProcessorWorker(createContourLines);
@@ -0,0 +1,9 @@
+import computeHeatmapTile from "../Core/computeHeatmapTile.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function createHeatmapTile(parameters, transferableObjects) {
+  const pixels = computeHeatmapTile(parameters);
+  transferableObjects.push(pixels.buffer);
+  return pixels;
+}
+export default createTaskProcessorWorker(createHeatmapTile);
@@ -0,0 +1,11 @@
+import decodeGeoTiffBlock from "../Core/decodeGeoTiffBlock.js";
+import defined from "../Core/defined.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function decodeGeoTiffBlockWorker(parameters, transferableObjects) {
+  const result = decodeGeoTiffBlock(parameters);
+  const data = defined(result.samples) ? result.samples : result.jpeg;
+  transferableObjects.push(data.buffer);
+  return result;
+}
+export default createTaskProcessorWorker(decodeGeoTiffBlockWorker);
@@ -0,0 +1,7 @@
+import parseMapboxVectorTile from "../Core/parseMapboxVectorTile.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function decodeMapboxVectorTile(parameters, transferableObjects) {
+  return parseMapboxVectorTile(parameters.buffer);
+}
+export default createTaskProcessorWorker(decodeMapboxVectorTile);
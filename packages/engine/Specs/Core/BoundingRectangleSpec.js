@@ -1,10 +1,12 @@
 import {
   BoundingRectangle,
   Cartesian2,
+  Cartographic,
   Ellipsoid,
   GeographicProjection,
   Intersect,
   Rectangle,
+  TransverseMercatorProjection,
 } from "../../index.js";
 
 import createPackableSpecs from "../../../../Specs/createPackableSpecs.js";
@@ -149,6 +151,25 @@ describe("Core/BoundingRectangle", function () {
     expect(result).toBe(returnedResult);
     expect(returnedResult).toEqual(expected);
   });
+
+  it("fromRectangle bounds the edges of rectangles in projections with curved parallels", function () {
+    const rectangle = Rectangle.fromDegrees(-10.0, 40.0, 10.0, 60.0);
+    const projection = new TransverseMercatorProjection();
+    const boundingRectangle = BoundingRectangle.fromRectangle(
+      rectangle,
+      projection
+    );
+
+    // The parallels curve towards the pole, so the middle of the southern edge is furthest south
+    // and the corners of the northern edge are furthest north
+    const south = projection.project(Cartographic.fromDegrees(0.0, 40.0));
+    const southeast = projection.project(Cartographic.fromDegrees(10.0, 40.0));
+    const northeast = projection.project(Cartographic.fromDegrees(10.0, 60.0));
+    expect(boundingRectangle.x).toEqual(-southeast.x);
+    expect(boundingRectangle.y).toEqual(south.y);
+    expect(boundingRectangle.width).toEqual(southeast.x * 2.0);
+    expect(boundingRectangle.height).toEqual(northeast.y - south.y);
+  });
   it("intersect works", function () {
     const rectangle1 = new BoundingRectangle(0, 0, 4, 4);
     const rectangle2 = new BoundingRectangle(2, 2, 4, 4);
@@ -12,6 +12,7 @@ import {
   Plane,
   Quaternion,
   Rectangle,
+  TransverseMercatorProjection,
   Math as CesiumMath,
 } from "../../index.js";
 
@@ -440,6 +441,39 @@ describe("Core/BoundingSphere", function () {
     );
   });
 
+  it("fromRectangleWithHeights2D bounds rectangles in projections with curved parallels", function () {
+    const rectangle = Rectangle.fromDegrees(-10.0, 40.0, 10.0, 60.0);
+    const projection = new TransverseMercatorProjection();
+    const sphere = BoundingSphere.fromRectangleWithHeights2D(
+      rectangle,
+      projection,
+      -100.0,
+      100.0
+    );
+
+    const south = projection.project(Cartographic.fromDegrees(0.0, 40.0));
+    const northeast = projection.project(
+      Cartographic.fromDegrees(10.0, 60.0, 100.0)
+    );
+    const northwest = projection.project(
+      Cartographic.fromDegrees(-10.0, 60.0, -100.0)
+    );
+    expect(sphere.center.x).toEqualEpsilon(0.0, CesiumMath.EPSILON6);
+    expect(sphere.center.z).toEqual(0.0);
+    expect(Cartesian3.distance(sphere.center, northeast)).toBeLessThanOrEqual(
+      sphere.radius
+    );
+    expect(Cartesian3.distance(sphere.center, northwest)).toBeLessThanOrEqual(
+      sphere.radius
+    );
+    expect(
+      Cartesian3.distance(
+        sphere.center,
+        new Cartesian3(south.x, south.y, 100.0)
+      )
+    ).toBeLessThanOrEqual(sphere.radius);
+  });
+
   it("fromRectangle3D creates an empty sphere if no rectangle provided", function () {
     const sphere = BoundingSphere.fromRectangle3D();
     expect(sphere.center).toEqual(Cartesian3.ZERO);
@@ -0,0 +1,185 @@
+import {
+  Cartesian3,
+  Cartographic,
+  CoordinateGeocoderService,
+  Ellipsoid,
+  Math as CesiumMath,
+  Mgrs,
+  NationalGrid,
+  Rectangle,
+  TransverseMercatorProjection,
+  UtmCoordinate,
+} from "../../index.js";
+
+describe("Core/CoordinateGeocoderService", function () {
+  const service = new CoordinateGeocoderService();
+
+  function expectPosition(result, longitude, latitude, epsilon) {
+    const cartographic = Cartographic.fromCartesian(result.position);
+    expect(cartographic.longitude).toEqualEpsilon(
+      CesiumMath.toRadians(longitude),
+      epsilon
+    );
+    expect(cartographic.latitude).toEqualEpsilon(
+      CesiumMath.toRadians(latitude),
+      epsilon
+    );
+  }
+
+  it("constructs with defaults", function () {
+    expect(service.nationalGrids).toEqual([]);
+    expect(service.ellipsoid).toBe(Ellipsoid.WGS84);
+  });
+
+  it("geocodes an MGRS reference", function () {
+    return service.geocode(" 4QFJ1234567890 ").then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].displayName).toEqual("4QFJ1234567890");
+      const expected = Mgrs.toCartographic("4QFJ1234567890", { center: true });
+      expect(results[0].position).toEqualEpsilon(
+        Cartographic.toCartesian(expected),
+        CesiumMath.EPSILON6
+      );
+      expect(results[0].destination).toBe(results[0].position);
+    });
+  });
+
+  it("geocodes large MGRS squares as rectangles", function () {
+    return service.geocode("4Q FJ 1 6").then(function (results) {
+      expect(results.length).toEqual(1);
+      const destination = results[0].destination;
+      expect(destination).toBeInstanceOf(Rectangle);
+
+      // The rectangle bounds the corners of the 10 km square
+      const corners = [
+        [610000.0, 2360000.0],
+        [620000.0, 2360000.0],
+        [620000.0, 2370000.0],
+        [610000.0, 2370000.0],
+      ].map(function (corner) {
+        return UtmCoordinate.toCartographic(
+          new UtmCoordinate(4, "Q", corner[0], corner[1])
+        );
+      });
+      expect(destination).toEqualEpsilon(
+        Rectangle.fromCartographicArray(corners),
+        CesiumMath.EPSILON12
+      );
+      expect(
+        Rectangle.contains(
+          destination,
+          Cartographic.fromCartesian(results[0].position)
+        )
+      ).toBe(true);
+    });
+  });
+
+  it("geocodes UTM coordinates", function () {
+    return service.geocode("17T 630084 4833438").then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].displayName).toEqual("17T 630084 4833438");
+      expectPosition(results[0], -79.387139, 43.642567, CesiumMath.EPSILON6);
+      expect(results[0].destination).toBeInstanceOf(Cartesian3);
+    });
+  });
+
+  it("geocodes degrees, minutes and seconds", function () {
+    const queries = [
+      `40°26'46"N 79°58'56"W`,
+      "40° 26′ 46″ N, 79° 58′ 56″ W",
+      "N 40 26 46 W 79 58 56",
+      "79 58 56 W 40 26 46 N",
+      `40:26:46, -79:58:56`,
+      "n40 26.76667 w79 58.93333",
+    ];
+    const latitude = 40.0 + 26.0 / 60.0 + 46.0 / 3600.0;
+    const longitude = -(79.0 + 58.0 / 60.0 + 56.0 / 3600.0);
+    return Promise.all(
+      queries.map(function (query) {
+        return service.geocode(query);
+      })
+    ).then(function (allResults) {
+      for (let i = 0; i < allResults.length; ++i) {
+        expect(allResults[i].length).toEqual(1);
+        expectPosition(
+          allResults[i][0],
+          longitude,
+          latitude,
+          CesiumMath.EPSILON8
+        );
+      }
+    });
+  });
+
+  it("geocodes degrees with hemisphere letters", function () {
+    return service.geocode("35S 75E").then(function (results) {
+      expect(results.length).toEqual(1);
+      expectPosition(results[0], 75.0, -35.0, CesiumMath.EPSILON10);
+    });
+  });
+
+  it("does not geocode invalid degrees", function () {
+    const queries = [
+      "35N 75N",
+      "95N 75W",
+      "35N 190W",
+      "40 61 0 N, 79 0 0 W",
+      "40.5 30 N 79 W",
+      "-40 26 N, 79 58 W",
+      "1.0, 2.0",
+      "1.0 2.0",
+      "somewhere",
+    ];
+    return Promise.all(
+      queries.map(function (query) {
+        return service.geocode(query);
+      })
+    ).then(function (allResults) {
+      for (let i = 0; i < allResults.length; ++i) {
+        expect(allResults[i]).toEqual([]);
+      }
+    });
+  });
+
+  it("geocodes the coordinates of national grids", function () {
+    const grid = new NationalGrid({
+      name: "ITM",
+      projection: new TransverseMercatorProjection({
+        centralMeridian: CesiumMath.toRadians(-8.0),
+        latitudeOfOrigin: CesiumMath.toRadians(53.5),
+        scaleFactor: 0.99982,
+        falseEasting: 600000.0,
+        falseNorthing: 750000.0,
+      }),
+      rectangle: Rectangle.fromDegrees(-11.0, 51.0, -5.0, 56.0),
+    });
+    const gridService = new CoordinateGeocoderService({
+      nationalGrids: [grid],
+    });
+    expect(gridService.nationalGrids).toEqual([grid]);
+
+    return gridService.geocode("715827 734698").then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].displayName).toEqual("715827 734698 (ITM)");
+      const expected = grid.parse("715827 734698");
+      expectPosition(
+        results[0],
+        CesiumMath.toDegrees(expected.longitude),
+        CesiumMath.toDegrees(expected.latitude),
+        CesiumMath.EPSILON10
+      );
+    });
+  });
+
+  it("returns empty array for unrecognized queries", function () {
+    return service.geocode("220 Valley Creek Blvd").then(function (results) {
+      expect(results).toEqual([]);
+    });
+  });
+
+  it("throws without a query", function () {
+    expect(function () {
+      service.geocode();
+    }).toThrowDeveloperError();
+  });
+});
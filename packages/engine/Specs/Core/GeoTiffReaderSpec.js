@@ -0,0 +1,473 @@
+import {
+  GeoTiffReader,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMercatorProjection,
+} from "../../index.js";
+
+import createGeoTiff from "../../../../Specs/createGeoTiff.js";
+
+describe("Core/GeoTiffReader", function () {
+  let ranges;
+
+  function mockGeoTiff(buffer) {
+    ranges = [];
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const match = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      const start = parseInt(match[1]);
+      const end = parseInt(match[2]);
+      ranges.push([start, end]);
+      deferred.resolve(buffer.slice(start, end + 1));
+    };
+  }
+
+  // Samples encode their position in the image so that reads can be checked
+  function getValue(column, row, sample, level) {
+    return (column + row * 3 + sample * 7 + level * 50) % 256;
+  }
+
+  function createReader(options) {
+    mockGeoTiff(
+      createGeoTiff(
+        Object.assign(
+          {
+            width: 40,
+            height: 20,
+            origin: [10.0, 20.0],
+            pixelSize: [0.5, 0.5],
+            getValue: getValue,
+          },
+          options
+        )
+      )
+    );
+    return new GeoTiffReader({
+      url: "made/up/cog.tif",
+    });
+  }
+
+  function readAll(reader, imageIndex) {
+    const image = reader.images[imageIndex];
+    const columns = new Int32Array(image.width);
+    for (let i = 0; i < columns.length; ++i) {
+      columns[i] = i;
+    }
+    const rows = new Int32Array(image.height);
+    for (let i = 0; i < rows.length; ++i) {
+      rows[i] = i;
+    }
+    return reader.readRaster(imageIndex, columns, rows);
+  }
+
+  function expectRaster(raster, level) {
+    for (let y = 0; y < raster.height; ++y) {
+      for (let x = 0; x < raster.width; ++x) {
+        const pixel = y * raster.width + x;
+        expect(raster.valid[pixel]).toEqual(1);
+        for (let s = 0; s < raster.samplesPerPixel; ++s) {
+          expect(raster.samples[pixel * raster.samplesPerPixel + s]).toEqual(
+            getValue(x, y, s, level)
+          );
+        }
+      }
+    }
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("requires the url to be specified", function () {
+    expect(function () {
+      return new GeoTiffReader({});
+    }).toThrowDeveloperError();
+  });
+
+  it("reads the header with a range request", function () {
+    const reader = createReader({
+      overviews: 2,
+    });
+    expect(reader.ready).toBe(false);
+
+    return reader.readyPromise.then(function (result) {
+      expect(result).toBe(reader);
+      expect(reader.ready).toBe(true);
+      expect(ranges).toEqual([[0, 65535]]);
+      expect(reader.isGeographic).toBe(true);
+      expect(reader.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(10.0, 10.0, 30.0, 20.0),
+        CesiumMath.EPSILON14
+      );
+
+      const images = reader.images;
+      expect(images.length).toEqual(3);
+      expect(images[0].width).toEqual(40);
+      expect(images[0].height).toEqual(20);
+      expect(images[1].width).toEqual(20);
+      expect(images[2].width).toEqual(10);
+      expect(images[0].resolution).toEqualEpsilon(
+        CesiumMath.toRadians(0.5),
+        CesiumMath.EPSILON14
+      );
+      expect(images[2].resolution).toEqualEpsilon(
+        CesiumMath.toRadians(2.0),
+        CesiumMath.EPSILON14
+      );
+    });
+  });
+
+  it("reads Web Mercator GeoTIFFs", function () {
+    const reader = createReader({
+      epsg: 3857,
+      origin: [0.0, 1000000.0],
+      pixelSize: [25000.0, 25000.0],
+    });
+
+    return reader.readyPromise.then(function () {
+      expect(reader.isGeographic).toBe(false);
+      const projection = new WebMercatorProjection();
+      const northeast = projection.unproject({
+        x: 1000000.0,
+        y: 1000000.0,
+        z: 0.0,
+      });
+      const rectangle = reader.rectangle;
+      expect(rectangle.west).toEqual(0.0);
+      expect(rectangle.south).toEqualEpsilon(
+        projection.unproject({ x: 0.0, y: 500000.0, z: 0.0 }).latitude,
+        CesiumMath.EPSILON14
+      );
+      expect(rectangle.east).toEqualEpsilon(
+        northeast.longitude,
+        CesiumMath.EPSILON14
+      );
+      expect(rectangle.north).toEqualEpsilon(
+        northeast.latitude,
+        CesiumMath.EPSILON14
+      );
+
+      const columns = reader.computeColumns(0, [
+        projection.unproject({ x: 30000.0, y: 0.0, z: 0.0 }).longitude,
+      ]);
+      const rows = reader.computeRows(0, [
+        projection.unproject({ x: 0.0, y: 940000.0, z: 0.0 }).latitude,
+      ]);
+      expect(columns[0]).toEqual(1);
+      expect(rows[0]).toEqual(2);
+    });
+  });
+
+  it("rejects GeoTIFFs in other projections", function () {
+    const reader = createReader({
+      epsg: 32636,
+    });
+    return reader.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (e) {
+        expect(e).toBeInstanceOf(RuntimeError);
+        expect(e.message).toContain("EPSG:32636");
+      });
+  });
+
+  it("rejects files that are not TIFFs", function () {
+    mockGeoTiff(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]).buffer);
+    const reader = new GeoTiffReader({
+      url: "made/up/cog.tif",
+    });
+    return reader.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (e) {
+        expect(e).toBeInstanceOf(RuntimeError);
+      });
+  });
+
+  it("reads the header from servers without range support", function () {
+    const buffer = createGeoTiff({
+      width: 40,
+      height: 20,
+      origin: [10.0, 20.0],
+      pixelSize: [0.5, 0.5],
+      getValue: getValue,
+    });
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      deferred.resolve(buffer.slice(0));
+    };
+    const reader = new GeoTiffReader({
+      url: "made/up/cog.tif",
+    });
+
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("computes columns and rows", function () {
+    const reader = createReader({
+      overviews: 1,
+    });
+    return reader.readyPromise.then(function () {
+      const longitudes = [9.9, 10.1, 10.6, 29.9, 30.1].map(
+        CesiumMath.toRadians
+      );
+      expect(reader.computeColumns(0, longitudes)).toEqual(
+        new Int32Array([-1, 0, 1, 39, -1])
+      );
+      expect(reader.computeColumns(1, longitudes)).toEqual(
+        new Int32Array([-1, 0, 0, 19, -1])
+      );
+
+      const latitudes = [20.1, 19.9, 19.4, 10.1, 9.9].map(CesiumMath.toRadians);
+      expect(reader.computeRows(0, latitudes)).toEqual(
+        new Int32Array([-1, 0, 1, 19, -1])
+      );
+    });
+  });
+
+  it("gets the image for a resolution", function () {
+    const reader = createReader({
+      overviews: 2,
+    });
+    return reader.readyPromise.then(function () {
+      expect(reader.getImageIndex(CesiumMath.toRadians(0.25))).toEqual(0);
+      expect(reader.getImageIndex(CesiumMath.toRadians(0.5))).toEqual(0);
+      expect(reader.getImageIndex(CesiumMath.toRadians(1.5))).toEqual(1);
+      expect(reader.getImageIndex(CesiumMath.toRadians(2.0))).toEqual(2);
+      expect(reader.getImageIndex(CesiumMath.toRadians(10.0))).toEqual(2);
+    });
+  });
+
+  it("reads tiles of the full resolution image and overviews", function () {
+    const reader = createReader({
+      overviews: 1,
+      samplesPerPixel: 3,
+    });
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expect(raster.width).toEqual(40);
+        expect(raster.height).toEqual(20);
+        expect(raster.samplesPerPixel).toEqual(3);
+        expect(raster.samples).toBeInstanceOf(Uint8Array);
+        expectRaster(raster, 0);
+        return readAll(reader, 1);
+      })
+      .then(function (raster) {
+        expect(raster.width).toEqual(20);
+        expectRaster(raster, 1);
+      });
+  });
+
+  it("only requests the blocks that are read", function () {
+    const reader = createReader();
+    return reader.readyPromise
+      .then(function () {
+        ranges.length = 0;
+        return reader.readRaster(
+          0,
+          new Int32Array([0, 1, 2]),
+          new Int32Array([18, 19])
+        );
+      })
+      .then(function (raster) {
+        // One 16x16 tile contains all of the pixels
+        expect(ranges.length).toEqual(1);
+        expect(raster.samples[0]).toEqual(getValue(0, 18, 0, 0));
+        expect(raster.samples[5]).toEqual(getValue(2, 19, 0, 0));
+
+        return reader.readRaster(0, new Int32Array([0]), new Int32Array([19]));
+      })
+      .then(function () {
+        // The tile is cached
+        expect(ranges.length).toEqual(1);
+      });
+  });
+
+  it("marks pixels outside of the image as invalid", function () {
+    const reader = createReader();
+    return reader.readyPromise
+      .then(function () {
+        return reader.readRaster(
+          0,
+          new Int32Array([-1, 0]),
+          new Int32Array([0, -1])
+        );
+      })
+      .then(function (raster) {
+        expect(raster.valid).toEqual(new Uint8Array([0, 1, 0, 0]));
+      });
+  });
+
+  it("marks pixels with no data as invalid", function () {
+    const reader = createReader({
+      noData: getValue(1, 0, 0, 0),
+    });
+    return reader.readyPromise
+      .then(function () {
+        expect(reader.noDataValue).toEqual(getValue(1, 0, 0, 0));
+        return reader.readRaster(
+          0,
+          new Int32Array([0, 1, 2]),
+          new Int32Array([0])
+        );
+      })
+      .then(function (raster) {
+        expect(raster.valid).toEqual(new Uint8Array([1, 0, 1]));
+      });
+  });
+
+  it("marks missing blocks of sparse files as invalid", function () {
+    const reader = createReader({
+      sparse: function (blockX, blockY, level) {
+        return blockX === 0 && blockY === 0;
+      },
+    });
+    return reader.readyPromise
+      .then(function () {
+        return reader.readRaster(
+          0,
+          new Int32Array([0, 16]),
+          new Int32Array([0])
+        );
+      })
+      .then(function (raster) {
+        expect(raster.valid).toEqual(new Uint8Array([0, 1]));
+        expect(raster.samples[1]).toEqual(getValue(16, 0, 0, 0));
+      });
+  });
+
+  it("reads strips", function () {
+    const reader = createReader({
+      rowsPerStrip: 3,
+    });
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("reads big endian BigTIFFs", function () {
+    const reader = createReader({
+      bigTiff: true,
+      littleEndian: false,
+      bitsPerSample: 16,
+    });
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expect(raster.samples).toBeInstanceOf(Uint16Array);
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("reads deflate compressed GeoTIFFs with a predictor", function () {
+    const reader = createReader({
+      compression: 8,
+      predictor: 2,
+      samplesPerPixel: 3,
+    });
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("reads LZW compressed GeoTIFFs", function () {
+    const reader = createReader({
+      compression: 5,
+      samplesPerPixel: 4,
+    });
+    return reader.readyPromise
+      .then(function () {
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("reads float GeoTIFFs with the floating point predictor", function () {
+    const reader = createReader({
+      compression: 8,
+      predictor: 3,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      noData: -9999.5,
+    });
+    return reader.readyPromise
+      .then(function () {
+        expect(reader.noDataValue).toEqual(-9999.5);
+        return readAll(reader, 0);
+      })
+      .then(function (raster) {
+        expect(raster.samples).toBeInstanceOf(Float32Array);
+        expectRaster(raster, 0);
+      });
+  });
+
+  it("returns undefined when the request is throttled", function () {
+    const reader = createReader();
+    return reader.readyPromise.then(function () {
+      spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+      expect(
+        reader.readRaster(0, new Int32Array([0]), new Int32Array([0]))
+      ).toBeUndefined();
+    });
+  });
+
+  it("handles pixel is point georeferencing", function () {
+    const reader = createReader({
+      pixelIsPoint: true,
+    });
+    return reader.readyPromise.then(function () {
+      expect(reader.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(9.75, 10.25, 29.75, 20.25),
+        CesiumMath.EPSILON14
+      );
+      expect(reader.computeColumns(0, [CesiumMath.toRadians(9.8)])[0]).toEqual(
+        0
+      );
+    });
+  });
+});
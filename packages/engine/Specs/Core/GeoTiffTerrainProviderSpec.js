@@ -0,0 +1,360 @@
+import {
+  Cartographic,
+  Credit,
+  GeographicTilingScheme,
+  GeoTiffTerrainProvider,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  TerrainProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import createGeoTiff from "../../../../Specs/createGeoTiff.js";
+
+describe("Core/GeoTiffTerrainProvider", function () {
+  let requestCount;
+
+  function mockGeoTiff(options) {
+    const buffer = createGeoTiff(options);
+    requestCount = 0;
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const match = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      ++requestCount;
+      deferred.resolve(
+        buffer.slice(parseInt(match[1]), parseInt(match[2]) + 1)
+      );
+    };
+  }
+
+  // A DEM covering 0 to 90 degrees of longitude and latitude whose overview is 500 meters
+  // high and whose full resolution image is 1000 meters high
+  function mockDem(options) {
+    mockGeoTiff(
+      Object.assign(
+        {
+          width: 256,
+          height: 256,
+          tileSize: 64,
+          overviews: 1,
+          bitsPerSample: 16,
+          sampleFormat: 2,
+          compression: 8,
+          predictor: 2,
+          origin: [0.0, 90.0],
+          pixelSize: [90.0 / 256, 90.0 / 256],
+          getValue: function (column, row, sample, level) {
+            return level === 0 ? 1000 : 500;
+          },
+        },
+        options
+      )
+    );
+  }
+
+  function createProvider() {
+    return new GeoTiffTerrainProvider({
+      url: "made/up/dem.tif",
+    });
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to TerrainProvider interface", function () {
+    expect(GeoTiffTerrainProvider).toConformToInterface(TerrainProvider);
+  });
+
+  it("requires the url to be specified", function () {
+    expect(function () {
+      return new GeoTiffTerrainProvider({});
+    }).toThrowDeveloperError();
+  });
+
+  it("resolves readyPromise once the header is read", function () {
+    mockDem();
+    const provider = createProvider();
+    expect(provider.ready).toBe(false);
+
+    return provider.readyPromise.then(function (result) {
+      expect(result).toBe(true);
+      expect(provider.ready).toBe(true);
+      expect(requestCount).toEqual(1);
+    });
+  });
+
+  it("throws when properties are accessed before ready", function () {
+    mockDem();
+    const provider = createProvider();
+    expect(function () {
+      return provider.tilingScheme;
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.availability;
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.getLevelMaximumGeometricError(0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.requestTileGeometry(0, 0, 0);
+    }).toThrowDeveloperError();
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBeUndefined();
+  });
+
+  it("derives its properties from the GeoTIFF", function () {
+    mockDem();
+    const provider = new GeoTiffTerrainProvider({
+      url: "made/up/dem.tif",
+      credit: "Elevation model",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.url).toEqual("made/up/dem.tif");
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.width).toEqual(65);
+      expect(provider.height).toEqual(65);
+      expect(provider.hasWaterMask).toBe(false);
+      expect(provider.hasVertexNormals).toBe(false);
+      expect(provider.credit).toBeInstanceOf(Credit);
+      expect(provider.getLevelMaximumGeometricError(1)).toEqual(
+        provider.getLevelMaximumGeometricError(0) / 2.0
+      );
+      expect(provider.loadTileDataAvailability(0, 0, 0)).toBeUndefined();
+    });
+  });
+
+  it("makes tiles available down to the resolution of the GeoTIFF", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise.then(function () {
+      // Level 3 posts are 90 / 256 degrees apart, like the pixels of the full resolution image
+      expect(
+        provider.availability.computeMaximumLevelAtPosition(
+          Cartographic.fromDegrees(45.0, 45.0)
+        )
+      ).toEqual(3);
+      expect(provider.getTileDataAvailable(8, 0, 3)).toBe(true);
+      expect(provider.getTileDataAvailable(16, 0, 4)).toBe(false);
+    });
+  });
+
+  it("only makes tiles that overlap the GeoTIFF available", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise.then(function () {
+      // The whole globe is available at level zero
+      expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+      expect(provider.getTileDataAvailable(1, 0, 0)).toBe(true);
+
+      expect(provider.getTileDataAvailable(2, 0, 1)).toBe(true);
+      expect(provider.getTileDataAvailable(1, 0, 1)).toBe(false);
+      expect(provider.getTileDataAvailable(3, 0, 1)).toBe(false);
+      expect(provider.getTileDataAvailable(2, 1, 1)).toBe(false);
+
+      expect(provider.getTileDataAvailable(5, 1, 2)).toBe(true);
+      expect(provider.getTileDataAvailable(6, 1, 2)).toBe(false);
+      expect(provider.getTileDataAvailable(5, 2, 2)).toBe(false);
+    });
+  });
+
+  it("reads the overview for coarse tiles", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestTileGeometry(2, 0, 1);
+      })
+      .then(function (terrainData) {
+        expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+        const rectangle = provider.tilingScheme.tileXYToRectangle(2, 0, 1);
+        // Posts on the edges of the GeoTIFF have heights too
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            rectangle.west,
+            rectangle.north
+          )
+        ).toEqualEpsilon(500.0, CesiumMath.EPSILON10);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            rectangle.east,
+            rectangle.south
+          )
+        ).toEqualEpsilon(500.0, CesiumMath.EPSILON10);
+        expect(terrainData.isChildAvailable(2, 0, 4, 0)).toBe(true);
+        expect(terrainData.isChildAvailable(2, 0, 5, 1)).toBe(true);
+      });
+  });
+
+  it("reads the full resolution image for fine tiles", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestTileGeometry(8, 0, 3);
+      })
+      .then(function (terrainData) {
+        const rectangle = provider.tilingScheme.tileXYToRectangle(8, 0, 3);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            (rectangle.west + rectangle.east) * 0.5,
+            (rectangle.north + rectangle.south) * 0.5
+          )
+        ).toEqualEpsilon(1000.0, CesiumMath.EPSILON10);
+        // The tile is at the maximum level, so it has no children
+        expect(terrainData.isChildAvailable(8, 0, 16, 0)).toBe(false);
+      });
+  });
+
+  it("gives posts outside of the GeoTIFF a height of zero", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestTileGeometry(1, 0, 0);
+      })
+      .then(function (terrainData) {
+        const rectangle = provider.tilingScheme.tileXYToRectangle(1, 0, 0);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            CesiumMath.toRadians(45.0),
+            CesiumMath.toRadians(45.0)
+          )
+        ).toEqualEpsilon(500.0, CesiumMath.EPSILON10);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            CesiumMath.toRadians(135.0),
+            CesiumMath.toRadians(-45.0)
+          )
+        ).toEqual(0.0);
+        expect(terrainData.isChildAvailable(1, 0, 2, 0)).toBe(true);
+        expect(terrainData.isChildAvailable(1, 0, 3, 0)).toBe(false);
+      });
+  });
+
+  it("gives posts with no data a height of zero", function () {
+    mockDem({
+      overviews: 0,
+      width: 64,
+      height: 64,
+      tileSize: 16,
+      pixelSize: [90.0 / 64, 90.0 / 64],
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      predictor: 1,
+      noData: -9999,
+      getValue: function (column, row) {
+        return column < 32 ? -9999 : 250.5;
+      },
+    });
+    const provider = createProvider();
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestTileGeometry(2, 0, 1);
+      })
+      .then(function (terrainData) {
+        const rectangle = provider.tilingScheme.tileXYToRectangle(2, 0, 1);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            CesiumMath.toRadians(20.0),
+            CesiumMath.toRadians(45.0)
+          )
+        ).toEqual(0.0);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            CesiumMath.toRadians(70.0),
+            CesiumMath.toRadians(45.0)
+          )
+        ).toEqualEpsilon(250.5, CesiumMath.EPSILON10);
+      });
+  });
+
+  it("uses a Web Mercator tiling scheme for Web Mercator GeoTIFFs", function () {
+    mockDem({
+      epsg: 3857,
+      origin: [0.0, 20037508.342789244],
+      pixelSize: [20037508.342789244 / 256, 20037508.342789244 / 256],
+    });
+    const provider = createProvider();
+
+    return provider.readyPromise
+      .then(function () {
+        expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+        expect(provider.getTileDataAvailable(1, 0, 1)).toBe(true);
+        expect(provider.getTileDataAvailable(0, 0, 1)).toBe(false);
+        return provider.requestTileGeometry(1, 0, 1);
+      })
+      .then(function (terrainData) {
+        const rectangle = provider.tilingScheme.tileXYToRectangle(1, 0, 1);
+        expect(
+          terrainData.interpolateHeight(
+            rectangle,
+            CesiumMath.toRadians(90.0),
+            CesiumMath.toRadians(45.0)
+          )
+        ).toEqualEpsilon(500.0, CesiumMath.EPSILON10);
+      });
+  });
+
+  it("rejects readyPromise for GeoTIFFs with more than one band", function () {
+    mockDem({
+      samplesPerPixel: 3,
+      bitsPerSample: 8,
+      sampleFormat: 1,
+    });
+    const provider = createProvider();
+
+    let errorRaised = false;
+    provider.errorEvent.addEventListener(function (error) {
+      errorRaised = true;
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (e) {
+        expect(e).toBeInstanceOf(RuntimeError);
+        expect(errorRaised).toBe(true);
+        expect(provider.ready).toBe(false);
+      });
+  });
+
+  it("returns undefined when the request is throttled", function () {
+    mockDem();
+    const provider = createProvider();
+
+    return provider.readyPromise.then(function () {
+      spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+      expect(provider.requestTileGeometry(2, 0, 1)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { IndexedDBOfflineCacheStorage } from "../../index.js";
+
+describe("Core/IndexedDBOfflineCacheStorage", function () {
+  const url = "http://example.com/a";
+  let storage;
+
+  function supported() {
+    return !(typeof indexedDB === "undefined");
+  }
+
+  beforeEach(function () {
+    storage = new IndexedDBOfflineCacheStorage({
+      name: "cesium-offline-cache-spec",
+    });
+  });
+
+  afterEach(function () {
+    if (supported()) {
+      return storage.clear();
+    }
+  });
+
+  it("constructs with defaults", function () {
+    expect(new IndexedDBOfflineCacheStorage().name).toEqual(
+      "cesium-offline-cache"
+    );
+    expect(storage.name).toEqual("cesium-offline-cache-spec");
+  });
+
+  it("stores, updates and removes responses", function () {
+    if (!supported()) {
+      return;
+    }
+
+    const entry = {
+      url: url,
+      size: 3,
+      lastAccessed: 1,
+      contentType: "application/octet-stream",
+    };
+    return storage
+      .put(entry, new Uint8Array([1, 2, 3]).buffer)
+      .then(function () {
+        return storage.get(url);
+      })
+      .then(function (data) {
+        expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2, 3]));
+        entry.lastAccessed = 2;
+        return storage.updateEntry(entry);
+      })
+      .then(function () {
+        return storage.getEntries();
+      })
+      .then(function (entries) {
+        expect(entries).toEqual([
+          {
+            url: url,
+            size: 3,
+            lastAccessed: 2,
+            contentType: "application/octet-stream",
+          },
+        ]);
+        return storage.remove(url);
+      })
+      .then(function () {
+        return storage.get(url);
+      })
+      .then(function (data) {
+        expect(data).toBeUndefined();
+      });
+  });
+
+  it("clears responses", function () {
+    if (!supported()) {
+      return;
+    }
+
+    return storage
+      .put(
+        {
+          url: url,
+          size: 1,
+          lastAccessed: 1,
+        },
+        new ArrayBuffer(1)
+      )
+      .then(function () {
+        return storage.clear();
+      })
+      .then(function () {
+        return storage.getEntries();
+      })
+      .then(function (entries) {
+        expect(entries).toEqual([]);
+      });
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  LambertConformalConicProjection,
+  MapProjection,
+  Math as CesiumMath,
+  Rectangle,
+} from "../../index.js";
+
+describe("Core/LambertConformalConicProjection", function () {
+  // The Clarke 1866 ellipsoid and the examples of the EPSG Guidance Note 7-2
+  const clarke1866 = new Ellipsoid(6378206.4, 6378206.4, 6356583.8);
+  const usSurveyFoot = 0.3048006096012192;
+
+  function createTexasSouthCentral() {
+    return new LambertConformalConicProjection({
+      ellipsoid: clarke1866,
+      centralMeridian: CesiumMath.toRadians(-99.0),
+      latitudeOfOrigin: CesiumMath.toRadians(27.0 + 50.0 / 60.0),
+      standardParallel1: CesiumMath.toRadians(28.0 + 23.0 / 60.0),
+      standardParallel2: CesiumMath.toRadians(30.0 + 17.0 / 60.0),
+      falseEasting: 2000000.0 * usSurveyFoot,
+    });
+  }
+
+  function createJamaica() {
+    return new LambertConformalConicProjection({
+      ellipsoid: clarke1866,
+      centralMeridian: CesiumMath.toRadians(-77.0),
+      latitudeOfOrigin: CesiumMath.toRadians(18.0),
+      falseEasting: 250000.0,
+      falseNorthing: 150000.0,
+    });
+  }
+
+  it("conforms to MapProjection interface", function () {
+    expect(LambertConformalConicProjection).toConformToInterface(MapProjection);
+  });
+
+  it("constructs", function () {
+    const projection = createTexasSouthCentral();
+    expect(projection.ellipsoid).toBe(clarke1866);
+    expect(projection.isNormalCylindrical).toBe(false);
+    expect(projection.centralMeridian).toEqual(CesiumMath.toRadians(-99.0));
+    expect(projection.standardParallel1).toEqual(
+      CesiumMath.toRadians(28.0 + 23.0 / 60.0)
+    );
+    expect(projection.standardParallel2).toEqual(
+      CesiumMath.toRadians(30.0 + 17.0 / 60.0)
+    );
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.falseNorthing).toEqual(0.0);
+    expect(projection.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-189.0, 0.0, -9.0, 90.0),
+      CesiumMath.EPSILON14
+    );
+  });
+
+  it("defaults the standard parallels to the latitude of origin", function () {
+    const projection = createJamaica();
+    expect(projection.standardParallel1).toEqual(CesiumMath.toRadians(18.0));
+    expect(projection.standardParallel2).toEqual(CesiumMath.toRadians(18.0));
+  });
+
+  it("projects with two standard parallels", function () {
+    const projection = createTexasSouthCentral();
+    const result = projection.project(
+      Cartographic.fromDegrees(-96.0, 28.5, 10.0)
+    );
+    expect(result).toEqualEpsilon(
+      new Cartesian3(2963503.91 * usSurveyFoot, 254759.8 * usSurveyFoot, 10.0),
+      1e-2
+    );
+  });
+
+  it("projects with one standard parallel", function () {
+    const projection = createJamaica();
+    const result = new Cartesian3();
+    const returnedResult = projection.project(
+      Cartographic.fromDegrees(
+        -(76.0 + 56.0 / 60.0 + 37.26 / 3600.0),
+        17.0 + 55.0 / 60.0 + 55.8 / 3600.0
+      ),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      new Cartesian3(255966.58, 142493.51, 0.0),
+      1e-2
+    );
+  });
+
+  it("unprojects", function () {
+    const projection = createTexasSouthCentral();
+    const result = new Cartographic();
+    const returnedResult = projection.unproject(
+      new Cartesian3(2963503.91 * usSurveyFoot, 254759.8 * usSurveyFoot, 10.0),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      Cartographic.fromDegrees(-96.0, 28.5, 10.0),
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("unprojects what it projects in the southern hemisphere", function () {
+    const projection = new LambertConformalConicProjection({
+      centralMeridian: CesiumMath.toRadians(135.0),
+      standardParallel1: CesiumMath.toRadians(-18.0),
+      standardParallel2: CesiumMath.toRadians(-36.0),
+    });
+    expect(projection.rectangle.north).toEqual(0.0);
+
+    const cartographic = Cartographic.fromDegrees(150.0, -40.0, 100.0);
+    const result = projection.unproject(projection.project(cartographic));
+    expect(result).toEqualEpsilon(cartographic, CesiumMath.EPSILON12);
+  });
+
+  it("has a proj4 definition that recreates it", function () {
+    const projection = createTexasSouthCentral();
+    const recreated = MapProjection.fromProj4Definition(
+      projection.proj4Definition
+    );
+    expect(recreated).toBeInstanceOf(LambertConformalConicProjection);
+    const cartographic = Cartographic.fromDegrees(-97.0, 30.0);
+    expect(recreated.project(cartographic)).toEqualEpsilon(
+      projection.project(cartographic),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("throws when the standard parallels are symmetric about the equator", function () {
+    expect(function () {
+      return new LambertConformalConicProjection({
+        standardParallel1: CesiumMath.toRadians(30.0),
+        standardParallel2: CesiumMath.toRadians(-30.0),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("project throws without cartographic", function () {
+    const projection = createJamaica();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("unproject throws without cartesian", function () {
+    const projection = createJamaica();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,201 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  GeographicProjection,
+  LambertConformalConicProjection,
+  MapProjection,
+  Math as CesiumMath,
+  PolarStereographicProjection,
+  Rectangle,
+  RuntimeError,
+  TransverseMercatorProjection,
+  WebMercatorProjection,
+} from "../../index.js";
+
+describe("Core/MapProjection", function () {
+  it("throws when instantiated", function () {
+    expect(function () {
+      return new MapProjection();
+    }).toThrowDeveloperError();
+  });
+
+  describe("fromProj4Definition", function () {
+    it("creates geographic projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=longlat +datum=WGS84 +no_defs"
+      );
+      expect(projection).toBeInstanceOf(GeographicProjection);
+      expect(projection.ellipsoid).toBe(Ellipsoid.WGS84);
+    });
+
+    it("creates Web Mercator projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs"
+      );
+      expect(projection).toBeInstanceOf(WebMercatorProjection);
+      expect(projection.ellipsoid).toBe(Ellipsoid.WGS84);
+    });
+
+    it("creates transverse Mercator projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs"
+      );
+      expect(projection).toBeInstanceOf(TransverseMercatorProjection);
+      expect(projection.ellipsoid.maximumRadius).toEqual(6377563.396);
+      expect(projection.ellipsoid.minimumRadius).toEqualEpsilon(
+        6356256.909,
+        1e-3
+      );
+      expect(projection.scaleFactor).toEqual(0.9996012717);
+      expect(projection.falseNorthing).toEqual(-100000.0);
+      expect(
+        projection.project(Cartographic.fromDegrees(0.5, 50.5))
+      ).toEqualEpsilon(new Cartesian3(577274.98, 69740.49, 0.0), 1e-2);
+    });
+
+    it("creates UTM projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=utm +zone=56 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs"
+      );
+      expect(projection).toBeInstanceOf(TransverseMercatorProjection);
+      expect(projection.centralMeridian).toEqualEpsilon(
+        CesiumMath.toRadians(153.0),
+        CesiumMath.EPSILON14
+      );
+      expect(projection.falseNorthing).toEqual(10000000.0);
+      expect(projection.ellipsoid.maximumRadius).toEqual(6378137.0);
+    });
+
+    it("creates Lambert conformal conic projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m +no_defs"
+      );
+      expect(projection).toBeInstanceOf(LambertConformalConicProjection);
+      expect(projection.standardParallel1).toEqual(CesiumMath.toRadians(49.0));
+      expect(projection.standardParallel2).toEqual(CesiumMath.toRadians(44.0));
+      expect(
+        projection.project(Cartographic.fromDegrees(3.0, 46.5))
+      ).toEqualEpsilon(new Cartesian3(700000.0, 6600000.0, 0.0), 1e-6);
+    });
+
+    it("creates polar stereographic projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=stere +lat_0=-90 +lat_ts=-71 +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs"
+      );
+      expect(projection).toBeInstanceOf(PolarStereographicProjection);
+      expect(projection.southernHemisphere).toBe(true);
+      expect(projection.latitudeOfTrueScale).toEqual(
+        CesiumMath.toRadians(-71.0)
+      );
+
+      const atPole = MapProjection.fromProj4Definition(
+        "+proj=stere +lat_0=90 +lat_ts=90 +lon_0=-45 +k=0.994 +x_0=2000000 +y_0=2000000 +datum=WGS84 +units=m +no_defs"
+      );
+      expect(atPole.southernHemisphere).toBe(false);
+      expect(atPole.latitudeOfTrueScale).toBeUndefined();
+      expect(atPole.scaleFactor).toEqual(0.994);
+    });
+
+    it("creates UPS projections", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=ups +south +datum=WGS84 +units=m +no_defs"
+      );
+      expect(projection).toBeInstanceOf(PolarStereographicProjection);
+      expect(projection.southernHemisphere).toBe(true);
+      expect(projection.scaleFactor).toEqual(0.994);
+    });
+
+    it("reads ellipsoids from their axes and flattening", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=tmerc +a=6378388 +rf=297 +units=m"
+      );
+      expect(projection.ellipsoid.maximumRadius).toEqual(6378388.0);
+      expect(projection.ellipsoid.minimumRadius).toEqualEpsilon(
+        6378388.0 * (1.0 - 1.0 / 297.0),
+        CesiumMath.EPSILON6
+      );
+
+      const sphere = MapProjection.fromProj4Definition(
+        "+proj=tmerc +R=6371000"
+      );
+      expect(sphere.ellipsoid.radii).toEqual(
+        new Cartesian3(6371000.0, 6371000.0, 6371000.0)
+      );
+    });
+
+    it("adds the prime meridian to the central meridian", function () {
+      const projection = MapProjection.fromProj4Definition(
+        "+proj=lcc +lat_1=46.8 +lat_0=46.8 +lon_0=0 +k_0=0.99987742 +x_0=600000 +y_0=2200000 +a=6378249.2 +b=6356515 +pm=paris +units=m +no_defs"
+      );
+      expect(projection.centralMeridian).toEqualEpsilon(
+        CesiumMath.toRadians(2.337229166667),
+        CesiumMath.EPSILON12
+      );
+      expect(projection.scaleFactor).toEqual(0.99987742);
+    });
+
+    it("throws with unsupported projections", function () {
+      expect(function () {
+        return MapProjection.fromProj4Definition(
+          "+proj=aea +lat_1=29.5 +lat_2=45.5 +lat_0=37.5 +lon_0=-96 +datum=NAD83"
+        );
+      }).toThrowError(RuntimeError);
+      expect(function () {
+        return MapProjection.fromProj4Definition(
+          "+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m"
+        );
+      }).toThrowError(RuntimeError);
+      expect(function () {
+        return MapProjection.fromProj4Definition(
+          "+proj=stere +lat_0=52.15616055555555 +lon_0=5.38763888888889 +k=0.9999079 +ellps=bessel"
+        );
+      }).toThrowError(RuntimeError);
+    });
+
+    it("throws with unsupported ellipsoids", function () {
+      expect(function () {
+        return MapProjection.fromProj4Definition("+proj=tmerc +ellps=unknown");
+      }).toThrowError(RuntimeError);
+    });
+
+    it("throws without a definition", function () {
+      expect(function () {
+        return MapProjection.fromProj4Definition();
+      }).toThrowDeveloperError();
+    });
+  });
+
+  describe("computeMaximumCoordinate", function () {
+    it("projects the corner of the map of cylindrical projections", function () {
+      const projection = new GeographicProjection();
+      const result = MapProjection.computeMaximumCoordinate(projection);
+      expect(result).toEqual(
+        new Cartesian2(
+          Math.PI * Ellipsoid.WGS84.maximumRadius,
+          CesiumMath.PI_OVER_TWO * Ellipsoid.WGS84.maximumRadius
+        )
+      );
+    });
+
+    it("bounds the rectangle of other projections", function () {
+      const projection = new TransverseMercatorProjection({
+        rectangle: Rectangle.fromDegrees(-3.0, -80.0, 3.0, 80.0),
+        falseEasting: 500000.0,
+      });
+      const result = new Cartesian2();
+      const returnedResult = MapProjection.computeMaximumCoordinate(
+        projection,
+        result
+      );
+      expect(returnedResult).toBe(result);
+
+      const equator = projection.project(Cartographic.fromDegrees(3.0, 0.0));
+      // Parallels curve towards the pole away from the central meridian
+      const north = projection.project(Cartographic.fromDegrees(3.0, 80.0));
+      expect(result.x).toEqualEpsilon(equator.x, CesiumMath.EPSILON6);
+      expect(result.y).toEqualEpsilon(north.y, CesiumMath.EPSILON6);
+    });
+  });
+});
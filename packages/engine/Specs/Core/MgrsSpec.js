@@ -0,0 +1,269 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Math as CesiumMath,
+  Mgrs,
+  UtmCoordinate,
+} from "../../index.js";
+
+describe("Core/Mgrs", function () {
+  function fromDegrees(longitude, latitude) {
+    return Cartographic.fromDegrees(longitude, latitude);
+  }
+
+  it("creates the reference of UTM coordinates", function () {
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(31, "N", 166021.4, 0.0))
+    ).toEqual("31NAA6602100000");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(4, "Q", 612345.0, 2367890.0))
+    ).toEqual("4QFJ1234567890");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(17, "T", 630084.0, 4833438.0))
+    ).toEqual("17TPJ3008433438");
+  });
+
+  it("creates references with a precision and separator", function () {
+    const utm = new UtmCoordinate(4, "Q", 612345.0, 2367890.0);
+    expect(Mgrs.fromUtmCoordinate(utm, { precision: 0 })).toEqual("4QFJ");
+    expect(Mgrs.fromUtmCoordinate(utm, { precision: 1 })).toEqual("4QFJ16");
+    expect(Mgrs.fromUtmCoordinate(utm, { precision: 3 })).toEqual("4QFJ123678");
+    expect(
+      Mgrs.fromUtmCoordinate(utm, { precision: 4, separator: " " })
+    ).toEqual("4Q FJ 1234 6789");
+  });
+
+  it("truncates the digits of the reference", function () {
+    const utm = new UtmCoordinate(31, "N", 100009.9, 5.99);
+    expect(Mgrs.fromUtmCoordinate(utm)).toEqual("31NAA0000900005");
+    expect(Mgrs.fromUtmCoordinate(utm, { precision: 4 })).toEqual(
+      "31NAA00000000"
+    );
+  });
+
+  it("uses the letters of the zone", function () {
+    // The column letters repeat every three zones and the row letters of even zones are offset
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(1, "N", 150000.0, 50000.0), {
+        precision: 0,
+      })
+    ).toEqual("1NAA");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(2, "N", 150000.0, 50000.0), {
+        precision: 0,
+      })
+    ).toEqual("2NJF");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(3, "N", 850000.0, 1950000.0), {
+        precision: 0,
+      })
+    ).toEqual("3NZV");
+  });
+
+  it("creates the reference of UPS coordinates", function () {
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(0, "Z", 2000000.0, 2000000.0))
+    ).toEqual("ZAH0000000000");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(0, "Y", 1300000.0, 1300000.0))
+    ).toEqual("YRA0000000000");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(0, "A", 800000.0, 800000.0))
+    ).toEqual("AJA0000000000");
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(0, "B", 3199999.0, 3199999.0), {
+        precision: 0,
+      })
+    ).toEqual("BRZ");
+  });
+
+  it("returns undefined for coordinates outside of the squares of their zone", function () {
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(31, "N", 50000.0, 0.0))
+    ).toBeUndefined();
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(31, "N", 950000.0, 0.0))
+    ).toBeUndefined();
+    expect(
+      Mgrs.fromUtmCoordinate(new UtmCoordinate(0, "Z", 2800000.0, 2000000.0))
+    ).toBeUndefined();
+  });
+
+  it("creates the reference of a position", function () {
+    expect(Mgrs.fromCartographic(fromDegrees(0.0, 0.0))).toEqual(
+      "31NAA6602100000"
+    );
+    expect(
+      Mgrs.fromCartographic(fromDegrees(0.0, 0.0), {
+        precision: 2,
+        separator: " ",
+      })
+    ).toEqual("31N AA 66 00");
+    expect(Mgrs.fromCartographic(fromDegrees(0.0, 90.0))).toEqual(
+      "ZAH0000000000"
+    );
+    expect(
+      Mgrs.fromCartographic(fromDegrees(10.0, 78.0), { precision: 0 })
+    ).toEqual("33XUG");
+  });
+
+  it("converts a reference to UTM coordinates", function () {
+    let utm = Mgrs.toUtmCoordinate("4QFJ1234567890");
+    expect(utm).toEqual(new UtmCoordinate(4, "Q", 612345.0, 2367890.0));
+
+    utm = Mgrs.toUtmCoordinate("31NAA6602100000");
+    expect(utm).toEqual(new UtmCoordinate(31, "N", 166021.0, 0.0));
+
+    utm = Mgrs.toUtmCoordinate("17TPJ3008433438");
+    expect(utm).toEqual(new UtmCoordinate(17, "T", 630084.0, 4833438.0));
+
+    const result = new UtmCoordinate();
+    expect(Mgrs.toUtmCoordinate("4QFJ", undefined, result)).toBe(result);
+    expect(result).toEqual(new UtmCoordinate(4, "Q", 600000.0, 2300000.0));
+  });
+
+  it("converts USNG references", function () {
+    expect(Mgrs.toUtmCoordinate(" 4q fj 123 678 ")).toEqual(
+      new UtmCoordinate(4, "Q", 612300.0, 2367800.0)
+    );
+    expect(Mgrs.toUtmCoordinate("04Q FJ 1 6")).toEqual(
+      new UtmCoordinate(4, "Q", 610000.0, 2360000.0)
+    );
+  });
+
+  it("converts a reference in the southern hemisphere", function () {
+    const utm = UtmCoordinate.fromCartographic(fromDegrees(151.2, -33.9));
+    const mgrs = Mgrs.fromUtmCoordinate(utm);
+    expect(mgrs.substring(0, 3)).toEqual("56H");
+    const result = Mgrs.toUtmCoordinate(mgrs);
+    expect(result.easting).toEqual(Math.floor(utm.easting));
+    expect(result.northing).toEqual(Math.floor(utm.northing));
+  });
+
+  it("converts the square at the southern edge of a band", function () {
+    // The southwest corner of the square is south of the band, which starts at 8°N
+    const utm = UtmCoordinate.fromCartographic(fromDegrees(-69.0, 8.001));
+    expect(utm.band).toEqual("P");
+    const mgrs = Mgrs.fromUtmCoordinate(utm, { precision: 0 });
+    const result = Mgrs.toUtmCoordinate(mgrs);
+    expect(result.northing).toEqual(
+      Math.floor(utm.northing / 100000.0) * 100000.0
+    );
+  });
+
+  it("converts a reference to UPS coordinates", function () {
+    expect(Mgrs.toUtmCoordinate("ZAH0000000000")).toEqual(
+      new UtmCoordinate(0, "Z", 2000000.0, 2000000.0)
+    );
+    expect(Mgrs.toUtmCoordinate("YRA")).toEqual(
+      new UtmCoordinate(0, "Y", 1300000.0, 1300000.0)
+    );
+    expect(Mgrs.toUtmCoordinate("BRZ99")).toEqual(
+      new UtmCoordinate(0, "B", 3190000.0, 3190000.0)
+    );
+  });
+
+  it("does not convert invalid references", function () {
+    expect(Mgrs.toUtmCoordinate("")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("4Q")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("61NAA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("0NAA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("31IAA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("31NJA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("31NAW")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("31NAA123")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("31NAA123456789012")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("32XAA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("ZDA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("ZLA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("YJA")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("ZAQ")).toBeUndefined();
+    expect(Mgrs.toUtmCoordinate("CAA")).toBeUndefined();
+  });
+
+  it("converts a reference to a position", function () {
+    const result = Mgrs.toCartographic("31NAA6602144300");
+    expect(result.longitude).toEqualEpsilon(0.0, CesiumMath.EPSILON5);
+    expect(result.latitude).toEqualEpsilon(
+      CesiumMath.toRadians(0.4),
+      CesiumMath.EPSILON4
+    );
+    expect(Mgrs.toCartographic("31NAA66021")).toBeUndefined();
+  });
+
+  it("converts a reference to the center of its square", function () {
+    const corner = Mgrs.toCartographic("4QFJ");
+    const center = Mgrs.toCartographic("4QFJ", { center: true });
+    const expected = UtmCoordinate.toCartographic(
+      new UtmCoordinate(4, "Q", 650000.0, 2350000.0)
+    );
+    expect(center.longitude).toEqualEpsilon(
+      expected.longitude,
+      CesiumMath.EPSILON12
+    );
+    expect(center.latitude).toEqualEpsilon(
+      expected.latitude,
+      CesiumMath.EPSILON12
+    );
+    expect(center.latitude).toBeGreaterThan(corner.latitude);
+
+    const result = new Cartographic();
+    expect(
+      Mgrs.toCartographic("4QFJ1234567890", { center: true }, result)
+    ).toBe(result);
+  });
+
+  it("round trips positions", function () {
+    const positions = [
+      fromDegrees(-179.9, -79.9),
+      fromDegrees(179.9, 83.9),
+      fromDegrees(5.0, 60.0),
+      fromDegrees(10.0, 78.0),
+      fromDegrees(151.2, -33.9),
+      fromDegrees(-77.0365, 38.8977),
+      fromDegrees(45.0, 89.0),
+      fromDegrees(-135.0, -89.0),
+    ];
+    for (let i = 0; i < positions.length; ++i) {
+      const position = positions[i];
+      const mgrs = Mgrs.fromCartographic(position);
+      const result = Mgrs.toCartographic(mgrs, { center: true });
+      // The center of a 1 m square is within a meter of the position
+      expect(
+        Cartesian3.distance(
+          Cartographic.toCartesian(result),
+          Cartographic.toCartesian(position)
+        )
+      ).toBeLessThan(1.0);
+    }
+  });
+
+  it("gets the precision of a reference", function () {
+    expect(Mgrs.getPrecision("4QFJ")).toEqual(0);
+    expect(Mgrs.getPrecision("4Q FJ 1234 6789")).toEqual(4);
+    expect(Mgrs.getPrecision("ZAH0000000000")).toEqual(5);
+    expect(Mgrs.getPrecision("4QFJ123")).toBeUndefined();
+    expect(Mgrs.getPrecision("invalid")).toBeUndefined();
+  });
+
+  it("throws with an invalid precision", function () {
+    expect(function () {
+      Mgrs.fromCartographic(fromDegrees(0.0, 0.0), { precision: 6 });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without arguments", function () {
+    expect(function () {
+      Mgrs.fromCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      Mgrs.fromUtmCoordinate();
+    }).toThrowDeveloperError();
+    expect(function () {
+      Mgrs.toUtmCoordinate();
+    }).toThrowDeveloperError();
+    expect(function () {
+      Mgrs.toCartographic();
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,196 @@
+import {
+  Cartesian2,
+  Cartographic,
+  Ellipsoid,
+  GeographicProjection,
+  Math as CesiumMath,
+  NationalGrid,
+  Rectangle,
+  TransverseMercatorProjection,
+} from "../../index.js";
+
+describe("Core/NationalGrid", function () {
+  // The Airy 1830 ellipsoid and the British National Grid, from the EPSG Guidance Note 7-2
+  const airy = new Ellipsoid(
+    6377563.396,
+    6377563.396,
+    6377563.396 * (1.0 - 1.0 / 299.3249646)
+  );
+  const projection = new TransverseMercatorProjection({
+    ellipsoid: airy,
+    centralMeridian: CesiumMath.toRadians(-2.0),
+    latitudeOfOrigin: CesiumMath.toRadians(49.0),
+    scaleFactor: 0.9996012717,
+    falseEasting: 400000.0,
+    falseNorthing: -100000.0,
+  });
+  const rectangle = Rectangle.fromDegrees(-9.0, 49.0, 2.0, 61.0);
+
+  // The EPSG example point, at 52°39'27.2531"N 1°43'4.5177"E
+  const cartographic = Cartographic.fromDegrees(
+    1.0 + 43.0 / 60.0 + 4.5177 / 3600.0,
+    52.0 + 39.0 / 60.0 + 27.2531 / 3600.0
+  );
+
+  it("throws without a projection", function () {
+    expect(function () {
+      return new NationalGrid();
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs with options", function () {
+    const grid = new NationalGrid({
+      name: "OSGB",
+      projection: projection,
+      rectangle: rectangle,
+    });
+    expect(grid.name).toEqual("OSGB");
+    expect(grid.projection).toBe(projection);
+    expect(grid.rectangle).toEqual(rectangle);
+    expect(grid.rectangle).not.toBe(rectangle);
+  });
+
+  it("defaults to the rectangle of the projection", function () {
+    let grid = new NationalGrid({
+      projection: projection,
+    });
+    expect(grid.name).toBeUndefined();
+    expect(grid.rectangle).toEqual(projection.rectangle);
+
+    grid = new NationalGrid({
+      projection: new GeographicProjection(),
+    });
+    expect(grid.rectangle).toEqual(Rectangle.MAX_VALUE);
+  });
+
+  it("converts a position to grid coordinates", function () {
+    const grid = new NationalGrid({
+      projection: projection,
+      rectangle: rectangle,
+    });
+    const coordinates = grid.fromCartographic(cartographic);
+    expect(coordinates.x).toEqualEpsilon(651409.903, 0.001);
+    expect(coordinates.y).toEqualEpsilon(313177.27, 0.001);
+
+    const result = new Cartesian2();
+    expect(grid.fromCartographic(cartographic, result)).toBe(result);
+  });
+
+  it("converts grid coordinates to a position", function () {
+    const grid = new NationalGrid({
+      projection: projection,
+    });
+    const result = grid.toCartographic(new Cartesian2(651409.903, 313177.27));
+    expect(result.longitude).toEqualEpsilon(
+      cartographic.longitude,
+      CesiumMath.EPSILON10
+    );
+    expect(result.latitude).toEqualEpsilon(
+      cartographic.latitude,
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("returns undefined outside of the rectangle", function () {
+    const grid = new NationalGrid({
+      projection: projection,
+      rectangle: rectangle,
+    });
+    const outside = Cartographic.fromDegrees(10.0, 45.0);
+    expect(grid.fromCartographic(outside)).toBeUndefined();
+    expect(grid.format(outside)).toBeUndefined();
+    expect(grid.parse("2000000 0")).toBeUndefined();
+  });
+
+  it("formats and parses eastings and northings", function () {
+    const grid = new NationalGrid({
+      projection: projection,
+      rectangle: rectangle,
+    });
+    expect(grid.format(cartographic)).toEqual("651410 313177");
+    expect(grid.format(cartographic, 2)).toEqual("651409.90 313177.27");
+
+    const result = grid.parse("651409.903 313177.27");
+    expect(result.longitude).toEqualEpsilon(
+      cartographic.longitude,
+      CesiumMath.EPSILON10
+    );
+    expect(result.latitude).toEqualEpsilon(
+      cartographic.latitude,
+      CesiumMath.EPSILON10
+    );
+
+    expect(grid.parse("651409.903mE, 313177.27mN")).toEqual(result);
+    expect(grid.parse("651409.903E 313177.27N")).toEqual(result);
+    const target = new Cartographic();
+    expect(grid.parse("651409.903 313177.27", target)).toBe(target);
+    expect(grid.parse("not coordinates")).toBeUndefined();
+  });
+
+  it("formats and parses with custom functions", function () {
+    // Lettered 100 km squares of the British National Grid
+    const letters = "ABCDEFGHJKLMNOPQRSTUVWXYZ";
+    const grid = new NationalGrid({
+      projection: projection,
+      rectangle: rectangle,
+      format: function (easting, northing, precision) {
+        const e = Math.floor(easting / 100000.0);
+        const n = Math.floor(northing / 100000.0);
+        const first = 19 - Math.floor(n / 5) * 5 + Math.floor(e / 5) - 2;
+        const second = (4 - (n % 5)) * 5 + (e % 5);
+        const scale = Math.pow(10, 5 - precision);
+        const digits = function (value) {
+          return Math.floor((value % 100000.0) / scale)
+            .toString()
+            .padStart(precision, "0");
+        };
+        return `${letters[first]}${letters[second]} ${digits(easting)} ${digits(
+          northing
+        )}`;
+      },
+      parse: function (string, result) {
+        const match = /^([A-Z])([A-Z]) (\d+) (\d+)$/.exec(string);
+        if (match === null) {
+          return undefined;
+        }
+        const first = letters.indexOf(match[1]);
+        const second = letters.indexOf(match[2]);
+        const e = ((first % 5) - 2) * 5 + (second % 5);
+        const n =
+          (3 - Math.floor(first / 5)) * 5 + (4 - Math.floor(second / 5));
+        const scale = Math.pow(10, 5 - match[3].length);
+        result.x = e * 100000.0 + parseInt(match[3], 10) * scale;
+        result.y = n * 100000.0 + parseInt(match[4], 10) * scale;
+        return result;
+      },
+    });
+
+    expect(grid.format(cartographic, 3)).toEqual("TG 514 131");
+    const result = grid.parse("TG 51409 13177");
+    const expected = grid.toCartographic(new Cartesian2(651409.0, 313177.0));
+    expect(result.longitude).toEqualEpsilon(
+      expected.longitude,
+      CesiumMath.EPSILON12
+    );
+    expect(result.latitude).toEqualEpsilon(
+      expected.latitude,
+      CesiumMath.EPSILON12
+    );
+    expect(grid.parse("651409 313177")).toBeUndefined();
+  });
+
+  it("throws without arguments", function () {
+    const grid = new NationalGrid({
+      projection: projection,
+    });
+    expect(function () {
+      grid.fromCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      grid.toCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      grid.parse();
+    }).toThrowDeveloperError();
+  });
+});
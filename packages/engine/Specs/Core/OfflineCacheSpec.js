@@ -0,0 +1,539 @@
+import {
+  GeographicTilingScheme,
+  Rectangle,
+  OfflineCache,
+  OfflineCachePolicy,
+  RuntimeError,
+} from "../../index.js";
+
+describe("Core/OfflineCache", function () {
+  function createStorage(entries) {
+    const responses = new Map();
+    const storedEntries = new Map();
+    if (entries) {
+      entries.forEach(function (entry) {
+        storedEntries.set(entry.url, entry);
+        responses.set(entry.url, new ArrayBuffer(entry.size));
+      });
+    }
+    return {
+      responses: responses,
+      entries: storedEntries,
+      getEntries: function () {
+        return Promise.resolve(Array.from(storedEntries.values()));
+      },
+      get: function (url) {
+        return Promise.resolve(responses.get(url));
+      },
+      put: function (entry, data) {
+        storedEntries.set(entry.url, Object.assign({}, entry));
+        responses.set(entry.url, data);
+        return Promise.resolve();
+      },
+      updateEntry: function (entry) {
+        storedEntries.set(entry.url, Object.assign({}, entry));
+        return Promise.resolve();
+      },
+      remove: function (url) {
+        storedEntries.delete(url);
+        responses.delete(url);
+        return Promise.resolve();
+      },
+      clear: function () {
+        storedEntries.clear();
+        responses.clear();
+        return Promise.resolve();
+      },
+    };
+  }
+
+  function createBuffer(size) {
+    return new ArrayBuffer(size);
+  }
+
+  it("constructs with defaults", function () {
+    const cache = new OfflineCache({
+      storage: createStorage(),
+    });
+    expect(cache.maximumSize).toEqual(512 * 1024 * 1024);
+    expect(cache.defaultPolicy).toEqual(OfflineCachePolicy.NETWORK_FIRST);
+    expect(cache.policies).toEqual([]);
+    return cache.readyPromise.then(function (result) {
+      expect(result).toBe(cache);
+      expect(cache.size).toEqual(0);
+      expect(cache.length).toEqual(0);
+    });
+  });
+
+  it("throws with a negative maximumSize", function () {
+    expect(function () {
+      return new OfflineCache({
+        storage: createStorage(),
+        maximumSize: -1,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("loads the entries of the storage", function () {
+    const cache = new OfflineCache({
+      storage: createStorage([
+        { url: "http://example.com/a", size: 10, lastAccessed: 1 },
+        { url: "http://example.com/b", size: 20, lastAccessed: 2 },
+      ]),
+    });
+    return cache.readyPromise.then(function () {
+      expect(cache.size).toEqual(30);
+      expect(cache.length).toEqual(2);
+    });
+  });
+
+  it("is empty if the storage fails to load", function () {
+    const storage = createStorage();
+    storage.getEntries = function () {
+      return Promise.reject(new RuntimeError("unsupported"));
+    };
+    const cache = new OfflineCache({
+      storage: storage,
+    });
+    return cache.readyPromise.then(function () {
+      expect(cache.length).toEqual(0);
+    });
+  });
+
+  it("gets the policy of a URL", function () {
+    const cache = new OfflineCache({
+      storage: createStorage(),
+      defaultPolicy: OfflineCachePolicy.NETWORK_ONLY,
+      policies: [
+        {
+          pattern: /\/tiles\/\d+\//,
+          policy: OfflineCachePolicy.CACHE_FIRST,
+        },
+        {
+          pattern: "/tiles/",
+          policy: OfflineCachePolicy.CACHE_ONLY,
+        },
+      ],
+    });
+    expect(cache.getPolicy("http://example.com/tiles/1/2/3.png")).toEqual(
+      OfflineCachePolicy.CACHE_FIRST
+    );
+    expect(cache.getPolicy("http://example.com/tiles/layer.json")).toEqual(
+      OfflineCachePolicy.CACHE_ONLY
+    );
+    expect(cache.getPolicy("http://example.com/token")).toEqual(
+      OfflineCachePolicy.NETWORK_ONLY
+    );
+  });
+
+  it("stores and gets responses", function () {
+    const storage = createStorage();
+    const cache = new OfflineCache({
+      storage: storage,
+    });
+    const data = createBuffer(8);
+    return cache
+      .put("http://example.com/a", data)
+      .then(function () {
+        expect(cache.size).toEqual(8);
+        expect(cache.length).toEqual(1);
+        expect(storage.entries.get("http://example.com/a").size).toEqual(8);
+        return cache.get("http://example.com/a");
+      })
+      .then(function (result) {
+        expect(result).toBe(data);
+        return cache.get("http://example.com/b");
+      })
+      .then(function (result) {
+        expect(result).toBeUndefined();
+      });
+  });
+
+  it("replaces responses", function () {
+    const cache = new OfflineCache({
+      storage: createStorage(),
+    });
+    return cache
+      .put("http://example.com/a", createBuffer(8))
+      .then(function () {
+        return cache.put("http://example.com/a", createBuffer(4));
+      })
+      .then(function () {
+        expect(cache.size).toEqual(4);
+        expect(cache.length).toEqual(1);
+      });
+  });
+
+  it("evicts the least recently used responses", function () {
+    const storage = createStorage();
+    const cache = new OfflineCache({
+      storage: storage,
+      maximumSize: 10,
+    });
+    return cache
+      .put("http://example.com/a", createBuffer(4))
+      .then(function () {
+        return cache.put("http://example.com/b", createBuffer(4));
+      })
+      .then(function () {
+        return cache.get("http://example.com/a");
+      })
+      .then(function () {
+        return cache.put("http://example.com/c", createBuffer(4));
+      })
+      .then(function () {
+        expect(cache.size).toEqual(8);
+        expect(storage.responses.has("http://example.com/a")).toBe(true);
+        expect(storage.responses.has("http://example.com/b")).toBe(false);
+        expect(storage.responses.has("http://example.com/c")).toBe(true);
+      });
+  });
+
+  it("does not store responses larger than the maximum size", function () {
+    const cache = new OfflineCache({
+      storage: createStorage(),
+      maximumSize: 10,
+    });
+    return cache
+      .put("http://example.com/a", createBuffer(11))
+      .then(function () {
+        expect(cache.length).toEqual(0);
+      });
+  });
+
+  it("removes and clears responses", function () {
+    const storage = createStorage();
+    const cache = new OfflineCache({
+      storage: storage,
+    });
+    return Promise.all([
+      cache.put("http://example.com/a", createBuffer(4)),
+      cache.put("http://example.com/b", createBuffer(4)),
+    ])
+      .then(function () {
+        return cache.remove("http://example.com/a");
+      })
+      .then(function () {
+        expect(cache.size).toEqual(4);
+        expect(storage.responses.has("http://example.com/a")).toBe(false);
+        return cache.clear();
+      })
+      .then(function () {
+        expect(cache.size).toEqual(0);
+        expect(cache.length).toEqual(0);
+        expect(storage.responses.size).toEqual(0);
+      });
+  });
+
+  it("ignores errors of the storage", function () {
+    const storage = createStorage();
+    storage.put = function () {
+      return Promise.reject(new RuntimeError("quota exceeded"));
+    };
+    storage.get = function () {
+      return Promise.reject(new RuntimeError("unavailable"));
+    };
+    const cache = new OfflineCache({
+      storage: storage,
+    });
+    return cache
+      .put("http://example.com/a", createBuffer(4))
+      .then(function () {
+        return cache.get("http://example.com/a");
+      })
+      .then(function (result) {
+        expect(result).toBeUndefined();
+      });
+  });
+
+  it("does not record responses that could not be stored", function () {
+    const storage = createStorage();
+    const cache = new OfflineCache({
+      storage: storage,
+    });
+    return cache
+      .put("http://example.com/a", createBuffer(4))
+      .then(function () {
+        storage.put = function () {
+          return Promise.reject(new RuntimeError("quota exceeded"));
+        };
+        return cache.put("http://example.com/a", createBuffer(8));
+      })
+      .then(function () {
+        expect(cache.size).toEqual(0);
+        expect(cache.length).toEqual(0);
+        expect(storage.responses.has("http://example.com/a")).toBe(false);
+        return cache.put("http://example.com/b", createBuffer(4));
+      })
+      .then(function () {
+        expect(cache.size).toEqual(0);
+        expect(cache.length).toEqual(0);
+      });
+  });
+
+  describe("request", function () {
+    const url = "http://example.com/a";
+    let storage;
+    let cache;
+    let load;
+    let networkData;
+
+    beforeEach(function () {
+      storage = createStorage();
+      cache = new OfflineCache({
+        storage: storage,
+      });
+      networkData = createBuffer(4);
+      load = jasmine.createSpy("load").and.callFake(function () {
+        return Promise.resolve({
+          data: networkData,
+          contentType: "image/png",
+        });
+      });
+    });
+
+    function waitForStores() {
+      return Promise.all(Array.from(cache._pendingStores));
+    }
+
+    it("answers from the cache first", function () {
+      cache.defaultPolicy = OfflineCachePolicy.CACHE_FIRST;
+      return cache
+        .request(url, load)
+        .then(function (result) {
+          expect(result.data).toBe(networkData);
+          expect(load.calls.count()).toEqual(1);
+          return waitForStores();
+        })
+        .then(function () {
+          expect(storage.responses.get(url).byteLength).toEqual(4);
+          return cache.request(url, load);
+        })
+        .then(function (result) {
+          expect(result.data.byteLength).toEqual(4);
+          expect(result.contentType).toEqual("image/png");
+          expect(load.calls.count()).toEqual(1);
+        });
+    });
+
+    it("answers from the network first", function () {
+      const cachedData = createBuffer(2);
+      return cache
+        .put(url, cachedData)
+        .then(function () {
+          return cache.request(url, load);
+        })
+        .then(function (result) {
+          expect(result.data).toBe(networkData);
+          return waitForStores();
+        })
+        .then(function () {
+          expect(storage.responses.get(url).byteLength).toEqual(4);
+
+          load.and.returnValue(Promise.reject(new RuntimeError("offline")));
+          return cache.request(url, load);
+        })
+        .then(function (result) {
+          expect(result.data.byteLength).toEqual(4);
+          expect(result.contentType).toEqual("image/png");
+        });
+    });
+
+    it("returns the response before it is stored", function () {
+      let resolvePut;
+      const put = storage.put;
+      spyOn(storage, "put").and.callFake(function (entry, data) {
+        return new Promise(function (resolve) {
+          resolvePut = resolve;
+        }).then(function () {
+          return put(entry, data);
+        });
+      });
+      return cache
+        .request(url, load)
+        .then(function (result) {
+          expect(result.data).toBe(networkData);
+          expect(cache.length).toEqual(0);
+          resolvePut();
+          return waitForStores();
+        })
+        .then(function () {
+          expect(cache.length).toEqual(1);
+        });
+    });
+
+    it("stores a copy of the response", function () {
+      return cache
+        .request(url, load)
+        .then(function (result) {
+          // Changing the returned response does not change the stored response
+          new Uint8Array(result.data)[0] = 1;
+          return waitForStores();
+        })
+        .then(function () {
+          const stored = storage.responses.get(url);
+          expect(stored).not.toBe(networkData);
+          expect(new Uint8Array(stored)[0]).toEqual(0);
+        });
+    });
+
+    it("rejects with the network error when the network fails and the response is not cached", function () {
+      const error = new RuntimeError("offline");
+      load.and.returnValue(Promise.reject(error));
+      return cache.request(url, load).then(fail, function (e) {
+        expect(e).toBe(error);
+      });
+    });
+
+    it("answers only from the cache", function () {
+      cache.defaultPolicy = OfflineCachePolicy.CACHE_ONLY;
+      const cachedData = createBuffer(2);
+      return cache
+        .request(url, load)
+        .then(fail, function (e) {
+          expect(e).toBeInstanceOf(RuntimeError);
+          return cache.put(url, cachedData, "image/jpeg");
+        })
+        .then(function () {
+          return cache.request(url, load);
+        })
+        .then(function (result) {
+          expect(result.data).toBe(cachedData);
+          expect(result.contentType).toEqual("image/jpeg");
+          expect(load).not.toHaveBeenCalled();
+        });
+    });
+
+    it("answers only from the network", function () {
+      cache.defaultPolicy = OfflineCachePolicy.NETWORK_ONLY;
+      return cache.request(url, load).then(function (result) {
+        expect(result.data).toBe(networkData);
+        expect(cache.length).toEqual(0);
+      });
+    });
+  });
+
+  describe("seed", function () {
+    function createProvider(requestFunctionName) {
+      const provider = {
+        readyPromise: Promise.resolve(true),
+        tilingScheme: new GeographicTilingScheme(),
+        getTileDataAvailable: function () {
+          return undefined;
+        },
+      };
+      provider[requestFunctionName] = jasmine
+        .createSpy(requestFunctionName)
+        .and.returnValue(Promise.resolve());
+      return provider;
+    }
+
+    function getTiles(spy) {
+      return spy.calls.allArgs().map(function (args) {
+        return args.join("/");
+      });
+    }
+
+    it("throws without a rectangle", function () {
+      const cache = new OfflineCache({
+        storage: createStorage(),
+      });
+      expect(function () {
+        return cache.seed({
+          imageryProvider: createProvider("requestImage"),
+          maximumLevel: 1,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without a provider", function () {
+      const cache = new OfflineCache({
+        storage: createStorage(),
+      });
+      expect(function () {
+        return cache.seed({
+          rectangle: Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0),
+          maximumLevel: 1,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("requests the imagery tiles that cover a rectangle", function () {
+      const cache = new OfflineCache({
+        storage: createStorage(),
+      });
+      const imageryProvider = createProvider("requestImage");
+      const progressCallback = jasmine.createSpy("progressCallback");
+      return cache
+        .seed({
+          imageryProvider: imageryProvider,
+          rectangle: Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0),
+          maximumLevel: 1,
+          progressCallback: progressCallback,
+        })
+        .then(function (result) {
+          expect(result.tileCount).toEqual(6);
+          expect(result.failedTileCount).toEqual(0);
+          expect(getTiles(imageryProvider.requestImage).sort()).toEqual([
+            "0/0/0",
+            "1/0/0",
+            "1/0/1",
+            "1/1/1",
+            "2/0/1",
+            "2/1/1",
+          ]);
+          expect(progressCallback.calls.count()).toEqual(6);
+          expect(progressCallback.calls.mostRecent().args).toEqual([6, 6]);
+        });
+    });
+
+    it("requests the tiles of rectangles that cross the antimeridian", function () {
+      const cache = new OfflineCache({
+        storage: createStorage(),
+      });
+      const imageryProvider = createProvider("requestImage");
+      return cache
+        .seed({
+          imageryProvider: imageryProvider,
+          rectangle: Rectangle.fromDegrees(170.0, 10.0, -170.0, 20.0),
+          minimumLevel: 1,
+          maximumLevel: 1,
+        })
+        .then(function () {
+          expect(getTiles(imageryProvider.requestImage).sort()).toEqual([
+            "0/0/1",
+            "3/0/1",
+          ]);
+        });
+    });
+
+    it("requests the available terrain tiles and counts failures", function () {
+      const cache = new OfflineCache({
+        storage: createStorage(),
+      });
+      const terrainProvider = createProvider("requestTileGeometry");
+      terrainProvider.getTileDataAvailable = function (x, y, level) {
+        return level === 0;
+      };
+      terrainProvider.requestTileGeometry.and.callFake(function (x) {
+        return x === 0
+          ? Promise.resolve()
+          : Promise.reject(new RuntimeError("failed"));
+      });
+      return cache
+        .seed({
+          terrainProvider: terrainProvider,
+          rectangle: Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0),
+          maximumLevel: 1,
+        })
+        .then(function (result) {
+          expect(result.tileCount).toEqual(6);
+          expect(result.failedTileCount).toEqual(1);
+          expect(getTiles(terrainProvider.requestTileGeometry).sort()).toEqual([
+            "0/0/0",
+            "1/0/0",
+          ]);
+        });
+    });
+  });
+});
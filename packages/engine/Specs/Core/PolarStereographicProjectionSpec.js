@@ -0,0 +1,139 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  MapProjection,
+  Math as CesiumMath,
+  PolarStereographicProjection,
+  Rectangle,
+} from "../../index.js";
+
+describe("Core/PolarStereographicProjection", function () {
+  // The examples of the EPSG Guidance Note 7-2
+  function createAustralianAntarctic() {
+    return new PolarStereographicProjection({
+      southernHemisphere: true,
+      centralMeridian: CesiumMath.toRadians(70.0),
+      latitudeOfTrueScale: CesiumMath.toRadians(-71.0),
+      falseEasting: 6000000.0,
+      falseNorthing: 6000000.0,
+    });
+  }
+
+  it("conforms to MapProjection interface", function () {
+    expect(PolarStereographicProjection).toConformToInterface(MapProjection);
+  });
+
+  it("constructs with defaults", function () {
+    const projection = new PolarStereographicProjection();
+    expect(projection.ellipsoid).toEqual(Ellipsoid.WGS84);
+    expect(projection.isNormalCylindrical).toBe(false);
+    expect(projection.southernHemisphere).toBe(false);
+    expect(projection.centralMeridian).toEqual(0.0);
+    expect(projection.latitudeOfTrueScale).toBeUndefined();
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.rectangle).toEqual(
+      new Rectangle(-CesiumMath.PI, 0.0, CesiumMath.PI, CesiumMath.PI_OVER_TWO)
+    );
+  });
+
+  it("projects the pole to the false easting and northing", function () {
+    const projection = createAustralianAntarctic();
+    const result = projection.project(
+      new Cartographic(0.0, -CesiumMath.PI_OVER_TWO)
+    );
+    expect(result).toEqualEpsilon(
+      new Cartesian3(6000000.0, 6000000.0, 0.0),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("projects at the north pole", function () {
+    const projection = PolarStereographicProjection.fromUps();
+    expect(projection.scaleFactor).toEqual(0.994);
+    const result = projection.project(
+      Cartographic.fromDegrees(44.0, 73.0, 10.0)
+    );
+    expect(result).toEqualEpsilon(
+      new Cartesian3(3320416.75, 632668.43, 10.0),
+      1e-2
+    );
+  });
+
+  it("projects at the south pole with a latitude of true scale", function () {
+    const projection = createAustralianAntarctic();
+    expect(projection.scaleFactor).toEqualEpsilon(
+      0.972769012,
+      CesiumMath.EPSILON9
+    );
+    const result = new Cartesian3();
+    const returnedResult = projection.project(
+      Cartographic.fromDegrees(120.0, -75.0),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      new Cartesian3(7255380.79, 7053389.56, 0.0),
+      1e-2
+    );
+  });
+
+  it("unprojects", function () {
+    const projection = createAustralianAntarctic();
+    const result = new Cartographic();
+    const returnedResult = projection.unproject(
+      new Cartesian3(7255380.79, 7053389.56, 10.0),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      Cartographic.fromDegrees(120.0, -75.0, 10.0),
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("unprojects what it projects at the north pole", function () {
+    const projection = PolarStereographicProjection.fromUps();
+    const cartographic = Cartographic.fromDegrees(-135.0, 85.0, 100.0);
+    const result = projection.unproject(projection.project(cartographic));
+    expect(result).toEqualEpsilon(cartographic, CesiumMath.EPSILON12);
+  });
+
+  it("creates the projections of the UPS zones", function () {
+    const south = PolarStereographicProjection.fromUps(true);
+    expect(south.southernHemisphere).toBe(true);
+    expect(south.falseEasting).toEqual(2000000.0);
+    expect(south.falseNorthing).toEqual(2000000.0);
+    expect(south.rectangle.north).toEqualEpsilon(
+      CesiumMath.toRadians(-60.0),
+      CesiumMath.EPSILON14
+    );
+  });
+
+  it("has a proj4 definition that recreates it", function () {
+    const projection = createAustralianAntarctic();
+    const recreated = MapProjection.fromProj4Definition(
+      projection.proj4Definition
+    );
+    expect(recreated).toBeInstanceOf(PolarStereographicProjection);
+    const cartographic = Cartographic.fromDegrees(10.0, -80.0);
+    expect(recreated.project(cartographic)).toEqualEpsilon(
+      projection.project(cartographic),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("project throws without cartographic", function () {
+    const projection = new PolarStereographicProjection();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("unproject throws without cartesian", function () {
+    const projection = new PolarStereographicProjection();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+});
@@ -9,6 +9,8 @@ import {
   RequestErrorEvent,
   RequestScheduler,
   Resource,
+  OfflineCache,
+  OfflineCachePolicy,
 } from "../../index.js";
 import createCanvas from "../../../../Specs/createCanvas.js";
 import dataUriToBuffer from "../../../../Specs/dataUriToBuffer.js";
@@ -2703,4 +2705,218 @@ describe("Core/Resource", function () {
       });
     });
   });
+
+  describe("cache", function () {
+    let storage;
+
+    function createStorage() {
+      const responses = new Map();
+      return {
+        responses: responses,
+        getEntries: function () {
+          return Promise.resolve([]);
+        },
+        get: function (url) {
+          return Promise.resolve(responses.get(url));
+        },
+        put: function (entry, data) {
+          responses.set(entry.url, data);
+          return Promise.resolve();
+        },
+        updateEntry: function () {
+          return Promise.resolve();
+        },
+        remove: function (url) {
+          responses.delete(url);
+          return Promise.resolve();
+        },
+        clear: function () {
+          responses.clear();
+          return Promise.resolve();
+        },
+      };
+    }
+
+    function encode(text) {
+      return new TextEncoder().encode(text).buffer;
+    }
+
+    beforeEach(function () {
+      storage = createStorage();
+      Resource.cache = new OfflineCache({
+        storage: storage,
+        defaultPolicy: OfflineCachePolicy.CACHE_FIRST,
+      });
+      const loadWithXhr = Resource._Implementations.loadWithXhr;
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred
+      ) {
+        if (url.indexOf("data:") === 0) {
+          loadWithXhr.apply(Resource._Implementations, arguments);
+          return;
+        }
+
+        const text = '{"a":1}';
+        if (responseType === "arraybuffer") {
+          deferred.resolve(encode(text));
+        } else if (responseType === "json") {
+          deferred.resolve(JSON.parse(text));
+        } else {
+          deferred.resolve(text);
+        }
+        return {
+          getResponseHeader: function (name) {
+            return name === "Content-Type" ? "application/json" : null;
+          },
+        };
+      });
+    });
+
+    function waitForStores() {
+      return Promise.all(Array.from(Resource.cache._pendingStores));
+    }
+
+    afterEach(function () {
+      Resource.cache = undefined;
+    });
+
+    it("stores responses and decodes them to the requested type", function () {
+      const resource = new Resource({
+        url: "http://example.com/data.json",
+      });
+      return resource
+        .fetchJson()
+        .then(function (result) {
+          expect(result).toEqual({ a: 1 });
+          expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(
+            1
+          );
+          expect(
+            Resource._Implementations.loadWithXhr.calls.argsFor(0)[1]
+          ).toEqual("arraybuffer");
+          return waitForStores();
+        })
+        .then(function () {
+          expect(storage.responses.has(resource.url)).toBe(true);
+          return resource.fetchText();
+        })
+        .then(function (result) {
+          expect(result).toEqual('{"a":1}');
+          return resource.fetchArrayBuffer();
+        })
+        .then(function (result) {
+          expect(new Uint8Array(result)).toEqual(
+            new Uint8Array(encode('{"a":1}'))
+          );
+          expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(
+            1
+          );
+        });
+    });
+
+    it("keeps the content type of blobs", function () {
+      const resource = new Resource({
+        url: "http://example.com/data.json",
+      });
+      return resource
+        .fetchBlob()
+        .then(function (result) {
+          expect(result.type).toEqual("application/json");
+          return waitForStores();
+        })
+        .then(function () {
+          return resource.fetchBlob();
+        })
+        .then(function (result) {
+          expect(result.type).toEqual("application/json");
+          expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(
+            1
+          );
+        });
+    });
+
+    it("does not cache URLs that use NETWORK_ONLY", function () {
+      Resource.cache.policies.push({
+        pattern: "token",
+        policy: OfflineCachePolicy.NETWORK_ONLY,
+      });
+      return Resource.fetchJson({
+        url: "http://example.com/token",
+      }).then(function () {
+        expect(
+          Resource._Implementations.loadWithXhr.calls.argsFor(0)[1]
+        ).toEqual("text");
+        expect(storage.responses.size).toEqual(0);
+      });
+    });
+
+    it("does not cache requests with data", function () {
+      return Resource.post({
+        url: "http://example.com/data.json",
+        data: "data",
+      }).then(function () {
+        expect(storage.responses.size).toEqual(0);
+      });
+    });
+
+    it("does not cache requests for ranges", function () {
+      Resource._Implementations.loadWithXhr.and.callFake(function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred
+      ) {
+        deferred.resolve(headers.Range);
+      });
+      const resource = new Resource({
+        url: "http://example.com/image.tif",
+      });
+      const first = resource.getDerivedResource({
+        headers: {
+          Range: "bytes=0-7",
+        },
+      });
+      const second = resource.getDerivedResource({
+        headers: {
+          Range: "bytes=8-15",
+        },
+      });
+      expect(first.url).toEqual(second.url);
+
+      return Promise.all([first.fetchText(), second.fetchText()]).then(
+        function (results) {
+          expect(results).toEqual(["bytes=0-7", "bytes=8-15"]);
+          expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(
+            2
+          );
+          expect(storage.responses.size).toEqual(0);
+        }
+      );
+    });
+
+    it("does not cache data URIs", function () {
+      return Resource.fetchText({
+        url: "data:text/plain,hello",
+      }).then(function (result) {
+        expect(result).toEqual("hello");
+        expect(storage.responses.size).toEqual(0);
+      });
+    });
+
+    it("loads images as blobs", function () {
+      spyOn(Resource.prototype, "fetchBlob").and.returnValue(Promise.resolve());
+      return Resource.fetchImage({
+        url: "http://example.com/image.png",
+      }).then(function () {
+        expect(Resource.prototype.fetchBlob).toHaveBeenCalled();
+      });
+    });
+  });
 });
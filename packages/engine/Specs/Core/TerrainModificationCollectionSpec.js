@@ -0,0 +1,417 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  GeographicTilingScheme,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  Rectangle,
+  TerrainModification,
+  TerrainModificationCollection,
+  TerrainModificationType,
+  TerrainQuantization,
+} from "../../index.js";
+
+describe("Core/TerrainModificationCollection", function () {
+  const tilingScheme = new GeographicTilingScheme();
+  const x = 32768;
+  const y = 16383;
+  const level = 15;
+  const rectangle = tilingScheme.tileXYToRectangle(x, y, level);
+  const center = Rectangle.center(rectangle);
+
+  let mesh;
+
+  beforeEach(function () {
+    const buffer = new Float32Array(25);
+    buffer.fill(100.0);
+    const terrainData = new HeightmapTerrainData({
+      buffer: buffer,
+      width: 5,
+      height: 5,
+    });
+    mesh = terrainData._createMeshSync({
+      tilingScheme: tilingScheme,
+      x: x,
+      y: y,
+      level: level,
+    });
+  });
+
+  // A modification covering the part of the tile within a fraction of its size from the center
+  function createModification(type, height, fraction) {
+    const halfWidth = rectangle.width * fraction;
+    const halfHeight = rectangle.height * fraction;
+    return new TerrainModification({
+      positions: Cartesian3.fromRadiansArray([
+        center.longitude - halfWidth,
+        center.latitude - halfHeight,
+        center.longitude + halfWidth,
+        center.latitude - halfHeight,
+        center.longitude + halfWidth,
+        center.latitude + halfHeight,
+        center.longitude - halfWidth,
+        center.latitude + halfHeight,
+      ]),
+      type: type,
+      height: height,
+    });
+  }
+
+  function getHeights(mesh, onlyCenter) {
+    const encoding = mesh.encoding;
+    const heights = [];
+    const vertexCount = mesh.vertices.length / mesh.stride;
+    for (let i = 0; i < vertexCount; ++i) {
+      const uv = encoding.decodeTextureCoordinates(
+        mesh.vertices,
+        i,
+        new Cartesian2()
+      );
+      const isCenter =
+        CesiumMath.equalsEpsilon(uv.x, 0.5, CesiumMath.EPSILON3) &&
+        CesiumMath.equalsEpsilon(uv.y, 0.5, CesiumMath.EPSILON3);
+      if (!onlyCenter || isCenter) {
+        heights.push(encoding.decodeHeight(mesh.vertices, i));
+      }
+    }
+    return heights;
+  }
+
+  it("adds and removes modifications and raises events", function () {
+    const collection = new TerrainModificationCollection();
+    const added = jasmine.createSpy("added");
+    const removed = jasmine.createSpy("removed");
+    collection.modificationAdded.addEventListener(added);
+    collection.modificationRemoved.addEventListener(removed);
+
+    const first = createModification(TerrainModificationType.FLATTEN, 0.0, 0.1);
+    const second = createModification(TerrainModificationType.OFFSET, 0.0, 0.1);
+    expect(collection.add(first)).toBe(first);
+    collection.add(second);
+    expect(added).toHaveBeenCalledWith(second, 1);
+    expect(collection.length).toEqual(2);
+    expect(collection.get(1)).toBe(second);
+    expect(collection.contains(first)).toBe(true);
+
+    const version = collection.version;
+    expect(collection.remove(first)).toBe(true);
+    expect(removed).toHaveBeenCalledWith(first, 0);
+    expect(collection.remove(first)).toBe(false);
+    expect(collection.version).toBeGreaterThan(version);
+
+    collection.removeAll();
+    expect(removed).toHaveBeenCalledWith(second, 0);
+    expect(collection.length).toEqual(0);
+  });
+
+  it("constructs with modifications", function () {
+    const modification = createModification(
+      TerrainModificationType.FLATTEN,
+      0.0,
+      0.1
+    );
+    const collection = new TerrainModificationCollection({
+      modifications: [modification],
+    });
+    expect(collection.length).toEqual(1);
+    expect(collection.get(0)).toBe(modification);
+  });
+
+  it("computes modified heights in the order of the modifications", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [
+        createModification(TerrainModificationType.FLATTEN, 50.0, 0.2),
+        createModification(TerrainModificationType.OFFSET, 5.0, 0.1),
+      ],
+    });
+    expect(
+      collection.computeModifiedHeight(center.longitude, center.latitude, 100.0)
+    ).toEqual(55.0);
+    expect(
+      collection.computeModifiedHeight(
+        center.longitude + rectangle.width * 0.15,
+        center.latitude,
+        100.0
+      )
+    ).toEqual(50.0);
+    expect(
+      collection.computeModifiedHeight(rectangle.west, rectangle.south, 100.0)
+    ).toEqual(100.0);
+  });
+
+  it("determines whether rectangles may be modified", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [
+        createModification(TerrainModificationType.FLATTEN, 0.0, 0.1),
+      ],
+    });
+    expect(collection.intersectsRectangle(rectangle)).toBe(true);
+    expect(
+      collection.intersectsRectangle(
+        tilingScheme.tileXYToRectangle(x + 2, y, level)
+      )
+    ).toBe(false);
+  });
+
+  it("returns the mesh if none of its vertices are modified", function () {
+    const collection = new TerrainModificationCollection();
+    expect(collection.modifyMesh(mesh, rectangle, tilingScheme.ellipsoid)).toBe(
+      mesh
+    );
+
+    // The terrain is already at the height of the modification
+    collection.add(
+      createModification(TerrainModificationType.FLATTEN, 100.0, 0.1)
+    );
+    expect(collection.modifyMesh(mesh, rectangle, tilingScheme.ellipsoid)).toBe(
+      mesh
+    );
+  });
+
+  it("flattens the vertices of a mesh", function () {
+    expect(mesh.encoding.quantization).toEqual(TerrainQuantization.BITS12);
+    const originalVertices = mesh.vertices.slice();
+
+    const collection = new TerrainModificationCollection({
+      modifications: [
+        createModification(TerrainModificationType.FLATTEN, 250.0, 0.1),
+      ],
+    });
+    const result = collection.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+
+    expect(result).not.toBe(mesh);
+    expect(mesh.vertices).toEqual(originalVertices);
+    expect(result.encoding.quantization).toEqual(TerrainQuantization.NONE);
+    expect(result.indices).toBe(mesh.indices);
+    expect(result.vertexCountWithoutSkirts).toEqual(
+      mesh.vertexCountWithoutSkirts
+    );
+
+    expect(getHeights(result, true)[0]).toEqualEpsilon(
+      250.0,
+      CesiumMath.EPSILON3
+    );
+    expect(result.maximumHeight).toEqualEpsilon(250.0, CesiumMath.EPSILON3);
+    expect(result.minimumHeight).toEqualEpsilon(100.0, CesiumMath.EPSILON3);
+
+    // The positions of the vertices are moved to their new heights.  The original positions were quantized.
+    const vertexCount = result.vertices.length / result.stride;
+    for (let i = 0; i < vertexCount; ++i) {
+      const height = result.encoding.decodeHeight(result.vertices, i);
+      const position = result.encoding.decodePosition(result.vertices, i);
+      const cartographic = tilingScheme.ellipsoid.cartesianToCartographic(
+        position
+      );
+      expect(cartographic.height).toEqualEpsilon(height, 0.5);
+    }
+  });
+
+  it("moves the skirts with the modified vertices", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [
+        createModification(TerrainModificationType.OFFSET, 50.0, 1.0),
+      ],
+    });
+    const result = collection.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+
+    const originalHeights = getHeights(mesh, false);
+    const heights = getHeights(result, false);
+    expect(heights.length).toBeGreaterThan(mesh.vertexCountWithoutSkirts);
+    for (let i = 0; i < heights.length; ++i) {
+      expect(heights[i]).toEqualEpsilon(
+        originalHeights[i] + 50.0,
+        CesiumMath.EPSILON3
+      );
+    }
+    expect(result.minimumHeight).toEqualEpsilon(150.0, CesiumMath.EPSILON3);
+    expect(result.maximumHeight).toEqualEpsilon(150.0, CesiumMath.EPSILON3);
+  });
+
+  it("excavates the vertices of a mesh", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [
+        createModification(TerrainModificationType.EXCAVATE, 120.0, 0.1),
+      ],
+    });
+    expect(collection.modifyMesh(mesh, rectangle, tilingScheme.ellipsoid)).toBe(
+      mesh
+    );
+
+    collection.removeAll();
+    collection.add(
+      createModification(TerrainModificationType.EXCAVATE, 80.0, 0.1)
+    );
+    const result = collection.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+    expect(getHeights(result, true)[0]).toEqualEpsilon(
+      80.0,
+      CesiumMath.EPSILON3
+    );
+    expect(result.minimumHeight).toEqualEpsilon(80.0, CesiumMath.EPSILON3);
+    expect(result.boundingSphere3D.radius).toBeGreaterThan(0.0);
+  });
+
+  // An excavation covering a part of the tile given in texture coordinates
+  function createExcavation(height, west, south, east, north) {
+    return new TerrainModification({
+      positions: Cartesian3.fromRadiansArray([
+        rectangle.west + west * rectangle.width,
+        rectangle.south + south * rectangle.height,
+        rectangle.west + east * rectangle.width,
+        rectangle.south + south * rectangle.height,
+        rectangle.west + east * rectangle.width,
+        rectangle.south + north * rectangle.height,
+        rectangle.west + west * rectangle.width,
+        rectangle.south + north * rectangle.height,
+      ]),
+      type: TerrainModificationType.EXCAVATE,
+      height: height,
+    });
+  }
+
+  function getVertex(mesh, index) {
+    const uv = mesh.encoding.decodeTextureCoordinates(
+      mesh.vertices,
+      index,
+      new Cartesian2()
+    );
+    return {
+      u: uv.x,
+      v: uv.y,
+      height: mesh.encoding.decodeHeight(mesh.vertices, index),
+    };
+  }
+
+  it("adds vertical walls along the edges of excavations", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [createExcavation(80.0, 0.2, 0.2, 0.8, 0.8)],
+    });
+    const result = collection.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+
+    expect(result.vertexCountWithoutSkirts).toBeGreaterThan(
+      mesh.vertexCountWithoutSkirts
+    );
+    expect(result.indexCountWithoutSkirts).toBeGreaterThan(
+      mesh.indexCountWithoutSkirts
+    );
+
+    function isOnEdge(vertex) {
+      const onVertical =
+        (CesiumMath.equalsEpsilon(vertex.u, 0.2, CesiumMath.EPSILON5) ||
+          CesiumMath.equalsEpsilon(vertex.u, 0.8, CesiumMath.EPSILON5)) &&
+        vertex.v > 0.2 - CesiumMath.EPSILON5 &&
+        vertex.v < 0.8 + CesiumMath.EPSILON5;
+      const onHorizontal =
+        (CesiumMath.equalsEpsilon(vertex.v, 0.2, CesiumMath.EPSILON5) ||
+          CesiumMath.equalsEpsilon(vertex.v, 0.8, CesiumMath.EPSILON5)) &&
+        vertex.u > 0.2 - CesiumMath.EPSILON5 &&
+        vertex.u < 0.8 + CesiumMath.EPSILON5;
+      return onVertical || onHorizontal;
+    }
+
+    function isInside(vertex) {
+      return (
+        vertex.u > 0.2 && vertex.u < 0.8 && vertex.v > 0.2 && vertex.v < 0.8
+      );
+    }
+
+    let edgeVertexCount = 0;
+    for (let i = 0; i < result.vertexCountWithoutSkirts; ++i) {
+      const vertex = getVertex(result, i);
+      if (isOnEdge(vertex)) {
+        ++edgeVertexCount;
+      } else {
+        expect(vertex.height).toEqualEpsilon(
+          isInside(vertex) ? 80.0 : 100.0,
+          CesiumMath.EPSILON3
+        );
+      }
+    }
+    expect(edgeVertexCount).toBeGreaterThan(0);
+
+    // Triangles with vertices at both heights only have vertices on the edge of the polygon
+    for (let i = 0; i < result.indexCountWithoutSkirts; i += 3) {
+      const triangle = [
+        getVertex(result, result.indices[i]),
+        getVertex(result, result.indices[i + 1]),
+        getVertex(result, result.indices[i + 2]),
+      ];
+      const heights = triangle.map(function (vertex) {
+        return Math.round(vertex.height);
+      });
+      if (heights.indexOf(80) !== -1 && heights.indexOf(100) !== -1) {
+        expect(triangle.every(isOnEdge)).toBe(true);
+      }
+    }
+  });
+
+  it("adds skirts below the vertices of excavations on the edges of the tile", function () {
+    const collection = new TerrainModificationCollection({
+      modifications: [createExcavation(80.0, -0.5, 0.3, 0.5, 0.7)],
+    });
+    const result = collection.modifyMesh(
+      mesh,
+      rectangle,
+      tilingScheme.ellipsoid
+    );
+
+    // The vertices on the west edge where the polygon crosses it are at both heights
+    const west = result.westIndicesSouthToNorth.map(function (index) {
+      return getVertex(result, index);
+    });
+    const crossing = west.filter(function (vertex) {
+      return CesiumMath.equalsEpsilon(vertex.v, 0.3, CesiumMath.EPSILON5);
+    });
+    expect(crossing.length).toEqual(2);
+    expect(
+      crossing
+        .map(function (vertex) {
+          return Math.round(vertex.height);
+        })
+        .sort()
+    ).toEqual([100, 80]);
+
+    const edgeLists = [
+      result.westIndicesSouthToNorth,
+      result.southIndicesEastToWest,
+      result.eastIndicesNorthToSouth,
+      result.northIndicesWestToEast,
+    ];
+    const vertexCount = result.vertices.length / result.stride;
+    let skirtIndex = result.vertexCountWithoutSkirts;
+    let skirtHeight;
+    for (let i = 0; i < edgeLists.length; ++i) {
+      const list = edgeLists[i];
+      for (let j = 0; j < list.length; ++j) {
+        const edgeVertex = getVertex(result, list[j]);
+        const skirt = getVertex(result, skirtIndex++);
+        expect(skirt.u).toEqual(edgeVertex.u);
+        expect(skirt.v).toEqual(edgeVertex.v);
+        if (!skirtHeight) {
+          skirtHeight = edgeVertex.height - skirt.height;
+          expect(skirtHeight).toBeGreaterThan(0.0);
+        }
+        expect(edgeVertex.height - skirt.height).toEqualEpsilon(
+          skirtHeight,
+          CesiumMath.EPSILON3
+        );
+      }
+    }
+    expect(skirtIndex).toEqual(vertexCount);
+  });
+});
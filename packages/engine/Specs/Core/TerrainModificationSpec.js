@@ -0,0 +1,170 @@
+import {
+  Cartesian3,
+  Ellipsoid,
+  Math as CesiumMath,
+  Rectangle,
+  TerrainModification,
+  TerrainModificationType,
+} from "../../index.js";
+
+describe("Core/TerrainModification", function () {
+  const positions = Cartesian3.fromDegreesArray([
+    10.0,
+    20.0,
+    11.0,
+    20.0,
+    11.0,
+    21.0,
+    10.0,
+    21.0,
+  ]);
+
+  function contains(modification, longitude, latitude) {
+    return modification.contains(
+      CesiumMath.toRadians(longitude),
+      CesiumMath.toRadians(latitude)
+    );
+  }
+
+  it("throws without at least three positions", function () {
+    expect(function () {
+      return new TerrainModification();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new TerrainModification({
+        positions: positions.slice(0, 2),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with an invalid type", function () {
+    expect(function () {
+      return new TerrainModification({
+        positions: positions,
+        type: 10,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs with defaults", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+    });
+    expect(modification.positions).toEqual(positions);
+    expect(modification.positions).not.toBe(positions);
+    expect(modification.type).toEqual(TerrainModificationType.FLATTEN);
+    expect(modification.height).toEqual(0.0);
+    expect(modification.ellipsoid).toBe(Ellipsoid.WGS84);
+  });
+
+  it("determines whether positions are inside of the polygon", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+    });
+    expect(contains(modification, 10.5, 20.5)).toBe(true);
+    expect(contains(modification, 9.5, 20.5)).toBe(false);
+    expect(contains(modification, 10.5, 21.5)).toBe(false);
+
+    const concave = new TerrainModification({
+      positions: Cartesian3.fromDegreesArray([
+        0.0,
+        0.0,
+        2.0,
+        0.0,
+        2.0,
+        2.0,
+        1.0,
+        1.0,
+        0.0,
+        2.0,
+      ]),
+    });
+    expect(contains(concave, 0.5, 1.0)).toBe(true);
+    expect(contains(concave, 1.0, 1.5)).toBe(false);
+  });
+
+  it("handles polygons crossing the anti-meridian", function () {
+    const modification = new TerrainModification({
+      positions: Cartesian3.fromDegreesArray([
+        179.0,
+        0.0,
+        -179.0,
+        0.0,
+        -179.0,
+        1.0,
+        179.0,
+        1.0,
+      ]),
+    });
+    expect(contains(modification, 179.5, 0.5)).toBe(true);
+    expect(contains(modification, -179.5, 0.5)).toBe(true);
+    expect(contains(modification, 0.0, 0.5)).toBe(false);
+
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(-180.0, 0.0, -179.5, 0.5)
+      )
+    ).toBe(true);
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(178.0, 0.0, 180.0, 1.0)
+      )
+    ).toBe(true);
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(-90.0, 0.0, 0.0, 1.0)
+      )
+    ).toBe(false);
+  });
+
+  it("determines whether rectangles may overlap the polygon", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+    });
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(9.0, 19.0, 10.5, 20.5)
+      )
+    ).toBe(true);
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(0.0, 0.0, 90.0, 45.0)
+      )
+    ).toBe(true);
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(12.0, 20.0, 13.0, 21.0)
+      )
+    ).toBe(false);
+    expect(
+      modification.intersectsRectangle(
+        Rectangle.fromDegrees(10.0, 22.0, 11.0, 23.0)
+      )
+    ).toBe(false);
+  });
+
+  it("modifies heights", function () {
+    const flatten = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.FLATTEN,
+      height: 100.0,
+    });
+    expect(flatten.modifyHeight(50.0)).toEqual(100.0);
+    expect(flatten.modifyHeight(150.0)).toEqual(100.0);
+
+    const offset = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.OFFSET,
+      height: -10.0,
+    });
+    expect(offset.modifyHeight(50.0)).toEqual(40.0);
+
+    const excavate = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.EXCAVATE,
+      height: 100.0,
+    });
+    expect(excavate.modifyHeight(50.0)).toEqual(50.0);
+    expect(excavate.modifyHeight(150.0)).toEqual(100.0);
+  });
+});
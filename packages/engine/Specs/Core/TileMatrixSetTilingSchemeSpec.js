@@ -0,0 +1,312 @@
+import {
+  Cartesian2,
+  Cartographic,
+  Ellipsoid,
+  GeographicProjection,
+  Math as CesiumMath,
+  PolarStereographicProjection,
+  Rectangle,
+  RuntimeError,
+  TileMatrixSetTilingScheme,
+  TilingScheme,
+  TransverseMercatorProjection,
+  WebMercatorProjection,
+} from "../../index.js";
+
+describe("Core/TileMatrixSetTilingScheme", function () {
+  // Two levels of tiles of UTM zone 32N, with the second level three times more detailed
+  function createUtmTilingScheme(rectangle) {
+    return new TileMatrixSetTilingScheme({
+      projection: TransverseMercatorProjection.fromUtmZone(32),
+      tileMatrices: [
+        {
+          identifier: "coarse",
+          topLeftCorner: new Cartesian2(0.0, 6000000.0),
+          cellSize: 1000.0,
+          matrixWidth: 4,
+          matrixHeight: 2,
+        },
+        {
+          identifier: "fine",
+          topLeftCorner: new Cartesian2(0.0, 6000000.0),
+          cellSize: 1000.0 / 3.0,
+          tileWidth: 512,
+          tileHeight: 512,
+          matrixWidth: 6,
+          matrixHeight: 3,
+        },
+      ],
+      rectangle: rectangle,
+    });
+  }
+
+  it("conforms to TilingScheme interface", function () {
+    expect(TileMatrixSetTilingScheme).toConformToInterface(TilingScheme);
+  });
+
+  it("constructs", function () {
+    const tilingScheme = createUtmTilingScheme();
+    expect(tilingScheme.projection).toBeInstanceOf(
+      TransverseMercatorProjection
+    );
+    expect(tilingScheme.ellipsoid).toBe(Ellipsoid.WGS84);
+    expect(tilingScheme.numberOfLevels).toEqual(2);
+    expect(tilingScheme.tileMatrixLabels).toEqual(["coarse", "fine"]);
+    expect(tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(4);
+    expect(tilingScheme.getNumberOfYTilesAtLevel(0)).toEqual(2);
+    expect(tilingScheme.getNumberOfXTilesAtLevel(1)).toEqual(6);
+    expect(tilingScheme.getNumberOfYTilesAtLevel(1)).toEqual(3);
+    expect(tilingScheme.getNumberOfXTilesAtLevel(2)).toEqual(0);
+    expect(tilingScheme.getCellSize(1)).toEqual(1000.0 / 3.0);
+    expect(tilingScheme.getCellSize(2)).toBeUndefined();
+  });
+
+  it("constructs from a proj4 definition", function () {
+    const tilingScheme = new TileMatrixSetTilingScheme({
+      proj4Definition: "+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs",
+      tileMatrices: [
+        {
+          topLeftCorner: new Cartesian2(0.0, 6000000.0),
+          cellSize: 1000.0,
+          matrixWidth: 4,
+          matrixHeight: 2,
+        },
+      ],
+    });
+    expect(tilingScheme.projection).toBeInstanceOf(
+      TransverseMercatorProjection
+    );
+    expect(tilingScheme.projection.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(9.0),
+      CesiumMath.EPSILON14
+    );
+    expect(tilingScheme.tileMatrixLabels).toBeUndefined();
+  });
+
+  it("defaults to geographic tile matrices", function () {
+    const tilingScheme = new TileMatrixSetTilingScheme({
+      tileMatrices: [
+        {
+          topLeftCorner: new Cartesian2(
+            -Math.PI * Ellipsoid.WGS84.maximumRadius,
+            CesiumMath.PI_OVER_TWO * Ellipsoid.WGS84.maximumRadius
+          ),
+          cellSize: (Math.PI * Ellipsoid.WGS84.maximumRadius) / 256.0,
+          matrixWidth: 2,
+          matrixHeight: 1,
+        },
+      ],
+    });
+    expect(tilingScheme.projection).toBeInstanceOf(GeographicProjection);
+    expect(tilingScheme.rectangle).toEqualEpsilon(
+      Rectangle.MAX_VALUE,
+      CesiumMath.EPSILON14
+    );
+    expect(tilingScheme.tileXYToRectangle(1, 0, 0)).toEqualEpsilon(
+      new Rectangle(
+        0.0,
+        -CesiumMath.PI_OVER_TWO,
+        Math.PI,
+        CesiumMath.PI_OVER_TWO
+      ),
+      CesiumMath.EPSILON14
+    );
+  });
+
+  it("converts scale denominators to cell sizes", function () {
+    const tilingScheme = new TileMatrixSetTilingScheme({
+      projection: new WebMercatorProjection(),
+      tileMatrices: [
+        {
+          topLeftCorner: new Cartesian2(-20037508.3428, 20037508.3428),
+          scaleDenominator: 559082264.0287178,
+          matrixWidth: 1,
+          matrixHeight: 1,
+        },
+      ],
+    });
+    expect(tilingScheme.getCellSize(0)).toEqualEpsilon(
+      156543.0339,
+      CesiumMath.EPSILON4
+    );
+  });
+
+  it("tileXYToNativeRectangle returns the rectangle of the tile in the tile matrix", function () {
+    const tilingScheme = createUtmTilingScheme();
+    expect(tilingScheme.tileXYToNativeRectangle(1, 1, 0)).toEqual(
+      new Rectangle(256000.0, 5488000.0, 512000.0, 5744000.0)
+    );
+
+    const result = new Rectangle();
+    const returnedResult = tilingScheme.tileXYToNativeRectangle(
+      2,
+      0,
+      1,
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      new Rectangle(
+        1024000.0 / 3.0,
+        6000000.0 - 512000.0 / 3.0,
+        1536000.0 / 3.0,
+        6000000.0
+      ),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("tileXYToRectangle contains the tile", function () {
+    const tilingScheme = createUtmTilingScheme();
+    const projection = tilingScheme.projection;
+    const rectangle = tilingScheme.tileXYToRectangle(3, 0, 0);
+    const nativeRectangle = tilingScheme.tileXYToNativeRectangle(3, 0, 0);
+
+    const corners = [
+      new Cartesian2(nativeRectangle.west, nativeRectangle.south),
+      new Cartesian2(nativeRectangle.east, nativeRectangle.south),
+      new Cartesian2(nativeRectangle.east, nativeRectangle.north),
+      new Cartesian2(nativeRectangle.west, nativeRectangle.north),
+    ];
+    corners.forEach(function (corner) {
+      const cartographic = projection.unproject(corner);
+      expect(
+        Rectangle.contains(
+          Rectangle.fromRadians(
+            rectangle.west - CesiumMath.EPSILON10,
+            rectangle.south - CesiumMath.EPSILON10,
+            rectangle.east + CesiumMath.EPSILON10,
+            rectangle.north + CesiumMath.EPSILON10
+          ),
+          cartographic
+        )
+      ).toBe(true);
+    });
+
+    // The parallels are curved, so the southern edge of the tile bulges south of its corners
+    const southwest = projection.unproject(corners[0]);
+    const southeast = projection.unproject(corners[1]);
+    expect(rectangle.south).toBeLessThanOrEqual(
+      Math.min(southwest.latitude, southeast.latitude)
+    );
+  });
+
+  it("tileXYToRectangle includes the pole in tiles containing it", function () {
+    const tilingScheme = new TileMatrixSetTilingScheme({
+      projection: PolarStereographicProjection.fromUps(),
+      tileMatrices: [
+        {
+          topLeftCorner: new Cartesian2(0.0, 4000000.0),
+          cellSize: 2000000.0 / 256.0,
+          matrixWidth: 2,
+          matrixHeight: 2,
+        },
+        {
+          topLeftCorner: new Cartesian2(0.0, 4000000.0),
+          cellSize: 1000000.0 / 256.0,
+          matrixWidth: 4,
+          matrixHeight: 4,
+        },
+      ],
+    });
+
+    const containsPole = tilingScheme.tileXYToRectangle(1, 1, 1);
+    expect(containsPole.north).toEqual(CesiumMath.PI_OVER_TWO);
+    expect(containsPole.west).toEqual(-Math.PI);
+    expect(containsPole.east).toEqual(Math.PI);
+
+    const awayFromPole = tilingScheme.tileXYToRectangle(0, 0, 1);
+    expect(awayFromPole.north).toBeLessThan(CesiumMath.PI_OVER_TWO);
+    expect(Rectangle.computeWidth(awayFromPole)).toBeLessThan(Math.PI);
+  });
+
+  it("positionToTileXY returns the tile containing the position", function () {
+    const tilingScheme = createUtmTilingScheme();
+    const projection = tilingScheme.projection;
+
+    const position = projection.unproject(new Cartesian2(600000.0, 5500000.0));
+    expect(tilingScheme.positionToTileXY(position, 0)).toEqual(
+      new Cartesian2(2, 1)
+    );
+
+    const result = new Cartesian2();
+    const returnedResult = tilingScheme.positionToTileXY(position, 1, result);
+    expect(returnedResult).toBe(result);
+    expect(result).toEqual(new Cartesian2(3, 2));
+  });
+
+  it("positionToTileXY returns undefined outside of the tile matrices", function () {
+    const tilingScheme = createUtmTilingScheme(
+      Rectangle.fromDegrees(0.0, 40.0, 30.0, 60.0)
+    );
+    const projection = tilingScheme.projection;
+
+    const west = projection.unproject(new Cartesian2(-1000.0, 5500000.0));
+    expect(tilingScheme.positionToTileXY(west, 0)).toBeUndefined();
+    expect(
+      tilingScheme.positionToTileXY(Cartographic.fromDegrees(9.0, 70.0), 0)
+    ).toBeUndefined();
+    expect(
+      tilingScheme.positionToTileXY(Cartographic.fromDegrees(12.0, 49.0), 2)
+    ).toBeUndefined();
+  });
+
+  it("rectangleToNativeRectangle contains the projected rectangle", function () {
+    const tilingScheme = createUtmTilingScheme();
+    const projection = tilingScheme.projection;
+    const rectangle = Rectangle.fromDegrees(3.0, 45.0, 15.0, 50.0);
+    const nativeRectangle = tilingScheme.rectangleToNativeRectangle(rectangle);
+
+    // Parallels curve towards the pole away from the central meridian
+    const northeast = projection.project(Cartographic.fromDegrees(15.0, 50.0));
+    const north = projection.project(Cartographic.fromDegrees(9.0, 50.0));
+    expect(nativeRectangle.north).toEqualEpsilon(northeast.y, 1.0);
+    expect(nativeRectangle.north).toBeGreaterThan(north.y);
+    const southwest = projection.project(Cartographic.fromDegrees(3.0, 45.0));
+    expect(nativeRectangle.west).toEqualEpsilon(southwest.x, 1.0);
+
+    const result = new Rectangle();
+    expect(tilingScheme.rectangleToNativeRectangle(rectangle, result)).toBe(
+      result
+    );
+  });
+
+  it("throws without tile matrices", function () {
+    expect(function () {
+      return new TileMatrixSetTilingScheme();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new TileMatrixSetTilingScheme({ tileMatrices: [] });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a cell size or scale denominator", function () {
+    expect(function () {
+      return new TileMatrixSetTilingScheme({
+        tileMatrices: [
+          {
+            topLeftCorner: new Cartesian2(0.0, 0.0),
+            matrixWidth: 1,
+            matrixHeight: 1,
+          },
+        ],
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with an unsupported projection", function () {
+    expect(function () {
+      return new TileMatrixSetTilingScheme({
+        proj4Definition: "+proj=aea +lat_1=29.5 +lat_2=45.5 +datum=NAD83",
+        tileMatrices: [
+          {
+            topLeftCorner: new Cartesian2(0.0, 0.0),
+            cellSize: 1.0,
+            matrixWidth: 1,
+            matrixHeight: 1,
+          },
+        ],
+      });
+    }).toThrowError(RuntimeError);
+  });
+});
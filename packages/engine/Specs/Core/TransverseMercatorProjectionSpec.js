@@ -0,0 +1,176 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  MapProjection,
+  Math as CesiumMath,
+  Rectangle,
+  TransverseMercatorProjection,
+} from "../../index.js";
+
+describe("Core/TransverseMercatorProjection", function () {
+  // The Airy 1830 ellipsoid and the British National Grid, from the EPSG Guidance Note 7-2
+  const airy = new Ellipsoid(
+    6377563.396,
+    6377563.396,
+    6377563.396 * (1.0 - 1.0 / 299.3249646)
+  );
+
+  function createBritishNationalGrid() {
+    return new TransverseMercatorProjection({
+      ellipsoid: airy,
+      centralMeridian: CesiumMath.toRadians(-2.0),
+      latitudeOfOrigin: CesiumMath.toRadians(49.0),
+      scaleFactor: 0.9996012717,
+      falseEasting: 400000.0,
+      falseNorthing: -100000.0,
+    });
+  }
+
+  it("conforms to MapProjection interface", function () {
+    expect(TransverseMercatorProjection).toConformToInterface(MapProjection);
+  });
+
+  it("constructs with defaults", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(projection.ellipsoid).toEqual(Ellipsoid.WGS84);
+    expect(projection.isNormalCylindrical).toBe(false);
+    expect(projection.centralMeridian).toEqual(0.0);
+    expect(projection.latitudeOfOrigin).toEqual(0.0);
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.falseEasting).toEqual(0.0);
+    expect(projection.falseNorthing).toEqual(0.0);
+    expect(projection.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-30.0, -90.0, 30.0, 90.0),
+      CesiumMath.EPSILON14
+    );
+  });
+
+  it("constructs with a rectangle", function () {
+    const rectangle = Rectangle.fromDegrees(-8.0, 49.0, 2.0, 61.0);
+    const projection = new TransverseMercatorProjection({
+      rectangle: rectangle,
+    });
+    expect(projection.rectangle).toEqual(rectangle);
+    expect(projection.rectangle).not.toBe(rectangle);
+  });
+
+  it("projects the origin to the false easting and northing", function () {
+    const projection = createBritishNationalGrid();
+    const result = projection.project(Cartographic.fromDegrees(-2.0, 49.0));
+    expect(result).toEqualEpsilon(
+      new Cartesian3(400000.0, -100000.0, 0.0),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("projects", function () {
+    const projection = createBritishNationalGrid();
+    const result = projection.project(
+      Cartographic.fromDegrees(0.5, 50.5, 10.0)
+    );
+    expect(result).toEqualEpsilon(
+      new Cartesian3(577274.98, 69740.49, 10.0),
+      1e-2
+    );
+  });
+
+  it("projects with a result parameter", function () {
+    const projection = createBritishNationalGrid();
+    const result = new Cartesian3();
+    const returnedResult = projection.project(
+      Cartographic.fromDegrees(0.5, 50.5),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      new Cartesian3(577274.98, 69740.49, 0.0),
+      1e-2
+    );
+  });
+
+  it("unprojects", function () {
+    const projection = createBritishNationalGrid();
+    const result = projection.unproject(
+      new Cartesian3(577274.98, 69740.49, 10.0)
+    );
+    expect(result).toEqualEpsilon(
+      Cartographic.fromDegrees(0.5, 50.5, 10.0),
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("unprojects with a result parameter", function () {
+    const projection = createBritishNationalGrid();
+    const result = new Cartographic();
+    const returnedResult = projection.unproject(
+      new Cartesian3(577274.98, 69740.49, 0.0),
+      result
+    );
+    expect(returnedResult).toBe(result);
+    expect(result).toEqualEpsilon(
+      Cartographic.fromDegrees(0.5, 50.5),
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("unprojects what it projects far from the central meridian", function () {
+    const projection = new TransverseMercatorProjection();
+    const cartographic = Cartographic.fromDegrees(25.0, -70.0, 100.0);
+    const result = projection.unproject(projection.project(cartographic));
+    expect(result).toEqualEpsilon(cartographic, CesiumMath.EPSILON12);
+  });
+
+  it("creates the projections of UTM zones", function () {
+    const north = TransverseMercatorProjection.fromUtmZone(33);
+    expect(north.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(15.0),
+      CesiumMath.EPSILON14
+    );
+    expect(north.scaleFactor).toEqual(0.9996);
+    expect(north.falseEasting).toEqual(500000.0);
+    expect(north.falseNorthing).toEqual(0.0);
+
+    const south = TransverseMercatorProjection.fromUtmZone(33, true);
+    expect(south.falseNorthing).toEqual(10000000.0);
+
+    const projected = south.project(Cartographic.fromDegrees(15.0, 0.0));
+    expect(projected).toEqualEpsilon(
+      new Cartesian3(500000.0, 10000000.0, 0.0),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("has a proj4 definition that recreates it", function () {
+    const projection = createBritishNationalGrid();
+    const recreated = MapProjection.fromProj4Definition(
+      projection.proj4Definition
+    );
+    expect(recreated).toBeInstanceOf(TransverseMercatorProjection);
+    const cartographic = Cartographic.fromDegrees(-3.0, 55.0);
+    expect(recreated.project(cartographic)).toEqualEpsilon(
+      projection.project(cartographic),
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("project throws without cartographic", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("unproject throws without cartesian", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUtmZone throws with an invalid zone", function () {
+    expect(function () {
+      return TransverseMercatorProjection.fromUtmZone(61);
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,265 @@
+import {
+  Cartographic,
+  Ellipsoid,
+  Math as CesiumMath,
+  UtmCoordinate,
+} from "../../index.js";
+
+describe("Core/UtmCoordinate", function () {
+  function fromDegrees(longitude, latitude) {
+    return Cartographic.fromDegrees(longitude, latitude);
+  }
+
+  it("constructs with defaults", function () {
+    const utm = new UtmCoordinate();
+    expect(utm.zone).toEqual(31);
+    expect(utm.band).toEqual("N");
+    expect(utm.easting).toEqual(500000.0);
+    expect(utm.northing).toEqual(0.0);
+  });
+
+  it("constructs with values", function () {
+    const utm = new UtmCoordinate(17, "T", 630084.0, 4833438.0);
+    expect(utm.zone).toEqual(17);
+    expect(utm.band).toEqual("T");
+    expect(utm.easting).toEqual(630084.0);
+    expect(utm.northing).toEqual(4833438.0);
+  });
+
+  it("gets the zone of a position", function () {
+    expect(UtmCoordinate.getZone(fromDegrees(-180.0, 0.0))).toEqual(1);
+    expect(UtmCoordinate.getZone(fromDegrees(180.0, 0.0))).toEqual(1);
+    expect(UtmCoordinate.getZone(fromDegrees(179.9, 0.0))).toEqual(60);
+    expect(UtmCoordinate.getZone(fromDegrees(0.0, 0.0))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(-0.1, 0.0))).toEqual(30);
+    expect(UtmCoordinate.getZone(fromDegrees(-79.4, 43.6))).toEqual(17);
+  });
+
+  it("gets the zones around Norway and Svalbard", function () {
+    expect(UtmCoordinate.getZone(fromDegrees(5.0, 60.0))).toEqual(32);
+    expect(UtmCoordinate.getZone(fromDegrees(2.9, 60.0))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(5.0, 55.9))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(5.0, 64.0))).toEqual(31);
+
+    expect(UtmCoordinate.getZone(fromDegrees(8.9, 78.0))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(9.0, 78.0))).toEqual(33);
+    expect(UtmCoordinate.getZone(fromDegrees(20.9, 78.0))).toEqual(33);
+    expect(UtmCoordinate.getZone(fromDegrees(21.0, 78.0))).toEqual(35);
+    expect(UtmCoordinate.getZone(fromDegrees(33.0, 78.0))).toEqual(37);
+    expect(UtmCoordinate.getZone(fromDegrees(42.0, 78.0))).toEqual(38);
+    expect(UtmCoordinate.getZone(fromDegrees(9.0, 71.9))).toEqual(32);
+  });
+
+  it("gets the polar zone beyond the latitude limits", function () {
+    expect(UtmCoordinate.getZone(fromDegrees(0.0, 83.9))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(0.0, 84.0))).toEqual(0);
+    expect(UtmCoordinate.getZone(fromDegrees(0.0, -80.0))).toEqual(31);
+    expect(UtmCoordinate.getZone(fromDegrees(0.0, -80.1))).toEqual(0);
+  });
+
+  it("gets the latitude band of a position", function () {
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, -80.0))).toEqual("C");
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, -0.1))).toEqual("M");
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, 0.0))).toEqual("N");
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, 43.6))).toEqual("T");
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, 72.0))).toEqual("X");
+    expect(UtmCoordinate.getBand(fromDegrees(0.0, 83.9))).toEqual("X");
+    expect(UtmCoordinate.getBand(fromDegrees(-10.0, 85.0))).toEqual("Y");
+    expect(UtmCoordinate.getBand(fromDegrees(10.0, 85.0))).toEqual("Z");
+    expect(UtmCoordinate.getBand(fromDegrees(-10.0, -85.0))).toEqual("A");
+    expect(UtmCoordinate.getBand(fromDegrees(10.0, -85.0))).toEqual("B");
+  });
+
+  it("converts a position to UTM coordinates", function () {
+    const utm = UtmCoordinate.fromCartographic(
+      fromDegrees(-79.387139, 43.642567)
+    );
+    expect(utm.zone).toEqual(17);
+    expect(utm.band).toEqual("T");
+    expect(utm.easting).toEqualEpsilon(630084.0, 1.0);
+    expect(utm.northing).toEqualEpsilon(4833438.0, 1.0);
+  });
+
+  it("converts a position at the origin of a zone", function () {
+    const utm = UtmCoordinate.fromCartographic(fromDegrees(0.0, 0.0));
+    expect(utm.zone).toEqual(31);
+    expect(utm.band).toEqual("N");
+    expect(utm.easting).toEqualEpsilon(166021.443, 0.001);
+    expect(utm.northing).toEqualEpsilon(0.0, 0.001);
+  });
+
+  it("offsets northings in the southern hemisphere", function () {
+    const utm = UtmCoordinate.fromCartographic(fromDegrees(3.0, -0.001));
+    expect(utm.zone).toEqual(31);
+    expect(utm.band).toEqual("M");
+    expect(UtmCoordinate.isSouthernHemisphere(utm)).toBe(true);
+    expect(utm.easting).toEqualEpsilon(500000.0, 0.001);
+    expect(utm.northing).toEqualEpsilon(10000000.0 - 110.5, 0.1);
+  });
+
+  it("converts a position to UPS coordinates", function () {
+    let utm = UtmCoordinate.fromCartographic(fromDegrees(0.0, 90.0));
+    expect(utm.zone).toEqual(0);
+    expect(utm.band).toEqual("Z");
+    expect(utm.easting).toEqualEpsilon(2000000.0, 0.001);
+    expect(utm.northing).toEqualEpsilon(2000000.0, 0.001);
+
+    utm = UtmCoordinate.fromCartographic(fromDegrees(0.0, 85.0));
+    expect(utm.easting).toEqualEpsilon(2000000.0, 0.001);
+    expect(utm.northing).toBeLessThan(2000000.0);
+
+    utm = UtmCoordinate.fromCartographic(fromDegrees(-90.0, -85.0));
+    expect(utm.zone).toEqual(0);
+    expect(utm.band).toEqual("A");
+    expect(utm.easting).toBeLessThan(2000000.0);
+    expect(utm.northing).toEqualEpsilon(2000000.0, 0.001);
+  });
+
+  it("converts a position in a given zone", function () {
+    const cartographic = fromDegrees(6.1, 45.0);
+    const utm = UtmCoordinate.fromCartographic(cartographic, {
+      zone: 31,
+    });
+    expect(utm.zone).toEqual(31);
+    expect(utm.band).toEqual("T");
+    expect(utm.easting).toBeGreaterThan(700000.0);
+
+    const result = UtmCoordinate.toCartographic(utm);
+    expect(result.longitude).toEqualEpsilon(
+      cartographic.longitude,
+      CesiumMath.EPSILON10
+    );
+    expect(result.latitude).toEqualEpsilon(
+      cartographic.latitude,
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("converts a position with a result parameter", function () {
+    const result = new UtmCoordinate();
+    const utm = UtmCoordinate.fromCartographic(
+      fromDegrees(0.0, 0.0),
+      undefined,
+      result
+    );
+    expect(utm).toBe(result);
+    expect(result.zone).toEqual(31);
+  });
+
+  it("round trips positions", function () {
+    const positions = [
+      fromDegrees(-179.9, -79.9),
+      fromDegrees(179.9, 83.9),
+      fromDegrees(5.0, 60.0),
+      fromDegrees(10.0, 78.0),
+      fromDegrees(151.2, -33.9),
+      fromDegrees(45.0, 89.0),
+      fromDegrees(-135.0, -89.0),
+    ];
+    const ellipsoids = [
+      Ellipsoid.WGS84,
+      new Ellipsoid(6378137.0, 6378137.0, 6356752.314140356),
+    ];
+    for (let j = 0; j < ellipsoids.length; ++j) {
+      for (let i = 0; i < positions.length; ++i) {
+        const position = positions[i];
+        const utm = UtmCoordinate.fromCartographic(position, {
+          ellipsoid: ellipsoids[j],
+        });
+        const result = UtmCoordinate.toCartographic(utm, ellipsoids[j]);
+        expect(result.longitude).toEqualEpsilon(
+          position.longitude,
+          CesiumMath.EPSILON9
+        );
+        expect(result.latitude).toEqualEpsilon(
+          position.latitude,
+          CesiumMath.EPSILON9
+        );
+      }
+    }
+  });
+
+  it("parses UTM and UPS coordinates", function () {
+    expect(UtmCoordinate.fromString("17T 630084 4833438")).toEqual(
+      new UtmCoordinate(17, "T", 630084.0, 4833438.0)
+    );
+    expect(UtmCoordinate.fromString(" 4q 612345.5mE 2367890.25mN ")).toEqual(
+      new UtmCoordinate(4, "Q", 612345.5, 2367890.25)
+    );
+    expect(UtmCoordinate.fromString("Z 2000000 2000000")).toEqual(
+      new UtmCoordinate(0, "Z", 2000000.0, 2000000.0)
+    );
+
+    const result = new UtmCoordinate();
+    expect(UtmCoordinate.fromString("31N 166021 0", result)).toBe(result);
+  });
+
+  it("does not parse invalid coordinates", function () {
+    expect(UtmCoordinate.fromString("")).toBeUndefined();
+    expect(UtmCoordinate.fromString("61N 500000 0")).toBeUndefined();
+    expect(UtmCoordinate.fromString("31I 500000 0")).toBeUndefined();
+    expect(UtmCoordinate.fromString("31Z 500000 0")).toBeUndefined();
+    expect(UtmCoordinate.fromString("T 500000 0")).toBeUndefined();
+    expect(UtmCoordinate.fromString("31N 500000")).toBeUndefined();
+  });
+
+  it("creates a string", function () {
+    const utm = new UtmCoordinate(17, "T", 630084.4, 4833438.6);
+    expect(utm.toString()).toEqual("17T 630084 4833439");
+    expect(utm.toString(1)).toEqual("17T 630084.4 4833438.6");
+    expect(new UtmCoordinate(0, "Y", 1900000.0, 2000000.0).toString()).toEqual(
+      "Y 1900000 2000000"
+    );
+  });
+
+  it("clones", function () {
+    const utm = new UtmCoordinate(17, "T", 630084.0, 4833438.0);
+    const clone = utm.clone();
+    expect(clone).not.toBe(utm);
+    expect(clone).toEqual(utm);
+    expect(UtmCoordinate.clone(undefined)).toBeUndefined();
+
+    const result = new UtmCoordinate();
+    expect(UtmCoordinate.clone(utm, result)).toBe(result);
+    expect(result).toEqual(utm);
+  });
+
+  it("equals", function () {
+    const utm = new UtmCoordinate(17, "T", 630084.0, 4833438.0);
+    expect(utm.equals(new UtmCoordinate(17, "T", 630084.0, 4833438.0))).toBe(
+      true
+    );
+    expect(utm.equals(new UtmCoordinate(17, "S", 630084.0, 4833438.0))).toBe(
+      false
+    );
+    expect(utm.equals(undefined)).toBe(false);
+    expect(UtmCoordinate.equals(undefined, undefined)).toBe(true);
+  });
+
+  it("throws without a position", function () {
+    expect(function () {
+      UtmCoordinate.fromCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      UtmCoordinate.getZone();
+    }).toThrowDeveloperError();
+    expect(function () {
+      UtmCoordinate.getBand();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with an invalid zone", function () {
+    expect(function () {
+      UtmCoordinate.fromCartographic(fromDegrees(0.0, 0.0), { zone: 61 });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without coordinates", function () {
+    expect(function () {
+      UtmCoordinate.toCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      UtmCoordinate.fromString();
+    }).toThrowDeveloperError();
+  });
+});
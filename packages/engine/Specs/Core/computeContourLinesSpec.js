@@ -0,0 +1,204 @@
+import { computeContourLines } from "../../index.js";
+
+describe("Core/computeContourLines", function () {
+  function getPoints(line) {
+    const points = [];
+    for (let i = 0; i < line.positions.length; i += 2) {
+      points.push([line.positions[i], line.positions[i + 1]]);
+    }
+    return points;
+  }
+
+  function sortPoints(points) {
+    return points.slice().sort(function (a, b) {
+      return a[0] - b[0] || a[1] - b[1];
+    });
+  }
+
+  it("throws without heights", function () {
+    expect(function () {
+      computeContourLines({
+        width: 2,
+        height: 2,
+        interval: 1.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a positive interval", function () {
+    expect(function () {
+      computeContourLines({
+        heights: [0.0, 0.0, 0.0, 0.0],
+        width: 2,
+        height: 2,
+        interval: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("computes open lines that cross the grid", function () {
+    // Heights increase from west to east
+    const heights = [];
+    for (let row = 0; row < 3; ++row) {
+      for (let column = 0; column < 4; ++column) {
+        heights.push(column * 10.0 + 5.0);
+      }
+    }
+
+    const lines = computeContourLines({
+      heights: heights,
+      width: 4,
+      height: 3,
+      interval: 10.0,
+    });
+
+    expect(lines.length).toEqual(3);
+    for (let i = 0; i < lines.length; ++i) {
+      const line = lines[i];
+      expect(line.height).toEqual((i + 1) * 10.0);
+      expect(line.positions).toBeInstanceOf(Float64Array);
+      expect(sortPoints(getPoints(line))).toEqual([
+        [i + 0.5, 0],
+        [i + 0.5, 1],
+        [i + 0.5, 2],
+      ]);
+    }
+  });
+
+  it("computes closed lines around a peak", function () {
+    const lines = computeContourLines({
+      heights: [0.0, 0.0, 0.0, 0.0, 10.0, 0.0, 0.0, 0.0, 0.0],
+      width: 3,
+      height: 3,
+      interval: 5.0,
+    });
+
+    // The line at the height of the peak collapses to a point
+    expect(lines.length).toEqual(1);
+    const points = getPoints(lines[0]);
+    expect(lines[0].height).toEqual(5.0);
+    expect(points.length).toEqual(5);
+    expect(points[4]).toEqual(points[0]);
+    expect(sortPoints(points.slice(0, 4))).toEqual([
+      [0.5, 1],
+      [1, 0.5],
+      [1, 1.5],
+      [1.5, 1],
+    ]);
+  });
+
+  it("uses the base height", function () {
+    const lines = computeContourLines({
+      heights: [0.0, 10.0, 0.0, 10.0],
+      width: 2,
+      height: 2,
+      interval: 10.0,
+      base: 2.0,
+    });
+    expect(lines.length).toEqual(1);
+    expect(lines[0].height).toEqual(2.0);
+    expect(sortPoints(getPoints(lines[0]))).toEqual([
+      [0.2, 0],
+      [0.2, 1],
+    ]);
+  });
+
+  it("resolves saddles with the average of the corners", function () {
+    const options = {
+      heights: [10.0, 0.0, 0.0, 10.0],
+      width: 2,
+      height: 2,
+      interval: 4.0,
+      base: 1.0,
+    };
+
+    // The center is above 5, so the lines separate the low corners
+    let lines = computeContourLines(options).filter(function (line) {
+      return line.height === 5.0;
+    });
+    expect(lines.length).toEqual(2);
+    expect(
+      lines
+        .map(function (line) {
+          return sortPoints(getPoints(line));
+        })
+        .sort()
+    ).toEqual([
+      [
+        [0, 0.5],
+        [0.5, 1],
+      ],
+      [
+        [0.5, 0],
+        [1, 0.5],
+      ],
+    ]);
+
+    // The center is below 9, so the lines separate the high corners
+    lines = computeContourLines(options).filter(function (line) {
+      return line.height === 9.0;
+    });
+    expect(lines.length).toEqual(2);
+    expect(
+      lines
+        .map(function (line) {
+          return sortPoints(getPoints(line));
+        })
+        .sort()
+    ).toEqual([
+      [
+        [0, 0.1],
+        [0.1, 0],
+      ],
+      [
+        [0.9, 1],
+        [1, 0.9],
+      ],
+    ]);
+  });
+
+  it("skips cells without heights", function () {
+    const heights = [];
+    for (let row = 0; row < 3; ++row) {
+      for (let column = 0; column < 3; ++column) {
+        heights.push(column * 10.0 + 5.0);
+      }
+    }
+    heights[0] = NaN;
+
+    const lines = computeContourLines({
+      heights: heights,
+      width: 3,
+      height: 3,
+      interval: 10.0,
+    });
+
+    // The line at 10 only crosses the bottom row of cells
+    const line = lines.find(function (line) {
+      return line.height === 10.0;
+    });
+    expect(sortPoints(getPoints(line))).toEqual([
+      [0.5, 1],
+      [0.5, 2],
+    ]);
+  });
+
+  it("returns no lines for flat or missing heights", function () {
+    expect(
+      computeContourLines({
+        heights: [1.0, 1.0, 1.0, 1.0],
+        width: 2,
+        height: 2,
+        interval: 10.0,
+      })
+    ).toEqual([]);
+    expect(
+      computeContourLines({
+        heights: [NaN, NaN, NaN, NaN],
+        width: 2,
+        height: 2,
+        interval: 10.0,
+      })
+    ).toEqual([]);
+  });
+});
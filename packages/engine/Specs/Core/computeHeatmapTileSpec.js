@@ -0,0 +1,135 @@
+import { computeHeatmapTile, Math as CesiumMath } from "../../index.js";
+
+describe("Core/computeHeatmapTile", function () {
+  const surfaceRadius = 6378137.0;
+  // About 10 meters per pixel at the equator
+  const pixelSize = 10.0 / surfaceRadius;
+
+  // A gradient whose red channel is the index and whose alpha is opaque
+  const gradient = new Uint8Array(256 * 4);
+  for (let i = 0; i < 256; ++i) {
+    gradient[i * 4] = i;
+    gradient[i * 4 + 3] = 255;
+  }
+
+  function createGrid(count) {
+    const longitudes = new Float64Array(count);
+    const latitudes = new Float64Array(count);
+    for (let i = 0; i < count; ++i) {
+      longitudes[i] = (i - (count - 1) / 2) * pixelSize;
+      latitudes[i] = ((count - 1) / 2 - i) * pixelSize;
+    }
+    return {
+      longitudes: longitudes,
+      latitudes: latitudes,
+    };
+  }
+
+  function compute(points, maximumIntensity) {
+    const grid = createGrid(11);
+    return computeHeatmapTile({
+      points: new Float64Array(points),
+      longitudes: grid.longitudes,
+      latitudes: grid.latitudes,
+      radius: 30.0,
+      surfaceRadius: surfaceRadius,
+      maximumIntensity: maximumIntensity,
+      gradient: gradient,
+    });
+  }
+
+  function pixel(pixels, column, row) {
+    const offset = (row * 11 + column) * 4;
+    return Array.from(pixels.subarray(offset, offset + 4));
+  }
+
+  it("throws without options", function () {
+    expect(function () {
+      return computeHeatmapTile();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a positive radius or maximum intensity", function () {
+    const grid = createGrid(2);
+    expect(function () {
+      return computeHeatmapTile({
+        points: new Float64Array(),
+        longitudes: grid.longitudes,
+        latitudes: grid.latitudes,
+        radius: 0.0,
+        surfaceRadius: surfaceRadius,
+        maximumIntensity: 1.0,
+        gradient: gradient,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return computeHeatmapTile({
+        points: new Float64Array(),
+        longitudes: grid.longitudes,
+        latitudes: grid.latitudes,
+        radius: 10.0,
+        surfaceRadius: surfaceRadius,
+        maximumIntensity: 0.0,
+        gradient: gradient,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("is transparent without points", function () {
+    const pixels = compute([], 1.0);
+    expect(pixels.length).toEqual(11 * 11 * 4);
+    expect(pixels.every((value) => value === 0)).toBe(true);
+  });
+
+  it("maps the intensity of the kernel to the gradient", function () {
+    const pixels = compute([0.0, 0.0, 1.0], 1.0);
+
+    // At the point, the kernel is 1.0
+    expect(pixel(pixels, 5, 5)).toEqual([255, 0, 0, 255]);
+    // At 10 meters, it is (1 - (10 / 30)^2)^2
+    expect(pixel(pixels, 6, 5)).toEqual([
+      Math.round(Math.pow(1.0 - 1.0 / 9.0, 2.0) * 255),
+      0,
+      0,
+      255,
+    ]);
+    expect(pixel(pixels, 5, 4)).toEqual(pixel(pixels, 6, 5));
+    // Beyond the radius, it is transparent
+    expect(pixel(pixels, 9, 5)).toEqual([0, 0, 0, 0]);
+    expect(pixel(pixels, 0, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("sums the weighted kernels of the points", function () {
+    const pixels = compute([0.0, 0.0, 1.0, pixelSize * 2.0, 0.0, 3.0], 8.0);
+
+    // Halfway between the points, both contribute (1 - (10 / 30)^2)^2
+    const k = Math.pow(1.0 - 1.0 / 9.0, 2.0);
+    expect(pixel(pixels, 6, 5)[0]).toEqual(
+      Math.round(((1.0 + 3.0) * k * 255) / 8.0)
+    );
+  });
+
+  it("wraps the longitudes of points across the antimeridian", function () {
+    const grid = createGrid(11);
+    const longitudes = grid.longitudes.map(function (longitude) {
+      return longitude - CesiumMath.PI + 5.0 * pixelSize;
+    });
+    const pixels = computeHeatmapTile({
+      points: new Float64Array([CesiumMath.PI, 0.0, 1.0]),
+      longitudes: longitudes,
+      latitudes: grid.latitudes,
+      radius: 30.0,
+      surfaceRadius: surfaceRadius,
+      maximumIntensity: 1.0,
+      gradient: gradient,
+    });
+    expect(pixel(pixels, 0, 5)).toEqual([255, 0, 0, 255]);
+    expect(pixel(pixels, 10, 5)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("clamps intensities to the maximum intensity", function () {
+    const pixels = compute([0.0, 0.0, 10.0], 1.0);
+    expect(pixel(pixels, 5, 5)).toEqual([255, 0, 0, 255]);
+    expect(pixel(pixels, 6, 5)).toEqual([255, 0, 0, 255]);
+  });
+});
@@ -0,0 +1,237 @@
+import { decodeGeoTiffBlock, RuntimeError } from "../../index.js";
+
+import pako from "pako";
+
+describe("Core/decodeGeoTiffBlock", function () {
+  it("decodes uncompressed samples", function () {
+    const result = decodeGeoTiffBlock({
+      buffer: new Uint8Array([1, 2, 3, 4]),
+      compression: 1,
+      width: 2,
+      height: 2,
+      samplesPerPixel: 1,
+      bitsPerSample: 8,
+    });
+    expect(result.samples).toEqual(new Uint8Array([1, 2, 3, 4]));
+  });
+
+  it("decodes samples in either byte order", function () {
+    const bytes = new Uint8Array([0x01, 0x02, 0xff, 0xfe]);
+    const options = {
+      buffer: bytes,
+      compression: 1,
+      width: 2,
+      height: 1,
+      samplesPerPixel: 1,
+      bitsPerSample: 16,
+      sampleFormat: 2,
+    };
+
+    options.littleEndian = true;
+    expect(decodeGeoTiffBlock(options).samples).toEqual(
+      new Int16Array([0x0201, -257])
+    );
+
+    options.littleEndian = false;
+    expect(decodeGeoTiffBlock(options).samples).toEqual(
+      new Int16Array([0x0102, -2])
+    );
+  });
+
+  it("decodes float samples", function () {
+    const values = new Float32Array([1.5, -20.25, 1000.0]);
+    const result = decodeGeoTiffBlock({
+      buffer: new Uint8Array(values.buffer),
+      compression: 1,
+      width: 3,
+      height: 1,
+      samplesPerPixel: 1,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+    });
+    expect(result.samples).toEqual(values);
+  });
+
+  it("decodes deflate compressed samples", function () {
+    const values = new Uint8Array([10, 20, 30, 40, 50, 60]);
+    const result = decodeGeoTiffBlock({
+      buffer: pako.deflate(values),
+      compression: 8,
+      width: 2,
+      height: 1,
+      samplesPerPixel: 3,
+      bitsPerSample: 8,
+    });
+    expect(result.samples).toEqual(values);
+  });
+
+  it("decodes PackBits compressed samples", function () {
+    // The example from the TIFF 6.0 specification
+    const result = decodeGeoTiffBlock({
+      buffer: new Uint8Array([
+        0xfe,
+        0xaa,
+        0x02,
+        0x80,
+        0x00,
+        0x2a,
+        0xfd,
+        0xaa,
+        0x03,
+        0x80,
+        0x00,
+        0x2a,
+        0x22,
+        0xf7,
+        0xaa,
+      ]),
+      compression: 32773,
+      width: 24,
+      height: 1,
+      samplesPerPixel: 1,
+      bitsPerSample: 8,
+    });
+    expect(Array.from(result.samples)).toEqual([
+      0xaa,
+      0xaa,
+      0xaa,
+      0x80,
+      0x00,
+      0x2a,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0x80,
+      0x00,
+      0x2a,
+      0x22,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+      0xaa,
+    ]);
+  });
+
+  it("decodes LZW compressed samples", function () {
+    // "ABABABA" encoded with 9-bit codes: clear, A, B, AB, ABA, end of information
+    const codes = [256, 65, 66, 258, 260, 257];
+    const bytes = new Uint8Array(Math.ceil((codes.length * 9) / 8));
+    let bit = 0;
+    for (let i = 0; i < codes.length; ++i) {
+      for (let b = 8; b >= 0; --b) {
+        if ((codes[i] >> b) & 1) {
+          bytes[bit >> 3] |= 0x80 >> (bit & 7);
+        }
+        ++bit;
+      }
+    }
+
+    const result = decodeGeoTiffBlock({
+      buffer: bytes,
+      compression: 5,
+      width: 7,
+      height: 1,
+      samplesPerPixel: 1,
+      bitsPerSample: 8,
+    });
+    expect(String.fromCharCode.apply(null, result.samples)).toEqual("ABABABA");
+  });
+
+  it("undoes horizontal differencing", function () {
+    const result = decodeGeoTiffBlock({
+      buffer: new Uint8Array(new Uint16Array([100, 5, 5, 200, 255, 1]).buffer),
+      compression: 1,
+      predictor: 2,
+      width: 3,
+      height: 2,
+      samplesPerPixel: 1,
+      bitsPerSample: 16,
+    });
+    expect(result.samples).toEqual(
+      new Uint16Array([100, 105, 110, 200, 455, 456])
+    );
+  });
+
+  it("undoes floating point differencing", function () {
+    const values = new Float32Array([1.0, 2.5, -3.0]);
+    const bigEndian = new Uint8Array(12);
+    const dataView = new DataView(bigEndian.buffer);
+    for (let i = 0; i < values.length; ++i) {
+      dataView.setFloat32(i * 4, values[i], false);
+    }
+
+    // Split into byte planes, most significant byte first, and difference the bytes
+    const bytes = new Uint8Array(12);
+    for (let i = 0; i < 3; ++i) {
+      for (let b = 0; b < 4; ++b) {
+        bytes[b * 3 + i] = bigEndian[i * 4 + b];
+      }
+    }
+    for (let i = bytes.length - 1; i > 0; --i) {
+      bytes[i] = (bytes[i] - bytes[i - 1]) & 0xff;
+    }
+
+    const result = decodeGeoTiffBlock({
+      buffer: bytes,
+      compression: 1,
+      predictor: 3,
+      width: 3,
+      height: 1,
+      samplesPerPixel: 1,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      littleEndian: false,
+    });
+    expect(result.samples).toEqual(values);
+  });
+
+  it("merges JPEG tables into JPEG compressed blocks", function () {
+    const result = decodeGeoTiffBlock({
+      buffer: new Uint8Array([0xff, 0xd8, 0x01, 0x02, 0xff, 0xd9]),
+      compression: 7,
+      width: 16,
+      height: 16,
+      samplesPerPixel: 3,
+      bitsPerSample: 8,
+      jpegTables: new Uint8Array([0xff, 0xd8, 0x0a, 0x0b, 0xff, 0xd9]),
+    });
+    expect(result.samples).toBeUndefined();
+    expect(result.jpeg).toEqual(
+      new Uint8Array([0xff, 0xd8, 0x0a, 0x0b, 0x01, 0x02, 0xff, 0xd9])
+    );
+  });
+
+  it("throws with an unsupported compression", function () {
+    expect(function () {
+      decodeGeoTiffBlock({
+        buffer: new Uint8Array(4),
+        compression: 34887,
+        width: 2,
+        height: 2,
+        samplesPerPixel: 1,
+        bitsPerSample: 8,
+      });
+    }).toThrowError(RuntimeError);
+  });
+
+  it("throws with an invalid LZW stream", function () {
+    expect(function () {
+      decodeGeoTiffBlock({
+        // A code that is not in the table after the clear code
+        buffer: new Uint8Array([0x80, 0x7f, 0xff, 0x80]),
+        compression: 5,
+        width: 2,
+        height: 2,
+        samplesPerPixel: 1,
+        bitsPerSample: 8,
+      });
+    }).toThrowError(RuntimeError);
+  });
+});
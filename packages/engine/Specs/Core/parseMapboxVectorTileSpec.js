@@ -0,0 +1,180 @@
+import { parseMapboxVectorTile, RuntimeError } from "../../index.js";
+
+import createMapboxVectorTile from "../../../../Specs/createMapboxVectorTile.js";
+
+describe("Core/parseMapboxVectorTile", function () {
+  it("decodes layers", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "water",
+        features: [],
+      },
+      {
+        name: "roads",
+        extent: 512,
+        features: [],
+      },
+    ]);
+
+    const tile = parseMapboxVectorTile(data);
+    expect(tile.layers.length).toEqual(2);
+    expect(tile.layers[0].name).toEqual("water");
+    expect(tile.layers[0].version).toEqual(2);
+    expect(tile.layers[0].extent).toEqual(4096);
+    expect(tile.layers[1].name).toEqual("roads");
+    expect(tile.layers[1].extent).toEqual(512);
+  });
+
+  it("decodes an ArrayBuffer", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "water",
+        features: [],
+      },
+    ]);
+    const buffer = data.buffer.slice(
+      data.byteOffset,
+      data.byteOffset + data.byteLength
+    );
+
+    const tile = parseMapboxVectorTile(buffer);
+    expect(tile.layers[0].name).toEqual("water");
+  });
+
+  it("decodes feature ids and properties", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "places",
+        features: [
+          {
+            id: 42,
+            type: 1,
+            properties: {
+              name: "Tel Aviv",
+              population: 460613,
+              elevation: 5.5,
+              capital: false,
+              offset: -12,
+            },
+            geometry: [[10, 20]],
+          },
+          {
+            type: 1,
+            properties: {
+              name: "Haifa",
+            },
+            geometry: [[30, 40]],
+          },
+        ],
+      },
+    ]);
+
+    const features = parseMapboxVectorTile(data).layers[0].features;
+    expect(features.length).toEqual(2);
+    expect(features[0].id).toEqual(42);
+    expect(features[0].properties).toEqual({
+      name: "Tel Aviv",
+      population: 460613,
+      elevation: 5.5,
+      capital: false,
+      offset: -12,
+    });
+    expect(features[1].id).toBeUndefined();
+    expect(features[1].properties).toEqual({
+      name: "Haifa",
+    });
+  });
+
+  it("decodes points", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "places",
+        features: [
+          {
+            type: 1,
+            geometry: [[25, 17, 10, 50]],
+          },
+        ],
+      },
+    ]);
+
+    const feature = parseMapboxVectorTile(data).layers[0].features[0];
+    expect(feature.type).toEqual(1);
+    expect(feature.geometry).toEqual([[25, 17, 10, 50]]);
+  });
+
+  it("decodes lines", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "roads",
+        features: [
+          {
+            type: 2,
+            geometry: [
+              [2, 2, 2, 10, 10, 10],
+              [1, 1, 3, 5],
+            ],
+          },
+        ],
+      },
+    ]);
+
+    const feature = parseMapboxVectorTile(data).layers[0].features[0];
+    expect(feature.type).toEqual(2);
+    expect(feature.geometry).toEqual([
+      [2, 2, 2, 10, 10, 10],
+      [1, 1, 3, 5],
+    ]);
+  });
+
+  it("groups polygon rings into polygons", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "buildings",
+        features: [
+          {
+            type: 3,
+            geometry: [
+              // Exterior rings are clockwise in tile coordinates and holes are counter-clockwise
+              [0, 0, 10, 0, 10, 10, 0, 10],
+              [11, 11, 20, 11, 20, 20, 11, 20],
+              [13, 13, 13, 17, 17, 17, 17, 13],
+            ],
+          },
+        ],
+      },
+    ]);
+
+    const feature = parseMapboxVectorTile(data).layers[0].features[0];
+    expect(feature.type).toEqual(3);
+    expect(feature.geometry).toEqual([
+      [[0, 0, 10, 0, 10, 10, 0, 10]],
+      [
+        [11, 11, 20, 11, 20, 20, 11, 20],
+        [13, 13, 13, 17, 17, 17, 17, 13],
+      ],
+    ]);
+  });
+
+  it("throws with an invalid geometry command", function () {
+    const data = createMapboxVectorTile([
+      {
+        name: "roads",
+        features: [
+          {
+            type: 2,
+            geometry: [[2, 2, 2, 10]],
+          },
+        ],
+      },
+    ]);
+
+    // Replace the LineTo command (2 | 1 << 3) with an unknown command
+    const index = data.lastIndexOf(10);
+    data[index] = 5;
+
+    expect(function () {
+      parseMapboxVectorTile(data);
+    }).toThrowError(RuntimeError);
+  });
+});
@@ -1,12 +1,18 @@
 import {
   ArcGISTiledElevationTerrainProvider,
+  Cartesian3,
   Cartographic,
   CesiumTerrainProvider,
   createWorldTerrain,
   defined,
+  EllipsoidTerrainProvider,
+  Math as CesiumMath,
   RequestScheduler,
   Resource,
   sampleTerrain,
+  TerrainModification,
+  TerrainModificationCollection,
+  TerrainModificationType,
 } from "../../index.js";
 
 describe("Core/sampleTerrain", function () {
@@ -108,6 +114,42 @@ describe("Core/sampleTerrain", function () {
     });
   });
 
+  it("applies terrain modifications to the sampled heights", function () {
+    const terrainProvider = new EllipsoidTerrainProvider();
+    const terrainModifications = new TerrainModificationCollection({
+      modifications: [
+        new TerrainModification({
+          positions: Cartesian3.fromDegreesArray([
+            0.0,
+            0.0,
+            1.0,
+            0.0,
+            1.0,
+            1.0,
+            0.0,
+            1.0,
+          ]),
+          type: TerrainModificationType.FLATTEN,
+          height: 100.0,
+        }),
+      ],
+    });
+    const positions = [
+      Cartographic.fromDegrees(0.5, 0.5),
+      Cartographic.fromDegrees(2.0, 0.5),
+    ];
+
+    return sampleTerrain(
+      terrainProvider,
+      5,
+      positions,
+      terrainModifications
+    ).then(function () {
+      expect(positions[0].height).toEqualEpsilon(100.0, CesiumMath.EPSILON6);
+      expect(positions[1].height).toEqualEpsilon(0.0, CesiumMath.EPSILON6);
+    });
+  });
+
   describe("with terrain providers", function () {
     beforeEach(function () {
       RequestScheduler.clearForSpecs();
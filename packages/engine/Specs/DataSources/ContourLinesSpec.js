@@ -0,0 +1,228 @@
+import {
+  Cartesian3,
+  Color,
+  computeContourLines,
+  ContourLines,
+  EntityCollection,
+  GeographicTilingScheme,
+  GroundPolylinePrimitive,
+  HeightmapTerrainData,
+  LabelCollection,
+  Math as CesiumMath,
+  Rectangle,
+  TaskProcessor,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe("DataSources/ContourLines", function () {
+  // A terrain provider whose heights increase by 10 meters from each column of its heightmaps to the next
+  function createTerrainProvider() {
+    const buffer = new Float32Array(65 * 65);
+    for (let i = 0; i < buffer.length; ++i) {
+      buffer[i] = (i % 65) * 10.0 + 5.0;
+    }
+    return {
+      tilingScheme: new GeographicTilingScheme(),
+      readyPromise: Promise.resolve(true),
+      requestTileGeometry: function () {
+        return Promise.resolve(
+          new HeightmapTerrainData({
+            buffer: buffer,
+            width: 65,
+            height: 65,
+          })
+        );
+      },
+    };
+  }
+
+  function createContourLines() {
+    return new ContourLines({
+      lines: [
+        {
+          height: 100.0,
+          major: true,
+          positions: Cartesian3.fromDegreesArrayHeights([
+            0.0,
+            0.0,
+            100.0,
+            0.1,
+            0.0,
+            100.0,
+          ]),
+        },
+        {
+          height: 120.0,
+          positions: Cartesian3.fromDegreesArrayHeights([
+            0.0,
+            0.01,
+            120.0,
+            0.1,
+            0.01,
+            120.0,
+          ]),
+        },
+      ],
+    });
+  }
+
+  it("throws without lines", function () {
+    expect(function () {
+      return new ContourLines();
+    }).toThrowDeveloperError();
+  });
+
+  it("fromTerrain throws without a positive interval", function () {
+    const rectangle = Rectangle.fromDegrees(1.0, 1.0, 2.0, 2.0);
+    expect(function () {
+      return ContourLines.fromTerrain(createTerrainProvider(), rectangle);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return ContourLines.fromTerrain(createTerrainProvider(), rectangle, {
+        interval: -1.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("computes contour lines from terrain", function () {
+    // Compute the lines on the main thread
+    spyOn(TaskProcessor.prototype, "scheduleTask").and.callFake(function (
+      parameters
+    ) {
+      return Promise.resolve(computeContourLines(parameters));
+    });
+
+    // The columns of the level zero heightmaps are 2.8125 degrees apart
+    const rectangle = Rectangle.fromDegrees(1.0, 1.0, 12.25, 10.0);
+    return ContourLines.fromTerrain(createTerrainProvider(), rectangle, {
+      interval: 10.0,
+      majorInterval: 20.0,
+      level: 0,
+      gridWidth: 5,
+      gridHeight: 4,
+    }).then(function (contourLines) {
+      const lines = contourLines.lines;
+      expect(lines.length).toEqual(4);
+      for (let i = 0; i < lines.length; ++i) {
+        const line = lines[i];
+        const height = (i + 1) * 10.0;
+        expect(line.height).toEqual(height);
+        expect(line.major).toBe(i % 2 === 1);
+        expect(line.positions.length).toEqual(4);
+
+        const longitude = ((height - 5.0) / 10.0) * 2.8125;
+        for (let j = 0; j < line.positions.length; ++j) {
+          const cartographic = contourLines.ellipsoid.cartesianToCartographic(
+            line.positions[j]
+          );
+          expect(CesiumMath.toDegrees(cartographic.longitude)).toEqualEpsilon(
+            longitude,
+            CesiumMath.EPSILON7
+          );
+          expect(cartographic.height).toEqualEpsilon(
+            height,
+            CesiumMath.EPSILON5
+          );
+        }
+      }
+    });
+  });
+
+  it("creates entities", function () {
+    const entities = new EntityCollection();
+    const result = createContourLines().createEntities(entities, {
+      color: Color.RED,
+      majorColor: Color.BLUE,
+      majorWidth: 3.0,
+    });
+
+    // The major line is about 11 km long, so it has labels every 2 km from 1 km
+    expect(result.length).toEqual(8);
+    expect(entities.values.length).toEqual(8);
+
+    const major = result[0];
+    expect(major.polyline.width.getValue()).toEqual(3.0);
+    expect(major.polyline.material.color.getValue()).toEqual(Color.BLUE);
+    expect(major.polyline.clampToGround.getValue()).toBe(true);
+    expect(major.properties.elevation.getValue()).toEqual(100.0);
+    expect(major.properties.major.getValue()).toBe(true);
+
+    const label = result[1];
+    expect(label.label.text.getValue()).toEqual("100 m");
+    expect(label.properties.elevation.getValue()).toEqual(100.0);
+
+    const minor = result[7];
+    expect(minor.polyline.width.getValue()).toEqual(1.0);
+    expect(minor.polyline.material.color.getValue()).toEqual(Color.RED);
+    expect(minor.properties.major.getValue()).toBe(false);
+  });
+
+  it("creates entities without labels", function () {
+    const entities = new EntityCollection();
+    createContourLines().createEntities(entities, {
+      labels: false,
+    });
+    expect(entities.values.length).toEqual(2);
+  });
+
+  describe(
+    "createPrimitives",
+    function () {
+      let scene;
+
+      // Appearances need the limits of a WebGL context
+      beforeAll(function () {
+        scene = createScene();
+      });
+
+      afterAll(function () {
+        scene.destroyForSpecs();
+      });
+
+      it("creates primitives", function () {
+        const contourLines = createContourLines();
+        const primitives = contourLines.createPrimitives({
+          labelSpacing: 5000.0,
+          formatLabel: function (height) {
+            return `${height} ft`;
+          },
+        });
+
+        expect(primitives.length).toEqual(2);
+        const lines = primitives.get(0);
+        expect(lines).toBeInstanceOf(GroundPolylinePrimitive);
+        expect(lines.geometryInstances.length).toEqual(2);
+        expect(lines.geometryInstances[0].id).toBe(contourLines.lines[0]);
+
+        const labels = primitives.get(1);
+        expect(labels).toBeInstanceOf(LabelCollection);
+        expect(labels.length).toEqual(2);
+        expect(labels.get(0).text).toEqual("100 ft");
+        expect(labels.get(0).id).toBe(contourLines.lines[0]);
+
+        primitives.destroy();
+      });
+    },
+    "WebGL"
+  );
+
+  it("exports GeoJSON", function () {
+    const geoJson = createContourLines().toGeoJson();
+    expect(geoJson.type).toEqual("FeatureCollection");
+    expect(geoJson.features.length).toEqual(2);
+
+    const feature = geoJson.features[0];
+    expect(feature.geometry.type).toEqual("LineString");
+    expect(feature.properties).toEqual({
+      elevation: 100.0,
+      major: true,
+    });
+    expect(feature.geometry.coordinates.length).toEqual(2);
+    expect(feature.geometry.coordinates[1]).toEqualEpsilon(
+      [0.1, 0.0, 100.0],
+      CesiumMath.EPSILON7
+    );
+    expect(geoJson.features[1].properties.major).toBe(false);
+  });
+});
@@ -0,0 +1,447 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  DrawingManager,
+  DrawingMode,
+  Entity,
+  EntityCollection,
+  JulianDate,
+  PolygonHierarchy,
+  Rectangle,
+  ScreenSpaceEventType,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "DataSources/DrawingManager",
+  function () {
+    const time = JulianDate.now();
+
+    let scene;
+    let entities;
+    let manager;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      entities = new EntityCollection();
+      manager = new DrawingManager({
+        scene: scene,
+        entities: entities,
+      });
+
+      // Window positions are picked as positions at the same longitude and latitude in degrees
+      spyOn(manager, "pickPosition").and.callFake(function (windowPosition) {
+        return Cartesian3.fromDegrees(windowPosition.x, windowPosition.y);
+      });
+      spyOn(scene, "pick").and.returnValue(undefined);
+    });
+
+    afterEach(function () {
+      if (!manager.isDestroyed()) {
+        manager.destroy();
+      }
+    });
+
+    function fire(type, x, y) {
+      const position = new Cartesian2(x, y);
+      manager._handler.getInputAction(type)({
+        position: position,
+        startPosition: position,
+        endPosition: position,
+      });
+    }
+
+    function click(x, y) {
+      fire(ScreenSpaceEventType.LEFT_DOWN, x, y);
+      fire(ScreenSpaceEventType.LEFT_UP, x, y);
+      fire(ScreenSpaceEventType.LEFT_CLICK, x, y);
+    }
+
+    function drag(handle, x, y) {
+      scene.pick.and.returnValue({
+        collection: manager._handles,
+        id: handle.id,
+      });
+      fire(ScreenSpaceEventType.LEFT_DOWN, 0, 0);
+      scene.pick.and.returnValue(undefined);
+      fire(ScreenSpaceEventType.MOUSE_MOVE, x, y);
+      fire(ScreenSpaceEventType.LEFT_UP, x, y);
+    }
+
+    function getHandles(isMidpoint) {
+      const handles = [];
+      const collection = manager._handles;
+      for (let i = 0; i < collection.length; i++) {
+        const handle = collection.get(i);
+        if (handle.id.isMidpoint === isMidpoint) {
+          handles.push(handle);
+        }
+      }
+      return handles;
+    }
+
+    function drawPolygon() {
+      manager.startDrawing(DrawingMode.POLYGON);
+      click(0, 0);
+      click(10, 0);
+      click(10, 10);
+      fire(ScreenSpaceEventType.LEFT_DOUBLE_CLICK, 10, 10);
+      return entities.values[0];
+    }
+
+    it("constructor throws without scene or entities", function () {
+      expect(function () {
+        return new DrawingManager({
+          entities: entities,
+        });
+      }).toThrowDeveloperError();
+      expect(function () {
+        return new DrawingManager({
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("startDrawing throws with an invalid mode", function () {
+      expect(function () {
+        manager.startDrawing(-1);
+      }).toThrowDeveloperError();
+    });
+
+    it("draws points", function () {
+      const spy = jasmine.createSpy("createdEvent");
+      manager.createdEvent.addEventListener(spy);
+
+      manager.startDrawing(DrawingMode.POINT);
+      expect(manager.mode).toEqual(DrawingMode.POINT);
+      click(5, 6);
+
+      expect(manager.mode).toBeUndefined();
+      expect(entities.values.length).toEqual(1);
+      const entity = entities.values[0];
+      expect(entity.point).toBeDefined();
+      expect(entity.position.isConstant).toBe(true);
+      expect(entity.position.getValue(time)).toEqual(
+        Cartesian3.fromDegrees(5, 6)
+      );
+      expect(spy).toHaveBeenCalledWith(entity);
+    });
+
+    it("draws polylines finished with a double click", function () {
+      manager.startDrawing(DrawingMode.POLYLINE);
+      click(0, 0);
+      fire(ScreenSpaceEventType.MOUSE_MOVE, 5, 5);
+
+      const entity = entities.values[0];
+      expect(entity.polyline.positions.getValue(time)).toEqual([
+        Cartesian3.fromDegrees(0, 0),
+        Cartesian3.fromDegrees(5, 5),
+      ]);
+
+      // The second click of the double click doesn't add a vertex
+      click(10, 0);
+      click(10, 0);
+      fire(ScreenSpaceEventType.LEFT_DOUBLE_CLICK, 10, 0);
+
+      expect(manager.mode).toBeUndefined();
+      expect(entity.polyline.positions.isConstant).toBe(true);
+      expect(entity.polyline.positions.getValue(time)).toEqual([
+        Cartesian3.fromDegrees(0, 0),
+        Cartesian3.fromDegrees(10, 0),
+      ]);
+    });
+
+    it("draws polygons finished with a right click", function () {
+      manager.startDrawing(DrawingMode.POLYGON);
+      click(0, 0);
+      click(10, 0);
+      click(10, 10);
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 10, 10);
+
+      const entity = entities.values[0];
+      expect(entity.polygon.hierarchy.getValue(time)).toEqual(
+        new PolygonHierarchy([
+          Cartesian3.fromDegrees(0, 0),
+          Cartesian3.fromDegrees(10, 0),
+          Cartesian3.fromDegrees(10, 10),
+        ])
+      );
+    });
+
+    it("cancels shapes without enough vertices", function () {
+      const spy = jasmine.createSpy("createdEvent");
+      manager.createdEvent.addEventListener(spy);
+
+      manager.startDrawing(DrawingMode.POLYGON);
+      click(0, 0);
+      click(10, 0);
+      expect(entities.values.length).toEqual(1);
+
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 10, 0);
+      expect(manager.mode).toBeUndefined();
+      expect(entities.values.length).toEqual(0);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it("draws rectangles and circles", function () {
+      manager.startDrawing(DrawingMode.RECTANGLE);
+      click(0, 0);
+      click(10, 20);
+      const rectangle = entities.values[0];
+      expect(rectangle.rectangle.coordinates.getValue(time)).toEqualEpsilon(
+        Rectangle.fromDegrees(0, 0, 10, 20),
+        1e-12
+      );
+
+      manager.startDrawing(DrawingMode.CIRCLE);
+      click(0, 0);
+      click(0, 3);
+      const circle = entities.values[1];
+      const radius = Cartesian3.distance(
+        Cartesian3.fromDegrees(0, 0),
+        Cartesian3.fromDegrees(0, 3)
+      );
+      expect(circle.position.getValue(time)).toEqual(
+        Cartesian3.fromDegrees(0, 0)
+      );
+      expect(circle.ellipse.semiMajorAxis.getValue(time)).toEqual(radius);
+      expect(circle.ellipse.semiMinorAxis.getValue(time)).toEqual(radius);
+    });
+
+    it("uses the graphics options", function () {
+      manager.destroy();
+      manager = new DrawingManager({
+        scene: scene,
+        entities: entities,
+        polyline: {
+          width: 7.0,
+          clampToGround: false,
+        },
+      });
+      spyOn(manager, "pickPosition").and.callFake(function (windowPosition) {
+        return Cartesian3.fromDegrees(windowPosition.x, windowPosition.y);
+      });
+
+      manager.startDrawing(DrawingMode.POLYLINE);
+      click(0, 0);
+      click(10, 0);
+      manager.finish();
+
+      const polyline = entities.values[0].polyline;
+      expect(polyline.width.getValue(time)).toEqual(7.0);
+      expect(polyline.clampToGround.getValue(time)).toBe(false);
+    });
+
+    it("cancel removes the shape being drawn", function () {
+      manager.startDrawing(DrawingMode.POLYLINE);
+      click(0, 0);
+      manager.cancel();
+      expect(manager.mode).toBeUndefined();
+      expect(entities.values.length).toEqual(0);
+    });
+
+    it("edits entities with handles at their vertices and edges", function () {
+      const entity = drawPolygon();
+      manager.edit(entity);
+      expect(manager.editedEntity).toBe(entity);
+      expect(getHandles(false).length).toEqual(3);
+      expect(getHandles(true).length).toEqual(3);
+
+      const spy = jasmine.createSpy("modifiedEvent");
+      manager.modifiedEvent.addEventListener(spy);
+
+      drag(getHandles(false)[2], 20, 20);
+      expect(spy).toHaveBeenCalledWith(entity);
+      expect(entity.polygon.hierarchy.getValue(time).positions[2]).toEqual(
+        Cartesian3.fromDegrees(20, 20)
+      );
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(true);
+
+      // Dragging the middle of an edge inserts a vertex
+      drag(getHandles(true)[0], 5, -5);
+      expect(entity.polygon.hierarchy.getValue(time).positions).toEqual([
+        Cartesian3.fromDegrees(0, 0),
+        Cartesian3.fromDegrees(5, -5),
+        Cartesian3.fromDegrees(10, 0),
+        Cartesian3.fromDegrees(20, 20),
+      ]);
+      expect(getHandles(false).length).toEqual(4);
+    });
+
+    it("deletes vertices with a right click", function () {
+      const entity = drawPolygon();
+      manager.edit(entity);
+      drag(getHandles(true)[0], 5, -5);
+
+      scene.pick.and.returnValue({
+        collection: manager._handles,
+        id: getHandles(false)[1].id,
+      });
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 0, 0);
+      expect(entity.polygon.hierarchy.getValue(time).positions.length).toEqual(
+        3
+      );
+
+      // Polygons keep at least three vertices
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 0, 0);
+      expect(entity.polygon.hierarchy.getValue(time).positions.length).toEqual(
+        3
+      );
+    });
+
+    it("moves the edge of circles with their center", function () {
+      manager.startDrawing(DrawingMode.CIRCLE);
+      click(0, 0);
+      click(0, 3);
+      const entity = entities.values[0];
+      const radius = entity.ellipse.semiMajorAxis.getValue(time);
+
+      manager.edit(entity);
+      drag(getHandles(false)[0], 3, 0);
+      expect(entity.position.getValue(time)).toEqual(
+        Cartesian3.fromDegrees(3, 0)
+      );
+      expect(entity.ellipse.semiMajorAxis.getValue(time)).toEqualEpsilon(
+        radius,
+        1e-6
+      );
+    });
+
+    it("starts and stops editing on clicks", function () {
+      const entity = drawPolygon();
+      scene.pick.and.returnValue({
+        id: entity,
+      });
+      click(1, 1);
+      expect(manager.editedEntity).toBe(entity);
+
+      scene.pick.and.returnValue(undefined);
+      click(1, 1);
+      expect(manager.editedEntity).toBeUndefined();
+      expect(manager._handles.length).toEqual(0);
+    });
+
+    it("canEdit returns whether entities have editable shapes", function () {
+      expect(DrawingManager.canEdit(new Entity())).toBe(false);
+      expect(
+        DrawingManager.canEdit(
+          new Entity({
+            position: Cartesian3.fromDegrees(0, 0),
+            billboard: {},
+          })
+        )
+      ).toBe(true);
+      expect(
+        DrawingManager.canEdit(
+          new Entity({
+            polyline: {
+              positions: Cartesian3.fromDegreesArray([0, 0, 1, 1]),
+            },
+          })
+        )
+      ).toBe(true);
+      expect(function () {
+        manager.edit(new Entity());
+      }).toThrowDeveloperError();
+    });
+
+    it("undoes and redoes creations, modifications and deletions", function () {
+      const created = jasmine.createSpy("createdEvent");
+      const deleted = jasmine.createSpy("deletedEvent");
+      manager.createdEvent.addEventListener(created);
+      manager.deletedEvent.addEventListener(deleted);
+
+      const entity = drawPolygon();
+      manager.edit(entity);
+      drag(getHandles(false)[0], -5, -5);
+      manager.deleteEntity();
+      expect(entities.contains(entity)).toBe(false);
+      expect(deleted).toHaveBeenCalledWith(entity);
+
+      manager.undo();
+      expect(entities.contains(entity)).toBe(true);
+      expect(created.calls.count()).toEqual(2);
+
+      manager.undo();
+      expect(entity.polygon.hierarchy.getValue(time).positions[0]).toEqual(
+        Cartesian3.fromDegrees(0, 0)
+      );
+
+      manager.undo();
+      expect(entities.contains(entity)).toBe(false);
+      expect(manager.canUndo).toBe(false);
+
+      manager.redo();
+      manager.redo();
+      expect(entities.contains(entity)).toBe(true);
+      expect(entity.polygon.hierarchy.getValue(time).positions[0]).toEqual(
+        Cartesian3.fromDegrees(-5, -5)
+      );
+      expect(manager.canRedo).toBe(true);
+
+      // New operations clear the undone operations
+      manager.deleteEntity(entity);
+      expect(manager.canRedo).toBe(false);
+    });
+
+    it("undo removes the last vertex of the shape being drawn", function () {
+      manager.startDrawing(DrawingMode.POLYLINE);
+      click(0, 0);
+      click(10, 0);
+      expect(manager.canUndo).toBe(true);
+
+      manager.undo();
+      click(20, 0);
+      manager.finish();
+      expect(entities.values[0].polyline.positions.getValue(time)).toEqual([
+        Cartesian3.fromDegrees(0, 0),
+        Cartesian3.fromDegrees(20, 0),
+      ]);
+    });
+
+    it("picks positions on the ellipsoid when not snapping to the scene", function () {
+      const position = Cartesian3.fromDegrees(1, 2);
+      manager.pickPosition.and.callThrough();
+      spyOn(scene.camera, "pickEllipsoid").and.returnValue(position);
+      spyOn(scene, "pickPosition");
+
+      manager.snapToScene = false;
+      const windowPosition = new Cartesian2(1, 2);
+      expect(manager.pickPosition(windowPosition)).toBe(position);
+      expect(scene.camera.pickEllipsoid).toHaveBeenCalledWith(
+        windowPosition,
+        scene.mapProjection.ellipsoid,
+        undefined
+      );
+      expect(scene.pickPosition).not.toHaveBeenCalled();
+    });
+
+    it("raises stateChangedEvent", function () {
+      const spy = jasmine.createSpy("stateChangedEvent");
+      manager.stateChangedEvent.addEventListener(spy);
+      manager.startDrawing(DrawingMode.POINT);
+      expect(spy).toHaveBeenCalledWith(manager);
+    });
+
+    it("destroy keeps drawn entities and removes the handles", function () {
+      const entity = drawPolygon();
+      manager.edit(entity);
+      const handles = manager._handles;
+      expect(scene.primitives.contains(handles)).toBe(true);
+
+      manager.destroy();
+      expect(manager.isDestroyed()).toBe(true);
+      expect(scene.primitives.contains(handles)).toBe(false);
+      expect(entities.contains(entity)).toBe(true);
+    });
+  },
+  "WebGL"
+);
@@ -1,4 +1,5 @@
 import {
+  Cartesian2,
   Cartesian3,
   Color,
   Credit,
@@ -7,6 +8,7 @@ import {
   PolygonHierarchy,
   RuntimeError,
   CallbackProperty,
+  Cesium3DTileStyle,
   ConstantProperty,
   EntityCollection,
   GeoJsonDataSource,
@@ -1107,6 +1109,188 @@ describe("DataSources/GeoJsonDataSource", function () {
     });
   });
 
+  const styledFeatures = {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        id: "city",
+        properties: {
+          name: "Zurich",
+          population: 400000,
+        },
+        geometry: {
+          type: "Point",
+          coordinates: [8.5, 47.4],
+        },
+      },
+      {
+        type: "Feature",
+        id: "road",
+        properties: {
+          name: "A1",
+          population: 0,
+          stroke: "#ff0000",
+        },
+        geometry: {
+          type: "LineString",
+          coordinates: [
+            [8.0, 47.0],
+            [9.0, 47.0],
+          ],
+        },
+      },
+      {
+        type: "Feature",
+        id: "building",
+        properties: {
+          name: "Tower",
+          population: 500,
+          levels: 10,
+        },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [8.0, 47.0],
+              [8.1, 47.0],
+              [8.1, 47.1],
+              [8.0, 47.0],
+            ],
+          ],
+        },
+      },
+    ],
+  };
+
+  it("Can style features with a function", function () {
+    const style = jasmine
+      .createSpy("style")
+      .and.callFake(function (properties) {
+        if (properties.population === 0) {
+          return {
+            color: Color.BLUE,
+            size: 5,
+          };
+        }
+        return {
+          color: Color.GREEN,
+          size: properties.population > 1000 ? 32 : 2,
+          labelText: properties.name,
+          extrudedHeight: properties.levels,
+          show: properties.population > 100,
+        };
+      });
+
+    const dataSource = new GeoJsonDataSource();
+    return dataSource
+      .load(styledFeatures, {
+        style: style,
+      })
+      .then(function () {
+        expect(style).toHaveBeenCalledWith(
+          styledFeatures.features[0].properties,
+          styledFeatures.features[0]
+        );
+        const entities = dataSource.entities;
+
+        const city = entities.getById("city");
+        expect(city.billboard.image.getValue()).toEqual(
+          dataSource._pinBuilder.fromColor(Color.GREEN, 32)
+        );
+        expect(city.label.text.getValue()).toEqual("Zurich");
+        expect(city.label.pixelOffset.getValue()).toEqual(
+          new Cartesian2(0.0, -32.0)
+        );
+        expect(city.show).toBe(true);
+
+        const road = entities.getById("road");
+        expect(road.polyline.material.color.getValue()).toEqual(Color.BLUE);
+        expect(road.polyline.width.getValue()).toEqual(5);
+        expect(road.label).toBeUndefined();
+        expect(road.position).toBeUndefined();
+
+        const building = entities.getById("building");
+        expect(building.polygon.material.color.getValue()).toEqual(Color.GREEN);
+        expect(building.polygon.outlineWidth.getValue()).toEqual(2);
+        expect(building.polygon.extrudedHeight.getValue()).toEqual(10);
+        expect(building.label.text.getValue()).toEqual("Tower");
+        expect(building.position.getValue(time)).toEqualEpsilon(
+          Cartesian3.fromDegrees(8.0666, 47.0333),
+          1000.0
+        );
+        expect(building.show).toBe(true);
+      });
+  });
+
+  it("Can style features with expressions", function () {
+    const dataSource = new GeoJsonDataSource();
+    return dataSource
+      .load(styledFeatures, {
+        style: {
+          color: {
+            conditions: [
+              ["${population} > 1000", "color('red')"],
+              ["true", "color('white', 0.5)"],
+            ],
+          },
+          show: "${population} > 0",
+          size: 12,
+          labelText: "${name} + ' (' + ${population} + ')'",
+          extrudedHeight: "${levels} * ${levelHeight}",
+          defines: {
+            levelHeight: "3.0",
+          },
+        },
+      })
+      .then(function () {
+        const entities = dataSource.entities;
+
+        const city = entities.getById("city");
+        expect(city.billboard.image.getValue()).toEqual(
+          dataSource._pinBuilder.fromColor(Color.RED, 12)
+        );
+        expect(city.label.text.getValue()).toEqual("Zurich (400000)");
+
+        const road = entities.getById("road");
+        expect(road.show).toBe(false);
+        expect(road.polyline.material.color.getValue()).toEqual(
+          Color.WHITE.withAlpha(0.5)
+        );
+        expect(road.polyline.width.getValue()).toEqual(12);
+
+        const building = entities.getById("building");
+        expect(building.show).toBe(true);
+        expect(building.polygon.extrudedHeight.getValue()).toEqual(30.0);
+        expect(building.label.text.getValue()).toEqual("Tower (500)");
+      });
+  });
+
+  it("Can style features with a Cesium3DTileStyle", function () {
+    const dataSource = new GeoJsonDataSource();
+    return dataSource
+      .load(styledFeatures, {
+        style: new Cesium3DTileStyle({
+          color: "${population} > 1000 ? color('yellow') : color('cyan')",
+          pointSize: 20,
+          labelText: "${name}",
+        }),
+      })
+      .then(function () {
+        const entities = dataSource.entities;
+
+        const city = entities.getById("city");
+        expect(city.billboard.image.getValue()).toEqual(
+          dataSource._pinBuilder.fromColor(Color.YELLOW, 20)
+        );
+        expect(city.label.text.getValue()).toEqual("Zurich");
+
+        const road = entities.getById("road");
+        expect(road.polyline.material.color.getValue()).toEqual(Color.CYAN);
+        expect(road.label.text.getValue()).toEqual("A1");
+      });
+  });
+
   it("Generates description", function () {
     const dataSource = new GeoJsonDataSource();
     return dataSource.load(topoJson).then(function () {
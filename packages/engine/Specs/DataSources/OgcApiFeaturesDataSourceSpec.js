@@ -0,0 +1,315 @@
+import Uri from "urijs";
+import {
+  Cartesian3,
+  GeoJsonDataSource,
+  JulianDate,
+  Math as CesiumMath,
+  OgcApiFeaturesDataSource,
+  queryToObject,
+  Rectangle,
+  RequestErrorEvent,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+
+describe("DataSources/OgcApiFeaturesDataSource", function () {
+  const collectionUrl = "https://features.example.com/ogcapi/collections/roads";
+  const itemsUrl = `${collectionUrl}/items`;
+
+  let features;
+  let requests;
+
+  function createFeature(id, longitude, latitude) {
+    return {
+      type: "Feature",
+      id: id,
+      properties: {
+        name: `Road ${id}`,
+      },
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [longitude, latitude],
+          [longitude + 0.1, latitude + 0.1],
+        ],
+      },
+    };
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+
+    features = [0, 1, 2, 3, 4].map(function (index) {
+      return createFeature(`road.${index}`, 8.0 + index, 47.0);
+    });
+    requests = [];
+
+    // Serves the features in pages, with relative links to the next pages
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const uri = new Uri(url);
+      const query = queryToObject(uri.query());
+      requests.push(query);
+      if (uri.query("").toString() !== itemsUrl) {
+        deferred.reject(new RequestErrorEvent(404));
+        return;
+      }
+
+      const offset = Number(query.offset || 0);
+      const limit = Number(query.limit);
+      const page = features.slice(offset, offset + limit);
+      const links = [];
+      if (offset + limit < features.length) {
+        links.push({
+          rel: "next",
+          type: "application/geo+json",
+          href: `items?offset=${offset + limit}&limit=${limit}`,
+        });
+      }
+      deferred.resolve(
+        JSON.stringify({
+          type: "FeatureCollection",
+          features: page,
+          links: links,
+        })
+      );
+    };
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  function expectBbox(bbox, expected) {
+    const values = bbox.split(",").map(Number);
+    expect(values.length).toEqual(4);
+    values.forEach(function (value, index) {
+      expect(value).toEqualEpsilon(expected[index], CesiumMath.EPSILON12);
+    });
+  }
+
+  it("requires the url", function () {
+    expect(function () {
+      return new OgcApiFeaturesDataSource({});
+    }).toThrowDeveloperError();
+  });
+
+  it("requests the items of the collection", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+      name: "Roads",
+      parameters: {
+        filter: "lanes>2",
+      },
+    });
+    expect(dataSource).toBeInstanceOf(GeoJsonDataSource);
+    expect(dataSource.name).toEqual("Roads");
+    expect(dataSource.itemsResource.getUrlComponent()).toEqual(itemsUrl);
+    expect(dataSource.itemsResource.queryParameters).toEqual({
+      filter: "lanes>2",
+    });
+
+    const itemsDataSource = new OgcApiFeaturesDataSource({
+      url: `${itemsUrl}?f=json`,
+    });
+    expect(itemsDataSource.itemsResource.getUrlComponent(true)).toEqual(
+      `${itemsUrl}?f=json`
+    );
+  });
+
+  it("loads the features of a rectangle page by page", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+      limit: 2,
+      strokeWidth: 5.0,
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(7.0, 46.0, 13.0, 48.0))
+      .then(function (result) {
+        expect(result).toBe(dataSource);
+        expect(requests.length).toEqual(3);
+        expect(requests[0].limit).toEqual("2");
+        expectBbox(requests[0].bbox, [7.0, 46.0, 13.0, 48.0]);
+        expect(requests[2].offset).toEqual("4");
+        expectBbox(requests[2].bbox, [7.0, 46.0, 13.0, 48.0]);
+
+        const entities = dataSource.entities;
+        expect(entities.values.length).toEqual(5);
+        const entity = entities.getById("road.3");
+        expect(entity.name).toEqual("Road road.3");
+        expect(entity.polyline.width.getValue()).toEqual(5.0);
+        expect(dataSource.isLoading).toBe(false);
+      });
+  });
+
+  it("does not add features that are already loaded", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+      limit: 2,
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(7.0, 46.0, 10.0, 48.0))
+      .then(function () {
+        features.push(createFeature("road.5", 13.0, 47.0));
+        return dataSource.loadFeatures();
+      })
+      .then(function () {
+        expect(requests[3].bbox).toBeUndefined();
+        const ids = dataSource.entities.values.map(function (entity) {
+          return entity.id;
+        });
+        expect(ids.sort()).toEqual([
+          "road.0",
+          "road.1",
+          "road.2",
+          "road.3",
+          "road.4",
+          "road.5",
+        ]);
+      });
+  });
+
+  it("stops requesting pages after the maximum number of features", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+      limit: 2,
+      maximumFeatures: 3,
+    });
+
+    return dataSource.loadFeatures().then(function () {
+      expect(requests.length).toEqual(2);
+      expect(dataSource.entities.values.length).toEqual(4);
+    });
+  });
+
+  it("removes the features when reloading", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+    });
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        dataSource.reload();
+        expect(dataSource.entities.values.length).toEqual(0);
+        return dataSource.loadFeatures();
+      })
+      .then(function () {
+        expect(dataSource.entities.values.length).toEqual(5);
+      });
+  });
+
+  it("loads the features in the view of the camera when it stops moving", function () {
+    const rectangle = Rectangle.fromDegrees(7.0, 46.0, 13.0, 48.0);
+    const camera = {
+      positionWC: new Cartesian3(7000000.0, 0.0, 0.0),
+      directionWC: Cartesian3.negate(Cartesian3.UNIT_X, new Cartesian3()),
+      upWC: Cartesian3.clone(Cartesian3.UNIT_Z),
+      computeViewRectangle: function () {
+        return rectangle;
+      },
+    };
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+      camera: camera,
+      refreshDelay: 0.0,
+    });
+    spyOn(dataSource, "loadFeatures").and.callThrough();
+
+    const time = JulianDate.now();
+    expect(dataSource.update(time)).toBe(true);
+    expect(dataSource.loadFeatures).toHaveBeenCalledWith(rectangle);
+
+    // The camera has not moved
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(1);
+
+    // The camera is moving, and the features are requested once it stops
+    dataSource.refreshDelay = 1000.0;
+    camera.positionWC = new Cartesian3(8000000.0, 0.0, 0.0);
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(1);
+    dataSource.refreshDelay = 0.0;
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(2);
+
+    return dataSource.loadFeatures.calls
+      .mostRecent()
+      .returnValue.then(function () {
+        expect(dataSource.entities.values.length).toEqual(5);
+      });
+  });
+
+  it("loads the whole collection once without a camera", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+    });
+    spyOn(dataSource, "loadFeatures").and.callThrough();
+
+    const time = JulianDate.now();
+    dataSource.update(time);
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(1);
+    expect(dataSource.loadFeatures).toHaveBeenCalledWith(undefined);
+    return dataSource.loadFeatures.calls.mostRecent().returnValue;
+  });
+
+  it("raises the error event when the items cannot be requested", function () {
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: `${collectionUrl}/unknown`,
+    });
+    const errorListener = jasmine.createSpy("errorListener");
+    dataSource.errorEvent.addEventListener(errorListener);
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RequestErrorEvent);
+        expect(errorListener).toHaveBeenCalledWith(dataSource, error);
+        expect(dataSource.isLoading).toBe(false);
+      });
+  });
+
+  it("raises the error event when the items are not a feature collection", function () {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      deferred.resolve(JSON.stringify({ type: "Feature" }));
+    };
+    const dataSource = new OgcApiFeaturesDataSource({
+      url: collectionUrl,
+    });
+    const errorListener = jasmine.createSpy("errorListener");
+    dataSource.errorEvent.addEventListener(errorListener);
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RuntimeError);
+        expect(errorListener).toHaveBeenCalled();
+      });
+  });
+});
@@ -0,0 +1,409 @@
+import Uri from "urijs";
+import {
+  Cartesian3,
+  GeoJsonDataSource,
+  JulianDate,
+  queryToObject,
+  Rectangle,
+  RequestErrorEvent,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WfsDataSource,
+} from "../../index.js";
+
+describe("DataSources/WfsDataSource", function () {
+  const url = "https://example.com/geoserver/wfs";
+  const gmlFormat = "application/gml+xml; version=3.2";
+
+  let features;
+  let requests;
+
+  function createFeature(id, longitude, latitude) {
+    return {
+      type: "Feature",
+      id: id,
+      properties: {
+        name: `Site ${id}`,
+      },
+      geometry: {
+        type: "Point",
+        coordinates: [longitude, latitude],
+      },
+    };
+  }
+
+  function createGml(features) {
+    const members = features
+      .map(function (feature) {
+        const coordinates = feature.geometry.coordinates;
+        return (
+          `<wfs:member><app:sites gml:id="${feature.id}">` +
+          `<app:name>${feature.properties.name}</app:name>` +
+          `<app:location><gml:Point srsName="urn:ogc:def:crs:EPSG::4326">` +
+          `<gml:pos>${coordinates[1]} ${coordinates[0]}</gml:pos>` +
+          `</gml:Point></app:location></app:sites></wfs:member>`
+        );
+      })
+      .join("");
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?>` +
+      `<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ` +
+      `xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:app="http://example.com/app">` +
+      `${members}</wfs:FeatureCollection>`
+    );
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+
+    features = [0, 1, 2, 3].map(function (index) {
+      return createFeature(`sites.${index}`, 8.0 + index, 47.0);
+    });
+    requests = [];
+
+    // Serves the features of the bounding box of the request
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const query = queryToObject(new Uri(url).query());
+      requests.push(query);
+      if (query.typeNames !== "app:sites") {
+        deferred.reject(new RequestErrorEvent(400));
+        return;
+      }
+
+      let result = features;
+      if (query.bbox) {
+        const bbox = query.bbox.split(",").map(Number);
+        result = features.filter(function (feature) {
+          const coordinates = feature.geometry.coordinates;
+          return (
+            coordinates[0] >= bbox[1] &&
+            coordinates[0] <= bbox[3] &&
+            coordinates[1] >= bbox[0] &&
+            coordinates[1] <= bbox[2]
+          );
+        });
+      }
+      result = result.slice(0, Number(query.count));
+
+      deferred.resolve(
+        query.outputFormat === gmlFormat
+          ? createGml(result)
+          : JSON.stringify({
+              type: "FeatureCollection",
+              features: result,
+            })
+      );
+    };
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("requires the url and type names", function () {
+    expect(function () {
+      return new WfsDataSource({
+        typeNames: "app:sites",
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new WfsDataSource({
+        url: url,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs with default options", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      name: "Sites",
+    });
+    expect(dataSource).toBeInstanceOf(GeoJsonDataSource);
+    expect(dataSource.name).toEqual("Sites");
+    expect(dataSource.resource.url).toEqual(url);
+    expect(dataSource.typeNames).toEqual("app:sites");
+    expect(dataSource.outputFormat).toEqual("application/json");
+    expect(dataSource.maximumFeatures).toEqual(1000);
+    expect(dataSource.filter).toBeUndefined();
+    expect(dataSource.refreshDelay).toEqual(1.0);
+  });
+
+  it("requests the GeoJSON features of a rectangle", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      maximumFeatures: 50,
+      parameters: {
+        map: "sites",
+      },
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(7.5, 46.0, 9.5, 48.0))
+      .then(function (result) {
+        expect(result).toBe(dataSource);
+        expect(requests.length).toEqual(1);
+        expect(requests[0]).toEqual({
+          service: "WFS",
+          version: "2.0.0",
+          request: "GetFeature",
+          typeNames: "app:sites",
+          outputFormat: "application/json",
+          srsName: "EPSG:4326",
+          count: "50",
+          bbox: requests[0].bbox,
+          map: "sites",
+        });
+        const bbox = requests[0].bbox.split(",");
+        expect(bbox.slice(0, 4).map(Number)).toEqualEpsilon(
+          [46.0, 7.5, 48.0, 9.5],
+          1e-12
+        );
+        expect(bbox[4]).toEqual("urn:ogc:def:crs:EPSG::4326");
+
+        const entities = dataSource.entities;
+        expect(entities.values.length).toEqual(2);
+        expect(entities.getById("sites.1").name).toEqual("Site sites.1");
+        expect(dataSource.isLoading).toBe(false);
+      });
+  });
+
+  it("requests the GML features of a rectangle", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      outputFormat: gmlFormat,
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(7.5, 46.0, 9.5, 48.0))
+      .then(function () {
+        expect(requests[0].srsName).toEqual("urn:ogc:def:crs:EPSG::4326");
+        const entities = dataSource.entities;
+        expect(entities.values.length).toEqual(2);
+        const entity = entities.getById("sites.1");
+        expect(entity.properties.name.getValue()).toEqual("Site sites.1");
+        expect(entity.position.getValue(JulianDate.now())).toEqualEpsilon(
+          Cartesian3.fromDegrees(9.0, 47.0),
+          1e-6
+        );
+      });
+  });
+
+  it("does not add features that are already loaded", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(7.5, 46.0, 9.5, 48.0))
+      .then(function () {
+        return dataSource.loadFeatures(
+          Rectangle.fromDegrees(8.5, 46.0, 12.0, 48.0)
+        );
+      })
+      .then(function () {
+        const ids = dataSource.entities.values.map(function (entity) {
+          return entity.id;
+        });
+        expect(ids.sort()).toEqual([
+          "sites.0",
+          "sites.1",
+          "sites.2",
+          "sites.3",
+        ]);
+      });
+  });
+
+  it("requests the maximum number of features", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      maximumFeatures: 3,
+    });
+
+    return dataSource.loadFeatures().then(function () {
+      expect(requests[0].count).toEqual("3");
+      expect(requests[0].bbox).toBeUndefined();
+      expect(dataSource.entities.values.length).toEqual(3);
+    });
+  });
+
+  it("combines the filter with the rectangle", function () {
+    const filter =
+      "<fes:PropertyIsEqualTo><fes:ValueReference>name</fes:ValueReference>" +
+      "<fes:Literal>Site sites.1</fes:Literal></fes:PropertyIsEqualTo>";
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      filter: filter,
+    });
+    expect(dataSource.filter).toEqual(filter);
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(-10.0, -20.0, 10.0, 20.0))
+      .then(function () {
+        return dataSource.loadFeatures();
+      })
+      .then(function () {
+        expect(requests[0].bbox).toBeUndefined();
+        const xml = new DOMParser().parseFromString(
+          requests[0].filter,
+          "text/xml"
+        );
+        const root = xml.documentElement;
+        expect(root.localName).toEqual("Filter");
+        expect(root.namespaceURI).toEqual("http://www.opengis.net/fes/2.0");
+        const and = root.firstChild;
+        expect(and.localName).toEqual("And");
+        expect(and.childNodes[0].localName).toEqual("BBOX");
+        expect(
+          and.childNodes[0].getElementsByTagNameNS(
+            "http://www.opengis.net/gml/3.2",
+            "lowerCorner"
+          )[0].textContent
+        ).toEqual("-20 -10");
+        expect(and.childNodes[1].localName).toEqual("PropertyIsEqualTo");
+
+        expect(requests[1].filter).toEqual(
+          `<fes:Filter xmlns:fes="http://www.opengis.net/fes/2.0" xmlns:gml="http://www.opengis.net/gml/3.2">${filter}</fes:Filter>`
+        );
+      });
+  });
+
+  it("requests all longitudes for rectangles crossing the antimeridian", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+    });
+
+    return dataSource
+      .loadFeatures(Rectangle.fromDegrees(170.0, -10.0, -170.0, 10.0))
+      .then(function () {
+        const bbox = requests[0].bbox.split(",");
+        expect(Number(bbox[1])).toEqual(-180.0);
+        expect(Number(bbox[3])).toEqual(180.0);
+      });
+  });
+
+  it("removes the features when reloading", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+    });
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        dataSource.reload();
+        expect(dataSource.entities.values.length).toEqual(0);
+        return dataSource.loadFeatures();
+      })
+      .then(function () {
+        expect(dataSource.entities.values.length).toEqual(4);
+      });
+  });
+
+  it("loads the features in the view of the camera when it stops moving", function () {
+    const rectangle = Rectangle.fromDegrees(7.5, 46.0, 9.5, 48.0);
+    const camera = {
+      positionWC: new Cartesian3(7000000.0, 0.0, 0.0),
+      directionWC: Cartesian3.negate(Cartesian3.UNIT_X, new Cartesian3()),
+      upWC: Cartesian3.clone(Cartesian3.UNIT_Z),
+      computeViewRectangle: function () {
+        return rectangle;
+      },
+    };
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      camera: camera,
+      refreshDelay: 0.0,
+    });
+    spyOn(dataSource, "loadFeatures").and.callThrough();
+
+    const time = JulianDate.now();
+    expect(dataSource.update(time)).toBe(true);
+    expect(dataSource.loadFeatures).toHaveBeenCalledWith(rectangle);
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(1);
+
+    camera.positionWC = new Cartesian3(8000000.0, 0.0, 0.0);
+    dataSource.update(time);
+    expect(dataSource.loadFeatures.calls.count()).toEqual(2);
+
+    return dataSource.loadFeatures.calls
+      .mostRecent()
+      .returnValue.then(function () {
+        expect(dataSource.entities.values.length).toEqual(2);
+      });
+  });
+
+  it("raises the error event when the features cannot be requested", function () {
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:unknown",
+    });
+    const errorListener = jasmine.createSpy("errorListener");
+    dataSource.errorEvent.addEventListener(errorListener);
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RequestErrorEvent);
+        expect(errorListener).toHaveBeenCalledWith(dataSource, error);
+        expect(dataSource.isLoading).toBe(false);
+      });
+  });
+
+  it("raises the error event for exception reports", function () {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      deferred.resolve(
+        `<ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/1.1" version="2.0.0">` +
+          `<ows:Exception exceptionCode="OperationProcessingFailed"><ows:ExceptionText>Failure</ows:ExceptionText></ows:Exception>` +
+          `</ows:ExceptionReport>`
+      );
+    };
+    const dataSource = new WfsDataSource({
+      url: url,
+      typeNames: "app:sites",
+      outputFormat: gmlFormat,
+    });
+    const errorListener = jasmine.createSpy("errorListener");
+    dataSource.errorEvent.addEventListener(errorListener);
+
+    return dataSource
+      .loadFeatures()
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RuntimeError);
+        expect(errorListener).toHaveBeenCalledWith(dataSource, error);
+        expect(dataSource.isLoading).toBe(false);
+      });
+  });
+});
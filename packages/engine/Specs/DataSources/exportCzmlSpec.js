@@ -0,0 +1,330 @@
+import {
+  CallbackProperty,
+  Cartesian3,
+  Color,
+  ColorMaterialProperty,
+  CzmlDataSource,
+  EntityCollection,
+  exportCzml,
+  HeightReference,
+  JulianDate,
+  PolygonHierarchy,
+  PolylineOutlineMaterialProperty,
+  SampledPositionProperty,
+  StripeMaterialProperty,
+  StripeOrientation,
+  TimeInterval,
+  TimeIntervalCollection,
+  TimeIntervalCollectionProperty,
+} from "../../index.js";
+
+describe("DataSources/exportCzml", function () {
+  const start = JulianDate.fromIso8601("2022-01-01T00:00:00Z");
+  const stop = JulianDate.fromIso8601("2022-01-01T00:02:00Z");
+
+  function getPacket(czml, id) {
+    return czml.find(function (packet) {
+      return packet.id === id;
+    });
+  }
+
+  it("requires entities", function () {
+    expect(function () {
+      exportCzml({});
+    }).toThrowDeveloperError();
+  });
+
+  it("writes the document packet", function () {
+    const czml = exportCzml({
+      entities: new EntityCollection(),
+      name: "Drawings",
+    });
+    expect(czml).toEqual([
+      {
+        id: "document",
+        version: "1.0",
+        name: "Drawings",
+      },
+    ]);
+  });
+
+  it("exports constant properties, graphics and materials", function () {
+    const entities = new EntityCollection();
+    const position = Cartesian3.fromDegrees(8.0, 47.0, 100.0);
+    entities.add({
+      id: "marker",
+      name: "Marker",
+      description: "A marker",
+      position: position,
+      billboard: {
+        image: "marker.png",
+        scale: 2.0,
+        color: Color.RED,
+        heightReference: HeightReference.CLAMP_TO_GROUND,
+      },
+      properties: {
+        category: "poi",
+        rank: 3,
+        tint: Color.BLUE,
+      },
+    });
+    entities.add({
+      id: "road",
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([8.0, 47.0, 8.1, 47.1]),
+        width: 4.0,
+        material: new PolylineOutlineMaterialProperty({
+          color: Color.YELLOW,
+          outlineColor: Color.BLACK,
+          outlineWidth: 2.0,
+        }),
+      },
+    });
+    entities.add({
+      id: "parcel",
+      polygon: {
+        hierarchy: new PolygonHierarchy(
+          Cartesian3.fromDegreesArray([0, 0, 2, 0, 2, 2, 0, 2]),
+          [
+            new PolygonHierarchy(
+              Cartesian3.fromDegreesArray([0.5, 0.5, 1, 0.5, 1, 1])
+            ),
+          ]
+        ),
+        material: new StripeMaterialProperty({
+          orientation: StripeOrientation.VERTICAL,
+          evenColor: Color.WHITE,
+          oddColor: Color.GREEN,
+          repeat: 4.0,
+        }),
+        outline: true,
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+    });
+    expect(czml.length).toEqual(4);
+
+    const marker = getPacket(czml, "marker");
+    expect(marker.name).toEqual("Marker");
+    expect(marker.description).toEqual("A marker");
+    expect(marker.position).toEqual({
+      cartesian: [position.x, position.y, position.z],
+    });
+    expect(marker.billboard).toEqual({
+      image: {
+        uri: "marker.png",
+      },
+      scale: 2.0,
+      color: {
+        rgbaf: [1.0, 0.0, 0.0, 1.0],
+      },
+      heightReference: {
+        heightReference: "CLAMP_TO_GROUND",
+      },
+    });
+    expect(marker.properties).toEqual({
+      category: "poi",
+      rank: 3,
+      tint: {
+        rgbaf: [0.0, 0.0, 1.0, 1.0],
+      },
+    });
+
+    const road = getPacket(czml, "road");
+    expect(road.polyline.width).toEqual(4.0);
+    expect(road.polyline.positions.cartesian.length).toEqual(6);
+    expect(road.polyline.material).toEqual({
+      polylineOutline: {
+        color: {
+          rgbaf: [1.0, 1.0, 0.0, 1.0],
+        },
+        outlineColor: {
+          rgbaf: [0.0, 0.0, 0.0, 1.0],
+        },
+        outlineWidth: 2.0,
+      },
+    });
+
+    const parcel = getPacket(czml, "parcel");
+    expect(parcel.polygon.positions.cartesian.length).toEqual(12);
+    expect(parcel.polygon.holes.cartesian.length).toEqual(1);
+    expect(parcel.polygon.holes.cartesian[0].length).toEqual(9);
+    expect(parcel.polygon.outline).toBe(true);
+    expect(parcel.polygon.material.stripe.orientation).toEqual({
+      stripeOrientation: "VERTICAL",
+    });
+    expect(parcel.polygon.material.stripe.repeat).toEqual(4.0);
+  });
+
+  it("exports documents that load in CzmlDataSource", function () {
+    const entities = new EntityCollection();
+    const parent = entities.add({
+      id: "parent",
+      name: "Group",
+    });
+    entities.add({
+      id: "child",
+      parent: parent,
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: start,
+          stop: stop,
+        }),
+      ]),
+      position: Cartesian3.fromDegrees(8.0, 47.0),
+      point: {
+        pixelSize: 12.0,
+        color: Color.ORANGE,
+      },
+      ellipse: {
+        semiMajorAxis: 200.0,
+        semiMinorAxis: 100.0,
+        material: new ColorMaterialProperty(Color.RED.withAlpha(0.5)),
+      },
+      properties: {
+        height: 12.5,
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+    });
+    return CzmlDataSource.load(czml).then(function (dataSource) {
+      const child = dataSource.entities.getById("child");
+      expect(child.parent).toBe(dataSource.entities.getById("parent"));
+      expect(child.availability.start).toEqual(start);
+      expect(child.availability.stop).toEqual(stop);
+      expect(child.position.getValue(start)).toEqualEpsilon(
+        Cartesian3.fromDegrees(8.0, 47.0),
+        1e-7
+      );
+      expect(child.point.pixelSize.getValue(start)).toEqual(12.0);
+      expect(child.point.color.getValue(start)).toEqual(Color.ORANGE);
+      expect(child.ellipse.semiMajorAxis.getValue(start)).toEqual(200.0);
+      expect(child.ellipse.material.color.getValue(start)).toEqual(
+        Color.RED.withAlpha(0.5)
+      );
+      expect(child.properties.height.getValue(start)).toEqual(12.5);
+    });
+  });
+
+  it("exports the samples of sampled positions", function () {
+    const entities = new EntityCollection();
+    const position = new SampledPositionProperty();
+    const first = Cartesian3.fromDegrees(8.0, 47.0);
+    const second = Cartesian3.fromDegrees(8.1, 47.1);
+    position.addSample(start, first);
+    position.addSample(stop, second);
+    entities.add({
+      id: "vehicle",
+      position: position,
+      point: {},
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+    });
+    const vehicle = getPacket(czml, "vehicle");
+    expect(vehicle.position.epoch).toEqual(JulianDate.toIso8601(start));
+    expect(vehicle.position.cartesian).toEqual([
+      0.0,
+      first.x,
+      first.y,
+      first.z,
+      120.0,
+      second.x,
+      second.y,
+      second.z,
+    ]);
+    expect(vehicle.position.interpolationAlgorithm).toEqual("LINEAR");
+    expect(vehicle.position.interpolationDegree).toEqual(1);
+    expect(vehicle.point).toEqual({});
+  });
+
+  it("samples time-dynamic properties over the availability of the entity", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "label",
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: start,
+          stop: stop,
+        }),
+      ]),
+      label: {
+        scale: new CallbackProperty(function (time) {
+          return 1.0 + JulianDate.secondsDifference(time, start) / 60.0;
+        }, false),
+        text: new CallbackProperty(function (time) {
+          return JulianDate.secondsDifference(time, start) < 90.0
+            ? "Before"
+            : "After";
+        }, false),
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+      sampleDuration: 30.0,
+    });
+    const label = getPacket(czml, "label").label;
+    expect(label.scale).toEqual({
+      epoch: JulianDate.toIso8601(start),
+      number: [0.0, 1.0, 30.0, 1.5, 60.0, 2.0, 90.0, 2.5, 120.0, 3.0],
+    });
+    expect(label.text).toEqual([
+      {
+        interval: "2022-01-01T00:00:00Z/2022-01-01T00:01:30Z",
+        string: "Before",
+      },
+      {
+        interval: "2022-01-01T00:01:30Z/2022-01-01T00:02:00Z",
+        string: "After",
+      },
+    ]);
+  });
+
+  it("exports the intervals of time interval collection properties", function () {
+    const middle = JulianDate.addSeconds(start, 60.0, new JulianDate());
+    const show = new TimeIntervalCollectionProperty();
+    show.intervals.addInterval(
+      new TimeInterval({
+        start: start,
+        stop: middle,
+        isStopIncluded: false,
+        data: true,
+      })
+    );
+    show.intervals.addInterval(
+      new TimeInterval({
+        start: middle,
+        stop: stop,
+        data: false,
+      })
+    );
+    const entities = new EntityCollection();
+    entities.add({
+      id: "point",
+      position: Cartesian3.fromDegrees(8.0, 47.0),
+      point: {
+        show: show,
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+    });
+    expect(getPacket(czml, "point").point.show).toEqual([
+      {
+        interval: "2022-01-01T00:00:00Z/2022-01-01T00:01:00Z",
+        boolean: true,
+      },
+      {
+        interval: "2022-01-01T00:01:00Z/2022-01-01T00:02:00Z",
+        boolean: false,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,294 @@
+import {
+  Cartesian3,
+  Color,
+  ColorMaterialProperty,
+  EntityCollection,
+  exportGeoJson,
+  GeoJsonDataSource,
+  JulianDate,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  Rectangle,
+  SampledPositionProperty,
+} from "../../index.js";
+
+describe("DataSources/exportGeoJson", function () {
+  const start = JulianDate.fromIso8601("2022-01-01T00:00:00Z");
+  const stop = JulianDate.fromIso8601("2022-01-01T00:02:00Z");
+
+  function getFeature(geoJson, id) {
+    return geoJson.features.find(function (feature) {
+      return feature.id === id;
+    });
+  }
+
+  function expectCoordinates(actual, expected) {
+    expect(actual.length).toEqual(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+      if (Array.isArray(expected[i])) {
+        expectCoordinates(actual[i], expected[i]);
+      } else {
+        expect(actual[i]).toEqualEpsilon(expected[i], CesiumMath.EPSILON7);
+      }
+    }
+  }
+
+  it("requires entities", function () {
+    expect(function () {
+      exportGeoJson({});
+    }).toThrowDeveloperError();
+  });
+
+  it("exports points with their properties", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "marker",
+      name: "Marker",
+      description: "A marker",
+      position: Cartesian3.fromDegrees(8.0, 47.0, 100.0),
+      point: {
+        color: Color.RED,
+      },
+      properties: {
+        category: "poi",
+        rank: 3,
+        tint: Color.BLUE,
+        visited: start,
+      },
+    });
+
+    const geoJson = exportGeoJson({
+      entities: entities,
+    });
+    expect(geoJson.type).toEqual("FeatureCollection");
+    expect(geoJson.features.length).toEqual(1);
+
+    const feature = geoJson.features[0];
+    expect(feature.type).toEqual("Feature");
+    expect(feature.id).toEqual("marker");
+    expect(feature.geometry.type).toEqual("Point");
+    expectCoordinates(feature.geometry.coordinates, [8.0, 47.0, 100.0]);
+    expect(feature.properties).toEqual({
+      category: "poi",
+      rank: 3,
+      tint: Color.BLUE.toCssColorString(),
+      visited: JulianDate.toIso8601(start),
+      title: "Marker",
+      description: "A marker",
+      "marker-color": "#ff0000",
+    });
+  });
+
+  it("exports polylines, polygons and rectangles with their styles", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "road",
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([8.0, 47.0, 8.1, 47.1]),
+        width: 4.0,
+        material: Color.YELLOW.withAlpha(0.5),
+      },
+    });
+    entities.add({
+      id: "parcel",
+      polygon: {
+        hierarchy: new PolygonHierarchy(
+          Cartesian3.fromDegreesArray([0, 0, 2, 0, 2, 2, 0, 2]),
+          [
+            new PolygonHierarchy(
+              Cartesian3.fromDegreesArray([0.5, 0.5, 1, 0.5, 1, 1])
+            ),
+          ]
+        ),
+        material: new ColorMaterialProperty(Color.GREEN.withAlpha(0.25)),
+        outline: true,
+        outlineColor: Color.BLACK,
+        outlineWidth: 2.0,
+      },
+    });
+    entities.add({
+      id: "area",
+      rectangle: {
+        coordinates: Rectangle.fromDegrees(1.0, 2.0, 3.0, 4.0),
+        height: 10.0,
+      },
+    });
+
+    const geoJson = exportGeoJson({
+      entities: entities,
+    });
+
+    const road = getFeature(geoJson, "road");
+    expect(road.geometry.type).toEqual("LineString");
+    expectCoordinates(road.geometry.coordinates, [
+      [8.0, 47.0, 0.0],
+      [8.1, 47.1, 0.0],
+    ]);
+    expect(road.properties).toEqual({
+      stroke: "#ffff00",
+      "stroke-opacity": 0.5,
+      "stroke-width": 4.0,
+    });
+
+    const parcel = getFeature(geoJson, "parcel");
+    expect(parcel.geometry.type).toEqual("Polygon");
+    expectCoordinates(parcel.geometry.coordinates, [
+      [
+        [0, 0, 0],
+        [2, 0, 0],
+        [2, 2, 0],
+        [0, 2, 0],
+        [0, 0, 0],
+      ],
+      [
+        [0.5, 0.5, 0],
+        [1, 0.5, 0],
+        [1, 1, 0],
+        [0.5, 0.5, 0],
+      ],
+    ]);
+    expect(parcel.properties).toEqual({
+      fill: "#008000",
+      "fill-opacity": 0.25,
+      stroke: "#000000",
+      "stroke-opacity": 1.0,
+      "stroke-width": 2.0,
+    });
+
+    const area = getFeature(geoJson, "area");
+    expect(area.geometry.type).toEqual("Polygon");
+    expectCoordinates(area.geometry.coordinates, [
+      [
+        [1.0, 2.0, 10.0],
+        [3.0, 2.0, 10.0],
+        [3.0, 4.0, 10.0],
+        [1.0, 4.0, 10.0],
+        [1.0, 2.0, 10.0],
+      ],
+    ]);
+  });
+
+  it("exports polygons with islands as multi polygons", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "lake",
+      polygon: {
+        hierarchy: new PolygonHierarchy(
+          Cartesian3.fromDegreesArray([0, 0, 4, 0, 4, 4, 0, 4]),
+          [
+            new PolygonHierarchy(
+              Cartesian3.fromDegreesArray([1, 1, 3, 1, 3, 3, 1, 3]),
+              [
+                new PolygonHierarchy(
+                  Cartesian3.fromDegreesArray([1.5, 1.5, 2, 1.5, 2, 2])
+                ),
+              ]
+            ),
+          ]
+        ),
+      },
+    });
+
+    const geometry = exportGeoJson({
+      entities: entities,
+    }).features[0].geometry;
+    expect(geometry.type).toEqual("MultiPolygon");
+    expect(geometry.coordinates.length).toEqual(2);
+    expect(geometry.coordinates[0].length).toEqual(1);
+    expect(geometry.coordinates[1].length).toEqual(2);
+  });
+
+  it("exports entities with several or no geometries", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "labeled",
+      position: Cartesian3.fromDegrees(8.0, 47.0),
+      label: {
+        text: "Road",
+      },
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([8.0, 47.0, 8.1, 47.1]),
+      },
+    });
+    entities.add({
+      id: "folder",
+      name: "Folder",
+    });
+
+    const geoJson = exportGeoJson({
+      entities: entities,
+    });
+    const labeled = getFeature(geoJson, "labeled").geometry;
+    expect(labeled.type).toEqual("GeometryCollection");
+    expect(
+      labeled.geometries.map(function (geometry) {
+        return geometry.type;
+      })
+    ).toEqual(["Point", "LineString"]);
+
+    const folder = getFeature(geoJson, "folder");
+    expect(folder.geometry).toBeNull();
+    expect(folder.properties).toEqual({
+      title: "Folder",
+    });
+  });
+
+  it("samples time-dynamic positions into lines", function () {
+    const entities = new EntityCollection();
+    const position = new SampledPositionProperty();
+    position.addSample(start, Cartesian3.fromDegrees(8.0, 47.0));
+    position.addSample(stop, Cartesian3.fromDegrees(8.2, 47.2));
+    entities.add({
+      id: "vehicle",
+      position: position,
+      point: {},
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("LineString");
+    expectCoordinates(feature.geometry.coordinates, [
+      [8.0, 47.0, 0.0],
+      [8.2, 47.2, 0.0],
+    ]);
+    expect(feature.properties.coordTimes).toEqual([
+      JulianDate.toIso8601(start),
+      JulianDate.toIso8601(stop),
+    ]);
+  });
+
+  it("exports features that load in GeoJsonDataSource", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "road",
+      name: "Main Street",
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([8.0, 47.0, 8.1, 47.1]),
+        width: 3.0,
+        material: Color.RED,
+      },
+      properties: {
+        lanes: 2,
+      },
+    });
+
+    return GeoJsonDataSource.load(
+      exportGeoJson({
+        entities: entities,
+      })
+    ).then(function (dataSource) {
+      const road = dataSource.entities.getById("road");
+      expect(road.name).toEqual("Main Street");
+      expect(road.properties.lanes.getValue(start)).toEqual(2);
+      expect(road.polyline.width.getValue(start)).toEqual(3.0);
+      expect(road.polyline.material.color.getValue(start)).toEqual(Color.RED);
+      const positions = road.polyline.positions.getValue(start);
+      expect(positions.length).toEqual(2);
+      expect(positions[1]).toEqualEpsilon(
+        Cartesian3.fromDegrees(8.1, 47.1),
+        CesiumMath.EPSILON7
+      );
+    });
+  });
+});
@@ -0,0 +1,348 @@
+import {
+  Math as CesiumMath,
+  parseGmlFeatureCollection,
+  RuntimeError,
+} from "../../index.js";
+
+describe("DataSources/parseGmlFeatureCollection", function () {
+  function parse(xml, srsName) {
+    return parseGmlFeatureCollection(
+      new DOMParser().parseFromString(xml, "text/xml"),
+      srsName
+    );
+  }
+
+  function createCollection(members) {
+    return (
+      `<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ` +
+      `xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:app="http://example.com/app" ` +
+      `xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">${members}</wfs:FeatureCollection>`
+    );
+  }
+
+  function expectCoordinates(actual, expected) {
+    expect(actual.length).toEqual(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+      if (Array.isArray(expected[i])) {
+        expectCoordinates(actual[i], expected[i]);
+      } else {
+        expect(actual[i]).toEqualEpsilon(expected[i], CesiumMath.EPSILON7);
+      }
+    }
+  }
+
+  it("parses the properties and geometries of features", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Road gml:id="road.1">
+          <gml:boundedBy><gml:Envelope><gml:lowerCorner>0 0</gml:lowerCorner></gml:Envelope></gml:boundedBy>
+          <app:name>Main Street</app:name>
+          <app:lanes>2</app:lanes>
+          <app:surface xsi:nil="true"/>
+          <app:geometry>
+            <gml:LineString srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:posList>47.0 8.0 47.5 8.5</gml:posList>
+            </gml:LineString>
+          </app:geometry>
+        </app:Road>
+      </wfs:member>
+      <wfs:member>
+        <app:Road gml:id="road.2">
+          <app:geometry>
+            <gml:Point srsName="http://www.opengis.net/def/crs/EPSG/0/4326"><gml:pos>46.0 7.0</gml:pos></gml:Point>
+          </app:geometry>
+        </app:Road>
+      </wfs:member>`)
+    );
+
+    expect(collection.type).toEqual("FeatureCollection");
+    expect(collection.features.length).toEqual(2);
+    expect(collection.features[0]).toEqual({
+      type: "Feature",
+      id: "road.1",
+      properties: {
+        name: "Main Street",
+        lanes: "2",
+        surface: null,
+      },
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [8.0, 47.0],
+          [8.5, 47.5],
+        ],
+      },
+    });
+    expect(collection.features[1].geometry).toEqual({
+      type: "Point",
+      coordinates: [7.0, 46.0],
+    });
+  });
+
+  it("reads the legacy EPSG:4326 identifier as longitude first", function () {
+    const collection = parse(
+      createCollection(`
+      <gml:featureMember>
+        <app:Site gml:id="site.1">
+          <app:location>
+            <gml:Point srsName="EPSG:4326"><gml:pos>7.0 46.0</gml:pos></gml:Point>
+          </app:location>
+        </app:Site>
+      </gml:featureMember>`)
+    );
+    expect(collection.features[0].geometry.coordinates).toEqual([7.0, 46.0]);
+  });
+
+  it("uses the default CRS and the dimension of the geometries", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Site gml:id="site.1">
+          <app:location>
+            <gml:LineString srsDimension="3"><gml:posList>46.0 7.0 500.0 46.5 7.5 600.0</gml:posList></gml:LineString>
+          </app:location>
+        </app:Site>
+      </wfs:member>`)
+    );
+    expect(collection.features[0].geometry.coordinates).toEqual([
+      [7.0, 46.0, 500.0],
+      [7.5, 46.5, 600.0],
+    ]);
+
+    const crs84Collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Site gml:id="site.1">
+          <app:location><gml:Point><gml:pos>7.0 46.0</gml:pos></gml:Point></app:location>
+        </app:Site>
+      </wfs:member>`),
+      "urn:ogc:def:crs:OGC:1.3:CRS84"
+    );
+    expect(crs84Collection.features[0].geometry.coordinates).toEqual([
+      7.0,
+      46.0,
+    ]);
+  });
+
+  it("parses polygons, surfaces and curves", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Parcel gml:id="parcel.1">
+          <app:geometry>
+            <gml:Polygon srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:exterior><gml:LinearRing><gml:posList>0 0 0 4 4 4 4 0 0 0</gml:posList></gml:LinearRing></gml:exterior>
+              <gml:interior><gml:LinearRing><gml:posList>1 1 2 1 2 2 1 1</gml:posList></gml:LinearRing></gml:interior>
+            </gml:Polygon>
+          </app:geometry>
+        </app:Parcel>
+      </wfs:member>
+      <wfs:member>
+        <app:Parcel gml:id="parcel.2">
+          <app:geometry>
+            <gml:Surface srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:patches>
+                <gml:PolygonPatch>
+                  <gml:exterior><gml:LinearRing><gml:posList>0 0 0 1 1 1 0 0</gml:posList></gml:LinearRing></gml:exterior>
+                </gml:PolygonPatch>
+              </gml:patches>
+            </gml:Surface>
+          </app:geometry>
+        </app:Parcel>
+      </wfs:member>
+      <wfs:member>
+        <app:Road gml:id="road.1">
+          <app:geometry>
+            <gml:Curve srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:segments>
+                <gml:LineStringSegment><gml:posList>0 0 1 1</gml:posList></gml:LineStringSegment>
+                <gml:LineStringSegment><gml:posList>1 1 2 3</gml:posList></gml:LineStringSegment>
+              </gml:segments>
+            </gml:Curve>
+          </app:geometry>
+        </app:Road>
+      </wfs:member>`)
+    );
+
+    const features = collection.features;
+    expect(features[0].geometry).toEqual({
+      type: "Polygon",
+      coordinates: [
+        [
+          [0, 0],
+          [4, 0],
+          [4, 4],
+          [0, 4],
+          [0, 0],
+        ],
+        [
+          [1, 1],
+          [1, 2],
+          [2, 2],
+          [1, 1],
+        ],
+      ],
+    });
+    expect(features[1].geometry).toEqual({
+      type: "Polygon",
+      coordinates: [
+        [
+          [0, 0],
+          [1, 0],
+          [1, 1],
+          [0, 0],
+        ],
+      ],
+    });
+    expect(features[2].geometry).toEqual({
+      type: "LineString",
+      coordinates: [
+        [0, 0],
+        [1, 1],
+        [3, 2],
+      ],
+    });
+  });
+
+  it("parses multi geometries", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Network gml:id="network.1">
+          <app:points>
+            <gml:MultiPoint srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:pointMember><gml:Point><gml:pos>1 2</gml:pos></gml:Point></gml:pointMember>
+              <gml:pointMember><gml:Point><gml:pos>3 4</gml:pos></gml:Point></gml:pointMember>
+            </gml:MultiPoint>
+          </app:points>
+        </app:Network>
+      </wfs:member>
+      <wfs:member>
+        <app:Network gml:id="network.2">
+          <app:lines>
+            <gml:MultiCurve srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:curveMember><gml:LineString><gml:posList>0 0 1 1</gml:posList></gml:LineString></gml:curveMember>
+              <gml:curveMember><gml:LineString><gml:posList>2 2 3 3</gml:posList></gml:LineString></gml:curveMember>
+            </gml:MultiCurve>
+          </app:lines>
+        </app:Network>
+      </wfs:member>
+      <wfs:member>
+        <app:Network gml:id="network.3">
+          <app:areas>
+            <gml:MultiSurface srsName="urn:ogc:def:crs:EPSG::4326">
+              <gml:surfaceMember>
+                <gml:Polygon>
+                  <gml:exterior><gml:LinearRing><gml:posList>0 0 0 1 1 1 0 0</gml:posList></gml:LinearRing></gml:exterior>
+                </gml:Polygon>
+              </gml:surfaceMember>
+            </gml:MultiSurface>
+          </app:areas>
+        </app:Network>
+      </wfs:member>`)
+    );
+
+    const features = collection.features;
+    expect(features[0].geometry).toEqual({
+      type: "MultiPoint",
+      coordinates: [
+        [2, 1],
+        [4, 3],
+      ],
+    });
+    expect(features[1].geometry).toEqual({
+      type: "MultiLineString",
+      coordinates: [
+        [
+          [0, 0],
+          [1, 1],
+        ],
+        [
+          [2, 2],
+          [3, 3],
+        ],
+      ],
+    });
+    expect(features[2].geometry).toEqual({
+      type: "MultiPolygon",
+      coordinates: [
+        [
+          [
+            [0, 0],
+            [1, 0],
+            [1, 1],
+            [0, 0],
+          ],
+        ],
+      ],
+    });
+  });
+
+  it("unprojects geometries in projected CRSs", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <app:Site gml:id="site.1">
+          <app:location>
+            <gml:Point srsName="urn:ogc:def:crs:EPSG::32632"><gml:pos>500000.0 0.0</gml:pos></gml:Point>
+          </app:location>
+        </app:Site>
+      </wfs:member>
+      <wfs:member>
+        <app:Site gml:id="site.2">
+          <app:location>
+            <gml:Point srsName="EPSG:3857"><gml:pos>0.0 0.0</gml:pos></gml:Point>
+          </app:location>
+        </app:Site>
+      </wfs:member>`)
+    );
+
+    expectCoordinates(collection.features[0].geometry.coordinates, [9.0, 0.0]);
+    expectCoordinates(collection.features[1].geometry.coordinates, [0.0, 0.0]);
+  });
+
+  it("parses the features of nested collections", function () {
+    const collection = parse(
+      createCollection(`
+      <wfs:member>
+        <wfs:FeatureCollection>
+          <wfs:member><app:Site gml:id="site.1"><app:name>A</app:name></app:Site></wfs:member>
+          <wfs:member><app:Site gml:id="site.2"><app:name>B</app:name></app:Site></wfs:member>
+        </wfs:FeatureCollection>
+      </wfs:member>`)
+    );
+
+    expect(
+      collection.features.map(function (feature) {
+        return feature.id;
+      })
+    ).toEqual(["site.1", "site.2"]);
+    expect(collection.features[0].geometry).toBeNull();
+  });
+
+  it("throws for exception reports", function () {
+    expect(function () {
+      return parse(
+        `<ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/1.1" version="2.0.0">` +
+          `<ows:Exception exceptionCode="InvalidParameterValue"><ows:ExceptionText>Unknown type</ows:ExceptionText></ows:Exception>` +
+          `</ows:ExceptionReport>`
+      );
+    }).toThrowError(RuntimeError, /Unknown type/);
+  });
+
+  it("throws for unsupported CRSs", function () {
+    expect(function () {
+      return parse(
+        createCollection(`
+        <wfs:member>
+          <app:Site gml:id="site.1">
+            <app:location>
+              <gml:Point srsName="urn:ogc:def:crs:EPSG::2056"><gml:pos>2600000 1200000</gml:pos></gml:Point>
+            </app:location>
+          </app:Site>
+        </wfs:member>`)
+      );
+    }).toThrowError(RuntimeError);
+  });
+});
@@ -0,0 +1,313 @@
+import {
+  Cartesian3,
+  ClippingPolygon,
+  ClippingPolygonCollection,
+  Intersect,
+  Matrix4,
+  PixelDatatype,
+  PixelFormat,
+  Rectangle,
+  TextureMinificationFilter,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe("Scene/ClippingPolygonCollection", function () {
+  let polygon;
+  let otherPolygon;
+
+  beforeEach(function () {
+    polygon = new ClippingPolygon({
+      positions: Cartesian3.fromDegreesArray([
+        0.0,
+        0.0,
+        0.01,
+        0.0,
+        0.01,
+        0.01,
+        0.0,
+        0.01,
+      ]),
+    });
+    otherPolygon = new ClippingPolygon({
+      positions: Cartesian3.fromDegreesArray([
+        0.02,
+        0.0,
+        0.03,
+        0.0,
+        0.03,
+        0.01,
+      ]),
+    });
+  });
+
+  function getEdges(collection) {
+    // Force the edges to be computed
+    expect(collection.clippingPolygonsState).toBeDefined();
+    const edges = [];
+    for (let i = 0; i < collection._edges.length; i += 4) {
+      edges.push(collection._edges.slice(i, i + 4));
+    }
+    return edges;
+  }
+
+  function getSignedArea(edges) {
+    return edges.reduce(function (area, edge) {
+      return area + edge[0] * edge[3] - edge[2] * edge[1];
+    }, 0.0);
+  }
+
+  it("default constructor", function () {
+    const collection = new ClippingPolygonCollection();
+    expect(collection.length).toEqual(0);
+    expect(collection.enabled).toEqual(true);
+    expect(collection.inverse).toEqual(false);
+    expect(collection.clippingPolygonsState).toEqual(0);
+  });
+
+  it("constructs with polygons", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [polygon, otherPolygon],
+      enabled: false,
+      inverse: true,
+    });
+    expect(collection.length).toEqual(2);
+    expect(collection.get(0)).toBe(polygon);
+    expect(collection.get(1)).toBe(otherPolygon);
+    expect(collection.enabled).toEqual(false);
+    expect(collection.inverse).toEqual(true);
+  });
+
+  it("adds and removes polygons and raises events", function () {
+    const collection = new ClippingPolygonCollection();
+    const added = jasmine.createSpy("added");
+    const removed = jasmine.createSpy("removed");
+    collection.polygonAdded.addEventListener(added);
+    collection.polygonRemoved.addEventListener(removed);
+
+    collection.add(polygon);
+    collection.add(otherPolygon);
+    expect(added).toHaveBeenCalledWith(otherPolygon, 1);
+    expect(collection.contains(polygon)).toBe(true);
+    expect(collection.contains(ClippingPolygon.clone(otherPolygon))).toBe(true);
+
+    expect(collection.remove(polygon)).toBe(true);
+    expect(removed).toHaveBeenCalledWith(polygon, 0);
+    expect(collection.remove(polygon)).toBe(false);
+    expect(collection.length).toEqual(1);
+    expect(collection.get(0)).toBe(otherPolygon);
+
+    collection.removeAll();
+    expect(removed).toHaveBeenCalledWith(otherPolygon, 0);
+    expect(collection.length).toEqual(0);
+  });
+
+  it("computes the state from the number of edges and the clipping mode", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [polygon],
+    });
+    expect(collection.clippingPolygonsState).toEqual(4);
+
+    collection.add(otherPolygon);
+    expect(collection.clippingPolygonsState).toEqual(7);
+
+    collection.inverse = true;
+    expect(collection.clippingPolygonsState).toEqual(-7);
+  });
+
+  it("ignores the last position of closed polygons", function () {
+    const positions = polygon.positions.concat([polygon.positions[0]]);
+    const collection = new ClippingPolygonCollection({
+      polygons: [
+        new ClippingPolygon({
+          positions: positions,
+        }),
+      ],
+    });
+    expect(collection.clippingPolygonsState).toEqual(4);
+  });
+
+  it("winds the projected polygons counter-clockwise", function () {
+    const clockwise = new ClippingPolygon({
+      positions: otherPolygon.positions.slice().reverse(),
+    });
+    const collection = new ClippingPolygonCollection({
+      polygons: [polygon, clockwise],
+    });
+    const edges = getEdges(collection);
+    expect(getSignedArea(edges.slice(0, 4))).toBeGreaterThan(0.0);
+    expect(getSignedArea(edges.slice(4))).toBeGreaterThan(0.0);
+
+    // The edges are in meters on the plane tangent to the center of the polygons
+    const width = edges[0][2] - edges[0][0];
+    expect(width).toBeGreaterThan(1100.0);
+    expect(width).toBeLessThan(1120.0);
+  });
+
+  it("projects fragments and edges consistently", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [polygon],
+    });
+    const edges = getEdges(collection);
+
+    // A position high above the first vertex projects onto it
+    const position = Cartesian3.fromDegrees(0.0, 0.0, 1000.0);
+    const matrix = collection.computeClippingPolygonsMatrix(
+      Matrix4.IDENTITY,
+      new Matrix4()
+    );
+    const local = Matrix4.multiplyByPoint(matrix, position, new Cartesian3());
+    const center = collection.getEarthCenter();
+    const t = center.z / (center.z - local.z);
+    const x = center.x + t * (local.x - center.x);
+    const y = center.y + t * (local.y - center.y);
+    expect(x).toBeCloseTo(edges[0][0], 1);
+    expect(y).toBeCloseTo(edges[0][1], 1);
+  });
+
+  it("computes intersections with rectangles", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [polygon],
+    });
+    expect(
+      collection.computeIntersectionWithRectangle(
+        Rectangle.fromDegrees(-1.0, -1.0, 1.0, 1.0)
+      )
+    ).toEqual(Intersect.INTERSECTING);
+    expect(
+      collection.computeIntersectionWithRectangle(
+        Rectangle.fromDegrees(1.0, 1.0, 2.0, 2.0)
+      )
+    ).toEqual(Intersect.OUTSIDE);
+
+    collection.removeAll();
+    expect(
+      collection.computeIntersectionWithRectangle(Rectangle.MAX_VALUE)
+    ).toEqual(Intersect.OUTSIDE);
+  });
+
+  it("computes intersections with rectangles across the antimeridian", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [
+        new ClippingPolygon({
+          positions: Cartesian3.fromDegreesArray([
+            179.0,
+            0.0,
+            -179.0,
+            0.0,
+            -179.0,
+            1.0,
+          ]),
+        }),
+      ],
+    });
+    expect(
+      collection.computeIntersectionWithRectangle(
+        Rectangle.fromDegrees(-180.0, 0.0, -179.5, 0.5)
+      )
+    ).toEqual(Intersect.INTERSECTING);
+    expect(
+      collection.computeIntersectionWithRectangle(
+        Rectangle.fromDegrees(0.0, 0.0, 1.0, 1.0)
+      )
+    ).toEqual(Intersect.OUTSIDE);
+  });
+
+  it("throws if the polygons span more than a hemisphere", function () {
+    const collection = new ClippingPolygonCollection({
+      polygons: [
+        new ClippingPolygon({
+          positions: Cartesian3.fromDegreesArray([
+            0.0,
+            0.0,
+            1.0,
+            0.0,
+            1.0,
+            1.0,
+          ]),
+        }),
+        new ClippingPolygon({
+          positions: Cartesian3.fromDegreesArray([
+            180.0,
+            0.0,
+            -179.0,
+            0.0,
+            -179.0,
+            1.0,
+          ]),
+        }),
+      ],
+    });
+    expect(function () {
+      return collection.clippingPolygonsState;
+    }).toThrowDeveloperError();
+  });
+
+  it("provides a function for attaching the ClippingPolygonCollection to objects", function () {
+    const collection1 = new ClippingPolygonCollection();
+    const collection2 = new ClippingPolygonCollection();
+    const owner = {
+      clippingPolygons: undefined,
+    };
+
+    ClippingPolygonCollection.setOwner(collection1, owner, "clippingPolygons");
+    expect(owner.clippingPolygons).toBe(collection1);
+    expect(collection1.owner).toBe(owner);
+
+    ClippingPolygonCollection.setOwner(collection2, owner, "clippingPolygons");
+    expect(owner.clippingPolygons).toBe(collection2);
+    expect(collection1.isDestroyed()).toBe(true);
+
+    ClippingPolygonCollection.setOwner(undefined, owner, "clippingPolygons");
+    expect(owner.clippingPolygons).toBeUndefined();
+    expect(collection2.isDestroyed()).toBe(true);
+
+    const otherOwner = {};
+    const collection3 = new ClippingPolygonCollection();
+    ClippingPolygonCollection.setOwner(collection3, owner, "clippingPolygons");
+    expect(function () {
+      ClippingPolygonCollection.setOwner(
+        collection3,
+        otherOwner,
+        "clippingPolygons"
+      );
+    }).toThrowDeveloperError();
+  });
+
+  it("update creates a float texture with the edges", function () {
+    const scene = createScene();
+    if (!ClippingPolygonCollection.isSupported(scene)) {
+      scene.destroyForSpecs();
+      return;
+    }
+
+    const collection = new ClippingPolygonCollection();
+    collection.update(scene.frameState);
+    expect(collection.texture).toBeUndefined();
+
+    collection.add(polygon);
+    collection.add(otherPolygon);
+    collection.update(scene.frameState);
+
+    const texture = collection.texture;
+    expect(texture).toBeDefined();
+    expect(texture.width).toEqual(7);
+    expect(texture.height).toEqual(1);
+    expect(texture.pixelFormat).toEqual(PixelFormat.RGBA);
+    expect(texture.pixelDatatype).toEqual(PixelDatatype.FLOAT);
+    expect(texture.sampler.minificationFilter).toEqual(
+      TextureMinificationFilter.NEAREST
+    );
+
+    // The texture is only recreated when the number of edges changes
+    collection.update(scene.frameState);
+    expect(collection.texture).toBe(texture);
+    collection.remove(otherPolygon);
+    collection.update(scene.frameState);
+    expect(collection.texture).not.toBe(texture);
+    expect(collection.texture.width).toEqual(4);
+
+    collection.destroy();
+    scene.destroyForSpecs();
+  });
+});
@@ -0,0 +1,78 @@
+import { Cartesian3, ClippingPolygon, Ellipsoid } from "../../index.js";
+
+describe("Scene/ClippingPolygon", function () {
+  const positions = Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0]);
+
+  it("throws without at least three positions", function () {
+    expect(function () {
+      return new ClippingPolygon();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new ClippingPolygon({
+        positions: positions.slice(0, 2),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs", function () {
+    const polygon = new ClippingPolygon({
+      positions: positions,
+      ellipsoid: Ellipsoid.UNIT_SPHERE,
+    });
+    expect(polygon.length).toEqual(3);
+    expect(polygon.positions).toEqual(positions);
+    expect(polygon.positions).not.toBe(positions);
+    expect(polygon.positions[0]).not.toBe(positions[0]);
+    expect(polygon.ellipsoid).toBe(Ellipsoid.UNIT_SPHERE);
+  });
+
+  it("uses WGS84 by default", function () {
+    const polygon = new ClippingPolygon({
+      positions: positions,
+    });
+    expect(polygon.ellipsoid).toBe(Ellipsoid.WGS84);
+  });
+
+  it("clones", function () {
+    const polygon = new ClippingPolygon({
+      positions: positions,
+    });
+    const result = ClippingPolygon.clone(polygon);
+    expect(result).not.toBe(polygon);
+    expect(ClippingPolygon.equals(result, polygon)).toBe(true);
+  });
+
+  it("checks for equality", function () {
+    const polygon = new ClippingPolygon({
+      positions: positions,
+    });
+    expect(ClippingPolygon.equals(polygon, polygon)).toBe(true);
+    expect(
+      ClippingPolygon.equals(
+        polygon,
+        new ClippingPolygon({
+          positions: positions,
+        })
+      )
+    ).toBe(true);
+    expect(
+      ClippingPolygon.equals(
+        polygon,
+        new ClippingPolygon({
+          positions: positions.slice().reverse(),
+        })
+      )
+    ).toBe(false);
+    expect(
+      ClippingPolygon.equals(
+        polygon,
+        new ClippingPolygon({
+          positions: positions,
+          ellipsoid: Ellipsoid.UNIT_SPHERE,
+        })
+      )
+    ).toBe(false);
+    expect(ClippingPolygon.equals(polygon, undefined)).toBe(false);
+    expect(ClippingPolygon.equals(undefined, undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,252 @@
+import {
+  Cartesian3,
+  ConstantProperty,
+  defined,
+  FloodPrimitive,
+  JulianDate,
+  Material,
+  Math as CesiumMath,
+  Matrix4,
+  Rectangle,
+  SampledProperty,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/FloodPrimitive",
+  function () {
+    const rectangle = Rectangle.fromDegrees(-0.1, -0.1, 0.1, 0.1);
+    let scene;
+    let flood;
+
+    beforeAll(function () {
+      scene = createScene();
+      scene.primitives.destroyPrimitives = false;
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      scene.camera.setView({ destination: rectangle });
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+      if (defined(flood) && !flood.isDestroyed()) {
+        flood = flood.destroy();
+      }
+    });
+
+    it("throws without positions or a rectangle", function () {
+      expect(function () {
+        return new FloodPrimitive({
+          waterLevel: 0.0,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws with fewer than three positions", function () {
+      expect(function () {
+        return new FloodPrimitive({
+          positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+          waterLevel: 0.0,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without a water level", function () {
+      expect(function () {
+        return new FloodPrimitive({
+          rectangle: rectangle,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("constructs with defaults", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+      });
+      expect(flood.rectangle).toEqual(rectangle);
+      expect(flood.rectangle).not.toBe(rectangle);
+      expect(flood.positions).toBeUndefined();
+      expect(flood.waterLevel).toEqual(10.0);
+      expect(flood.material.type).toEqual(Material.WaterType);
+      expect(flood.show).toBe(true);
+      expect(flood.id).toBeUndefined();
+    });
+
+    it("constructs with a polygon", function () {
+      const positions = Cartesian3.fromDegreesArray([
+        -0.1,
+        -0.1,
+        0.1,
+        -0.1,
+        0.0,
+        0.1,
+      ]);
+      const material = Material.fromType(Material.ColorType);
+      flood = new FloodPrimitive({
+        positions: positions,
+        waterLevel: 10.0,
+        material: material,
+        show: false,
+        id: "flood",
+      });
+      expect(flood.positions).toEqual(positions);
+      expect(flood.rectangle).toBeUndefined();
+      expect(flood.material).toBe(material);
+      expect(flood.show).toBe(false);
+      expect(flood.id).toEqual("flood");
+    });
+
+    it("gets the water level at a time", function () {
+      const start = JulianDate.fromIso8601("2022-11-01T00:00:00Z");
+      const end = JulianDate.addHours(start, 1.0, new JulianDate());
+      const middle = JulianDate.addMinutes(start, 30.0, new JulianDate());
+
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+      });
+      expect(flood.getWaterLevel(start)).toEqual(10.0);
+
+      flood.waterLevel = new ConstantProperty(20.0);
+      expect(flood.getWaterLevel(start)).toEqual(20.0);
+
+      const waterLevel = new SampledProperty(Number);
+      waterLevel.addSample(start, 10.0);
+      waterLevel.addSample(end, 30.0);
+      flood.waterLevel = waterLevel;
+      expect(flood.getWaterLevel(middle)).toEqual(20.0);
+
+      flood.waterLevel = undefined;
+      expect(flood.getWaterLevel(start)).toBeUndefined();
+    });
+
+    it("renders the water surface", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+        material: Material.fromType(Material.ColorType),
+      });
+
+      expect(scene).toRender([0, 0, 0, 255]);
+      scene.primitives.add(flood);
+      expect(scene).notToRender([0, 0, 0, 255]);
+    });
+
+    it("renders a polygon", function () {
+      flood = new FloodPrimitive({
+        positions: Cartesian3.fromDegreesArray([
+          -0.1,
+          -0.1,
+          0.1,
+          -0.1,
+          0.1,
+          0.1,
+          -0.1,
+          0.1,
+        ]),
+        waterLevel: 10.0,
+        material: Material.fromType(Material.ColorType),
+      });
+
+      scene.primitives.add(flood);
+      expect(scene).notToRender([0, 0, 0, 255]);
+    });
+
+    it("does not render when not shown or without a water level", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+        material: Material.fromType(Material.ColorType),
+        show: false,
+      });
+      scene.primitives.add(flood);
+      expect(scene).toRender([0, 0, 0, 255]);
+
+      flood.show = true;
+      flood.waterLevel = new ConstantProperty(undefined);
+      expect(scene).toRender([0, 0, 0, 255]);
+    });
+
+    it("moves the surface when the water level changes", function () {
+      const start = JulianDate.fromIso8601("2022-11-01T00:00:00Z");
+      const end = JulianDate.addHours(start, 1.0, new JulianDate());
+      const waterLevel = new SampledProperty(Number);
+      waterLevel.addSample(start, 10.0);
+      waterLevel.addSample(end, 30.0);
+
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: waterLevel,
+      });
+      scene.primitives.add(flood);
+
+      scene.renderForSpecs(start);
+      const primitive = flood._primitive;
+      expect(primitive).toBeDefined();
+      expect(flood._level).toEqual(10.0);
+      expect(primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+
+      scene.renderForSpecs(end);
+      expect(flood._primitive).toBe(primitive);
+      expect(flood._level).toEqual(10.0);
+      const translation = Matrix4.getTranslation(
+        primitive.modelMatrix,
+        new Cartesian3()
+      );
+      expect(translation).toEqualEpsilon(
+        Cartesian3.multiplyByScalar(Cartesian3.UNIT_X, 20.0, new Cartesian3()),
+        CesiumMath.EPSILON7
+      );
+    });
+
+    it("recreates the surface when the water level changes by more than 100 meters", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+      });
+      scene.primitives.add(flood);
+
+      scene.renderForSpecs();
+      const primitive = flood._primitive;
+
+      flood.waterLevel = 200.0;
+      scene.renderForSpecs();
+      expect(flood._primitive).not.toBe(primitive);
+      expect(primitive.isDestroyed()).toBe(true);
+      expect(flood._level).toEqual(200.0);
+      expect(flood._primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+    });
+
+    it("is picked with its id", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+        material: Material.fromType(Material.ColorType),
+        id: "flood",
+      });
+      scene.primitives.add(flood);
+
+      expect(scene).toPickAndCall(function (result) {
+        expect(result.id).toEqual("flood");
+      });
+    });
+
+    it("isDestroyed", function () {
+      flood = new FloodPrimitive({
+        rectangle: rectangle,
+        waterLevel: 10.0,
+      });
+      expect(flood.isDestroyed()).toBe(false);
+      flood.destroy();
+      expect(flood.isDestroyed()).toBe(true);
+    });
+  },
+  "WebGL"
+);
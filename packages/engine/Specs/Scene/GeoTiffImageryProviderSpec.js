@@ -0,0 +1,343 @@
+import {
+  Credit,
+  GeographicTilingScheme,
+  GeoTiffImageryProvider,
+  ImageryProvider,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import createGeoTiff from "../../../../Specs/createGeoTiff.js";
+
+describe("Scene/GeoTiffImageryProvider", function () {
+  let requestCount;
+
+  function mockGeoTiff(options) {
+    const buffer = createGeoTiff(options);
+    requestCount = 0;
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const match = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      ++requestCount;
+      deferred.resolve(
+        buffer.slice(parseInt(match[1]), parseInt(match[2]) + 1)
+      );
+    };
+  }
+
+  // A GeoTIFF covering the eastern hemisphere whose overview is red and whose full resolution image is green
+  function mockEasternHemisphere(options) {
+    mockGeoTiff(
+      Object.assign(
+        {
+          width: 512,
+          height: 512,
+          tileSize: 256,
+          overviews: 1,
+          samplesPerPixel: 3,
+          compression: 8,
+          origin: [0.0, 90.0],
+          pixelSize: [180.0 / 512, 180.0 / 512],
+          getValue: function (column, row, sample, level) {
+            if (level === 0) {
+              return sample === 1 ? 255 : 0;
+            }
+            return sample === 0 ? 255 : 0;
+          },
+        },
+        options
+      )
+    );
+  }
+
+  function getPixel(canvas, x, y) {
+    const data = canvas.getContext("2d").getImageData(x, y, 1, 1).data;
+    return [data[0], data[1], data[2], data[3]];
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(GeoTiffImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("requires the url to be specified", function () {
+    expect(function () {
+      return new GeoTiffImageryProvider({});
+    }).toThrowDeveloperError();
+  });
+
+  it("resolves readyPromise once the header is read", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+    expect(provider.ready).toBe(false);
+
+    return provider.readyPromise.then(function (result) {
+      expect(result).toBe(true);
+      expect(provider.ready).toBe(true);
+      expect(requestCount).toEqual(1);
+    });
+  });
+
+  it("throws when properties are accessed before ready", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+    expect(function () {
+      return provider.tilingScheme;
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.rectangle;
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.maximumLevel;
+    }).toThrowDeveloperError();
+    expect(function () {
+      return provider.requestImage(0, 0, 0);
+    }).toThrowDeveloperError();
+  });
+
+  it("derives its properties from the GeoTIFF", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.url).toEqual("made/up/cog.tif");
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(0.0, -90.0, 180.0, 90.0),
+        CesiumMath.EPSILON14
+      );
+      expect(provider.tileWidth).toEqual(256);
+      expect(provider.tileHeight).toEqual(256);
+      expect(provider.minimumLevel).toEqual(0);
+      // Level 1 tiles are 90 degrees wide, like 256 pixels of the full resolution image
+      expect(provider.maximumLevel).toEqual(1);
+      expect(provider.hasAlphaChannel).toBe(true);
+      expect(provider.tileDiscardPolicy).toBeUndefined();
+      expect(provider.credit).toBeUndefined();
+    });
+  });
+
+  it("uses a Web Mercator tiling scheme for Web Mercator GeoTIFFs", function () {
+    mockEasternHemisphere({
+      epsg: 3857,
+      origin: [0.0, 20037508.342789244],
+      pixelSize: [20037508.342789244 / 512, 20037508.342789244 / 512],
+    });
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      // Level 0 has a single tile
+      expect(provider.maximumLevel).toEqual(2);
+    });
+  });
+
+  it("uses the specified options", function () {
+    mockEasternHemisphere();
+    const rectangle = Rectangle.fromDegrees(10.0, 10.0, 20.0, 20.0);
+    const tilingScheme = new WebMercatorTilingScheme();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+      tilingScheme: tilingScheme,
+      tileWidth: 512,
+      tileHeight: 512,
+      minimumLevel: 1,
+      maximumLevel: 10,
+      rectangle: rectangle,
+      credit: "Orthophoto",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.tilingScheme).toBe(tilingScheme);
+      expect(provider.tileWidth).toEqual(512);
+      expect(provider.tileHeight).toEqual(512);
+      expect(provider.minimumLevel).toEqual(1);
+      expect(provider.maximumLevel).toEqual(10);
+      expect(provider.rectangle).toEqual(rectangle);
+      expect(provider.credit).toBeInstanceOf(Credit);
+    });
+  });
+
+  it("reads the overview for coarse tiles", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestImage(1, 0, 0);
+      })
+      .then(function (image) {
+        expect(image.width).toEqual(256);
+        expect(image.height).toEqual(256);
+        expect(getPixel(image, 128, 128)).toEqual([255, 0, 0, 255]);
+      });
+  });
+
+  it("reads the full resolution image for fine tiles", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestImage(2, 0, 1);
+      })
+      .then(function (image) {
+        expect(getPixel(image, 128, 128)).toEqual([0, 255, 0, 255]);
+      });
+  });
+
+  it("makes pixels outside of the GeoTIFF transparent", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        // The western hemisphere
+        return provider.requestImage(0, 0, 0);
+      })
+      .then(function (image) {
+        expect(getPixel(image, 128, 128)).toEqual([0, 0, 0, 0]);
+      });
+  });
+
+  it("makes pixels with no data transparent", function () {
+    mockGeoTiff({
+      width: 64,
+      height: 64,
+      origin: [0.0, 90.0],
+      pixelSize: [180.0 / 64, 180.0 / 64],
+      noData: 0,
+      getValue: function (column, row) {
+        return column < 32 ? 0 : 200;
+      },
+    });
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestImage(1, 0, 0);
+      })
+      .then(function (image) {
+        expect(getPixel(image, 64, 128)).toEqual([0, 0, 0, 0]);
+        expect(getPixel(image, 192, 128)).toEqual([200, 200, 200, 255]);
+      });
+  });
+
+  it("colors palette GeoTIFFs", function () {
+    const colorMap = new Array(768).fill(0);
+    colorMap[7] = 0xffff; // red of index 7
+    colorMap[256 + 7] = 0x8000; // green of index 7
+    mockGeoTiff({
+      width: 64,
+      height: 64,
+      origin: [0.0, 90.0],
+      pixelSize: [180.0 / 64, 180.0 / 64],
+      photometric: 3,
+      colorMap: colorMap,
+      getValue: function () {
+        return 7;
+      },
+    });
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        return provider.requestImage(1, 0, 0);
+      })
+      .then(function (image) {
+        expect(getPixel(image, 128, 128)).toEqual([255, 128, 0, 255]);
+      });
+  });
+
+  it("rejects readyPromise for unsupported GeoTIFFs", function () {
+    mockGeoTiff({
+      width: 64,
+      height: 64,
+      origin: [0.0, 90.0],
+      pixelSize: [180.0 / 64, 180.0 / 64],
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      getValue: function () {
+        return 1.0;
+      },
+    });
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    let errorRaised = false;
+    provider.errorEvent.addEventListener(function (error) {
+      errorRaised = true;
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (e) {
+        expect(e).toBeInstanceOf(RuntimeError);
+        expect(errorRaised).toBe(true);
+        expect(provider.ready).toBe(false);
+      });
+  });
+
+  it("returns undefined when the request is throttled", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise.then(function () {
+      spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+      expect(provider.requestImage(1, 0, 0)).toBeUndefined();
+    });
+  });
+
+  it("does not pick features", function () {
+    mockEasternHemisphere();
+    const provider = new GeoTiffImageryProvider({
+      url: "made/up/cog.tif",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.pickFeatures(1, 0, 0, 0.5, 0.5)).toBeUndefined();
+    });
+  });
+});
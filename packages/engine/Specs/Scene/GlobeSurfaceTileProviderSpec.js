@@ -18,6 +18,8 @@ import {
   BlendingState,
   ClippingPlane,
   ClippingPlaneCollection,
+  ClippingPolygon,
+  ClippingPolygonCollection,
   Fog,
   Globe,
   GlobeSurfaceShaderSet,
@@ -1227,6 +1229,77 @@ describe(
       }).toThrowDeveloperError();
     });
 
+    it("clipping polygons selectively disable rendering globe surface", function () {
+      if (!ClippingPolygonCollection.isSupported(scene)) {
+        return;
+      }
+
+      expect(scene).toRender([0, 0, 0, 255]);
+
+      switchViewMode(
+        SceneMode.SCENE3D,
+        new GeographicProjection(Ellipsoid.WGS84)
+      );
+
+      return updateUntilDone(scene.globe).then(function () {
+        let result;
+        expect(scene).toRenderAndCall(function (rgba) {
+          result = rgba;
+          expect(rgba).not.toEqual([0, 0, 0, 255]);
+        });
+
+        // A small polygon on the far side of the globe
+        const clippingPolygons = new ClippingPolygonCollection({
+          polygons: [
+            new ClippingPolygon({
+              positions: Cartesian3.fromDegreesArray([
+                179.0,
+                -1.0,
+                -179.0,
+                -1.0,
+                -179.0,
+                1.0,
+                179.0,
+                1.0,
+              ]),
+            }),
+          ],
+        });
+        scene.globe.clippingPolygons = clippingPolygons;
+
+        expect(scene).toRender(result);
+
+        clippingPolygons.inverse = true;
+
+        expect(scene).toRender([0, 0, 0, 255]);
+
+        scene.globe.clippingPolygons = undefined;
+      });
+    });
+
+    it("destroys attached ClippingPolygonCollections that have been detached", function () {
+      const clippingPolygons = new ClippingPolygonCollection({
+        polygons: [
+          new ClippingPolygon({
+            positions: Cartesian3.fromDegreesArray([
+              0.0,
+              0.0,
+              1.0,
+              0.0,
+              1.0,
+              1.0,
+            ]),
+          }),
+        ],
+      });
+      const globe = scene.globe;
+      globe.clippingPolygons = clippingPolygons;
+      expect(clippingPolygons.isDestroyed()).toBe(false);
+
+      globe.clippingPolygons = undefined;
+      expect(clippingPolygons.isDestroyed()).toBe(true);
+    });
+
     it("cartographicLimitRectangle selectively enables rendering globe surface", function () {
       expect(scene).toRender([0, 0, 0, 255]);
       switchViewMode(
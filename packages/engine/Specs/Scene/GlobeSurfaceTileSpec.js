@@ -1,15 +1,23 @@
 import {
+  Cartesian2,
   Cartesian3,
   Cartesian4,
+  Cartographic,
   createWorldTerrain,
   Ellipsoid,
   EllipsoidTerrainProvider,
+  GeographicProjection,
   GeographicTilingScheme,
+  Math as CesiumMath,
   Ray,
+  Rectangle,
+  TransverseMercatorProjection,
   GlobeSurfaceTile,
   ImageryLayerCollection,
   QuadtreeTile,
   QuadtreeTileLoadState,
+  TerrainModification,
+  TerrainModificationCollection,
   TerrainState,
   TileProviderError,
 } from "../../index.js";
@@ -320,6 +328,91 @@ describe("Scene/GlobeSurfaceTile", function () {
           ).toEqual(new Cartesian4(0.0, 0.0, 0.5, 0.5));
         });
     });
+
+    it("applies changed terrain modifications to a heightmap tile without creating its mesh again", function () {
+      mockTerrain
+        .requestTileGeometryWillSucceed(rootTile)
+        .createMeshWillSucceed(rootTile);
+
+      function createModification(height) {
+        return new TerrainModification({
+          positions: Cartesian3.fromDegreesArray([
+            -170.0,
+            -80.0,
+            -10.0,
+            -80.0,
+            -10.0,
+            80.0,
+            -170.0,
+            80.0,
+          ]),
+          height: height,
+        });
+      }
+
+      function getMaximumHeight(mesh) {
+        let maximumHeight = Number.NEGATIVE_INFINITY;
+        const vertexCount = mesh.vertices.length / mesh.stride;
+        for (let i = 0; i < vertexCount; ++i) {
+          maximumHeight = Math.max(
+            maximumHeight,
+            mesh.encoding.decodeHeight(mesh.vertices, i)
+          );
+        }
+        return maximumHeight;
+      }
+
+      const terrainModifications = new TerrainModificationCollection();
+      let modification = terrainModifications.add(createModification(10.0));
+      processor.terrainModifications = terrainModifications;
+
+      return processor
+        .process([rootTile])
+        .then(function () {
+          const surfaceTile = rootTile.data;
+          expect(surfaceTile.terrainState).toBe(TerrainState.READY);
+          expect(surfaceTile.isTerrainModified).toBe(true);
+          expect(getMaximumHeight(surfaceTile.mesh)).toEqualEpsilon(
+            10.0,
+            CesiumMath.EPSILON3
+          );
+
+          spyOn(surfaceTile.terrainData, "createMesh").and.callThrough();
+          terrainModifications.remove(modification);
+          modification = terrainModifications.add(createModification(20.0));
+          surfaceTile.updateTerrainModifications(
+            rootTile,
+            terrainModifications
+          );
+          return processor.process([rootTile]);
+        })
+        .then(function () {
+          const surfaceTile = rootTile.data;
+          expect(surfaceTile.terrainState).toBe(TerrainState.READY);
+          expect(getMaximumHeight(surfaceTile.mesh)).toEqualEpsilon(
+            20.0,
+            CesiumMath.EPSILON3
+          );
+
+          terrainModifications.remove(modification);
+          surfaceTile.updateTerrainModifications(
+            rootTile,
+            terrainModifications
+          );
+          return processor.process([rootTile]);
+        })
+        .then(function () {
+          const surfaceTile = rootTile.data;
+          expect(surfaceTile.terrainState).toBe(TerrainState.READY);
+          expect(surfaceTile.isTerrainModified).toBe(false);
+          expect(getMaximumHeight(surfaceTile.mesh)).toEqualEpsilon(
+            0.0,
+            CesiumMath.EPSILON3
+          );
+          expect(surfaceTile.terrainData.createMesh).not.toHaveBeenCalled();
+          expect(processor.vertexArraysToDestroy.length).toEqual(2);
+        });
+    });
   });
 
   describe(
@@ -435,6 +528,86 @@ describe("Scene/GlobeSurfaceTile", function () {
     "WebGL"
   );
 
+  describe("_computePositions2D", function () {
+    // A mesh whose vertices only hold texture coordinates, at the corners and center of the tile
+    function createMesh() {
+      return {
+        vertices: new Float32Array([
+          0.0,
+          0.0,
+          1.0,
+          0.0,
+          1.0,
+          1.0,
+          0.0,
+          1.0,
+          0.5,
+          0.5,
+        ]),
+        stride: 2,
+        encoding: {
+          decodeTextureCoordinates: function (vertices, index, result) {
+            return Cartesian2.fromArray(vertices, index * 2, result);
+          },
+        },
+      };
+    }
+
+    it("returns undefined for cylindrical projections", function () {
+      expect(
+        GlobeSurfaceTile._computePositions2D(
+          createMesh(),
+          Rectangle.fromDegrees(0.0, 0.0, 10.0, 10.0),
+          new GeographicProjection()
+        )
+      ).toBeUndefined();
+    });
+
+    it("projects vertices relative to the projected center of the tile", function () {
+      const rectangle = Rectangle.fromDegrees(0.0, 40.0, 10.0, 50.0);
+      const projection = new TransverseMercatorProjection({
+        centralMeridian: CesiumMath.toRadians(3.0),
+      });
+
+      const positions2D = GlobeSurfaceTile._computePositions2D(
+        createMesh(),
+        rectangle,
+        projection
+      );
+      expect(positions2D.length).toEqual(10);
+
+      const center = projection.project(Rectangle.center(rectangle));
+      expect(positions2D[8]).toEqualEpsilon(0.0, 1e-1);
+      expect(positions2D[9]).toEqualEpsilon(0.0, 1e-1);
+
+      const northeast = projection.project(Rectangle.northeast(rectangle));
+      expect(positions2D[4]).toEqualEpsilon(northeast.x - center.x, 1e-1);
+      expect(positions2D[5]).toEqualEpsilon(northeast.y - center.y, 1e-1);
+    });
+
+    it("clamps vertices to the rectangle of the projection", function () {
+      const rectangle = Rectangle.fromDegrees(0.0, 40.0, 10.0, 50.0);
+      const projection = new TransverseMercatorProjection({
+        centralMeridian: CesiumMath.toRadians(3.0),
+        rectangle: Rectangle.fromDegrees(-3.0, 0.0, 5.0, 90.0),
+      });
+
+      const positions2D = GlobeSurfaceTile._computePositions2D(
+        createMesh(),
+        rectangle,
+        projection
+      );
+
+      const center = GlobeSurfaceTile._computeProjectedCenter(
+        rectangle,
+        projection
+      );
+      const northeast = projection.project(Cartographic.fromDegrees(5.0, 50.0));
+      expect(positions2D[4]).toEqualEpsilon(northeast.x - center.x, 1e-1);
+      expect(positions2D[5]).toEqualEpsilon(northeast.y - center.y, 1e-1);
+    });
+  });
+
   describe("eligibleForUnloading", function () {
     beforeEach(function () {
       processor.mockWebGL();
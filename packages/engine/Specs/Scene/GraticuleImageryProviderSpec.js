@@ -0,0 +1,272 @@
+import {
+  Cartographic,
+  Color,
+  Ellipsoid,
+  GeographicTilingScheme,
+  GraticuleImageryProvider,
+  GraticuleType,
+  ImageryProvider,
+  Mgrs,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/GraticuleImageryProvider", function () {
+  function createContext() {
+    return jasmine.createSpyObj("context", [
+      "beginPath",
+      "moveTo",
+      "lineTo",
+      "stroke",
+      "rect",
+      "clip",
+      "save",
+      "restore",
+      "strokeRect",
+      "strokeText",
+      "fillText",
+    ]);
+  }
+
+  function getLabels(context) {
+    return context.fillText.calls.allArgs().map(function (args) {
+      return args[0];
+    });
+  }
+
+  function drawTileAt(provider, cartographic, level) {
+    const context = createContext();
+    const xy = provider.tilingScheme.positionToTileXY(cartographic, level);
+    provider._drawTile(context, xy.x, xy.y, level);
+    return context;
+  }
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(GraticuleImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("resolves readyPromise", function () {
+    const provider = new GraticuleImageryProvider();
+
+    return provider.readyPromise.then(function (result) {
+      expect(result).toBe(true);
+      expect(provider.ready).toBe(true);
+    });
+  });
+
+  it("constructs with defaults", function () {
+    const provider = new GraticuleImageryProvider();
+    expect(provider.type).toEqual(GraticuleType.GEOGRAPHIC);
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.minimumLevel).toBeUndefined();
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.rectangle).toEqual(new GeographicTilingScheme().rectangle);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.credit).toBeUndefined();
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.errorEvent).toBeDefined();
+  });
+
+  it("constructs with options", function () {
+    const tilingScheme = new WebMercatorTilingScheme();
+    const provider = new GraticuleImageryProvider({
+      type: GraticuleType.MGRS,
+      tilingScheme: tilingScheme,
+      tileWidth: 512,
+      tileHeight: 512,
+    });
+    expect(provider.type).toEqual(GraticuleType.MGRS);
+    expect(provider.tilingScheme).toBe(tilingScheme);
+    expect(provider.rectangle).toEqual(tilingScheme.rectangle);
+    expect(provider.tileWidth).toEqual(512);
+    expect(provider.tileHeight).toEqual(512);
+  });
+
+  it("can use a custom ellipsoid", function () {
+    const ellipsoid = new Ellipsoid(1, 2, 3);
+    const provider = new GraticuleImageryProvider({
+      ellipsoid: ellipsoid,
+    });
+    expect(provider.tilingScheme.ellipsoid).toEqual(ellipsoid);
+  });
+
+  it("requests a canvas the size of a tile", function () {
+    const provider = new GraticuleImageryProvider({
+      tileWidth: 128,
+      tileHeight: 64,
+    });
+
+    return provider.requestImage(0, 0, 0).then(function (image) {
+      expect(image).toBeInstanceOf(HTMLCanvasElement);
+      expect(image.width).toEqual(128);
+      expect(image.height).toEqual(64);
+    });
+  });
+
+  it("draws labeled meridians and parallels", function () {
+    const provider = new GraticuleImageryProvider({
+      minimumLineSpacing: 50.0,
+      color: Color.RED,
+    });
+    const context = createContext();
+    provider._drawTile(context, 0, 0, 0);
+
+    expect(context.strokeStyle).toBeDefined();
+    expect(context.moveTo).toHaveBeenCalledWith(0.0, 0.0);
+    expect(context.moveTo).toHaveBeenCalledWith(256.0, 0.0);
+    expect(context.stroke).toHaveBeenCalled();
+    expect(getLabels(context)).toEqual([
+      "180°",
+      "135°W",
+      "90°W",
+      "45°W",
+      "0°",
+      "90°S",
+      "45°S",
+      "0°",
+      "45°N",
+      "90°N",
+    ]);
+    expect(context.strokeText.calls.count()).toEqual(10);
+  });
+
+  it("adapts the spacing of the lines to the level", function () {
+    const provider = new GraticuleImageryProvider();
+    const position = Cartographic.fromDegrees(10.3, 45.6);
+
+    let context = drawTileAt(provider, position, 5);
+    let labels = getLabels(context);
+    expect(labels.length).toBeGreaterThan(0);
+    labels.forEach(function (label) {
+      expect(label).toMatch(/^\d*[02468]°[EN]$/);
+    });
+
+    context = drawTileAt(provider, position, 10);
+    labels = getLabels(context);
+    expect(labels.length).toBeGreaterThan(0);
+    labels.forEach(function (label) {
+      expect(label).toMatch(/^\d+\.\d[05]°[EN]$/);
+    });
+  });
+
+  it("does not draw labels if showLabels is false", function () {
+    const provider = new GraticuleImageryProvider({
+      showLabels: false,
+    });
+    const context = createContext();
+    provider._drawTile(context, 0, 0, 0);
+    expect(context.lineTo).toHaveBeenCalled();
+    expect(context.fillText).not.toHaveBeenCalled();
+  });
+
+  it("gets the grid zones of the latitude bands", function () {
+    let zones = GraticuleImageryProvider._getGridZones(10);
+    expect(zones.length).toEqual(60);
+    expect(zones[0]).toEqual({
+      zone: 1,
+      band: "N",
+      west: -180.0,
+      east: -174.0,
+      south: 0.0,
+      north: 8.0,
+    });
+
+    zones = GraticuleImageryProvider._getGridZones(17);
+    expect(zones[30].band).toEqual("V");
+    expect(zones[30].west).toEqual(0.0);
+    expect(zones[30].east).toEqual(3.0);
+    expect(zones[31].west).toEqual(3.0);
+    expect(zones[31].east).toEqual(12.0);
+
+    zones = GraticuleImageryProvider._getGridZones(19);
+    expect(zones.length).toEqual(57);
+    const svalbard = zones
+      .filter(function (cell) {
+        return cell.zone >= 31 && cell.zone <= 37;
+      })
+      .map(function (cell) {
+        return [cell.zone, cell.west, cell.east];
+      });
+    expect(svalbard).toEqual([
+      [31, 0.0, 9.0],
+      [33, 9.0, 21.0],
+      [35, 21.0, 33.0],
+      [37, 33.0, 42.0],
+    ]);
+    expect(zones[0].south).toEqual(72.0);
+    expect(zones[0].north).toEqual(84.0);
+  });
+
+  it("labels the MGRS grid zones", function () {
+    const provider = new GraticuleImageryProvider({
+      type: GraticuleType.MGRS,
+    });
+    const context = createContext();
+    provider._drawTile(context, 1, 0, 0);
+
+    const labels = getLabels(context);
+    expect(labels).toContain("31N");
+    expect(labels).toContain("32V");
+    expect(labels).toContain("33X");
+    expect(labels).toContain("60C");
+    expect(labels).toContain("Z");
+    expect(labels).toContain("B");
+    expect(labels).not.toContain("32X");
+    expect(labels).not.toContain("30N");
+    expect(labels).not.toContain("A");
+    expect(context.strokeRect).toHaveBeenCalled();
+
+    // The UTM grid is not drawn until its lines are far enough apart
+    expect(context.clip).not.toHaveBeenCalled();
+  });
+
+  it("labels the 100 km squares", function () {
+    const provider = new GraticuleImageryProvider({
+      type: GraticuleType.MGRS,
+    });
+    const center = Mgrs.toCartographic("4QFJ", { center: true });
+    const context = drawTileAt(provider, center, 6);
+
+    const labels = getLabels(context);
+    expect(labels).toContain("FJ");
+    expect(labels).not.toContain("4Q");
+    expect(context.clip).toHaveBeenCalled();
+    expect(context.lineTo).toHaveBeenCalled();
+  });
+
+  it("labels the 1 km lines", function () {
+    const provider = new GraticuleImageryProvider({
+      type: GraticuleType.MGRS,
+    });
+    const position = Mgrs.toCartographic("4QFJ1234567890");
+    const context = drawTileAt(provider, position, 13);
+
+    const eastings = [];
+    const northings = [];
+    context.fillText.calls.allArgs().forEach(function (args) {
+      expect(args[0]).toMatch(/^\d\d$/);
+      // The eastings are labeled at the top of the tile and the northings at the left
+      if (args[2] === 3.0) {
+        eastings.push(args[0]);
+      } else {
+        northings.push(args[0]);
+        expect(args[1]).toEqual(3.0);
+      }
+    });
+    expect(eastings.length).toBeGreaterThan(0);
+    expect(northings.length).toBeGreaterThan(0);
+    eastings.forEach(function (label) {
+      expect(["10", "11", "12", "13", "14", "15"]).toContain(label);
+    });
+    northings.forEach(function (label) {
+      expect(["65", "66", "67", "68", "69", "70"]).toContain(label);
+    });
+  });
+
+  it("picking features returns undefined", function () {
+    const provider = new GraticuleImageryProvider();
+    expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+    expect(provider.getTileCredits(0, 0, 0)).toBeUndefined();
+  });
+});
@@ -0,0 +1,333 @@
+import {
+  Cartesian3,
+  Color,
+  computeHeatmapTile,
+  ConstantPositionProperty,
+  Credit,
+  Entity,
+  EntityCollection,
+  GeographicTilingScheme,
+  HeatmapImageryProvider,
+  ImageryProvider,
+  JulianDate,
+  Math as CesiumMath,
+  PropertyBag,
+  Rectangle,
+  TaskProcessor,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/HeatmapImageryProvider", function () {
+  const points = [
+    {
+      position: Cartesian3.fromDegrees(10.0, 20.0),
+      weight: 2.0,
+    },
+    {
+      position: Cartesian3.fromDegrees(11.0, 21.0),
+    },
+  ];
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(HeatmapImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("throws without points or entities", function () {
+    expect(function () {
+      return new HeatmapImageryProvider();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with a radius that is not positive", function () {
+    expect(function () {
+      return new HeatmapImageryProvider({
+        points: points,
+        radius: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs with defaults", function () {
+    const provider = new HeatmapImageryProvider({
+      points: points,
+    });
+    expect(provider.ready).toBe(true);
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.minimumLevel).toEqual(0);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.radius).toEqual(1000.0);
+    expect(provider.credit).toBeUndefined();
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.proxy).toBeUndefined();
+    expect(provider.getTileCredits(0, 0, 0)).toBeUndefined();
+    expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+    return provider.readyPromise.then(function (result) {
+      expect(result).toBe(true);
+    });
+  });
+
+  it("constructs with options", function () {
+    const tilingScheme = new WebMercatorTilingScheme();
+    const rectangle = Rectangle.fromDegrees(0.0, 0.0, 20.0, 30.0);
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      radius: 5000.0,
+      maximumIntensity: 10.0,
+      tilingScheme: tilingScheme,
+      tileWidth: 128,
+      tileHeight: 64,
+      minimumLevel: 1,
+      maximumLevel: 12,
+      rectangle: rectangle,
+      credit: "heatmap",
+    });
+    expect(provider.radius).toEqual(5000.0);
+    expect(provider.maximumIntensity).toEqual(10.0);
+    expect(provider.tilingScheme).toBe(tilingScheme);
+    expect(provider.tileWidth).toEqual(128);
+    expect(provider.tileHeight).toEqual(64);
+    expect(provider.minimumLevel).toEqual(1);
+    expect(provider.maximumLevel).toEqual(12);
+    expect(provider.rectangle).toEqual(rectangle);
+    expect(provider.credit).toEqual(new Credit("heatmap"));
+  });
+
+  it("covers the points expanded by the radius", function () {
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      radius: 10000.0,
+    });
+    const rectangle = provider.rectangle;
+    const latitudeRadius =
+      10000.0 / provider.tilingScheme.ellipsoid.maximumRadius;
+    expect(rectangle.south).toEqualEpsilon(
+      CesiumMath.toRadians(20.0) - latitudeRadius,
+      CesiumMath.EPSILON10
+    );
+    expect(rectangle.north).toEqualEpsilon(
+      CesiumMath.toRadians(21.0) + latitudeRadius,
+      CesiumMath.EPSILON10
+    );
+    expect(rectangle.west).toBeLessThan(
+      CesiumMath.toRadians(10.0) - latitudeRadius
+    );
+    expect(rectangle.east).toBeGreaterThan(
+      CesiumMath.toRadians(11.0) + latitudeRadius
+    );
+  });
+
+  it("covers the tiling scheme without points", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [],
+    });
+    expect(provider.rectangle).toEqual(provider.tilingScheme.rectangle);
+  });
+
+  it("computes the maximum intensity at the points", function () {
+    let provider = new HeatmapImageryProvider({
+      points: points,
+    });
+    // The points are farther apart than the radius
+    expect(provider.maximumIntensity).toEqual(2.0);
+
+    // The second point is 100 meters north of the first
+    const surfaceRadius = provider.tilingScheme.ellipsoid.maximumRadius;
+    const offset = CesiumMath.toDegrees(100.0 / surfaceRadius);
+    provider = new HeatmapImageryProvider({
+      points: [
+        {
+          position: Cartesian3.fromDegrees(0.0, 0.0),
+          weight: 2.0,
+        },
+        {
+          position: Cartesian3.fromDegrees(0.0, offset),
+        },
+      ],
+      radius: 200.0,
+    });
+    const k = Math.pow(1.0 - 0.25, 2.0);
+    expect(provider.maximumIntensity).toEqualEpsilon(
+      2.0 + k,
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("reads points from entities", function () {
+    const time = JulianDate.fromIso8601("2022-11-01T00:00:00Z");
+    const entities = new EntityCollection();
+    entities.add(
+      new Entity({
+        position: new ConstantPositionProperty(
+          Cartesian3.fromDegrees(10.0, 20.0)
+        ),
+        properties: new PropertyBag({
+          magnitude: 4.0,
+        }),
+      })
+    );
+    entities.add(
+      new Entity({
+        position: new ConstantPositionProperty(
+          Cartesian3.fromDegrees(11.0, 21.0)
+        ),
+      })
+    );
+    entities.add(new Entity());
+
+    const provider = new HeatmapImageryProvider({
+      entities: entities,
+      weightProperty: "magnitude",
+      time: time,
+    });
+    expect(provider._points.length).toEqual(6);
+    expect(provider._points[0]).toEqualEpsilon(
+      CesiumMath.toRadians(10.0),
+      CesiumMath.EPSILON10
+    );
+    expect(provider._points[1]).toEqualEpsilon(
+      CesiumMath.toRadians(20.0),
+      CesiumMath.EPSILON10
+    );
+    expect(provider._points[2]).toEqual(4.0);
+    expect(provider._points[5]).toEqual(1.0);
+    expect(provider.maximumIntensity).toEqual(4.0);
+  });
+
+  it("interpolates the gradient", function () {
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      gradient: {
+        0.0: Color.BLACK,
+        1.0: Color.WHITE,
+      },
+    });
+    const gradient = provider._gradient;
+    expect(gradient.length).toEqual(256 * 4);
+    expect(Array.from(gradient.subarray(0, 4))).toEqual([0, 0, 0, 255]);
+    expect(Array.from(gradient.subarray(128 * 4, 129 * 4))).toEqual([
+      128,
+      128,
+      128,
+      255,
+    ]);
+    expect(Array.from(gradient.subarray(255 * 4))).toEqual([
+      255,
+      255,
+      255,
+      255,
+    ]);
+  });
+
+  it("extends the gradient beyond its first and last stops", function () {
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      gradient: {
+        0.5: Color.RED,
+        0.75: Color.BLUE,
+      },
+    });
+    const gradient = provider._gradient;
+    expect(Array.from(gradient.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+    expect(Array.from(gradient.subarray(255 * 4))).toEqual([0, 0, 255, 255]);
+  });
+
+  it("requests an empty image for tiles without points", function () {
+    spyOn(TaskProcessor.prototype, "scheduleTask");
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      tileWidth: 16,
+      tileHeight: 16,
+    });
+    // The tile in the western hemisphere
+    return provider.requestImage(0, 0, 0).then(function (image) {
+      expect(TaskProcessor.prototype.scheduleTask).not.toHaveBeenCalled();
+      expect(image.width).toEqual(16);
+      expect(image.height).toEqual(16);
+    });
+  });
+
+  it("computes the heatmap of a tile in a web worker", function () {
+    spyOn(TaskProcessor.prototype, "scheduleTask").and.callFake(function (
+      parameters
+    ) {
+      return Promise.resolve(computeHeatmapTile(parameters));
+    });
+    const provider = new HeatmapImageryProvider({
+      points: points,
+      radius: 1000000.0,
+      tileWidth: 16,
+      tileHeight: 16,
+    });
+    return provider.requestImage(1, 0, 0).then(function (image) {
+      expect(TaskProcessor.prototype.scheduleTask).toHaveBeenCalled();
+      const parameters = TaskProcessor.prototype.scheduleTask.calls.argsFor(
+        0
+      )[0];
+      expect(parameters.points.length).toEqual(6);
+      expect(parameters.longitudes.length).toEqual(16);
+      expect(parameters.latitudes.length).toEqual(16);
+      expect(parameters.longitudes[0]).toEqualEpsilon(
+        CesiumMath.PI / 32.0,
+        CesiumMath.EPSILON10
+      );
+      expect(parameters.latitudes[0]).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO - CesiumMath.PI / 32.0,
+        CesiumMath.EPSILON10
+      );
+      expect(parameters.maximumIntensity).toEqual(provider.maximumIntensity);
+
+      expect(image.width).toEqual(16);
+      expect(image.height).toEqual(16);
+      const context = image.getContext("2d");
+      const data = context.getImageData(0, 0, 16, 16).data;
+      let opaque = 0;
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] > 0) {
+          ++opaque;
+        }
+      }
+      expect(opaque).toBeGreaterThan(0);
+      expect(opaque).toBeLessThan(16 * 16);
+    });
+  });
+
+  it("wraps the longitudes of points across the antimeridian", function () {
+    spyOn(TaskProcessor.prototype, "scheduleTask").and.callFake(function (
+      parameters
+    ) {
+      return Promise.resolve(computeHeatmapTile(parameters));
+    });
+    const provider = new HeatmapImageryProvider({
+      points: [
+        {
+          position: Cartesian3.fromDegrees(179.9, 0.0),
+        },
+      ],
+      radius: 100000.0,
+      tileWidth: 16,
+      tileHeight: 16,
+    });
+    // The tile in the western hemisphere
+    return provider.requestImage(0, 0, 0).then(function () {
+      const parameters = TaskProcessor.prototype.scheduleTask.calls.argsFor(
+        0
+      )[0];
+      expect(parameters.points.length).toEqual(3);
+      expect(parameters.points[0]).toEqualEpsilon(
+        CesiumMath.toRadians(-180.1),
+        CesiumMath.EPSILON10
+      );
+    });
+  });
+
+  it("returns undefined when the web worker is busy", function () {
+    spyOn(TaskProcessor.prototype, "scheduleTask").and.returnValue(undefined);
+    const provider = new HeatmapImageryProvider({
+      points: points,
+    });
+    expect(provider.requestImage(1, 0, 0)).toBeUndefined();
+  });
+});
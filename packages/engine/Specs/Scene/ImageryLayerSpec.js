@@ -1,4 +1,5 @@
 import {
+  Cartesian2,
   EllipsoidTerrainProvider,
   Rectangle,
   Request,
@@ -18,8 +19,11 @@ import {
   NeverTileDiscardPolicy,
   QuadtreeTile,
   SingleTileImageryProvider,
+  TileMatrixSetTilingScheme,
+  TransverseMercatorProjection,
   UrlTemplateImageryProvider,
   WebMapServiceImageryProvider,
+  WebMapTileServiceImageryProvider,
 } from "../../index.js";
 
 import createScene from "../../../../Specs/createScene.js";
@@ -639,6 +643,76 @@ describe(
         });
       });
 
+      it("selects the tiles of tiling schemes in projections with curved parallels", function () {
+        const rectangle = Rectangle.fromDegrees(6.0, 47.0, 12.0, 55.0);
+        const tilingScheme = new TileMatrixSetTilingScheme({
+          projection: TransverseMercatorProjection.fromUtmZone(32),
+          tileMatrices: [
+            {
+              identifier: "0",
+              topLeftCorner: new Cartesian2(0.0, 6000000.0),
+              cellSize: 1000.0,
+              matrixWidth: 4,
+              matrixHeight: 2,
+            },
+          ],
+          rectangle: rectangle,
+        });
+        const provider = new WebMapTileServiceImageryProvider({
+          url: "http://wmts.invalid",
+          layer: "someLayer",
+          style: "someStyle",
+          tileMatrixSetID: "someTMS",
+          tilingScheme: tilingScheme,
+        });
+
+        const layers = new ImageryLayerCollection();
+        const layer = layers.addImageryProvider(provider);
+        const terrainProvider = new EllipsoidTerrainProvider();
+
+        const tiles = QuadtreeTile.createLevelZeroTiles(
+          terrainProvider.tilingScheme
+        );
+        tiles[0].data = new GlobeSurfaceTile();
+        tiles[1].data = new GlobeSurfaceTile();
+
+        // Even as the base layer, imagery is not stretched over tiles it does not cover.
+        expect(
+          layer._createTileImagerySkeletons(tiles[0], terrainProvider)
+        ).toBe(false);
+        expect(tiles[0].data.imagery.length).toBe(0);
+
+        expect(
+          layer._createTileImagerySkeletons(tiles[1], terrainProvider)
+        ).toBe(true);
+        const imagery = tiles[1].data.imagery;
+        expect(imagery.length).toBe(4);
+        expect(
+          imagery.map(function (tileImagery) {
+            return [tileImagery.loadingImagery.x, tileImagery.loadingImagery.y];
+          })
+        ).toEqual([
+          [1, 0],
+          [1, 1],
+          [2, 0],
+          [2, 1],
+        ]);
+
+        const terrainRectangle = tiles[1].rectangle;
+        const minU =
+          (rectangle.west - terrainRectangle.west) / terrainRectangle.width;
+        const maxU =
+          (rectangle.east - terrainRectangle.west) / terrainRectangle.width;
+        imagery.forEach(function (tileImagery) {
+          expect(tileImagery.useWebMercatorT).toBe(false);
+          const texCoordsRectangle = tileImagery.textureCoordinateRectangle;
+          expect(texCoordsRectangle.x).toBeGreaterThanOrEqual(minU);
+          expect(texCoordsRectangle.z).toBeLessThanOrEqual(maxU);
+          expect(texCoordsRectangle.x).toBeLessThan(texCoordsRectangle.z);
+          expect(texCoordsRectangle.y).toBeLessThan(texCoordsRectangle.w);
+        });
+      });
+
       it("does not get confused when base layer imagery overlaps in one direction but not the other", function () {
         // This is a pretty specific test targeted at https://github.com/CesiumGS/cesium/issues/2815
         // It arranges for tileImageryBoundsScratch to be a rectangle that is invalid in the WebMercator projection.
@@ -0,0 +1,286 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Color,
+  Credit,
+  ImageryProvider,
+  MapboxVectorTileFeature,
+  MapboxVectorTileGeometryType,
+  MapboxVectorTileImageryProvider,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import createMapboxVectorTile from "../../../../Specs/createMapboxVectorTile.js";
+
+describe("Scene/MapboxVectorTileImageryProvider", function () {
+  const tile = createMapboxVectorTile([
+    {
+      name: "buildings",
+      features: [
+        {
+          id: 1,
+          type: 3,
+          properties: {
+            name: "Center",
+            height: 20,
+          },
+          geometry: [[1024, 1024, 3072, 1024, 3072, 3072, 1024, 3072]],
+        },
+      ],
+    },
+    {
+      name: "places",
+      features: [
+        {
+          id: 2,
+          type: 1,
+          properties: {
+            name: "Northwest",
+          },
+          geometry: [[512, 512]],
+        },
+      ],
+    },
+  ]);
+
+  let requestedUrls;
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+    requestedUrls = [];
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      requestedUrls.push(url);
+      deferred.resolve(new Uint8Array(tile).buffer);
+    };
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(MapboxVectorTileImageryProvider).toConformToInterface(
+      ImageryProvider
+    );
+  });
+
+  it("requires the url to be specified", function () {
+    expect(function () {
+      return new MapboxVectorTileImageryProvider({});
+    }).toThrowDeveloperError();
+  });
+
+  it("is ready immediately", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+    expect(provider.ready).toBe(true);
+    return provider.readyPromise.then(function (result) {
+      expect(result).toBe(true);
+    });
+  });
+
+  it("has default properties", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+    expect(provider.url).toEqual("made/up/tiles/{z}/{x}/{y}.pbf");
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.minimumLevel).toEqual(0);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.rectangle).toEqual(provider.tilingScheme.rectangle);
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.credit).toBeUndefined();
+    expect(provider.enablePickFeatures).toBe(true);
+  });
+
+  it("uses the specified options", function () {
+    const rectangle = Rectangle.fromDegrees(34.0, 31.0, 36.0, 33.0);
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      tileWidth: 512,
+      tileHeight: 512,
+      minimumLevel: 1,
+      maximumLevel: 14,
+      rectangle: rectangle,
+      credit: "Thanks to our awesome made up source of this imagery!",
+      enablePickFeatures: false,
+    });
+    expect(provider.tileWidth).toEqual(512);
+    expect(provider.tileHeight).toEqual(512);
+    expect(provider.minimumLevel).toEqual(1);
+    expect(provider.maximumLevel).toEqual(14);
+    expect(provider.rectangle).toEqualEpsilon(rectangle, CesiumMath.EPSILON14);
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.enablePickFeatures).toBe(false);
+  });
+
+  it("requests tiles with the url template", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{s}/{z}/{x}/{reverseY}.pbf",
+      subdomains: ["one"],
+    });
+
+    return provider.requestImage(1, 0, 1).then(function (image) {
+      expect(requestedUrls.length).toEqual(1);
+      expect(requestedUrls[0]).toContain("made/up/tiles/one/1/1/1.pbf");
+      expect(image.width).toEqual(256);
+      expect(image.height).toEqual(256);
+    });
+  });
+
+  it("styles features by layer", function () {
+    const styledLayers = [];
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: {
+        buildings: function (feature, level) {
+          styledLayers.push(feature.layerName);
+          expect(feature).toBeInstanceOf(MapboxVectorTileFeature);
+          expect(feature.type).toEqual(MapboxVectorTileGeometryType.POLYGON);
+          expect(feature.getProperty("height")).toEqual(20);
+          expect(level).toEqual(0);
+          return {
+            fillColor: Color.RED,
+          };
+        },
+      },
+    });
+
+    return provider.requestImage(0, 0, 0).then(function (image) {
+      expect(styledLayers).toEqual(["buildings"]);
+    });
+  });
+
+  it("only renders the specified layers", function () {
+    const styledLayers = [];
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      layers: ["places"],
+      style: function (feature) {
+        styledLayers.push(feature.layerName);
+        return undefined;
+      },
+    });
+
+    return provider.requestImage(0, 0, 0).then(function () {
+      expect(styledLayers).toEqual(["places"]);
+    });
+  });
+
+  it("returns undefined when a request is throttled", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(provider.requestImage(0, 0, 0)).toBeUndefined();
+  });
+
+  describe("pickFeatures", function () {
+    it("picks polygons", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      });
+
+      return provider.pickFeatures(0, 0, 0, 0.0, 0.0).then(function (infos) {
+        expect(infos.length).toEqual(1);
+        const info = infos[0];
+        expect(info.name).toEqual("Center");
+        expect(info.description).toContain("height");
+        expect(info.position).toEqual(Cartographic.fromRadians(0.0, 0.0));
+        expect(info.data).toBeInstanceOf(MapboxVectorTileFeature);
+        expect(info.data.layerName).toEqual("buildings");
+        expect(info.data.id).toEqual(1);
+      });
+    });
+
+    it("picks points", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      });
+      // The point is an eighth of the way into the tile from its northwest corner
+      const projection = provider.tilingScheme.projection;
+      const halfWidth = projection.ellipsoid.maximumRadius * Math.PI;
+      const position = projection.unproject(
+        new Cartesian3(-halfWidth * 0.75, halfWidth * 0.75, 0.0)
+      );
+
+      return provider
+        .pickFeatures(0, 0, 0, position.longitude, position.latitude)
+        .then(function (infos) {
+          expect(infos.length).toEqual(1);
+          expect(infos[0].name).toEqual("Northwest");
+          expect(infos[0].data.type).toEqual(
+            MapboxVectorTileGeometryType.POINT
+          );
+        });
+    });
+
+    it("returns an empty array when there are no features", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      });
+
+      return provider
+        .pickFeatures(0, 0, 0, CesiumMath.toRadians(170.0), 0.0)
+        .then(function (infos) {
+          expect(infos.length).toEqual(0);
+        });
+    });
+
+    it("does not pick hidden features", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+        style: function (feature) {
+          return {
+            show: false,
+          };
+        },
+      });
+
+      return provider.pickFeatures(0, 0, 0, 0.0, 0.0).then(function (infos) {
+        expect(infos.length).toEqual(0);
+      });
+    });
+
+    it("reuses decoded tiles", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      });
+
+      return provider
+        .requestImage(0, 0, 0)
+        .then(function () {
+          return provider.pickFeatures(0, 0, 0, 0.0, 0.0);
+        })
+        .then(function (infos) {
+          expect(infos.length).toEqual(1);
+          expect(requestedUrls.length).toEqual(1);
+        });
+    });
+
+    it("returns undefined when enablePickFeatures is false", function () {
+      const provider = new MapboxVectorTileImageryProvider({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+        enablePickFeatures: false,
+      });
+      expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+    });
+  });
+});
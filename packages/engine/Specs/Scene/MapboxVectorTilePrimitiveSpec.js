@@ -0,0 +1,231 @@
+import {
+  ApproximateTerrainHeights,
+  Color,
+  GroundPolylinePrimitive,
+  GroundPrimitive,
+  MapboxVectorTileFeature,
+  MapboxVectorTilePrimitive,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+} from "../../index.js";
+
+import createMapboxVectorTile from "../../../../Specs/createMapboxVectorTile.js";
+import createScene from "../../../../Specs/createScene.js";
+import pollToPromise from "../../../../Specs/pollToPromise.js";
+
+describe(
+  "Scene/MapboxVectorTilePrimitive",
+  function () {
+    const tile = createMapboxVectorTile([
+      {
+        name: "buildings",
+        features: [
+          {
+            id: 1,
+            type: 3,
+            geometry: [[1024, 1024, 3072, 1024, 3072, 3072, 1024, 3072]],
+          },
+        ],
+      },
+      {
+        name: "roads",
+        features: [
+          {
+            id: 2,
+            type: 2,
+            geometry: [[0, 2048, 4096, 2048]],
+          },
+        ],
+      },
+      {
+        name: "places",
+        features: [
+          {
+            id: 3,
+            type: 1,
+            geometry: [[512, 512]],
+          },
+        ],
+      },
+    ]);
+
+    let scene;
+    let requestedUrls;
+
+    beforeAll(function () {
+      scene = createScene();
+      return GroundPrimitive.initializeTerrainHeights();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+
+      // Leave ground primitive uninitialized
+      ApproximateTerrainHeights._initPromise = undefined;
+      ApproximateTerrainHeights._terrainHeights = undefined;
+    });
+
+    beforeEach(function () {
+      RequestScheduler.clearForSpecs();
+      requestedUrls = [];
+      Resource._Implementations.loadWithXhr = function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      ) {
+        requestedUrls.push(url);
+        deferred.resolve(new Uint8Array(tile).buffer);
+      };
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+      Resource._Implementations.loadWithXhr =
+        Resource._DefaultImplementations.loadWithXhr;
+    });
+
+    it("throws without url", function () {
+      expect(function () {
+        return new MapboxVectorTilePrimitive({
+          rectangle: Rectangle.MAX_VALUE,
+          level: 0,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without rectangle", function () {
+      expect(function () {
+        return new MapboxVectorTilePrimitive({
+          url: "made/up/tiles/{z}/{x}/{y}.pbf",
+          level: 0,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without level", function () {
+      expect(function () {
+        return new MapboxVectorTilePrimitive({
+          url: "made/up/tiles/{z}/{x}/{y}.pbf",
+          rectangle: Rectangle.MAX_VALUE,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("requests the tiles covering the rectangle", function () {
+      const primitive = new MapboxVectorTilePrimitive({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+        rectangle: Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0),
+        level: 1,
+      });
+
+      expect(primitive.level).toEqual(1);
+      expect(requestedUrls.length).toEqual(4);
+      expect(requestedUrls).toContain("made/up/tiles/1/0/0.pbf");
+      expect(requestedUrls).toContain("made/up/tiles/1/1/0.pbf");
+      expect(requestedUrls).toContain("made/up/tiles/1/0/1.pbf");
+      expect(requestedUrls).toContain("made/up/tiles/1/1/1.pbf");
+    });
+
+    it("becomes ready and renders features", function () {
+      const primitive = scene.primitives.add(
+        new MapboxVectorTilePrimitive({
+          url: "made/up/tiles/{z}/{x}/{y}.pbf",
+          rectangle: Rectangle.MAX_VALUE,
+          level: 0,
+          style: function (feature) {
+            return {
+              fillColor: Color.RED,
+            };
+          },
+        })
+      );
+
+      return pollToPromise(function () {
+        scene.renderForSpecs();
+        return primitive.ready;
+      }).then(function () {
+        return primitive.readyPromise.then(function (result) {
+          expect(result).toBe(primitive);
+          expect(primitive.features.length).toEqual(3);
+          expect(primitive.features[0]).toBeInstanceOf(MapboxVectorTileFeature);
+
+          const primitives = primitive._primitives;
+          expect(primitives.length).toEqual(3);
+          expect(primitives.get(0)).toBeInstanceOf(GroundPrimitive);
+          expect(primitives.get(1)).toBeInstanceOf(GroundPolylinePrimitive);
+          expect(primitives.get(2).length).toEqual(1);
+        });
+      });
+    });
+
+    it("does not create primitives for hidden features", function () {
+      const primitive = scene.primitives.add(
+        new MapboxVectorTilePrimitive({
+          url: "made/up/tiles/{z}/{x}/{y}.pbf",
+          rectangle: Rectangle.MAX_VALUE,
+          level: 0,
+          style: function (feature) {
+            return {
+              show: feature.layerName === "places",
+            };
+          },
+        })
+      );
+
+      return pollToPromise(function () {
+        scene.renderForSpecs();
+        return primitive.ready;
+      }).then(function () {
+        expect(primitive._primitives.length).toEqual(1);
+      });
+    });
+
+    it("clips rings to the tile", function () {
+      const ring = MapboxVectorTilePrimitive._clipRing(
+        [-10, -10, 50, -10, 50, 50, -10, 50],
+        40
+      );
+      expect(ring.length).toEqual(8);
+      for (let i = 0; i < ring.length; ++i) {
+        expect(ring[i] === 0 || ring[i] === 40).toBe(true);
+      }
+
+      expect(
+        MapboxVectorTilePrimitive._clipRing([50, 50, 60, 50, 60, 60], 40)
+      ).toEqual([]);
+    });
+
+    it("clips lines to the tile", function () {
+      expect(
+        MapboxVectorTilePrimitive._clipLine([-10, 20, 50, 20], 40)
+      ).toEqual([[0, 20, 40, 20]]);
+
+      expect(
+        MapboxVectorTilePrimitive._clipLine(
+          [10, 10, 10, 60, 30, 60, 30, 10],
+          40
+        )
+      ).toEqual([
+        [10, 10, 10, 40],
+        [30, 40, 30, 10],
+      ]);
+    });
+
+    it("isDestroyed", function () {
+      const primitive = new MapboxVectorTilePrimitive({
+        url: "made/up/tiles/{z}/{x}/{y}.pbf",
+        rectangle: Rectangle.MAX_VALUE,
+        level: 0,
+      });
+      expect(primitive.isDestroyed()).toEqual(false);
+      primitive.destroy();
+      expect(primitive.isDestroyed()).toEqual(true);
+    });
+  },
+  "WebGL"
+);
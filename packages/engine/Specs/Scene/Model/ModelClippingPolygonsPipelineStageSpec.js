@@ -0,0 +1,103 @@
+import {
+  Cartesian3,
+  ClippingPolygon,
+  ClippingPolygonCollection,
+  Matrix4,
+  ModelClippingPolygonsPipelineStage,
+  ShaderBuilder,
+} from "../../../index.js";
+import ShaderBuilderTester from "../../../../../Specs/ShaderBuilderTester.js";
+
+describe("Scene/Model/ModelClippingPolygonsPipelineStage", function () {
+  let clippingPolygons;
+
+  beforeEach(function () {
+    clippingPolygons = new ClippingPolygonCollection({
+      polygons: [
+        new ClippingPolygon({
+          positions: Cartesian3.fromDegreesArray([
+            0.0,
+            0.0,
+            0.01,
+            0.0,
+            0.01,
+            0.01,
+          ]),
+        }),
+      ],
+    });
+    clippingPolygons._texture = {
+      width: 3,
+      height: 1,
+    };
+  });
+
+  function process(frameState) {
+    const mockModel = {
+      clippingPolygons: clippingPolygons,
+    };
+    const renderResources = {
+      shaderBuilder: new ShaderBuilder(),
+      uniformMap: {},
+      model: mockModel,
+    };
+    ModelClippingPolygonsPipelineStage.process(
+      renderResources,
+      mockModel,
+      frameState
+    );
+    return renderResources;
+  }
+
+  it("configures the render resources for clipping polygons", function () {
+    const mockFrameState = {
+      context: {
+        defaultTexture: {},
+        uniformState: {
+          inverseView: Matrix4.IDENTITY,
+        },
+      },
+    };
+    const renderResources = process(mockFrameState);
+    const shaderBuilder = renderResources.shaderBuilder;
+
+    ShaderBuilderTester.expectHasFragmentDefines(shaderBuilder, [
+      "HAS_CLIPPING_POLYGONS",
+    ]);
+    ShaderBuilderTester.expectHasFragmentUniforms(shaderBuilder, [
+      "uniform sampler2D model_clippingPolygons;",
+      "uniform mat4 model_clippingPolygonsMatrix;",
+      "uniform vec3 model_clippingPolygonsEarthCenter;",
+    ]);
+
+    const fragmentLines = shaderBuilder._fragmentShaderParts.shaderLines;
+    const source = fragmentLines.join("\n");
+    expect(source).toContain("void clipPolygons(");
+    expect(source).toContain("for (int i = 0; i < 3; ++i)");
+    expect(source).toContain("if (winding != 0)");
+    expect(source).toContain("void modelClippingPolygonsStage()");
+
+    const uniformMap = renderResources.uniformMap;
+    expect(uniformMap.model_clippingPolygons()).toBe(clippingPolygons.texture);
+    expect(uniformMap.model_clippingPolygonsMatrix()).toEqual(
+      clippingPolygons.computeClippingPolygonsMatrix(
+        Matrix4.IDENTITY,
+        new Matrix4()
+      )
+    );
+    expect(uniformMap.model_clippingPolygonsEarthCenter()).toEqual(
+      clippingPolygons.getEarthCenter()
+    );
+  });
+
+  it("discards fragments outside of the polygons when inverse", function () {
+    clippingPolygons.inverse = true;
+    const renderResources = process({
+      context: {},
+    });
+    const source = renderResources.shaderBuilder._fragmentShaderParts.shaderLines.join(
+      "\n"
+    );
+    expect(source).toContain("if (winding == 0)");
+  });
+});
@@ -0,0 +1,402 @@
+import Uri from "urijs";
+import {
+  Cartographic,
+  Credit,
+  defined,
+  GeographicTilingScheme,
+  ImageryProvider,
+  OgcApiMapTilesImageryProvider,
+  Rectangle,
+  RequestErrorEvent,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  TileMatrixSetTilingScheme,
+  UrlTemplateImageryProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/OgcApiMapTilesImageryProvider", function () {
+  const baseUrl = "https://maps.example.com/ogcapi/collections/roads/map/tiles";
+  const tilingSchemeRelation =
+    "http://www.opengis.net/def/rel/ogc/1.0/tiling-scheme";
+
+  const webMercatorQuad = {
+    id: "WebMercatorQuad",
+    crs: "http://www.opengis.net/def/crs/EPSG/0/3857",
+    orderedAxes: ["E", "N"],
+    tileMatrices: [0, 1, 2].map(function (level) {
+      const matrixSize = Math.pow(2, level);
+      return {
+        id: level.toString(),
+        scaleDenominator: 559082264.028717 / matrixSize,
+        cellSize: 156543.033928041 / matrixSize,
+        cornerOfOrigin: "topLeft",
+        pointOfOrigin: [-20037508.3427892, 20037508.3427892],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: matrixSize,
+        matrixHeight: matrixSize,
+      };
+    }),
+  };
+
+  const worldCrs84Quad = {
+    id: "WorldCRS84Quad",
+    crs: { uri: "http://www.opengis.net/def/crs/EPSG/0/4326" },
+    orderedAxes: ["Lat", "Lon"],
+    tileMatrices: [
+      {
+        id: "0",
+        scaleDenominator: 279541132.014358,
+        cornerOfOrigin: "topLeft",
+        pointOfOrigin: [90.0, -180.0],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 2,
+        matrixHeight: 1,
+      },
+    ],
+  };
+
+  const utm32 = {
+    id: "UTM32",
+    crs: "http://www.opengis.net/def/crs/EPSG/0/25832",
+    tileMatrices: [
+      {
+        id: "coarse",
+        scaleDenominator: 7142857.142857143,
+        pointOfOrigin: [0.0, 6000000.0],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 4,
+        matrixHeight: 2,
+      },
+      {
+        id: "fine",
+        scaleDenominator: 3571428.5714285714,
+        pointOfOrigin: [0.0, 6000000.0],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 8,
+        matrixHeight: 4,
+      },
+    ],
+  };
+
+  function createTileset(tileMatrixSetId, properties) {
+    return Object.assign(
+      {
+        title: "Roads",
+        dataType: "map",
+        tileMatrixSetURI: `http://www.opengis.net/def/tilematrixset/OGC/1.0/${tileMatrixSetId}`,
+        links: [
+          {
+            rel: "self",
+            type: "application/json",
+            href: `${baseUrl}/${tileMatrixSetId}?f=json`,
+          },
+          {
+            rel: tilingSchemeRelation,
+            type: "application/json",
+            href: `../../../../tileMatrixSets/${tileMatrixSetId}?f=json`,
+          },
+          {
+            rel: "item",
+            type: "image/jpeg",
+            href: `${tileMatrixSetId}/{tileMatrix}/{tileRow}/{tileCol}.jpg`,
+            templated: true,
+          },
+          {
+            rel: "item",
+            type: "image/png",
+            href: `${tileMatrixSetId}/{tileMatrix}/{tileRow}/{tileCol}?f=png`,
+            templated: true,
+          },
+        ],
+      },
+      properties
+    );
+  }
+
+  let responses;
+  let requestedUrls;
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+
+    responses = {};
+    responses[
+      "https://maps.example.com/ogcapi/tileMatrixSets/WebMercatorQuad"
+    ] = webMercatorQuad;
+    responses["https://maps.example.com/ogcapi/tileMatrixSets/UTM32"] = utm32;
+    responses[
+      "https://maps.example.com/ogcapi/tileMatrixSets/WorldCRS84Quad"
+    ] = worldCrs84Quad;
+    responses[`${baseUrl}/WebMercatorQuad`] = createTileset("WebMercatorQuad");
+    responses[`${baseUrl}/UTM32`] = createTileset("UTM32", {
+      tileMatrixSetLimits: [
+        {
+          tileMatrix: "coarse",
+          minTileRow: 0,
+          maxTileRow: 0,
+          minTileCol: 0,
+          maxTileCol: 1,
+        },
+        {
+          tileMatrix: "fine",
+          minTileRow: 0,
+          maxTileRow: 1,
+          minTileCol: 0,
+          maxTileCol: 3,
+        },
+      ],
+    });
+    responses[baseUrl] = {
+      links: [],
+      tilesets: ["UTM32", "WebMercatorQuad"].map(function (tileMatrixSetId) {
+        const tileset = createTileset(tileMatrixSetId);
+        return {
+          title: tileset.title,
+          dataType: tileset.dataType,
+          tileMatrixSetURI: tileset.tileMatrixSetURI,
+          links: tileset.links.slice(0, 2),
+        };
+      }),
+    };
+
+    requestedUrls = [];
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      requestedUrls.push(url);
+      const response = responses[new Uri(url).query("").toString()];
+      if (defined(response)) {
+        deferred.resolve(JSON.stringify(response));
+      } else {
+        deferred.reject(new RequestErrorEvent(404));
+      }
+    };
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  function getTileUrl(provider, x, y, level) {
+    spyOn(ImageryProvider, "loadImage");
+    provider.requestImage(x, y, level);
+    return ImageryProvider.loadImage.calls.mostRecent().args[1].url;
+  }
+
+  it("extends UrlTemplateImageryProvider", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WebMercatorQuad?f=json`,
+    });
+    expect(provider).toBeInstanceOf(UrlTemplateImageryProvider);
+    return provider.readyPromise;
+  });
+
+  it("requires the url", function () {
+    expect(function () {
+      return new OgcApiMapTilesImageryProvider({});
+    }).toThrowDeveloperError();
+  });
+
+  it("resolves the tileset and its tile matrix set", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WebMercatorQuad?f=json`,
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(requestedUrls).toEqual([
+        `${baseUrl}/WebMercatorQuad?f=json`,
+        "https://maps.example.com/ogcapi/tileMatrixSets/WebMercatorQuad?f=json",
+      ]);
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(provider.tileMatrixLabels).toEqual(["0", "1", "2"]);
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(2);
+      expect(provider.tileWidth).toEqual(256);
+      expect(provider.hasAlphaChannel).toBe(true);
+
+      expect(getTileUrl(provider, 3, 1, 2)).toEqual(
+        `${baseUrl}/WebMercatorQuad/2/1/3?f=png`
+      );
+    });
+  });
+
+  it("uses the format of the tiles", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WebMercatorQuad?f=json`,
+      format: "image/jpeg",
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.hasAlphaChannel).toBe(false);
+      // The format parameter of the tileset is not used for the tiles
+      expect(getTileUrl(provider, 0, 0, 1)).toEqual(
+        `${baseUrl}/WebMercatorQuad/1/0/0.jpg`
+      );
+    });
+  });
+
+  it("selects the Web Mercator tileset of a list of tilesets", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: baseUrl,
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(requestedUrls[1]).toEqual(`${baseUrl}/WebMercatorQuad?f=json`);
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    });
+  });
+
+  it("selects the tileset of a tile matrix set and uses its limits", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: baseUrl,
+      tileMatrixSetId: "UTM32",
+    });
+
+    return provider.readyPromise.then(function () {
+      const tilingScheme = provider.tilingScheme;
+      expect(tilingScheme).toBeInstanceOf(TileMatrixSetTilingScheme);
+      expect(provider.tileMatrixLabels).toEqual(["coarse", "fine"]);
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(1);
+
+      const expectedRectangle = Rectangle.union(
+        tilingScheme.tileXYToRectangle(0, 0, 0),
+        tilingScheme.tileXYToRectangle(1, 0, 0)
+      );
+      expect(provider.rectangle).toEqual(expectedRectangle);
+      expect(
+        Rectangle.contains(
+          provider.rectangle,
+          Cartographic.fromDegrees(9.0, 51.0)
+        )
+      ).toBe(true);
+
+      expect(getTileUrl(provider, 2, 1, 1)).toEqual(
+        `${baseUrl}/UTM32/fine/1/2?f=png`
+      );
+    });
+  });
+
+  it("creates geographic tiling schemes of latitude first tile matrix sets", function () {
+    responses[`${baseUrl}/WorldCRS84Quad`] = createTileset("WorldCRS84Quad", {
+      attribution: "Example roads",
+      boundingBox: {
+        lowerLeft: [5.0, 45.0],
+        upperRight: [15.0, 55.0],
+      },
+    });
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WorldCRS84Quad`,
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.rectangle).toEqual(
+        Rectangle.fromDegrees(5.0, 45.0, 15.0, 55.0)
+      );
+      expect(provider.credit).toEqual(new Credit("Example roads"));
+    });
+  });
+
+  it("uses the well-known quadtrees without a link to the tile matrix set", function () {
+    const tileset = createTileset("WorldCRS84Quad");
+    tileset.links.splice(1, 1);
+    responses[`${baseUrl}/WorldCRS84Quad`] = tileset;
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WorldCRS84Quad`,
+    });
+
+    return provider.readyPromise.then(function () {
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.tileMatrixLabels).toBeUndefined();
+      expect(getTileUrl(provider, 1, 0, 0)).toEqual(
+        `${baseUrl}/WorldCRS84Quad/0/0/1?f=png`
+      );
+    });
+  });
+
+  it("rejects tile matrix sets in unsupported CRSs", function () {
+    responses[
+      "https://maps.example.com/ogcapi/tileMatrixSets/SwissQuad"
+    ] = Object.assign({}, utm32, {
+      id: "SwissQuad",
+      crs: "http://www.opengis.net/def/crs/EPSG/0/2056",
+    });
+    responses[`${baseUrl}/SwissQuad`] = createTileset("SwissQuad");
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/SwissQuad`,
+    });
+
+    const errorListener = jasmine.createSpy("errorListener");
+    provider.errorEvent.addEventListener(errorListener);
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RuntimeError);
+        expect(errorListener).toHaveBeenCalled();
+      });
+  });
+
+  it("rejects unknown tile matrix sets", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: baseUrl,
+      tileMatrixSetId: "WorldCRS84Quad",
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RuntimeError);
+      });
+  });
+
+  it("rejects tilesets without map tiles", function () {
+    const tileset = createTileset("WebMercatorQuad", { dataType: "vector" });
+    tileset.links[2].type = "application/vnd.mapbox-vector-tile";
+    tileset.links.pop();
+    responses[`${baseUrl}/WebMercatorQuad`] = tileset;
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/WebMercatorQuad`,
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RuntimeError);
+      });
+  });
+
+  it("rejects when the tileset cannot be requested", function () {
+    const provider = new OgcApiMapTilesImageryProvider({
+      url: `${baseUrl}/Unknown`,
+    });
+
+    return provider.readyPromise
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (error) {
+        expect(error).toBeInstanceOf(RequestErrorEvent);
+      });
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  GeographicProjection,
+  Iso8601,
+  JulianDate,
+  Math as CesiumMath,
+  OgcCapabilitiesUtil,
+  PolarStereographicProjection,
+  TransverseMercatorProjection,
+  WebMercatorProjection,
+} from "../../index.js";
+
+describe("Scene/OgcCapabilitiesUtil", function () {
+  it("getEpsgCode reads the codes of CRS identifiers", function () {
+    expect(OgcCapabilitiesUtil.getEpsgCode("EPSG:3857")).toEqual(3857);
+    expect(
+      OgcCapabilitiesUtil.getEpsgCode("urn:ogc:def:crs:EPSG:6.18.3:25832")
+    ).toEqual(25832);
+    expect(
+      OgcCapabilitiesUtil.getEpsgCode(
+        "http://www.opengis.net/def/crs/EPSG/0/4326"
+      )
+    ).toEqual(4326);
+    expect(OgcCapabilitiesUtil.getEpsgCode("CRS:84")).toBeUndefined();
+  });
+
+  it("createProjection creates the projections of supported CRSs", function () {
+    expect(
+      OgcCapabilitiesUtil.createProjection("urn:ogc:def:crs:OGC:1.3:CRS84")
+    ).toBeInstanceOf(GeographicProjection);
+    expect(OgcCapabilitiesUtil.createProjection("EPSG:4326")).toBeInstanceOf(
+      GeographicProjection
+    );
+    expect(OgcCapabilitiesUtil.createProjection("EPSG:900913")).toBeInstanceOf(
+      WebMercatorProjection
+    );
+
+    const utm = OgcCapabilitiesUtil.createProjection("EPSG:32733");
+    expect(utm).toBeInstanceOf(TransverseMercatorProjection);
+    expect(utm.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(15.0),
+      CesiumMath.EPSILON14
+    );
+    expect(utm.falseNorthing).toEqual(10000000.0);
+
+    const ups = OgcCapabilitiesUtil.createProjection("EPSG:5042");
+    expect(ups).toBeInstanceOf(PolarStereographicProjection);
+    expect(ups.southernHemisphere).toBe(true);
+
+    expect(OgcCapabilitiesUtil.createProjection("EPSG:2056")).toBeUndefined();
+  });
+
+  it("isNorthingFirst is true for geographic EPSG codes", function () {
+    expect(OgcCapabilitiesUtil.isNorthingFirst("EPSG:4326")).toBe(true);
+    expect(OgcCapabilitiesUtil.isNorthingFirst("CRS:84")).toBe(false);
+    expect(OgcCapabilitiesUtil.isNorthingFirst("EPSG:3857")).toBe(false);
+  });
+
+  it("createTimeIntervalCollection expands ranges and sorts the values", function () {
+    const times = OgcCapabilitiesUtil.createTimeIntervalCollection(
+      ["2022-01-05", "2022-01-01/2022-01-03/P1D", "2022-01-02"],
+      "Time"
+    );
+    expect(times.length).toEqual(4);
+    expect(
+      [0, 1, 2, 3].map(function (index) {
+        return times.get(index).data.Time;
+      })
+    ).toEqual(["2022-01-01", "2022-01-02", "2022-01-03", "2022-01-05"]);
+
+    const first = times.get(0);
+    expect(first.start).toEqual(JulianDate.fromIso8601("2022-01-01"));
+    expect(first.stop).toEqual(JulianDate.fromIso8601("2022-01-02"));
+    expect(first.isStopIncluded).toBe(false);
+    // The last value is used from then on
+    expect(times.get(3).stop).toEqual(Iso8601.MAXIMUM_VALUE);
+  });
+
+  it("createTimeIntervalCollection expands ranges up to the present", function () {
+    const start = JulianDate.addHours(
+      JulianDate.now(),
+      -60.0,
+      new JulianDate()
+    );
+    const times = OgcCapabilitiesUtil.createTimeIntervalCollection(
+      [`${JulianDate.toIso8601(start)}/present/P1D`],
+      "time"
+    );
+    // Three days from the start, and the present
+    expect(times.length).toEqual(4);
+  });
+
+  it("createTimeIntervalCollection returns undefined without values", function () {
+    expect(
+      OgcCapabilitiesUtil.createTimeIntervalCollection(["current"], "time")
+    ).toBeUndefined();
+  });
+});
@@ -10,6 +10,7 @@ import {
   GeometryInstance,
   HeadingPitchRoll,
   JulianDate,
+  MapMode2D,
   PerspectiveFrustum,
   PixelFormat,
   Rectangle,
@@ -17,6 +18,7 @@ import {
   RequestScheduler,
   RuntimeError,
   TaskProcessor,
+  TransverseMercatorProjection,
   WebGLConstants,
   WebMercatorProjection,
   DrawCommand,
@@ -194,6 +196,26 @@ describe(
       s.destroyForSpecs();
     });
 
+    it("constructor uses a rotatable 2D map for projections with curved meridians", function () {
+      const s = createScene({
+        mapProjection: new TransverseMercatorProjection(),
+      });
+
+      expect(s.mapMode2D).toEqual(MapMode2D.ROTATE);
+
+      s.destroyForSpecs();
+    });
+
+    it("constructor throws with an infinitely scrolling 2D map for projections with curved meridians", function () {
+      expect(function () {
+        return new Scene({
+          canvas: createCanvas(),
+          mapProjection: new TransverseMercatorProjection(),
+          mapMode2D: MapMode2D.INFINITE_SCROLL,
+        });
+      }).toThrowDeveloperError();
+    });
+
     it("constructor throws without options", function () {
       expect(function () {
         return new Scene();
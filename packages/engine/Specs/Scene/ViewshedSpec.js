@@ -0,0 +1,153 @@
+import {
+  Cartesian3,
+  Color,
+  Math as CesiumMath,
+  Viewshed,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/Viewshed",
+  function () {
+    let scene;
+    const position = Cartesian3.fromDegrees(0.0, 0.0, 100.0);
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(0.0, -0.01, 500.0),
+      });
+    });
+
+    it("throws without scene or position", function () {
+      expect(function () {
+        return new Viewshed({
+          position: position,
+        });
+      }).toThrowDeveloperError();
+      expect(function () {
+        return new Viewshed({
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("constructs with defaults", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+      });
+      expect(viewshed.scene).toBe(scene);
+      expect(viewshed.position).toEqual(position);
+      expect(viewshed.heading).toEqual(0.0);
+      expect(viewshed.pitch).toEqual(0.0);
+      expect(viewshed.horizontalFieldOfView).toEqual(CesiumMath.PI_OVER_TWO);
+      expect(viewshed.verticalFieldOfView).toEqual(CesiumMath.PI_OVER_THREE);
+      expect(viewshed.range).toEqual(1000.0);
+      expect(viewshed.visibleColor).toEqual(Color.LIME.withAlpha(0.5));
+      expect(viewshed.occludedColor).toEqual(Color.RED.withAlpha(0.5));
+      expect(viewshed.show).toEqual(true);
+      expect(viewshed.debugShowFrustum).toEqual(false);
+      viewshed.destroy();
+    });
+
+    it("adds a primitive and a post-process stage to the scene", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+      });
+      expect(scene.primitives.contains(viewshed._primitive)).toBe(true);
+      expect(scene.postProcessStages.contains(viewshed._stage)).toBe(true);
+
+      viewshed.destroy();
+      expect(viewshed.isDestroyed()).toBe(true);
+      expect(scene.primitives.length).toEqual(0);
+      expect(scene.postProcessStages.length).toEqual(0);
+    });
+
+    it("renders the shadow map from the observer", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+        heading: CesiumMath.PI_OVER_TWO,
+        pitch: -CesiumMath.PI_OVER_FOUR,
+        horizontalFieldOfView: CesiumMath.toRadians(120.0),
+        verticalFieldOfView: CesiumMath.toRadians(60.0),
+        range: 500.0,
+      });
+      scene.renderForSpecs();
+      expect(scene.frameState.shadowMaps).toContain(viewshed._shadowMap);
+      expect(viewshed._stage.enabled).toBe(true);
+
+      const camera = viewshed._camera;
+      expect(camera.position).toEqualEpsilon(position, CesiumMath.EPSILON7);
+      expect(camera.heading).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON7
+      );
+      expect(camera.pitch).toEqualEpsilon(
+        -CesiumMath.PI_OVER_FOUR,
+        CesiumMath.EPSILON7
+      );
+      expect(camera.frustum.fov).toEqualEpsilon(
+        CesiumMath.toRadians(120.0),
+        CesiumMath.EPSILON7
+      );
+      expect(camera.frustum.fovy).toEqualEpsilon(
+        CesiumMath.toRadians(60.0),
+        CesiumMath.EPSILON7
+      );
+      expect(camera.frustum.far).toEqual(500.0);
+
+      viewshed.destroy();
+    });
+
+    it("does not render when not shown", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+        show: false,
+      });
+      scene.renderForSpecs();
+      expect(scene.frameState.shadowMaps).not.toContain(viewshed._shadowMap);
+      expect(viewshed._stage.enabled).toBe(false);
+      viewshed.destroy();
+    });
+
+    it("shows the frustum for debugging", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+        debugShowFrustum: true,
+      });
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeDefined();
+
+      viewshed.debugShowFrustum = false;
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeUndefined();
+      viewshed.destroy();
+    });
+
+    it("throws when rendering with an invalid field of view", function () {
+      const viewshed = new Viewshed({
+        scene: scene,
+        position: position,
+        horizontalFieldOfView: CesiumMath.PI,
+      });
+      expect(function () {
+        scene.renderForSpecs();
+      }).toThrowDeveloperError();
+      viewshed.destroy();
+    });
+  },
+  "WebGL"
+);
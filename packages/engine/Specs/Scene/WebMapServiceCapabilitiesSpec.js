@@ -0,0 +1,304 @@
+import Uri from "urijs";
+import {
+  Clock,
+  GeographicTilingScheme,
+  ImageryProvider,
+  JulianDate,
+  Math as CesiumMath,
+  queryToObject,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMapServiceCapabilities,
+  WebMapServiceImageryProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/WebMapServiceCapabilities", function () {
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  function loadCapabilities(dataUrl) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const query = queryToObject(new Uri(url).query());
+      expect(query).toEqual({
+        service: "WMS",
+        version: "1.3.0",
+        request: "GetCapabilities",
+      });
+      Resource._DefaultImplementations.loadWithXhr(
+        dataUrl,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      );
+    };
+    return WebMapServiceCapabilities.fromUrl("https://maps.example.com/wms");
+  }
+
+  function getTileQuery(provider) {
+    spyOn(ImageryProvider, "loadImage");
+    provider.requestImage(0, 0, 0);
+    const uri = new Uri(
+      ImageryProvider.loadImage.calls.mostRecent().args[1].url
+    );
+    const query = queryToObject(uri.query());
+    query.url = uri.query("").toString();
+    return query;
+  }
+
+  it("requests the capabilities of the server", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      expect(capabilities).toBeInstanceOf(WebMapServiceCapabilities);
+      expect(capabilities.url).toEqual("https://maps.example.com/wms");
+      expect(capabilities.version).toEqual("1.3.0");
+      expect(capabilities.title).toEqual("Example WMS");
+      expect(capabilities.formats).toEqual(["image/jpeg", "image/png"]);
+    });
+  });
+
+  it("lists the named layers with the properties of their parents", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      const layers = capabilities.layers;
+      expect(
+        layers.map(function (layer) {
+          return layer.name;
+        })
+      ).toEqual(["roads", "radar"]);
+
+      const roads = capabilities.getLayer("roads");
+      expect(roads.title).toEqual("Roads");
+      expect(roads.abstract).toEqual("Road network");
+      expect(roads.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(5.0, 45.0, 15.0, 55.0),
+        CesiumMath.EPSILON14
+      );
+      expect(roads.crs).toEqual([
+        "CRS:84",
+        "EPSG:4326",
+        "EPSG:3857",
+        "EPSG:25832",
+      ]);
+      expect(roads.styles).toEqual([
+        { name: "default", title: "Default" },
+        { name: "night", title: "Night" },
+      ]);
+      expect(roads.dimensions).toEqual([]);
+      expect(roads.queryable).toBe(true);
+
+      const radar = capabilities.getLayer("radar");
+      expect(radar.rectangle).toEqualEpsilon(
+        Rectangle.MAX_VALUE,
+        CesiumMath.EPSILON14
+      );
+      expect(radar.dimensions).toEqual([
+        {
+          name: "time",
+          units: "ISO8601",
+          defaultValue: "2022-01-01T12:00:00Z",
+          values: ["2022-01-01T00:00:00Z/2022-01-01T12:00:00Z/PT6H"],
+        },
+      ]);
+      expect(radar.queryable).toBe(false);
+
+      expect(capabilities.getLayer("Example layers")).toBeUndefined();
+    });
+  });
+
+  it("lists the layers of WMS 1.1.1 capabilities", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.1.1.xml").then(function (
+      capabilities
+    ) {
+      expect(capabilities.version).toEqual("1.1.1");
+      expect(capabilities.title).toEqual("Example WMS 1.1.1");
+
+      const cities = capabilities.getLayer("cities");
+      expect(cities.crs).toEqual(["EPSG:3857", "EPSG:900913"]);
+      expect(cities.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(-10.0, 35.0, 30.0, 60.0),
+        CesiumMath.EPSILON14
+      );
+      expect(cities.dimensions).toEqual([
+        {
+          name: "time",
+          units: "ISO8601",
+          defaultValue: "2022-02-01",
+          values: ["2022-01-01", "2022-02-01"],
+        },
+      ]);
+    });
+  });
+
+  it("creates imagery providers of layers", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      const provider = capabilities.createImageryProvider({
+        layer: "roads",
+      });
+      expect(provider).toBeInstanceOf(WebMapServiceImageryProvider);
+      expect(provider.layers).toEqual("roads");
+
+      return provider.readyPromise.then(function () {
+        expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+        expect(provider.rectangle).toEqual(
+          capabilities.getLayer("roads").rectangle
+        );
+        expect(provider.enablePickFeatures).toBe(true);
+        expect(provider.getFeatureInfoUrl.url).toEqual(
+          "https://maps.example.com/wms/info"
+        );
+
+        const query = getTileQuery(provider);
+        expect(query.url).toEqual("https://maps.example.com/wms/map");
+        expect(query.version).toEqual("1.3.0");
+        expect(query.crs).toEqual("CRS:84");
+        expect(query.format).toEqual("image/png");
+        expect(query.transparent).toEqual("true");
+        expect(query.styles).toEqual("");
+      });
+    });
+  });
+
+  it("creates imagery providers with a style, format and parameters", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      const provider = capabilities.createImageryProvider({
+        layer: "roads",
+        style: "night",
+        format: "image/jpeg",
+        parameters: {
+          custom: "value",
+        },
+        tilingScheme: new WebMercatorTilingScheme(),
+      });
+
+      return provider.readyPromise.then(function () {
+        expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+
+        const query = getTileQuery(provider);
+        expect(query.crs).toEqual("EPSG:3857");
+        expect(query.format).toEqual("image/jpeg");
+        expect(query.transparent).toEqual("false");
+        expect(query.styles).toEqual("night");
+        expect(query.custom).toEqual("value");
+      });
+    });
+  });
+
+  it("creates time dynamic imagery providers with a clock", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      const clock = new Clock({
+        currentTime: JulianDate.fromIso8601("2022-01-01T07:00:00Z"),
+        shouldAnimate: false,
+      });
+      const provider = capabilities.createImageryProvider({
+        layer: "radar",
+        clock: clock,
+      });
+      expect(provider.clock).toBe(clock);
+
+      const times = provider.times;
+      expect(times.length).toEqual(3);
+      expect(times.get(0).data).toEqual({ time: "2022-01-01T00:00:00Z" });
+      expect(times.get(2).data).toEqual({ time: "2022-01-01T12:00:00Z" });
+
+      return provider.readyPromise.then(function () {
+        expect(provider.enablePickFeatures).toBe(false);
+
+        const query = getTileQuery(provider);
+        expect(query.time).toEqual("2022-01-01T06:00:00Z");
+      });
+    });
+  });
+
+  it("creates imagery providers of WMS 1.1.1 layers", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.1.1.xml").then(function (
+      capabilities
+    ) {
+      const provider = capabilities.createImageryProvider({
+        layer: "cities",
+      });
+
+      return provider.readyPromise.then(function () {
+        expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+        // The layer is queryable, but the server does not support GetFeatureInfo
+        expect(provider.enablePickFeatures).toBe(false);
+
+        const query = getTileQuery(provider);
+        expect(query.url).toEqual("http://maps.example.com/wms111");
+        expect(query.version).toEqual("1.1.1");
+        expect(query.srs).toEqual("EPSG:3857");
+        expect(query.format).toEqual("image/jpeg");
+      });
+    });
+  });
+
+  it("throws when creating imagery providers of unknown layers", function () {
+    return loadCapabilities("Data/WMS/Capabilities-1.3.0.xml").then(function (
+      capabilities
+    ) {
+      expect(function () {
+        return capabilities.createImageryProvider({ layer: "unknown" });
+      }).toThrowDeveloperError();
+    });
+  });
+
+  it("throws when creating imagery providers of layers in unsupported CRSs", function () {
+    const xml = new DOMParser().parseFromString(
+      '<WMS_Capabilities xmlns="http://www.opengis.net/wms" version="1.3.0"><Capability><Layer><Name>swiss</Name><CRS>EPSG:2056</CRS></Layer></Capability></WMS_Capabilities>',
+      "text/xml"
+    );
+    const capabilities = new WebMapServiceCapabilities({
+      xml: xml,
+      url: "https://maps.example.com/wms",
+    });
+    expect(function () {
+      return capabilities.createImageryProvider({ layer: "swiss" });
+    }).toThrowError(RuntimeError);
+  });
+
+  it("throws with service exception reports", function () {
+    const xml = new DOMParser().parseFromString(
+      '<ServiceExceptionReport version="1.3.0" xmlns="http://www.opengis.net/ogc"><ServiceException code="InvalidFormat">Nope</ServiceException></ServiceExceptionReport>',
+      "text/xml"
+    );
+    expect(function () {
+      return new WebMapServiceCapabilities({
+        xml: xml,
+        url: "https://maps.example.com/wms",
+      });
+    }).toThrowError(RuntimeError);
+  });
+
+  it("throws without a url", function () {
+    expect(function () {
+      return WebMapServiceCapabilities.fromUrl();
+    }).toThrowDeveloperError();
+  });
+});
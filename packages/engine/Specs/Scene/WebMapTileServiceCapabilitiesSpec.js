@@ -0,0 +1,390 @@
+import Uri from "urijs";
+import {
+  Clock,
+  GeographicTilingScheme,
+  ImageryProvider,
+  JulianDate,
+  Math as CesiumMath,
+  queryToObject,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  TileMatrixSetTilingScheme,
+  TransverseMercatorProjection,
+  WebMapTileServiceCapabilities,
+  WebMapTileServiceImageryProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/WebMapTileServiceCapabilities", function () {
+  const capabilitiesUrl = "Data/WMTS/Capabilities.xml";
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  function patchLoadWithXhr(expectedQuery) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      const query = queryToObject(new Uri(url).query());
+      expect(query).toEqual(expectedQuery);
+      Resource._DefaultImplementations.loadWithXhr(
+        capabilitiesUrl,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      );
+    };
+  }
+
+  function loadCapabilities() {
+    patchLoadWithXhr({
+      service: "WMTS",
+      version: "1.0.0",
+      request: "GetCapabilities",
+    });
+    return WebMapTileServiceCapabilities.fromUrl(
+      "https://maps.example.com/wmts"
+    );
+  }
+
+  function getTileUrl(provider, x, y, level) {
+    spyOn(ImageryProvider, "loadImage");
+    provider.requestImage(x, y, level);
+    return ImageryProvider.loadImage.calls.mostRecent().args[1].url;
+  }
+
+  it("requests the capabilities of the server", function () {
+    return loadCapabilities().then(function (capabilities) {
+      expect(capabilities).toBeInstanceOf(WebMapTileServiceCapabilities);
+      expect(capabilities.url).toEqual("https://maps.example.com/wmts");
+      expect(capabilities.title).toEqual("Example WMTS");
+    });
+  });
+
+  it("keeps the query parameters of the url", function () {
+    patchLoadWithXhr({
+      service: "WMTS",
+      version: "1.0.0",
+      request: "GetCapabilities",
+      token: "secret",
+    });
+    return WebMapTileServiceCapabilities.fromUrl(
+      "https://maps.example.com/wmts?request=GetCapabilities&token=secret"
+    ).then(function (capabilities) {
+      expect(capabilities.url).toContain("token=secret");
+    });
+  });
+
+  it("lists the layers", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const layers = capabilities.layers;
+      expect(layers.length).toEqual(3);
+
+      const terrain = capabilities.getLayer("terrain");
+      expect(terrain).toBe(layers[0]);
+      expect(terrain.title).toEqual("Shaded terrain");
+      expect(terrain.abstract).toEqual("Hillshade of the terrain");
+      expect(terrain.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(5.0, 45.0, 15.0, 55.0),
+        CesiumMath.EPSILON14
+      );
+      expect(terrain.styles).toEqual([
+        { identifier: "default", title: "Default", isDefault: true },
+        { identifier: "grey", title: "Grey", isDefault: false },
+      ]);
+      expect(terrain.formats).toEqual(["image/png", "image/jpeg"]);
+      expect(terrain.tileMatrixSetIdentifiers).toEqual([
+        "Swiss",
+        "WebMercatorQuad",
+        "UTM32",
+      ]);
+      expect(terrain.dimensions).toEqual([]);
+      expect(terrain.resourceUrls).toEqual([
+        {
+          format: "image/png",
+          resourceType: "tile",
+          template:
+            "https://maps.example.com/wmts/terrain/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png",
+        },
+      ]);
+
+      const temperature = capabilities.getLayer("temperature");
+      expect(temperature.dimensions).toEqual([
+        {
+          identifier: "Time",
+          unitOfMeasure: "ISO8601",
+          defaultValue: "2022-01-03",
+          values: ["2022-01-01", "2022-01-02/2022-01-04/P1D"],
+        },
+        {
+          identifier: "Elevation",
+          unitOfMeasure: "m",
+          defaultValue: "0",
+          values: ["0", "1000"],
+        },
+      ]);
+
+      expect(capabilities.getLayer("unknown")).toBeUndefined();
+    });
+  });
+
+  it("lists the tile matrix sets", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const tileMatrixSets = capabilities.tileMatrixSets;
+      expect(tileMatrixSets.length).toEqual(5);
+
+      const webMercatorQuad = capabilities.getTileMatrixSet("WebMercatorQuad");
+      expect(webMercatorQuad.supportedCRS).toEqual(
+        "urn:ogc:def:crs:EPSG::3857"
+      );
+      expect(webMercatorQuad.wellKnownScaleSet).toEqual(
+        "urn:ogc:def:wkss:OGC:1.0:GoogleMapsCompatible"
+      );
+      expect(webMercatorQuad.tileMatrices.length).toEqual(3);
+      expect(webMercatorQuad.tileMatrices[1]).toEqual({
+        identifier: "1",
+        scaleDenominator: 279541132.0143589,
+        topLeftCorner: [-20037508.3427892, 20037508.3427892],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 2,
+        matrixHeight: 2,
+      });
+    });
+  });
+
+  it("creates Web Mercator tiling schemes for Web Mercator quadtrees", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const tilingScheme = capabilities.createTilingScheme("WebMercatorQuad");
+      expect(tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(1);
+      expect(tilingScheme.getNumberOfYTilesAtLevel(0)).toEqual(1);
+    });
+  });
+
+  it("creates geographic tiling schemes for geographic quadtrees", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const tilingScheme = capabilities.createTilingScheme("WorldCRS84Quad");
+      expect(tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(2);
+      expect(tilingScheme.getNumberOfYTilesAtLevel(0)).toEqual(1);
+
+      // The top left corner of EPSG:4326 is latitude first
+      expect(capabilities.createTilingScheme("EPSG4326")).toBeInstanceOf(
+        GeographicTilingScheme
+      );
+    });
+  });
+
+  it("creates tile matrix set tiling schemes for other tile matrix sets", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const rectangle = Rectangle.fromDegrees(5.0, 45.0, 15.0, 55.0);
+      const tilingScheme = capabilities.createTilingScheme("UTM32", rectangle);
+      expect(tilingScheme).toBeInstanceOf(TileMatrixSetTilingScheme);
+      expect(tilingScheme.projection).toBeInstanceOf(
+        TransverseMercatorProjection
+      );
+      expect(tilingScheme.projection.centralMeridian).toEqualEpsilon(
+        CesiumMath.toRadians(9.0),
+        CesiumMath.EPSILON14
+      );
+      expect(tilingScheme.rectangle).toEqual(rectangle);
+      expect(tilingScheme.tileMatrixLabels).toEqual(["0", "1"]);
+      expect(tilingScheme.getCellSize(1)).toEqualEpsilon(
+        1000.0,
+        CesiumMath.EPSILON10
+      );
+      expect(tilingScheme.tileXYToNativeRectangle(1, 0, 0)).toEqualEpsilon(
+        new Rectangle(512000.0, 5488000.0, 1024000.0, 6000000.0),
+        CesiumMath.EPSILON6
+      );
+    });
+  });
+
+  it("throws when creating tiling schemes of tile matrix sets in unsupported CRSs", function () {
+    return loadCapabilities().then(function (capabilities) {
+      expect(function () {
+        return capabilities.createTilingScheme("Swiss");
+      }).toThrowError(RuntimeError);
+    });
+  });
+
+  it("creates imagery providers of layers", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const provider = capabilities.createImageryProvider({
+        layer: "terrain",
+      });
+      expect(provider).toBeInstanceOf(WebMapTileServiceImageryProvider);
+      // The first tile matrix set in a supported CRS is used
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(provider.maximumLevel).toEqual(2);
+      expect(provider.format).toEqual("image/png");
+      expect(provider.rectangle).toEqual(
+        capabilities.getLayer("terrain").rectangle
+      );
+
+      expect(getTileUrl(provider, 0, 1, 1)).toEqual(
+        "https://maps.example.com/wmts/terrain/default/WebMercatorQuad/1/1/0.png"
+      );
+    });
+  });
+
+  it("creates imagery providers with a style, format and tile matrix set", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const provider = capabilities.createImageryProvider({
+        layer: "terrain",
+        style: "grey",
+        format: "image/jpeg",
+        tileMatrixSetID: "UTM32",
+      });
+      expect(provider.tilingScheme).toBeInstanceOf(TileMatrixSetTilingScheme);
+      expect(provider.maximumLevel).toEqual(1);
+
+      // There is no RESTful URL template of JPEG tiles
+      const uri = new Uri(getTileUrl(provider, 2, 1, 0));
+      expect(uri.authority()).toEqual("maps.example.com");
+      expect(uri.path()).toEqual("/wmts/tiles");
+      const query = queryToObject(uri.query());
+      expect(query.request).toEqual("GetTile");
+      expect(query.layer).toEqual("terrain");
+      expect(query.style).toEqual("grey");
+      expect(query.format).toEqual("image/jpeg");
+      expect(query.tilematrixset).toEqual("UTM32");
+      expect(query.tilematrix).toEqual("0");
+      expect(query.tilecol).toEqual("2");
+      expect(query.tilerow).toEqual("1");
+    });
+  });
+
+  it("creates imagery providers requesting the default values of dimensions", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const provider = capabilities.createImageryProvider({
+        layer: "temperature",
+        dimensions: {
+          Elevation: "1000",
+        },
+      });
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+
+      const query = queryToObject(
+        new Uri(getTileUrl(provider, 0, 0, 0)).query()
+      );
+      expect(query.Time).toEqual("2022-01-03");
+      expect(query.Elevation).toEqual("1000");
+    });
+  });
+
+  it("creates time dynamic imagery providers with a clock", function () {
+    return loadCapabilities().then(function (capabilities) {
+      const clock = new Clock({
+        currentTime: JulianDate.fromIso8601("2022-01-02T12:00:00Z"),
+        shouldAnimate: false,
+      });
+      const provider = capabilities.createImageryProvider({
+        layer: "temperature",
+        clock: clock,
+      });
+      expect(provider.clock).toBe(clock);
+
+      const times = provider.times;
+      expect(times.length).toEqual(4);
+      expect(times.get(0).data).toEqual({ Time: "2022-01-01" });
+      expect(times.get(3).data).toEqual({ Time: "2022-01-04" });
+      expect(times.get(3).start).toEqual(JulianDate.fromIso8601("2022-01-04"));
+
+      const query = queryToObject(
+        new Uri(getTileUrl(provider, 0, 0, 0)).query()
+      );
+      expect(query.Time).toEqual("2022-01-02");
+      expect(query.Elevation).toEqual("0");
+    });
+  });
+
+  it("throws when creating imagery providers of unknown layers", function () {
+    return loadCapabilities().then(function (capabilities) {
+      expect(function () {
+        return capabilities.createImageryProvider({ layer: "unknown" });
+      }).toThrowDeveloperError();
+    });
+  });
+
+  it("throws when creating imagery providers of layers without supported tile matrix sets", function () {
+    return loadCapabilities().then(function (capabilities) {
+      expect(function () {
+        return capabilities.createImageryProvider({ layer: "cadastre" });
+      }).toThrowError(RuntimeError);
+    });
+  });
+
+  it("throws with exception reports", function () {
+    const xml = new DOMParser().parseFromString(
+      '<ExceptionReport xmlns="http://www.opengis.net/ows/1.1"><Exception exceptionCode="OperationNotSupported"><ExceptionText>Nope</ExceptionText></Exception></ExceptionReport>',
+      "text/xml"
+    );
+    expect(function () {
+      return new WebMapTileServiceCapabilities({
+        xml: xml,
+        url: "https://maps.example.com/wmts",
+      });
+    }).toThrowError(RuntimeError);
+  });
+
+  it("rejects when the request fails", function () {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred
+    ) {
+      deferred.reject(new Error("failed"));
+    };
+    return WebMapTileServiceCapabilities.fromUrl(
+      "https://maps.example.com/wmts"
+    )
+      .then(function () {
+        fail("should not resolve");
+      })
+      .catch(function (e) {
+        expect(e.message).toEqual("failed");
+      });
+  });
+
+  it("throws without a url", function () {
+    expect(function () {
+      return WebMapTileServiceCapabilities.fromUrl();
+    }).toThrowDeveloperError();
+  });
+
+  it("constructs from a document", function () {
+    const xml = new DOMParser().parseFromString(
+      '<Capabilities xmlns="http://www.opengis.net/wmts/1.0"><Contents/></Capabilities>',
+      "text/xml"
+    );
+    const capabilities = new WebMapTileServiceCapabilities({
+      xml: xml,
+      url: "https://maps.example.com/wmts",
+    });
+    expect(capabilities.layers).toEqual([]);
+    expect(capabilities.tileMatrixSets).toEqual([]);
+    expect(capabilities.title).toBeUndefined();
+  });
+});
@@ -1,5 +1,6 @@
 import Uri from "urijs";
 import {
+  Cartesian2,
   Clock,
   ClockStep,
   Credit,
@@ -11,11 +12,14 @@ import {
   JulianDate,
   objectToQuery,
   queryToObject,
+  Rectangle,
   Request,
   RequestScheduler,
   RequestState,
   Resource,
+  TileMatrixSetTilingScheme,
   TimeIntervalCollection,
+  TransverseMercatorProjection,
   WebMapTileServiceImageryProvider,
   WebMercatorTilingScheme,
 } from "../../index.js";
@@ -89,6 +93,47 @@ describe("Scene/WebMapTileServiceImageryProvider", function () {
     expect(parseInt(queryObject.tilerow, 10)).toEqual(tilerow);
   });
 
+  it("uses the tile matrices of a TileMatrixSetTilingScheme", function () {
+    const tilingScheme = new TileMatrixSetTilingScheme({
+      projection: TransverseMercatorProjection.fromUtmZone(32),
+      tileMatrices: [
+        {
+          identifier: "EPSG:25832:0",
+          topLeftCorner: new Cartesian2(0.0, 6000000.0),
+          cellSize: 1000.0,
+          matrixWidth: 4,
+          matrixHeight: 2,
+        },
+        {
+          identifier: "EPSG:25832:1",
+          topLeftCorner: new Cartesian2(0.0, 6000000.0),
+          cellSize: 500.0,
+          matrixWidth: 8,
+          matrixHeight: 4,
+        },
+      ],
+      rectangle: Rectangle.fromDegrees(6.0, 47.0, 12.0, 55.0),
+    });
+
+    const provider = new WebMapTileServiceImageryProvider({
+      url: "http://wmts.invalid",
+      layer: "someLayer",
+      style: "someStyle",
+      tileMatrixSetID: "EPSG:25832",
+      tilingScheme: tilingScheme,
+    });
+    expect(provider.maximumLevel).toEqual(1);
+    expect(provider.rectangle).toEqual(tilingScheme.rectangle);
+
+    spyOn(ImageryProvider, "loadImage");
+    provider.requestImage(3, 2, 1);
+    const uri = new Uri(
+      ImageryProvider.loadImage.calls.mostRecent().args[1].url
+    );
+    const queryObject = queryToObject(uri.query());
+    expect(queryObject.tilematrix).toEqual("EPSG:25832:1");
+  });
+
   it("generates expected tile urls for subdomains", function () {
     const options = {
       url: "http://wmts{s}.invalid",
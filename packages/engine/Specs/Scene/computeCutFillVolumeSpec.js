@@ -0,0 +1,234 @@
+import {
+  Cartesian3,
+  computeCutFillVolume,
+  EllipsoidTerrainProvider,
+  GeographicTilingScheme,
+  GroundPrimitive,
+  HeightmapTerrainData,
+  RuntimeError,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe("Scene/computeCutFillVolume", function () {
+  // About 100 meters by 100 meters at the equator
+  const positions = Cartesian3.fromDegreesArray([
+    0.0,
+    0.0,
+    0.0009,
+    0.0,
+    0.0009,
+    0.0009,
+    0.0,
+    0.0009,
+  ]);
+  const expectedArea = 0.0009 * 111319.5 * 0.0009 * 110574.4;
+
+  function createTerrainProvider(height) {
+    const buffer = new Float32Array(16 * 16);
+    buffer.fill(height);
+    return {
+      tilingScheme: new GeographicTilingScheme(),
+      readyPromise: Promise.resolve(true),
+      requestTileGeometry: function () {
+        return Promise.resolve(
+          new HeightmapTerrainData({
+            buffer: buffer,
+            width: 16,
+            height: 16,
+          })
+        );
+      },
+    };
+  }
+
+  it("throws without positions", function () {
+    expect(function () {
+      return computeCutFillVolume({
+        terrainProvider: new EllipsoidTerrainProvider(),
+        referenceHeight: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a terrain provider", function () {
+    expect(function () {
+      return computeCutFillVolume({
+        positions: positions,
+        referenceHeight: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a reference surface", function () {
+    expect(function () {
+      return computeCutFillVolume({
+        positions: positions,
+        terrainProvider: new EllipsoidTerrainProvider(),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("computes the cut volume above a reference height", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      referenceHeight: -5.0,
+      spacing: 10.0,
+    }).then(function (result) {
+      expect(result.cells.length).toEqual(100);
+      expect(result.spacing).toEqual(10.0);
+      expect(result.area).toEqualEpsilon(expectedArea, expectedArea * 0.01);
+      expect(result.cutVolume).toEqualEpsilon(result.area * 5.0, 1.0e-6);
+      expect(result.fillVolume).toEqual(0.0);
+      expect(result.primitive).toBeUndefined();
+
+      const cell = result.cells[0];
+      expect(cell.terrainHeight).toEqual(0.0);
+      expect(cell.referenceHeight).toEqual(-5.0);
+      expect(cell.difference).toEqual(5.0);
+    });
+  });
+
+  it("computes the fill volume below a reference height", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: createTerrainProvider(10.0),
+      referenceHeight: 15.0,
+      level: 0,
+    }).then(function (result) {
+      expect(result.cutVolume).toEqual(0.0);
+      expect(result.fillVolume).toEqualEpsilon(result.area * 5.0, 1.0e-6);
+    });
+  });
+
+  it("computes volumes relative to a reference terrain provider", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      referenceTerrainProvider: createTerrainProvider(10.0),
+      level: 0,
+      spacing: 20.0,
+    }).then(function (result) {
+      expect(result.cells.length).toEqual(25);
+      expect(result.area).toEqualEpsilon(expectedArea, expectedArea * 0.01);
+      expect(result.cutVolume).toEqual(0.0);
+      expect(result.fillVolume).toEqualEpsilon(result.area * 10.0, 1.0e-6);
+      expect(result.cells[0].referenceHeight).toEqual(10.0);
+    });
+  });
+
+  it("increases the spacing if the grid would have too many cells", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      referenceHeight: -5.0,
+      spacing: 1.0,
+      maximumCells: 100,
+    }).then(function (result) {
+      expect(result.cells.length).toBeLessThanOrEqual(100);
+      expect(result.cells.length).toBeGreaterThan(50);
+      expect(result.spacing).toBeGreaterThan(9.0);
+      expect(result.area).toEqualEpsilon(expectedArea, expectedArea * 0.1);
+      expect(result.cutVolume).toEqualEpsilon(result.area * 5.0, 1.0e-6);
+    });
+  });
+
+  it("only counts the cells inside of the polygon", function () {
+    // A triangle covering half of the square
+    const triangle = Cartesian3.fromDegreesArray([
+      0.0,
+      0.0,
+      0.0009,
+      0.0,
+      0.0,
+      0.0009,
+    ]);
+    return computeCutFillVolume({
+      positions: triangle,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      referenceHeight: -1.0,
+      spacing: 2.0,
+    }).then(function (result) {
+      expect(result.area).toEqualEpsilon(
+        expectedArea * 0.5,
+        expectedArea * 0.05
+      );
+    });
+  });
+
+  it("skips cells that could not be sampled", function () {
+    const terrainProvider = createTerrainProvider(10.0);
+    terrainProvider.requestTileGeometry = function () {
+      return Promise.reject(new Error("unavailable"));
+    };
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: terrainProvider,
+      referenceHeight: 0.0,
+      level: 0,
+    }).then(function (result) {
+      expect(result.cells.length).toEqual(100);
+      expect(result.cells[0].difference).toBeUndefined();
+      expect(result.area).toEqual(0.0);
+      expect(result.cutVolume).toEqual(0.0);
+      expect(result.fillVolume).toEqual(0.0);
+    });
+  });
+
+  it("rejects for terrain without availability and without a level", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: createTerrainProvider(10.0),
+      referenceHeight: 0.0,
+    }).then(fail, function (error) {
+      expect(error).toBeInstanceOf(RuntimeError);
+    });
+  });
+
+  it("does not create a primitive if the terrain matches the reference surface", function () {
+    return computeCutFillVolume({
+      positions: positions,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      referenceHeight: 0.0,
+      createPrimitive: true,
+    }).then(function (result) {
+      expect(result.cutVolume).toEqual(0.0);
+      expect(result.fillVolume).toEqual(0.0);
+      expect(result.primitive).toBeUndefined();
+    });
+  });
+
+  describe(
+    "createPrimitive",
+    function () {
+      let scene;
+
+      // Appearances need the limits of a WebGL context
+      beforeAll(function () {
+        scene = createScene();
+      });
+
+      afterAll(function () {
+        scene.destroyForSpecs();
+      });
+
+      it("creates a primitive colored by the difference of the heights", function () {
+        return computeCutFillVolume({
+          positions: positions,
+          terrainProvider: new EllipsoidTerrainProvider(),
+          referenceHeight: 2.0,
+          spacing: 20.0,
+          createPrimitive: true,
+        }).then(function (result) {
+          const primitive = result.primitive;
+          expect(primitive).toBeInstanceOf(GroundPrimitive);
+          expect(primitive.geometryInstances.length).toEqual(25);
+          expect(primitive.geometryInstances[0].id).toBe(result.cells[0]);
+          primitive.destroy();
+        });
+      });
+    },
+    "WebGL"
+  );
+});
@@ -0,0 +1,93 @@
+import {
+  Cartesian3,
+  computeLineOfSight,
+  Math as CesiumMath,
+} from "../../index.js";
+
+describe("Scene/computeLineOfSight", function () {
+  const start = new Cartesian3(0.0, 0.0, 0.0);
+  const end = new Cartesian3(100.0, 0.0, 0.0);
+
+  function createScene(picked) {
+    return {
+      pickFromRay: jasmine.createSpy("pickFromRay").and.returnValue(picked),
+    };
+  }
+
+  it("throws without scene, start or end", function () {
+    const scene = createScene();
+    expect(function () {
+      computeLineOfSight(undefined, start, end);
+    }).toThrowDeveloperError();
+    expect(function () {
+      computeLineOfSight(scene, undefined, end);
+    }).toThrowDeveloperError();
+    expect(function () {
+      computeLineOfSight(scene, start, undefined);
+    }).toThrowDeveloperError();
+  });
+
+  it("casts a ray from start toward end", function () {
+    const scene = createScene();
+    const objectsToExclude = [{}];
+    computeLineOfSight(scene, start, end, {
+      objectsToExclude: objectsToExclude,
+      width: 0.5,
+    });
+
+    const args = scene.pickFromRay.calls.argsFor(0);
+    expect(args[0].origin).toEqual(start);
+    expect(args[0].direction).toEqualEpsilon(
+      Cartesian3.UNIT_X,
+      CesiumMath.EPSILON15
+    );
+    expect(args[1]).toBe(objectsToExclude);
+    expect(args[2]).toEqual(0.5);
+  });
+
+  it("is visible when nothing is intersected", function () {
+    const result = computeLineOfSight(createScene(), start, end);
+    expect(result.isVisible).toBe(true);
+    expect(result.position).toBeUndefined();
+    expect(result.object).toBeUndefined();
+    expect(result.distance).toBeUndefined();
+  });
+
+  it("returns the first obstruction", function () {
+    const object = {};
+    const scene = createScene({
+      object: object,
+      position: new Cartesian3(40.0, 0.0, 0.0),
+    });
+    const result = computeLineOfSight(scene, start, end);
+    expect(result.isVisible).toBe(false);
+    expect(result.position).toEqual(new Cartesian3(40.0, 0.0, 0.0));
+    expect(result.object).toBe(object);
+    expect(result.distance).toEqualEpsilon(40.0, CesiumMath.EPSILON10);
+  });
+
+  it("ignores intersections beyond the end or within the tolerance", function () {
+    let scene = createScene({
+      object: {},
+      position: new Cartesian3(150.0, 0.0, 0.0),
+    });
+    expect(computeLineOfSight(scene, start, end).isVisible).toBe(true);
+
+    scene = createScene({
+      object: {},
+      position: new Cartesian3(99.5, 0.0, 0.0),
+    });
+    expect(computeLineOfSight(scene, start, end).isVisible).toBe(true);
+    expect(
+      computeLineOfSight(scene, start, end, {
+        tolerance: 0.1,
+      }).isVisible
+    ).toBe(false);
+  });
+
+  it("is visible when start and end are equal", function () {
+    const scene = createScene();
+    expect(computeLineOfSight(scene, start, start).isVisible).toBe(true);
+    expect(scene.pickFromRay).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+import {
+  ArcType,
+  Cartesian3,
+  Cartographic,
+  EllipsoidGeodesic,
+  EllipsoidRhumbLine,
+  EllipsoidTerrainProvider,
+  Math as CesiumMath,
+  RuntimeError,
+  sampleElevationProfile,
+  sampleTerrainAtLevelOrMostDetailed,
+  SceneMode,
+} from "../../index.js";
+
+describe("Scene/sampleElevationProfile", function () {
+  const positions = Cartesian3.fromDegreesArray([
+    0.0,
+    0.0,
+    0.01,
+    0.0,
+    0.01,
+    0.01,
+  ]);
+
+  let terrainProvider;
+
+  beforeEach(function () {
+    // Pretend we have terrain with availability, where the height is the longitude in degrees times 1000
+    terrainProvider = {
+      readyPromise: Promise.resolve(),
+      availability: {},
+    };
+    spyOn(
+      sampleTerrainAtLevelOrMostDetailed,
+      "_sampleTerrainMostDetailed"
+    ).and.callFake(function (terrainProvider, positions) {
+      positions.forEach(function (position) {
+        position.height = CesiumMath.toDegrees(position.longitude) * 1000.0;
+      });
+      return Promise.resolve(positions);
+    });
+  });
+
+  function getLength(arcType) {
+    const line =
+      arcType === ArcType.RHUMB
+        ? new EllipsoidRhumbLine()
+        : new EllipsoidGeodesic();
+    let length = 0.0;
+    for (let i = 1; i < positions.length; ++i) {
+      line.setEndPoints(
+        Cartographic.fromCartesian(positions[i - 1]),
+        Cartographic.fromCartesian(positions[i])
+      );
+      length += line.surfaceDistance;
+    }
+    return length;
+  }
+
+  it("throws without positions", function () {
+    expect(function () {
+      sampleElevationProfile({
+        terrainProvider: terrainProvider,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without terrainProvider or scene", function () {
+    expect(function () {
+      sampleElevationProfile({
+        positions: positions,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with an invalid arcType or spacing", function () {
+    expect(function () {
+      sampleElevationProfile({
+        positions: positions,
+        terrainProvider: terrainProvider,
+        arcType: ArcType.NONE,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      sampleElevationProfile({
+        positions: positions,
+        terrainProvider: terrainProvider,
+        spacing: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("samples terrain at a fixed spacing", function () {
+    return sampleElevationProfile({
+      positions: positions,
+      terrainProvider: terrainProvider,
+      spacing: 100.0,
+    }).then(function (samples) {
+      const length = getLength(ArcType.GEODESIC);
+      expect(samples.length).toEqual(Math.floor(length / 100.0) + 2);
+      expect(
+        sampleTerrainAtLevelOrMostDetailed._sampleTerrainMostDetailed
+      ).toHaveBeenCalledTimes(1);
+
+      for (let i = 0; i < samples.length - 1; ++i) {
+        expect(samples[i].distance).toEqualEpsilon(
+          i * 100.0,
+          CesiumMath.EPSILON7
+        );
+      }
+      const last = samples[samples.length - 1];
+      expect(last.distance).toEqualEpsilon(length, CesiumMath.EPSILON7);
+      expect(last.height).toEqualEpsilon(10.0, CesiumMath.EPSILON7);
+      expect(last.position).toEqualEpsilon(
+        Cartesian3.fromDegrees(0.01, 0.01, 10.0),
+        CesiumMath.EPSILON7
+      );
+
+      // The samples follow the polyline at the sampled heights
+      const sample = samples[5];
+      expect(sample.cartographic.latitude).toEqualEpsilon(
+        0.0,
+        CesiumMath.EPSILON10
+      );
+      expect(
+        CesiumMath.toDegrees(sample.cartographic.longitude) * 1000.0
+      ).toEqualEpsilon(sample.height, CesiumMath.EPSILON7);
+      expect(sample.position).toEqualEpsilon(
+        Cartographic.toCartesian(sample.cartographic),
+        CesiumMath.EPSILON7
+      );
+    });
+  });
+
+  it("samples along rhumb lines", function () {
+    const positions = Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]);
+    return sampleElevationProfile({
+      positions: positions,
+      terrainProvider: terrainProvider,
+      spacing: 10000.0,
+      arcType: ArcType.RHUMB,
+    }).then(function (samples) {
+      const line = new EllipsoidRhumbLine(
+        Cartographic.fromCartesian(positions[0]),
+        Cartographic.fromCartesian(positions[1])
+      );
+      const sample = samples[7];
+      const expected = line.interpolateUsingSurfaceDistance(70000.0);
+      expect(sample.distance).toEqual(70000.0);
+      expect(sample.cartographic.longitude).toEqualEpsilon(
+        expected.longitude,
+        CesiumMath.EPSILON10
+      );
+      expect(sample.cartographic.latitude).toEqualEpsilon(
+        expected.latitude,
+        CesiumMath.EPSILON10
+      );
+      expect(samples[samples.length - 1].distance).toEqualEpsilon(
+        line.surfaceDistance,
+        CesiumMath.EPSILON7
+      );
+    });
+  });
+
+  it("uses the highest of the terrain and scene heights", function () {
+    const scene = {
+      terrainProvider: terrainProvider,
+      sampleHeightSupported: true,
+      mode: SceneMode.SCENE3D,
+      sampleHeightMostDetailed: jasmine
+        .createSpy("sampleHeightMostDetailed")
+        .and.callFake(function (positions) {
+          // A building on the first half of the first segment
+          positions.forEach(function (position) {
+            position.height =
+              position.longitude < CesiumMath.toRadians(0.005)
+                ? 50.0
+                : undefined;
+          });
+          return Promise.resolve(positions);
+        }),
+    };
+    const objectsToExclude = [{}];
+
+    return sampleElevationProfile({
+      positions: positions,
+      scene: scene,
+      spacing: 100.0,
+      objectsToExclude: objectsToExclude,
+    }).then(function (samples) {
+      expect(scene.sampleHeightMostDetailed).toHaveBeenCalledWith(
+        jasmine.any(Array),
+        objectsToExclude
+      );
+      expect(samples[0].height).toEqual(50.0);
+      expect(samples[8].height).toEqualEpsilon(
+        CesiumMath.toDegrees(samples[8].cartographic.longitude) * 1000.0,
+        CesiumMath.EPSILON7
+      );
+      expect(samples[samples.length - 1].height).toEqualEpsilon(
+        10.0,
+        CesiumMath.EPSILON7
+      );
+    });
+  });
+
+  it("samples only the scene without terrain", function () {
+    const scene = {
+      sampleHeightSupported: true,
+      mode: SceneMode.SCENE3D,
+      sampleHeightMostDetailed: function (positions) {
+        positions.forEach(function (position, index) {
+          position.height = index === 0 ? undefined : 20.0;
+        });
+        return Promise.resolve(positions);
+      },
+    };
+
+    return sampleElevationProfile({
+      positions: positions,
+      scene: scene,
+      spacing: 1000.0,
+    }).then(function (samples) {
+      expect(samples[0].height).toBeUndefined();
+      expect(samples[0].cartographic.height).toEqual(0.0);
+      expect(samples[1].height).toEqual(20.0);
+    });
+  });
+
+  it("rejects for terrain without availability and without a level", function () {
+    terrainProvider.availability = undefined;
+    return sampleElevationProfile({
+      positions: positions,
+      terrainProvider: terrainProvider,
+      spacing: 1000.0,
+    }).then(fail, function (error) {
+      expect(error).toBeInstanceOf(RuntimeError);
+      expect(
+        sampleTerrainAtLevelOrMostDetailed._sampleTerrainMostDetailed
+      ).not.toHaveBeenCalled();
+    });
+  });
+
+  it("samples terrain at a level", function () {
+    const ellipsoidTerrainProvider = new EllipsoidTerrainProvider();
+    spyOn(ellipsoidTerrainProvider, "requestTileGeometry").and.callThrough();
+    return sampleElevationProfile({
+      positions: positions,
+      terrainProvider: ellipsoidTerrainProvider,
+      level: 3,
+      spacing: 1000.0,
+    }).then(function (samples) {
+      expect(
+        sampleTerrainAtLevelOrMostDetailed._sampleTerrainMostDetailed
+      ).not.toHaveBeenCalled();
+      expect(
+        ellipsoidTerrainProvider.requestTileGeometry.calls.argsFor(0)[2]
+      ).toEqual(3);
+      samples.forEach(function (sample) {
+        expect(sample.height).toEqual(0.0);
+      });
+    });
+  });
+
+  it("samples the ellipsoid terrain provider without a level", function () {
+    return sampleElevationProfile({
+      positions: positions,
+      terrainProvider: new EllipsoidTerrainProvider(),
+      spacing: 1000.0,
+    }).then(function (samples) {
+      samples.forEach(function (sample) {
+        expect(sample.height).toEqual(0.0);
+      });
+    });
+  });
+});
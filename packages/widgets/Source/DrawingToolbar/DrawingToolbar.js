@@ -0,0 +1,151 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import DrawingToolbarViewModel from "./DrawingToolbarViewModel.js";
+
+const pointPath = "M16,10a6,6 0 1,0 0.001,0z";
+const polylinePath = "M3,25l8-12 6,6 10-14 2,2-12,16-6-6-6,9z";
+const polygonPath = "M6,8l18-4 4,16-14,8-10-8z";
+const rectanglePath = "M5,8h22v16h-22z M8,11v10h16v-10z";
+const circlePath = "M16,5a11,11 0 1,0 0.001,0z M16,8a8,8 0 1,1 -0.001,0z";
+const undoPath = "M12,6l-8,7 8,7v-4c7,0 12,2 15,9c-1-8-6-14-15-15z";
+const redoPath = "M20,6l8,7-8,7v-4c-7,0-12,2-15,9c1-8 6-14 15-15z";
+const deletePath = "M11,4h10v3h6v3h-22v-3h6z M7,12h18l-2,16h-14z";
+
+/**
+ * A toolbar with buttons to draw points, polylines, polygons, rectangles and circles with a {@link DrawingManager},
+ * to undo and redo operations, and to delete the edited entity.
+ *
+ * @alias DrawingToolbar
+ * @constructor
+ *
+ * @param {Element|String} container The DOM element or ID that will contain the widget.
+ * @param {DrawingManager} drawingManager The drawing manager that draws and edits the shapes.
+ *
+ * @example
+ * // In HTML head, include a link to the DrawingToolbar.css stylesheet,
+ * // and in the body, include: <div id="drawingToolbarContainer"></div>
+ *
+ * const drawingManager = new Cesium.DrawingManager({
+ *   scene: viewer.scene,
+ *   entities: viewer.entities,
+ * });
+ * const drawingToolbar = new Cesium.DrawingToolbar('drawingToolbarContainer', drawingManager);
+ */
+function DrawingToolbar(container, drawingManager) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(container)) {
+    throw new DeveloperError("container is required.");
+  }
+  if (!defined(drawingManager)) {
+    throw new DeveloperError("drawingManager is required.");
+  }
+  //>>includeEnd('debug');
+
+  container = getElement(container);
+
+  const viewModel = new DrawingToolbarViewModel(drawingManager);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "cesium-drawingToolbar";
+  container.appendChild(wrapper);
+
+  function addButton(command, tooltip, path, binding) {
+    viewModel[`_${command}Path`] = path;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "cesium-button cesium-toolbar-button";
+    button.setAttribute(
+      "data-bind",
+      `${binding}\
+attr: { title: ${tooltip} },\
+click: ${command},\
+cesiumSvgPath: { path: _${command}Path, width: 32, height: 32 }`
+    );
+    wrapper.appendChild(button);
+  }
+
+  function addModeButton(command, tooltip, path, mode) {
+    addButton(
+      command,
+      tooltip,
+      path,
+      `css: { "cesium-drawingToolbar-selected": mode === _drawingMode.${mode} },`
+    );
+  }
+
+  addModeButton("drawPoint", "tooltipPoint", pointPath, "POINT");
+  addModeButton("drawPolyline", "tooltipPolyline", polylinePath, "POLYLINE");
+  addModeButton("drawPolygon", "tooltipPolygon", polygonPath, "POLYGON");
+  addModeButton(
+    "drawRectangle",
+    "tooltipRectangle",
+    rectanglePath,
+    "RECTANGLE"
+  );
+  addModeButton("drawCircle", "tooltipCircle", circlePath, "CIRCLE");
+  addButton("undo", "tooltipUndo", undoPath, "enable: undo.canExecute,");
+  addButton("redo", "tooltipRedo", redoPath, "enable: redo.canExecute,");
+  addButton(
+    "deleteEntity",
+    "tooltipDelete",
+    deletePath,
+    "enable: deleteEntity.canExecute,"
+  );
+
+  knockout.applyBindings(viewModel, wrapper);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._wrapper = wrapper;
+}
+
+Object.defineProperties(DrawingToolbar.prototype, {
+  /**
+   * Gets the parent container.
+   * @memberof DrawingToolbar.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * Gets the view model.
+   * @memberof DrawingToolbar.prototype
+   *
+   * @type {DrawingToolbarViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+DrawingToolbar.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the widget.  Should be called if permanently
+ * removing the widget from layout.  The drawing manager is not destroyed.
+ */
+DrawingToolbar.prototype.destroy = function () {
+  this._viewModel.destroy();
+  knockout.cleanNode(this._wrapper);
+  this._container.removeChild(this._wrapper);
+
+  return destroyObject(this);
+};
+export default DrawingToolbar;
@@ -0,0 +1,279 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  DrawingMode,
+  EventHelper,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+
+/**
+ * The view model for {@link DrawingToolbar}.
+ * @alias DrawingToolbarViewModel
+ * @constructor
+ *
+ * @param {DrawingManager} drawingManager The drawing manager that draws and edits the shapes.
+ */
+function DrawingToolbarViewModel(drawingManager) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(drawingManager)) {
+    throw new DeveloperError("drawingManager is required.");
+  }
+  //>>includeEnd('debug');
+
+  this._drawingManager = drawingManager;
+
+  /**
+   * Gets the mode of the shape being drawn, or undefined if no shape is being drawn.  This property is observable.
+   * @type {DrawingMode|undefined}
+   */
+  this.mode = undefined;
+
+  /**
+   * Gets whether an entity is being edited.  This property is observable.
+   * @type {Boolean}
+   */
+  this.isEditing = false;
+
+  /**
+   * Gets or sets the tooltip of the button that draws points.  This property is observable.
+   * @type {String}
+   * @default 'Draw a point'
+   */
+  this.tooltipPoint = "Draw a point";
+
+  /**
+   * Gets or sets the tooltip of the button that draws polylines.  This property is observable.
+   * @type {String}
+   * @default 'Draw a polyline'
+   */
+  this.tooltipPolyline = "Draw a polyline";
+
+  /**
+   * Gets or sets the tooltip of the button that draws polygons.  This property is observable.
+   * @type {String}
+   * @default 'Draw a polygon'
+   */
+  this.tooltipPolygon = "Draw a polygon";
+
+  /**
+   * Gets or sets the tooltip of the button that draws rectangles.  This property is observable.
+   * @type {String}
+   * @default 'Draw a rectangle'
+   */
+  this.tooltipRectangle = "Draw a rectangle";
+
+  /**
+   * Gets or sets the tooltip of the button that draws circles.  This property is observable.
+   * @type {String}
+   * @default 'Draw a circle'
+   */
+  this.tooltipCircle = "Draw a circle";
+
+  /**
+   * Gets or sets the tooltip of the undo button.  This property is observable.
+   * @type {String}
+   * @default 'Undo'
+   */
+  this.tooltipUndo = "Undo";
+
+  /**
+   * Gets or sets the tooltip of the redo button.  This property is observable.
+   * @type {String}
+   * @default 'Redo'
+   */
+  this.tooltipRedo = "Redo";
+
+  /**
+   * Gets or sets the tooltip of the button that deletes the edited entity.  This property is observable.
+   * @type {String}
+   * @default 'Delete'
+   */
+  this.tooltipDelete = "Delete";
+
+  knockout.track(this, [
+    "mode",
+    "isEditing",
+    "tooltipPoint",
+    "tooltipPolyline",
+    "tooltipPolygon",
+    "tooltipRectangle",
+    "tooltipCircle",
+    "tooltipUndo",
+    "tooltipRedo",
+    "tooltipDelete",
+  ]);
+
+  const that = this;
+  function createDrawCommand(mode) {
+    return createCommand(function () {
+      // Clicking the button of the shape being drawn cancels it
+      if (drawingManager.mode === mode) {
+        drawingManager.cancel();
+      } else {
+        drawingManager.startDrawing(mode);
+      }
+    });
+  }
+
+  this._drawPoint = createDrawCommand(DrawingMode.POINT);
+  this._drawPolyline = createDrawCommand(DrawingMode.POLYLINE);
+  this._drawPolygon = createDrawCommand(DrawingMode.POLYGON);
+  this._drawRectangle = createDrawCommand(DrawingMode.RECTANGLE);
+  this._drawCircle = createDrawCommand(DrawingMode.CIRCLE);
+
+  this._undo = createCommand(function () {
+    drawingManager.undo();
+  });
+  this._redo = createCommand(function () {
+    drawingManager.redo();
+  });
+  this._deleteEntity = createCommand(function () {
+    drawingManager.deleteEntity();
+  });
+
+  this._eventHelper = new EventHelper();
+  this._eventHelper.add(drawingManager.stateChangedEvent, function () {
+    that._update();
+  });
+  this._update();
+
+  //Used by knockout
+  this._drawingMode = DrawingMode;
+}
+
+DrawingToolbarViewModel.prototype._update = function () {
+  const drawingManager = this._drawingManager;
+  this.mode = drawingManager.mode;
+  this.isEditing = defined(drawingManager.editedEntity);
+  this._undo.canExecute = drawingManager.canUndo;
+  this._redo.canExecute = drawingManager.canRedo;
+  this._deleteEntity.canExecute = this.isEditing;
+};
+
+Object.defineProperties(DrawingToolbarViewModel.prototype, {
+  /**
+   * Gets the drawing manager.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {DrawingManager}
+   */
+  drawingManager: {
+    get: function () {
+      return this._drawingManager;
+    },
+  },
+
+  /**
+   * Gets the command that starts drawing a point, or cancels it.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  drawPoint: {
+    get: function () {
+      return this._drawPoint;
+    },
+  },
+
+  /**
+   * Gets the command that starts drawing a polyline, or cancels it.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  drawPolyline: {
+    get: function () {
+      return this._drawPolyline;
+    },
+  },
+
+  /**
+   * Gets the command that starts drawing a polygon, or cancels it.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  drawPolygon: {
+    get: function () {
+      return this._drawPolygon;
+    },
+  },
+
+  /**
+   * Gets the command that starts drawing a rectangle, or cancels it.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  drawRectangle: {
+    get: function () {
+      return this._drawRectangle;
+    },
+  },
+
+  /**
+   * Gets the command that starts drawing a circle, or cancels it.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  drawCircle: {
+    get: function () {
+      return this._drawCircle;
+    },
+  },
+
+  /**
+   * Gets the command that undoes the last operation.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  undo: {
+    get: function () {
+      return this._undo;
+    },
+  },
+
+  /**
+   * Gets the command that redoes the last undone operation.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  redo: {
+    get: function () {
+      return this._redo;
+    },
+  },
+
+  /**
+   * Gets the command that deletes the edited entity.
+   * @memberof DrawingToolbarViewModel.prototype
+   *
+   * @type {Command}
+   */
+  deleteEntity: {
+    get: function () {
+      return this._deleteEntity;
+    },
+  },
+});
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+DrawingToolbarViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the view model.  The drawing manager is not destroyed.
+ */
+DrawingToolbarViewModel.prototype.destroy = function () {
+  this._eventHelper.removeAll();
+  destroyObject(this);
+};
+export default DrawingToolbarViewModel;
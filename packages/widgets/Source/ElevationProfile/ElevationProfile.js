@@ -0,0 +1,174 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import ElevationProfileViewModel from "./ElevationProfileViewModel.js";
+
+const svgNS = "http://www.w3.org/2000/svg";
+
+function createSvgElement(name, attributes) {
+  const element = document.createElementNS(svgNS, name);
+  for (const attribute in attributes) {
+    if (attributes.hasOwnProperty(attribute)) {
+      element.setAttribute(attribute, attributes[attribute]);
+    }
+  }
+  return element;
+}
+
+/**
+ * A widget that draws the terrain elevation profile along a polyline as a chart, and highlights the corresponding
+ * point on the globe when hovering the chart.
+ *
+ * @alias ElevationProfile
+ * @constructor
+ *
+ * @param {Element|String} container The DOM element or ID that will contain the widget.
+ * @param {Scene} scene The scene whose terrain and 3D Tiles are sampled, and on which the highlighted sample is shown.
+ * @param {Object} [options] The options of the {@link ElevationProfileViewModel}.
+ *
+ * @example
+ * // In HTML head, include a link to the ElevationProfile.css stylesheet,
+ * // and in the body, include: <div id="elevationProfileContainer"></div>
+ *
+ * const elevationProfile = new Cesium.ElevationProfile('elevationProfileContainer', viewer.scene, {
+ *   spacing: 50.0
+ * });
+ * elevationProfile.viewModel.computeProfile(Cesium.Cartesian3.fromDegreesArray([
+ *   86.9, 27.9,
+ *   87.0, 28.0
+ * ]));
+ */
+function ElevationProfile(container, scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(container)) {
+    throw new DeveloperError("container is required.");
+  }
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  container = getElement(container);
+
+  const viewModel = new ElevationProfileViewModel(scene, options);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "cesium-elevationProfile";
+  wrapper.setAttribute("data-bind", "visible: samples.length > 0 || isLoading");
+  container.appendChild(wrapper);
+
+  const maximumHeight = document.createElement("div");
+  maximumHeight.className = "cesium-elevationProfile-maximumHeight";
+  maximumHeight.setAttribute("data-bind", "text: _maximumHeightText");
+  wrapper.appendChild(maximumHeight);
+
+  const minimumHeight = document.createElement("div");
+  minimumHeight.className = "cesium-elevationProfile-minimumHeight";
+  minimumHeight.setAttribute("data-bind", "text: _minimumHeightText");
+  wrapper.appendChild(minimumHeight);
+
+  const chart = createSvgElement("svg", {
+    class: "cesium-elevationProfile-chart",
+    viewBox: `0 0 ${viewModel._chartWidth} ${viewModel._chartHeight}`,
+    preserveAspectRatio: "none",
+  });
+  wrapper.appendChild(chart);
+
+  const area = createSvgElement("path", {
+    class: "cesium-elevationProfile-area",
+    "data-bind": "attr: { d: _areaPath }",
+  });
+  chart.appendChild(area);
+
+  const line = createSvgElement("path", {
+    class: "cesium-elevationProfile-line",
+    "data-bind": "attr: { d: _linePath }",
+  });
+  chart.appendChild(line);
+
+  const cursor = createSvgElement("line", {
+    class: "cesium-elevationProfile-cursor",
+    y1: 0,
+    y2: viewModel._chartHeight,
+    "data-bind":
+      "attr: { x1: _highlightX, x2: _highlightX }, visible: highlightedSample",
+  });
+  chart.appendChild(cursor);
+
+  const description = document.createElement("div");
+  description.className = "cesium-elevationProfile-description";
+  description.setAttribute("data-bind", "text: description");
+  wrapper.appendChild(description);
+
+  knockout.applyBindings(viewModel, wrapper);
+
+  this._onMouseMove = function (e) {
+    const rectangle = chart.getBoundingClientRect();
+    if (rectangle.width > 0.0) {
+      const fraction = (e.clientX - rectangle.left) / rectangle.width;
+      viewModel.highlightDistance(fraction * viewModel.length);
+    }
+  };
+  this._onMouseLeave = function () {
+    viewModel.clearHighlight();
+  };
+  chart.addEventListener("mousemove", this._onMouseMove, false);
+  chart.addEventListener("mouseleave", this._onMouseLeave, false);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._wrapper = wrapper;
+  this._chart = chart;
+}
+
+Object.defineProperties(ElevationProfile.prototype, {
+  /**
+   * Gets the parent container.
+   * @memberof ElevationProfile.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * Gets the view model.
+   * @memberof ElevationProfile.prototype
+   *
+   * @type {ElevationProfileViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+ElevationProfile.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the widget.  Should be called if permanently
+ * removing the widget from layout.
+ */
+ElevationProfile.prototype.destroy = function () {
+  this._chart.removeEventListener("mousemove", this._onMouseMove, false);
+  this._chart.removeEventListener("mouseleave", this._onMouseLeave, false);
+  this._viewModel.destroy();
+  knockout.cleanNode(this._wrapper);
+  this._container.removeChild(this._wrapper);
+
+  return destroyObject(this);
+};
+export default ElevationProfile;
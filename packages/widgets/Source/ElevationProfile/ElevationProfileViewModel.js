@@ -0,0 +1,365 @@
+import {
+  ArcType,
+  Color,
+  defaultValue,
+  defined,
+  destroyObject,
+  DeveloperError,
+  PointPrimitiveCollection,
+  sampleElevationProfile,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+
+// The size of the chart in the units of its view box
+const chartWidth = 400.0;
+const chartHeight = 150.0;
+
+// The fraction of the chart height left empty above and below the profile
+const chartMargin = 0.05;
+
+function formatDistance(meters) {
+  if (Math.abs(meters) >= 1000.0) {
+    return `${(meters / 1000.0).toFixed(2)} km`;
+  }
+  return `${meters.toFixed(2)} m`;
+}
+
+function getX(viewModel, sample) {
+  const length = viewModel.length;
+  return length > 0.0 ? (sample.distance / length) * chartWidth : 0.0;
+}
+
+function getY(viewModel, sample) {
+  const minimumHeight = viewModel.minimumHeight;
+  const range = viewModel.maximumHeight - minimumHeight;
+  const fraction = range > 0.0 ? (sample.height - minimumHeight) / range : 0.5;
+  return (
+    chartHeight -
+    (chartMargin + fraction * (1.0 - 2.0 * chartMargin)) * chartHeight
+  );
+}
+
+function getRuns(samples) {
+  // The runs of consecutive samples with heights, between the samples where neither terrain nor the scene could be sampled
+  const runs = [];
+  let run = [];
+  for (let i = 0; i < samples.length; ++i) {
+    if (defined(samples[i].height)) {
+      run.push(samples[i]);
+    } else if (run.length > 0) {
+      runs.push(run);
+      run = [];
+    }
+  }
+  if (run.length > 0) {
+    runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * The view model for {@link ElevationProfile}.
+ * @alias ElevationProfileViewModel
+ * @constructor
+ *
+ * @param {Scene} scene The scene whose terrain and 3D Tiles are sampled, and on which the highlighted sample is shown.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.spacing=10.0] The distance in meters between the samples along the polyline.
+ * @param {ArcType} [options.arcType=ArcType.GEODESIC] The type of line between the vertices of the polyline, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Color} [options.highlightColor=Color.RED] The color of the point that shows the highlighted sample on the globe.
+ */
+function ElevationProfileViewModel(scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._scene = scene;
+
+  /**
+   * Gets or sets the distance in meters between the samples along the polyline.
+   * @type {Number}
+   * @default 10.0
+   */
+  this.spacing = defaultValue(options.spacing, 10.0);
+
+  /**
+   * Gets or sets the type of line between the vertices of the polyline.
+   * @type {ArcType}
+   * @default ArcType.GEODESIC
+   */
+  this.arcType = defaultValue(options.arcType, ArcType.GEODESIC);
+
+  /**
+   * Gets or sets the samples of the profile.  This property is observable.
+   * @type {sampleElevationProfile.Sample[]}
+   */
+  this.samples = [];
+
+  /**
+   * Gets whether a profile is being sampled.  This property is observable.
+   * @type {Boolean}
+   */
+  this.isLoading = false;
+
+  /**
+   * Gets the highlighted sample, or undefined if no sample is highlighted.  This property is observable.
+   * @type {sampleElevationProfile.Sample|undefined}
+   */
+  this.highlightedSample = undefined;
+
+  knockout.track(this, ["samples", "isLoading", "highlightedSample"]);
+
+  /**
+   * Gets the length of the profile in meters.  This property is observable.
+   * @type {Number}
+   */
+  this.length = undefined;
+  knockout.defineProperty(this, "length", function () {
+    const samples = this.samples;
+    return samples.length > 0 ? samples[samples.length - 1].distance : 0.0;
+  });
+
+  /**
+   * Gets the lowest sampled height in meters.  This property is observable.
+   * @type {Number}
+   */
+  this.minimumHeight = undefined;
+  knockout.defineProperty(this, "minimumHeight", function () {
+    return this.samples.reduce(function (minimum, sample) {
+      return defined(sample.height)
+        ? Math.min(minimum, sample.height)
+        : minimum;
+    }, Number.POSITIVE_INFINITY);
+  });
+
+  /**
+   * Gets the highest sampled height in meters.  This property is observable.
+   * @type {Number}
+   */
+  this.maximumHeight = undefined;
+  knockout.defineProperty(this, "maximumHeight", function () {
+    return this.samples.reduce(function (maximum, sample) {
+      return defined(sample.height)
+        ? Math.max(maximum, sample.height)
+        : maximum;
+    }, Number.NEGATIVE_INFINITY);
+  });
+
+  /**
+   * Gets the description of the highlighted sample or, if no sample is highlighted, of the profile.  This property is observable.
+   * @type {String}
+   */
+  this.description = undefined;
+  knockout.defineProperty(this, "description", function () {
+    const sample = this.highlightedSample;
+    if (defined(sample)) {
+      const height = defined(sample.height)
+        ? formatDistance(sample.height)
+        : "-";
+      return `${formatDistance(sample.distance)}: ${height}`;
+    }
+    if (this.isLoading) {
+      return "Loading...";
+    }
+    if (this.samples.length === 0) {
+      return "";
+    }
+    return `Length: ${formatDistance(this.length)}`;
+  });
+
+  knockout.defineProperty(this, "_linePath", function () {
+    const that = this;
+    return getRuns(this.samples)
+      .map(function (run) {
+        return run
+          .map(function (sample, index) {
+            const command = index === 0 ? "M" : "L";
+            return `${command}${getX(that, sample)},${getY(that, sample)}`;
+          })
+          .join(" ");
+      })
+      .join(" ");
+  });
+
+  knockout.defineProperty(this, "_areaPath", function () {
+    const that = this;
+    return getRuns(this.samples)
+      .map(function (run) {
+        const first = getX(that, run[0]);
+        const last = getX(that, run[run.length - 1]);
+        const line = run
+          .map(function (sample) {
+            return `L${getX(that, sample)},${getY(that, sample)}`;
+          })
+          .join(" ");
+        return `M${first},${chartHeight} ${line} L${last},${chartHeight} Z`;
+      })
+      .join(" ");
+  });
+
+  knockout.defineProperty(this, "_highlightX", function () {
+    const sample = this.highlightedSample;
+    return defined(sample) ? getX(this, sample) : 0.0;
+  });
+
+  knockout.defineProperty(this, "_maximumHeightText", function () {
+    return this.samples.length > 0 && isFinite(this.maximumHeight)
+      ? formatDistance(this.maximumHeight)
+      : "";
+  });
+
+  knockout.defineProperty(this, "_minimumHeightText", function () {
+    return this.samples.length > 0 && isFinite(this.minimumHeight)
+      ? formatDistance(this.minimumHeight)
+      : "";
+  });
+
+  this._points = scene.primitives.add(new PointPrimitiveCollection());
+  this._point = this._points.add({
+    show: false,
+    color: Color.clone(defaultValue(options.highlightColor, Color.RED)),
+    pixelSize: 10.0,
+    outlineColor: Color.WHITE,
+    outlineWidth: 2.0,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+  this._requestId = 0;
+
+  //Used by knockout
+  this._chartWidth = chartWidth;
+  this._chartHeight = chartHeight;
+}
+
+Object.defineProperties(ElevationProfileViewModel.prototype, {
+  /**
+   * Gets the scene.
+   * @memberof ElevationProfileViewModel.prototype
+   *
+   * @type {Scene}
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+});
+
+/**
+ * Samples the profile along a polyline with {@link sampleElevationProfile} and displays it.
+ *
+ * @param {Cartesian3[]} positions The vertices of the polyline.
+ * @returns {Promise.<sampleElevationProfile.Sample[]>} A promise that resolves to the samples when they are displayed,
+ * or to undefined if the profile was replaced or cleared in the meantime.
+ */
+ElevationProfileViewModel.prototype.computeProfile = function (positions) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(positions)) {
+    throw new DeveloperError("positions is required.");
+  }
+  //>>includeEnd('debug');
+
+  const requestId = ++this._requestId;
+  this.clearHighlight();
+  this.samples = [];
+  this.isLoading = true;
+
+  const that = this;
+  return ElevationProfileViewModel._sampleElevationProfile({
+    positions: positions,
+    scene: this._scene,
+    spacing: this.spacing,
+    arcType: this.arcType,
+  })
+    .then(function (samples) {
+      if (that.isDestroyed() || requestId !== that._requestId) {
+        return undefined;
+      }
+      that.isLoading = false;
+      that.samples = samples;
+      return samples;
+    })
+    .catch(function (error) {
+      if (!that.isDestroyed() && requestId === that._requestId) {
+        that.isLoading = false;
+      }
+      throw error;
+    });
+};
+
+/**
+ * Highlights the sample closest to a distance along the profile, and shows it on the globe.
+ *
+ * @param {Number} distance The distance in meters along the profile.
+ */
+ElevationProfileViewModel.prototype.highlightDistance = function (distance) {
+  const samples = this.samples;
+  if (samples.length === 0) {
+    return;
+  }
+
+  // Binary search for the first sample at or beyond the distance, then pick the closer of it and the one before it
+  let low = 0;
+  let high = samples.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (samples[middle].distance < distance) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  if (
+    low > 0 &&
+    distance - samples[low - 1].distance < samples[low].distance - distance
+  ) {
+    --low;
+  }
+
+  const sample = samples[low];
+  this.highlightedSample = sample;
+  this._point.position = sample.position;
+  this._point.show = true;
+  this._scene.requestRender();
+};
+
+/**
+ * Removes the highlight of the highlighted sample.
+ */
+ElevationProfileViewModel.prototype.clearHighlight = function () {
+  this.highlightedSample = undefined;
+  this._point.show = false;
+  this._scene.requestRender();
+};
+
+/**
+ * Removes the profile, ignoring the profile being sampled.
+ */
+ElevationProfileViewModel.prototype.clear = function () {
+  ++this._requestId;
+  this.clearHighlight();
+  this.samples = [];
+  this.isLoading = false;
+};
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+ElevationProfileViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the view model, removing the highlighted sample from the scene.
+ */
+ElevationProfileViewModel.prototype.destroy = function () {
+  this._scene.primitives.remove(this._points);
+  destroyObject(this);
+};
+
+//Exposed for testing.
+ElevationProfileViewModel._sampleElevationProfile = sampleElevationProfile;
+export default ElevationProfileViewModel;
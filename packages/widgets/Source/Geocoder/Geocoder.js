@@ -27,6 +27,7 @@ const stopSearchPath =
  * @param {Boolean} [options.autoComplete = true] True if the geocoder should query as the user types to autocomplete
  * @param {Number} [options.flightDuration=1.5] The duration of the camera flight to an entered location, in seconds.
  * @param {Geocoder.DestinationFoundFunction} [options.destinationFound=GeocoderViewModel.flyToDestination] A callback function that is called after a successful geocode.  If not supplied, the default behavior is to fly the camera to the result destination.
+ * @param {Boolean} [options.showMarker=true] True to show a marker at results with a position, such as the coordinates from a {@link CoordinateGeocoderService}.
  */
 function Geocoder(options) {
   //>>includeStart('debug', pragmas.debug);
@@ -1,5 +1,7 @@
 import {
+  BillboardCollection,
   CartographicGeocoderService,
+  Color,
   computeFlyToLocationForRectangle,
   defaultValue,
   defined,
@@ -7,11 +9,14 @@ import {
   Event,
   GeocodeType,
   getElement,
+  HeightReference,
   IonGeocoderService,
   Math as CesiumMath,
   Matrix4,
+  PinBuilder,
   Rectangle,
   sampleTerrainMostDetailed,
+  VerticalOrigin,
 } from "@cesium/engine";
 import knockout from "../ThirdParty/knockout.js";
 import createCommand from "../createCommand.js";
@@ -19,6 +24,9 @@ import createCommand from "../createCommand.js";
 // The height we use if geocoding to a specific point instead of an rectangle.
 const DEFAULT_HEIGHT = 1000;
 
+// The image of the marker at a located point, created when it is first shown
+let markerImage;
+
 /**
  * The view model for the {@link Geocoder} widget.
  * @alias GeocoderViewModel
@@ -31,6 +39,7 @@ const DEFAULT_HEIGHT = 1000;
  *        and if no suggestion is selected the result from the first geocoder service wil be used.
  * @param {Number} [options.flightDuration] The duration of the camera flight to an entered location, in seconds.
  * @param {Geocoder.DestinationFoundFunction} [options.destinationFound=GeocoderViewModel.flyToDestination] A callback function that is called after a successful geocode.  If not supplied, the default behavior is to fly the camera to the result destination.
+ * @param {Boolean} [options.showMarker=true] True to show a marker at results with a position, such as the coordinates from a {@link CoordinateGeocoderService}.
  */
 function GeocoderViewModel(options) {
   //>>includeStart('debug', pragmas.debug);
@@ -58,6 +67,8 @@ function GeocoderViewModel(options) {
   this._suggestions = [];
   this._selectedSuggestion = undefined;
   this._showSuggestions = true;
+  this._showMarker = defaultValue(options.showMarker, true);
+  this._markers = undefined;
 
   this._handleArrowDown = handleArrowDown;
   this._handleArrowUp = handleArrowUp;
@@ -123,6 +134,7 @@ function GeocoderViewModel(options) {
     that._searchText = data.displayName;
     const destination = data.destination;
     clearSuggestions(that);
+    updateMarker(that, data.position);
     that.destinationFound(that, destination);
   };
 
@@ -312,6 +324,10 @@ Object.defineProperties(GeocoderViewModel.prototype, {
  */
 GeocoderViewModel.prototype.destroy = function () {
   this._suggestionSubscription.dispose();
+  if (defined(this._markers) && !this._scene.isDestroyed()) {
+    this._scene.primitives.remove(this._markers);
+  }
+  this._markers = undefined;
 };
 
 function handleArrowUp(viewModel) {
@@ -449,6 +465,7 @@ function geocode(viewModel, geocoderServices, geocodeType) {
   }
 
   viewModel._isSearchInProgress = true;
+  updateMarker(viewModel, undefined);
 
   let promise = Promise.resolve();
   for (let i = 0; i < geocoderServices.length; i++) {
@@ -469,6 +486,7 @@ function geocode(viewModel, geocoderServices, geocodeType) {
       geocoderResults.length > 0
     ) {
       viewModel._searchText = geocoderResults[0].displayName;
+      updateMarker(viewModel, geocoderResults[0].position);
       viewModel.destinationFound(viewModel, geocoderResults[0].destination);
       return;
     }
@@ -476,6 +494,39 @@ function geocode(viewModel, geocoderServices, geocodeType) {
   });
 }
 
+function updateMarker(viewModel, position) {
+  let markers = viewModel._markers;
+  if (!defined(position) || !viewModel._showMarker) {
+    if (defined(markers)) {
+      markers.removeAll();
+    }
+    return;
+  }
+
+  const scene = viewModel._scene;
+  if (!defined(markers)) {
+    markers = viewModel._markers = scene.primitives.add(
+      new BillboardCollection({
+        scene: scene,
+      })
+    );
+  }
+  if (!defined(markerImage)) {
+    markerImage = new PinBuilder().fromColor(Color.ROYALBLUE, 48);
+  }
+
+  markers.removeAll();
+  markers.add({
+    position: position,
+    image: markerImage,
+    verticalOrigin: VerticalOrigin.BOTTOM,
+    heightReference: defined(scene.globe)
+      ? HeightReference.CLAMP_TO_GROUND
+      : HeightReference.NONE,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+}
+
 function adjustSuggestionsScroll(viewModel, focusedItemIndex) {
   const container = getElement(viewModel._viewContainer);
   const searchResults = container.getElementsByClassName("search-results")[0];
@@ -0,0 +1,146 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import MeasureViewModel from "./MeasureViewModel.js";
+
+const distancePath =
+  "M3,22l19-19 7,7-19,19z M8,21l-2-2 1.5-1.5 2,2z M12,17l-3-3 1.5-1.5 3,3z M16,13l-2-2 1.5-1.5 2,2z M20,9l-3-3 1.5-1.5 3,3z";
+const areaPath = "M5,9l16-5 7,12-9,12-14-6z";
+const heightPath = "M15,8h2v16h-2z M10,9l6-7 6,7z M10,23l6,7 6-7z";
+const anglePath = "M4,26h24v3h-24z M4,26l17-20 2.3,1.9-17,20z";
+const rhumbPath = "M4,26c4-14 10-20 24-22v3c-12,2-17,7-21,19z";
+const clearPath = "M11,4h10v3h6v3h-22v-3h6z M7,12h18l-2,16h-14z";
+
+/**
+ * A widget with buttons to measure geodesic and rhumb distances, surface areas of polygons draped on terrain,
+ * vertical heights, and azimuth and elevation angles in a scene, with live labels and a display of the result.
+ *
+ * @alias Measure
+ * @constructor
+ *
+ * @param {Element|String} container The DOM element or ID that will contain the widget.
+ * @param {Scene} scene The scene in which to measure.
+ * @param {Object} [options] The options of the {@link MeasureViewModel}.
+ *
+ * @example
+ * // In HTML head, include a link to the Measure.css stylesheet,
+ * // and in the body, include: <div id="measureContainer"></div>
+ *
+ * const measure = new Cesium.Measure('measureContainer', viewer.scene);
+ * measure.viewModel.measuredEvent.addEventListener(function(measurement) {
+ *   console.log(measurement.distance);
+ * });
+ */
+function Measure(container, scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(container)) {
+    throw new DeveloperError("container is required.");
+  }
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  container = getElement(container);
+
+  const viewModel = new MeasureViewModel(scene, options);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "cesium-measure";
+  container.appendChild(wrapper);
+
+  function addButton(command, tooltip, path, selected) {
+    viewModel[`_${command}Path`] = path;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "cesium-button cesium-toolbar-button";
+    const css = defined(selected)
+      ? `css: { "cesium-measure-selected": ${selected} },`
+      : "";
+    button.setAttribute(
+      "data-bind",
+      `${css}\
+attr: { title: ${tooltip} },\
+click: ${command},\
+cesiumSvgPath: { path: _${command}Path, width: 32, height: 32 }`
+    );
+    wrapper.appendChild(button);
+  }
+
+  function addModeButton(command, tooltip, path, mode) {
+    addButton(command, tooltip, path, `mode === _measureMode.${mode}`);
+  }
+
+  addModeButton("measureDistance", "tooltipDistance", distancePath, "DISTANCE");
+  addModeButton("measureArea", "tooltipArea", areaPath, "AREA");
+  addModeButton("measureHeight", "tooltipHeight", heightPath, "HEIGHT");
+  addModeButton("measureAngle", "tooltipAngle", anglePath, "ANGLE");
+  addButton(
+    "toggleArcType",
+    "tooltipArcType",
+    rhumbPath,
+    "arcType === _arcTypes.RHUMB"
+  );
+  addButton("clear", "tooltipClear", clearPath);
+
+  const result = document.createElement("span");
+  result.className = "cesium-measure-result";
+  result.setAttribute("data-bind", "text: result, visible: result");
+  wrapper.appendChild(result);
+
+  knockout.applyBindings(viewModel, wrapper);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._wrapper = wrapper;
+}
+
+Object.defineProperties(Measure.prototype, {
+  /**
+   * Gets the parent container.
+   * @memberof Measure.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * Gets the view model.
+   * @memberof Measure.prototype
+   *
+   * @type {MeasureViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+Measure.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the widget and its measurements.  Should be called if permanently
+ * removing the widget from layout.
+ */
+Measure.prototype.destroy = function () {
+  this._viewModel.destroy();
+  knockout.cleanNode(this._wrapper);
+  this._container.removeChild(this._wrapper);
+
+  return destroyObject(this);
+};
+export default Measure;
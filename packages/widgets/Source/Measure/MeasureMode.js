@@ -0,0 +1,36 @@
+/**
+ * The kinds of measurements taken by a {@link MeasureViewModel}.
+ *
+ * @enum {Number}
+ */
+const MeasureMode = {
+  /**
+   * The length of a path, measured with a click for each vertex and finished with a double or right click.
+   * @type {Number}
+   * @constant
+   */
+  DISTANCE: 0,
+
+  /**
+   * The surface area of a polygon draped on terrain, measured with a click for each vertex and finished with a double or right click.
+   * While the polygon is drawn, the area on the ellipsoid is shown.
+   * @type {Number}
+   * @constant
+   */
+  AREA: 1,
+
+  /**
+   * The vertical height between two points, measured with a click on each point.
+   * @type {Number}
+   * @constant
+   */
+  HEIGHT: 2,
+
+  /**
+   * The azimuth and elevation angles from one point to another, measured with a click on each point.
+   * @type {Number}
+   * @constant
+   */
+  ANGLE: 3,
+};
+export default Object.freeze(MeasureMode);
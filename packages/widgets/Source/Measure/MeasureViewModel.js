@@ -0,0 +1,1031 @@
+import {
+  ArcType,
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  Check,
+  Color,
+  defaultValue,
+  defined,
+  destroyObject,
+  DeveloperError,
+  Ellipsoid,
+  EllipsoidGeodesic,
+  EllipsoidRhumbLine,
+  EllipsoidTangentPlane,
+  Event,
+  HorizontalOrigin,
+  LabelCollection,
+  LabelStyle,
+  Material,
+  Math as CesiumMath,
+  Matrix4,
+  PointPrimitiveCollection,
+  PolygonPipeline,
+  PolylineCollection,
+  PolylinePipeline,
+  PrimitiveCollection,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  Transforms,
+  VerticalOrigin,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+import MeasureMode from "./MeasureMode.js";
+
+const scratchCartographic = new Cartographic();
+const scratchStartCartographic = new Cartographic();
+const scratchEndCartographic = new Cartographic();
+const scratchEastNorthUp = new Matrix4();
+const scratchOffset = new Cartesian3();
+const scratchEdge0 = new Cartesian3();
+const scratchEdge1 = new Cartesian3();
+const scratchCross = new Cartesian3();
+const scratchVertex0 = new Cartesian3();
+const scratchVertex1 = new Cartesian3();
+const scratchVertex2 = new Cartesian3();
+const scratchSample = new Cartesian3();
+
+// Clicks closer than this many pixels to the previous one, such as the second click of a double click, are ignored
+const clickPixelTolerance = 2.0;
+
+// The largest number of subdivisions of each edge of a triangle when sampling terrain heights for the area
+const maximumSubdivisions = 32;
+
+// The distance in radians between the vertices of the sampled polylines
+const arcGranularity = CesiumMath.RADIANS_PER_DEGREE * 0.01;
+
+function getMinimumLength(mode) {
+  if (mode === MeasureMode.AREA) {
+    return 3;
+  }
+  return 2;
+}
+
+function getMaximumLength(mode) {
+  if (mode === MeasureMode.HEIGHT || mode === MeasureMode.ANGLE) {
+    return 2;
+  }
+  return Number.POSITIVE_INFINITY;
+}
+
+function formatDistance(meters) {
+  if (Math.abs(meters) >= 1000.0) {
+    return `${(meters / 1000.0).toFixed(2)} km`;
+  }
+  return `${meters.toFixed(2)} m`;
+}
+
+function formatArea(squareMeters) {
+  if (squareMeters >= 1000000.0) {
+    return `${(squareMeters / 1000000.0).toFixed(2)} km²`;
+  }
+  return `${squareMeters.toFixed(2)} m²`;
+}
+
+function formatAngle(radians) {
+  return `${CesiumMath.toDegrees(radians).toFixed(2)}°`;
+}
+
+function getSurfaceDistance(start, end, arcType, ellipsoid) {
+  if (arcType === ArcType.NONE) {
+    return Cartesian3.distance(start, end);
+  }
+
+  const startCartographic = ellipsoid.cartesianToCartographic(
+    start,
+    scratchStartCartographic
+  );
+  const endCartographic = ellipsoid.cartesianToCartographic(
+    end,
+    scratchEndCartographic
+  );
+  if (
+    !defined(startCartographic) ||
+    !defined(endCartographic) ||
+    Cartographic.equalsEpsilon(
+      startCartographic,
+      endCartographic,
+      CesiumMath.EPSILON12
+    )
+  ) {
+    return 0.0;
+  }
+
+  const line =
+    arcType === ArcType.RHUMB
+      ? new EllipsoidRhumbLine(startCartographic, endCartographic, ellipsoid)
+      : new EllipsoidGeodesic(startCartographic, endCartographic, ellipsoid);
+  return line.surfaceDistance;
+}
+
+function getTriangleArea(p0, p1, p2) {
+  const edge0 = Cartesian3.subtract(p1, p0, scratchEdge0);
+  const edge1 = Cartesian3.subtract(p2, p0, scratchEdge1);
+  return (
+    Cartesian3.magnitude(Cartesian3.cross(edge0, edge1, scratchCross)) * 0.5
+  );
+}
+
+function getSampledHeight(globe, cartographic) {
+  return defined(globe) ? globe.getHeight(cartographic) : undefined;
+}
+
+function getTriangleSurfaceArea(p0, p1, p2, globe, granularity, ellipsoid) {
+  const length = Math.max(
+    Cartesian3.distance(p0, p1),
+    Cartesian3.distance(p1, p2),
+    Cartesian3.distance(p2, p0)
+  );
+  const subdivisions = CesiumMath.clamp(
+    Math.ceil(length / granularity),
+    1,
+    maximumSubdivisions
+  );
+
+  const h0 = ellipsoid.cartesianToCartographic(p0, scratchCartographic).height;
+  const h1 = ellipsoid.cartesianToCartographic(p1, scratchCartographic).height;
+  const h2 = ellipsoid.cartesianToCartographic(p2, scratchCartographic).height;
+
+  // Sample the heights of a triangular grid over the triangle, where row i holds the vertices i steps from p0 towards p1.
+  // The rows are packed one after another, so row i starts at vertex rowStart(i).
+  function rowStart(i) {
+    return i * (subdivisions + 1) - (i * (i - 1)) / 2;
+  }
+  const vertices = new Float64Array(rowStart(subdivisions + 1) * 3);
+  for (let i = 0; i <= subdivisions; ++i) {
+    const start = rowStart(i);
+    for (let j = 0; j <= subdivisions - i; ++j) {
+      const s = i / subdivisions;
+      const t = j / subdivisions;
+      const u = 1.0 - s - t;
+
+      let position = Cartesian3.fromElements(
+        p0.x * u + p1.x * s + p2.x * t,
+        p0.y * u + p1.y * s + p2.y * t,
+        p0.z * u + p1.z * s + p2.z * t,
+        scratchSample
+      );
+      const cartographic = ellipsoid.cartesianToCartographic(
+        position,
+        scratchCartographic
+      );
+      if (defined(cartographic)) {
+        const height = getSampledHeight(globe, cartographic);
+        cartographic.height = defined(height)
+          ? height
+          : h0 * u + h1 * s + h2 * t;
+        position = ellipsoid.cartographicToCartesian(cartographic, position);
+      }
+      Cartesian3.pack(position, vertices, (start + j) * 3);
+    }
+  }
+
+  let area = 0.0;
+  for (let i = 0; i < subdivisions; ++i) {
+    const start = rowStart(i);
+    const nextStart = rowStart(i + 1);
+    for (let j = 0; j < subdivisions - i; ++j) {
+      const v0 = Cartesian3.unpack(vertices, (start + j) * 3, scratchVertex0);
+      const v1 = Cartesian3.unpack(
+        vertices,
+        (nextStart + j) * 3,
+        scratchVertex1
+      );
+      const v2 = Cartesian3.unpack(
+        vertices,
+        (start + j + 1) * 3,
+        scratchVertex2
+      );
+      area += getTriangleArea(v0, v1, v2);
+      if (j + 1 < subdivisions - i) {
+        const v3 = Cartesian3.unpack(
+          vertices,
+          (nextStart + j + 1) * 3,
+          scratchVertex0
+        );
+        area += getTriangleArea(v1, v3, v2);
+      }
+    }
+  }
+  return area;
+}
+
+function getSurfacePosition(positions, ellipsoid) {
+  // The average of the positions, raised to the highest of their heights so that it is not hidden by the surface
+  let height = Number.NEGATIVE_INFINITY;
+  const center = new Cartesian3();
+  for (let i = 0; i < positions.length; ++i) {
+    Cartesian3.add(center, positions[i], center);
+    const cartographic = ellipsoid.cartesianToCartographic(
+      positions[i],
+      scratchCartographic
+    );
+    if (defined(cartographic)) {
+      height = Math.max(height, cartographic.height);
+    }
+  }
+  Cartesian3.divideByScalar(center, positions.length, center);
+
+  const cartographic = ellipsoid.cartesianToCartographic(
+    center,
+    scratchCartographic
+  );
+  if (!defined(cartographic)) {
+    return center;
+  }
+  cartographic.height = isFinite(height) ? height : 0.0;
+  return ellipsoid.cartographicToCartesian(cartographic, center);
+}
+
+/**
+ * The view model for {@link Measure}.
+ * @alias MeasureViewModel
+ * @constructor
+ *
+ * @param {Scene} scene The scene in which to measure.
+ * @param {Object} [options] Object with the following properties:
+ * @param {ArcType} [options.arcType=ArcType.GEODESIC] The type of line along which distances are measured, either {@link ArcType.GEODESIC}, {@link ArcType.RHUMB} or {@link ArcType.NONE} for straight lines.
+ * @param {Number} [options.granularity=100.0] The distance in meters between the terrain heights sampled to compute the surface area of polygons.
+ * @param {Color} [options.color=Color.YELLOW] The color of the points and lines of the measurements.
+ *
+ * @exception {DeveloperError} arcType must be ArcType.GEODESIC, ArcType.RHUMB or ArcType.NONE.
+ */
+function MeasureViewModel(scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const arcType = defaultValue(options.arcType, ArcType.GEODESIC);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (
+    arcType !== ArcType.GEODESIC &&
+    arcType !== ArcType.RHUMB &&
+    arcType !== ArcType.NONE
+  ) {
+    throw new DeveloperError(
+      "arcType must be ArcType.GEODESIC, ArcType.RHUMB or ArcType.NONE."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._scene = scene;
+  this._ellipsoid = scene.mapProjection.ellipsoid;
+  this._color = Color.clone(defaultValue(options.color, Color.YELLOW));
+
+  /**
+   * Gets or sets the distance in meters between the terrain heights sampled to compute the surface area of polygons.
+   * @type {Number}
+   * @default 100.0
+   */
+  this.granularity = defaultValue(options.granularity, 100.0);
+
+  /**
+   * Gets the mode of the measurement being taken, or undefined if no measurement is being taken.  This property is observable.
+   * @type {MeasureMode|undefined}
+   */
+  this.mode = undefined;
+
+  /**
+   * Gets or sets the type of line along which distances are measured.  This property is observable.
+   * @type {ArcType}
+   * @default ArcType.GEODESIC
+   */
+  this.arcType = arcType;
+
+  /**
+   * Gets the formatted result of the measurement being taken or, if none is being taken, of the last measurement.  This property is observable.
+   * @type {String}
+   */
+  this.result = "";
+
+  /**
+   * Gets or sets the tooltip of the button that measures distances.  This property is observable.
+   * @type {String}
+   * @default 'Measure distance'
+   */
+  this.tooltipDistance = "Measure distance";
+
+  /**
+   * Gets or sets the tooltip of the button that measures areas.  This property is observable.
+   * @type {String}
+   * @default 'Measure area'
+   */
+  this.tooltipArea = "Measure area";
+
+  /**
+   * Gets or sets the tooltip of the button that measures heights.  This property is observable.
+   * @type {String}
+   * @default 'Measure height'
+   */
+  this.tooltipHeight = "Measure height";
+
+  /**
+   * Gets or sets the tooltip of the button that measures azimuth and elevation angles.  This property is observable.
+   * @type {String}
+   * @default 'Measure azimuth and elevation'
+   */
+  this.tooltipAngle = "Measure azimuth and elevation";
+
+  /**
+   * Gets or sets the tooltip of the button that switches between geodesic and rhumb lines.  This property is observable.
+   * @type {String}
+   * @default 'Measure along rhumb lines'
+   */
+  this.tooltipArcType = "Measure along rhumb lines";
+
+  /**
+   * Gets or sets the tooltip of the button that clears the measurements.  This property is observable.
+   * @type {String}
+   * @default 'Clear measurements'
+   */
+  this.tooltipClear = "Clear measurements";
+
+  knockout.track(this, [
+    "mode",
+    "arcType",
+    "result",
+    "tooltipDistance",
+    "tooltipArea",
+    "tooltipHeight",
+    "tooltipAngle",
+    "tooltipArcType",
+    "tooltipClear",
+  ]);
+
+  const that = this;
+  function createMeasureCommand(mode) {
+    return createCommand(function () {
+      // Clicking the button of the measurement being taken cancels it
+      if (that.mode === mode) {
+        that.cancel();
+      } else {
+        that.startMeasuring(mode);
+      }
+    });
+  }
+
+  this._measureDistance = createMeasureCommand(MeasureMode.DISTANCE);
+  this._measureArea = createMeasureCommand(MeasureMode.AREA);
+  this._measureHeight = createMeasureCommand(MeasureMode.HEIGHT);
+  this._measureAngle = createMeasureCommand(MeasureMode.ANGLE);
+
+  this._toggleArcType = createCommand(function () {
+    that.arcType =
+      that.arcType === ArcType.RHUMB ? ArcType.GEODESIC : ArcType.RHUMB;
+    if (that._positions.length > 0) {
+      that._update();
+    }
+  });
+
+  this._clear = createCommand(function () {
+    that.removeAll();
+  });
+
+  this._measuredEvent = new Event();
+
+  this._primitives = scene.primitives.add(new PrimitiveCollection());
+  this._points = this._primitives.add(new PointPrimitiveCollection());
+  this._polylines = this._primitives.add(new PolylineCollection());
+  this._labels = this._primitives.add(
+    new LabelCollection({
+      scene: scene,
+    })
+  );
+
+  this._measurements = [];
+  this._measurement = undefined;
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._lastClickPosition = new Cartesian2();
+
+  const handler = new ScreenSpaceEventHandler(scene.canvas);
+  handler.setInputAction(function (movement) {
+    that._onLeftClick(movement.position);
+  }, ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(function () {
+    that.finish();
+  }, ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  handler.setInputAction(function () {
+    that.finish();
+  }, ScreenSpaceEventType.RIGHT_CLICK);
+  handler.setInputAction(function (movement) {
+    that._onMouseMove(movement.endPosition);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  this._handler = handler;
+
+  //Used by knockout
+  this._measureMode = MeasureMode;
+  this._arcTypes = ArcType;
+}
+
+Object.defineProperties(MeasureViewModel.prototype, {
+  /**
+   * Gets the scene in which to measure.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Scene}
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the event raised when a measurement is finished.  It is raised with a {@link MeasureViewModel.Measurement}.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Event}
+   */
+  measuredEvent: {
+    get: function () {
+      return this._measuredEvent;
+    },
+  },
+
+  /**
+   * Gets the command that starts measuring a distance, or cancels it.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureDistance: {
+    get: function () {
+      return this._measureDistance;
+    },
+  },
+
+  /**
+   * Gets the command that starts measuring an area, or cancels it.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureArea: {
+    get: function () {
+      return this._measureArea;
+    },
+  },
+
+  /**
+   * Gets the command that starts measuring a height, or cancels it.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureHeight: {
+    get: function () {
+      return this._measureHeight;
+    },
+  },
+
+  /**
+   * Gets the command that starts measuring azimuth and elevation angles, or cancels it.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureAngle: {
+    get: function () {
+      return this._measureAngle;
+    },
+  },
+
+  /**
+   * Gets the command that switches between measuring along geodesic and rhumb lines.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  toggleArcType: {
+    get: function () {
+      return this._toggleArcType;
+    },
+  },
+
+  /**
+   * Gets the command that clears the measurements.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  clear: {
+    get: function () {
+      return this._clear;
+    },
+  },
+});
+
+/**
+ * Starts taking a measurement, canceling the one being taken.
+ *
+ * @param {MeasureMode} mode The kind of measurement to take.
+ *
+ * @exception {DeveloperError} mode must be a valid MeasureMode.
+ */
+MeasureViewModel.prototype.startMeasuring = function (mode) {
+  //>>includeStart('debug', pragmas.debug);
+  if (
+    mode !== MeasureMode.DISTANCE &&
+    mode !== MeasureMode.AREA &&
+    mode !== MeasureMode.HEIGHT &&
+    mode !== MeasureMode.ANGLE
+  ) {
+    throw new DeveloperError("mode must be a valid MeasureMode.");
+  }
+  //>>includeEnd('debug');
+
+  this.cancel();
+  this._measurement = {
+    points: [],
+    polylines: [],
+    labels: [],
+  };
+  this.mode = mode;
+  this.result = "";
+};
+
+/**
+ * Cancels the measurement being taken.
+ */
+MeasureViewModel.prototype.cancel = function () {
+  if (defined(this._measurement)) {
+    this._removeGraphics(this._measurement);
+  }
+  this._measurement = undefined;
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this.mode = undefined;
+  this._scene.requestRender();
+};
+
+/**
+ * Finishes the measurement being taken, keeping it displayed until the measurements are cleared.  The measurement is
+ * canceled if it does not have enough points.
+ *
+ * @returns {MeasureViewModel.Measurement|undefined} The finished measurement, or undefined if no measurement was finished.
+ */
+MeasureViewModel.prototype.finish = function () {
+  const mode = this.mode;
+  const positions = this._positions;
+  if (!defined(mode) || positions.length < getMinimumLength(mode)) {
+    this.cancel();
+    return undefined;
+  }
+
+  this._floatingPosition = undefined;
+  const result = this._update();
+  this._measurements.push(this._measurement);
+  this._measurement = undefined;
+  this._positions = [];
+  this.mode = undefined;
+
+  this._measuredEvent.raiseEvent(result);
+  return result;
+};
+
+/**
+ * Removes all measurements, canceling the one being taken.
+ */
+MeasureViewModel.prototype.removeAll = function () {
+  this.cancel();
+  const measurements = this._measurements;
+  for (let i = 0; i < measurements.length; ++i) {
+    this._removeGraphics(measurements[i]);
+  }
+  this._measurements.length = 0;
+  this.result = "";
+};
+
+/**
+ * Picks the position on terrain, 3D Tiles or other primitives under a window position, falling back to
+ * the globe and then the ellipsoid.
+ *
+ * @param {Cartesian2} windowPosition The window position.
+ * @param {Cartesian3} [result] The object onto which to store the result.
+ * @returns {Cartesian3|undefined} The picked position, or undefined if nothing is under the window position.
+ */
+MeasureViewModel.prototype.pickPosition = function (windowPosition, result) {
+  const scene = this._scene;
+  if (scene.pickPositionSupported) {
+    const position = scene.pickPosition(windowPosition, result);
+    if (defined(position)) {
+      return position;
+    }
+  }
+  const globe = scene.globe;
+  if (defined(globe)) {
+    const ray = scene.camera.getPickRay(windowPosition);
+    const position = defined(ray) ? globe.pick(ray, scene, result) : undefined;
+    if (defined(position)) {
+      return position;
+    }
+  }
+  return scene.camera.pickEllipsoid(windowPosition, this._ellipsoid, result);
+};
+
+MeasureViewModel.prototype._onLeftClick = function (windowPosition) {
+  const mode = this.mode;
+  if (!defined(mode)) {
+    return;
+  }
+
+  const positions = this._positions;
+  if (
+    positions.length > 0 &&
+    Cartesian2.distance(windowPosition, this._lastClickPosition) <
+      clickPixelTolerance
+  ) {
+    return;
+  }
+
+  const position = this.pickPosition(windowPosition);
+  if (!defined(position)) {
+    return;
+  }
+
+  Cartesian2.clone(windowPosition, this._lastClickPosition);
+  positions.push(position);
+  if (positions.length >= getMaximumLength(mode)) {
+    this.finish();
+    return;
+  }
+  this._floatingPosition = Cartesian3.clone(position);
+  this._update();
+};
+
+MeasureViewModel.prototype._onMouseMove = function (windowPosition) {
+  if (!defined(this._floatingPosition)) {
+    return;
+  }
+
+  const position = this.pickPosition(windowPosition, scratchOffset);
+  if (defined(position)) {
+    Cartesian3.clone(position, this._floatingPosition);
+    this._update();
+  }
+};
+
+MeasureViewModel.prototype._getPositions = function () {
+  const positions = this._positions;
+  if (!defined(this._floatingPosition)) {
+    return positions;
+  }
+  return positions.concat(this._floatingPosition);
+};
+
+MeasureViewModel.prototype._removeGraphics = function (measurement) {
+  const points = this._points;
+  const polylines = this._polylines;
+  const labels = this._labels;
+  measurement.points.forEach(function (point) {
+    points.remove(point);
+  });
+  measurement.polylines.forEach(function (polyline) {
+    polylines.remove(polyline);
+  });
+  measurement.labels.forEach(function (label) {
+    labels.remove(label);
+  });
+  measurement.points.length = 0;
+  measurement.polylines.length = 0;
+  measurement.labels.length = 0;
+};
+
+MeasureViewModel.prototype._addPolyline = function (positions, arcType) {
+  const ellipsoid = this._ellipsoid;
+  if (arcType !== ArcType.NONE) {
+    const heights = positions.map(function (position) {
+      const cartographic = ellipsoid.cartesianToCartographic(
+        position,
+        scratchCartographic
+      );
+      return defined(cartographic) ? cartographic.height : 0.0;
+    });
+    const options = {
+      positions: positions,
+      height: heights,
+      granularity: arcGranularity,
+      ellipsoid: ellipsoid,
+    };
+    positions =
+      arcType === ArcType.RHUMB
+        ? PolylinePipeline.generateCartesianRhumbArc(options)
+        : PolylinePipeline.generateCartesianArc(options);
+  }
+
+  this._measurement.polylines.push(
+    this._polylines.add({
+      positions: positions,
+      width: 2.0,
+      material: Material.fromType(Material.ColorType, {
+        color: this._color,
+      }),
+    })
+  );
+};
+
+MeasureViewModel.prototype._addLabel = function (position, text) {
+  this._measurement.labels.push(
+    this._labels.add({
+      position: position,
+      text: text,
+      font: "14px sans-serif",
+      style: LabelStyle.FILL,
+      fillColor: Color.WHITE,
+      showBackground: true,
+      horizontalOrigin: HorizontalOrigin.CENTER,
+      verticalOrigin: VerticalOrigin.BOTTOM,
+      pixelOffset: new Cartesian2(0.0, -8.0),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    })
+  );
+};
+
+MeasureViewModel.prototype._update = function () {
+  const measurement = this._measurement;
+  const positions = this._getPositions();
+  const ellipsoid = this._ellipsoid;
+  const arcType = this.arcType;
+  const mode = this.mode;
+  this._removeGraphics(measurement);
+
+  const result = {
+    mode: mode,
+    positions: positions.map(function (position) {
+      return Cartesian3.clone(position);
+    }),
+  };
+
+  const points = this._points;
+  const color = this._color;
+  positions.forEach(function (position) {
+    measurement.points.push(
+      points.add({
+        position: position,
+        color: color,
+        pixelSize: 8.0,
+        outlineColor: Color.BLACK,
+        outlineWidth: 1.0,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      })
+    );
+  });
+
+  if (mode === MeasureMode.DISTANCE) {
+    if (positions.length > 1) {
+      this._addPolyline(positions, arcType);
+    }
+    // Label the length of each segment when there are several, in addition to the total length
+    for (let i = 1; positions.length > 2 && i < positions.length; ++i) {
+      const distance = getSurfaceDistance(
+        positions[i - 1],
+        positions[i],
+        arcType,
+        ellipsoid
+      );
+      this._addLabel(
+        getSurfacePosition([positions[i - 1], positions[i]], ellipsoid),
+        formatDistance(distance)
+      );
+    }
+    result.distance = MeasureViewModel.computeDistance(
+      positions,
+      arcType,
+      ellipsoid
+    );
+    this.result = formatDistance(result.distance);
+    this._addLabel(positions[positions.length - 1], this.result);
+  } else if (mode === MeasureMode.AREA) {
+    if (positions.length > 1) {
+      this._addPolyline(positions.concat(positions[0]), arcType);
+    }
+    // Sampling terrain is too slow to repeat on every mouse move, so the area is only draped on terrain once finished
+    const previewing = defined(this._floatingPosition);
+    result.area = MeasureViewModel.computeArea(positions, {
+      globe: previewing ? undefined : this._scene.globe,
+      granularity: this.granularity,
+      ellipsoid: ellipsoid,
+    });
+    this.result = formatArea(result.area);
+    if (positions.length > 2) {
+      this._addLabel(getSurfacePosition(positions, ellipsoid), this.result);
+    }
+  } else if (mode === MeasureMode.HEIGHT) {
+    result.height = 0.0;
+    if (positions.length > 1) {
+      result.height = MeasureViewModel.computeHeight(
+        positions[0],
+        positions[1],
+        ellipsoid
+      );
+
+      // Draw the vertical side and the horizontal side of the triangle between the points
+      const lower = result.height >= 0.0 ? positions[0] : positions[1];
+      const upper = result.height >= 0.0 ? positions[1] : positions[0];
+      const cartographic = ellipsoid.cartesianToCartographic(
+        lower,
+        scratchCartographic
+      );
+      cartographic.height = ellipsoid.cartesianToCartographic(
+        upper,
+        scratchStartCartographic
+      ).height;
+      const corner = ellipsoid.cartographicToCartesian(cartographic);
+      this._addPolyline([lower, corner, upper], ArcType.NONE);
+      this._addLabel(
+        Cartesian3.midpoint(lower, corner, new Cartesian3()),
+        formatDistance(Math.abs(result.height))
+      );
+    }
+    this.result = formatDistance(result.height);
+  } else if (mode === MeasureMode.ANGLE) {
+    result.azimuth = 0.0;
+    result.elevation = 0.0;
+    if (positions.length > 1) {
+      const angles = MeasureViewModel.computeAzimuthElevation(
+        positions[0],
+        positions[1],
+        ellipsoid
+      );
+      result.azimuth = angles.azimuth;
+      result.elevation = angles.elevation;
+      this._addPolyline(positions, ArcType.NONE);
+    }
+    this.result = `${formatAngle(result.azimuth)} / ${formatAngle(
+      result.elevation
+    )}`;
+    if (positions.length > 1) {
+      this._addLabel(positions[1], this.result);
+    }
+  }
+
+  this._scene.requestRender();
+  return result;
+};
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+MeasureViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the view model, removing the measurements from the scene.
+ */
+MeasureViewModel.prototype.destroy = function () {
+  this._handler.destroy();
+  this._scene.primitives.remove(this._primitives);
+  destroyObject(this);
+};
+
+/**
+ * Computes the length of a path.
+ *
+ * @param {Cartesian3[]} positions The vertices of the path.
+ * @param {ArcType} [arcType=ArcType.GEODESIC] The type of line between the vertices.  The distance along geodesic and
+ * rhumb lines is measured on the surface of the ellipsoid, and the distance along straight lines between the positions.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid on which to measure.
+ * @returns {Number} The length of the path in meters.
+ */
+MeasureViewModel.computeDistance = function (positions, arcType, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("positions", positions);
+  //>>includeEnd('debug');
+
+  arcType = defaultValue(arcType, ArcType.GEODESIC);
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+
+  let distance = 0.0;
+  for (let i = 1; i < positions.length; ++i) {
+    distance += getSurfaceDistance(
+      positions[i - 1],
+      positions[i],
+      arcType,
+      ellipsoid
+    );
+  }
+  return distance;
+};
+
+/**
+ * Computes the surface area of a polygon draped on terrain.  The polygon is triangulated and each triangle is
+ * subdivided into smaller triangles whose vertices are raised to the height of the terrain.
+ *
+ * @param {Cartesian3[]} positions The vertices of the polygon.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Globe} [options.globe] The globe from which to sample terrain heights.  When undefined, or where the terrain is not loaded, the heights are interpolated between the vertices.
+ * @param {Number} [options.granularity=100.0] The distance in meters between the sampled terrain heights.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which to measure.
+ * @returns {Number} The surface area in square meters.
+ */
+MeasureViewModel.computeArea = function (positions, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("positions", positions);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const granularity = defaultValue(options.granularity, 100.0);
+
+  if (positions.length < 3) {
+    return 0.0;
+  }
+
+  const tangentPlane = EllipsoidTangentPlane.fromPoints(positions, ellipsoid);
+  const positions2D = tangentPlane.projectPointsOntoPlane(positions);
+  const indices = PolygonPipeline.triangulate(positions2D);
+
+  let area = 0.0;
+  for (let i = 0; i < indices.length; i += 3) {
+    area += getTriangleSurfaceArea(
+      positions[indices[i]],
+      positions[indices[i + 1]],
+      positions[indices[i + 2]],
+      options.globe,
+      granularity,
+      ellipsoid
+    );
+  }
+  return area;
+};
+
+/**
+ * Computes the vertical height from one position to another, which is the difference of their heights above the ellipsoid.
+ *
+ * @param {Cartesian3} start The position from which to measure.
+ * @param {Cartesian3} end The position to which to measure.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid above which heights are measured.
+ * @returns {Number} The height in meters, which is negative when the end is below the start.
+ */
+MeasureViewModel.computeHeight = function (start, end, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("start", start);
+  Check.defined("end", end);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const startCartographic = ellipsoid.cartesianToCartographic(
+    start,
+    scratchStartCartographic
+  );
+  const endCartographic = ellipsoid.cartesianToCartographic(
+    end,
+    scratchEndCartographic
+  );
+  return endCartographic.height - startCartographic.height;
+};
+
+/**
+ * Computes the azimuth and elevation angles of the direction from one position to another, in the
+ * east-north-up frame of the start.
+ *
+ * @param {Cartesian3} start The position from which to measure.
+ * @param {Cartesian3} end The position to which to measure.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid that defines the east-north-up frame.
+ * @returns {Object} An object with an <code>azimuth</code>, the angle in radians in the range [0, 2π) clockwise from north,
+ * and an <code>elevation</code>, the angle in radians in the range [-π/2, π/2] above the horizontal plane.
+ */
+MeasureViewModel.computeAzimuthElevation = function (start, end, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("start", start);
+  Check.defined("end", end);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const eastNorthUp = Transforms.eastNorthUpToFixedFrame(
+    start,
+    ellipsoid,
+    scratchEastNorthUp
+  );
+  const inverse = Matrix4.inverseTransformation(eastNorthUp, eastNorthUp);
+  const offset = Matrix4.multiplyByPoint(inverse, end, scratchOffset);
+
+  return {
+    azimuth: CesiumMath.zeroToTwoPi(Math.atan2(offset.x, offset.y)),
+    elevation: Math.atan2(
+      offset.z,
+      Math.sqrt(offset.x * offset.x + offset.y * offset.y)
+    ),
+  };
+};
+
+/**
+ * A finished measurement.
+ * @typedef {Object} MeasureViewModel.Measurement
+ * @property {MeasureMode} mode The kind of measurement.
+ * @property {Cartesian3[]} positions The measured positions.
+ * @property {Number} [distance] The length of the path in meters, for {@link MeasureMode.DISTANCE}.
+ * @property {Number} [area] The surface area in square meters, for {@link MeasureMode.AREA}.
+ * @property {Number} [height] The vertical height from the first position to the second in meters, for {@link MeasureMode.HEIGHT}.
+ * @property {Number} [azimuth] The azimuth from the first position to the second in radians, for {@link MeasureMode.ANGLE}.
+ * @property {Number} [elevation] The elevation from the first position to the second in radians, for {@link MeasureMode.ANGLE}.
+ */
+export default MeasureViewModel;
@@ -0,0 +1,133 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import MousePositionViewModel from "./MousePositionViewModel.js";
+
+/**
+ * A status bar widget that shows the coordinates and height of the position under the mouse, on terrain or
+ * 3D Tiles, and the height of the camera.  The coordinates can be shown in decimal degrees, degrees, minutes
+ * and seconds, MGRS or UTM, and are copied to the clipboard with a click.
+ *
+ * @alias MousePosition
+ * @constructor
+ *
+ * @param {Element|String} container The DOM element or ID that will contain the widget.
+ * @param {Scene} scene The scene in which to track the mouse.
+ * @param {Object} [options] The options of the {@link MousePositionViewModel}.
+ *
+ * @example
+ * // In HTML head, include a link to the MousePosition.css stylesheet,
+ * // and in the body, include: <div id="mousePositionContainer"></div>
+ *
+ * const mousePosition = new Cesium.MousePosition('mousePositionContainer', viewer.scene, {
+ *   format: Cesium.MousePositionFormat.MGRS
+ * });
+ */
+function MousePosition(container, scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(container)) {
+    throw new DeveloperError("container is required.");
+  }
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  container = getElement(container);
+
+  const viewModel = new MousePositionViewModel(scene, options);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "cesium-mousePosition";
+  container.appendChild(wrapper);
+
+  const select = document.createElement("select");
+  select.className = "cesium-mousePosition-format";
+  select.setAttribute(
+    "data-bind",
+    "options: _formats, optionsText: 'name', optionsValue: 'value', value: format"
+  );
+  wrapper.appendChild(select);
+
+  const coordinates = document.createElement("span");
+  coordinates.className = "cesium-mousePosition-coordinates";
+  coordinates.setAttribute(
+    "data-bind",
+    '\
+text: coordinates,\
+click: copy,\
+attr: { title: copied ? tooltipCopied : tooltipCopy },\
+css: { "cesium-mousePosition-copied" : copied }'
+  );
+  wrapper.appendChild(coordinates);
+
+  function addValue(className, label, binding) {
+    const span = document.createElement("span");
+    span.className = className;
+    span.setAttribute("data-bind", `visible: ${binding}`);
+    span.appendChild(document.createTextNode(`${label} `));
+    const value = document.createElement("span");
+    value.setAttribute("data-bind", `text: ${binding}`);
+    span.appendChild(value);
+    wrapper.appendChild(span);
+  }
+
+  addValue("cesium-mousePosition-height", "Height", "height");
+  addValue("cesium-mousePosition-camera", "Camera", "cameraAltitude");
+
+  knockout.applyBindings(viewModel, wrapper);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._wrapper = wrapper;
+}
+
+Object.defineProperties(MousePosition.prototype, {
+  /**
+   * Gets the parent container.
+   * @memberof MousePosition.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * Gets the view model.
+   * @memberof MousePosition.prototype
+   *
+   * @type {MousePositionViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+MousePosition.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the widget.  Should be called if permanently
+ * removing the widget from layout.
+ */
+MousePosition.prototype.destroy = function () {
+  this._viewModel.destroy();
+  knockout.cleanNode(this._wrapper);
+  this._container.removeChild(this._wrapper);
+
+  return destroyObject(this);
+};
+export default MousePosition;
@@ -0,0 +1,35 @@
+/**
+ * The formats of the coordinates shown by a {@link MousePosition} widget.
+ *
+ * @enum {Number}
+ */
+const MousePositionFormat = {
+  /**
+   * Latitude and longitude in decimal degrees, such as <code>40.446111°N 79.982222°W</code>.
+   * @type {Number}
+   * @constant
+   */
+  DECIMAL_DEGREES: 0,
+
+  /**
+   * Latitude and longitude in degrees, minutes and seconds, such as <code>40°26'46.0"N 79°58'56.0"W</code>.
+   * @type {Number}
+   * @constant
+   */
+  DEGREES_MINUTES_SECONDS: 1,
+
+  /**
+   * A 1 m Military Grid Reference System reference, such as <code>17T NE 89178 79562</code>.
+   * @type {Number}
+   * @constant
+   */
+  MGRS: 2,
+
+  /**
+   * UTM or UPS coordinates in meters, such as <code>17T 589178 4479562</code>.
+   * @type {Number}
+   * @constant
+   */
+  UTM: 3,
+};
+export default Object.freeze(MousePositionFormat);
@@ -0,0 +1,350 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  defaultValue,
+  defined,
+  destroyObject,
+  DeveloperError,
+  Ellipsoid,
+  Math as CesiumMath,
+  Mgrs,
+  Ray,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  UtmCoordinate,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+import MousePositionFormat from "./MousePositionFormat.js";
+
+const scratchCartographic = new Cartographic();
+const scratchPosition = new Cartesian3();
+const scratchRay = new Ray();
+
+function formatDecimalDegrees(degrees, positive, negative) {
+  return `${Math.abs(degrees).toFixed(6)}°${
+    degrees < 0.0 ? negative : positive
+  }`;
+}
+
+function formatDegreesMinutesSeconds(degrees, positive, negative) {
+  // Round to tenths of a second before splitting so that 59.95" carries into the minutes
+  const tenths = Math.round(Math.abs(degrees) * 36000.0);
+  const wholeDegrees = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const seconds = (tenths % 600) / 10.0;
+  return `${wholeDegrees}°${minutes}'${seconds.toFixed(1)}"${
+    degrees < 0.0 ? negative : positive
+  }`;
+}
+
+function formatCoordinates(cartographic, format, ellipsoid) {
+  if (format === MousePositionFormat.MGRS) {
+    return Mgrs.fromCartographic(cartographic, {
+      separator: " ",
+      ellipsoid: ellipsoid,
+    });
+  }
+  if (format === MousePositionFormat.UTM) {
+    return UtmCoordinate.fromCartographic(cartographic, {
+      ellipsoid: ellipsoid,
+    }).toString();
+  }
+
+  const formatAngle =
+    format === MousePositionFormat.DEGREES_MINUTES_SECONDS
+      ? formatDegreesMinutesSeconds
+      : formatDecimalDegrees;
+  return `${formatAngle(
+    CesiumMath.toDegrees(cartographic.latitude),
+    "N",
+    "S"
+  )} ${formatAngle(CesiumMath.toDegrees(cartographic.longitude), "E", "W")}`;
+}
+
+function formatHeight(meters) {
+  if (Math.abs(meters) >= 10000.0) {
+    return `${(meters / 1000.0).toFixed(2)} km`;
+  }
+  return `${meters.toFixed(1)} m`;
+}
+
+function pickPosition(scene, windowPosition, ellipsoid) {
+  let position;
+  if (scene.pickPositionSupported) {
+    position = scene.pickPosition(windowPosition, scratchPosition);
+  }
+  if (!defined(position) && defined(scene.globe)) {
+    const ray = scene.camera.getPickRay(windowPosition, scratchRay);
+    if (defined(ray)) {
+      position = scene.globe.pick(ray, scene, scratchPosition);
+    }
+  }
+  if (!defined(position)) {
+    position = scene.camera.pickEllipsoid(
+      windowPosition,
+      ellipsoid,
+      scratchPosition
+    );
+  }
+  return Cartesian3.clone(position);
+}
+
+/**
+ * The view model for {@link MousePosition}.
+ * @alias MousePositionViewModel
+ * @constructor
+ *
+ * @param {Scene} scene The scene in which to track the mouse.
+ * @param {Object} [options] Object with the following properties:
+ * @param {MousePositionFormat} [options.format=MousePositionFormat.DECIMAL_DEGREES] The initial format of the coordinates.
+ */
+function MousePositionViewModel(scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._scene = scene;
+  this._ellipsoid = defined(scene.globe)
+    ? scene.globe.ellipsoid
+    : Ellipsoid.WGS84;
+  this._windowPosition = new Cartesian2();
+  this._hasWindowPosition = false;
+  this._pickPending = false;
+
+  /**
+   * Gets or sets the format of the coordinates.  This property is observable.
+   * @type {MousePositionFormat}
+   * @default MousePositionFormat.DECIMAL_DEGREES
+   */
+  this.format = defaultValue(
+    options.format,
+    MousePositionFormat.DECIMAL_DEGREES
+  );
+
+  /**
+   * Gets or sets the position under the mouse, on terrain, 3D Tiles or other primitives that write depth,
+   * or undefined if the mouse is not over the globe.  This property is observable.
+   * @type {Cartesian3|undefined}
+   */
+  this.position = undefined;
+
+  /**
+   * Gets the height of the camera above the ellipsoid, in meters.  This property is observable.
+   * @type {Number|undefined}
+   */
+  this.cameraHeight = undefined;
+
+  /**
+   * Gets whether the coordinates of the current position have been copied to the clipboard.  This property is observable.
+   * @type {Boolean}
+   * @default false
+   */
+  this.copied = false;
+
+  /**
+   * Gets the formatted coordinates of the position, or an empty string without a position.  This property is observable.
+   * @type {String}
+   */
+  this.coordinates = undefined;
+
+  /**
+   * Gets the formatted height of the position above the ellipsoid, or an empty string without a position.
+   * This property is observable.
+   * @type {String}
+   */
+  this.height = undefined;
+
+  /**
+   * Gets the formatted height of the camera above the ellipsoid.  This property is observable.
+   * @type {String}
+   */
+  this.cameraAltitude = undefined;
+
+  /**
+   * Gets or sets the tooltip of the coordinates.  This property is observable.
+   * @type {String}
+   * @default "Click to copy"
+   */
+  this.tooltipCopy = "Click to copy";
+
+  /**
+   * Gets or sets the tooltip of the coordinates after they have been copied.  This property is observable.
+   * @type {String}
+   * @default "Copied"
+   */
+  this.tooltipCopied = "Copied";
+
+  this._formats = [
+    {
+      name: "Degrees",
+      value: MousePositionFormat.DECIMAL_DEGREES,
+    },
+    {
+      name: "DMS",
+      value: MousePositionFormat.DEGREES_MINUTES_SECONDS,
+    },
+    {
+      name: "MGRS",
+      value: MousePositionFormat.MGRS,
+    },
+    {
+      name: "UTM",
+      value: MousePositionFormat.UTM,
+    },
+  ];
+
+  knockout.track(this, [
+    "format",
+    "position",
+    "cameraHeight",
+    "copied",
+    "tooltipCopy",
+    "tooltipCopied",
+  ]);
+
+  const that = this;
+  function getCartographic() {
+    if (!defined(that.position)) {
+      return undefined;
+    }
+    return that._ellipsoid.cartesianToCartographic(
+      that.position,
+      scratchCartographic
+    );
+  }
+
+  knockout.defineProperty(this, "coordinates", function () {
+    const cartographic = getCartographic();
+    if (!defined(cartographic)) {
+      return "";
+    }
+    return formatCoordinates(cartographic, that.format, that._ellipsoid);
+  });
+
+  knockout.defineProperty(this, "height", function () {
+    const cartographic = getCartographic();
+    return defined(cartographic) ? formatHeight(cartographic.height) : "";
+  });
+
+  knockout.defineProperty(this, "cameraAltitude", function () {
+    return defined(that.cameraHeight) ? formatHeight(that.cameraHeight) : "";
+  });
+
+  knockout.getObservable(this, "position").subscribe(function () {
+    that.copied = false;
+  });
+
+  this._copy = createCommand(function () {
+    const text = that.coordinates;
+    if (text.length === 0 || !defined(navigator.clipboard)) {
+      return Promise.resolve();
+    }
+    // Writing fails if the document is not focused or permission is denied
+    return navigator.clipboard
+      .writeText(text)
+      .then(function () {
+        that.copied = true;
+      })
+      .catch(function () {
+        that.copied = false;
+      });
+  });
+
+  const canvas = scene.canvas;
+  this._handler = new ScreenSpaceEventHandler(canvas);
+  this._handler.setInputAction(function (movement) {
+    Cartesian2.clone(movement.endPosition, that._windowPosition);
+    that._hasWindowPosition = true;
+    that._pickPending = true;
+    scene.requestRender();
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+
+  this._onMouseLeave = function () {
+    that._hasWindowPosition = false;
+    that._pickPending = false;
+    that.position = undefined;
+  };
+  canvas.addEventListener("mouseleave", this._onMouseLeave, false);
+
+  // The position under a still mouse changes as the camera moves
+  this._removeMoveEndListener = scene.camera.moveEnd.addEventListener(
+    function () {
+      that._pickPending = that._hasWindowPosition;
+    }
+  );
+
+  // Positions are picked after rendering so that the depth buffer is current
+  this._removePostRenderListener = scene.postRender.addEventListener(
+    function () {
+      that._update();
+    }
+  );
+}
+
+Object.defineProperties(MousePositionViewModel.prototype, {
+  /**
+   * Gets the scene in which the mouse is tracked.
+   * @memberof MousePositionViewModel.prototype
+   * @type {Scene}
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the command that copies the coordinates to the clipboard.
+   * @memberof MousePositionViewModel.prototype
+   * @type {Command}
+   */
+  copy: {
+    get: function () {
+      return this._copy;
+    },
+  },
+});
+
+/**
+ * Updates the camera height and picks the position under the mouse if it has moved.
+ *
+ * @private
+ */
+MousePositionViewModel.prototype._update = function () {
+  const scene = this._scene;
+  this.cameraHeight = scene.camera.positionCartographic.height;
+
+  if (this._pickPending) {
+    this._pickPending = false;
+    this.position = pickPosition(scene, this._windowPosition, this._ellipsoid);
+  }
+};
+
+/**
+ * @returns {Boolean} true if the object has been destroyed, false otherwise.
+ */
+MousePositionViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the view model.
+ */
+MousePositionViewModel.prototype.destroy = function () {
+  this._handler.destroy();
+  this._scene.canvas.removeEventListener(
+    "mouseleave",
+    this._onMouseLeave,
+    false
+  );
+  this._removeMoveEndListener();
+  this._removePostRenderListener();
+  return destroyObject(this);
+};
+export default MousePositionViewModel;
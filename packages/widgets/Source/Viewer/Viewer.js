@@ -41,6 +41,7 @@ import FullscreenButton from "../FullscreenButton/FullscreenButton.js";
 import Geocoder from "../Geocoder/Geocoder.js";
 import HomeButton from "../HomeButton/HomeButton.js";
 import InfoBox from "../InfoBox/InfoBox.js";
+import MousePosition from "../MousePosition/MousePosition.js";
 import NavigationHelpButton from "../NavigationHelpButton/NavigationHelpButton.js";
 import ProjectionPicker from "../ProjectionPicker/ProjectionPicker.js";
 import SceneModePicker from "../SceneModePicker/SceneModePicker.js";
@@ -240,6 +241,7 @@ function enableVRUI(viewer, enabled) {
   const fullscreenButton = viewer._fullscreenButton;
   const infoBox = viewer._infoBox;
   const selectionIndicator = viewer._selectionIndicator;
+  const mousePosition = viewer._mousePosition;
 
   const visibility = enabled ? "hidden" : "visible";
 
@@ -276,6 +278,9 @@ function enableVRUI(viewer, enabled) {
   if (defined(selectionIndicator)) {
     selectionIndicator.container.style.visibility = visibility;
   }
+  if (defined(mousePosition)) {
+    mousePosition.container.style.visibility = visibility;
+  }
 
   if (viewer._container) {
     const right =
@@ -297,6 +302,7 @@ function enableVRUI(viewer, enabled) {
  * @property {Boolean} [baseLayerPicker=true] If set to false, the BaseLayerPicker widget will not be created.
  * @property {Boolean} [fullscreenButton=true] If set to false, the FullscreenButton widget will not be created.
  * @property {Boolean} [vrButton=false] If set to true, the VRButton widget will be created.
+ * @property {Boolean} [mousePosition=false] If set to true, the MousePosition widget will be created.
  * @property {Boolean|GeocoderService[]} [geocoder=true] If set to false, the Geocoder widget will not be created.
  * @property {Boolean} [homeButton=true] If set to false, the HomeButton widget will not be created.
  * @property {Boolean} [infoBox=true] If set to false, the InfoBox widget will not be created.
@@ -807,6 +813,15 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
     );
   }
 
+  // Mouse position
+  let mousePosition;
+  if (options.mousePosition === true) {
+    const mousePositionContainer = document.createElement("div");
+    mousePositionContainer.className = "cesium-viewer-mousePositionContainer";
+    viewerContainer.appendChild(mousePositionContainer);
+    mousePosition = new MousePosition(mousePositionContainer, scene);
+  }
+
   //Assign all properties to this instance.  No "this" assignments should
   //take place above this line.
   this._baseLayerPickerDropDown = baseLayerPickerDropDown;
@@ -839,6 +854,7 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   this._timeline = timeline;
   this._fullscreenButton = fullscreenButton;
   this._vrButton = vrButton;
+  this._mousePosition = mousePosition;
   this._geocoder = geocoder;
   this._eventHelper = eventHelper;
   this._lastWidth = 0;
@@ -1113,6 +1129,18 @@ Object.defineProperties(Viewer.prototype, {
     },
   },
 
+  /**
+   * Gets the MousePosition.
+   * @memberof Viewer.prototype
+   * @type {MousePosition}
+   * @readonly
+   */
+  mousePosition: {
+    get: function () {
+      return this._mousePosition;
+    },
+  },
+
   /**
    * Gets the display used for {@link DataSource} visualization.
    * @memberof Viewer.prototype
@@ -1642,6 +1670,22 @@ Viewer.prototype.resize = function () {
     timeline.resize();
   }
 
+  if (defined(this._mousePosition)) {
+    // Above the timeline, or beside the fullscreen and VR buttons at the bottom without it
+    const mousePositionStyle = this._mousePosition.container.style;
+    let right = 0;
+    if (creditBottom === 0) {
+      if (defined(this._fullscreenButton)) {
+        right += this._fullscreenButton.container.clientWidth;
+      }
+      if (defined(this._vrButton)) {
+        right += this._vrButton.container.clientWidth;
+      }
+    }
+    mousePositionStyle.bottom = `${creditBottom}px`;
+    mousePositionStyle.right = `${right}px`;
+  }
+
   this._bottomContainer.style.left = `${creditLeft}px`;
   this._bottomContainer.style.bottom = `${creditBottom}px`;
 
@@ -1748,6 +1792,11 @@ Viewer.prototype.destroy = function () {
     this._vrButton = this._vrButton.destroy();
   }
 
+  if (defined(this._mousePosition)) {
+    this._element.removeChild(this._mousePosition.container);
+    this._mousePosition = this._mousePosition.destroy();
+  }
+
   if (defined(this._infoBox)) {
     this._element.removeChild(this._infoBox.container);
     this._infoBox = this._infoBox.destroy();
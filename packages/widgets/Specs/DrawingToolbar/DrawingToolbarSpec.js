@@ -0,0 +1,94 @@
+import { DrawingManager, DrawingMode, EntityCollection } from "@cesium/engine";
+
+import { DrawingToolbar } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/DrawingToolbar/DrawingToolbar",
+  function () {
+    let scene;
+    let drawingManager;
+    let container;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      drawingManager = new DrawingManager({
+        scene: scene,
+        entities: new EntityCollection(),
+      });
+      container = document.createElement("div");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      drawingManager.destroy();
+      document.body.removeChild(container);
+    });
+
+    it("can create and destroy", function () {
+      const widget = new DrawingToolbar("testContainer", drawingManager);
+      expect(widget.container).toBe(container);
+      expect(widget.viewModel.drawingManager).toBe(drawingManager);
+      expect(container.querySelectorAll("button").length).toEqual(8);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.childNodes.length).toEqual(0);
+      expect(drawingManager.isDestroyed()).toEqual(false);
+    });
+
+    it("highlights the button of the shape being drawn", function () {
+      const widget = new DrawingToolbar(container, drawingManager);
+      const buttons = container.querySelectorAll("button");
+
+      buttons[1].click();
+      expect(drawingManager.mode).toEqual(DrawingMode.POLYLINE);
+      expect(
+        buttons[1].classList.contains("cesium-drawingToolbar-selected")
+      ).toBe(true);
+      expect(
+        buttons[0].classList.contains("cesium-drawingToolbar-selected")
+      ).toBe(false);
+
+      buttons[1].click();
+      expect(drawingManager.mode).toBeUndefined();
+      expect(
+        buttons[1].classList.contains("cesium-drawingToolbar-selected")
+      ).toBe(false);
+
+      widget.destroy();
+    });
+
+    it("disables the undo, redo and delete buttons", function () {
+      const widget = new DrawingToolbar(container, drawingManager);
+      const buttons = container.querySelectorAll("button");
+      expect(buttons[5].disabled).toBe(true);
+      expect(buttons[6].disabled).toBe(true);
+      expect(buttons[7].disabled).toBe(true);
+      widget.destroy();
+    });
+
+    it("throws if container is undefined", function () {
+      expect(function () {
+        return new DrawingToolbar(undefined, drawingManager);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if drawingManager is undefined", function () {
+      expect(function () {
+        return new DrawingToolbar(container, undefined);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
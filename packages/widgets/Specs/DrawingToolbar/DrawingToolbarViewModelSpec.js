@@ -0,0 +1,103 @@
+import {
+  Cartesian3,
+  DrawingManager,
+  DrawingMode,
+  EntityCollection,
+} from "@cesium/engine";
+
+import { DrawingToolbarViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/DrawingToolbar/DrawingToolbarViewModel",
+  function () {
+    let scene;
+    let drawingManager;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      drawingManager = new DrawingManager({
+        scene: scene,
+        entities: new EntityCollection(),
+      });
+    });
+
+    afterEach(function () {
+      drawingManager.destroy();
+    });
+
+    it("throws if drawingManager is undefined", function () {
+      expect(function () {
+        return new DrawingToolbarViewModel(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("can construct and destroy", function () {
+      const viewModel = new DrawingToolbarViewModel(drawingManager);
+      expect(viewModel.drawingManager).toBe(drawingManager);
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.isEditing).toBe(false);
+      expect(viewModel.undo.canExecute).toBe(false);
+      expect(viewModel.redo.canExecute).toBe(false);
+      expect(viewModel.deleteEntity.canExecute).toBe(false);
+      expect(drawingManager.stateChangedEvent.numberOfListeners).toEqual(1);
+
+      viewModel.destroy();
+      expect(viewModel.isDestroyed()).toBe(true);
+      expect(drawingManager.stateChangedEvent.numberOfListeners).toEqual(0);
+    });
+
+    it("draw commands start and cancel drawing", function () {
+      const viewModel = new DrawingToolbarViewModel(drawingManager);
+
+      viewModel.drawPolygon();
+      expect(drawingManager.mode).toEqual(DrawingMode.POLYGON);
+      expect(viewModel.mode).toEqual(DrawingMode.POLYGON);
+
+      viewModel.drawCircle();
+      expect(viewModel.mode).toEqual(DrawingMode.CIRCLE);
+
+      viewModel.drawCircle();
+      expect(drawingManager.mode).toBeUndefined();
+      expect(viewModel.mode).toBeUndefined();
+
+      viewModel.destroy();
+    });
+
+    it("undo, redo and delete commands follow the drawing manager", function () {
+      const viewModel = new DrawingToolbarViewModel(drawingManager);
+      const entity = drawingManager.entities.add({
+        position: Cartesian3.fromDegrees(0.0, 0.0),
+        point: {},
+      });
+
+      drawingManager.edit(entity);
+      expect(viewModel.isEditing).toBe(true);
+      expect(viewModel.deleteEntity.canExecute).toBe(true);
+
+      viewModel.deleteEntity();
+      expect(drawingManager.entities.contains(entity)).toBe(false);
+      expect(viewModel.isEditing).toBe(false);
+      expect(viewModel.undo.canExecute).toBe(true);
+
+      viewModel.undo();
+      expect(drawingManager.entities.contains(entity)).toBe(true);
+      expect(viewModel.undo.canExecute).toBe(false);
+      expect(viewModel.redo.canExecute).toBe(true);
+
+      viewModel.redo();
+      expect(drawingManager.entities.contains(entity)).toBe(false);
+
+      viewModel.destroy();
+    });
+  },
+  "WebGL"
+);
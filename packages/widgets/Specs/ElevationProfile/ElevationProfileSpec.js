@@ -0,0 +1,82 @@
+import { Cartographic } from "@cesium/engine";
+
+import { ElevationProfile } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/ElevationProfile/ElevationProfile",
+  function () {
+    let scene;
+    let container;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      container = document.createElement("div");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      document.body.removeChild(container);
+    });
+
+    it("can create and destroy", function () {
+      const length = scene.primitives.length;
+      const widget = new ElevationProfile("testContainer", scene);
+      expect(widget.container).toBe(container);
+      expect(widget.viewModel.scene).toBe(scene);
+      expect(container.querySelectorAll("path").length).toEqual(2);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.childNodes.length).toEqual(0);
+      expect(scene.primitives.length).toEqual(length);
+    });
+
+    it("is only visible with a profile", function () {
+      const widget = new ElevationProfile(container, scene);
+      const wrapper = container.firstChild;
+      expect(wrapper.style.display).toEqual("none");
+
+      widget.viewModel.samples = [0.0, 100.0].map(function (distance) {
+        const cartographic = Cartographic.fromDegrees(distance * 0.00001, 0.0);
+        return {
+          distance: distance,
+          height: distance,
+          cartographic: cartographic,
+          position: Cartographic.toCartesian(cartographic),
+        };
+      });
+      expect(wrapper.style.display).not.toEqual("none");
+      expect(
+        container
+          .querySelector(".cesium-elevationProfile-line")
+          .getAttribute("d")
+      ).toEqual(widget.viewModel._linePath);
+
+      widget.destroy();
+    });
+
+    it("throws if container is undefined", function () {
+      expect(function () {
+        return new ElevationProfile(undefined, scene);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new ElevationProfile(container, undefined);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
@@ -0,0 +1,181 @@
+import { ArcType, Cartesian3, Cartographic } from "@cesium/engine";
+
+import { ElevationProfileViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/ElevationProfile/ElevationProfileViewModel",
+  function () {
+    let scene;
+    let viewModel;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      viewModel = new ElevationProfileViewModel(scene, {
+        spacing: 100.0,
+      });
+    });
+
+    afterEach(function () {
+      if (!viewModel.isDestroyed()) {
+        viewModel.destroy();
+      }
+    });
+
+    function createSamples(heights) {
+      return heights.map(function (height, index) {
+        const cartographic = Cartographic.fromDegrees(
+          index * 0.001,
+          0.0,
+          height
+        );
+        return {
+          distance: index * 100.0,
+          height: height,
+          cartographic: cartographic,
+          position: Cartographic.toCartesian(cartographic),
+        };
+      });
+    }
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new ElevationProfileViewModel(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("can construct and destroy", function () {
+      const length = scene.primitives.length;
+      const profile = new ElevationProfileViewModel(scene);
+      expect(profile.scene).toBe(scene);
+      expect(profile.spacing).toEqual(10.0);
+      expect(profile.arcType).toEqual(ArcType.GEODESIC);
+      expect(profile.samples.length).toEqual(0);
+      expect(profile.length).toEqual(0.0);
+      expect(profile.description).toEqual("");
+      expect(scene.primitives.length).toEqual(length + 1);
+
+      profile.destroy();
+      expect(profile.isDestroyed()).toBe(true);
+      expect(scene.primitives.length).toEqual(length);
+    });
+
+    it("computes the profile", function () {
+      const samples = createSamples([10.0, 30.0, 20.0]);
+      spyOn(
+        ElevationProfileViewModel,
+        "_sampleElevationProfile"
+      ).and.returnValue(Promise.resolve(samples));
+      const positions = Cartesian3.fromDegreesArray([0.0, 0.0, 0.002, 0.0]);
+
+      const promise = viewModel.computeProfile(positions);
+      expect(viewModel.isLoading).toBe(true);
+      expect(viewModel.description).toEqual("Loading...");
+      expect(
+        ElevationProfileViewModel._sampleElevationProfile
+      ).toHaveBeenCalledWith({
+        positions: positions,
+        scene: scene,
+        spacing: 100.0,
+        arcType: ArcType.GEODESIC,
+      });
+
+      return promise.then(function (result) {
+        expect(result).toBe(samples);
+        expect(viewModel.isLoading).toBe(false);
+        expect(viewModel.samples).toBe(samples);
+        expect(viewModel.length).toEqual(200.0);
+        expect(viewModel.minimumHeight).toEqual(10.0);
+        expect(viewModel.maximumHeight).toEqual(30.0);
+        expect(viewModel.description).toEqual("Length: 200.00 m");
+        expect(viewModel._linePath).toEqual("M0,142.5 L200,7.5 L400,75");
+        expect(viewModel._areaPath).toEqual(
+          "M0,150 L0,142.5 L200,7.5 L400,75 L400,150 Z"
+        );
+      });
+    });
+
+    it("ignores profiles that were replaced", function () {
+      const first = createSamples([10.0, 20.0]);
+      const second = createSamples([30.0, 40.0]);
+      let resolveFirst;
+      spyOn(
+        ElevationProfileViewModel,
+        "_sampleElevationProfile"
+      ).and.returnValues(
+        new Promise(function (resolve) {
+          resolveFirst = resolve;
+        }),
+        Promise.resolve(second)
+      );
+
+      const firstPromise = viewModel.computeProfile([]);
+      return viewModel
+        .computeProfile([])
+        .then(function () {
+          resolveFirst(first);
+          return firstPromise;
+        })
+        .then(function (result) {
+          expect(result).toBeUndefined();
+          expect(viewModel.samples).toBe(second);
+        });
+    });
+
+    it("breaks the chart where heights are missing", function () {
+      viewModel.samples = createSamples([
+        10.0,
+        undefined,
+        20.0,
+        10.0,
+        undefined,
+      ]);
+      expect(viewModel._linePath).toEqual("M0,142.5 M200,7.5 L300,142.5");
+      expect(viewModel._areaPath).toEqual(
+        "M0,150 L0,142.5 L0,150 Z M200,150 L200,7.5 L300,142.5 L300,150 Z"
+      );
+    });
+
+    it("highlights the closest sample", function () {
+      const samples = createSamples([10.0, 30.0, 20.0]);
+      viewModel.samples = samples;
+
+      viewModel.highlightDistance(140.0);
+      expect(viewModel.highlightedSample).toBe(samples[1]);
+      expect(viewModel._highlightX).toEqual(200.0);
+      expect(viewModel._point.show).toBe(true);
+      expect(viewModel._point.position).toEqual(samples[1].position);
+      expect(viewModel.description).toEqual("100.00 m: 30.00 m");
+
+      viewModel.highlightDistance(160.0);
+      expect(viewModel.highlightedSample).toBe(samples[2]);
+      viewModel.highlightDistance(-10.0);
+      expect(viewModel.highlightedSample).toBe(samples[0]);
+      viewModel.highlightDistance(1000.0);
+      expect(viewModel.highlightedSample).toBe(samples[2]);
+
+      viewModel.clearHighlight();
+      expect(viewModel.highlightedSample).toBeUndefined();
+      expect(viewModel._point.show).toBe(false);
+    });
+
+    it("clears the profile", function () {
+      viewModel.samples = createSamples([10.0, 30.0]);
+      viewModel.highlightDistance(0.0);
+
+      viewModel.clear();
+      expect(viewModel.samples.length).toEqual(0);
+      expect(viewModel.highlightedSample).toBeUndefined();
+      expect(viewModel.description).toEqual("");
+    });
+  },
+  "WebGL"
+);
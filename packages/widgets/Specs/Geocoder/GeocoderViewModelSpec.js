@@ -276,6 +276,72 @@ describe(
       });
     });
 
+    it("shows a marker at a result with a position", function () {
+      const position = Cartesian3.fromDegrees(1.0, 2.0);
+      const positionGeocoder = {
+        geocode: function (input) {
+          return Promise.resolve([
+            {
+              displayName: "point",
+              destination: position,
+              position: position,
+            },
+          ]);
+        },
+      };
+
+      let destinationFoundCallback;
+      const promise = new Promise((resolve) => {
+        destinationFoundCallback = jasmine.createSpy().and.callFake(resolve);
+      });
+      const geocoder = new GeocoderViewModel({
+        scene: scene,
+        geocoderServices: [positionGeocoder],
+        destinationFound: destinationFoundCallback,
+      });
+      geocoder._searchText = "point";
+      geocoder.search();
+      return promise.then(function () {
+        const markers = geocoder._markers;
+        expect(scene.primitives.contains(markers)).toBe(true);
+        expect(markers.length).toEqual(1);
+        expect(markers.get(0).position).toEqual(position);
+
+        geocoder.destroy();
+        expect(markers.isDestroyed()).toBe(true);
+      });
+    });
+
+    it("does not show a marker if showMarker is false", function () {
+      let destinationFoundCallback;
+      const promise = new Promise((resolve) => {
+        destinationFoundCallback = jasmine.createSpy().and.callFake(resolve);
+      });
+      const geocoder = new GeocoderViewModel({
+        scene: scene,
+        geocoderServices: [
+          {
+            geocode: function (input) {
+              return Promise.resolve([
+                {
+                  displayName: "point",
+                  destination: mockDestination,
+                  position: mockDestination,
+                },
+              ]);
+            },
+          },
+        ],
+        destinationFound: destinationFoundCallback,
+        showMarker: false,
+      });
+      geocoder._searchText = "point";
+      geocoder.search();
+      return promise.then(function () {
+        expect(geocoder._markers).toBeUndefined();
+      });
+    });
+
     it("automatic suggestions can be navigated by arrow up/down keys", function () {
       spyOn(GeocoderViewModel, "_adjustSuggestionsScroll");
       const viewModel = new GeocoderViewModel({
@@ -0,0 +1,98 @@
+import { ArcType } from "@cesium/engine";
+
+import { Measure, MeasureMode } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/Measure/Measure",
+  function () {
+    let scene;
+    let container;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      container = document.createElement("div");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      document.body.removeChild(container);
+    });
+
+    it("can create and destroy", function () {
+      const length = scene.primitives.length;
+      const widget = new Measure("testContainer", scene);
+      expect(widget.container).toBe(container);
+      expect(widget.viewModel.scene).toBe(scene);
+      expect(container.querySelectorAll("button").length).toEqual(6);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.childNodes.length).toEqual(0);
+      expect(scene.primitives.length).toEqual(length);
+    });
+
+    it("highlights the button of the measurement being taken", function () {
+      const widget = new Measure(container, scene);
+      const buttons = container.querySelectorAll("button");
+
+      buttons[1].click();
+      expect(widget.viewModel.mode).toEqual(MeasureMode.AREA);
+      expect(buttons[1].classList.contains("cesium-measure-selected")).toBe(
+        true
+      );
+      expect(buttons[0].classList.contains("cesium-measure-selected")).toBe(
+        false
+      );
+
+      buttons[1].click();
+      expect(widget.viewModel.mode).toBeUndefined();
+      expect(buttons[1].classList.contains("cesium-measure-selected")).toBe(
+        false
+      );
+
+      buttons[4].click();
+      expect(widget.viewModel.arcType).toEqual(ArcType.RHUMB);
+      expect(buttons[4].classList.contains("cesium-measure-selected")).toBe(
+        true
+      );
+
+      widget.destroy();
+    });
+
+    it("displays the result", function () {
+      const widget = new Measure(container, scene);
+      const result = container.querySelector(".cesium-measure-result");
+      expect(result.style.display).toEqual("none");
+
+      widget.viewModel.result = "12.00 m";
+      expect(result.textContent).toEqual("12.00 m");
+      expect(result.style.display).not.toEqual("none");
+
+      widget.destroy();
+    });
+
+    it("throws if container is undefined", function () {
+      expect(function () {
+        return new Measure(undefined, scene);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new Measure(container, undefined);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
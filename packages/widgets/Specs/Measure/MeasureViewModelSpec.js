@@ -0,0 +1,401 @@
+import {
+  ArcType,
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  EllipsoidGeodesic,
+  EllipsoidRhumbLine,
+  Math as CesiumMath,
+  Matrix4,
+  ScreenSpaceEventType,
+  Transforms,
+} from "@cesium/engine";
+
+import { MeasureMode, MeasureViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/Measure/MeasureViewModel",
+  function () {
+    let scene;
+    let viewModel;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      viewModel = new MeasureViewModel(scene);
+
+      // Window positions are picked as positions at the same longitude and latitude in degrees
+      spyOn(viewModel, "pickPosition").and.callFake(function (windowPosition) {
+        return Cartesian3.fromDegrees(windowPosition.x, windowPosition.y);
+      });
+    });
+
+    afterEach(function () {
+      if (!viewModel.isDestroyed()) {
+        viewModel.destroy();
+      }
+    });
+
+    function fire(type, x, y) {
+      const position = new Cartesian2(x, y);
+      viewModel._handler.getInputAction(type)({
+        position: position,
+        endPosition: position,
+      });
+    }
+
+    function click(x, y) {
+      fire(ScreenSpaceEventType.LEFT_CLICK, x, y);
+    }
+
+    function getSurfaceDistance(start, end, line) {
+      line.setEndPoints(
+        Cartographic.fromDegrees(start[0], start[1]),
+        Cartographic.fromDegrees(end[0], end[1])
+      );
+      return line.surfaceDistance;
+    }
+
+    function fromEastNorthUp(origin, offsets) {
+      const eastNorthUp = Transforms.eastNorthUpToFixedFrame(origin);
+      return offsets.map(function (offset) {
+        return Matrix4.multiplyByPoint(
+          eastNorthUp,
+          Cartesian3.fromArray(offset),
+          new Cartesian3()
+        );
+      });
+    }
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new MeasureViewModel(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if arcType is invalid", function () {
+      expect(function () {
+        return new MeasureViewModel(scene, {
+          arcType: 5,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("can construct and destroy", function () {
+      const length = scene.primitives.length;
+      const measure = new MeasureViewModel(scene, {
+        arcType: ArcType.RHUMB,
+      });
+      expect(measure.scene).toBe(scene);
+      expect(measure.arcType).toEqual(ArcType.RHUMB);
+      expect(measure.mode).toBeUndefined();
+      expect(measure.result).toEqual("");
+      expect(scene.primitives.length).toEqual(length + 1);
+
+      measure.destroy();
+      expect(measure.isDestroyed()).toBe(true);
+      expect(scene.primitives.length).toEqual(length);
+    });
+
+    it("computes geodesic, rhumb and straight distances", function () {
+      const positions = Cartesian3.fromDegreesArray([0, 0, 10, 10, 20, 10]);
+      const geodesic = new EllipsoidGeodesic();
+      const rhumbLine = new EllipsoidRhumbLine();
+
+      expect(MeasureViewModel.computeDistance(positions)).toEqualEpsilon(
+        getSurfaceDistance([0, 0], [10, 10], geodesic) +
+          getSurfaceDistance([10, 10], [20, 10], geodesic),
+        CesiumMath.EPSILON7
+      );
+      expect(
+        MeasureViewModel.computeDistance(positions, ArcType.RHUMB)
+      ).toEqualEpsilon(
+        getSurfaceDistance([0, 0], [10, 10], rhumbLine) +
+          getSurfaceDistance([10, 10], [20, 10], rhumbLine),
+        CesiumMath.EPSILON7
+      );
+      expect(
+        MeasureViewModel.computeDistance(positions, ArcType.RHUMB)
+      ).toBeGreaterThan(MeasureViewModel.computeDistance(positions));
+      expect(
+        MeasureViewModel.computeDistance(positions, ArcType.NONE)
+      ).toEqualEpsilon(
+        Cartesian3.distance(positions[0], positions[1]) +
+          Cartesian3.distance(positions[1], positions[2]),
+        CesiumMath.EPSILON7
+      );
+      expect(MeasureViewModel.computeDistance([positions[0]])).toEqual(0.0);
+    });
+
+    it("computes surface areas", function () {
+      const origin = Cartesian3.fromDegrees(8.0, 47.0);
+      const positions = fromEastNorthUp(origin, [
+        [0.0, 0.0, 0.0],
+        [1000.0, 0.0, 0.0],
+        [1000.0, 1000.0, 0.0],
+        [0.0, 1000.0, 0.0],
+      ]);
+      expect(MeasureViewModel.computeArea(positions)).toEqualEpsilon(
+        1000000.0,
+        100.0
+      );
+      expect(MeasureViewModel.computeArea(positions.slice(0, 2))).toEqual(0.0);
+    });
+
+    it("computes surface areas draped on terrain", function () {
+      const ellipsoid = Ellipsoid.WGS84;
+      const origin = Cartographic.fromDegrees(8.0, 47.0);
+      const positions = fromEastNorthUp(
+        Cartographic.toCartesian(origin, ellipsoid),
+        [
+          [0.0, 0.0, 0.0],
+          [1000.0, 0.0, 0.0],
+          [1000.0, 1000.0, 0.0],
+          [0.0, 1000.0, 0.0],
+        ]
+      );
+
+      // Terrain that rises one meter for each meter to the east
+      const east = Cartesian3.distance(
+        Cartesian3.fromRadians(origin.longitude, origin.latitude),
+        Cartesian3.fromRadians(origin.longitude + 0.00001, origin.latitude)
+      );
+      const globe = {
+        getHeight: function (cartographic) {
+          return ((cartographic.longitude - origin.longitude) / 0.00001) * east;
+        },
+      };
+
+      const area = MeasureViewModel.computeArea(positions, {
+        globe: globe,
+        granularity: 50.0,
+      });
+      expect(area).toEqualEpsilon(1000000.0 * Math.SQRT2, 1000.0);
+    });
+
+    it("computes heights", function () {
+      expect(
+        MeasureViewModel.computeHeight(
+          Cartesian3.fromDegrees(0.0, 0.0, 10.0),
+          Cartesian3.fromDegrees(0.1, 0.0, 110.0)
+        )
+      ).toEqualEpsilon(100.0, CesiumMath.EPSILON7);
+      expect(
+        MeasureViewModel.computeHeight(
+          Cartesian3.fromDegrees(0.0, 0.0, 110.0),
+          Cartesian3.fromDegrees(0.1, 0.0, 10.0)
+        )
+      ).toEqualEpsilon(-100.0, CesiumMath.EPSILON7);
+    });
+
+    it("computes azimuth and elevation angles", function () {
+      const origin = Cartesian3.fromDegrees(8.0, 47.0);
+      const positions = fromEastNorthUp(origin, [
+        [1000.0, 0.0, 1000.0],
+        [0.0, -1000.0, 0.0],
+        [-1000.0, 1000.0, -1000.0 * Math.SQRT2],
+      ]);
+
+      let angles = MeasureViewModel.computeAzimuthElevation(
+        origin,
+        positions[0]
+      );
+      expect(angles.azimuth).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON7
+      );
+      expect(angles.elevation).toEqualEpsilon(
+        CesiumMath.PI_OVER_FOUR,
+        CesiumMath.EPSILON7
+      );
+
+      angles = MeasureViewModel.computeAzimuthElevation(origin, positions[1]);
+      expect(angles.azimuth).toEqualEpsilon(CesiumMath.PI, CesiumMath.EPSILON7);
+      expect(angles.elevation).toEqualEpsilon(0.0, CesiumMath.EPSILON7);
+
+      angles = MeasureViewModel.computeAzimuthElevation(origin, positions[2]);
+      expect(angles.azimuth).toEqualEpsilon(
+        CesiumMath.toRadians(315.0),
+        CesiumMath.EPSILON7
+      );
+      expect(angles.elevation).toEqualEpsilon(
+        -CesiumMath.PI_OVER_FOUR,
+        CesiumMath.EPSILON7
+      );
+    });
+
+    it("measures distances with live labels", function () {
+      const listener = jasmine.createSpy("listener");
+      viewModel.measuredEvent.addEventListener(listener);
+
+      viewModel.measureDistance();
+      expect(viewModel.mode).toEqual(MeasureMode.DISTANCE);
+
+      click(0, 0);
+      fire(ScreenSpaceEventType.MOUSE_MOVE, 0, 3);
+      const geodesic = new EllipsoidGeodesic();
+      const first = getSurfaceDistance([0, 0], [0, 3], geodesic);
+      expect(viewModel.result).toEqual(`${(first / 1000.0).toFixed(2)} km`);
+      expect(viewModel._labels.length).toEqual(1);
+      expect(viewModel._polylines.length).toEqual(1);
+
+      click(0, 3);
+      click(0, 3.5);
+      click(3, 3);
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 3, 3);
+      expect(viewModel.mode).toBeUndefined();
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      const measurement = listener.calls.argsFor(0)[0];
+      expect(measurement.mode).toEqual(MeasureMode.DISTANCE);
+      expect(measurement.positions.length).toEqual(3);
+      expect(measurement.distance).toEqualEpsilon(
+        first + getSurfaceDistance([0, 3], [3, 3], geodesic),
+        CesiumMath.EPSILON7
+      );
+
+      // A label for each segment and the total
+      expect(viewModel._points.length).toEqual(3);
+      expect(viewModel._labels.length).toEqual(3);
+      expect(viewModel._polylines.length).toEqual(1);
+    });
+
+    it("measures distances along rhumb lines", function () {
+      viewModel.toggleArcType();
+      expect(viewModel.arcType).toEqual(ArcType.RHUMB);
+
+      viewModel.startMeasuring(MeasureMode.DISTANCE);
+      click(0, 0);
+      click(10, 10);
+      const measurement = viewModel.finish();
+      expect(measurement.distance).toEqualEpsilon(
+        getSurfaceDistance([0, 0], [10, 10], new EllipsoidRhumbLine()),
+        CesiumMath.EPSILON7
+      );
+
+      viewModel.toggleArcType();
+      expect(viewModel.arcType).toEqual(ArcType.GEODESIC);
+    });
+
+    it("measures areas", function () {
+      const listener = jasmine.createSpy("listener");
+      viewModel.measuredEvent.addEventListener(listener);
+
+      viewModel.measureArea();
+      click(0, 0);
+      click(0, 3);
+      fire(ScreenSpaceEventType.LEFT_DOUBLE_CLICK, 0, 3);
+      expect(viewModel.mode).toBeUndefined();
+      expect(listener).not.toHaveBeenCalled();
+      expect(viewModel._points.length).toEqual(0);
+
+      viewModel.measureArea();
+      click(0, 0);
+      click(0, 3);
+      click(3, 3);
+      fire(ScreenSpaceEventType.LEFT_DOUBLE_CLICK, 3, 3);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      const measurement = listener.calls.argsFor(0)[0];
+      expect(measurement.mode).toEqual(MeasureMode.AREA);
+      expect(measurement.area).toEqualEpsilon(
+        MeasureViewModel.computeArea(measurement.positions),
+        CesiumMath.EPSILON7
+      );
+      expect(measurement.area).toBeGreaterThan(0.0);
+      expect(viewModel.result).toContain("km²");
+      expect(viewModel._labels.length).toEqual(1);
+    });
+
+    it("only samples terrain for the area once the polygon is finished", function () {
+      const globe = jasmine.createSpyObj("globe", ["getHeight"]);
+      globe.getHeight.and.returnValue(0.0);
+      spyOnProperty(scene, "globe").and.returnValue(globe);
+
+      viewModel.measureArea();
+      click(0, 0);
+      click(0, 3);
+      click(3, 3);
+      fire(ScreenSpaceEventType.MOUSE_MOVE, 3, 0);
+      expect(viewModel.result).toContain("km²");
+      expect(globe.getHeight).not.toHaveBeenCalled();
+
+      fire(ScreenSpaceEventType.RIGHT_CLICK, 3, 0);
+      expect(viewModel.mode).toBeUndefined();
+      expect(globe.getHeight).toHaveBeenCalled();
+    });
+
+    it("measures heights and angles with two clicks", function () {
+      viewModel.pickPosition.and.callFake(function (windowPosition) {
+        return Cartesian3.fromDegrees(0.0, 0.0, windowPosition.x);
+      });
+
+      viewModel.measureHeight();
+      click(10, 0);
+      click(60, 0);
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.result).toEqual("50.00 m");
+      expect(viewModel._polylines.length).toEqual(1);
+
+      viewModel.pickPosition.and.callFake(function (windowPosition) {
+        return fromEastNorthUp(Cartesian3.fromDegrees(0.0, 0.0), [
+          [windowPosition.x, windowPosition.y, windowPosition.x],
+        ])[0];
+      });
+
+      viewModel.measureAngle();
+      click(0, 0);
+      const measurement = viewModel.finish();
+      expect(measurement).toBeUndefined();
+
+      viewModel.measureAngle();
+      click(0, 0);
+      click(10, 0);
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.result).toEqual("90.00° / 45.00°");
+      expect(viewModel._polylines.length).toEqual(2);
+    });
+
+    it("commands toggle measurements and clear them", function () {
+      viewModel.measureDistance();
+      expect(viewModel.mode).toEqual(MeasureMode.DISTANCE);
+      viewModel.measureHeight();
+      expect(viewModel.mode).toEqual(MeasureMode.HEIGHT);
+      viewModel.measureHeight();
+      expect(viewModel.mode).toBeUndefined();
+
+      viewModel.measureDistance();
+      click(0, 0);
+      click(0, 3);
+      viewModel.finish();
+      viewModel.measureDistance();
+      click(3, 0);
+
+      // The clicked point and the point following the mouse
+      expect(viewModel._points.length).toEqual(4);
+
+      viewModel.clear();
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.result).toEqual("");
+      expect(viewModel._points.length).toEqual(0);
+      expect(viewModel._polylines.length).toEqual(0);
+      expect(viewModel._labels.length).toEqual(0);
+    });
+
+    it("throws if mode is invalid", function () {
+      expect(function () {
+        viewModel.startMeasuring(7);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
@@ -0,0 +1,87 @@
+import { Cartesian3 } from "@cesium/engine";
+
+import { MousePosition, MousePositionFormat } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/MousePosition/MousePosition",
+  function () {
+    let scene;
+    let container;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      container = document.createElement("div");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      document.body.removeChild(container);
+    });
+
+    it("can create and destroy", function () {
+      const widget = new MousePosition("testContainer", scene);
+      expect(widget.container).toBe(container);
+      expect(widget.viewModel.scene).toBe(scene);
+      expect(container.querySelectorAll("option").length).toEqual(4);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.childNodes.length).toEqual(0);
+    });
+
+    it("shows the coordinates in the selected format", function () {
+      const widget = new MousePosition(container, scene, {
+        format: MousePositionFormat.UTM,
+      });
+      const select = container.querySelector("select");
+      const coordinates = container.querySelector(
+        ".cesium-mousePosition-coordinates"
+      );
+      const height = container.querySelector(".cesium-mousePosition-height");
+      expect(select.selectedIndex).toEqual(3);
+      expect(coordinates.textContent).toEqual("");
+      expect(height.style.display).toEqual("none");
+
+      widget.viewModel.position = Cartesian3.fromDegrees(3.0, 45.0, 10.0);
+      expect(coordinates.textContent).toMatch(/^31T 500000 \d{7}$/);
+      expect(height.style.display).not.toEqual("none");
+      expect(height.textContent).toEqual("Height 10.0 m");
+
+      widget.viewModel.format = MousePositionFormat.DECIMAL_DEGREES;
+      expect(select.selectedIndex).toEqual(0);
+      expect(coordinates.textContent).toEqual("45.000000°N 3.000000°E");
+
+      select.selectedIndex = 1;
+      select.dispatchEvent(new Event("change"));
+      expect(widget.viewModel.format).toEqual(
+        MousePositionFormat.DEGREES_MINUTES_SECONDS
+      );
+
+      widget.destroy();
+    });
+
+    it("constructor throws with no container", function () {
+      expect(function () {
+        return new MousePosition(undefined, scene);
+      }).toThrowDeveloperError();
+    });
+
+    it("constructor throws with no scene", function () {
+      expect(function () {
+        return new MousePosition(container, undefined);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
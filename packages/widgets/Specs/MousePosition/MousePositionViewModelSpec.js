@@ -0,0 +1,186 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  defined,
+  Math as CesiumMath,
+  Mgrs,
+  ScreenSpaceEventType,
+  UtmCoordinate,
+} from "@cesium/engine";
+
+import { MousePositionFormat, MousePositionViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/MousePosition/MousePositionViewModel",
+  function () {
+    let scene;
+    let viewModel;
+
+    // 40°26'46"N 79°58'56"W
+    const latitude = 40.0 + 26.0 / 60.0 + 46.0 / 3600.0;
+    const longitude = -(79.0 + 58.0 / 60.0 + 56.0 / 3600.0);
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      viewModel = new MousePositionViewModel(scene);
+    });
+
+    afterEach(function () {
+      if (!viewModel.isDestroyed()) {
+        viewModel.destroy();
+      }
+    });
+
+    function moveMouse(position) {
+      const action = viewModel._handler.getInputAction(
+        ScreenSpaceEventType.MOUSE_MOVE
+      );
+      action({
+        startPosition: new Cartesian2(),
+        endPosition: position,
+      });
+    }
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new MousePositionViewModel(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("constructs with defaults", function () {
+      expect(viewModel.scene).toBe(scene);
+      expect(viewModel.format).toEqual(MousePositionFormat.DECIMAL_DEGREES);
+      expect(viewModel.position).toBeUndefined();
+      expect(viewModel.coordinates).toEqual("");
+      expect(viewModel.height).toEqual("");
+      expect(viewModel.copied).toBe(false);
+    });
+
+    it("constructs with a format", function () {
+      const mgrs = new MousePositionViewModel(scene, {
+        format: MousePositionFormat.MGRS,
+      });
+      expect(mgrs.format).toEqual(MousePositionFormat.MGRS);
+      mgrs.destroy();
+    });
+
+    it("formats the coordinates of the position", function () {
+      viewModel.position = Cartesian3.fromDegrees(longitude, latitude, 123.4);
+      expect(viewModel.coordinates).toEqual("40.446111°N 79.982222°W");
+      expect(viewModel.height).toEqual("123.4 m");
+
+      viewModel.format = MousePositionFormat.DEGREES_MINUTES_SECONDS;
+      expect(viewModel.coordinates).toEqual(`40°26'46.0"N 79°58'56.0"W`);
+
+      const cartographic = Cartographic.fromDegrees(longitude, latitude);
+      viewModel.format = MousePositionFormat.MGRS;
+      expect(viewModel.coordinates).toEqual(
+        Mgrs.fromCartographic(cartographic, { separator: " " })
+      );
+
+      viewModel.format = MousePositionFormat.UTM;
+      expect(viewModel.coordinates).toEqual(
+        UtmCoordinate.fromCartographic(cartographic).toString()
+      );
+      expect(viewModel.coordinates).toMatch(/^17T \d{6} \d{7}$/);
+    });
+
+    it("carries rounded seconds into the minutes", function () {
+      viewModel.format = MousePositionFormat.DEGREES_MINUTES_SECONDS;
+      viewModel.position = Cartesian3.fromDegrees(
+        -(10.0 + 59.0 / 60.0 + 59.97 / 3600.0),
+        -(5.0 + 29.0 / 60.0 + 59.96 / 3600.0)
+      );
+      expect(viewModel.coordinates).toEqual(`5°30'0.0"S 11°0'0.0"W`);
+    });
+
+    it("formats large heights in kilometers", function () {
+      viewModel.position = Cartesian3.fromDegrees(0.0, 0.0, 12340.0);
+      expect(viewModel.height).toEqual("12.34 km");
+    });
+
+    it("updates the camera height when rendered", function () {
+      scene.renderForSpecs();
+      expect(viewModel.cameraHeight).toEqualEpsilon(
+        scene.camera.positionCartographic.height,
+        CesiumMath.EPSILON6
+      );
+      expect(viewModel.cameraAltitude).toMatch(/ km$/);
+    });
+
+    it("picks the position under the mouse when rendered", function () {
+      moveMouse(new Cartesian2(0.0, 0.0));
+      expect(viewModel.position).toBeUndefined();
+
+      scene.renderForSpecs();
+      expect(viewModel.position).toBeDefined();
+      expect(viewModel.coordinates).not.toEqual("");
+
+      scene.canvas.dispatchEvent(new MouseEvent("mouseleave"));
+      expect(viewModel.position).toBeUndefined();
+      scene.renderForSpecs();
+      expect(viewModel.position).toBeUndefined();
+    });
+
+    it("copies the coordinates", function () {
+      if (!defined(navigator.clipboard)) {
+        return;
+      }
+      spyOn(navigator.clipboard, "writeText").and.returnValue(
+        Promise.resolve()
+      );
+
+      viewModel.position = Cartesian3.fromDegrees(longitude, latitude);
+      return viewModel.copy().then(function () {
+        expect(navigator.clipboard.writeText).toHaveBeenCalledWith(
+          "40.446111°N 79.982222°W"
+        );
+        expect(viewModel.copied).toBe(true);
+
+        viewModel.position = Cartesian3.fromDegrees(0.0, 0.0);
+        expect(viewModel.copied).toBe(false);
+      });
+    });
+
+    it("is not copied if writing to the clipboard fails", function () {
+      if (!defined(navigator.clipboard)) {
+        return;
+      }
+      spyOn(navigator.clipboard, "writeText").and.returnValue(
+        Promise.reject(new Error("Document is not focused."))
+      );
+
+      viewModel.position = Cartesian3.fromDegrees(longitude, latitude);
+      return viewModel.copy().then(function () {
+        expect(navigator.clipboard.writeText).toHaveBeenCalled();
+        expect(viewModel.copied).toBe(false);
+      });
+    });
+
+    it("does not copy without a position", function () {
+      if (!defined(navigator.clipboard)) {
+        return;
+      }
+      spyOn(navigator.clipboard, "writeText");
+      return viewModel.copy().then(function () {
+        expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+      });
+    });
+
+    it("can destroy", function () {
+      viewModel.destroy();
+      expect(viewModel.isDestroyed()).toBe(true);
+    });
+  },
+  "WebGL"
+);
@@ -37,6 +37,7 @@ import {
   FullscreenButton,
   Geocoder,
   HomeButton,
+  MousePosition,
   NavigationHelpButton,
   SceneModePicker,
   SelectionIndicator,
@@ -339,6 +340,24 @@ describe(
       viewer.render();
     });
 
+    it("can create a MousePosition", function () {
+      viewer = createViewer(container);
+      expect(viewer.mousePosition).toBeUndefined();
+      viewer.destroy();
+
+      viewer = createViewer(container, {
+        mousePosition: true,
+      });
+      expect(viewer.mousePosition).toBeInstanceOf(MousePosition);
+      expect(viewer.mousePosition.viewModel.scene).toBe(viewer.scene);
+      viewer.resize();
+      viewer.render();
+
+      const mousePositionContainer = viewer.mousePosition.container;
+      viewer.destroy();
+      expect(mousePositionContainer.parentNode).toBeNull();
+    });
+
     it("can shut off Geocoder", function () {
       viewer = createViewer(container, {
         geocoder: false,